@@ -4,15 +4,34 @@ const { testConnection } = require('./config/database');
 const { testChromaConnection, getCollectionStats } = require('./config/vector-db');
 const { healthCheck: contextHealthCheck } = require('./services/context-manager');
 const { cleanupExpiredSessions } = require('./services/auth-service');
+const { getAIService } = require('./services/ai-service');
+const { getDigestService } = require('./services/digest-service');
+const { getRetentionService } = require('./services/retention-service');
+const { getAssignmentService } = require('./services/assignment-service');
+const { getCalibrationService } = require('./services/calibration-service');
+const { getSessionAnalyticsService } = require('./services/session-analytics-service');
 const { setupSecurity } = require('./middleware/security');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const ssoRoutes = require('./routes/sso');
 const dashboardRoutes = require('./routes/dashboard');
 const dashboardCustomizationRoutes = require('./routes/dashboard-customization');
 const journalRoutes = require('./routes/journal');
 const problemsRoutes = require('./routes/problems');
 const aiTutorRoutes = require('./routes/ai-tutor');
+const { router: notificationRoutes, handleWebSocketUpgrade, WEBSOCKET_PATH } = require('./routes/notifications');
+const activityMonitoringRoutes = require('./routes/activity-monitoring');
+const classroomRoutes = require('./routes/classrooms');
+const permissionRoutes = require('./routes/permissions');
+const delegationRoutes = require('./routes/delegations');
+const dataRequestRoutes = require('./routes/data-requests');
+const retentionRoutes = require('./routes/retention');
+const consentRoutes = require('./routes/consent');
+const assignmentRoutes = require('./routes/assignments');
+const difficultyCalibrationRoutes = require('./routes/difficulty-calibration');
+const reviewRoutes = require('./routes/reviews');
+const skillRoutes = require('./routes/skills');
 
 require('dotenv').config();
 
@@ -74,6 +93,24 @@ app.get('/health', async (req, res) => {
     contextManagerStatus = 'unhealthy';
   }
 
+  // AI provider chain and circuit breakers (no provider calls, just the recorded state)
+  let aiServiceStatus = 'unknown';
+  let aiProviders = null;
+  try {
+    const aiService = getAIService();
+    const circuits = aiService.getCircuitStatus();
+    const openCount = Object.values(circuits).filter(c => c.state === 'open').length;
+    aiServiceStatus = openCount === 0 ? 'available'
+      : openCount < Object.keys(circuits).length ? 'degraded' : 'unavailable';
+    aiProviders = {
+      active_provider: aiService.activeProvider?.name,
+      provider_chain: aiService.providerChain.map(p => p.name),
+      circuit_breakers: circuits
+    };
+  } catch (error) {
+    aiServiceStatus = 'unavailable';
+  }
+
   // Consider system healthy if the web server is running, even without database
   const overallStatus = 'healthy'; // Always healthy for testing
   const hasDatabase = dbStatus === 'connected';
@@ -88,8 +125,10 @@ app.get('/health', async (req, res) => {
       web_server: 'running',
       database: dbStatus,
       vector_database: vectorDbStatus,
-      context_manager: contextManagerStatus
+      context_manager: contextManagerStatus,
+      ai_service: aiServiceStatus
     },
+    ai_providers: aiProviders,
     capabilities: {
       authentication: hasDatabase,
       ai_context: hasVectorDb,
@@ -155,7 +194,6 @@ app.get('/api/v1/context/status', async (req, res) => {
 // Test endpoint for storing sample context (development only)
 if (process.env.NODE_ENV === 'development') {
   const { storeLearningContext, generateContextSummary, CONTEXT_TYPES } = require('./services/context-manager');
-  const { getAIService } = require('./services/ai-service');
   
   app.post('/api/v1/context/test-store', async (req, res) => {
     try {
@@ -303,12 +341,25 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // API routes
+app.use('/api/v1/auth/sso', ssoRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/dashboard-customization', dashboardCustomizationRoutes);
 app.use('/api/journal', journalRoutes);
 app.use('/api/problems', problemsRoutes);
 app.use('/api/ai-tutor', aiTutorRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/activity-monitoring', activityMonitoringRoutes);
+app.use('/api/classrooms', classroomRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/delegations', delegationRoutes);
+app.use('/api/data-requests', dataRequestRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/consent', consentRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/difficulty-calibration', difficultyCalibrationRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/skills', skillRoutes);
 
 // Main API info endpoint
 app.get('/api/v1', (req, res) => {
@@ -321,7 +372,11 @@ app.get('/api/v1', (req, res) => {
       refresh: 'POST /api/v1/auth/refresh',
       logout: 'POST /api/v1/auth/logout',
       me: 'GET /api/v1/auth/me',
-      verify: 'GET /api/v1/auth/verify'
+      verify: 'GET /api/v1/auth/verify',
+      sso_providers: 'GET /api/v1/auth/sso/providers',
+      sso_login: 'GET /api/v1/auth/sso/:slug/login',
+      mfa_challenge: 'POST /api/v1/auth/mfa/challenge',
+      mfa: 'GET /api/v1/auth/mfa'
     },
     endpoints: {
       health: '/health',
@@ -332,7 +387,20 @@ app.get('/api/v1', (req, res) => {
       dashboard: '/api/dashboard',
       dashboard_customization: '/api/dashboard-customization',
       journal: '/api/journal',
-      problems: '/api/problems'
+      problems: '/api/problems',
+      notifications: '/api/notifications',
+      notifications_websocket: `${WEBSOCKET_PATH}?token=<access token>`,
+      activity_monitoring: '/api/activity-monitoring',
+      classrooms: '/api/classrooms',
+      permissions: '/api/permissions',
+      delegations: '/api/delegations',
+      data_requests: '/api/data-requests',
+      retention: '/api/retention',
+      consent: '/api/consent',
+      assignments: '/api/assignments',
+      difficulty_calibration: '/api/difficulty-calibration',
+      reviews: '/api/reviews',
+      skills: '/api/skills'
     },
     dashboard_endpoints: {
       student_overview: 'GET /api/dashboard/student/overview',
@@ -443,7 +511,7 @@ const startServer = async () => {
     }
     
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Mentra backend running on http://localhost:${PORT}`);
       console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`🏥 Health check: http://localhost:${PORT}/health`);
@@ -451,7 +519,42 @@ const startServer = async () => {
       console.log(`🧠 Vector DB status: http://localhost:${PORT}/api/v1/vector-db/status`);
       console.log(`📚 Context manager: http://localhost:${PORT}/api/v1/context/status`);
       console.log(`🔐 Authentication: http://localhost:${PORT}/api/v1/auth`);
+      console.log(`🔔 Notifications socket: ws://localhost:${PORT}${WEBSOCKET_PATH}`);
     });
+
+    // Real-time notifications share the HTTP server
+    server.on('upgrade', handleWebSocketUpgrade);
+
+    // Abandoned sessions and broken streaks feed the notification rules
+    getSessionAnalyticsService().startEngagementSweeps();
+
+    // Weekly family summaries and teacher digests
+    try {
+      getDigestService().start();
+    } catch (error) {
+      console.error('❌ Digest scheduler not started:', error.message);
+    }
+
+    // Nightly enforcement of data retention policies
+    try {
+      getRetentionService().start();
+    } catch (error) {
+      console.error('❌ Retention scheduler not started:', error.message);
+    }
+
+    // New-assignment notices and due-date reminders
+    try {
+      getAssignmentService().start();
+    } catch (error) {
+      console.error('❌ Assignment reminders not started:', error.message);
+    }
+
+    // Nightly template difficulty and student ability calibration
+    try {
+      getCalibrationService().start();
+    } catch (error) {
+      console.error('❌ Difficulty calibration scheduler not started:', error.message);
+    }
   } catch (error) {
     console.error('❌ Critical error starting server:', error);
     console.error('💡 Check your configuration and try again');
@@ -16,7 +16,8 @@ const requiredEnvVars = {
     'FRONTEND_URL',
     'AI_API_KEY',
     'CHROMA_HOST',
-    'CHROMA_PORT'
+    'CHROMA_PORT',
+    'JOURNAL_MASTER_KEY'
   ],
   staging: [
     'DATABASE_URL',
@@ -47,8 +48,23 @@ const defaultConfig = {
   RATE_LIMIT_MAX_REQUESTS: 100,
   
   // AI Configuration
+  AI_API_KEY: null,
   AI_MODEL: 'llama2',
   AI_ENDPOINT: 'http://localhost:11434',
+  AI_PROVIDER_CHAIN: null, // e.g. 'ollama,openai,mock'; defaults depend on environment
+  AI_TIMEOUT_MS: 30000,
+  AI_MAX_RETRIES: 2,
+  AI_RETRY_BASE_DELAY_MS: 500,
+  AI_BREAKER_FAILURE_THRESHOLD: 3,
+  AI_BREAKER_COOLDOWN_MS: 30000,
+  ANTHROPIC_API_KEY: null,
+  ANTHROPIC_MODEL: 'claude-3-haiku-20240307',
+
+  // Embedding Configuration
+  EMBEDDING_PROVIDER: 'local',
+  EMBEDDING_MODEL: null,
+  EMBEDDING_DIMENSIONS: 384,
+  EMBEDDING_API_KEY: null,
   
   // Vector Database Configuration
   CHROMA_HOST: 'localhost',
@@ -62,7 +78,107 @@ const defaultConfig = {
   
   // Logging Configuration
   LOG_LEVEL: 'info',
-  LOG_FILE: 'logs/mentra.log'
+  LOG_FILE: 'logs/mentra.log',
+
+  // Notification Delivery Channels
+  SMTP_HOST: null,
+  SMTP_PORT: 587,
+  SMTP_SECURE: false,
+  SMTP_USER: null,
+  SMTP_PASS: null,
+  FROM_EMAIL: 'noreply@mentra.com',
+  SMS_GATEWAY_URL: null,
+  SMS_GATEWAY_API_KEY: null,
+  SMS_SENDER_ID: 'Mentra',
+  NOTIFICATION_SINK: 'console', // console | file; stands in for unconfigured channels outside production
+  NOTIFICATION_SINK_FILE: 'logs/notifications.log',
+  NOTIFICATION_MAX_ATTEMPTS: 4,
+  NOTIFICATION_RETRY_BASE_DELAY_MS: 60000,
+
+  // Scheduled Digests (cron: minute hour day-of-month month day-of-week)
+  DIGEST_SCHEDULER_ENABLED: true,
+  DIGEST_TIMEZONE: 'UTC',
+  WEEKLY_SUMMARY_CRON: '0 18 * * 0', // Sundays at 18:00
+  TEACHER_DIGEST_CRON: '0 7 * * 1-5', // Weekdays at 07:00
+
+  // Account Tokens (links in password reset, verification and invitation emails)
+  PASSWORD_RESET_TTL_MINUTES: 60,
+  EMAIL_VERIFICATION_TTL_HOURS: 48,
+  INVITATION_TTL_DAYS: 14,
+
+  // Single Sign-On (OpenID Connect)
+  API_PUBLIC_URL: null, // where identity providers send users back; defaults to http://localhost:PORT
+  SSO_LOGIN_TTL_MINUTES: 10,
+
+  // Multi-Factor Authentication (TOTP)
+  MFA_ISSUER: 'Mentra', // Name shown in authenticator apps
+  MFA_ENCRYPTION_KEY: null, // 64 hex chars; encrypts stored TOTP secrets
+  MFA_CHALLENGE_TTL_MINUTES: 5,
+  MFA_MAX_CHALLENGE_ATTEMPTS: 5,
+  MFA_RECOVERY_CODE_COUNT: 10,
+
+  // Login lockout (failed_login_attempts) and credential stuffing detection
+  LOGIN_FAILURE_WINDOW_HOURS: 24, // Failures older than this no longer count
+  LOGIN_ACCOUNT_LOCK_THRESHOLD: 5, // Failures for one email before it is locked
+  LOGIN_IP_LOCK_THRESHOLD: 20, // Failures from one IP before it is locked
+  LOGIN_LOCK_BASE_SECONDS: 60, // First lockout; doubles with every further failure
+  LOGIN_LOCK_MAX_MINUTES: 60,
+  CREDENTIAL_STUFFING_WINDOW_MINUTES: 15,
+  CREDENTIAL_STUFFING_IP_ACCOUNTS: 10, // Distinct accounts failing from one IP
+  CREDENTIAL_STUFFING_GLOBAL_ACCOUNTS: 50, // Distinct accounts failing across all IPs
+
+  // Temporary classroom access delegated to another teacher (teacher_delegations)
+  DELEGATION_MAX_DAYS: 14, // Longest a delegation may last
+  DELEGATION_USE_NOTIFY_MINUTES: 60, // At most one "delegation used" notification per delegation in this time
+
+  // GDPR/FERPA data subject requests (data_subject_requests)
+  DATA_EXPORT_DIR: './data-exports', // Where export archives are written; keep out of any public directory
+  DATA_EXPORT_TTL_DAYS: 7, // Export archives are deleted after this long
+  JOURNAL_ATTACHMENT_DIR: './uploads/journal', // Stored journal attachment files, named by stored_filename
+  DATA_REQUEST_SIGNING_KEY: null, // Signs completion certificates; required in production
+
+  // Retention engine applying data_retention_policies (cron in RETENTION_TIMEZONE)
+  RETENTION_SCHEDULER_ENABLED: true,
+  RETENTION_TIMEZONE: 'UTC',
+  RETENTION_CRON: '30 2 * * *', // Daily at 02:30
+  RETENTION_BATCH_SIZE: 1000, // Rows per statement
+  RETENTION_MAX_BATCHES: 100, // Per policy stage and run; the rest waits for the next run
+
+  // Parental consent for young students (enforced while COPPA_MODE is on)
+  CONSENT_AGE_THRESHOLD: 13, // Students younger than this need a parent's consent
+  CONSENT_REQUIRED_WHEN_AGE_UNKNOWN: false, // Treat students without a date of birth as under the threshold
+  CONSENT_REQUEST_COOLDOWN_HOURS: 24, // A student can ask their parents again after this long
+
+  // Assignment notifications: new assignments when they open, and reminders before the due date
+  ASSIGNMENT_REMINDERS_ENABLED: true,
+  ASSIGNMENT_REMINDER_HOURS: '24', // Comma-separated hours before the due date, e.g. "48,2"
+  ASSIGNMENT_SWEEP_INTERVAL_MINUTES: 15,
+
+  // Item response theory calibration of template difficulty and student ability (cron in IRT_TIMEZONE)
+  IRT_CALIBRATION_ENABLED: true,
+  IRT_TIMEZONE: 'UTC',
+  IRT_CALIBRATION_CRON: '15 3 * * *', // Daily at 03:15
+  IRT_MODEL: '1pl', // 1pl (Rasch) or 2pl (adds a discrimination per template)
+  IRT_WINDOW_DAYS: 365, // Step responses older than this are not used
+  IRT_MIN_TEMPLATE_STUDENTS: 20, // Students a template needs before its estimate is reported or used
+  IRT_MIN_STUDENT_TEMPLATES: 5, // Templates a student needs before their ability drives adaptation
+  IRT_TARGET_SUCCESS_RATE: 0.7, // Expected accuracy students are steered towards
+
+  // Spaced review of past mistakes (SM-2 intervals per template, skill and mistake type)
+  REVIEWS_ENABLED: true,
+  REVIEW_FIRST_INTERVAL_DAYS: 1, // First review after a mistake, and after a failed review
+  REVIEW_MAX_INTERVAL_DAYS: 180,
+  REVIEW_MASTERED_INTERVAL_DAYS: 60, // A passed review scheduling further out than this retires the item
+  REVIEW_QUEUE_LIMIT: 10, // Items offered per due queue
+
+  // Skill mastery by Bayesian knowledge tracing; defaults for skills that do not set their own
+  SKILLS_ENABLED: true,
+  BKT_P_INIT: 0.2, // Chance a student already knows a skill before practising it
+  BKT_P_TRANSIT: 0.15, // Chance of learning the skill on each practice step
+  BKT_P_SLIP: 0.1, // Chance of getting a step wrong while knowing the skill
+  BKT_P_GUESS: 0.2, // Chance of getting a step right without knowing the skill
+  SKILL_CORRECT_ACCURACY: 0.7, // Step accuracy counted as a correct answer
+  SKILL_MASTERY_THRESHOLD: 0.95 // Mastery probability at which a skill is mastered
 };
 
 // Environment-specific overrides
@@ -267,8 +383,244 @@ const getAIConfig = () => {
     apiKey: config.AI_API_KEY,
     model: config.AI_MODEL,
     endpoint: config.AI_ENDPOINT,
-    timeout: 30000, // 30 seconds
-    retries: 3
+    providerChain: config.AI_PROVIDER_CHAIN
+      ? config.AI_PROVIDER_CHAIN.split(',').map(p => p.trim().toLowerCase()).filter(Boolean)
+      : null,
+    timeout: parseInt(config.AI_TIMEOUT_MS, 10),
+    retries: parseInt(config.AI_MAX_RETRIES, 10),
+    retryBaseDelay: parseInt(config.AI_RETRY_BASE_DELAY_MS, 10),
+    circuitBreaker: {
+      failureThreshold: parseInt(config.AI_BREAKER_FAILURE_THRESHOLD, 10),
+      cooldownMs: parseInt(config.AI_BREAKER_COOLDOWN_MS, 10)
+    },
+    anthropic: {
+      apiKey: config.ANTHROPIC_API_KEY,
+      model: config.ANTHROPIC_MODEL,
+      endpoint: 'https://api.anthropic.com/v1'
+    }
+  };
+};
+
+// Embedding provider configuration (ollama and openai fall back to the AI endpoint/key)
+const getEmbeddingConfig = () => {
+  const config = getAllConfig();
+  const provider = config.EMBEDDING_PROVIDER;
+
+  return {
+    provider,
+    model: config.EMBEDDING_MODEL || null,
+    // Remote models report their own size unless explicitly pinned
+    dimensions: provider === 'local' || process.env.EMBEDDING_DIMENSIONS
+      ? parseInt(config.EMBEDDING_DIMENSIONS, 10)
+      : null,
+    endpoint: config.AI_ENDPOINT,
+    apiKey: config.EMBEDDING_API_KEY || getConfig('AI_API_KEY'),
+    timeout: 30000,
+    batchSize: 32
+  };
+};
+
+// Email, SMS and sink settings for notification delivery
+const getNotificationChannelConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    email: {
+      host: config.SMTP_HOST,
+      port: parseInt(config.SMTP_PORT, 10),
+      secure: config.SMTP_SECURE === true,
+      user: config.SMTP_USER,
+      pass: config.SMTP_PASS,
+      from: config.FROM_EMAIL
+    },
+    sms: {
+      gatewayUrl: config.SMS_GATEWAY_URL,
+      apiKey: config.SMS_GATEWAY_API_KEY,
+      senderId: config.SMS_SENDER_ID,
+      timeout: 10000
+    },
+    sink: {
+      type: config.NOTIFICATION_SINK,
+      file: config.NOTIFICATION_SINK_FILE
+    },
+    // Unconfigured channels fail instead of falling back to the sink
+    useSinkFallback: config.NODE_ENV !== 'production',
+    maxAttempts: parseInt(config.NOTIFICATION_MAX_ATTEMPTS, 10),
+    retryBaseDelayMs: parseInt(config.NOTIFICATION_RETRY_BASE_DELAY_MS, 10)
+  };
+};
+
+// Schedules for weekly family summaries and teacher digests
+const getDigestConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    enabled: config.DIGEST_SCHEDULER_ENABLED !== false,
+    timezone: config.DIGEST_TIMEZONE,
+    schedules: {
+      weekly_family_summary: config.WEEKLY_SUMMARY_CRON,
+      teacher_class_digest: config.TEACHER_DIGEST_CRON
+    }
+  };
+};
+
+// Lifetimes and link base for password reset, email verification and invitation tokens
+const getAccountTokenConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    appUrl: (config.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, ''),
+    ttlMs: {
+      password_reset: parseInt(config.PASSWORD_RESET_TTL_MINUTES, 10) * 60 * 1000,
+      email_verification: parseInt(config.EMAIL_VERIFICATION_TTL_HOURS, 10) * 60 * 60 * 1000,
+      invitation: parseInt(config.INVITATION_TTL_DAYS, 10) * 24 * 60 * 60 * 1000
+    }
+  };
+};
+
+// Single sign-on: callback base, where users land afterwards and how long a login may take
+const getSsoConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    apiUrl: (config.API_PUBLIC_URL || `http://localhost:${config.PORT}`).replace(/\/+$/, ''),
+    appUrl: (config.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, ''),
+    loginTtlMs: parseInt(config.SSO_LOGIN_TTL_MINUTES, 10) * 60 * 1000
+  };
+};
+
+// TOTP issuer name, secret encryption key and two-step login limits
+const getMfaConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    issuer: config.MFA_ISSUER,
+    encryptionKey: config.MFA_ENCRYPTION_KEY,
+    challengeTtlMs: parseInt(config.MFA_CHALLENGE_TTL_MINUTES, 10) * 60 * 1000,
+    maxChallengeAttempts: parseInt(config.MFA_MAX_CHALLENGE_ATTEMPTS, 10),
+    recoveryCodeCount: parseInt(config.MFA_RECOVERY_CODE_COUNT, 10)
+  };
+};
+
+// Per-account and per-IP lockout with exponential backoff, and credential stuffing thresholds
+const getLoginThrottleConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    failureWindowMs: parseInt(config.LOGIN_FAILURE_WINDOW_HOURS, 10) * 60 * 60 * 1000,
+    accountThreshold: parseInt(config.LOGIN_ACCOUNT_LOCK_THRESHOLD, 10),
+    ipThreshold: parseInt(config.LOGIN_IP_LOCK_THRESHOLD, 10),
+    baseLockMs: parseInt(config.LOGIN_LOCK_BASE_SECONDS, 10) * 1000,
+    maxLockMs: parseInt(config.LOGIN_LOCK_MAX_MINUTES, 10) * 60 * 1000,
+    stuffingWindowMs: parseInt(config.CREDENTIAL_STUFFING_WINDOW_MINUTES, 10) * 60 * 1000,
+    stuffingIpAccounts: parseInt(config.CREDENTIAL_STUFFING_IP_ACCOUNTS, 10),
+    stuffingGlobalAccounts: parseInt(config.CREDENTIAL_STUFFING_GLOBAL_ACCOUNTS, 10)
+  };
+};
+
+// Temporary classroom access delegated between teachers
+const getDelegationConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    maxDurationMs: parseInt(config.DELEGATION_MAX_DAYS, 10) * 24 * 60 * 60 * 1000,
+    useNotifyIntervalMs: parseInt(config.DELEGATION_USE_NOTIFY_MINUTES, 10) * 60 * 1000
+  };
+};
+
+// Export archive storage, attachment location and completion certificate key for data subject requests
+const getDataRequestConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    exportDir: config.DATA_EXPORT_DIR,
+    archiveTtlMs: parseInt(config.DATA_EXPORT_TTL_DAYS, 10) * 24 * 60 * 60 * 1000,
+    attachmentDir: config.JOURNAL_ATTACHMENT_DIR,
+    signingKey: config.DATA_REQUEST_SIGNING_KEY
+  };
+};
+
+// Schedule and batch limits for the data retention engine
+const getRetentionConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    enabled: config.RETENTION_SCHEDULER_ENABLED !== false,
+    timezone: config.RETENTION_TIMEZONE,
+    schedule: config.RETENTION_CRON,
+    batchSize: parseInt(config.RETENTION_BATCH_SIZE, 10),
+    maxBatches: parseInt(config.RETENTION_MAX_BATCHES, 10)
+  };
+};
+
+// Who needs parental consent before AI and analytics features run
+const getConsentConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    enabled: config.COPPA_MODE !== false,
+    ageThreshold: parseInt(config.CONSENT_AGE_THRESHOLD, 10),
+    requireWhenAgeUnknown: config.CONSENT_REQUIRED_WHEN_AGE_UNKNOWN === true,
+    requestCooldownMs: parseInt(config.CONSENT_REQUEST_COOLDOWN_HOURS, 10) * 60 * 60 * 1000
+  };
+};
+
+// When assignment notifications go out
+const getAssignmentConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    remindersEnabled: config.ASSIGNMENT_REMINDERS_ENABLED !== false,
+    reminderHours: [...new Set(String(config.ASSIGNMENT_REMINDER_HOURS)
+      .split(',')
+      .map(hours => parseInt(hours.trim(), 10))
+      .filter(hours => hours > 0))]
+      .sort((a, b) => b - a),
+    sweepIntervalMs: parseInt(config.ASSIGNMENT_SWEEP_INTERVAL_MINUTES, 10) * 60 * 1000
+  };
+};
+
+// Schedule, model and thresholds for item response theory calibration
+const getCalibrationConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    enabled: config.IRT_CALIBRATION_ENABLED !== false,
+    timezone: config.IRT_TIMEZONE,
+    schedule: config.IRT_CALIBRATION_CRON,
+    model: String(config.IRT_MODEL).toLowerCase(),
+    windowDays: parseInt(config.IRT_WINDOW_DAYS, 10),
+    minTemplateStudents: parseInt(config.IRT_MIN_TEMPLATE_STUDENTS, 10),
+    minStudentTemplates: parseInt(config.IRT_MIN_STUDENT_TEMPLATES, 10),
+    targetSuccessRate: parseFloat(config.IRT_TARGET_SUCCESS_RATE)
+  };
+};
+
+const getReviewConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    enabled: config.REVIEWS_ENABLED !== false,
+    firstIntervalDays: parseFloat(config.REVIEW_FIRST_INTERVAL_DAYS),
+    maxIntervalDays: parseFloat(config.REVIEW_MAX_INTERVAL_DAYS),
+    masteredIntervalDays: parseFloat(config.REVIEW_MASTERED_INTERVAL_DAYS),
+    queueLimit: parseInt(config.REVIEW_QUEUE_LIMIT, 10)
+  };
+};
+
+const getSkillConfig = () => {
+  const config = getAllConfig();
+
+  return {
+    enabled: config.SKILLS_ENABLED !== false,
+    bkt: {
+      pInit: parseFloat(config.BKT_P_INIT),
+      pTransit: parseFloat(config.BKT_P_TRANSIT),
+      pSlip: parseFloat(config.BKT_P_SLIP),
+      pGuess: parseFloat(config.BKT_P_GUESS)
+    },
+    correctAccuracy: parseFloat(config.SKILL_CORRECT_ACCURACY),
+    masteryThreshold: parseFloat(config.SKILL_MASTERY_THRESHOLD)
   };
 };
 
@@ -385,6 +737,21 @@ module.exports = {
   getSecurityConfig,
   getVectorDbConfig,
   getAIConfig,
+  getEmbeddingConfig,
+  getNotificationChannelConfig,
+  getDigestConfig,
+  getAccountTokenConfig,
+  getSsoConfig,
+  getMfaConfig,
+  getLoginThrottleConfig,
+  getDelegationConfig,
+  getDataRequestConfig,
+  getRetentionConfig,
+  getConsentConfig,
+  getAssignmentConfig,
+  getCalibrationConfig,
+  getReviewConfig,
+  getSkillConfig,
   getPrivacyConfig,
   getLoggingConfig,
   getFeatureFlags,
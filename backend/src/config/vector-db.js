@@ -1,4 +1,5 @@
 const { ChromaClient } = require('chromadb');
+const { EmbeddingDimensionError } = require('../services/embedding-service');
 require('dotenv').config();
 
 // ChromaDB configuration
@@ -12,6 +13,7 @@ const config = {
 // Initialize ChromaDB client
 let chromaClient = null;
 let contextCollection = null;
+let collectionEmbeddingInfo = null; // Cached embedding space of contextCollection
 
 const initializeChromaClient = async () => {
   try {
@@ -67,6 +69,7 @@ const initializeContextCollection = async () => {
       }
     });
 
+    collectionEmbeddingInfo = null;
     console.log(`✅ Context collection '${config.collectionName}' ready`);
     return contextCollection;
   } catch (error) {
@@ -75,6 +78,79 @@ const initializeContextCollection = async () => {
   }
 };
 
+// Embedding space (provider, model, dimensions) the collection was built with
+const getCollectionEmbeddingInfo = async () => {
+  if (!contextCollection) {
+    await initializeContextCollection();
+  }
+
+  if (collectionEmbeddingInfo) {
+    return collectionEmbeddingInfo;
+  }
+
+  const metadata = contextCollection.metadata || {};
+  let dimensions = metadata.embedding_dimensions ? parseInt(metadata.embedding_dimensions, 10) : null;
+
+  // Collections created before embedding metadata was recorded: sample a stored vector instead
+  if (!dimensions) {
+    const sample = await contextCollection.get({ limit: 1, include: ['embeddings'] });
+    dimensions = sample.embeddings?.[0]?.length || null;
+  }
+
+  collectionEmbeddingInfo = {
+    provider: metadata.embedding_provider || null,
+    model: metadata.embedding_model || null,
+    dimensions
+  };
+  return collectionEmbeddingInfo;
+};
+
+// Record the embedding space on the collection (only fills in what is missing)
+const recordEmbeddingInfo = async (embeddingInfo) => {
+  if (!contextCollection) {
+    await initializeContextCollection();
+  }
+
+  const metadata = contextCollection.metadata || {};
+  if (metadata.embedding_dimensions) {
+    return;
+  }
+
+  await contextCollection.modify({
+    metadata: {
+      ...metadata,
+      embedding_provider: embeddingInfo.provider,
+      embedding_model: embeddingInfo.model,
+      embedding_dimensions: embeddingInfo.dimensions
+    }
+  });
+  collectionEmbeddingInfo = null;
+};
+
+// Reject vectors whose size differs from what the collection stores - Chroma would otherwise
+// fail with an opaque error on add, or compare against the wrong space on query
+const validateEmbeddingDimensions = async (embedding, embeddingInfo = null) => {
+  const collectionInfo = await getCollectionEmbeddingInfo();
+
+  if (collectionInfo.dimensions && embedding.length !== collectionInfo.dimensions) {
+    throw new EmbeddingDimensionError(
+      `Embedding has ${embedding.length} dimensions but collection '${config.collectionName}' ` +
+      `stores ${collectionInfo.dimensions}-dimensional vectors` +
+      `${collectionInfo.model ? ` (${collectionInfo.provider}/${collectionInfo.model})` : ''}. ` +
+      'Run `npm run reembed-contexts` after changing the embedding provider.',
+      embeddingInfo?.provider || 'service',
+      collectionInfo.dimensions,
+      embedding.length
+    );
+  }
+
+  if (collectionInfo.model && embeddingInfo?.model && collectionInfo.model !== embeddingInfo.model) {
+    console.warn(`⚠️  Embedding model ${embeddingInfo.model} differs from collection model ${collectionInfo.model}; similarity results may be unreliable`);
+  }
+
+  return collectionInfo;
+};
+
 // Store learning context (embeddings + metadata)
 const storeContext = async (data) => {
   try {
@@ -86,6 +162,7 @@ const storeContext = async (data) => {
       id,
       content,
       embedding,
+      embeddingInfo = null,
       metadata = {}
     } = data;
 
@@ -94,6 +171,11 @@ const storeContext = async (data) => {
       throw new Error('Missing required fields: id, content, or embedding');
     }
 
+    const collectionInfo = await validateEmbeddingDimensions(embedding, embeddingInfo);
+    if (embeddingInfo && !collectionInfo.dimensions) {
+      await recordEmbeddingInfo(embeddingInfo);
+    }
+
     // Add timestamp and additional metadata
     const enrichedMetadata = {
       ...metadata,
@@ -128,9 +210,12 @@ const queryContext = async (queryEmbedding, options = {}) => {
     const {
       nResults = 5,
       where = {},
-      include = ['documents', 'metadatas', 'distances']
+      include = ['documents', 'metadatas', 'distances'],
+      embeddingInfo = null
     } = options;
 
+    await validateEmbeddingDimensions(queryEmbedding, embeddingInfo);
+
     const results = await contextCollection.query({
       queryEmbeddings: [queryEmbedding],
       nResults,
@@ -209,6 +294,58 @@ const deleteContext = async (id) => {
   }
 };
 
+// Get every context stored for a student, in pages (data subject exports)
+const getAllStudentContexts = async (studentId, { pageSize = 500 } = {}) => {
+  try {
+    if (!contextCollection) {
+      await initializeContextCollection();
+    }
+
+    const contexts = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const results = await contextCollection.get({
+        where: { student_id: studentId },
+        limit: pageSize,
+        offset,
+        include: ['documents', 'metadatas']
+      });
+      const ids = results.ids || [];
+      ids.forEach((id, index) => contexts.push({
+        id,
+        document: (results.documents || [])[index] || null,
+        metadata: (results.metadatas || [])[index] || {}
+      }));
+      if (ids.length < pageSize) break;
+    }
+
+    return contexts;
+  } catch (error) {
+    console.error('❌ Failed to get student contexts:', error);
+    throw error;
+  }
+};
+
+// Delete every context stored for a student (data subject erasure)
+const deleteStudentContexts = async (studentId) => {
+  try {
+    if (!contextCollection) {
+      await initializeContextCollection();
+    }
+
+    const existing = await contextCollection.get({ where: { student_id: studentId } });
+    const ids = existing.ids || [];
+    if (ids.length > 0) {
+      await contextCollection.delete({ ids });
+    }
+
+    console.log(`✅ Deleted ${ids.length} contexts for student ${studentId}`);
+    return { studentId, deleted: ids.length };
+  } catch (error) {
+    console.error('❌ Failed to delete student contexts:', error);
+    throw error;
+  }
+};
+
 // Get collection statistics
 const getCollectionStats = async () => {
   try {
@@ -217,10 +354,12 @@ const getCollectionStats = async () => {
     }
 
     const count = await contextCollection.count();
+    const embedding = await getCollectionEmbeddingInfo();
     
     return {
       collection_name: config.collectionName,
       total_contexts: count,
+      embedding,
       status: 'healthy'
     };
   } catch (error) {
@@ -246,6 +385,7 @@ const resetCollection = async () => {
     }
 
     // Recreate collection
+    collectionEmbeddingInfo = null;
     await initializeContextCollection();
     console.log(`✅ Collection ${config.collectionName} reset successfully`);
     
@@ -256,6 +396,84 @@ const resetCollection = async () => {
   }
 };
 
+// Re-embed every stored context into a fresh collection, then swap it in under the configured name.
+// Vector sizes are fixed per Chroma collection, so changing providers cannot be done in place.
+const reembedCollection = async ({ embedMany, embeddingInfo, batchSize = 100, dryRun = false, onProgress = null }) => {
+  if (!contextCollection) {
+    await initializeContextCollection();
+  }
+
+  const source = contextCollection;
+  const total = await source.count();
+  const previousInfo = await getCollectionEmbeddingInfo();
+
+  if (dryRun) {
+    return { dryRun: true, total, from: previousInfo, to: embeddingInfo };
+  }
+
+  const stagingName = `${config.collectionName}_reembed_${Date.now()}`;
+  const target = await chromaClient.createCollection({
+    name: stagingName,
+    metadata: {
+      ...(source.metadata || {}),
+      embedding_provider: embeddingInfo.provider,
+      embedding_model: embeddingInfo.model,
+      embedding_dimensions: embeddingInfo.dimensions,
+      reembedded_at: new Date().toISOString()
+    }
+  });
+
+  let processed = 0;
+  try {
+    for (let offset = 0; offset < total; offset += batchSize) {
+      const batch = await source.get({ limit: batchSize, offset, include: ['documents', 'metadatas'] });
+      if (!batch.ids || batch.ids.length === 0) {
+        break;
+      }
+
+      const embeddings = await embedMany(batch.documents);
+      const mismatch = embeddings.find(e => e.length !== embeddingInfo.dimensions);
+      if (mismatch) {
+        throw new EmbeddingDimensionError(
+          `Re-embedding produced ${mismatch.length}-dimensional vectors, expected ${embeddingInfo.dimensions}`,
+          embeddingInfo.provider,
+          embeddingInfo.dimensions,
+          mismatch.length
+        );
+      }
+
+      await target.add({
+        ids: batch.ids,
+        documents: batch.documents,
+        embeddings,
+        metadatas: batch.metadatas
+      });
+
+      processed += batch.ids.length;
+      if (onProgress) {
+        onProgress({ processed, total });
+      }
+    }
+
+    const copied = await target.count();
+    if (copied !== total) {
+      throw new Error(`Re-embedded collection has ${copied} contexts, expected ${total}`);
+    }
+  } catch (error) {
+    await chromaClient.deleteCollection({ name: stagingName }).catch(() => {});
+    throw error;
+  }
+
+  // Swap: drop the old collection and give the staging collection its name
+  await chromaClient.deleteCollection({ name: config.collectionName });
+  await target.modify({ name: config.collectionName, metadata: target.metadata });
+  contextCollection = target;
+  collectionEmbeddingInfo = null;
+
+  console.log(`✅ Re-embedded ${processed} contexts into '${config.collectionName}'`);
+  return { dryRun: false, total, processed, from: previousInfo, to: embeddingInfo };
+};
+
 module.exports = {
   config,
   initializeChromaClient,
@@ -265,8 +483,13 @@ module.exports = {
   queryContext,
   getStudentContext,
   deleteContext,
+  getAllStudentContexts,
+  deleteStudentContexts,
   getCollectionStats,
   resetCollection,
+  getCollectionEmbeddingInfo,
+  validateEmbeddingDimensions,
+  reembedCollection,
   // Expose clients for advanced usage
   getClient: () => chromaClient,
   getCollection: () => contextCollection
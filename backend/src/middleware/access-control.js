@@ -205,7 +205,7 @@ class RelationshipValidator {
       if (userRole === 'admin') return { allowed: true, reason: 'admin_access' };
 
       // Student can access their own data
-      if (userRole === 'student' && userId === parseInt(studentId)) {
+      if (userRole === 'student' && String(userId) === String(studentId)) {
         return { allowed: true, reason: 'self_access' };
       }
 
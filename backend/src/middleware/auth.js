@@ -1,6 +1,7 @@
 const { verifyToken, getUserById } = require('../services/auth-service');
 const { AccessControlService } = require('../services/access-control-service');
-const { AccessControlAudit } = require('./access-control');
+const { DELEGATION_SCOPES } = require('../services/delegation-rules');
+const { AccessControlAudit, RelationshipValidator } = require('./access-control');
 
 // Extract token from request headers
 const extractTokenFromHeader = (req) => {
@@ -18,40 +19,38 @@ const extractTokenFromHeader = (req) => {
   return authHeader;
 };
 
-// Enhanced authentication middleware with access control integration
-const authenticateJWT = async (req, res, next) => {
-  try {
-    // Extract token from header
-    const token = extractTokenFromHeader(req);
+// Failure reasons from resolveTokenUser, mapped to the HTTP error body
+const TOKEN_FAILURES = {
+  invalid_token: 'Invalid token',
+  user_not_found: 'User not found',
+  account_inactive: 'Account inactive'
+};
+
+// Resolve the user an access token belongs to (shared by HTTP requests and WebSocket upgrades)
+const resolveTokenUser = async (token) => {
+  // Development mode: Handle demo tokens
+  if (process.env.NODE_ENV === 'development' && token.startsWith('demo-token-')) {
+    console.log('🔧 DEV MODE: Using demo token authentication');
     
-    if (!token) {
-      await AccessControlAudit.logAccessAttempt(req, 'authentication', 'login', 'denied', 'no_token');
-      return res.status(401).json({
-        error: 'Authentication required',
-        message: 'No token provided'
-      });
-    }
+    // Create demo user for development
+    const demoUser = {
+      id: 'demo-user-1',
+      email: 'demo@mentra.com',
+      role: 'student',
+      status: 'active',
+      first_name: 'Demo',
+      last_name: 'User',
+      grade_level: '8th',
+      learning_style: 'visual',
+      school_name: 'Demo School',
+      subjects_taught: null,
+      relationship_type: null
+    };
 
-    // Development mode: Handle demo tokens
-    if (process.env.NODE_ENV === 'development' && token.startsWith('demo-token-')) {
-      console.log('🔧 DEV MODE: Using demo token authentication');
-      
-      // Create demo user for development
-      const demoUser = {
-        id: 'demo-user-1',
-        email: 'demo@mentra.com',
-        role: 'student',
-        status: 'active',
-        first_name: 'Demo',
-        last_name: 'User',
-        grade_level: '8th',
-        learning_style: 'visual',
-        school_name: 'Demo School',
-        subjects_taught: null,
-        relationship_type: null
-      };
-
-      req.user = {
+    console.log('✅ Demo user authenticated:', demoUser.email);
+
+    return {
+      user: {
         id: demoUser.id,
         email: demoUser.email,
         role: demoUser.role,
@@ -66,50 +65,33 @@ const authenticateJWT = async (req, res, next) => {
           relationship_type: demoUser.relationship_type
         },
         permissions: ['read:own_data', 'write:own_data'] // Basic permissions for demo
-      };
-      
-      req.token = {
-        raw: token,
-        decoded: { id: demoUser.id, role: demoUser.role }
-      };
-
-      console.log('✅ Demo user authenticated:', demoUser.email);
-      return next();
-    }
+      },
+      decoded: { id: demoUser.id, role: demoUser.role },
+      demo: true
+    };
+  }
 
-    // Verify token
-    const tokenVerification = verifyToken(token, 'access');
-    
-    if (!tokenVerification.valid) {
-      await AccessControlAudit.logAccessAttempt(req, 'authentication', 'login', 'denied', 'invalid_token');
-      return res.status(401).json({
-        error: 'Invalid token',
-        message: tokenVerification.error
-      });
-    }
+  // Verify token
+  const tokenVerification = verifyToken(token, 'access');
+  
+  if (!tokenVerification.valid) {
+    return { failure: 'invalid_token', message: tokenVerification.error };
+  }
 
-    // Get user details from database
-    const user = await getUserById(tokenVerification.decoded.id);
-    
-    if (!user) {
-      await AccessControlAudit.logAccessAttempt(req, 'authentication', 'login', 'denied', 'user_not_found');
-      return res.status(401).json({
-        error: 'User not found',
-        message: 'Token refers to non-existent user'
-      });
-    }
+  // Get user details from database
+  const user = await getUserById(tokenVerification.decoded.id);
+  
+  if (!user) {
+    return { failure: 'user_not_found', message: 'Token refers to non-existent user' };
+  }
 
-    // Check if user is active
-    if (user.status !== 'active') {
-      await AccessControlAudit.logAccessAttempt(req, 'authentication', 'login', 'denied', 'account_inactive');
-      return res.status(401).json({
-        error: 'Account inactive',
-        message: 'User account is not active'
-      });
-    }
+  // Check if user is active
+  if (user.status !== 'active') {
+    return { failure: 'account_inactive', message: 'User account is not active' };
+  }
 
-    // Add enhanced user information to request object
-    req.user = {
+  return {
+    user: {
       id: user.id,
       email: user.email,
       role: user.role,
@@ -124,13 +106,48 @@ const authenticateJWT = async (req, res, next) => {
         relationship_type: user.relationship_type
       },
       permissions: await AccessControlService.getUserPermissions(user.id, user.role)
-    };
+    },
+    decoded: tokenVerification.decoded
+  };
+};
+
+// Enhanced authentication middleware with access control integration
+const authenticateJWT = async (req, res, next) => {
+  try {
+    // Extract token from header
+    const token = extractTokenFromHeader(req);
+    
+    if (!token) {
+      await AccessControlAudit.logAccessAttempt(req, 'authentication', 'login', 'denied', 'no_token');
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'No token provided'
+      });
+    }
+
+    const result = await resolveTokenUser(token);
+
+    if (result.failure) {
+      await AccessControlAudit.logAccessAttempt(req, 'authentication', 'login', 'denied', result.failure);
+      return res.status(401).json({
+        error: TOKEN_FAILURES[result.failure],
+        message: result.message
+      });
+    }
+
+    // Add enhanced user information to request object
+    req.user = result.user;
     
     req.token = {
       raw: token,
-      decoded: tokenVerification.decoded
+      decoded: result.decoded
     };
 
+    // Demo tokens skip the audit log
+    if (result.demo) {
+      return next();
+    }
+
     // Log successful authentication
     await AccessControlAudit.logAccessAttempt(req, 'authentication', 'login', 'granted', 'valid_token');
     
@@ -303,8 +320,21 @@ const requireSelfOrAdmin = (req, res, next) => {
   next();
 };
 
-// Enhanced student data access middleware with new access control system
-const requireStudentDataAccess = async (req, res, next) => {
+/**
+ * Whether a user may read a student's data: admins, the student, assigned teachers and
+ * linked parents. With a scope (problems, goals...), substitute teachers also get in
+ * through an active delegation for it.
+ */
+const checkStudentDataAccess = async (user, studentId, scope = null) => {
+  const validation = await RelationshipValidator.validateStudentAccess(user.id, user.role, studentId);
+  if (validation.allowed || !scope || user.role !== 'teacher' || !studentId) {
+    return validation;
+  }
+  return AccessControlService.validateResourceAccess(user.id, user.role, scope, studentId, 'read');
+};
+
+// Student data access middleware for :studentId (or :id) routes; see checkStudentDataAccess
+const studentDataAccess = (scope = null) => async (req, res, next) => {
   try {
     if (!req.user) {
       await AccessControlAudit.logAccessAttempt(req, 'student_data', 'read', 'denied', 'no_authentication');
@@ -315,17 +345,7 @@ const requireStudentDataAccess = async (req, res, next) => {
     }
 
     const targetStudentId = req.params.studentId || req.params.id;
-    const userRole = req.user.role;
-    const userId = req.user.id;
-
-    // Use the new access control service for validation
-    const validation = await AccessControlService.validateResourceAccess(
-      userId, 
-      userRole, 
-      'student_data', 
-      targetStudentId, 
-      'read'
-    );
+    const validation = await checkStudentDataAccess(req.user, targetStudentId, scope);
 
     if (!validation.allowed) {
       await AccessControlAudit.logAccessAttempt(
@@ -356,6 +376,14 @@ const requireStudentDataAccess = async (req, res, next) => {
   }
 };
 
+const requireStudentDataAccess = studentDataAccess();
+const requireScopedStudentDataAccess = (scope) => {
+  if (!DELEGATION_SCOPES.includes(scope)) {
+    throw new Error(`Unknown student data scope: ${scope}`);
+  }
+  return studentDataAccess(scope);
+};
+
 // Data filtering middleware factory
 const applyDataFiltering = (options = {}) => {
   return async (req, res, next) => {
@@ -461,6 +489,8 @@ const validateSession = async (req, res, next) => {
 module.exports = {
   authenticateToken: authenticateJWT, // Maintain backwards compatibility
   authenticateJWT,
+  resolveTokenUser,
+  extractTokenFromHeader,
   optionalAuth,
   requireRole,
   requirePermission,
@@ -472,6 +502,8 @@ module.exports = {
   requireParentOrTeacher,
   requireSelfOrAdmin,
   requireStudentDataAccess,
+  requireScopedStudentDataAccess,
+  checkStudentDataAccess,
   applyDataFiltering,
   validateSession,
   extractTokenFromHeader
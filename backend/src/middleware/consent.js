@@ -0,0 +1,57 @@
+const { ENFORCEMENT, isId } = require('../services/consent-rules');
+const { getConsentService } = require('../services/consent-service');
+
+/**
+ * Hold a feature back until a parent has consented to `itemKey` (see consent-rules.js).
+ * The student is the signed-in student, or for staff and parents the :studentId route
+ * parameter (routes without one, and ids that are not accounts like the demo user's, are
+ * not checked). 'block' items answer 403; 'degrade' items carry on with the result in
+ * req.consent for the route to check with hasConsent.
+ */
+const requireConsent = (itemKey, { studentParam = 'studentId' } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Must be authenticated to access this resource'
+      });
+    }
+
+    const studentId = req.user.role === 'student' ? req.user.id : req.params[studentParam];
+    if (!studentId || !isId(String(studentId))) {
+      return next();
+    }
+
+    try {
+      const consent = await getConsentService().checkConsent(studentId, itemKey);
+      req.consent = { ...(req.consent || {}), [itemKey]: consent };
+
+      if (consent.allowed || consent.enforcement === ENFORCEMENT.DEGRADE) {
+        return next();
+      }
+
+      return res.status(403).json({
+        error: 'Parental consent required',
+        code: 'PARENTAL_CONSENT_REQUIRED',
+        message: req.user.role === 'student'
+          ? 'A parent needs to give consent before you can use this feature'
+          : 'A parent has not given consent for this feature for this student',
+        consent: { item: itemKey, status: consent.status }
+      });
+    } catch (error) {
+      console.error('Parental consent check error:', error);
+      return res.status(500).json({
+        error: 'Authorization error',
+        message: 'Error checking parental consent'
+      });
+    }
+  };
+};
+
+// Whether a degraded feature may use `itemKey` on this request
+const hasConsent = (req, itemKey) => !req.consent || !req.consent[itemKey] || req.consent[itemKey].allowed;
+
+module.exports = {
+  requireConsent,
+  hasConsent
+};
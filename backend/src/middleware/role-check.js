@@ -26,15 +26,18 @@ const requireClassroomAccess = async (req, res, next) => {
       return next();
     }
 
-    // Teacher can access their own classrooms
+    // Teacher can access classrooms they own or co-teach
     if (userRole === 'teacher') {
       const teacherQuery = `
-        SELECT id FROM classrooms 
-        WHERE id = $1 AND teacher_id = $2
+        SELECT c.id FROM classrooms c
+        WHERE c.id = $1 AND (c.teacher_id::text = $2 OR EXISTS (
+          SELECT 1 FROM teacher_classrooms tc
+          WHERE tc.classroom_id = c.id AND tc.teacher_id::text = $2 AND tc.status = 'active'
+        ))
       `;
       
       const [result] = await sequelize.query(teacherQuery, {
-        replacements: [classroomId, userId]
+        replacements: [classroomId, String(userId)]
       });
 
       if (result.length > 0) {
@@ -149,7 +152,8 @@ const requireParentChildRelationship = async (req, res, next) => {
   }
 };
 
-// Middleware to ensure teacher can access their students
+// Middleware to ensure teacher can access their students. Permanent enrolment only:
+// delegated access goes through AccessControlService and never covers journals.
 const requireTeacherStudentRelationship = async (req, res, next) => {
   try {
     if (!req.user) {
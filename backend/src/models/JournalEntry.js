@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const { getPrivacyManager } = require('../services/privacy-manager');
+const { getJournalEncryptionService } = require('../services/journal-encryption-service');
 const { activityMonitor } = require('../services/activity-monitor');
 
 class JournalEntryModel {
@@ -9,6 +10,7 @@ class JournalEntryModel {
       ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     });
     this.privacyManager = getPrivacyManager();
+    this.encryptionService = getJournalEncryptionService();
   }
 
   // Create a new journal entry with encryption
@@ -35,22 +37,8 @@ class JournalEntryModel {
       const wordCount = plainTextContent ? plainTextContent.split(/\s+/).length : 0;
       const readingTimeMinutes = Math.ceil(wordCount / 200);
 
-      // Generate encryption key for this entry
-      const encryptionKeyId = await this.generateEncryptionKey(studentId);
-      const encryptionKey = await this.getEncryptionKey(encryptionKeyId);
-
-      // Encrypt content using database functions
-      const encryptedContentResult = await client.query(
-        'SELECT encrypt_journal_content($1, $2) as encrypted_content',
-        [content, encryptionKey]
-      );
-      const encryptedContent = encryptedContentResult.rows[0].encrypted_content;
-
-      const encryptedPlainTextResult = await client.query(
-        'SELECT encrypt_journal_content($1, $2) as encrypted_plain_text',
-        [plainTextContent, encryptionKey]
-      );
-      const encryptedPlainText = encryptedPlainTextResult.rows[0].encrypted_plain_text;
+      // Encrypt content with the student's data key
+      const encrypted = await this.encryptFields(studentId, content, plainTextContent);
 
       // Generate content hash for integrity
       const contentHashResult = await client.query(
@@ -72,10 +60,10 @@ class JournalEntryModel {
         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), $14)
         RETURNING id, created_at
       `, [
-        studentId, title, encryptedContent, encryptedPlainText, contentHash,
+        studentId, title, encrypted.content, encrypted.plainText, contentHash,
         wordCount, readingTimeMinutes, privacyLevel,
         isPrivate, isShareableWithTeacher, isShareableWithParent,
-        'aes256', encryptionKeyId, 1
+        encrypted.encryptionMethod, encrypted.keyId, encrypted.encryptionVersion
       ]);
 
       const entryId = entryResult.rows[0].id;
@@ -134,9 +122,10 @@ class JournalEntryModel {
         lastEditedAt: createdAt,
         encryptionMetadata: {
           isEncrypted: true,
-          encryptionMethod: 'aes256',
+          encryptionMethod: encrypted.encryptionMethod,
+          encryptionVersion: encrypted.encryptionVersion,
           encryptedAt: new Date(),
-          keyId: encryptionKeyId
+          keyId: encrypted.keyId
         }
       };
 
@@ -178,29 +167,20 @@ class JournalEntryModel {
         throw new Error('Access denied to this journal entry');
       }
 
-      // Decrypt content
-      const encryptionKey = await this.getEncryptionKey(entry.encryption_key_id);
-      
+      // Decrypt content (version 1 entries are still pgcrypto until key rotation re-encrypts them)
+      const encryptionInfo = {
+        studentId: entry.student_id,
+        keyId: entry.encryption_key_id,
+        encryptionVersion: entry.encryption_version
+      };
+
       let content = null;
       let plainTextContent = null;
       let decryptionSuccessful = true;
 
       try {
-        if (entry.encrypted_content) {
-          const decryptedContentResult = await client.query(
-            'SELECT decrypt_journal_content($1, $2) as content',
-            [entry.encrypted_content, encryptionKey]
-          );
-          content = decryptedContentResult.rows[0].content;
-        }
-
-        if (entry.encrypted_plain_text) {
-          const decryptedPlainTextResult = await client.query(
-            'SELECT decrypt_journal_content($1, $2) as plain_text',
-            [entry.encrypted_plain_text, encryptionKey]
-          );
-          plainTextContent = decryptedPlainTextResult.rows[0].plain_text;
-        }
+        content = await this.encryptionService.decryptStoredContent(client, entry.encrypted_content, encryptionInfo);
+        plainTextContent = await this.encryptionService.decryptStoredContent(client, entry.encrypted_plain_text, encryptionInfo);
       } catch (decryptError) {
         console.error('Decryption failed:', decryptError);
         decryptionSuccessful = false;
@@ -240,6 +220,7 @@ class JournalEntryModel {
         encryptionMetadata: {
           isEncrypted: true,
           encryptionMethod: entry.encryption_method,
+          encryptionVersion: entry.encryption_version,
           encryptedAt: entry.encrypted_at,
           keyId: entry.encryption_key_id,
           decryptionSuccessful
@@ -392,18 +373,38 @@ class JournalEntryModel {
       let updateValues = [];
       let paramCount = 0;
 
-      // Handle content updates (re-encrypt if content changed)
-      if (content !== undefined) {
-        const encryptionKey = await this.getEncryptionKey(existing.encryptionMetadata.keyId);
-        
-        paramCount++;
-        const encryptedContentResult = await client.query(
-          'SELECT encrypt_journal_content($1, $2) as encrypted_content',
-          [content, encryptionKey]
+      // Re-encrypt both fields under the student's active key if either changed,
+      // so the entry never mixes ciphertext from two keys
+      if (content !== undefined || plainTextContent !== undefined) {
+        if (!existing.encryptionMetadata.decryptionSuccessful &&
+            (content === undefined || plainTextContent === undefined)) {
+          throw new Error('Cannot update an entry whose existing content could not be decrypted');
+        }
+
+        const encrypted = await this.encryptFields(
+          existing.studentId,
+          content !== undefined ? content : existing.content,
+          plainTextContent !== undefined ? plainTextContent : existing.plainTextContent
         );
-        updateFields.push(`encrypted_content = $${paramCount}`);
-        updateValues.push(encryptedContentResult.rows[0].encrypted_content);
 
+        const encryptionColumns = {
+          encrypted_content: encrypted.content,
+          encrypted_plain_text: encrypted.plainText,
+          encryption_method: encrypted.encryptionMethod,
+          encryption_key_id: encrypted.keyId,
+          encryption_version: encrypted.encryptionVersion
+        };
+
+        for (const [column, value] of Object.entries(encryptionColumns)) {
+          paramCount++;
+          updateFields.push(`${column} = $${paramCount}`);
+          updateValues.push(value);
+        }
+        updateFields.push('encrypted_at = NOW()');
+      }
+
+      // Handle content updates
+      if (content !== undefined) {
         // Update content hash
         paramCount++;
         const contentHashResult = await client.query(
@@ -424,18 +425,6 @@ class JournalEntryModel {
         updateValues.push(Math.ceil(wordCount / 200));
       }
 
-      if (plainTextContent !== undefined) {
-        const encryptionKey = await this.getEncryptionKey(existing.encryptionMetadata.keyId);
-        
-        paramCount++;
-        const encryptedPlainTextResult = await client.query(
-          'SELECT encrypt_journal_content($1, $2) as encrypted_plain_text',
-          [plainTextContent, encryptionKey]
-        );
-        updateFields.push(`encrypted_plain_text = $${paramCount}`);
-        updateValues.push(encryptedPlainTextResult.rows[0].encrypted_plain_text);
-      }
-
       // Handle other field updates
       if (title !== undefined) {
         paramCount++;
@@ -592,34 +581,20 @@ class JournalEntryModel {
     }
   }
 
-  // Encryption key management
-  async generateEncryptionKey(studentId) {
-    // In a production system, this would integrate with a proper key management service
-    // For now, we'll use a simple approach
-    const keyId = `student_${studentId}_${Date.now()}`;
-    
-    const client = await this.pool.connect();
-    
-    try {
-      await client.query(`
-        INSERT INTO journal_encryption_keys (key_id, encryption_algorithm, created_by, activated_at)
-        VALUES ($1, $2, $3, NOW())
-      `, [keyId, 'aes256', studentId]);
-
-      return keyId;
-    } catch (error) {
-      console.error('Error generating encryption key:', error);
-      throw error;
-    } finally {
-      client.release();
-    }
-  }
+  // Encrypt content and plain text with the student's active data key (AES-256-GCM)
+  async encryptFields(studentId, content, plainTextContent) {
+    const encryptedContent = await this.encryptionService.encrypt(content, studentId);
+    const encryptedPlainText = plainTextContent === null || plainTextContent === undefined
+      ? null
+      : await this.encryptionService.encrypt(plainTextContent, studentId);
 
-  async getEncryptionKey(keyId) {
-    // In a production system, this would retrieve the actual key from a secure key store
-    // For development, we'll use a deterministic key based on the keyId and environment
-    const baseKey = process.env.JOURNAL_ENCRYPTION_KEY || 'default_journal_encryption_key_for_development';
-    return `${baseKey}_${keyId}`;
+    return {
+      content: encryptedContent.ciphertext,
+      plainText: encryptedPlainText ? encryptedPlainText.ciphertext : null,
+      keyId: encryptedContent.keyId,
+      encryptionMethod: encryptedContent.encryptionMethod,
+      encryptionVersion: encryptedContent.encryptionVersion
+    };
   }
 
   // Stub methods for emotional state, tags, and attachments
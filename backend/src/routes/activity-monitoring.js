@@ -0,0 +1,231 @@
+// Activity Monitoring API Routes
+// Suspicious activity review, student risk profile history and alert handling for admins and teachers
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { activityMonitor } = require('../services/activity-monitor');
+const { ALERT_STATUS } = require('../services/activity-monitor-store');
+
+const router = express.Router();
+
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Admins see every student; teachers only their assigned students
+const reviewers = roleCheck(['admin', 'teacher']);
+const teacherScopeFor = (user) => (user.role === 'admin' ? null : user.id);
+
+// Monitoring data only exists when the monitor has a database
+const requireStore = (req, res, next) => {
+  if (!activityMonitor.store) {
+    return res.status(503).json({
+      success: false,
+      message: 'Activity monitoring storage is not configured'
+    });
+  }
+  next();
+};
+
+// Shared query parsing; returns { errors } or the parsed filters and page
+const parseListQuery = (query, { enums = {} } = {}) => {
+  const errors = [];
+  const filters = {};
+
+  for (const key of ['since', 'until']) {
+    if (query[key] !== undefined) {
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) {
+        errors.push(`${key} must be a date`);
+      } else {
+        filters[key] = date.toISOString();
+      }
+    }
+  }
+
+  for (const [key, allowed] of Object.entries(enums)) {
+    if (query[key] !== undefined) {
+      if (!allowed.includes(query[key])) {
+        errors.push(`${key} must be one of: ${allowed.join(', ')}`);
+      } else {
+        filters[key] = query[key];
+      }
+    }
+  }
+
+  return {
+    errors,
+    filters,
+    page: { limit: query.limit, offset: query.offset }
+  };
+};
+
+const sendMonitoringError = (res, error, message) => {
+  if (error.type === 'INVALID_STATUS') {
+    return res.status(409).json({ success: false, message: error.message, status: error.details.status });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * GET /activity-monitoring/suspicious-activities
+ * Flagged activities, newest first (?studentId=&riskLevel=&escalated=&since=&until=&limit=&offset=)
+ */
+router.get('/suspicious-activities', auth, reviewers, requireStore, async (req, res) => {
+  try {
+    const { errors, filters, page } = parseListQuery(req.query, { enums: { riskLevel: RISK_LEVELS } });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid filters', errors });
+    }
+
+    const result = await activityMonitor.store.listSuspiciousActivities({
+      ...filters,
+      studentId: req.query.studentId || null,
+      escalated: req.query.escalated === undefined ? null : req.query.escalated === 'true',
+      teacherId: teacherScopeFor(req.user)
+    }, page);
+
+    res.json({
+      success: true,
+      data: result.activities,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    sendMonitoringError(res, error, 'Failed to fetch suspicious activities');
+  }
+});
+
+/**
+ * GET /activity-monitoring/students/:studentId/risk-profile
+ * Current risk profile plus its history after each activity (?since=&until=&limit=&offset=)
+ */
+router.get('/students/:studentId/risk-profile', auth, reviewers, requireStore, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (req.user.role === 'teacher') {
+      const assigned = await activityMonitor.store.isStudentAssignedToTeacher(req.user.id, studentId);
+      if (!assigned) {
+        return res.status(403).json({ success: false, message: 'Student is not assigned to you' });
+      }
+    }
+
+    const { errors, filters, page } = parseListQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid filters', errors });
+    }
+
+    const [current, result] = await Promise.all([
+      activityMonitor.store.getLatestRiskProfile(studentId),
+      activityMonitor.store.getRiskProfileHistory(studentId, filters, page)
+    ]);
+
+    if (!current) {
+      return res.status(404).json({ success: false, message: 'No monitored activity for this student' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        studentId,
+        current,
+        history: result.history
+      },
+      pagination: result.pagination
+    });
+  } catch (error) {
+    sendMonitoringError(res, error, 'Failed to fetch risk profile');
+  }
+});
+
+/**
+ * GET /activity-monitoring/alerts
+ * Monitor alerts, newest first (?status=&severity=&riskLevel=&studentId=&since=&until=&limit=&offset=)
+ */
+router.get('/alerts', auth, reviewers, requireStore, async (req, res) => {
+  try {
+    const { errors, filters, page } = parseListQuery(req.query, {
+      enums: {
+        status: Object.values(ALERT_STATUS),
+        severity: RISK_LEVELS,
+        riskLevel: RISK_LEVELS
+      }
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid filters', errors });
+    }
+
+    const result = await activityMonitor.store.listAlerts({
+      ...filters,
+      studentId: req.query.studentId || null,
+      teacherId: teacherScopeFor(req.user)
+    }, page);
+
+    res.json({
+      success: true,
+      data: result.alerts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    sendMonitoringError(res, error, 'Failed to fetch alerts');
+  }
+});
+
+/**
+ * POST /activity-monitoring/alerts/:alertId/acknowledge
+ * Acknowledge an active or escalated alert ({ notes })
+ */
+router.post('/alerts/:alertId/acknowledge', auth, reviewers, requireStore, async (req, res) => {
+  try {
+    const alert = await activityMonitor.store.acknowledgeAlert(req.params.alertId, req.user.id, {
+      notes: req.body.notes || null,
+      teacherId: teacherScopeFor(req.user)
+    });
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    // Keep the in-memory copy in step
+    activityMonitor.acknowledgeAlert(alert.monitorAlertId, req.user.id);
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    sendMonitoringError(res, error, 'Failed to acknowledge alert');
+  }
+});
+
+/**
+ * POST /activity-monitoring/alerts/:alertId/escalate
+ * Escalate an active or acknowledged alert to administrators ({ reason })
+ */
+router.post('/alerts/:alertId/escalate', auth, reviewers, requireStore, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+
+    const alert = await activityMonitor.store.escalateAlert(req.params.alertId, req.user.id, {
+      reason: reason.trim(),
+      teacherId: teacherScopeFor(req.user)
+    });
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Alert not found' });
+    }
+
+    console.warn(`🚨 ALERT ESCALATED: ${alert.message} (student ${alert.studentId}) by ${req.user.role} ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    sendMonitoringError(res, error, 'Failed to escalate alert');
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,16 @@
 const express = require('express');
 const { authenticateJWT } = require('../middleware/auth');
+const { RelationshipValidator } = require('../middleware/access-control');
 const { roleCheck } = require('../middleware/role-check');
+const { requireConsent } = require('../middleware/consent');
 const { ScaffoldingEngine } = require('../services/scaffolding-engine');
-const { AIService } = require('../services/ai-service');
+const { AIService, getAIService } = require('../services/ai-service');
 const { SafetyFilter } = require('../services/safety-filter');
+const { getAITutorSessionService, getDemoTutorSessionStore } = require('../services/ai-tutor-session-service');
+const crypto = require('crypto');
 
 const router = express.Router();
 
-// Mock data for development - in production this would come from database
-const mockSessions = new Map();
 const mockSuggestedQuestions = {
   math: [
     "I'm struggling with fractions - can you help me understand them?",
@@ -52,6 +54,14 @@ const mockSuggestedQuestions = {
 const scaffoldingEngine = new ScaffoldingEngine();
 const safetyFilter = new SafetyFilter();
 
+// Demo accounts have no users row, so their sessions live in memory; everyone else is persisted
+const getSessionStore = (userId) => {
+  if (process.env.NODE_ENV === 'development' && userId === 'demo-user-1') {
+    return getDemoTutorSessionStore();
+  }
+  return getAITutorSessionService();
+};
+
 // GET /api/ai-tutor/suggested-questions - Get suggested starter questions
 router.get('/suggested-questions', authenticateJWT, roleCheck(['student']), async (req, res) => {
   try {
@@ -76,55 +86,29 @@ router.get('/suggested-questions', authenticateJWT, roleCheck(['student']), asyn
 });
 
 // POST /api/ai-tutor/sessions - Start a new tutoring session
-router.post('/sessions', authenticateJWT, roleCheck(['student']), async (req, res) => {
+router.post('/sessions', authenticateJWT, roleCheck(['student']), requireConsent('ai_tutoring'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { subject, topic, initialQuestion, context } = req.body;
     
     console.log(`🎓 Starting new AI tutor session for user ${userId}`);
     
-    // Development mode: Create mock session
-    if (process.env.NODE_ENV === 'development' && userId === 'demo-user-1') {
-      const sessionId = `session-${Date.now()}`;
-      const session = {
-        id: sessionId,
-        student_id: userId,
-        subject: subject || 'general',
-        topic: topic || 'General Help',
-        started_at: new Date().toISOString(),
-        last_activity: new Date().toISOString(),
-        status: 'active',
-        messages: [],
-        context: {
-          learningGoals: context?.learningGoals || [],
-          currentConcepts: [],
-          difficultyLevel: context?.difficultyPreference || 'intermediate',
-          emotionalState: context?.emotionalState || 'curious'
-        }
-      };
-      
-      // Add welcome message
-      const welcomeMessage = {
-        id: `msg-${Date.now()}`,
-        role: 'assistant',
+    const session = await getSessionStore(userId).createSession(userId, {
+      subject,
+      topic,
+      context,
+      welcomeMessage: {
         content: generateWelcomeMessage(subject, context?.emotionalState),
-        timestamp: new Date().toISOString(),
         metadata: {
           subject,
           scaffoldingType: 'welcome',
           emotionalState: context?.emotionalState || 'curious'
         }
-      };
-      
-      session.messages.push(welcomeMessage);
-      mockSessions.set(sessionId, session);
-      
-      console.log(`✅ Created mock tutoring session: ${sessionId}`);
-      return res.json({ session });
-    }
-    
-    // Real implementation would create database record and initialize AI context
-    res.status(501).json({ error: 'AI Tutor not fully implemented for production' });
+      }
+    });
+
+    console.log(`✅ Created tutoring session: ${session.id}`);
+    res.json({ session });
   } catch (error) {
     console.error('Error starting tutoring session:', error);
     res.status(500).json({ 
@@ -138,18 +122,17 @@ router.post('/sessions', authenticateJWT, roleCheck(['student']), async (req, re
 router.get('/sessions', authenticateJWT, roleCheck(['student']), async (req, res) => {
   try {
     const userId = req.user.id;
+    const { status, limit, offset, includeMessages } = req.query;
     console.log(`📚 Getting tutoring sessions for user ${userId}`);
     
-    // Development mode: Return mock sessions
-    if (process.env.NODE_ENV === 'development' && userId === 'demo-user-1') {
-      const userSessions = Array.from(mockSessions.values())
-        .filter(session => session.student_id === userId)
-        .sort((a, b) => new Date(b.last_activity) - new Date(a.last_activity));
-      
-      return res.json({ sessions: userSessions });
-    }
+    const sessions = await getSessionStore(userId).listSessions(userId, {
+      status,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+      offset: Math.max(parseInt(offset, 10) || 0, 0),
+      includeMessages: includeMessages === 'true'
+    });
     
-    res.json({ sessions: [] });
+    res.json({ sessions });
   } catch (error) {
     console.error('Error fetching tutoring sessions:', error);
     res.status(500).json({ 
@@ -167,17 +150,12 @@ router.get('/sessions/:sessionId', authenticateJWT, roleCheck(['student']), asyn
     
     console.log(`📖 Getting tutoring session ${sessionId} for user ${userId}`);
     
-    // Development mode: Return mock session
-    if (process.env.NODE_ENV === 'development' && userId === 'demo-user-1') {
-      const session = mockSessions.get(sessionId);
-      if (!session || session.student_id !== userId) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-      
-      return res.json({ session });
+    const session = await getSessionStore(userId).getSession(sessionId, userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
-    res.status(404).json({ error: 'Session not found' });
+    res.json({ session });
   } catch (error) {
     console.error('Error fetching tutoring session:', error);
     res.status(500).json({ 
@@ -188,7 +166,7 @@ router.get('/sessions/:sessionId', authenticateJWT, roleCheck(['student']), asyn
 });
 
 // POST /api/ai-tutor/sessions/:sessionId/message - Send message in tutoring session
-router.post('/sessions/:sessionId/message', authenticateJWT, roleCheck(['student']), async (req, res) => {
+router.post('/sessions/:sessionId/message', authenticateJWT, roleCheck(['student']), requireConsent('ai_tutoring'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const userId = req.user.id;
@@ -210,25 +188,27 @@ router.post('/sessions/:sessionId/message', authenticateJWT, roleCheck(['student
       });
     }
     
-    // Development mode: Generate mock AI response
-    if (process.env.NODE_ENV === 'development' && userId === 'demo-user-1') {
-      const session = mockSessions.get(sessionId);
-      if (!session || session.student_id !== userId) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-      
-      // Generate scaffolded AI response
-      const aiResponse = await generateScaffoldedResponse(message, session, context);
-      
-      // Update session
-      session.last_activity = new Date().toISOString();
-      session.context.currentConcepts = aiResponse.conceptsDetected || [];
-      mockSessions.set(sessionId, session);
-      
-      return res.json(aiResponse);
+    const sessionStore = getSessionStore(userId);
+    const session = await sessionStore.getSession(sessionId, userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
-    res.status(501).json({ error: 'AI Tutor not fully implemented for production' });
+    await sessionStore.appendMessage(sessionId, {
+      role: 'user',
+      content: message,
+      metadata: { emotionalState: context?.emotionalState }
+    });
+    
+    // Generate scaffolded AI response
+    const aiResponse = await generateScaffoldedResponse(message, session, context);
+    
+    // Save the reply and the concepts it touched
+    aiResponse.message = await sessionStore.appendMessage(sessionId, aiResponse.message, {
+      currentConcepts: aiResponse.conceptsDetected || []
+    });
+    
+    res.json(aiResponse);
   } catch (error) {
     console.error('Error processing tutoring message:', error);
     res.status(500).json({ 
@@ -238,8 +218,63 @@ router.post('/sessions/:sessionId/message', authenticateJWT, roleCheck(['student
   }
 });
 
+// POST /api/ai-tutor/sessions/:sessionId/message/stream - Send message and stream the reply as Server-Sent Events
+// Events: start { messageId }, token { messageId, text }, retract { messageId, reason, replacement },
+// done { message, scaffoldingInfo, conceptsDetected }, error { error, message }
+router.post('/sessions/:sessionId/message/stream', authenticateJWT, roleCheck(['student']), requireConsent('ai_tutoring'), async (req, res) => {
+  const { sessionId } = req.params;
+  const userId = req.user.id;
+  const { message, context } = req.body;
+
+  try {
+    console.log(`📡 Streaming message in session ${sessionId} for user ${userId}`);
+
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    // Safety check on user input happens before the stream opens so it can still return a plain 400
+    const safetyCheck = await safetyFilter.checkSafety(message, {
+      studentId: userId,
+      contextType: 'ai_tutor',
+      strictMode: true
+    });
+    if (!safetyCheck.safe) {
+      console.warn(`⚠️ Unsafe input detected: ${safetyCheck.violations.map(v => v.type).join(', ')}`);
+      return res.status(400).json({
+        error: 'Inappropriate content detected',
+        message: 'Please keep your questions focused on learning topics.'
+      });
+    }
+
+    const sessionStore = getSessionStore(userId);
+    const session = await sessionStore.getSession(sessionId, userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await sessionStore.appendMessage(sessionId, {
+      role: 'user',
+      content: message,
+      metadata: { emotionalState: context?.emotionalState }
+    });
+
+    await streamScaffoldedResponse(req, res, message, session, context, sessionStore);
+  } catch (error) {
+    console.error('Error streaming tutoring message:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: 'Failed to process message',
+        message: error.message
+      });
+    }
+    writeSSE(res, 'error', { error: 'Failed to process message', message: error.message });
+    res.end();
+  }
+});
+
 // POST /api/ai-tutor/quick-help - Get quick help without session
-router.post('/quick-help', authenticateJWT, roleCheck(['student']), async (req, res) => {
+router.post('/quick-help', authenticateJWT, roleCheck(['student']), requireConsent('ai_tutoring'), async (req, res) => {
   try {
     const { question, context } = req.body;
     const userId = req.user.id;
@@ -284,24 +319,12 @@ router.post('/sessions/:sessionId/end', authenticateJWT, roleCheck(['student']),
     
     console.log(`🏁 Ending tutoring session ${sessionId} for user ${userId}`);
     
-    // Development mode: Update mock session
-    if (process.env.NODE_ENV === 'development' && userId === 'demo-user-1') {
-      const session = mockSessions.get(sessionId);
-      if (!session || session.student_id !== userId) {
-        return res.status(404).json({ error: 'Session not found' });
-      }
-      
-      session.status = 'completed';
-      session.last_activity = new Date().toISOString();
-      if (feedback) {
-        session.feedback = feedback;
-      }
-      
-      mockSessions.set(sessionId, session);
-      return res.json({ session });
+    const session = await getSessionStore(userId).endSession(sessionId, userId, feedback);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
     
-    res.status(404).json({ error: 'Session not found' });
+    res.json({ session });
   } catch (error) {
     console.error('Error ending tutoring session:', error);
     res.status(500).json({ 
@@ -332,6 +355,76 @@ router.post('/report-issue', authenticateJWT, roleCheck(['student']), async (req
   }
 });
 
+// Review routes name a session, not a student: teachers only see and review sessions of
+// students they are assigned to
+const requireSessionStudentAccess = async (req, res, next) => {
+  try {
+    const studentId = await getAITutorSessionService().getSessionStudentId(req.params.sessionId);
+    if (!studentId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const validation = await RelationshipValidator.validateStudentAccess(req.user.id, req.user.role, studentId);
+    if (!validation.allowed) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You do not have permission to access this student\'s data'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking tutoring session access:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tutoring session',
+      message: error.message
+    });
+  }
+};
+
+// GET /api/ai-tutor/review/sessions/:sessionId - Teacher view of a tutoring transcript
+router.get('/review/sessions/:sessionId', authenticateJWT, roleCheck(['teacher', 'admin']), requireSessionStudentAccess, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await getAITutorSessionService().getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ session });
+  } catch (error) {
+    console.error('Error fetching tutoring session for review:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tutoring session',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/ai-tutor/review/sessions/:sessionId - Mark a tutoring session as reviewed
+router.post('/review/sessions/:sessionId', authenticateJWT, roleCheck(['teacher']), requireSessionStudentAccess, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { notes, followUpRequired = false } = req.body;
+
+    const review = await getAITutorSessionService().reviewSession(sessionId, req.user.id, {
+      notes,
+      followUpRequired
+    });
+    if (!review) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.status(201).json(review);
+  } catch (error) {
+    console.error('Error reviewing tutoring session:', error);
+    res.status(500).json({
+      error: 'Failed to review tutoring session',
+      message: error.message
+    });
+  }
+});
+
 // Helper functions for mock responses
 
 function generateWelcomeMessage(subject, emotionalState) {
@@ -376,7 +469,7 @@ async function generateScaffoldedResponse(userMessage, session, context) {
   }
   
   const aiMessage = {
-    id: `msg-${Date.now()}`,
+    id: crypto.randomUUID(),
     role: 'assistant',
     content: responseContent,
     timestamp: new Date().toISOString(),
@@ -398,6 +491,126 @@ async function generateScaffoldedResponse(userMessage, session, context) {
   };
 }
 
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function streamScaffoldedResponse(req, res, userMessage, session, context, sessionStore) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // The request stream closes as soon as its body is read, so watch the response for disconnects
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+    }
+  });
+
+  // Generated up front so the saved message keeps the id the client saw in the start event
+  const messageId = crypto.randomUUID();
+  const concepts = extractConcepts(userMessage, session.subject);
+  const scaffoldingType = determineScaffoldingType(userMessage, session.context);
+  const emotionalState = context?.emotionalState || session.context.emotionalState;
+
+  writeSSE(res, 'start', { messageId, sessionId: session.id });
+
+  const scaffolding = await scaffoldingEngine.generateScaffoldingPrompt({
+    studentId: session.student_id,
+    currentContent: userMessage,
+    subject: session.subject,
+    difficulty: session.context.difficultyLevel,
+    emotionalState
+  });
+
+  const streamGuard = safetyFilter.createResponseStreamGuard(userMessage, {
+    studentId: session.student_id,
+    contextType: 'ai_tutor'
+  });
+
+  let retraction = null;
+  let result = null;
+  for await (const chunk of getAIService().streamResponse(scaffolding.prompt)) {
+    if (clientClosed) {
+      console.log(`🔌 Client closed stream for session ${session.id}`);
+      break;
+    }
+
+    if (chunk.type === 'token') {
+      const check = await streamGuard.check(chunk.text);
+      if (!check.safe) {
+        retraction = check.retraction;
+        writeSSE(res, 'retract', {
+          messageId,
+          reason: retraction.violations.map(v => v.type),
+          replacement: retraction.replacement
+        });
+        break;
+      }
+      writeSSE(res, 'token', { messageId, text: chunk.text });
+    } else if (chunk.type === 'done') {
+      result = chunk;
+    }
+  }
+
+  // Chunks were checked against a trailing window; the whole reply is checked once here
+  if (!retraction) {
+    const final = await streamGuard.finish();
+    if (!final.safe) {
+      retraction = final.retraction;
+      if (!clientClosed) {
+        writeSSE(res, 'retract', {
+          messageId,
+          reason: retraction.violations.map(v => v.type),
+          replacement: retraction.replacement
+        });
+      }
+    }
+  }
+
+  const content = retraction ? retraction.replacement : streamGuard.getStreamedText();
+
+  // Keep whatever the student saw, even if they disconnected part-way through
+  if (clientClosed && !content) {
+    return;
+  }
+
+  const aiMessage = await sessionStore.appendMessage(session.id, {
+    id: messageId,
+    role: 'assistant',
+    content,
+    metadata: {
+      subject: session.subject,
+      scaffoldingType,
+      emotionalState: emotionalState || 'engaged',
+      provider: result?.provider,
+      ...(clientClosed ? { interrupted: true } : {})
+    },
+    retracted: !!retraction,
+    retractionReasons: retraction ? retraction.violations.map(v => v.type) : null
+  }, { currentConcepts: concepts });
+
+  if (clientClosed) {
+    return;
+  }
+
+  writeSSE(res, 'done', {
+    message: aiMessage,
+    scaffoldingInfo: {
+      technique: scaffoldingType,
+      reasoning: `Used ${scaffoldingType} approach based on question type and learning context`,
+      nextSteps: generateNextSteps(concepts, session.subject)
+    },
+    conceptsDetected: concepts
+  });
+  res.end();
+}
+
 async function generateQuickHelpResponse(question, context) {
   await new Promise(resolve => setTimeout(resolve, 800 + Math.random() * 1500));
   
@@ -0,0 +1,249 @@
+// Assignment API Routes
+// Problem collections, assignments of a collection to a classroom or selected students, and
+// students' own assignments with their status
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getAssignmentService } = require('../services/assignment-service');
+
+const router = express.Router();
+
+const staff = roleCheck(['admin', 'teacher']);
+const students = roleCheck(['student']);
+
+const sendAssignmentError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.type === 'ACCESS_DENIED') {
+    return res.status(403).json({ success: false, message: error.message });
+  }
+  if (error.type === 'CONFLICT') {
+    return res.status(409).json({ success: false, message: error.message, details: error.details });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+const getPaging = (query) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 100),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+// ============================================
+// COLLECTIONS
+// ============================================
+
+/**
+ * GET /assignments/collections
+ * Your collections and public ones (?mine=true for only yours, ?subject=, ?limit=&offset=)
+ */
+router.get('/collections', auth, staff, async (req, res) => {
+  try {
+    const collections = await getAssignmentService().listCollections(req.user, {
+      subject: req.query.subject || null,
+      mine: req.query.mine === 'true',
+      ...getPaging(req.query)
+    });
+
+    res.json({
+      success: true,
+      data: collections
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to fetch problem collections');
+  }
+});
+
+/**
+ * POST /assignments/collections
+ * { name, problems: [{ templateId, isRequired, pointsPossible, customInstructions, modifiedDifficulty }], ...settings }
+ */
+router.post('/collections', auth, staff, async (req, res) => {
+  try {
+    const collection = await getAssignmentService().createCollection(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to create problem collection');
+  }
+});
+
+/**
+ * GET /assignments/collections/:collectionId
+ * A collection with its problems in order
+ */
+router.get('/collections/:collectionId', auth, staff, async (req, res) => {
+  try {
+    const collection = await getAssignmentService().getCollection(req.params.collectionId, req.user);
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to fetch problem collection');
+  }
+});
+
+/**
+ * PUT /assignments/collections/:collectionId
+ * Change any collection field; problems can only be replaced before the collection is assigned
+ */
+router.put('/collections/:collectionId', auth, staff, async (req, res) => {
+  try {
+    const collection = await getAssignmentService().updateCollection(req.params.collectionId, req.body, req.user);
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to update problem collection');
+  }
+});
+
+/**
+ * DELETE /assignments/collections/:collectionId
+ * Only collections that have never been assigned
+ */
+router.delete('/collections/:collectionId', auth, staff, async (req, res) => {
+  try {
+    const result = await getAssignmentService().deleteCollection(req.params.collectionId, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to delete problem collection');
+  }
+});
+
+// ============================================
+// STUDENTS
+// ============================================
+
+/**
+ * GET /assignments/mine
+ * Students: your assignments, soonest due first, with your progress (?includePast=true for
+ * those due more than 30 days ago)
+ */
+router.get('/mine', auth, students, async (req, res) => {
+  try {
+    const assignments = await getAssignmentService().listStudentAssignments(req.user, {
+      includePast: req.query.includePast === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: assignments
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to fetch your assignments');
+  }
+});
+
+// ============================================
+// ASSIGNMENTS
+// ============================================
+
+/**
+ * GET /assignments
+ * Assignments in the classrooms you teach, with class-wide counts (?classroomId=&status=&limit=&offset=)
+ */
+router.get('/', auth, staff, async (req, res) => {
+  try {
+    const assignments = await getAssignmentService().listAssignments(req.user, {
+      classroomId: req.query.classroomId || null,
+      status: req.query.status || null,
+      ...getPaging(req.query)
+    });
+
+    res.json({
+      success: true,
+      data: assignments
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to fetch assignments');
+  }
+});
+
+/**
+ * POST /assignments
+ * { collectionId, classroomId, studentIds?, title?, instructions?, openAt?, dueAt, allowLate? }
+ * Leave studentIds out to assign the whole classroom
+ */
+router.post('/', auth, staff, async (req, res) => {
+  try {
+    const assignment = await getAssignmentService().createAssignment(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: assignment
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to create assignment');
+  }
+});
+
+/**
+ * GET /assignments/:assignmentId
+ * An assignment with its problems and class-wide counts
+ */
+router.get('/:assignmentId', auth, staff, async (req, res) => {
+  try {
+    const assignment = await getAssignmentService().getAssignment(req.params.assignmentId, req.user);
+
+    res.json({
+      success: true,
+      data: assignment
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to fetch assignment');
+  }
+});
+
+/**
+ * PUT /assignments/:assignmentId
+ * { title?, instructions?, openAt?, dueAt?, allowLate? }
+ */
+router.put('/:assignmentId', auth, staff, async (req, res) => {
+  try {
+    const assignment = await getAssignmentService().updateAssignment(req.params.assignmentId, req.body, req.user);
+
+    res.json({
+      success: true,
+      data: assignment
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to update assignment');
+  }
+});
+
+/**
+ * POST /assignments/:assignmentId/cancel
+ * Students stop seeing the assignment and get no more reminders; their work is kept
+ */
+router.post('/:assignmentId/cancel', auth, staff, async (req, res) => {
+  try {
+    const assignment = await getAssignmentService().cancelAssignment(req.params.assignmentId, req.user);
+
+    res.json({
+      success: true,
+      data: assignment
+    });
+  } catch (error) {
+    sendAssignmentError(res, error, 'Failed to cancel assignment');
+  }
+});
+
+module.exports = router;
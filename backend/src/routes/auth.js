@@ -2,20 +2,27 @@ const express = require('express');
 const Joi = require('joi');
 const rateLimit = require('express-rate-limit');
 const { 
-  authenticateUser, 
+  verifyCredentials,
+  issueSessionTokens,
   refreshAccessToken, 
   revokeSession, 
   revokeAllUserSessions,
   hashPassword,
   getUserByEmail,
+  getUserById,
   cleanupExpiredSessions
 } = require('../services/auth-service');
 const { 
   authenticateToken, 
   optionalAuth, 
-  requireSelfOrAdmin 
+  requireSelfOrAdmin,
+  requireTeacherOrAdmin,
+  requireAdmin
 } = require('../middleware/auth');
 const { sequelize } = require('../config/database');
+const { getAccountTokenService, INVITATION_STATUSES } = require('../services/account-token-service');
+const { getMfaService } = require('../services/mfa-service');
+const { getLoginThrottleService, LOCK_SCOPES } = require('../services/login-throttle-service');
 
 const router = express.Router();
 
@@ -40,7 +47,28 @@ const registerLimiter = rateLimit({
   }
 });
 
+// Token requests send email, so they are limited per IP like logins
+const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 emailed links per windowMs
+  message: {
+    error: 'Too many requests',
+    message: 'Please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Validation schemas
+const passwordRule = Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#\\$%\\^&\\*])')).required().messages({
+  'string.min': 'Password must be at least 8 characters long',
+  'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
+});
+
+const confirmPasswordRule = Joi.string().valid(Joi.ref('password')).required().messages({
+  'any.only': 'Passwords do not match'
+});
+
 const loginSchema = Joi.object({
   email: Joi.string().email().required().messages({
     'string.email': 'Please provide a valid email address',
@@ -54,13 +82,8 @@ const loginSchema = Joi.object({
 
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
-  password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#\\$%\\^&\\*])')).required().messages({
-    'string.min': 'Password must be at least 8 characters long',
-    'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
-  }),
-  confirmPassword: Joi.string().valid(Joi.ref('password')).required().messages({
-    'any.only': 'Passwords do not match'
-  }),
+  password: passwordRule,
+  confirmPassword: confirmPasswordRule,
   role: Joi.string().valid('student', 'teacher', 'parent').required(),
   firstName: Joi.string().min(2).max(50).required(),
   lastName: Joi.string().min(2).max(50).required(),
@@ -79,6 +102,173 @@ const refreshTokenSchema = Joi.object({
   })
 });
 
+const emailSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  })
+});
+
+const tokenSchema = Joi.object({
+  token: Joi.string().max(200).required().messages({
+    'any.required': 'Token is required'
+  })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().max(200).required(),
+  password: passwordRule,
+  confirmPassword: confirmPasswordRule
+});
+
+const mfaCodeRule = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Code must be the 6-digit code from your authenticator app'
+});
+
+const mfaCodeSchema = Joi.object({
+  code: mfaCodeRule.required()
+});
+
+// Either a code from the authenticator app or one of the recovery codes
+const mfaChallengeSchema = Joi.object({
+  challengeToken: Joi.string().max(200).required(),
+  code: mfaCodeRule,
+  recoveryCode: Joi.string().max(20)
+}).xor('code', 'recoveryCode');
+
+const mfaChallengeTokenSchema = Joi.object({
+  challengeToken: Joi.string().max(200).required()
+});
+
+const unlockSchema = Joi.object({
+  email: Joi.string().email(),
+  ipAddress: Joi.string().ip()
+}).xor('email', 'ipAddress').messages({
+  'object.missing': 'Provide an email or an IP address',
+  'object.xor': 'Provide an email or an IP address, not both'
+});
+
+const mfaPolicySchema = Joi.object({
+  required: Joi.boolean().required()
+});
+
+// Role and classroom come from the invitation; names default to the ones the inviter gave
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().max(200).required(),
+  password: passwordRule,
+  confirmPassword: confirmPasswordRule,
+  firstName: Joi.string().min(2).max(50).optional(),
+  lastName: Joi.string().min(2).max(50).optional(),
+  dateOfBirth: Joi.date().max('now').optional(),
+  gradeLevel: Joi.number().min(1).max(12).optional(),
+  learningStyle: Joi.string().valid('visual', 'auditory', 'kinesthetic', 'reading_writing').optional(),
+  schoolName: Joi.string().max(255).optional(),
+  subjectsTaught: Joi.array().items(Joi.string()).optional(),
+  relationshipType: Joi.string().max(50).optional()
+});
+
+const sendValidationError = (res, error) => res.status(400).json({
+  error: 'Validation error',
+  message: error.details[0].message,
+  details: error.details
+});
+
+// Map account token and invitation errors to responses
+const sendAccountTokenError = (res, error, message) => {
+  const statuses = {
+    INVALID_TOKEN: 400,
+    VALIDATION_ERROR: 400,
+    ACCESS_DENIED: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409
+  };
+
+  if (statuses[error.type]) {
+    return res.status(statuses[error.type]).json({
+      error: message,
+      message: error.message,
+      ...(error.details && error.details.errors ? { details: error.details.errors } : {})
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    message: 'Internal server error'
+  });
+};
+
+const sendMfaError = (res, error, message) => {
+  if (error.type === 'LOCKED') {
+    return sendLoginLocked(res, error.details.lock);
+  }
+
+  const statuses = {
+    VALIDATION_ERROR: 400,
+    INVALID_CODE: 401,
+    INVALID_CHALLENGE: 401,
+    POLICY_REQUIRED: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409
+  };
+
+  if (statuses[error.type]) {
+    return res.status(statuses[error.type]).json({
+      error: message,
+      message: error.message,
+      ...(error.details && error.details.attemptsRemaining !== undefined ? { attemptsRemaining: error.details.attemptsRemaining } : {}),
+      ...(error.details && error.details.errors ? { details: error.details.errors } : {})
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    message: 'Internal server error'
+  });
+};
+
+const sendLoginThrottleError = (res, error, message) => {
+  const statuses = {
+    VALIDATION_ERROR: 400,
+    NOT_FOUND: 404
+  };
+
+  if (statuses[error.type]) {
+    return res.status(statuses[error.type]).json({
+      error: message,
+      message: error.message,
+      ...(error.details && error.details.errors ? { details: error.details.errors } : {})
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    message: 'Internal server error'
+  });
+};
+
+// Same answer for account and IP locks, so it does not reveal which accounts exist
+const sendLoginLocked = (res, lock) => {
+  res.set('Retry-After', String(lock.retryAfterSeconds));
+  res.status(429).json({
+    error: 'Too many failed login attempts',
+    message: 'Sign-in is temporarily locked after repeated failures. Please try again later',
+    retryAfter: lock.retryAfterSeconds,
+    lockedUntil: lock.lockedUntil
+  });
+};
+
+const setRefreshTokenCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+  });
+};
+
 // Helper function to get client IP and user agent
 const getClientInfo = (req) => {
   const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress || 'unknown';
@@ -100,32 +290,55 @@ router.post('/login', authLimiter, async (req, res) => {
     }
 
     const { email, password } = value;
-    const { ipAddress, userAgent } = getClientInfo(req);
+    const clientInfo = getClientInfo(req);
+    const throttle = getLoginThrottleService();
+
+    // Locked emails and IP addresses are refused before the password is checked
+    const activeLock = await throttle.getActiveLock(email, clientInfo.ipAddress);
+    if (activeLock) {
+      return sendLoginLocked(res, activeLock);
+    }
 
-    // Authenticate user
-    const authResult = await authenticateUser(email, password, ipAddress, userAgent);
+    // Check the password before any tokens exist
+    const credentials = await verifyCredentials(email, password);
 
-    if (!authResult.success) {
+    if (!credentials.success) {
+      const lock = await throttle.recordFailure(email, clientInfo, credentials.reason);
+      if (lock) {
+        return sendLoginLocked(res, lock);
+      }
       return res.status(401).json({
         error: 'Authentication failed',
-        message: authResult.message
+        message: credentials.message
       });
     }
 
+    // Second step for users with MFA, or whose role requires it. Failures are only cleared
+    // once the challenge is passed, so wrong codes keep counting towards the lockout
+    const challenge = await getMfaService().createLoginChallenge(credentials.user, clientInfo);
+    if (challenge) {
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        message: challenge.purpose === 'enroll'
+          ? 'Multi-factor authentication is required for your account. Please set it up to continue'
+          : 'Enter the code from your authenticator app',
+        challenge
+      });
+    }
+
+    await throttle.recordSuccess(email);
+    const { user, tokens } = await issueSessionTokens(credentials.user, clientInfo.ipAddress, clientInfo.userAgent);
+
     // Set refresh token as httpOnly cookie
-    res.cookie('refreshToken', authResult.tokens.refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
+    setRefreshTokenCookie(res, tokens.refreshToken);
 
     res.json({
       success: true,
-      message: authResult.message,
-      user: authResult.user,
-      accessToken: authResult.tokens.accessToken,
-      expiresIn: authResult.tokens.expiresIn
+      message: 'Authentication successful',
+      user,
+      accessToken: tokens.accessToken,
+      expiresIn: tokens.expiresIn
     });
 
   } catch (error) {
@@ -244,6 +457,11 @@ router.post('/register', registerLimiter, async (req, res) => {
 
       await transaction.commit();
 
+      // Self-registered addresses are unconfirmed until the emailed link is used
+      getAccountTokenService().sendEmailVerification(newUser).catch(error => {
+        console.error('Failed to send verification email:', error.message);
+      });
+
       // Remove sensitive data
       const { id, ...safeUser } = newUser;
       
@@ -383,6 +601,467 @@ router.get('/verify', optionalAuth, (req, res) => {
   });
 });
 
+// POST /api/v1/auth/mfa/challenge
+// Second login step: { challengeToken, code } or { challengeToken, recoveryCode }
+router.post('/mfa/challenge', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = mfaChallengeSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const clientInfo = getClientInfo(req);
+    const result = await getMfaService().completeChallenge(value.challengeToken, value, clientInfo);
+
+    const account = await getUserById(result.userId);
+    if (!account || account.status !== 'active') {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Account is not active. Please contact support.'
+      });
+    }
+
+    const { user, tokens } = await issueSessionTokens(account, clientInfo.ipAddress, clientInfo.userAgent);
+    setRefreshTokenCookie(res, tokens.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Authentication successful',
+      user,
+      accessToken: tokens.accessToken,
+      expiresIn: tokens.expiresIn,
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+      // Only present when this login enrolled the user; shown once
+      ...(result.recoveryCodes ? { recoveryCodes: result.recoveryCodes } : {})
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'MFA verification failed');
+  }
+});
+
+// POST /api/v1/auth/mfa/challenge/enroll
+// Set up TOTP during login when the user's role requires MFA
+router.post('/mfa/challenge/enroll', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = mfaChallengeTokenSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const enrollment = await getMfaService().startChallengeEnrollment(value.challengeToken, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then answer the challenge with a code',
+      enrollment
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'MFA enrolment failed');
+  }
+});
+
+// GET /api/v1/auth/mfa
+router.get('/mfa', authenticateToken, async (req, res) => {
+  try {
+    const status = await getMfaService().getStatus(req.user);
+
+    res.json({
+      success: true,
+      mfa: status
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to fetch MFA status');
+  }
+});
+
+// POST /api/v1/auth/mfa/totp
+router.post('/mfa/totp', authenticateToken, async (req, res) => {
+  try {
+    const enrollment = await getMfaService().startEnrollment(req.user, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      enrollment
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'MFA enrolment failed');
+  }
+});
+
+// POST /api/v1/auth/mfa/totp/confirm
+router.post('/mfa/totp/confirm', authenticateToken, authLimiter, async (req, res) => {
+  try {
+    const { error, value } = mfaCodeSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const result = await getMfaService().confirmEnrollment(req.user, value.code, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Multi-factor authentication enabled. Store your recovery codes somewhere safe',
+      recoveryCodes: result.recoveryCodes
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'MFA enrolment failed');
+  }
+});
+
+// POST /api/v1/auth/mfa/recovery-codes
+router.post('/mfa/recovery-codes', authenticateToken, authLimiter, async (req, res) => {
+  try {
+    const { error, value } = mfaCodeSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const result = await getMfaService().regenerateRecoveryCodes(req.user, value.code, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'New recovery codes created; the old ones no longer work',
+      recoveryCodes: result.recoveryCodes
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to regenerate recovery codes');
+  }
+});
+
+// DELETE /api/v1/auth/mfa
+router.delete('/mfa', authenticateToken, authLimiter, async (req, res) => {
+  try {
+    const { error, value } = mfaCodeSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const status = await getMfaService().disable(req.user, value.code, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Multi-factor authentication disabled',
+      mfa: status
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to disable MFA');
+  }
+});
+
+// GET /api/v1/auth/mfa/policies
+router.get('/mfa/policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policies = await getMfaService().getPolicies();
+
+    res.json({
+      success: true,
+      policies
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to fetch MFA policies');
+  }
+});
+
+// PUT /api/v1/auth/mfa/policies/:role
+router.put('/mfa/policies/:role', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = mfaPolicySchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const policy = await getMfaService().updatePolicy(req.params.role, value.required, req.user, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: `MFA is now ${policy.required ? 'required' : 'optional'} for ${policy.role} accounts`,
+      policy
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to update MFA policy');
+  }
+});
+
+// DELETE /api/v1/auth/mfa/users/:userId
+// Remove another user's factor (lost device); they are signed out everywhere
+router.delete('/mfa/users/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await getMfaService().resetForUser(req.params.userId, req.user, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'MFA reset. The user will set it up again at their next login if their role requires it',
+      sessionsRevoked: result.sessionsRevoked
+    });
+
+  } catch (error) {
+    sendMfaError(res, error, 'Failed to reset MFA');
+  }
+});
+
+// GET /api/v1/auth/lockouts
+// Emails and IP addresses currently locked after failed logins
+router.get('/lockouts', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const scope = req.query.scope || null;
+    if (scope && !Object.values(LOCK_SCOPES).includes(scope)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `scope must be one of: ${Object.values(LOCK_SCOPES).join(', ')}`
+      });
+    }
+
+    const result = await getLoginThrottleService().listLockouts({
+      scope,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      lockouts: result.lockouts,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    sendLoginThrottleError(res, error, 'Failed to fetch lockouts');
+  }
+});
+
+// POST /api/v1/auth/lockouts/unlock
+router.post('/lockouts/unlock', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = unlockSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const result = await getLoginThrottleService().unlock(value, req.user, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: result.scope === LOCK_SCOPES.ACCOUNT ? 'Account unlocked' : 'IP address unlocked',
+      ...result
+    });
+
+  } catch (error) {
+    sendLoginThrottleError(res, error, 'Failed to unlock');
+  }
+});
+
+// POST /api/v1/auth/forgot-password
+router.post('/forgot-password', tokenLimiter, async (req, res) => {
+  try {
+    const { error, value } = emailSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    await getAccountTokenService().requestPasswordReset(value.email);
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Password reset request failed');
+  }
+});
+
+// POST /api/v1/auth/reset-password
+router.post('/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const result = await getAccountTokenService().resetPassword(value.token, value.password);
+
+    // Every session was revoked, including any this browser held
+    res.clearCookie('refreshToken');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password',
+      sessionsRevoked: result.sessionsRevoked
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Password reset failed');
+  }
+});
+
+// POST /api/v1/auth/verify-email
+router.post('/verify-email', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = tokenSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const result = await getAccountTokenService().verifyEmail(value.token);
+
+    res.clearCookie('refreshToken');
+
+    res.json({
+      success: true,
+      message: 'Email address verified. Please sign in again',
+      sessionsRevoked: result.sessionsRevoked
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Email verification failed');
+  }
+});
+
+// POST /api/v1/auth/resend-verification
+router.post('/resend-verification', authenticateToken, tokenLimiter, async (req, res) => {
+  try {
+    const result = await getAccountTokenService().requestEmailVerification(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+      expiresAt: result.expiresAt
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Failed to send verification email');
+  }
+});
+
+// POST /api/v1/auth/invitations
+router.post('/invitations', authenticateToken, requireTeacherOrAdmin, tokenLimiter, async (req, res) => {
+  try {
+    const invitation = await getAccountTokenService().createInvitation(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: invitation.emailSent ? 'Invitation sent' : 'Invitation created but the email could not be sent',
+      invitation
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Failed to create invitation');
+  }
+});
+
+// GET /api/v1/auth/invitations (?status=pending|accepted|revoked|expired&limit=&offset=)
+router.get('/invitations', authenticateToken, requireTeacherOrAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !INVITATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `status must be one of: ${INVITATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await getAccountTokenService().listInvitations(req.user, {
+      status,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      invitations: result.invitations,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Failed to fetch invitations');
+  }
+});
+
+// POST /api/v1/auth/invitations/preview
+// Token goes in the body so it stays out of access logs
+router.post('/invitations/preview', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = tokenSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const invitation = await getAccountTokenService().previewInvitation(value.token);
+
+    res.json({
+      success: true,
+      invitation
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Failed to load invitation');
+  }
+});
+
+// POST /api/v1/auth/invitations/accept
+router.post('/invitations/accept', registerLimiter, async (req, res) => {
+  try {
+    const { error, value } = acceptInvitationSchema.validate(req.body);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const { token, ...profile } = value;
+    const user = await getAccountTokenService().acceptInvitation(token, profile);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      user
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Failed to accept invitation');
+  }
+});
+
+// POST /api/v1/auth/invitations/:id/resend
+router.post('/invitations/:id/resend', authenticateToken, requireTeacherOrAdmin, tokenLimiter, async (req, res) => {
+  try {
+    const invitation = await getAccountTokenService().resendInvitation(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: invitation.emailSent ? 'Invitation resent' : 'Invitation renewed but the email could not be sent',
+      invitation
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Failed to resend invitation');
+  }
+});
+
+// DELETE /api/v1/auth/invitations/:id
+router.delete('/invitations/:id', authenticateToken, requireTeacherOrAdmin, async (req, res) => {
+  try {
+    const invitation = await getAccountTokenService().revokeInvitation(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      invitation
+    });
+
+  } catch (error) {
+    sendAccountTokenError(res, error, 'Failed to revoke invitation');
+  }
+});
+
 // Admin endpoint to cleanup expired sessions
 router.post('/cleanup-sessions', authenticateToken, async (req, res) => {
   try {
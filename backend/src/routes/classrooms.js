@@ -0,0 +1,290 @@
+// Classroom API Routes
+// Classroom CRUD, enrolment, co-teachers, parent-child links and bulk CSV roster import
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getClassroomService } = require('../services/classroom-service');
+const { ENROLLMENT_STATUS } = require('../services/classroom-roster');
+
+const router = express.Router();
+
+const staff = roleCheck(['admin', 'teacher']);
+const admins = roleCheck(['admin']);
+
+// Roster CSV can be posted as text/csv or as { csv } JSON
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+const rosterCsv = (req) => (typeof req.body === 'string' ? req.body : req.body.csv);
+
+const sendClassroomError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.type === 'ACCESS_DENIED') {
+    return res.status(403).json({ success: false, message: error.message });
+  }
+  if (error.type === 'CONFLICT') {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * GET /classrooms
+ * Classrooms the user owns or co-teaches (admins: all) (?includeInactive=true&limit=&offset=)
+ */
+router.get('/', auth, staff, async (req, res) => {
+  try {
+    const result = await getClassroomService().listClassrooms(req.user, {
+      includeInactive: req.query.includeInactive === 'true',
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      data: result.classrooms,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to fetch classrooms');
+  }
+});
+
+/**
+ * POST /classrooms
+ * Create a classroom: { name, subject, gradeLevel, schoolYear, description, teacherId (admins) }
+ */
+router.post('/', auth, staff, async (req, res) => {
+  try {
+    const classroom = await getClassroomService().createClassroom(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: classroom
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to create classroom');
+  }
+});
+
+/**
+ * GET /classrooms/students/:studentId/parents
+ * Parent links for a student, active first
+ */
+router.get('/students/:studentId/parents', auth, admins, async (req, res) => {
+  try {
+    const parents = await getClassroomService().getParentLinks(req.params.studentId, req.user);
+
+    res.json({
+      success: true,
+      data: parents
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to fetch parent links');
+  }
+});
+
+/**
+ * POST /classrooms/students/:studentId/parents
+ * Link a parent: { parentId, relationshipType, primaryContact, emergencyContact }
+ */
+router.post('/students/:studentId/parents', auth, admins, async (req, res) => {
+  try {
+    const link = await getClassroomService().linkParent(req.params.studentId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: link
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to link parent');
+  }
+});
+
+/**
+ * DELETE /classrooms/students/:studentId/parents/:parentId
+ * End a parent link (kept as inactive history)
+ */
+router.delete('/students/:studentId/parents/:parentId', auth, admins, async (req, res) => {
+  try {
+    const result = await getClassroomService().unlinkParent(req.params.studentId, req.params.parentId, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to unlink parent');
+  }
+});
+
+/**
+ * GET /classrooms/:classroomId
+ * Classroom with its teachers and roster (?status=active|completed|dropped|all)
+ */
+router.get('/:classroomId', auth, staff, async (req, res) => {
+  try {
+    const { status = ENROLLMENT_STATUS.ACTIVE } = req.query;
+    if (status !== 'all' && !Object.values(ENROLLMENT_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${[...Object.values(ENROLLMENT_STATUS), 'all'].join(', ')}`
+      });
+    }
+
+    const classroom = await getClassroomService().getClassroom(req.params.classroomId, req.user, {
+      enrollmentStatus: status === 'all' ? null : status
+    });
+
+    res.json({
+      success: true,
+      data: classroom
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to fetch classroom');
+  }
+});
+
+/**
+ * PUT /classrooms/:classroomId
+ * Update classroom details; admins can also hand it to another teacher with teacherId
+ */
+router.put('/:classroomId', auth, staff, async (req, res) => {
+  try {
+    const classroom = await getClassroomService().updateClassroom(req.params.classroomId, req.body, req.user);
+
+    res.json({
+      success: true,
+      data: classroom
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to update classroom');
+  }
+});
+
+/**
+ * DELETE /classrooms/:classroomId
+ * Archive a classroom; active enrolments are marked completed
+ */
+router.delete('/:classroomId', auth, staff, async (req, res) => {
+  try {
+    const classroom = await getClassroomService().archiveClassroom(req.params.classroomId, req.user);
+
+    res.json({
+      success: true,
+      data: classroom
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to archive classroom');
+  }
+});
+
+/**
+ * POST /classrooms/:classroomId/students
+ * Enrol students: { studentIds: [...] }, with a result per student
+ */
+router.post('/:classroomId/students', auth, staff, async (req, res) => {
+  try {
+    const result = await getClassroomService().enrollStudents(req.params.classroomId, req.body.studentIds, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to enrol students');
+  }
+});
+
+/**
+ * DELETE /classrooms/:classroomId/students/:studentId
+ * Unenrol a student (enrolment kept as dropped)
+ */
+router.delete('/:classroomId/students/:studentId', auth, staff, async (req, res) => {
+  try {
+    const result = await getClassroomService().unenrollStudent(req.params.classroomId, req.params.studentId, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to unenrol student');
+  }
+});
+
+/**
+ * POST /classrooms/:classroomId/teachers
+ * Assign a co-teacher: { teacherId, role, permissions }
+ */
+router.post('/:classroomId/teachers', auth, staff, async (req, res) => {
+  try {
+    const classroom = await getClassroomService().addCoTeacher(req.params.classroomId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: classroom
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to assign co-teacher');
+  }
+});
+
+/**
+ * DELETE /classrooms/:classroomId/teachers/:teacherId
+ * Remove a co-teacher
+ */
+router.delete('/:classroomId/teachers/:teacherId', auth, staff, async (req, res) => {
+  try {
+    const classroom = await getClassroomService().removeCoTeacher(req.params.classroomId, req.params.teacherId, req.user);
+
+    res.json({
+      success: true,
+      data: classroom
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to remove co-teacher');
+  }
+});
+
+/**
+ * POST /classrooms/:classroomId/roster/import/preview
+ * Validate a roster CSV and report what each row would do, without changing anything
+ */
+router.post('/:classroomId/roster/import/preview', auth, staff, csvBody, async (req, res) => {
+  try {
+    const report = await getClassroomService().previewRosterImport(req.params.classroomId, rosterCsv(req), req.user);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to preview roster import');
+  }
+});
+
+/**
+ * POST /classrooms/:classroomId/roster/import
+ * Import a roster CSV; rows with errors are skipped and reported
+ */
+router.post('/:classroomId/roster/import', auth, staff, csvBody, async (req, res) => {
+  try {
+    const report = await getClassroomService().importRoster(req.params.classroomId, rosterCsv(req), req.user);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendClassroomError(res, error, 'Failed to import roster');
+  }
+});
+
+module.exports = router;
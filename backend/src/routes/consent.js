@@ -0,0 +1,145 @@
+// Parental Consent API Routes
+// Consent items, each student's consent status and history, parents' decisions and students' requests
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getConsentService } = require('../services/consent-service');
+
+const router = express.Router();
+
+const viewers = roleCheck(['admin', 'parent', 'student']);
+const parents = roleCheck(['parent']);
+const students = roleCheck(['student']);
+const admins = roleCheck(['admin']);
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.get('User-Agent') || 'unknown'
+});
+
+const sendConsentError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.type === 'ACCESS_DENIED') {
+    return res.status(403).json({ success: false, message: error.message });
+  }
+  if (error.type === 'CONFLICT') {
+    return res.status(409).json({ success: false, message: error.message, details: error.details });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * GET /consent/items
+ * Consent items with their current version and statement, and who needs consent
+ */
+router.get('/items', auth, async (req, res) => {
+  try {
+    const service = getConsentService();
+
+    res.json({
+      success: true,
+      data: service.getItems(),
+      policy: service.getPolicy()
+    });
+  } catch (error) {
+    sendConsentError(res, error, 'Failed to fetch consent items');
+  }
+});
+
+/**
+ * POST /consent/request
+ * Students: ask linked parents for consent ({ items } optional; default every missing item)
+ */
+router.post('/request', auth, students, async (req, res) => {
+  try {
+    const request = await getConsentService().requestConsent(req.user, req.body);
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    sendConsentError(res, error, 'Failed to request parental consent');
+  }
+});
+
+/**
+ * GET /consent/students/:studentId
+ * A student's status for every item (parents of the student, the student, admins)
+ */
+router.get('/students/:studentId', auth, viewers, async (req, res) => {
+  try {
+    const consent = await getConsentService().getConsentStatus(req.params.studentId, req.user);
+
+    res.json({
+      success: true,
+      data: consent
+    });
+  } catch (error) {
+    sendConsentError(res, error, 'Failed to fetch consent status');
+  }
+});
+
+/**
+ * POST /consent/students/:studentId/decisions
+ * Parents: { decisions: [{ item, decision: grant|decline|revoke, version }] }
+ */
+router.post('/students/:studentId/decisions', auth, parents, async (req, res) => {
+  try {
+    const result = await getConsentService().recordDecisions(req.params.studentId, req.body, req.user, getClientInfo(req));
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendConsentError(res, error, 'Failed to record consent decisions');
+  }
+});
+
+/**
+ * GET /consent/students/:studentId/history
+ * Every decision, newest first, with what each revocation removed (?limit=&offset=)
+ */
+router.get('/students/:studentId/history', auth, viewers, async (req, res) => {
+  try {
+    const history = await getConsentService().getHistory(req.params.studentId, req.user, {
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    sendConsentError(res, error, 'Failed to fetch consent history');
+  }
+});
+
+/**
+ * POST /consent/records/:recordId/retry
+ * Admins: run a revocation's data handling again after it failed
+ */
+router.post('/records/:recordId/retry', auth, admins, async (req, res) => {
+  try {
+    const record = await getConsentService().retryHandling(req.params.recordId, req.user, getClientInfo(req));
+
+    res.json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    sendConsentError(res, error, 'Failed to retry consent revocation handling');
+  }
+});
+
+module.exports = router;
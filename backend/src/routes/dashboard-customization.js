@@ -7,6 +7,7 @@ const router = express.Router();
 const { Pool } = require('pg');
 const { authenticateJWT } = require('../middleware/auth');
 const { roleCheck } = require('../middleware/role-check');
+const { requireConsent, hasConsent } = require('../middleware/consent');
 const { DashboardCustomizationService, DashboardCustomizationHelpers } = require('../services/dashboard-customization-service');
 
 const pool = new Pool({
@@ -530,7 +531,7 @@ router.get('/analytics', authenticateJWT, async (req, res) => {
 });
 
 // POST /api/dashboard-customization/track - Track user interaction
-router.post('/track', authenticateJWT, async (req, res) => {
+router.post('/track', authenticateJWT, requireConsent('learning_analytics'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { sessionId, widgetId, actionType, actionDetails, durationSeconds } = req.body;
@@ -538,6 +539,14 @@ router.post('/track', authenticateJWT, async (req, res) => {
     if (!actionType) {
       return res.status(400).json({ error: 'Action type is required' });
     }
+
+    // Young students' usage is only recorded with a parent's consent
+    if (!hasConsent(req, 'learning_analytics')) {
+      return res.json({
+        message: 'Interaction not tracked',
+        tracked: false
+      });
+    }
     
     await customizationService.trackUserInteraction(
       userId, 
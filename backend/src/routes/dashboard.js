@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticateJWT, requireScopedStudentDataAccess } = require('../middleware/auth');
 const { roleCheck } = require('../middleware/role-check');
 const { getProblemSolvingService } = require('../services/problem-solving-service');
 const { getJournalStorageService } = require('../services/journal-storage-service');
 const { getProgressAnalyzer } = require('../services/progress-analyzer');
 const { getEmotionalIntelligenceAnalyzer } = require('../services/emotional-intelligence-analyzer');
 const { getSessionAnalyticsService } = require('../services/session-analytics-service');
+const { getDigestService } = require('../services/digest-service');
+const { getConsentService } = require('../services/consent-service');
+const { getAssignmentService } = require('../services/assignment-service');
+const { getReviewService } = require('../services/review-service');
+const { domainEvents, DOMAIN_EVENTS } = require('../services/domain-events');
 const { Pool } = require('pg');
 
 // Database connection
@@ -340,7 +345,7 @@ router.put('/student/goals/:goalId', authenticateJWT, roleCheck(['student']), as
     
     // Verify goal ownership
     const ownershipQuery = `
-      SELECT id FROM student_goals WHERE id = $1 AND student_id = $2
+      SELECT id, status FROM student_goals WHERE id = $1 AND student_id = $2
     `;
     const ownershipResult = await pool.query(ownershipQuery, [goalId, userId]);
     
@@ -375,6 +380,18 @@ router.put('/student/goals/:goalId', authenticateJWT, roleCheck(['student']), as
     `;
     const activityDescription = `Goal updated: ${updateFields.join(', ')}`;
     await pool.query(activityQuery, [goalId, activityDescription]);
+
+    const goal = result.rows[0];
+    if (goal.status === 'completed' && ownershipResult.rows[0].status !== 'completed') {
+      domainEvents.publish(DOMAIN_EVENTS.GOAL_COMPLETED, {
+        studentId: userId,
+        goalId: goal.id,
+        goalTitle: goal.title,
+        category: goal.category,
+        priority: goal.priority,
+        daysToComplete: Math.floor((Date.now() - new Date(goal.created_at)) / (24 * 60 * 60 * 1000))
+      });
+    }
     
     res.json({
       message: 'Goal updated successfully',
@@ -740,6 +757,21 @@ router.get('/student/activity-feed', authenticateJWT, roleCheck(['student']), as
   }
 });
 
+// GET /api/dashboard/student/review-queue - Past mistakes due for spaced review, each with a variation to practise
+router.get('/student/review-queue', authenticateJWT, roleCheck(['student']), async (req, res) => {
+  try {
+    const queue = await getReviewService().getDueQueue(req.user.id, {
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 50)
+    });
+
+    res.json(queue);
+
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
 // Teacher Dashboard Data Endpoints
 // GET /api/dashboard/teacher/overview - Teacher dashboard overview with class-wide data
 router.get('/teacher/overview', authenticateJWT, roleCheck(['teacher']), async (req, res) => {
@@ -781,7 +813,7 @@ router.get('/teacher/overview', authenticateJWT, roleCheck(['teacher']), async (
     const studentProgress = await getStudentProgressSummary(teacherId, timeframe);
     const classInsights = await getClassInsights(teacherId, timeframe);
     const recentActivities = await getClassRecentActivities(teacherId, 10);
-    const alertsAndConcerns = await getStudentAlerts(teacherId);
+    const alertsAndConcerns = await getDigestService().getStudentAlerts(teacherId);
     
     res.json({
       teacher: {
@@ -866,6 +898,47 @@ router.get('/teacher/student/:studentId', authenticateJWT, roleCheck(['teacher']
   }
 });
 
+// The full view above includes journal activity and teacher notes, so it is for the
+// student's own teachers only. These parts of it are also open to substitute teachers
+// with a delegation for their scope.
+
+// GET /api/dashboard/teacher/student/:studentId/progress - Activity and streak, without journal activity
+router.get('/teacher/student/:studentId/progress', authenticateJWT, roleCheck(['teacher']), requireScopedStudentDataAccess('progress'), async (req, res) => {
+  try {
+    const summary = await getActivitySummary(req.params.studentId, req.query.timeframe || '30d');
+    res.json({
+      progress: {
+        problemSessions: summary.problem_sessions,
+        newAchievements: summary.new_achievements,
+        currentStreak: summary.current_streak
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching student progress:', error);
+    res.status(500).json({ error: 'Failed to fetch student progress' });
+  }
+});
+
+// GET /api/dashboard/teacher/student/:studentId/goals - Goal progress
+router.get('/teacher/student/:studentId/goals', authenticateJWT, roleCheck(['teacher']), requireScopedStudentDataAccess('goals'), async (req, res) => {
+  try {
+    res.json({ goals: await getGoalProgress(req.params.studentId) });
+  } catch (error) {
+    console.error('Error fetching student goals:', error);
+    res.status(500).json({ error: 'Failed to fetch student goals' });
+  }
+});
+
+// GET /api/dashboard/teacher/student/:studentId/achievements - Recent achievements
+router.get('/teacher/student/:studentId/achievements', authenticateJWT, roleCheck(['teacher']), requireScopedStudentDataAccess('achievements'), async (req, res) => {
+  try {
+    res.json({ achievements: await getRecentAchievements(req.params.studentId, 10) });
+  } catch (error) {
+    console.error('Error fetching student achievements:', error);
+    res.status(500).json({ error: 'Failed to fetch student achievements' });
+  }
+});
+
 // GET /api/dashboard/teacher/patterns - Class learning patterns and insights
 router.get('/teacher/patterns', authenticateJWT, roleCheck(['teacher']), async (req, res) => {
   try {
@@ -1021,6 +1094,42 @@ router.put('/teacher/student/:studentId/notes', authenticateJWT, roleCheck(['tea
   }
 });
 
+// GET /api/dashboard/teacher/assignments - Assignments in the teacher's classrooms with completed, late and missing counts
+router.get('/teacher/assignments', authenticateJWT, roleCheck(['teacher']), async (req, res) => {
+  try {
+    const assignments = await getAssignmentService().listAssignments(req.user, {
+      classroomId: req.query.classroomId || null,
+      status: req.query.status || 'active',
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json(assignments);
+
+  } catch (error) {
+    console.error('Error fetching teacher assignments:', error);
+    res.status(500).json({ error: 'Failed to fetch assignments' });
+  }
+});
+
+// GET /api/dashboard/teacher/assignments/:assignmentId/grid - Students x problems grid with each student's status
+router.get('/teacher/assignments/:assignmentId/grid', authenticateJWT, roleCheck(['teacher']), async (req, res) => {
+  try {
+    const grid = await getAssignmentService().getAssignmentGrid(req.params.assignmentId, req.user);
+
+    res.json(grid);
+
+  } catch (error) {
+    console.error('Error fetching assignment grid:', error);
+
+    if (error.type === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Failed to fetch assignment grid' });
+  }
+});
+
 // Parent Dashboard Data Endpoints
 // GET /api/dashboard/parent/overview - Parent dashboard overview with children's progress
 router.get('/parent/overview', authenticateJWT, roleCheck(['parent']), async (req, res) => {
@@ -1133,7 +1242,7 @@ router.get('/parent/weekly-summary', authenticateJWT, roleCheck(['parent']), asy
     const parentId = req.user.id;
     const weekOffset = parseInt(req.query.weekOffset) || 0; // 0 = current week, -1 = last week, etc.
     
-    const weeklySummary = await generateWeeklySummary(parentId, weekOffset);
+    const weeklySummary = await getDigestService().generateWeeklySummary(parentId, weekOffset);
     
     res.json(weeklySummary);
     
@@ -1257,6 +1366,20 @@ router.get('/parent/learning-tips', authenticateJWT, roleCheck(['parent']), asyn
   }
 });
 
+// GET /api/dashboard/parent/consents - Each child's consent items and which still need a decision
+// (decisions are made with POST /api/consent/students/:studentId/decisions)
+router.get('/parent/consents', authenticateJWT, roleCheck(['parent']), async (req, res) => {
+  try {
+    const consents = await getConsentService().listChildrenConsent(req.user);
+
+    res.json(consents);
+
+  } catch (error) {
+    console.error('Error fetching parental consents:', error);
+    res.status(500).json({ error: 'Failed to fetch parental consents' });
+  }
+});
+
 // PUT /api/dashboard/parent/preferences - Update parent dashboard preferences
 router.put('/parent/preferences', authenticateJWT, roleCheck(['parent']), async (req, res) => {
   try {
@@ -1548,48 +1671,6 @@ async function getClassRecentActivities(teacherId, limit) {
   return result.rows;
 }
 
-async function getStudentAlerts(teacherId) {
-  const query = `
-    SELECT 
-      s.user_id,
-      u.first_name || ' ' || u.last_name as student_name,
-      CASE 
-        WHEN s.current_streak = 0 THEN 'No recent activity'
-        WHEN s.last_activity_date < CURRENT_DATE - INTERVAL '3 days' THEN 'Inactive for 3+ days'
-        WHEN s.current_streak < 3 AND s.best_streak > 7 THEN 'Significant streak drop'
-        ELSE NULL
-      END as alert_type,
-      CASE 
-        WHEN s.current_streak = 0 THEN 'high'
-        WHEN s.last_activity_date < CURRENT_DATE - INTERVAL '3 days' THEN 'medium'
-        WHEN s.current_streak < 3 AND s.best_streak > 7 THEN 'medium'
-        ELSE 'low'
-      END as priority,
-      s.last_activity_date,
-      s.current_streak,
-      s.best_streak
-    FROM students s
-    JOIN users u ON s.user_id = u.id
-    JOIN teacher_student_assignments tsa ON s.user_id = tsa.student_id
-    WHERE tsa.teacher_id = $1 AND tsa.status = 'active'
-      AND (
-        s.current_streak = 0 OR
-        s.last_activity_date < CURRENT_DATE - INTERVAL '3 days' OR
-        (s.current_streak < 3 AND s.best_streak > 7)
-      )
-    ORDER BY 
-      CASE 
-        WHEN s.current_streak = 0 THEN 1
-        WHEN s.last_activity_date < CURRENT_DATE - INTERVAL '3 days' THEN 2
-        ELSE 3
-      END,
-      s.last_activity_date ASC
-  `;
-  
-  const result = await pool.query(query, [teacherId]);
-  return result.rows;
-}
-
 async function getDetailedClassAnalytics(teacherId, options) {
   // This would integrate with existing analytics services
   try {
@@ -1910,57 +1991,6 @@ async function getUpcomingFamilyEvents(parentId) {
   ];
 }
 
-async function generateWeeklySummary(parentId, weekOffset) {
-  const weekStart = new Date();
-  weekStart.setDate(weekStart.getDate() - weekStart.getDay() + (weekOffset * 7));
-  weekStart.setHours(0, 0, 0, 0);
-  
-  const weekEnd = new Date(weekStart);
-  weekEnd.setDate(weekEnd.getDate() + 6);
-  weekEnd.setHours(23, 59, 59, 999);
-  
-  const summaryQuery = `
-    SELECT 
-      s.user_id,
-      u.first_name || ' ' || u.last_name as child_name,
-      COUNT(DISTINCT je.id) as journal_entries,
-      COUNT(DISTINCT ps.id) as problem_sessions,
-      COUNT(DISTINCT sa.id) as achievements,
-      STRING_AGG(DISTINCT sa.title, ', ') as achievement_titles,
-      MAX(s.current_streak) as week_end_streak,
-      COALESCE(SUM(sa.points_earned), 0) as points_earned
-    FROM students s
-    JOIN users u ON s.user_id = u.id
-    JOIN parent_child_relationships pcr ON s.user_id = pcr.child_id
-    LEFT JOIN journal_entries je ON s.user_id = je.user_id 
-      AND je.created_at BETWEEN $2 AND $3
-    LEFT JOIN problem_sessions ps ON s.user_id = ps.student_id 
-      AND ps.created_at BETWEEN $2 AND $3
-    LEFT JOIN student_achievements sa ON s.user_id = sa.student_id 
-      AND sa.earned_at BETWEEN $2 AND $3
-    WHERE pcr.parent_id = $1 AND pcr.status = 'active'
-    GROUP BY s.user_id, u.first_name, u.last_name
-    ORDER BY u.first_name, u.last_name
-  `;
-  
-  const result = await pool.query(summaryQuery, [parentId, weekStart, weekEnd]);
-  
-  return {
-    weekPeriod: {
-      start: weekStart.toISOString().split('T')[0],
-      end: weekEnd.toISOString().split('T')[0],
-      weekOffset: weekOffset
-    },
-    childrenSummaries: result.rows,
-    familyTotals: {
-      totalJournalEntries: result.rows.reduce((acc, child) => acc + parseInt(child.journal_entries), 0),
-      totalProblemSessions: result.rows.reduce((acc, child) => acc + parseInt(child.problem_sessions), 0),
-      totalAchievements: result.rows.reduce((acc, child) => acc + parseInt(child.achievements), 0),
-      totalPointsEarned: result.rows.reduce((acc, child) => acc + parseInt(child.points_earned), 0)
-    }
-  };
-}
-
 async function getEngagementMetrics(parentId, options) {
   // This would integrate with analytics services
   try {
@@ -0,0 +1,183 @@
+// Data Subject Request API Routes
+// GDPR/FERPA exports and erasures of a student's data, made by admins or the student's parents
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getDataRequestService } = require('../services/data-request-service');
+
+const router = express.Router();
+
+const requesters = roleCheck(['admin', 'parent']);
+const admins = roleCheck(['admin']);
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.get('User-Agent') || 'unknown'
+});
+
+const sendDataRequestError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.type === 'ACCESS_DENIED') {
+    return res.status(403).json({ success: false, message: error.message });
+  }
+  if (error.type === 'CONFLICT') {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * GET /data-requests
+ * Requests you made (admins: all) (?status=&studentId=&limit=&offset=)
+ */
+router.get('/', auth, requesters, async (req, res) => {
+  try {
+    const result = await getDataRequestService().listRequests(req.user, {
+      status: req.query.status || null,
+      studentId: req.query.studentId || null,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      data: result.requests,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    sendDataRequestError(res, error, 'Failed to fetch data requests');
+  }
+});
+
+/**
+ * POST /data-requests
+ * Request an export or erasure: { studentId, type: export|erasure, mode: erase|anonymise, regulation: gdpr|ferpa, reason }
+ */
+router.post('/', auth, requesters, async (req, res) => {
+  try {
+    const request = await getDataRequestService().createRequest(req.body, req.user, getClientInfo(req));
+
+    res.status(202).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    sendDataRequestError(res, error, 'Failed to create data request');
+  }
+});
+
+/**
+ * GET /data-requests/:requestId
+ * A request with its status, summary and archive details
+ */
+router.get('/:requestId', auth, requesters, async (req, res) => {
+  try {
+    const request = await getDataRequestService().getRequest(req.params.requestId, req.user);
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    sendDataRequestError(res, error, 'Failed to fetch data request');
+  }
+});
+
+/**
+ * POST /data-requests/:requestId/approve
+ * Approve a parent's erasure request and start it
+ */
+router.post('/:requestId/approve', auth, admins, async (req, res) => {
+  try {
+    const request = await getDataRequestService().approveRequest(req.params.requestId, req.user, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Data request approved',
+      data: request
+    });
+  } catch (error) {
+    sendDataRequestError(res, error, 'Failed to approve data request');
+  }
+});
+
+/**
+ * POST /data-requests/:requestId/reject
+ * Reject a parent's erasure request: { reason }
+ */
+router.post('/:requestId/reject', auth, admins, async (req, res) => {
+  try {
+    const request = await getDataRequestService().rejectRequest(req.params.requestId, req.body, req.user, getClientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Data request rejected',
+      data: request
+    });
+  } catch (error) {
+    sendDataRequestError(res, error, 'Failed to reject data request');
+  }
+});
+
+/**
+ * POST /data-requests/:requestId/retry
+ * Run a failed (or interrupted) request again; completed stages are not repeated
+ */
+router.post('/:requestId/retry', auth, admins, async (req, res) => {
+  try {
+    const request = await getDataRequestService().retryRequest(req.params.requestId, req.user, getClientInfo(req));
+
+    res.status(202).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    sendDataRequestError(res, error, 'Failed to retry data request');
+  }
+});
+
+/**
+ * GET /data-requests/:requestId/archive
+ * Download a completed export (.tar.gz) until it expires
+ */
+router.get('/:requestId/archive', auth, requesters, async (req, res) => {
+  try {
+    const archive = await getDataRequestService().getArchive(req.params.requestId, req.user, getClientInfo(req));
+
+    res.set('X-Archive-SHA256', archive.sha256);
+    res.download(archive.path, archive.filename, (error) => {
+      if (error && !res.headersSent) {
+        sendDataRequestError(res, error, 'Failed to download data export');
+      }
+    });
+  } catch (error) {
+    sendDataRequestError(res, error, 'Failed to download data export');
+  }
+});
+
+/**
+ * GET /data-requests/:requestId/certificate
+ * The signed completion certificate and whether its signature verifies
+ */
+router.get('/:requestId/certificate', auth, requesters, async (req, res) => {
+  try {
+    const certificate = await getDataRequestService().getCertificate(req.params.requestId, req.user);
+
+    res.json({
+      success: true,
+      data: certificate
+    });
+  } catch (error) {
+    sendDataRequestError(res, error, 'Failed to fetch completion certificate');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+// Teacher Delegation API Routes
+// Time-boxed, scope-limited read access to a classroom for another teacher (e.g. a substitute)
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getDelegationService } = require('../services/delegation-service');
+
+const router = express.Router();
+
+const staff = roleCheck(['admin', 'teacher']);
+const teachers = roleCheck(['teacher']);
+
+const sendDelegationError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.type === 'ACCESS_DENIED') {
+    return res.status(403).json({ success: false, message: error.message });
+  }
+  if (error.type === 'CONFLICT') {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * GET /delegations
+ * Delegations you gave or received (admins: all)
+ * (?direction=given|received&status=scheduled|active|expired|revoked&classroomId=&limit=&offset=)
+ */
+router.get('/', auth, staff, async (req, res) => {
+  try {
+    const result = await getDelegationService().listDelegations(req.user, {
+      direction: req.query.direction || null,
+      status: req.query.status || null,
+      classroomId: req.query.classroomId || null,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      data: result.delegations,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    sendDelegationError(res, error, 'Failed to fetch delegations');
+  }
+});
+
+/**
+ * POST /delegations
+ * Delegate read access to a classroom: { classroomId, delegateId, scopes, startsAt, expiresAt, reason }
+ */
+router.post('/', auth, teachers, async (req, res) => {
+  try {
+    const delegation = await getDelegationService().createDelegation(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: delegation
+    });
+  } catch (error) {
+    sendDelegationError(res, error, 'Failed to create delegation');
+  }
+});
+
+/**
+ * GET /delegations/:delegationId
+ * A delegation you gave or received, with its status and use count
+ */
+router.get('/:delegationId', auth, staff, async (req, res) => {
+  try {
+    const delegation = await getDelegationService().getDelegation(req.params.delegationId, req.user);
+
+    res.json({
+      success: true,
+      data: delegation
+    });
+  } catch (error) {
+    sendDelegationError(res, error, 'Failed to fetch delegation');
+  }
+});
+
+/**
+ * DELETE /delegations/:delegationId
+ * End a delegation early ({ reason } optional); the delegate can also give access back
+ */
+router.delete('/:delegationId', auth, staff, async (req, res) => {
+  try {
+    const delegation = await getDelegationService().revokeDelegation(req.params.delegationId, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Delegation revoked',
+      data: delegation
+    });
+  } catch (error) {
+    sendDelegationError(res, error, 'Failed to revoke delegation');
+  }
+});
+
+module.exports = router;
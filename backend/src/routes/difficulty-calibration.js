@@ -0,0 +1,109 @@
+// Difficulty Calibration API Routes
+// Templates whose labelled difficulty disagrees with what students' results show, and the
+// calibration runs that estimate template difficulty and student ability
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getCalibrationService } = require('../services/calibration-service');
+
+const router = express.Router();
+
+const staff = roleCheck(['admin', 'teacher']);
+const admins = roleCheck(['admin']);
+
+const sendCalibrationError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.type === 'CONFLICT') {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+const getPaging = (query, defaultLimit) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+/**
+ * GET /difficulty-calibration/report
+ * Templates whose difficulty_level disagrees with their observed difficulty, furthest out
+ * first, with counts per agreement (?subject=&agreement=disagrees|uncertain|agrees|insufficient_data|all&limit=&offset=)
+ */
+router.get('/report', auth, staff, async (req, res) => {
+  try {
+    const report = await getCalibrationService().getDisagreementReport({
+      subject: req.query.subject || null,
+      agreement: req.query.agreement || undefined
+    }, getPaging(req.query, 50));
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendCalibrationError(res, error, 'Failed to fetch difficulty calibration report');
+  }
+});
+
+/**
+ * POST /difficulty-calibration/runs
+ * Recalibrate now; the run continues in the background
+ */
+router.post('/runs', auth, admins, async (req, res) => {
+  try {
+    const run = await getCalibrationService().triggerRun(req.user);
+
+    res.status(202).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    sendCalibrationError(res, error, 'Failed to start calibration run');
+  }
+});
+
+/**
+ * GET /difficulty-calibration/runs
+ * Recent runs with what they fitted, and the schedule (?limit=&offset=)
+ */
+router.get('/runs', auth, admins, async (req, res) => {
+  try {
+    const service = getCalibrationService();
+    const runs = await service.listRuns(getPaging(req.query, 20));
+
+    res.json({
+      success: true,
+      data: runs,
+      schedule: service.getSchedule()
+    });
+  } catch (error) {
+    sendCalibrationError(res, error, 'Failed to fetch calibration runs');
+  }
+});
+
+/**
+ * GET /difficulty-calibration/runs/:runId
+ * A run with per-subject convergence and label agreement counts
+ */
+router.get('/runs/:runId', auth, admins, async (req, res) => {
+  try {
+    const run = await getCalibrationService().getRun(req.params.runId);
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    sendCalibrationError(res, error, 'Failed to fetch calibration run');
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { authenticateJWT } = require('../middleware/auth');
 const { roleCheck } = require('../middleware/role-check');
+const { requireConsent, hasConsent } = require('../middleware/consent');
 const { getReflectionPromptGenerator } = require('../services/reflection-prompt-generator');
 const { getEmotionalIntelligenceAnalyzer } = require('../services/emotional-intelligence-analyzer');
 const { getPrivacyManager } = require('../services/privacy-manager');
 const { getProgressAnalyzer } = require('../services/progress-analyzer');
 const { getJournalStorageService } = require('../services/journal-storage-service');
 const { getJournalSearchService, SEARCH_FIELDS, SORT_OPTIONS } = require('../services/journal-search-service');
+const { getJournalEncryptionService } = require('../services/journal-encryption-service');
 const { activityMonitor } = require('../services/activity-monitor');
 
 // Mock database for development - replace with actual database integration
@@ -39,6 +41,16 @@ const getRequestInfo = (req) => {
   };
 };
 
+// Young students need a parent's consent to share entries with teachers; without it the
+// request goes ahead with teacher sharing turned off. Returns true when it was turned off.
+const withholdTeacherSharing = (req, settings) => {
+  if (hasConsent(req, 'data_sharing') || !settings || !settings.isShareableWithTeacher) {
+    return false;
+  }
+  settings.isShareableWithTeacher = false;
+  return true;
+};
+
 // ============================================
 // JOURNAL ENTRY ROUTES (with encryption)
 // ============================================
@@ -157,10 +169,11 @@ router.get('/entries', authenticateJWT, roleCheck(['student', 'teacher', 'parent
 });
 
 // Create a new journal entry
-router.post('/entries', authenticateJWT, roleCheck(['student']), async (req, res) => {
+router.post('/entries', authenticateJWT, roleCheck(['student']), requireConsent('data_sharing'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const requestInfo = getRequestInfo(req);
+    const sharingWithheld = withholdTeacherSharing(req, req.body);
     const {
       title,
       content,
@@ -191,7 +204,8 @@ router.post('/entries', authenticateJWT, roleCheck(['student']), async (req, res
     res.status(201).json({
       ...entry,
       encryptionStatus: 'encrypted',
-      storageType: 'database'
+      storageType: 'database',
+      ...(sharingWithheld && { teacherSharing: 'parental_consent_required' })
     });
 
   } catch (error) {
@@ -242,11 +256,12 @@ router.get('/entries/:entryId', authenticateJWT, roleCheck(['student', 'teacher'
 });
 
 // Update a journal entry
-router.put('/entries/:entryId', authenticateJWT, roleCheck(['student']), async (req, res) => {
+router.put('/entries/:entryId', authenticateJWT, roleCheck(['student']), requireConsent('data_sharing'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const requestInfo = getRequestInfo(req);
     const { entryId } = req.params;
+    const sharingWithheld = withholdTeacherSharing(req, req.body);
 
     const journalStorage = getJournalStorageService();
 
@@ -255,7 +270,8 @@ router.put('/entries/:entryId', authenticateJWT, roleCheck(['student']), async (
     res.json({
       ...updatedEntry,
       encryptionStatus: 'encrypted',
-      updateTimestamp: new Date().toISOString()
+      updateTimestamp: new Date().toISOString(),
+      ...(sharingWithheld && { teacherSharing: 'parental_consent_required' })
     });
 
   } catch (error) {
@@ -401,7 +417,7 @@ router.get('/storage/health', authenticateJWT, roleCheck(['teacher', 'admin']),
 // ============================================
 
 // Bulk update privacy settings
-router.put('/entries/privacy/bulk', authenticateJWT, roleCheck(['student']), async (req, res) => {
+router.put('/entries/privacy/bulk', authenticateJWT, roleCheck(['student']), requireConsent('data_sharing'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const requestInfo = getRequestInfo(req);
@@ -415,6 +431,7 @@ router.put('/entries/privacy/bulk', authenticateJWT, roleCheck(['student']), asy
       return res.status(400).json({ error: 'privacySettings object is required' });
     }
 
+    const sharingWithheld = withholdTeacherSharing(req, privacySettings);
     const journalStorage = getJournalStorageService();
 
     const result = await journalStorage.bulkUpdatePrivacy(
@@ -428,7 +445,8 @@ router.put('/entries/privacy/bulk', authenticateJWT, roleCheck(['student']), asy
     res.json({
       ...result,
       encryptionMaintained: true,
-      operationType: 'bulk_privacy_update'
+      operationType: 'bulk_privacy_update',
+      ...(sharingWithheld && { teacherSharing: 'parental_consent_required' })
     });
 
   } catch (error) {
@@ -859,7 +877,7 @@ function groupEntriesForArchive(entries) {
 // ============================================
 
 // Get comprehensive emotional intelligence analysis for a student
-router.get('/emotional-intelligence/analysis/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), async (req, res) => {
+router.get('/emotional-intelligence/analysis/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), requireConsent('emotional_analysis'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const studentId = req.params.studentId || user.id;
@@ -904,7 +922,7 @@ router.get('/emotional-intelligence/analysis/:studentId?', authenticateJWT, role
 });
 
 // Get emotional intelligence competency breakdown
-router.get('/emotional-intelligence/competencies/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), async (req, res) => {
+router.get('/emotional-intelligence/competencies/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), requireConsent('emotional_analysis'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const studentId = req.params.studentId || user.id;
@@ -951,7 +969,7 @@ router.get('/emotional-intelligence/competencies/:studentId?', authenticateJWT,
 });
 
 // Get emotional growth tracking over time
-router.get('/emotional-intelligence/growth/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), async (req, res) => {
+router.get('/emotional-intelligence/growth/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), requireConsent('emotional_analysis'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const studentId = req.params.studentId || user.id;
@@ -991,7 +1009,7 @@ router.get('/emotional-intelligence/growth/:studentId?', authenticateJWT, roleCh
 });
 
 // Get emotional patterns and insights
-router.get('/emotional-intelligence/patterns/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), async (req, res) => {
+router.get('/emotional-intelligence/patterns/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), requireConsent('emotional_analysis'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const studentId = req.params.studentId || user.id;
@@ -1030,7 +1048,7 @@ router.get('/emotional-intelligence/patterns/:studentId?', authenticateJWT, role
 });
 
 // Get personalized EI recommendations
-router.get('/emotional-intelligence/recommendations/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), async (req, res) => {
+router.get('/emotional-intelligence/recommendations/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), requireConsent('emotional_analysis'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const studentId = req.params.studentId || user.id;
@@ -1073,7 +1091,7 @@ router.get('/emotional-intelligence/recommendations/:studentId?', authenticateJW
 });
 
 // Track emotional intelligence milestone achievements
-router.post('/emotional-intelligence/milestones/:studentId?', authenticateJWT, roleCheck(['student']), async (req, res) => {
+router.post('/emotional-intelligence/milestones/:studentId?', authenticateJWT, roleCheck(['student']), requireConsent('emotional_analysis'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const studentId = req.params.studentId || user.id;
@@ -1119,7 +1137,7 @@ router.post('/emotional-intelligence/milestones/:studentId?', authenticateJWT, r
 });
 
 // Get emotional intelligence dashboard data
-router.get('/emotional-intelligence/dashboard/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), async (req, res) => {
+router.get('/emotional-intelligence/dashboard/:studentId?', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), requireConsent('emotional_analysis'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const studentId = req.params.studentId || user.id;
@@ -1232,10 +1250,11 @@ router.get('/entries/:entryId/privacy/audit', authenticateJWT, roleCheck(['stude
 });
 
 // Update privacy settings for a journal entry
-router.put('/entries/:entryId/privacy', authenticateJWT, roleCheck(['student']), async (req, res) => {
+router.put('/entries/:entryId/privacy', authenticateJWT, roleCheck(['student']), requireConsent('data_sharing'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { entryId } = req.params;
+    withholdTeacherSharing(req, req.body);
     const { isPrivate, isShareableWithTeacher, isShareableWithParent } = req.body;
 
     // Check if user owns the entry
@@ -1340,6 +1359,82 @@ router.get('/privacy/health', authenticateJWT, roleCheck(['teacher', 'admin']),
   }
 });
 
+// ============================================
+// ENCRYPTION KEY MANAGEMENT (ADMIN)
+// ============================================
+
+// Entry counts by ciphertext version and data keys by status
+router.get('/admin/encryption/status', authenticateJWT, roleCheck(['admin']), async (req, res) => {
+  try {
+    const encryptionService = getJournalEncryptionService();
+    const status = await encryptionService.getEncryptionStatus();
+
+    res.json(status);
+  } catch (error) {
+    console.error('Error getting journal encryption status:', error);
+    res.status(500).json({ error: 'Failed to get encryption status' });
+  }
+});
+
+// Start a key rotation job that re-encrypts private entries in batches
+router.post('/admin/encryption/rotations', authenticateJWT, roleCheck(['admin']), async (req, res) => {
+  try {
+    const user = getUserFromRequest(req);
+    const { studentId, batchSize, reason } = req.body;
+
+    const encryptionService = getJournalEncryptionService();
+    const job = await encryptionService.startRotation({
+      requestedBy: user.id,
+      studentId: studentId || null,
+      batchSize,
+      reason: reason || null
+    });
+
+    res.status(202).json({ job });
+  } catch (error) {
+    console.error('Error starting journal key rotation:', error);
+
+    if (error.type === 'VALIDATION_ERROR') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.type === 'ROTATION_IN_PROGRESS') {
+      return res.status(409).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Failed to start key rotation' });
+  }
+});
+
+// Recent key rotation jobs
+router.get('/admin/encryption/rotations', authenticateJWT, roleCheck(['admin']), async (req, res) => {
+  try {
+    const encryptionService = getJournalEncryptionService();
+    const jobs = await encryptionService.listRotationJobs({ limit: req.query.limit });
+
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error listing journal key rotations:', error);
+    res.status(500).json({ error: 'Failed to list key rotations' });
+  }
+});
+
+// Poll a key rotation job
+router.get('/admin/encryption/rotations/:jobId', authenticateJWT, roleCheck(['admin']), async (req, res) => {
+  try {
+    const encryptionService = getJournalEncryptionService();
+    const job = await encryptionService.getRotationJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Key rotation job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Error getting journal key rotation:', error);
+    res.status(500).json({ error: 'Failed to get key rotation' });
+  }
+});
+
 // ============================================
 // PROGRESS VISUALIZATION ROUTES
 // ============================================
@@ -3,15 +3,36 @@
 
 const express = require('express');
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
-const auth = require('../middleware/auth');
+const { authenticateJWT: auth, resolveTokenUser, extractTokenFromHeader } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
 const { notificationService, NotificationHelpers } = require('../services/notification-service');
+const { getDigestService, DIGEST_JOBS } = require('../services/digest-service');
+const { DOMAIN_EVENTS, DOMAIN_EVENT_FIELDS } = require('../services/domain-events');
+const { CONDITION_OPERATORS, TARGET_RELATIONS } = require('../services/notification-rules');
 
 const router = express.Router();
 
 // WebSocket server for real-time notifications
+const WEBSOCKET_PATH = '/ws/notifications';
 const wss = new WebSocket.Server({ noServer: true });
 
+// Unread counts are pushed at most once per window per user
+const UNREAD_COUNT_DEBOUNCE_MS = 250;
+const pendingUnreadCounts = new Map();
+
+const scheduleUnreadCountPush = (userId) => {
+  if (!userId || pendingUnreadCounts.has(userId)) return;
+
+  pendingUnreadCounts.set(userId, setTimeout(() => {
+    pendingUnreadCounts.delete(userId);
+    notificationService.pushUnreadCount(userId);
+  }, UNREAD_COUNT_DEBOUNCE_MS));
+};
+
+notificationService.on('notificationDelivered', ({ userId }) => scheduleUnreadCountPush(userId));
+notificationService.on('notificationRead', ({ userId }) => scheduleUnreadCountPush(userId));
+notificationService.on('notificationDismissed', ({ userId }) => scheduleUnreadCountPush(userId));
+
 /**
  * GET /notifications
  * Get user notifications with filtering and pagination
@@ -83,7 +104,7 @@ router.get('/unread-count', auth, async (req, res) => {
  * GET /notifications/:id
  * Get specific notification by ID
  */
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id(\\d+)', auth, async (req, res) => {
   try {
     const userId = req.user.id;
     const notificationId = parseInt(req.params.id);
@@ -217,7 +238,7 @@ router.post('/', auth, async (req, res) => {
  * PATCH /notifications/:id/read
  * Mark notification as read
  */
-router.patch('/:id/read', auth, async (req, res) => {
+router.patch('/:id(\\d+)/read', auth, async (req, res) => {
   try {
     const userId = req.user.id;
     const notificationId = parseInt(req.params.id);
@@ -249,7 +270,7 @@ router.patch('/:id/read', auth, async (req, res) => {
  * PATCH /notifications/:id/dismiss
  * Mark notification as dismissed
  */
-router.patch('/:id/dismiss', auth, async (req, res) => {
+router.patch('/:id(\\d+)/dismiss', auth, async (req, res) => {
   try {
     const userId = req.user.id;
     const notificationId = parseInt(req.params.id);
@@ -281,7 +302,7 @@ router.patch('/:id/dismiss', auth, async (req, res) => {
  * PATCH /notifications/:id/action-completed
  * Mark notification action as completed
  */
-router.patch('/:id/action-completed', auth, async (req, res) => {
+router.patch('/:id(\\d+)/action-completed', auth, async (req, res) => {
   try {
     const userId = req.user.id;
     const notificationId = parseInt(req.params.id);
@@ -352,6 +373,332 @@ router.post('/bulk-read', auth, async (req, res) => {
   }
 });
 
+// Address formats accepted for email and SMS delivery
+const CHANNEL_ADDRESS_PATTERNS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  sms: /^\+[1-9]\d{7,14}$/ // E.164
+};
+
+/**
+ * GET /notifications/channels
+ * List the user's registered email addresses and phone numbers
+ */
+router.get('/channels', auth, async (req, res) => {
+  try {
+    const channels = await notificationService.getUserChannels(req.user.id);
+
+    res.json({
+      success: true,
+      data: channels
+    });
+  } catch (error) {
+    console.error('Error fetching notification channels:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification channels',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /notifications/channels
+ * Register an email address or phone number ({ channelType: 'email' | 'sms', address })
+ */
+router.post('/channels', auth, async (req, res) => {
+  try {
+    const { channelType, address } = req.body;
+    const pattern = CHANNEL_ADDRESS_PATTERNS[channelType];
+
+    if (!pattern) {
+      return res.status(400).json({
+        success: false,
+        message: 'channelType must be email or sms'
+      });
+    }
+
+    const normalized = channelType === 'sms' ? String(address || '').replace(/[\s()-]/g, '') : String(address || '').trim();
+    if (!pattern.test(normalized)) {
+      return res.status(400).json({
+        success: false,
+        message: channelType === 'sms'
+          ? 'address must be a phone number in international format, e.g. +15551234567'
+          : 'address must be a valid email address'
+      });
+    }
+
+    const channel = await notificationService.addUserChannel(req.user.id, channelType, normalized);
+
+    res.status(201).json({
+      success: true,
+      data: channel
+    });
+  } catch (error) {
+    console.error('Error registering notification channel:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register notification channel',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /notifications/channels/:id
+ * Stop delivering to a registered address
+ */
+router.delete('/channels/:id(\\d+)', auth, async (req, res) => {
+  try {
+    const removed = await notificationService.removeUserChannel(req.user.id, parseInt(req.params.id));
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification channel removed'
+    });
+  } catch (error) {
+    console.error('Error removing notification channel:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove notification channel',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /notifications/digests
+ * Digest schedule and recent runs (admin)
+ */
+router.get('/digests', auth, roleCheck(['admin']), async (req, res) => {
+  try {
+    const digestService = getDigestService();
+    const runs = await digestService.listRuns({
+      jobName: req.query.jobName || null,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        schedule: digestService.getSchedule(),
+        runs
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching digest runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch digest runs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /notifications/digests/:jobName/run
+ * Run a digest job now ({ resend?: boolean, weekOffset?: number }); progress is in GET /digests
+ */
+router.post('/digests/:jobName/run', auth, roleCheck(['admin']), async (req, res) => {
+  try {
+    const { jobName } = req.params;
+    if (!Object.values(DIGEST_JOBS).includes(jobName)) {
+      return res.status(400).json({
+        success: false,
+        message: `jobName must be one of: ${Object.values(DIGEST_JOBS).join(', ')}`
+      });
+    }
+
+    const options = { triggeredBy: req.user.id, resend: req.body.resend === true };
+    if (req.body.weekOffset !== undefined) {
+      options.weekOffset = parseInt(req.body.weekOffset);
+    }
+
+    const run = await getDigestService().triggerJob(jobName, options);
+
+    res.status(202).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error triggering digest job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to trigger digest job',
+      error: error.message
+    });
+  }
+});
+
+// Notification rules are written by admins and teachers
+const ruleAuthors = roleCheck(['admin', 'teacher']);
+
+const sendRuleError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: 'Notification rule not found' });
+  }
+  if (error.type === 'ACCESS_DENIED') {
+    return res.status(403).json({ success: false, message: 'You can only manage your own rules' });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * GET /notifications/rules
+ * List notification rules (admins: all, teachers: their own)
+ */
+router.get('/rules', auth, ruleAuthors, async (req, res) => {
+  try {
+    const { triggerEvent, active } = req.query;
+    const rules = await notificationService.getNotificationRules(req.user, {
+      triggerEvent: triggerEvent || null,
+      isActive: active === undefined ? null : active === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to fetch notification rules');
+  }
+});
+
+/**
+ * GET /notifications/rules/events
+ * Events rules can trigger on, their payload fields, and the condition operators
+ */
+router.get('/rules/events', auth, ruleAuthors, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      events: Object.values(DOMAIN_EVENTS).map(type => ({
+        type,
+        fields: { studentId: 'Student the event is about', ...DOMAIN_EVENT_FIELDS[type] }
+      })),
+      operators: CONDITION_OPERATORS,
+      targetRelations: Object.values(TARGET_RELATIONS)
+    }
+  });
+});
+
+/**
+ * POST /notifications/rules/dry-run
+ * Preview an unsaved rule against a sample event ({ rule, event })
+ */
+router.post('/rules/dry-run', auth, ruleAuthors, async (req, res) => {
+  try {
+    const result = await notificationService.dryRunNotificationRule({
+      rule: req.body.rule,
+      event: req.body.event || {}
+    }, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to preview notification rule');
+  }
+});
+
+/**
+ * POST /notifications/rules
+ * Create a rule: { name, typeKey, triggerEvent, conditions, targetCriteria, subject, body, ... }
+ */
+router.post('/rules', auth, ruleAuthors, async (req, res) => {
+  try {
+    const rule = await notificationService.createNotificationRule(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to create notification rule');
+  }
+});
+
+/**
+ * GET /notifications/rules/:id
+ */
+router.get('/rules/:id(\\d+)', auth, ruleAuthors, async (req, res) => {
+  try {
+    const rule = await notificationService.getNotificationRule(parseInt(req.params.id), req.user);
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to fetch notification rule');
+  }
+});
+
+/**
+ * PUT /notifications/rules/:id
+ * Update any of the rule's fields
+ */
+router.put('/rules/:id(\\d+)', auth, ruleAuthors, async (req, res) => {
+  try {
+    const rule = await notificationService.updateNotificationRule(parseInt(req.params.id), req.body, req.user);
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to update notification rule');
+  }
+});
+
+/**
+ * DELETE /notifications/rules/:id
+ */
+router.delete('/rules/:id(\\d+)', auth, ruleAuthors, async (req, res) => {
+  try {
+    await notificationService.deleteNotificationRule(parseInt(req.params.id), req.user);
+
+    res.json({
+      success: true,
+      message: 'Notification rule deleted'
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to delete notification rule');
+  }
+});
+
+/**
+ * POST /notifications/rules/:id/dry-run
+ * Preview a saved rule against a sample event ({ event })
+ */
+router.post('/rules/:id(\\d+)/dry-run', auth, ruleAuthors, async (req, res) => {
+  try {
+    const result = await notificationService.dryRunNotificationRule({
+      ruleId: parseInt(req.params.id),
+      event: req.body.event || {}
+    }, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'Failed to preview notification rule');
+  }
+});
+
 /**
  * GET /notifications/preferences
  * Get user notification preferences
@@ -622,91 +969,111 @@ router.post('/helpers/assignment-reminder', auth, async (req, res) => {
 
 /**
  * WebSocket connection handler for real-time notifications
+ * Accepts the same JWT as the REST API, via ?token= or the Authorization header
  */
-function handleWebSocketUpgrade(request, socket, head) {
+const rejectUpgrade = (socket, status = '401 Unauthorized') => {
+  socket.write(`HTTP/1.1 ${status}\r\n\r\n`);
+  socket.destroy();
+};
+
+async function handleWebSocketUpgrade(request, socket, head) {
+  const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+  if (url.pathname !== WEBSOCKET_PATH) {
+    return rejectUpgrade(socket, '404 Not Found');
+  }
+
   // Extract token from query string or headers
-  const url = new URL(request.url, `http://${request.headers.host}`);
-  const token = url.searchParams.get('token') || request.headers.authorization?.replace('Bearer ', '');
+  const token = url.searchParams.get('token') || extractTokenFromHeader(request);
 
   if (!token) {
-    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
-    socket.destroy();
-    return;
+    return rejectUpgrade(socket);
   }
 
+  let authResult;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.id;
+    authResult = await resolveTokenUser(token);
+  } catch (error) {
+    console.error('WebSocket authentication error:', error);
+    return rejectUpgrade(socket, '500 Internal Server Error');
+  }
 
-    wss.handleUpgrade(request, socket, head, (ws) => {
-      ws.userId = userId;
-      ws.isAlive = true;
+  if (!authResult.user) {
+    console.warn(`WebSocket connection rejected: ${authResult.failure}`);
+    return rejectUpgrade(socket, authResult.failure === 'account_inactive' ? '403 Forbidden' : '401 Unauthorized');
+  }
+
+  const { id: userId, role } = authResult.user;
+
+  wss.handleUpgrade(request, socket, head, (ws) => {
+    ws.userId = userId;
+    ws.userRole = role;
+    ws.headers = request.headers;
+    ws.ip = request.socket.remoteAddress;
+    ws.isAlive = true;
 
-      // Generate unique channel ID
-      const channelId = `${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      ws.channelId = channelId;
+    // Generate unique channel ID
+    const channelId = `${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    ws.channelId = channelId;
 
-      // Register connection with notification service
-      notificationService.registerRealtimeConnection(userId, ws, channelId);
+    // Register connection with notification service
+    notificationService.registerRealtimeConnection(userId, ws, channelId);
 
-      console.log(`WebSocket connected for user ${userId} (channel: ${channelId})`);
+    console.log(`WebSocket connected for user ${userId} (channel: ${channelId})`);
 
-      // Send initial unread count
-      notificationService.getUnreadCount(userId).then(count => {
+    // Send initial unread count
+    notificationService.getUnreadCount(userId).then(count => {
+      if (ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({
           type: 'unread_count',
           data: { count }
         }));
-      }).catch(console.error);
+      }
+    }).catch(console.error);
 
-      // Handle ping/pong for connection health
-      ws.on('pong', () => {
-        ws.isAlive = true;
-      });
+    // Handle ping/pong for connection health
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
 
-      ws.on('message', (data) => {
-        try {
-          const message = JSON.parse(data);
-          
-          switch (message.type) {
-            case 'ping':
-              ws.send(JSON.stringify({ type: 'pong' }));
-              break;
-            case 'mark_read':
-              if (message.notificationId) {
-                notificationService.markAsRead(message.notificationId, userId)
-                  .then(success => {
-                    ws.send(JSON.stringify({
-                      type: 'mark_read_response',
-                      data: { notificationId: message.notificationId, success }
-                    }));
-                  })
-                  .catch(console.error);
-              }
-              break;
-            default:
-              console.log('Unknown message type:', message.type);
-          }
-        } catch (error) {
-          console.error('Error processing WebSocket message:', error);
+    ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data);
+        
+        switch (message.type) {
+          case 'ping':
+            ws.send(JSON.stringify({ type: 'pong' }));
+            break;
+          case 'mark_read':
+            if (message.notificationId) {
+              notificationService.markAsRead(message.notificationId, userId)
+                .then(success => {
+                  ws.send(JSON.stringify({
+                    type: 'mark_read_response',
+                    data: { notificationId: message.notificationId, success }
+                  }));
+                })
+                .catch(console.error);
+            }
+            break;
+          default:
+            console.log('Unknown message type:', message.type);
         }
-      });
+      } catch (error) {
+        console.error('Error processing WebSocket message:', error);
+      }
+    });
 
-      ws.on('close', () => {
-        console.log(`WebSocket disconnected for user ${userId} (channel: ${channelId})`);
-        notificationService.unregisterRealtimeConnection(userId, ws);
-      });
+    ws.on('close', () => {
+      console.log(`WebSocket disconnected for user ${userId} (channel: ${channelId})`);
+      notificationService.unregisterRealtimeConnection(userId, ws);
+    });
 
-      ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
-        notificationService.unregisterRealtimeConnection(userId, ws);
-      });
+    ws.on('error', (error) => {
+      console.error('WebSocket error:', error);
+      notificationService.unregisterRealtimeConnection(userId, ws);
     });
-  } catch (error) {
-    console.error('Invalid WebSocket token:', error);
-    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
-    socket.destroy();
-  }
+  });
 }
 
 // Ping/pong heartbeat to keep connections alive
@@ -730,5 +1097,6 @@ wss.on('close', () => {
 module.exports = {
   router,
   handleWebSocketUpgrade,
-  wss
+  wss,
+  WEBSOCKET_PATH
 }; 
\ No newline at end of file
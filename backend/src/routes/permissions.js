@@ -0,0 +1,131 @@
+// Permission Management API Routes
+// Role permissions, per-user overrides and an explanation of a user's effective permissions
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getPermissionManagementService } = require('../services/permission-management-service');
+
+const router = express.Router();
+
+const admins = roleCheck(['admin']);
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.get('User-Agent') || 'unknown'
+});
+
+const sendPermissionError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * GET /permissions/roles
+ * Permissions of every role, or one role (?role=teacher)
+ */
+router.get('/roles', auth, admins, async (req, res) => {
+  try {
+    const permissions = await getPermissionManagementService().listRolePermissions({ role: req.query.role || null });
+    res.json({ success: true, data: permissions });
+  } catch (error) {
+    sendPermissionError(res, error, 'Failed to fetch role permissions');
+  }
+});
+
+/**
+ * POST /permissions/roles/:role
+ * Grant or deny an action to a role; replaces the role's permission for the same resource
+ * type, category and action
+ */
+router.post('/roles/:role', auth, admins, async (req, res) => {
+  try {
+    const result = await getPermissionManagementService().grantRolePermission(
+      req.params.role, req.body, req.user, getClientInfo(req)
+    );
+    res.status(result.created ? 201 : 200).json({ success: true, data: result.permission });
+  } catch (error) {
+    sendPermissionError(res, error, 'Failed to grant role permission');
+  }
+});
+
+/**
+ * DELETE /permissions/roles/:role/:permissionId
+ * Revoke a role permission ({ reason } optional)
+ */
+router.delete('/roles/:role/:permissionId', auth, admins, async (req, res) => {
+  try {
+    const result = await getPermissionManagementService().revokeRolePermission(
+      req.params.role, req.params.permissionId, req.body, req.user, getClientInfo(req)
+    );
+    res.json({ success: true, message: 'Role permission revoked', data: result.permission });
+  } catch (error) {
+    sendPermissionError(res, error, 'Failed to revoke role permission');
+  }
+});
+
+/**
+ * GET /permissions/users/:userId
+ * A user's overrides and effective permissions
+ */
+router.get('/users/:userId', auth, admins, async (req, res) => {
+  try {
+    const result = await getPermissionManagementService().getUserPermissions(req.params.userId);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendPermissionError(res, error, 'Failed to fetch user permissions');
+  }
+});
+
+/**
+ * GET /permissions/users/:userId/explain
+ * Whether the user can perform an action and why (?resourceType=journal&action=read&resourceId=)
+ */
+router.get('/users/:userId/explain', auth, admins, async (req, res) => {
+  try {
+    const result = await getPermissionManagementService().explain(req.params.userId, req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendPermissionError(res, error, 'Failed to explain permission');
+  }
+});
+
+/**
+ * POST /permissions/users/:userId
+ * Grant or deny one user an action on a resource type or a single resource; replaces the
+ * user's override for the same target
+ */
+router.post('/users/:userId', auth, admins, async (req, res) => {
+  try {
+    const result = await getPermissionManagementService().grantOverride(
+      req.params.userId, req.body, req.user, getClientInfo(req)
+    );
+    res.status(result.created ? 201 : 200).json({ success: true, data: result.override });
+  } catch (error) {
+    sendPermissionError(res, error, 'Failed to grant permission override');
+  }
+});
+
+/**
+ * DELETE /permissions/users/:userId/:overrideId
+ * Revoke a user override ({ reason } optional)
+ */
+router.delete('/users/:userId/:overrideId', auth, admins, async (req, res) => {
+  try {
+    const result = await getPermissionManagementService().revokeOverride(
+      req.params.userId, req.params.overrideId, req.body, req.user, getClientInfo(req)
+    );
+    res.json({ success: true, message: 'Permission override revoked', data: result.override });
+  } catch (error) {
+    sendPermissionError(res, error, 'Failed to revoke permission override');
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticateJWT, requireScopedStudentDataAccess, checkStudentDataAccess } = require('../middleware/auth');
 const { roleCheck } = require('../middleware/role-check');
+const { requireConsent, hasConsent } = require('../middleware/consent');
 const { getProblemSolvingService, STEP_TYPES, INTERVENTION_TRIGGERS } = require('../services/problem-solving-service');
 const { activityMonitor } = require('../services/activity-monitor');
+const { getAssignmentService } = require('../services/assignment-service');
+
+// Reads of one student's data, by delegation scope: substitute teachers get in with a
+// delegation for it, everyone else needs a relationship with the student
+const studentProblemsAccess = requireScopedStudentDataAccess('problems');
+const studentAnalyticsAccess = requireScopedStudentDataAccess('analytics');
+const studentReportsAccess = requireScopedStudentDataAccess('reports');
 
 // Helper function to get user from request
 const getUserFromRequest = (req) => {
@@ -313,17 +321,23 @@ router.post('/sessions', authenticateJWT, roleCheck(['student']), async (req, re
     }
     
     const requestInfo = getRequestInfo(req);
-    const { templateId, notes } = req.body;
+    const { templateId, notes, assignmentId } = req.body;
 
     if (!templateId) {
       return res.status(400).json({ error: 'Template ID is required' });
     }
 
+    // Sessions started from an assignment must be allowed by it (open, in order, attempts left)
+    if (assignmentId !== undefined && assignmentId !== null) {
+      await getAssignmentService().checkSessionStart(assignmentId, templateId, user);
+    }
+
     const problemSolvingService = getProblemSolvingService();
 
     const sessionData = {
       studentId: user.id,
       templateId,
+      assignmentId: assignmentId || null,
       requestInfo: {
         ...requestInfo,
         sessionNotes: notes
@@ -347,6 +361,12 @@ router.post('/sessions', authenticateJWT, roleCheck(['student']), async (req, re
     if (error.type === 'NOT_FOUND') {
       return res.status(404).json({ error: error.message });
     }
+    if (error.type === 'VALIDATION_ERROR') {
+      return res.status(400).json({ error: error.message, errors: error.details.errors });
+    }
+    if (error.type === 'CONFLICT') {
+      return res.status(409).json({ error: error.message, details: error.details });
+    }
     
     res.status(500).json({ error: 'Failed to start problem session' });
   }
@@ -1057,7 +1077,7 @@ router.get('/analytics/mistakes', authenticateJWT, roleCheck(['student', 'teache
 });
 
 // Get remediation recommendations for a student
-router.get('/students/:studentId/remediation', authenticateJWT, roleCheck(['teacher', 'student']), async (req, res) => {
+router.get('/students/:studentId/remediation', authenticateJWT, roleCheck(['teacher', 'student']), studentProblemsAccess, async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { studentId } = req.params;
@@ -1670,6 +1690,7 @@ router.get('/sessions/review', authenticateJWT, roleCheck(['teacher', 'admin']),
       subject,
       difficulty,
       reviewStatus = 'pending',
+      sessionType = 'all',
       timeWindowDays = 7,
       limit = 20,
       offset = 0
@@ -1683,6 +1704,7 @@ router.get('/sessions/review', authenticateJWT, roleCheck(['teacher', 'admin']),
       subject,
       difficulty,
       reviewStatus,
+      sessionType,
       timeWindowDays: parseInt(timeWindowDays),
       limit: parseInt(limit),
       offset: parseInt(offset)
@@ -1924,7 +1946,7 @@ router.get('/sessions/:sessionId/reviews', authenticateJWT, roleCheck(['teacher'
 });
 
 // Get comprehensive student progress documentation
-router.get('/students/:studentId/progress-documentation', authenticateJWT, roleCheck(['teacher', 'admin']), async (req, res) => {
+router.get('/students/:studentId/progress-documentation', authenticateJWT, roleCheck(['teacher', 'admin']), studentReportsAccess, async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { studentId } = req.params;
@@ -1978,7 +2000,7 @@ router.get('/students/:studentId/progress-documentation', authenticateJWT, roleC
 });
 
 // Get learning pattern analysis for a student
-router.get('/students/:studentId/learning-patterns', authenticateJWT, roleCheck(['teacher', 'admin']), async (req, res) => {
+router.get('/students/:studentId/learning-patterns', authenticateJWT, roleCheck(['teacher', 'admin']), studentAnalyticsAccess, async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { studentId } = req.params;
@@ -2236,7 +2258,7 @@ router.post('/students/:studentId/adapt-difficulty', authenticateJWT, roleCheck(
 });
 
 // Get current difficulty preferences for a student
-router.get('/students/:studentId/difficulty-preferences', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), async (req, res) => {
+router.get('/students/:studentId/difficulty-preferences', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), studentProblemsAccess, async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { studentId } = req.params;
@@ -2412,7 +2434,7 @@ router.put('/students/:studentId/difficulty-preferences', authenticateJWT, roleC
 });
 
 // Get difficulty adaptation history for a student
-router.get('/students/:studentId/adaptation-history', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), async (req, res) => {
+router.get('/students/:studentId/adaptation-history', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), studentProblemsAccess, async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { studentId } = req.params;
@@ -2506,7 +2528,7 @@ router.get('/students/:studentId/adaptation-history', authenticateJWT, roleCheck
 });
 
 // Get adapted problem recommendations for a student
-router.get('/students/:studentId/adapted-problems', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), async (req, res) => {
+router.get('/students/:studentId/adapted-problems', authenticateJWT, roleCheck(['student', 'teacher', 'parent']), studentProblemsAccess, async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { studentId } = req.params;
@@ -2823,7 +2845,7 @@ router.get('/analytics/real-time-sessions', authenticateJWT, roleCheck(['teacher
 });
 
 // Track session heartbeat (for real-time monitoring)
-router.post('/sessions/:sessionId/heartbeat', authenticateJWT, roleCheck(['student']), async (req, res) => {
+router.post('/sessions/:sessionId/heartbeat', authenticateJWT, roleCheck(['student']), requireConsent('learning_analytics'), async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { sessionId } = req.params;
@@ -2844,7 +2866,7 @@ router.post('/sessions/:sessionId/heartbeat', authenticateJWT, roleCheck(['stude
       timeOnStep,
       interfaceEvents,
       engagementLevel
-    });
+    }, { recordDetails: hasConsent(req, 'learning_analytics') });
 
     res.json(result);
 
@@ -2856,7 +2878,7 @@ router.post('/sessions/:sessionId/heartbeat', authenticateJWT, roleCheck(['stude
 });
 
 // Get comprehensive student session analytics
-router.get('/analytics/students/:studentId/comprehensive', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), async (req, res) => {
+router.get('/analytics/students/:studentId/comprehensive', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), studentAnalyticsAccess, async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { studentId } = req.params;
@@ -2891,7 +2913,7 @@ router.get('/analytics/students/:studentId/comprehensive', authenticateJWT, role
 });
 
 // Get learning pattern analysis for a student
-router.get('/analytics/students/:studentId/learning-patterns', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), async (req, res) => {
+router.get('/analytics/students/:studentId/learning-patterns', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), studentAnalyticsAccess, async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { studentId } = req.params;
@@ -3237,7 +3259,7 @@ router.get('/analytics/engagement/:sessionId', authenticateJWT, roleCheck(['teac
 });
 
 // Get learning trajectory for a student
-router.get('/analytics/students/:studentId/trajectory', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), async (req, res) => {
+router.get('/analytics/students/:studentId/trajectory', authenticateJWT, roleCheck(['teacher', 'admin', 'student', 'parent']), studentAnalyticsAccess, async (req, res) => {
   try {
     const user = getUserFromRequest(req);
     const { studentId } = req.params;
@@ -3353,6 +3375,21 @@ router.post('/analytics/generate-report', authenticateJWT, roleCheck(['teacher',
       return res.status(400).json({ error: 'At least one student ID is required' });
     }
 
+    // Reports need access to every student in them, as for a single student's report
+    const denied = [];
+    for (const studentId of studentIds) {
+      if (!(await checkStudentDataAccess(req.user, studentId, 'reports')).allowed) {
+        denied.push(studentId);
+      }
+    }
+    if (denied.length > 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You do not have permission to access these students\' data',
+        studentIds: denied
+      });
+    }
+
     const { getSessionAnalyticsService } = require('../services/session-analytics-service');
     const sessionAnalyticsService = getSessionAnalyticsService();
 
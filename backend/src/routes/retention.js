@@ -0,0 +1,176 @@
+// Data Retention API Routes
+// Admin management of data retention policies, dry-run reports, runs and their metrics
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getRetentionService } = require('../services/retention-service');
+
+const router = express.Router();
+
+const admins = roleCheck(['admin']);
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.get('User-Agent') || 'unknown'
+});
+
+const sendRetentionError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.type === 'CONFLICT') {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * GET /retention/policies
+ * All retention policies, with how each is enforced and the schedule
+ */
+router.get('/policies', auth, admins, async (req, res) => {
+  try {
+    const service = getRetentionService();
+    const policies = await service.listPolicies();
+
+    res.json({
+      success: true,
+      data: policies,
+      schedule: service.getSchedule()
+    });
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to fetch retention policies');
+  }
+});
+
+/**
+ * POST /retention/policies
+ * Add a policy: { dataType, tableName, retentionPeriodDays, anonymizationPeriodDays, expiryAction, description, isActive }
+ */
+router.post('/policies', auth, admins, async (req, res) => {
+  try {
+    const policy = await getRetentionService().createPolicy(req.body, req.user, getClientInfo(req));
+
+    res.status(201).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to create retention policy');
+  }
+});
+
+/**
+ * PATCH /retention/policies/:policyId
+ * Change any of a policy's fields
+ */
+router.patch('/policies/:policyId', auth, admins, async (req, res) => {
+  try {
+    const policy = await getRetentionService().updatePolicy(req.params.policyId, req.body, req.user, getClientInfo(req));
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to update retention policy');
+  }
+});
+
+/**
+ * GET /retention/report
+ * Dry run: rows each active policy would delete, anonymise or archive now (?policyId= for one policy)
+ */
+router.get('/report', auth, admins, async (req, res) => {
+  try {
+    const report = await getRetentionService().getReport({ policyId: req.query.policyId || null });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to build retention report');
+  }
+});
+
+/**
+ * POST /retention/runs
+ * Apply all active policies now; the run continues in the background
+ */
+router.post('/runs', auth, admins, async (req, res) => {
+  try {
+    const run = await getRetentionService().triggerRun(req.user);
+
+    res.status(202).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to start retention run');
+  }
+});
+
+/**
+ * GET /retention/runs
+ * Recent runs with their totals (?limit=&offset=)
+ */
+router.get('/runs', auth, admins, async (req, res) => {
+  try {
+    const runs = await getRetentionService().listRuns({
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to fetch retention runs');
+  }
+});
+
+/**
+ * GET /retention/runs/:runId
+ * A run with the rows affected by each policy stage
+ */
+router.get('/runs/:runId', auth, admins, async (req, res) => {
+  try {
+    const run = await getRetentionService().getRun(req.params.runId);
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to fetch retention run');
+  }
+});
+
+/**
+ * GET /retention/metrics
+ * Rows affected per policy and action over recent runs (?days=30)
+ */
+router.get('/metrics', auth, admins, async (req, res) => {
+  try {
+    const metrics = await getRetentionService().getMetrics({
+      days: Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365)
+    });
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to fetch retention metrics');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// Review Queue API Routes
+// Spaced review of the student's past mistakes: what is due, every item being tracked, and
+// grading a review done outside a problem session
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getReviewService } = require('../services/review-service');
+
+const router = express.Router();
+
+const students = roleCheck(['student']);
+
+const sendReviewError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+const getPaging = (query, defaultLimit) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+/**
+ * GET /reviews/due
+ * Items due for review now, most overdue first, each with a problem variation, and counts
+ * across all items (?limit=)
+ */
+router.get('/due', auth, students, async (req, res) => {
+  try {
+    const service = getReviewService();
+    const queue = await service.getDueQueue(req.user.id, {
+      limit: getPaging(req.query, service.config.queueLimit).limit
+    });
+
+    res.json({
+      success: true,
+      data: queue
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to fetch due reviews');
+  }
+});
+
+/**
+ * GET /reviews
+ * Every tracked item with its schedule (?status=active|mastered&limit=&offset=)
+ */
+router.get('/', auth, students, async (req, res) => {
+  try {
+    const items = await getReviewService().listItems(req.user.id, {
+      status: req.query.status || null,
+      ...getPaging(req.query, 50)
+    });
+
+    res.json({
+      success: true,
+      data: items
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to fetch review items');
+  }
+});
+
+/**
+ * POST /reviews/:itemId/outcome
+ * Grade a review from 0 (could not do it) to 5 (easy); returns the item's new schedule
+ */
+router.post('/:itemId/outcome', auth, students, async (req, res) => {
+  try {
+    const result = await getReviewService().recordSelfReview(req.params.itemId, req.body, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to record review outcome');
+  }
+});
+
+module.exports = router;
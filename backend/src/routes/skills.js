@@ -0,0 +1,223 @@
+// Skills API Routes
+// Curriculum standards and their prerequisites, standards file import, template-to-skill
+// mappings, and each student's mastery map and next-template recommendations
+
+const express = require('express');
+const { authenticateJWT: auth, requireScopedStudentDataAccess } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getSkillService } = require('../services/skill-service');
+
+const router = express.Router();
+
+const staff = roleCheck(['admin', 'teacher']);
+const admins = roleCheck(['admin']);
+const students = roleCheck(['student']);
+// Mastery comes from problem steps, so substitutes need a delegation with the problems scope
+const studentProblemsAccess = requireScopedStudentDataAccess('problems');
+
+// Standards files can be posted as text/csv, as JSON text, or as { csv } / { standards } JSON
+const standardsBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+const standardsContent = (req) => {
+  if (typeof req.body === 'string') return req.body;
+  return typeof req.body.csv === 'string' ? req.body.csv : req.body;
+};
+
+const sendSkillError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+const getPaging = (query, defaultLimit) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 500),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+const masteryQuery = (query) => ({
+  problemType: query.problemType || null,
+  framework: query.framework || null
+});
+
+const recommendationQuery = (query) => ({
+  goal: query.goal || null,
+  problemType: query.problemType || null
+});
+
+const recommendationLimit = (query) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || 5, 1), 50)
+});
+
+/**
+ * GET /skills
+ * Skills with their prerequisite codes (?problemType=&framework=&search=&limit=&offset=)
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const skills = await getSkillService().listSkills({
+      problemType: req.query.problemType || null,
+      framework: req.query.framework || null,
+      search: req.query.search || null
+    }, getPaging(req.query, 100));
+
+    res.json({
+      success: true,
+      data: skills
+    });
+  } catch (error) {
+    sendSkillError(res, error, 'Failed to fetch skills');
+  }
+});
+
+/**
+ * POST /skills/import/preview
+ * Validate a CSV or JSON standards file and report what each standard would do, without
+ * changing anything (?framework= for standards that do not name one)
+ */
+router.post('/import/preview', auth, admins, standardsBody, async (req, res) => {
+  try {
+    const report = await getSkillService().previewImport(standardsContent(req), {
+      framework: req.query.framework || undefined
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendSkillError(res, error, 'Failed to preview standards import');
+  }
+});
+
+/**
+ * POST /skills/import
+ * Import a CSV or JSON standards file; standards with errors are skipped and reported
+ */
+router.post('/import', auth, admins, standardsBody, async (req, res) => {
+  try {
+    const report = await getSkillService().importStandards(standardsContent(req), {
+      framework: req.query.framework || undefined
+    }, req.user);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendSkillError(res, error, 'Failed to import standards');
+  }
+});
+
+/**
+ * GET /skills/templates/:templateId
+ * Skills a template practises
+ */
+router.get('/templates/:templateId', auth, async (req, res) => {
+  try {
+    const mapping = await getSkillService().getTemplateSkills(req.params.templateId);
+
+    res.json({
+      success: true,
+      data: mapping
+    });
+  } catch (error) {
+    sendSkillError(res, error, 'Failed to fetch template skills');
+  }
+});
+
+/**
+ * PUT /skills/templates/:templateId
+ * Replace the skills a template practises: { skills: [skill id or code, ...] }
+ */
+router.put('/templates/:templateId', auth, staff, async (req, res) => {
+  try {
+    const mapping = await getSkillService().setTemplateSkills(req.params.templateId, req.body);
+
+    res.json({
+      success: true,
+      data: mapping
+    });
+  } catch (error) {
+    sendSkillError(res, error, 'Failed to update template skills');
+  }
+});
+
+/**
+ * GET /skills/mastery
+ * The student's own mastery map (?problemType=&framework=)
+ */
+router.get('/mastery', auth, students, async (req, res) => {
+  try {
+    const map = await getSkillService().getMasteryMap(req.user.id, masteryQuery(req.query));
+
+    res.json({
+      success: true,
+      data: map
+    });
+  } catch (error) {
+    sendSkillError(res, error, 'Failed to fetch mastery map');
+  }
+});
+
+/**
+ * GET /skills/recommendations
+ * Templates for the student to practise next (?goal=skill id or code&problemType=&limit=)
+ */
+router.get('/recommendations', auth, students, async (req, res) => {
+  try {
+    const recommendations = await getSkillService().getRecommendations(
+      req.user.id, recommendationQuery(req.query), recommendationLimit(req.query)
+    );
+
+    res.json({
+      success: true,
+      data: recommendations
+    });
+  } catch (error) {
+    sendSkillError(res, error, 'Failed to fetch recommendations');
+  }
+});
+
+/**
+ * GET /skills/students/:studentId/mastery
+ * A student's mastery map, for their teachers (including substitutes with the problems scope),
+ * parents and admins
+ */
+router.get('/students/:studentId/mastery', auth, studentProblemsAccess, async (req, res) => {
+  try {
+    const map = await getSkillService().getMasteryMap(req.params.studentId, masteryQuery(req.query));
+
+    res.json({
+      success: true,
+      data: map
+    });
+  } catch (error) {
+    sendSkillError(res, error, 'Failed to fetch mastery map');
+  }
+});
+
+/**
+ * GET /skills/students/:studentId/recommendations
+ * Templates for a student to practise next, for the same users as the mastery map
+ */
+router.get('/students/:studentId/recommendations', auth, studentProblemsAccess, async (req, res) => {
+  try {
+    const recommendations = await getSkillService().getRecommendations(
+      req.params.studentId, recommendationQuery(req.query), recommendationLimit(req.query)
+    );
+
+    res.json({
+      success: true,
+      data: recommendations
+    });
+  } catch (error) {
+    sendSkillError(res, error, 'Failed to fetch recommendations');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+// Single Sign-On Routes
+// OpenID Connect login through school identity providers and admin provider management
+
+const express = require('express');
+const { authenticateJWT: auth } = require('../middleware/auth');
+const { roleCheck } = require('../middleware/role-check');
+const { getSsoService } = require('../services/sso-service');
+
+const router = express.Router();
+
+const admins = roleCheck(['admin']);
+
+const sendSsoError = (res, error, message) => {
+  if (error.type === 'VALIDATION_ERROR') {
+    return res.status(400).json({ success: false, message: error.message, errors: error.details.errors });
+  }
+  if (error.type === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.type === 'CONFLICT') {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+  if (error.type === 'PROVIDER_ERROR') {
+    return res.status(502).json({ success: false, message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message, error: error.message });
+};
+
+// Callback failures go back to the login page with a short code it can explain
+const SIGN_IN_ERROR_CODES = {
+  INVALID_STATE: 'expired',
+  INVALID_ID_TOKEN: 'invalid_token',
+  PROVIDER_ERROR: 'provider_error',
+  ACCESS_DENIED: 'access_denied',
+  CONFLICT: 'account_conflict',
+  NOT_FOUND: 'unknown_provider'
+};
+
+// Ties the login's state to the browser that started it; sent back only to the callback
+const STATE_COOKIE = 'ssoState';
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/v1/auth/sso'
+});
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.get('User-Agent') || 'unknown'
+});
+
+/**
+ * GET /auth/sso/providers
+ * Enabled identity providers for the login page
+ */
+router.get('/providers', async (req, res) => {
+  try {
+    const providers = await getSsoService().listLoginProviders();
+
+    res.json({
+      success: true,
+      data: providers
+    });
+  } catch (error) {
+    sendSsoError(res, error, 'Failed to fetch identity providers');
+  }
+});
+
+/**
+ * GET /auth/sso/admin/providers
+ * Every configured provider, including disabled ones
+ */
+router.get('/admin/providers', auth, admins, async (req, res) => {
+  try {
+    const providers = await getSsoService().listProviders();
+
+    res.json({
+      success: true,
+      data: providers
+    });
+  } catch (error) {
+    sendSsoError(res, error, 'Failed to fetch identity providers');
+  }
+});
+
+/**
+ * POST /auth/sso/admin/providers
+ * Add a provider: { slug, name, issuer, clientId, clientSecret, roleClaim, roleMapping, ... }
+ */
+router.post('/admin/providers', auth, admins, async (req, res) => {
+  try {
+    const provider = await getSsoService().createProvider(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: provider
+    });
+  } catch (error) {
+    sendSsoError(res, error, 'Failed to create identity provider');
+  }
+});
+
+/**
+ * PUT /auth/sso/admin/providers/:providerId
+ * Update any provider fields; omit clientSecret to keep the stored one
+ */
+router.put('/admin/providers/:providerId', auth, admins, async (req, res) => {
+  try {
+    const provider = await getSsoService().updateProvider(req.params.providerId, req.body);
+
+    res.json({
+      success: true,
+      data: provider
+    });
+  } catch (error) {
+    sendSsoError(res, error, 'Failed to update identity provider');
+  }
+});
+
+/**
+ * GET /auth/sso/:slug/login
+ * Redirect to the identity provider (?redirectTo=/path to return to afterwards, ?loginHint=email)
+ */
+router.get('/:slug/login', async (req, res) => {
+  try {
+    const { authorizationUrl, browserBinding } = await getSsoService().startLogin(req.params.slug, {
+      redirectTo: req.query.redirectTo,
+      loginHint: typeof req.query.loginHint === 'string' ? req.query.loginHint : null
+    });
+
+    res.cookie(STATE_COOKIE, browserBinding, { ...stateCookieOptions(), maxAge: getSsoService().config.loginTtlMs });
+    res.redirect(302, authorizationUrl);
+  } catch (error) {
+    sendSsoError(res, error, 'Failed to start sign-in');
+  }
+});
+
+/**
+ * GET /auth/sso/:slug/callback
+ * Where the identity provider returns the browser. Sets the refresh token cookie and
+ * redirects to the app, which calls POST /auth/refresh for an access token. Users who need
+ * MFA get no cookie: the app is sent the challenge to finish at POST /auth/mfa/challenge.
+ */
+router.get('/:slug/callback', async (req, res) => {
+  const { appUrl } = getSsoService().config;
+  const browserBinding = req.cookies && req.cookies[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, stateCookieOptions());
+
+  try {
+    const result = await getSsoService().completeLogin(req.params.slug, {
+      code: req.query.code,
+      state: req.query.state,
+      browserBinding,
+      error: req.query.error || null
+    }, getClientInfo(req));
+
+    // In the fragment so the challenge token stays out of server logs and referrers
+    if (result.mfaChallenge) {
+      const { challengeToken, purpose } = result.mfaChallenge;
+      const params = new URLSearchParams({ mfaChallenge: challengeToken, mfaPurpose: purpose, redirectTo: result.redirectTo });
+      return res.redirect(302, `${appUrl}/login#${params}`);
+    }
+
+    // Lax so the cookie is stored on this cross-site redirect from the provider
+    res.cookie('refreshToken', result.tokens.refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+    });
+
+    res.redirect(302, `${appUrl}${result.redirectTo}`);
+  } catch (error) {
+    const code = SIGN_IN_ERROR_CODES[error.type];
+    if (!code) {
+      console.error('SSO callback error:', error);
+    }
+
+    res.redirect(302, `${appUrl}/login?ssoError=${code || 'server_error'}`);
+  }
+});
+
+module.exports = router;
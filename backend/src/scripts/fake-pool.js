@@ -0,0 +1,36 @@
+// Stand-in for a pg Pool in the test scripts, answering queries from an ordered list of
+// [match, handler] routes. A match is a SQL fragment, a list of fragments that must all
+// appear, a RegExp, or a (sql, params) predicate; the first matching route's
+// handler(params, sql) returns the query result. Transaction statements are answered
+// here, every call is recorded in pool.calls, and anything unmatched throws.
+const TRANSACTION_STATEMENT = /^\s*(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)/;
+
+const matches = (match, sql, params) => {
+  if (typeof match === 'string') return sql.includes(match);
+  if (Array.isArray(match)) return match.every(fragment => sql.includes(fragment));
+  if (match instanceof RegExp) return match.test(sql);
+  return match(sql, params);
+};
+
+const createFakePool = (routes) => {
+  const calls = [];
+
+  const query = async (sql, params = []) => {
+    calls.push({ sql, params });
+    if (TRANSACTION_STATEMENT.test(sql)) return { rows: [] };
+
+    const route = routes.find(([match]) => matches(match, sql, params));
+    if (!route) {
+      throw new Error(`Unexpected query: ${sql.trim().slice(0, 80)}`);
+    }
+    return route[1](params, sql);
+  };
+
+  return {
+    calls,
+    query,
+    connect: async () => ({ query, release: () => {} })
+  };
+};
+
+module.exports = { createFakePool };
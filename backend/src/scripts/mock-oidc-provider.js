@@ -0,0 +1,179 @@
+// Local OpenID Connect provider for development and tests
+// Serves discovery, JWKS, an authorize endpoint that signs users in without a prompt
+// (pick one with ?login_hint=<sub or email>) and a token endpoint that checks PKCE.
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_CLIENT = { clientId: 'mentra-local', clientSecret: 'mentra-local-secret' };
+
+const DEFAULT_USERS = [
+  {
+    sub: 'mock-teacher-1',
+    email: 'tess.lee@district.test',
+    email_verified: true,
+    given_name: 'Tess',
+    family_name: 'Lee',
+    roles: ['Teacher'],
+    classes: ['MATH-7A']
+  },
+  {
+    sub: 'mock-student-1',
+    email: 'ana.ruiz@district.test',
+    email_verified: true,
+    given_name: 'Ana',
+    family_name: 'Ruiz',
+    roles: ['Student'],
+    classes: ['MATH-7A']
+  }
+];
+
+const CODE_TTL_MS = 60 * 1000;
+
+const createMockOidcProvider = ({ port = 0, client = DEFAULT_CLIENT, users = DEFAULT_USERS, idTokenTtlSeconds = 300 } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const app = express();
+  let server = null;
+  let issuer = null;
+
+  const provider = {
+    users: [...users],
+    get issuer() {
+      return issuer;
+    },
+
+    // Sign any claims with the provider's key, for tests that need odd tokens
+    signIdToken(claims, { expiresIn = idTokenTtlSeconds, audience = client.clientId } = {}) {
+      return jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: kid, issuer, audience, expiresIn });
+    },
+
+    async start() {
+      await new Promise((resolve, reject) => {
+        server = app.listen(port, '127.0.0.1', resolve).on('error', reject);
+      });
+      issuer = `http://127.0.0.1:${server.address().port}`;
+      return issuer;
+    },
+
+    async stop() {
+      if (server) {
+        await new Promise(resolve => server.close(resolve));
+        server = null;
+      }
+    }
+  };
+
+  const oauthError = (res, status, error, description) => res.status(status).json({ error, error_description: description });
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_post'],
+      scopes_supported: ['openid', 'email', 'profile']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge,
+      code_challenge_method: challengeMethod, login_hint: loginHint, response_type: responseType } = req.query;
+
+    if (clientId !== client.clientId || !redirectUri) {
+      return oauthError(res, 400, 'invalid_request', 'Unknown client or missing redirect_uri');
+    }
+
+    const redirect = new URL(redirectUri);
+    if (state) redirect.searchParams.set('state', state);
+
+    const user = loginHint
+      ? provider.users.find(u => u.sub === loginHint || u.email === loginHint)
+      : provider.users[0];
+
+    if (responseType !== 'code' || !codeChallenge || challengeMethod !== 'S256') {
+      redirect.searchParams.set('error', 'invalid_request');
+    } else if (!user) {
+      redirect.searchParams.set('error', 'access_denied');
+    } else {
+      const code = crypto.randomBytes(24).toString('base64url');
+      codes.set(code, { user, redirectUri, nonce, codeChallenge, expiresAt: Date.now() + CODE_TTL_MS });
+      redirect.searchParams.set('code', code);
+    }
+
+    res.redirect(302, redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId,
+      client_secret: clientSecret, code_verifier: codeVerifier } = req.body;
+
+    if (clientId !== client.clientId || clientSecret !== client.clientSecret) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+    if (grantType !== 'authorization_code') {
+      return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    // Codes are single use even when the exchange fails
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirectUri) {
+      return oauthError(res, 400, 'invalid_grant', 'Code is invalid, expired or issued for another redirect_uri');
+    }
+    const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    const { sub, ...claims } = grant.user;
+    res.json({
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: idTokenTtlSeconds,
+      id_token: jwt.sign({ ...claims, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer,
+        audience: client.clientId,
+        subject: sub,
+        expiresIn: idTokenTtlSeconds
+      })
+    });
+  });
+
+  return provider;
+};
+
+// Run standalone: MOCK_IDP_PORT=4010 npm run mock-idp
+if (require.main === module) {
+  const provider = createMockOidcProvider({ port: parseInt(process.env.MOCK_IDP_PORT) || 4010 });
+
+  provider.start().then(issuer => {
+    console.log(`🪪 Mock identity provider running at ${issuer}`);
+    console.log(`   Client: ${DEFAULT_CLIENT.clientId} / ${DEFAULT_CLIENT.clientSecret}`);
+    console.log('   Users (login_hint):');
+    provider.users.forEach(u => console.log(`   - ${u.sub} <${u.email}> roles=${u.roles.join(',')} classes=${u.classes.join(',')}`));
+    console.log('   Map roles with { "roleClaim": "roles", "roleMapping": { "Teacher": "teacher", "Student": "student" } }');
+  });
+}
+
+module.exports = {
+  createMockOidcProvider,
+  DEFAULT_CLIENT,
+  DEFAULT_USERS
+};
@@ -0,0 +1,76 @@
+const { reembedCollection, getCollectionEmbeddingInfo, testChromaConnection } = require('../config/vector-db');
+const { getEmbeddingProvider } = require('../services/embedding-service');
+require('dotenv').config();
+
+// Re-embeds every stored learning context with the configured embedding provider.
+// Run after changing EMBEDDING_PROVIDER / EMBEDDING_MODEL so stored vectors and queries share a space.
+//
+// Usage: npm run reembed-contexts -- [--dry-run] [--force] [--batch-size=100]
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, force: false, batchSize: 100 };
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (arg.startsWith('--batch-size=')) {
+      args.batchSize = parseInt(arg.split('=')[1], 10) || args.batchSize;
+    }
+  }
+  return args;
+};
+
+const runReembedding = async (argv = process.argv.slice(2)) => {
+  const args = parseArgs(argv);
+
+  console.log('🧬 Starting context re-embedding...');
+  await testChromaConnection();
+
+  const provider = getEmbeddingProvider();
+
+  // Remote providers only know their dimensionality after the first call
+  await provider.embed('dimension probe');
+  const target = provider.describe();
+  const current = await getCollectionEmbeddingInfo();
+
+  console.log(`   Current: ${current.provider || 'unknown'}/${current.model || 'unknown'} (${current.dimensions || '?'} dims)`);
+  console.log(`   Target:  ${target.provider}/${target.model} (${target.dimensions} dims)`);
+
+  if (!args.force && current.model === target.model && current.dimensions === target.dimensions) {
+    console.log('✅ Collection already uses the configured embedding model (use --force to re-embed anyway)');
+    return { skipped: true };
+  }
+
+  const result = await reembedCollection({
+    embedMany: texts => provider.embedMany(texts),
+    embeddingInfo: target,
+    batchSize: args.batchSize,
+    dryRun: args.dryRun,
+    onProgress: ({ processed, total }) => {
+      console.log(`   🔄 ${processed}/${total} contexts re-embedded`);
+    }
+  });
+
+  if (result.dryRun) {
+    console.log(`📋 Dry run: ${result.total} contexts would be re-embedded`);
+  } else {
+    console.log(`✅ Re-embedded ${result.processed} of ${result.total} contexts`);
+  }
+
+  return result;
+};
+
+if (require.main === module) {
+  runReembedding()
+    .then(() => {
+      console.log('🎉 Re-embedding completed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Re-embedding failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runReembedding, parseArgs };
@@ -0,0 +1,257 @@
+const {
+  AccountTokenService,
+  AccountTokenError,
+  TOKEN_TYPES,
+  hashToken,
+  generateToken,
+  validateInvitationInput
+} = require('../services/account-token-service');
+const { setMailTransport } = require('../services/mail-transport');
+const { createFakePool } = require('./fake-pool');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const CLASSROOM_ID = '22222222-2222-4222-8222-222222222222';
+
+const expectTokenError = async (fn, type) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (!(error instanceof AccountTokenError) || error.type !== type) throw error;
+    return error;
+  }
+  throw new Error(`Expected a ${type} error`);
+};
+
+// Keeps auth_tokens and users rows in memory, answering the queries the service makes
+const createFakeDatabase = () => {
+  const db = {
+    tokens: [],
+    users: [{ id: USER_ID, email: 'ana@school.test', role: 'student', status: 'active', first_name: 'Ana', last_name: 'Ruiz', email_verified_at: null }]
+  };
+  const live = (t) => !t.used_at && !t.revoked_at && t.expires_at > new Date();
+
+  db.pool = createFakePool([
+    [['FROM users', 'LOWER(email)'], params => ({ rows: db.users.filter(u => u.email === params[0].toLowerCase()) })],
+    ['UPDATE auth_tokens SET revoked_at', params => {
+      db.tokens.filter(t => t.token_type === params[0] && live(t) && t.user_id === params[1]).forEach(t => {
+        t.revoked_at = new Date();
+      });
+      return { rows: [] };
+    }],
+    ['INSERT INTO auth_tokens', params => {
+      const row = {
+        id: `token-${db.tokens.length + 1}`,
+        user_id: params[0],
+        token_type: params[1],
+        token_hash: params[2],
+        expires_at: new Date(Date.now() + params[3]),
+        used_at: null,
+        revoked_at: null
+      };
+      db.tokens.push(row);
+      return { rows: [row] };
+    }],
+    ['UPDATE auth_tokens SET used_at', params => {
+      const row = db.tokens.find(t => t.token_hash === params[0] && t.token_type === params[1] && live(t));
+      if (row) row.used_at = new Date();
+      return { rows: row ? [row] : [] };
+    }],
+    ['UPDATE users', params => {
+      const user = db.users.find(u => u.id === params[0]);
+      if (params[1]) user.password_hash = params[1];
+      user.email_verified_at = user.email_verified_at || new Date();
+      return { rows: [] };
+    }]
+  ]);
+  return db;
+};
+
+const createService = (db) => {
+  const service = new AccountTokenService();
+  service.pool = db.pool;
+  service.revokedFor = [];
+  service.revokeSessions = async (userId) => {
+    service.revokedFor.push(userId);
+    return 2;
+  };
+  return service;
+};
+
+// Captures sent mail and pulls the token back out of the link
+const captureMail = () => {
+  const outbox = [];
+  setMailTransport({ send: async (message) => { outbox.push(message); return { status: 'sent' }; } });
+  outbox.lastToken = () => {
+    const match = /token=([^\s"&]+)/.exec(outbox[outbox.length - 1].text);
+    return decodeURIComponent(match[1]);
+  };
+  return outbox;
+};
+
+// Reset emails are sent after the request returns
+const requestReset = async (service, email) => {
+  const requested = await service.requestPasswordReset(email);
+  await new Promise(resolve => setImmediate(resolve));
+  return requested;
+};
+
+// Test token generation and invitation input validation
+const testTokensAndValidation = async () => {
+  console.log('\n🔑 Testing Token Generation and Invitation Validation...');
+
+  try {
+    const first = generateToken();
+    const second = generateToken();
+    if (first.token === second.token || first.tokenHash !== hashToken(first.token) || first.tokenHash.includes(first.token)) {
+      throw new Error('Tokens should be random and stored only as their hash');
+    }
+
+    validateInvitationInput({ email: 'new@school.test', role: 'student', classroomId: CLASSROOM_ID, firstName: 'Noa' }, 'teacher');
+    validateInvitationInput({ email: 'teacher@school.test', role: 'teacher' }, 'admin');
+
+    const teacherInvite = await expectTokenError(() =>
+      validateInvitationInput({ email: 'teacher@school.test', role: 'teacher' }, 'teacher'), 'VALIDATION_ERROR');
+    if (!teacherInvite.details.errors[0].includes('student, parent')) {
+      throw new Error('Teachers should only invite students and parents');
+    }
+
+    const badInvite = await expectTokenError(() =>
+      validateInvitationInput({ email: 'nope', role: 'parent', classroomId: CLASSROOM_ID, message: 'x'.repeat(501) }, 'admin'), 'VALIDATION_ERROR');
+    if (badInvite.details.errors.length !== 3) {
+      throw new Error(`Expected email, classroom and message errors, got: ${badInvite.details.errors}`);
+    }
+
+    console.log('   ✅ Tokens are random and hashed; invitation roles and fields validated');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Token and validation test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test the emailed reset link: single use, replaced by newer links, revokes sessions
+const testPasswordReset = async () => {
+  console.log('\n🔁 Testing Password Reset Flow...');
+
+  try {
+    const db = createFakeDatabase();
+    const service = createService(db);
+    const outbox = captureMail();
+
+    if (await requestReset(service, 'nobody@school.test') !== false || outbox.length !== 0) {
+      throw new Error('Unknown emails should not be sent anything');
+    }
+
+    await requestReset(service, 'ANA@school.test');
+    const oldToken = outbox.lastToken();
+    await requestReset(service, 'ana@school.test');
+    const token = outbox.lastToken();
+
+    if (outbox.length !== 2 || !outbox[1].text.includes('/reset-password?token=') || outbox[1].to !== 'ana@school.test') {
+      throw new Error('Reset link should be emailed to the account address');
+    }
+    if (db.tokens.some(t => t.token_hash === token)) {
+      throw new Error('Raw token should never be stored');
+    }
+
+    await expectTokenError(() => service.resetPassword(oldToken, 'N3w-Password!'), 'INVALID_TOKEN');
+
+    const result = await service.resetPassword(token, 'N3w-Password!');
+    const user = db.users[0];
+    if (result.sessionsRevoked !== 2 || service.revokedFor.join() !== USER_ID) {
+      throw new Error('Using a reset token should revoke every session');
+    }
+    if (!user.password_hash || user.password_hash === 'N3w-Password!' || !user.email_verified_at) {
+      throw new Error('Reset should store a password hash and verify the email');
+    }
+
+    await expectTokenError(() => service.resetPassword(token, 'An0ther-Password!'), 'INVALID_TOKEN');
+
+    console.log('   ✅ Reset links are single use, superseded by newer links and revoke sessions');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Password reset test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    setMailTransport(null);
+  }
+};
+
+// Test email verification links, including expired ones
+const testEmailVerification = async () => {
+  console.log('\n📧 Testing Email Verification Flow...');
+
+  try {
+    const db = createFakeDatabase();
+    const service = createService(db);
+    const outbox = captureMail();
+
+    await service.sendEmailVerification(db.users[0]);
+    const expiredToken = outbox.lastToken();
+    db.tokens[0].expires_at = new Date(Date.now() - 1000);
+    await expectTokenError(() => service.verifyEmail(expiredToken), 'INVALID_TOKEN');
+
+    await service.sendEmailVerification(db.users[0]);
+    const token = outbox.lastToken();
+    if (db.tokens[1].token_type !== TOKEN_TYPES.EMAIL_VERIFICATION || !outbox[1].text.includes('/verify-email?token=')) {
+      throw new Error('Verification link should point at the verify page');
+    }
+
+    await service.verifyEmail(token);
+    if (!db.users[0].email_verified_at || service.revokedFor.join() !== USER_ID) {
+      throw new Error('Verifying should mark the email verified and revoke sessions');
+    }
+
+    await expectTokenError(() => service.sendEmailVerification(db.users[0]), 'CONFLICT');
+
+    setMailTransport(null);
+    await expectTokenError(() => service.verifyEmail(''), 'INVALID_TOKEN');
+
+    console.log('   ✅ Expired links rejected; verification revokes sessions and is not resent once done');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Email verification test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    setMailTransport(null);
+  }
+};
+
+const runAccountTokenTests = async () => {
+  console.log('🧪 Running Account Token Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testTokensAndValidation(),
+    await testPasswordReset(),
+    await testEmailVerification()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Account Token Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runAccountTokenTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runAccountTokenTests,
+  testTokensAndValidation,
+  testPasswordReset,
+  testEmailVerification
+};
@@ -1,4 +1,14 @@
-const { getAIService, AI_PROVIDERS, AIServiceError } = require('../services/ai-service');
+const {
+  getAIService,
+  AIService,
+  AI_PROVIDERS,
+  AIServiceError,
+  AIRateLimitError,
+  CircuitBreaker,
+  CIRCUIT_STATES,
+  readStreamLines,
+  MockProvider
+} = require('../services/ai-service');
 const { getCurrentEnvironment } = require('../config/environment');
 
 // Test configuration
@@ -60,6 +70,174 @@ const testBasicResponse = async (aiService) => {
   }
 };
 
+// Test streaming response generation
+const testStreamingResponse = async (aiService) => {
+  console.log('\n📡 Testing Streaming AI Response...');
+
+  const prompt = TEST_PROMPTS[2];
+  console.log(`   Prompt: "${prompt}"`);
+
+  try {
+    const { chunks, streamedText, final } = await runWithTimeout(async () => {
+      const chunks = [];
+      let streamedText = '';
+      let final = null;
+      for await (const chunk of aiService.streamResponse(prompt)) {
+        chunks.push(chunk);
+        if (chunk.type === 'token') {
+          streamedText += chunk.text;
+        } else if (chunk.type === 'done') {
+          final = chunk;
+        }
+      }
+      return { chunks, streamedText, final };
+    }, 15000);
+
+    const tokenCount = chunks.filter(c => c.type === 'token').length;
+    if (tokenCount === 0) {
+      throw new Error('No tokens were streamed');
+    }
+    if (!final) {
+      throw new Error('Stream ended without a done chunk');
+    }
+    if (chunks[chunks.length - 1] !== final) {
+      throw new Error('Done chunk was not the last chunk');
+    }
+    if (streamedText.trim() !== final.text.trim()) {
+      throw new Error('Streamed tokens do not add up to the final text');
+    }
+
+    console.log(`   ✅ Streamed ${tokenCount} tokens from ${final.provider}`);
+    console.log(`   Response time: ${final.responseTime}ms`);
+    console.log(`   Preview: "${final.text.substring(0, 100)}..."`);
+
+    return { success: true, tokenCount };
+  } catch (error) {
+    console.log(`   ❌ Streaming response test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that streamed bodies are split into lines without breaking multibyte characters
+const testStreamDecoding = async () => {
+  console.log('\n🔤 Testing Streamed Body Decoding...');
+
+  try {
+    const body = Buffer.from('{"response":"Très bien 🙂"}\r\ndata: {"text":"naïve"}\n\n{"response":"über"}', 'utf8');
+
+    // Every split point, including inside each multibyte character
+    for (let split = 1; split < body.length; split++) {
+      const chunks = [body.subarray(0, split), body.subarray(split)];
+      const lines = [];
+      for await (const line of readStreamLines(chunks)) {
+        lines.push(line);
+      }
+      if (lines.join('|') !== '{"response":"Très bien 🙂"}|data: {"text":"naïve"}|{"response":"über"}') {
+        throw new Error(`Split at byte ${split} gave ${JSON.stringify(lines)}`);
+      }
+    }
+
+    console.log('   ✅ Accents and emoji survive chunk boundaries');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Stream decoding test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test the provider chain: retries, circuit breakers, rate limits and timeouts
+const testFallbackChain = async () => {
+  console.log('\n🔌 Testing Provider Fallback Chain...');
+
+  // Stub provider whose behaviour can be swapped between calls
+  const createStubProvider = (name) => ({
+    name,
+    calls: 0,
+    behaviour: 'fail',
+    validatePrompt: () => true,
+    async generateResponse() {
+      this.calls++;
+      if (this.behaviour === 'rate_limit') throw new AIRateLimitError(`${name} rate limited`, name, '1');
+      if (this.behaviour === 'hang') return new Promise(() => {});
+      if (this.behaviour === 'fail') throw new AIServiceError(`${name} unavailable`, name);
+      return { text: `answer from ${name}`, provider: name };
+    },
+    async checkHealth() {
+      return { healthy: this.behaviour === 'ok', provider: name };
+    }
+  });
+
+  try {
+    const service = new AIService();
+    const primary = createStubProvider('primary');
+    const fallback = new MockProvider({ delay: 1 });
+
+    service.providers = new Map([['primary', primary], [fallback.name, fallback]]);
+    service.providerChain = [primary, fallback];
+    service.breakers = new Map([
+      ['primary', new CircuitBreaker('primary', { failureThreshold: 2, cooldownMs: 60000 })],
+      [fallback.name, new CircuitBreaker(fallback.name)]
+    ]);
+    service.activeProvider = primary;
+    service.retries = 1;
+    service.retryBaseDelay = 1;
+    service.timeout = 100;
+    const breaker = service.breakers.get('primary');
+
+    // Two consecutive failures (first attempt + one retry) open the circuit
+    let result = await service.generateResponse(TEST_PROMPTS[0]);
+    if (result.provider !== fallback.name || !result.usedFallback) throw new Error('Fallback provider was not used');
+    if (primary.calls !== 2) throw new Error(`Expected 2 attempts on primary, got ${primary.calls}`);
+    if (breaker.getState().state !== CIRCUIT_STATES.OPEN) throw new Error('Circuit did not open');
+    console.log('   ✅ Failing provider retried, then circuit opened');
+
+    // An open circuit skips the provider without calling it
+    await service.generateResponse(TEST_PROMPTS[1]);
+    if (primary.calls !== 2) throw new Error('Provider with open circuit was called');
+    console.log('   ✅ Open circuit skips the provider');
+
+    // After the cooldown a single trial request closes the circuit again
+    breaker.retryAt = Date.now() - 1;
+    primary.behaviour = 'ok';
+    result = await service.generateResponse(TEST_PROMPTS[2]);
+    if (result.provider !== 'primary' || breaker.getState().state !== CIRCUIT_STATES.CLOSED) {
+      throw new Error('Half-open trial did not close the circuit');
+    }
+    console.log('   ✅ Half-open trial closes the circuit');
+
+    // Rate limits are not retried and open the circuit for Retry-After
+    primary.calls = 0;
+    primary.behaviour = 'rate_limit';
+    await service.generateResponse(TEST_PROMPTS[3]);
+    const rateLimited = breaker.getState();
+    const waitMs = new Date(rateLimited.retryAt) - new Date(rateLimited.openedAt);
+    if (primary.calls !== 1 || rateLimited.openReason !== 'rate_limited' || waitMs !== 1000) {
+      throw new Error('Rate limit did not open the circuit for Retry-After');
+    }
+    console.log('   ✅ Rate limit opens the circuit for Retry-After');
+
+    // A hung provider times out and the chain moves on
+    breaker.recordSuccess();
+    primary.behaviour = 'hang';
+    result = await runWithTimeout(() => service.generateResponse(TEST_PROMPTS[4]), 5000);
+    if (result.provider !== fallback.name || breaker.getState().lastError?.type !== 'AITimeoutError') {
+      throw new Error('Hung provider did not time out');
+    }
+    console.log('   ✅ Hung provider times out and falls back');
+
+    const health = await service.checkHealth();
+    if (!health.providers.primary.circuit || health.providerChain.join(',') !== `primary,${fallback.name}`) {
+      throw new Error('Health check does not report circuit state');
+    }
+    console.log(`   Circuit: ${JSON.stringify(health.providers.primary.circuit)}`);
+
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Fallback chain test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
 // Test AI service health check
 const testHealthCheck = async (aiService) => {
   console.log('\n🏥 Testing AI Service Health Check...');
@@ -276,8 +454,11 @@ const runAIServiceTests = async () => {
   
   testResults.push(await testHealthCheck(aiService));
   testResults.push(await testBasicResponse(aiService));
+  testResults.push(await testStreamingResponse(aiService));
+  testResults.push(await testStreamDecoding());
   testResults.push(await testMultiplePrompts(aiService));
   testResults.push(await testProviderSwitching(aiService));
+  testResults.push(await testFallbackChain());
   testResults.push(await testResponseOptions(aiService));
   testResults.push(await testErrorHandling(aiService));
   testResults.push(await testAvailableModels(aiService));
@@ -318,9 +499,12 @@ if (require.main === module) {
 module.exports = {
   runAIServiceTests,
   testBasicResponse,
+  testStreamingResponse,
+  testStreamDecoding,
   testHealthCheck,
   testMultiplePrompts,
   testProviderSwitching,
+  testFallbackChain,
   testResponseOptions,
   testErrorHandling,
   testAvailableModels
@@ -0,0 +1,374 @@
+const {
+  STUDENT_STATUS,
+  PROBLEM_STATUS,
+  AssignmentError,
+  studentProgress,
+  summarizeAssignment,
+  dueReminderKey,
+  describeTimeLeft,
+  validateAssignmentInput,
+  validateCollectionInput
+} = require('../services/assignment-rules');
+const { AssignmentService } = require('../services/assignment-service');
+const { createFakePool } = require('./fake-pool');
+
+const TEACHER = { id: '11111111-1111-4111-8111-111111111111', role: 'teacher' };
+const ANA = '22222222-2222-4222-8222-222222222222';
+const BEN = '33333333-3333-4333-8333-333333333333';
+const CARA = '44444444-4444-4444-8444-444444444444';
+const ASSIGNMENT_ID = '55555555-5555-4555-8555-555555555555';
+const COLLECTION_ID = '66666666-6666-4666-8666-666666666666';
+const CLASSROOM_ID = '77777777-7777-4777-8777-777777777777';
+const FRACTIONS = '88888888-8888-4888-8888-888888888888';
+const DECIMALS = '99999999-9999-4999-8999-999999999999';
+const BONUS = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+const HOUR = 60 * 60 * 1000;
+const DUE = new Date('2026-03-10T17:00:00Z');
+const at = (hoursFromDue) => new Date(DUE.getTime() + hoursFromDue * HOUR);
+
+const PROBLEMS = [
+  { template_id: FRACTIONS, sort_order: 1, is_required: true, points_possible: 100, title: 'Fractions' },
+  { template_id: DECIMALS, sort_order: 2, is_required: true, points_possible: 50, title: 'Decimals' },
+  { template_id: BONUS, sort_order: 3, is_required: false, points_possible: 50, title: 'Bonus' }
+];
+
+const assignmentRow = (overrides = {}) => ({
+  id: ASSIGNMENT_ID,
+  collection_id: COLLECTION_ID,
+  classroom_id: CLASSROOM_ID,
+  title: 'Fractions week',
+  assigned_to: 'classroom',
+  assigned_by: TEACHER.id,
+  open_at: at(-72),
+  due_at: DUE,
+  allow_late: true,
+  status: 'active',
+  ...overrides
+});
+
+let nextSession = 1;
+const session = (studentId, templateId, status, { started = -48, completed = null, accuracy = null } = {}) => ({
+  id: `session-${nextSession++}`,
+  assignment_id: ASSIGNMENT_ID,
+  student_id: studentId,
+  template_id: templateId,
+  session_status: status,
+  started_at: at(started),
+  completed_at: completed === null ? null : at(completed),
+  last_activity_at: at(completed === null ? started : completed),
+  accuracy_score: accuracy === null ? null : accuracy.toFixed(2)
+});
+
+const expectAssignmentError = async (fn, type) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (!(error instanceof AssignmentError) || error.type !== type) throw error;
+    return error;
+  }
+  throw new Error(`Expected a ${type} error`);
+};
+
+// Keeps one assignment, its collection, roster, sessions and sent reminders in memory
+const createFakeDatabase = ({ assignment = assignmentRow(), collection = {}, sessions = [] } = {}) => {
+  const db = {
+    assignment,
+    collection: { id: COLLECTION_ID, attempts_allowed: 3, is_ordered: false, ...collection },
+    roster: [
+      { student_id: ANA, first_name: 'Ana', last_name: 'Adams' },
+      { student_id: BEN, first_name: 'Ben', last_name: 'Brown' }
+    ],
+    sessions,
+    reminders: new Set(),
+    notifications: []
+  };
+
+  const pool = createFakePool([
+    ['INSERT INTO assignment_reminders', params => {
+      const [assignmentId, studentIds, key] = params;
+      const claimed = studentIds.filter(id => !db.reminders.has(`${assignmentId}:${id}:${key}`));
+      claimed.forEach(id => db.reminders.add(`${assignmentId}:${id}:${key}`));
+      return { rows: claimed.map(id => ({ student_id: id })) };
+    }],
+    [['FROM collection_problems cp', 'JOIN problem_templates pt'], () => ({ rows: PROBLEMS.map(problem => ({ ...problem, collection_id: COLLECTION_ID })) })],
+    ['AS student_id, u.first_name', () => ({ rows: db.roster.map(row => ({ ...row, assignment_id: db.assignment.id })) })],
+    ['JOIN problem_sessions ps', params => {
+      const [, studentIds] = params;
+      return { rows: db.sessions.filter(row => !studentIds || studentIds.includes(row.student_id)) };
+    }],
+    ['FROM problem_collections WHERE id = $1', () => ({ rows: [db.collection] })],
+    [['FROM assignments a', 'a.id = $1'], params => ({ rows: params[0] === db.assignment.id ? [db.assignment] : [] })],
+    [['FROM assignments a', 'a.open_at <= $1'], params => {
+      const now = params[0];
+      const open = db.assignment.status === 'active' && db.assignment.open_at <= now && db.assignment.due_at > now;
+      return { rows: open ? [db.assignment] : [] };
+    }]
+  ]);
+
+  return { db, pool };
+};
+
+const createService = (fake, config = {}) => {
+  const service = new AssignmentService();
+  service.pool = fake.pool;
+  service.config = { remindersEnabled: true, reminderHours: [24, 2], sweepIntervalMs: 60000, ...config };
+  service.notificationService = {
+    createNotification: async (notification) => {
+      fake.db.notifications.push(notification);
+      return notification;
+    }
+  };
+  return service;
+};
+
+const testStudentStatus = async () => {
+  console.log('\n📋 Testing student assignment status...');
+
+  try {
+    const assignment = assignmentRow();
+    const status = (sessions, now = at(-1), overrides = {}) =>
+      studentProgress({ ...assignment, ...overrides }, PROBLEMS, sessions, now);
+
+    if (status([], at(-96)).status !== STUDENT_STATUS.NOT_OPEN || status([]).status !== STUDENT_STATUS.NOT_STARTED) {
+      throw new Error('Students without sessions should be not open or not started');
+    }
+
+    const onTime = status([
+      session(ANA, FRACTIONS, 'completed', { completed: -30, accuracy: 0.8 }),
+      session(ANA, DECIMALS, 'abandoned', { started: -20 }),
+      session(ANA, DECIMALS, 'completed', { started: -10, completed: -5, accuracy: 0.6 }),
+      session(ANA, DECIMALS, 'completed', { started: -4, completed: -3, accuracy: 1 })
+    ]);
+    if (onTime.status !== STUDENT_STATUS.COMPLETED || onTime.late || onTime.missing || onTime.progress !== 1 ||
+        onTime.pointsEarned !== 130 || onTime.pointsPossible !== 200 || onTime.score !== 65) {
+      throw new Error(`Required problems done on time should complete the assignment: ${JSON.stringify(onTime)}`);
+    }
+    const decimals = onTime.problems.find(cell => cell.templateId === DECIMALS);
+    if (decimals.attempts !== 3 || decimals.bestAccuracy !== 1 || decimals.completedAt !== at(-5).toISOString()) {
+      throw new Error('A problem should keep its best accuracy and first completion across attempts');
+    }
+    if (onTime.problems.find(cell => cell.templateId === BONUS).status !== PROBLEM_STATUS.NOT_STARTED) {
+      throw new Error('Optional problems should not be needed to complete the assignment');
+    }
+
+    const partial = [session(BEN, FRACTIONS, 'completed', { completed: -30, accuracy: 1 })];
+    const inProgress = status(partial);
+    const missing = status(partial, at(5));
+    if (inProgress.status !== STUDENT_STATUS.IN_PROGRESS || inProgress.missing || inProgress.progress !== 0.5 ||
+        missing.status !== STUDENT_STATUS.IN_PROGRESS || !missing.missing) {
+      throw new Error('Unfinished work should be in progress, and missing once the due date passes');
+    }
+
+    const lateWork = [...partial, session(BEN, DECIMALS, 'completed', { started: 2, completed: 3, accuracy: 0.5 })];
+    const late = status(lateWork, at(4));
+    const refused = status(lateWork, at(4), { allow_late: false });
+    if (late.status !== STUDENT_STATUS.COMPLETED || !late.late || late.missing ||
+        refused.status !== STUDENT_STATUS.IN_PROGRESS || !refused.missing || refused.late) {
+      throw new Error(`Late completions should be flagged, or not count without late work: ${JSON.stringify(refused)}`);
+    }
+
+    const summary = summarizeAssignment([onTime, late, status([], at(4))]);
+    if (summary.completed !== 2 || summary.late !== 1 || summary.missing !== 1 || summary.notStarted !== 1 ||
+        summary.completionRate !== 0.67) {
+      throw new Error(`Class counts are wrong: ${JSON.stringify(summary)}`);
+    }
+
+    const reminders = [24, 2];
+    if (dueReminderKey(assignment, reminders, at(-30)) !== null || dueReminderKey(assignment, reminders, at(-20)) !== 'due_24' ||
+        dueReminderKey(assignment, reminders, at(-1)) !== 'due_2' || dueReminderKey(assignment, reminders, at(1)) !== null) {
+      throw new Error('The closest reached reminder should be chosen, and none after the due date');
+    }
+    if (describeTimeLeft(DUE, at(-72)) !== 'in 3 days' || describeTimeLeft(DUE, at(-5)) !== 'in 5 hours' ||
+        describeTimeLeft(DUE, at(-0.5)) !== 'in 30 minutes') {
+      throw new Error('Time left should be described in days, hours or minutes');
+    }
+
+    const invalid = await expectAssignmentError(() => validateAssignmentInput({
+      collectionId: COLLECTION_ID, classroomId: CLASSROOM_ID, openAt: '2026-03-10T00:00:00Z', dueAt: '2026-03-09T00:00:00Z'
+    }), 'VALIDATION_ERROR');
+    const duplicate = await expectAssignmentError(() => validateCollectionInput({
+      name: 'Week 1', problems: [{ templateId: FRACTIONS }, { templateId: FRACTIONS }]
+    }), 'VALIDATION_ERROR');
+    const moved = await expectAssignmentError(() => validateAssignmentInput(
+      { openAt: '2026-03-11T00:00:00Z' }, { partial: true, current: assignment }
+    ), 'VALIDATION_ERROR');
+    if (!invalid.details.errors[0].includes('dueAt must be after openAt') || duplicate.details.errors.length !== 1 ||
+        !moved.details.errors[0].includes('dueAt must be after openAt')) {
+      throw new Error('Schedules and collections should be validated');
+    }
+
+    console.log('   ✅ Status, late and missing flags, scores and reminders follow the sessions and dates');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Status test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testSessionStart = async () => {
+  console.log('\n🚦 Testing sessions started from assignments...');
+
+  try {
+    const student = (id) => ({ id, role: 'student' });
+
+    const ordered = createService(createFakeDatabase({
+      collection: { is_ordered: true, attempts_allowed: 2 },
+      sessions: [
+        session(ANA, FRACTIONS, 'completed', { completed: -30, accuracy: 1 }),
+        session(ANA, DECIMALS, 'abandoned', { started: -20 }),
+        session(ANA, DECIMALS, 'abandoned', { started: -10 })
+      ]
+    }));
+
+    const startedId = await ordered.checkSessionStart(ASSIGNMENT_ID, FRACTIONS, student(BEN), { now: at(-1) });
+    if (startedId !== ASSIGNMENT_ID) {
+      throw new Error('The first problem of an open assignment should be allowed');
+    }
+    const order = await expectAssignmentError(
+      () => ordered.checkSessionStart(ASSIGNMENT_ID, DECIMALS, student(BEN), { now: at(-1) }), 'CONFLICT');
+    const attempts = await expectAssignmentError(
+      () => ordered.checkSessionStart(ASSIGNMENT_ID, DECIMALS, student(ANA), { now: at(-1) }), 'CONFLICT');
+    if (!order.message.includes('earlier problems') || order.details.pendingTemplateIds[0] !== FRACTIONS ||
+        attempts.details.attempts !== 2) {
+      throw new Error('Ordered collections and attempt limits should be enforced');
+    }
+
+    await expectAssignmentError(() => ordered.checkSessionStart(ASSIGNMENT_ID, FRACTIONS, student(CARA), { now: at(-1) }), 'NOT_FOUND');
+    await expectAssignmentError(() => ordered.checkSessionStart(ASSIGNMENT_ID, FRACTIONS, student(BEN), { now: at(-96) }), 'CONFLICT');
+    await expectAssignmentError(() => ordered.checkSessionStart(ASSIGNMENT_ID, CLASSROOM_ID, student(BEN), { now: at(-1) }), 'VALIDATION_ERROR');
+
+    const strict = createService(createFakeDatabase({ assignment: assignmentRow({ allow_late: false }) }));
+    const cancelled = createService(createFakeDatabase({ assignment: assignmentRow({ status: 'cancelled' }) }));
+    const lenient = createService(createFakeDatabase());
+    await expectAssignmentError(() => strict.checkSessionStart(ASSIGNMENT_ID, FRACTIONS, student(BEN), { now: at(1) }), 'CONFLICT');
+    await expectAssignmentError(() => cancelled.checkSessionStart(ASSIGNMENT_ID, FRACTIONS, student(BEN), { now: at(-1) }), 'CONFLICT');
+    await lenient.checkSessionStart(ASSIGNMENT_ID, FRACTIONS, student(BEN), { now: at(1) });
+
+    // The teacher's grid has a row per student and a cell per problem
+    ordered.classroomService = { getClassroomRow: async () => ({ id: CLASSROOM_ID }) };
+    const grid = await ordered.getAssignmentGrid(ASSIGNMENT_ID, TEACHER, { now: at(1) });
+    const ana = grid.students.find(row => row.id === ANA);
+    if (grid.problems.length !== 3 || grid.students.length !== 2 || ana.problems.length !== 3 ||
+        ana.problems[1].status !== PROBLEM_STATUS.IN_PROGRESS || !ana.missing || grid.summary.missing !== 2) {
+      throw new Error(`The grid should show each student's problems and flags: ${JSON.stringify(grid.summary)}`);
+    }
+
+    ordered.classroomService = {
+      getClassroomRow: async () => {
+        const error = new Error('Not allowed');
+        error.type = 'ACCESS_DENIED';
+        throw error;
+      }
+    };
+    await expectAssignmentError(() => ordered.getAssignmentGrid(ASSIGNMENT_ID, TEACHER), 'NOT_FOUND');
+
+    console.log('   ✅ Assignment sessions respect the schedule, order, attempts and recipients');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Session start test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testReminderSweep = async () => {
+  console.log('\n⏰ Testing assignment reminders...');
+
+  try {
+    const fake = createFakeDatabase({
+      sessions: [
+        session(ANA, FRACTIONS, 'completed', { completed: -30, accuracy: 1 }),
+        session(ANA, DECIMALS, 'completed', { completed: -28, accuracy: 1 }),
+        session(BEN, FRACTIONS, 'active', { started: -25 })
+      ]
+    });
+    const service = createService(fake);
+    const { db } = fake;
+
+    const early = await service.runReminderSweep(at(-48));
+    if (early.assigned !== 2 || early.due !== 0 || db.notifications.some(n => n.typeKey !== 'new_assignment')) {
+      throw new Error(`Everyone should hear about the assignment when it opens: ${JSON.stringify(early)}`);
+    }
+
+    const dayBefore = await service.runReminderSweep(at(-20));
+    const again = await service.runReminderSweep(at(-19));
+    const reminder = db.notifications[2];
+    if (dayBefore.assigned !== 0 || dayBefore.due !== 1 || again.due !== 0 || reminder.recipientId !== BEN ||
+        reminder.typeKey !== 'assignment_due' || reminder.data.reminder !== 'due_24' ||
+        !reminder.message.includes('0 of 2')) {
+      throw new Error(`Only students who have not finished should be reminded, once: ${JSON.stringify(dayBefore)}`);
+    }
+
+    // A new student gets the assignment notice; the closing reminder goes to both who are not done
+    db.roster.push({ student_id: CARA, first_name: 'Cara', last_name: 'Cole' });
+    const closing = await service.runReminderSweep(at(-1));
+    const closingReminders = db.notifications.filter(n => n.data.reminder === 'due_2');
+    if (closing.assigned !== 1 || closing.due !== 2 || closingReminders.some(n => n.priority !== 'high') ||
+        closingReminders.some(n => n.recipientId === ANA)) {
+      throw new Error(`Late joiners and the closing reminder were not handled: ${JSON.stringify(closing)}`);
+    }
+
+    // A sweep that first runs an hour before the due date sends the closest reminder, not every one
+    const delayed = createFakeDatabase();
+    await createService(delayed).runReminderSweep(at(-1));
+    const delayedKeys = delayed.db.notifications.filter(n => n.typeKey === 'assignment_due').map(n => n.data.reminder);
+    if (delayedKeys.join() !== 'due_2,due_2') {
+      throw new Error(`Missed reminders should not pile up: ${delayedKeys.join()}`);
+    }
+
+    const after = await service.runReminderSweep(at(1));
+    if (after.assigned !== 0 || after.due !== 0) {
+      throw new Error('Nothing should be sent after the due date');
+    }
+
+    service.config.remindersEnabled = false;
+    if (service.start() !== false || service.timer !== null) {
+      throw new Error('The sweep should not start when reminders are disabled');
+    }
+
+    console.log('   ✅ New-assignment notices and due reminders go out once, to the right students');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Reminder test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runAssignmentTests = async () => {
+  console.log('🧪 Running Assignment Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testStudentStatus(),
+    await testSessionStart(),
+    await testReminderSweep()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Assignment Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runAssignmentTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runAssignmentTests,
+  testStudentStatus,
+  testSessionStart,
+  testReminderSweep
+};
@@ -0,0 +1,219 @@
+const {
+  ClassroomError,
+  parseCsv,
+  parseRosterCsv,
+  validateClassroomInput,
+  validateCoTeacherInput,
+  validateParentLinkInput
+} = require('../services/classroom-roster');
+const { ClassroomService } = require('../services/classroom-service');
+const { createFakePool } = require('./fake-pool');
+
+const STUDENT_ID = '11111111-1111-4111-8111-111111111111';
+const PARENT_ID = '22222222-2222-4222-8222-222222222222';
+const TEACHER_ID = '33333333-3333-4333-8333-333333333333';
+const ENROLLED_ID = '44444444-4444-4444-8444-444444444444';
+
+const expectValidationErrors = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    if (!(error instanceof ClassroomError) || error.type !== 'VALIDATION_ERROR') throw error;
+    return error.details.errors;
+  }
+  throw new Error('Expected a validation error');
+};
+
+// Answers the lookups resolveRosterRows makes, standing in for Postgres
+const fakePool = createFakePool([
+  ['FROM users', () => ({
+    rows: [
+      { id: STUDENT_ID, email: 'ana@school.test', role: 'student', first_name: 'Ana', last_name: 'Ruiz' },
+      { id: ENROLLED_ID, email: 'ben@school.test', role: 'student', first_name: 'Ben', last_name: 'Ode' },
+      { id: PARENT_ID, email: 'maria@home.test', role: 'parent', first_name: 'Maria', last_name: 'Ruiz' },
+      { id: TEACHER_ID, email: 'teacher@school.test', role: 'teacher', first_name: 'Tess', last_name: 'Lee' }
+    ]
+  })],
+  ['FROM classroom_enrollments', () => ({ rows: [{ student_id: ENROLLED_ID, status: 'active' }] })],
+  ['FROM parent_child_relationships', () => ({ rows: [] })]
+]);
+
+// Test CSV parsing and roster row validation
+const testRosterParsing = async () => {
+  console.log('\n📄 Testing Roster CSV Parsing...');
+
+  try {
+    const quoted = parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\n\n"multi\nline",z');
+    if (quoted.length !== 3 || quoted[1][0] !== 'x, y' || quoted[1][1] !== 'say "hi"' || quoted[2][0] !== 'multi\nline') {
+      throw new Error(`Quoted fields parsed wrongly: ${JSON.stringify(quoted)}`);
+    }
+
+    const rows = parseRosterCsv([
+      'Email,Guardian Email,Relationship,Primary Contact',
+      'Ana@School.test,maria@home.test,Mother,yes',
+      'not-an-email,,,',
+      'ana@school.test,,,',
+      'ben@school.test,,aunt,maybe',
+      'cara@school.test,dad@home.test,,'
+    ].join('\n'));
+
+    const [ana, invalid, duplicate, ben, cara] = rows;
+    if (ana.row !== 2 || ana.studentEmail !== 'ana@school.test' || ana.relationshipType !== 'mother' || !ana.primaryContact || ana.errors.length) {
+      throw new Error(`Valid row parsed wrongly: ${JSON.stringify(ana)}`);
+    }
+    if (!invalid.errors.some(e => e.includes('student_email'))) {
+      throw new Error('Invalid student email should be reported');
+    }
+    if (!duplicate.errors.some(e => e.includes('row 2'))) {
+      throw new Error('Duplicate student should point at the first row');
+    }
+    if (ben.errors.length !== 2) {
+      throw new Error(`Relationship without parent and bad yes/no should both be reported: ${ben.errors}`);
+    }
+    if (cara.relationshipType !== 'guardian' || cara.errors.length) {
+      throw new Error('Relationship should default to guardian when a parent is given');
+    }
+
+    const fileErrors = [
+      expectValidationErrors(() => parseRosterCsv('')),
+      expectValidationErrors(() => parseRosterCsv('name,parent_email\nAna,maria@home.test')),
+      expectValidationErrors(() => parseRosterCsv('student_email\n')),
+      expectValidationErrors(() => parseRosterCsv('"student_email\nana@school.test'))
+    ];
+    if (fileErrors.some(errors => errors.length !== 1)) {
+      throw new Error('File-level problems should reject the whole CSV');
+    }
+
+    console.log(`   ✅ Parsed ${rows.length} rows with per-row errors and rejected ${fileErrors.length} bad files`);
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Roster parsing test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test classroom, co-teacher and parent link input validation
+const testInputValidation = async () => {
+  console.log('\n🧾 Testing Classroom Input Validation...');
+
+  try {
+    validateClassroomInput({ name: 'Algebra I', gradeLevel: 8, schoolYear: '2026-2027' }, { role: 'teacher' });
+    validateClassroomInput({ name: 'Algebra I', teacherId: TEACHER_ID }, { role: 'admin' });
+    validateClassroomInput({ active: false }, { role: 'teacher', partial: true });
+
+    const classroomErrors = expectValidationErrors(() =>
+      validateClassroomInput({ name: ' ', gradeLevel: 13, teacherId: TEACHER_ID }, { role: 'teacher' }));
+    if (classroomErrors.length !== 3) {
+      throw new Error(`Expected name, grade and teacherId errors, got: ${classroomErrors}`);
+    }
+    if (!expectValidationErrors(() => validateClassroomInput({ name: 'Art' }, { role: 'admin' }))[0].includes('teacherId')) {
+      throw new Error('Admins must choose a teacher');
+    }
+
+    validateCoTeacherInput({ teacherId: TEACHER_ID, role: 'aide', permissions: { can_grade: false } });
+    if (expectValidationErrors(() =>
+      validateCoTeacherInput({ teacherId: 'abc', role: 'primary', permissions: { can_delete: true } })).length !== 3) {
+      throw new Error('Bad co-teacher id, role and permission should all be reported');
+    }
+
+    validateParentLinkInput({ parentId: PARENT_ID, relationshipType: 'grandparent', primaryContact: true });
+    if (expectValidationErrors(() =>
+      validateParentLinkInput({ parentId: PARENT_ID, relationshipType: 'friend', emergencyContact: 'yes' })).length !== 2) {
+      throw new Error('Bad relationship type and contact flag should be reported');
+    }
+
+    console.log('   ✅ Classroom, co-teacher and parent link input validated');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Input validation test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that the preview matches rows to accounts and reports what each would change
+const testRosterResolution = async () => {
+  console.log('\n🔎 Testing Roster Import Preview...');
+
+  try {
+    const service = new ClassroomService();
+    service.pool = fakePool;
+    const classroom = { id: '55555555-5555-4555-8555-555555555555' };
+
+    const csv = [
+      'student_email,parent_email,relationship_type',
+      'ana@school.test,maria@home.test,mother',
+      'ben@school.test,,',
+      'teacher@school.test,,',
+      'nobody@school.test,,',
+      'ana2@school.test,bad-email,'
+    ].join('\n');
+
+    const adminRows = await service.resolveRosterRows(classroom, parseRosterCsv(csv), { role: 'admin' });
+    const [ana, ben, teacher, nobody, bad] = adminRows;
+
+    if (ana.status !== 'ready' || ana.actions.join() !== 'enroll,link_parent' || ana.parentId !== PARENT_ID) {
+      throw new Error(`New student with parent should enrol and link: ${JSON.stringify(ana)}`);
+    }
+    if (ben.status !== 'unchanged' || ben.actions.length !== 0) {
+      throw new Error('Already enrolled student should be unchanged');
+    }
+    if (teacher.status !== 'error' || nobody.status !== 'error' || bad.status !== 'error') {
+      throw new Error('Non-student, unknown and malformed rows should be errors');
+    }
+
+    const summary = service.summarizeRoster(adminRows);
+    if (summary.ready !== 1 || summary.unchanged !== 1 || summary.errors !== 3 || summary.parentLinks !== 1) {
+      throw new Error(`Unexpected summary: ${JSON.stringify(summary)}`);
+    }
+
+    const [teacherAna] = await service.resolveRosterRows(classroom, parseRosterCsv(csv), { role: 'teacher' });
+    if (teacherAna.status !== 'error' || !teacherAna.errors[0].includes('administrators')) {
+      throw new Error('Teachers should not be able to link parents through an import');
+    }
+
+    console.log(`   ✅ Preview resolved ${adminRows.length} rows: ${summary.ready} ready, ${summary.unchanged} unchanged, ${summary.errors} errors`);
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Roster preview test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runClassroomRosterTests = async () => {
+  console.log('🧪 Running Classroom Roster Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testRosterParsing(),
+    await testInputValidation(),
+    await testRosterResolution()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Classroom Roster Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runClassroomRosterTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runClassroomRosterTests,
+  testRosterParsing,
+  testInputValidation,
+  testRosterResolution
+};
@@ -0,0 +1,453 @@
+const {
+  CONSENT_ITEMS,
+  ConsentError,
+  studentAge,
+  consentRequired,
+  itemStatus,
+  validateDecisions
+} = require('../services/consent-rules');
+const { ConsentService } = require('../services/consent-service');
+const consentService = require('../services/consent-service');
+const { createFakePool } = require('./fake-pool');
+
+const PARENT = { id: '11111111-1111-4111-8111-111111111111', role: 'parent' };
+const OTHER_PARENT = { id: '22222222-2222-4222-8222-222222222222', role: 'parent' };
+const ADMIN = { id: '33333333-3333-4333-8333-333333333333', role: 'admin' };
+const CHILD = '44444444-4444-4444-8444-444444444444';
+const TEEN = '55555555-5555-4555-8555-555555555555';
+const CONFIG = { enabled: true, ageThreshold: 13, requireWhenAgeUnknown: false, requestCooldownMs: 24 * 60 * 60 * 1000 };
+
+const expectConsentError = async (fn, type) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (!(error instanceof ConsentError) || error.type !== type) throw error;
+    return error;
+  }
+  throw new Error(`Expected a ${type} error`);
+};
+
+const yearsAgo = (years) => {
+  const date = new Date();
+  date.setUTCFullYear(date.getUTCFullYear() - years);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date;
+};
+
+// Keeps users, links, consent records and the data revocations touch in memory
+const createFakeDatabase = () => {
+  const db = {
+    users: [
+      { id: CHILD, role: 'student', first_name: 'Kim', last_name: 'Lee', date_of_birth: yearsAgo(9), deleted_at: null },
+      { id: TEEN, role: 'student', first_name: 'Max', last_name: 'Ng', date_of_birth: yearsAgo(15), deleted_at: null }
+    ],
+    links: [
+      { parent_id: PARENT.id, child_id: CHILD, status: 'active' },
+      { parent_id: PARENT.id, child_id: TEEN, status: 'active' }
+    ],
+    records: [],
+    requests: [],
+    privacy: {},
+    audit: [],
+    tutorSessions: [{ id: 't1', student_id: CHILD }, { id: 't2', student_id: CHILD }, { id: 't3', student_id: TEEN }],
+    emotions: [{ id: 'e1', student_id: CHILD, detected_by: 'ai_analysis' }, { id: 'e2', student_id: CHILD, detected_by: 'manual' }],
+    heartbeats: [{ id: 'h1', student_id: CHILD }],
+    usage: [{ id: 'u1', user_id: CHILD }],
+    entries: [{ id: 'j1', student_id: CHILD, is_shareable_with_teacher: true }]
+  };
+  let nextId = 1;
+  let clock = Date.now();
+
+  const latest = (studentId, itemKey) => db.records
+    .filter(r => r.student_id === studentId && r.item_key === itemKey)
+    .sort((a, b) => b.created_at - a.created_at)[0];
+  const student = (id) => db.users.find(u => u.id === id && u.role === 'student' && !u.deleted_at);
+  const record = (id) => db.records.find(r => r.id === id);
+  const remove = (table, column, id) => {
+    const before = db[table].length;
+    db[table] = db[table].filter(row => row[column] !== id);
+    return { rows: [], rowCount: before - db[table].length };
+  };
+
+  db.pool = createFakePool([
+    ['INSERT INTO access_control_audit_log', params => {
+      db.audit.push({ userId: params[0], action: params[2], data: JSON.parse(params[5]) });
+      return { rows: [], rowCount: 1 };
+    }],
+    ['LEFT JOIN LATERAL', params => {
+      const user = student(params[0]);
+      if (!user) return { rows: [] };
+      const last = latest(params[0], params[1]);
+      return { rows: [{ date_of_birth: user.date_of_birth, decision: last ? last.decision : null, item_version: last ? last.item_version : null }] };
+    }],
+    [['FROM users', "role = 'student'"], params => {
+      const user = student(params[0]);
+      return { rows: user ? [{ ...user }] : [] };
+    }],
+    ['FROM parent_child_relationships pcr', params => ({
+      rows: db.links.filter(l => l.parent_id === params[0] && l.status === 'active').map(l => ({ ...student(l.child_id) }))
+    })],
+    ['SELECT 1 FROM parent_child_relationships', params => ({ rows: db.links.filter(l => l.parent_id === params[0] && l.child_id === params[1] && l.status === 'active') })],
+    ['SELECT parent_id FROM parent_child_relationships', params => ({ rows: db.links.filter(l => l.child_id === params[0] && l.status === 'active') })],
+
+    ['SELECT DISTINCT ON (student_id, item_key)', params => {
+      const rows = [];
+      params[0].forEach(studentId => Object.keys(CONSENT_ITEMS).forEach(key => {
+        const last = latest(studentId, key);
+        if (last) rows.push({ ...last });
+      }));
+      return { rows };
+    }],
+    ['INSERT INTO parental_consent_records', params => {
+      const row = {
+        id: `00000000-0000-4000-8000-${String(nextId++).padStart(12, '0')}`,
+        student_id: params[0], item_key: params[1], item_version: params[2], decision: params[3], statement: params[4],
+        decided_by: params[5], decided_by_role: params[6], handling_status: params[9], created_at: new Date(clock++)
+      };
+      db.records.push(row);
+      return { rows: [{ ...row }] };
+    }],
+    ['SELECT * FROM parental_consent_records WHERE id = $1', params => ({ rows: record(params[0]) ? [{ ...record(params[0]) }] : [] })],
+    ['SELECT * FROM parental_consent_records', params => ({ rows: db.records.filter(r => r.student_id === params[0]).sort((a, b) => b.created_at - a.created_at) })],
+    ["SET handling_status = 'completed'", params => {
+      Object.assign(record(params[0]), { handling_status: 'completed', handling: JSON.parse(params[1]), handling_error: null, handled_at: new Date() });
+      return { rows: [{ ...record(params[0]) }] };
+    }],
+    ["SET handling_status = 'failed'", params => {
+      Object.assign(record(params[0]), { handling_status: 'failed', handling_error: params[1], handled_at: new Date() });
+      return { rows: [{ ...record(params[0]) }] };
+    }],
+    ["SET handling_status = 'pending'", params => {
+      record(params[0]).handling_status = 'pending';
+      return { rows: [], rowCount: 1 };
+    }],
+    ['INSERT INTO privacy_settings', (params, sql) => {
+      const column = sql.match(/INSERT INTO privacy_settings \(user_id, (\w+),/)[1];
+      db.privacy[params[0]] = { ...(db.privacy[params[0]] || {}), [column]: params[1] };
+      return { rows: [], rowCount: 1 };
+    }],
+
+    ['SELECT requested_at FROM parental_consent_requests', params => ({ rows: db.requests.filter(r => r.student_id === params[0]) })],
+    ['INSERT INTO parental_consent_requests', params => {
+      db.requests = db.requests.filter(r => r.student_id !== params[0]);
+      const row = { student_id: params[0], item_keys: params[1], parents_notified: params[2], requested_at: new Date() };
+      db.requests.push(row);
+      return { rows: [{ requested_at: row.requested_at }] };
+    }],
+
+    ['DELETE FROM ai_tutor_sessions', params => remove('tutorSessions', 'student_id', params[0])],
+    ['DELETE FROM session_heartbeats', params => remove('heartbeats', 'student_id', params[0])],
+    ['DELETE FROM dashboard_usage_analytics', params => remove('usage', 'user_id', params[0])],
+    ['DELETE FROM journal_emotions', params => {
+      const before = db.emotions.length;
+      db.emotions = db.emotions.filter(e => e.student_id !== params[0] || e.detected_by === 'manual');
+      return { rows: [], rowCount: before - db.emotions.length };
+    }],
+    ['UPDATE journal_entries', params => {
+      const shared = db.entries.filter(e => e.student_id === params[0] && e.is_shareable_with_teacher);
+      shared.forEach(e => { e.is_shareable_with_teacher = false; });
+      return { rows: [], rowCount: shared.length };
+    }]
+  ]);
+  return db;
+};
+
+const createService = (db, vectorStore = {}) => {
+  const service = new ConsentService();
+  service.pool = db.pool;
+  service.config = { ...CONFIG };
+  service.notifications = [];
+  service.notificationService = {
+    createNotification: async (notification) => { service.notifications.push(notification); return notification; }
+  };
+  service.vectorStore = {
+    deleteStudentContexts: async (studentId) => ({ studentId, deleted: 3 }),
+    ...vectorStore
+  };
+  return service;
+};
+
+const testRules = async () => {
+  console.log('\n📜 Testing consent rules and decision validation...');
+
+  try {
+    const now = new Date('2026-06-15T12:00:00Z');
+    if (studentAge('2013-06-15', now) !== 13 || studentAge('2013-06-16', now) !== 12 || studentAge(null, now) !== null) {
+      throw new Error('Ages should count whole years up to the birthday');
+    }
+    if (!consentRequired(12, CONFIG) || consentRequired(13, CONFIG) || consentRequired(null, CONFIG) ||
+        !consentRequired(null, { ...CONFIG, requireWhenAgeUnknown: true }) || consentRequired(8, { ...CONFIG, enabled: false })) {
+      throw new Error('Consent should be required under the threshold while enabled');
+    }
+
+    const current = CONSENT_ITEMS.ai_tutoring.version;
+    const statuses = [
+      itemStatus('ai_tutoring', null),
+      itemStatus('ai_tutoring', { decision: 'granted', item_version: current }),
+      itemStatus('ai_tutoring', { decision: 'granted', item_version: current - 1 }),
+      itemStatus('ai_tutoring', { decision: 'revoked', item_version: current }),
+      itemStatus('ai_tutoring', null, false)
+    ];
+    if (statuses.join() !== 'pending,granted,outdated,revoked,not_required') {
+      throw new Error(`Unexpected statuses: ${statuses.join()}`);
+    }
+
+    const invalid = [
+      {},
+      { decisions: [] },
+      { decisions: [{ item: 'mind_reading', decision: 'grant', version: 1 }] },
+      { decisions: [{ item: 'ai_tutoring', decision: 'maybe', version: 1 }] },
+      { decisions: [{ item: 'ai_tutoring', decision: 'grant' }] },
+      { decisions: [{ item: 'ai_tutoring', decision: 'grant', version: 1 }, { item: 'ai_tutoring', decision: 'decline', version: 1 }] }
+    ];
+    for (const input of invalid) {
+      await expectConsentError(() => validateDecisions(input), 'VALIDATION_ERROR');
+    }
+    const stale = await expectConsentError(() => validateDecisions({
+      decisions: [{ item: 'ai_tutoring', decision: 'grant', version: current + 1 }]
+    }), 'CONFLICT');
+    if (stale.details.items[0].currentVersion !== current) {
+      throw new Error('A stale version should report the current one');
+    }
+
+    const valid = validateDecisions({ decisions: [{ item: 'data_sharing', decision: 'revoke' }] });
+    if (valid[0].decision !== 'revoked' || valid[0].version !== CONSENT_ITEMS.data_sharing.version) {
+      throw new Error(`Unexpected decisions: ${JSON.stringify(valid)}`);
+    }
+
+    console.log('   ✅ Ages, requirement, statuses (incl. outdated versions) and decision validation behave as expected');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Rules test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testDecisionsAndRevocation = async () => {
+  console.log('\n✍️ Testing parent decisions and revocation handling...');
+
+  try {
+    const db = createFakeDatabase();
+    let vectorDown = true;
+    const service = createService(db, {
+      deleteStudentContexts: async (studentId) => {
+        if (vectorDown) throw new Error('Chroma unavailable');
+        return { studentId, deleted: 3 };
+      }
+    });
+    const clientInfo = { ipAddress: '127.0.0.1', userAgent: 'test' };
+    const version = (item) => CONSENT_ITEMS[item].version;
+
+    const before = await service.getConsentStatus(CHILD, PARENT);
+    if (!before.consentRequired || before.actionRequired.length !== Object.keys(CONSENT_ITEMS).length) {
+      throw new Error(`A 9 year old should need every consent: ${JSON.stringify(before)}`);
+    }
+    if ((await service.checkConsent(CHILD, 'ai_tutoring')).allowed || !(await service.checkConsent(TEEN, 'ai_tutoring')).allowed) {
+      throw new Error('Only the young student should be held back');
+    }
+    const queriesBefore = db.pool.calls.length;
+    if (!(await service.checkConsent('demo-user-1', 'ai_tutoring')).allowed || db.pool.calls.length !== queriesBefore) {
+      throw new Error('The demo user should be allowed without a database lookup');
+    }
+
+    await expectConsentError(() => service.recordDecisions(CHILD, {
+      decisions: [{ item: 'ai_tutoring', decision: 'grant', version: version('ai_tutoring') }]
+    }, OTHER_PARENT), 'NOT_FOUND');
+    await expectConsentError(() => service.recordDecisions(CHILD, {
+      decisions: [{ item: 'ai_tutoring', decision: 'grant', version: version('ai_tutoring') }]
+    }, ADMIN), 'ACCESS_DENIED');
+    await expectConsentError(() => service.getConsentStatus(CHILD, { id: TEEN, role: 'student' }), 'NOT_FOUND');
+
+    const granted = await service.recordDecisions(CHILD, {
+      decisions: [
+        { item: 'ai_tutoring', decision: 'grant', version: version('ai_tutoring') },
+        { item: 'data_sharing', decision: 'grant', version: version('data_sharing') },
+        { item: 'emotional_analysis', decision: 'decline', version: version('emotional_analysis') }
+      ]
+    }, PARENT, clientInfo);
+    const status = (consent, key) => consent.items.find(item => item.key === key).status;
+    if (status(granted.consent, 'ai_tutoring') !== 'granted' || status(granted.consent, 'emotional_analysis') !== 'declined' ||
+        granted.consent.actionRequired.join() !== 'learning_analytics' || db.privacy[CHILD].data_sharing_consent !== true) {
+      throw new Error(`Unexpected status after granting: ${JSON.stringify(granted.consent)}`);
+    }
+    if (!(await service.checkConsent(CHILD, 'ai_tutoring')).allowed) {
+      throw new Error('Granted consent should allow the feature');
+    }
+
+    // Repeating a decision records nothing; declining a grant must be a revocation
+    const repeated = await service.recordDecisions(CHILD, {
+      decisions: [{ item: 'ai_tutoring', decision: 'grant', version: version('ai_tutoring') }]
+    }, PARENT, clientInfo);
+    if (repeated.recorded.length !== 0 || db.records.length !== 3) {
+      throw new Error('An unchanged decision should not be recorded again');
+    }
+    await expectConsentError(() => service.recordDecisions(CHILD, {
+      decisions: [{ item: 'ai_tutoring', decision: 'decline', version: version('ai_tutoring') }]
+    }, PARENT), 'VALIDATION_ERROR');
+    await expectConsentError(() => service.recordDecisions(CHILD, {
+      decisions: [{ item: 'learning_analytics', decision: 'revoke' }]
+    }, PARENT), 'VALIDATION_ERROR');
+
+    // The vector store is down: the database part is done, the record is left failed
+    const revoked = await service.recordDecisions(CHILD, {
+      decisions: [{ item: 'ai_tutoring', decision: 'revoke' }, { item: 'data_sharing', decision: 'revoke' }]
+    }, PARENT, clientInfo);
+    const tutor = revoked.recorded.find(r => r.item === 'ai_tutoring');
+    const sharing = revoked.recorded.find(r => r.item === 'data_sharing');
+    if (tutor.handlingStatus !== 'failed' || !tutor.handlingError.includes('Chroma') ||
+        sharing.handlingStatus !== 'completed' || sharing.handling.journalEntriesUnshared !== 1 ||
+        db.entries[0].is_shareable_with_teacher || db.privacy[CHILD].data_sharing_consent !== false) {
+      throw new Error(`Unexpected revocation handling: ${JSON.stringify(revoked.recorded)}`);
+    }
+    if ((await service.checkConsent(CHILD, 'ai_tutoring')).allowed) {
+      throw new Error('Revoked consent should hold the feature back again');
+    }
+
+    await expectConsentError(() => service.retryHandling(sharing.id, ADMIN), 'CONFLICT');
+    vectorDown = false;
+    const retried = await service.retryHandling(tutor.id, ADMIN, clientInfo);
+    if (retried.handlingStatus !== 'completed' || retried.handling.learningContextsDeleted !== 3 ||
+        db.tutorSessions.some(s => s.student_id === CHILD) || db.tutorSessions.length !== 1) {
+      throw new Error(`Unexpected retry: ${JSON.stringify(retried)}`);
+    }
+
+    const audit = db.audit.map(entry => entry.action).join();
+    if (audit !== 'consent_decision,consent_decision,consent_handling_retry') {
+      throw new Error(`Unexpected audit log: ${audit}`);
+    }
+    const history = await service.getHistory(CHILD, { id: CHILD, role: 'student' });
+    if (history.length !== 5 || history[0].decision !== 'revoked' || !history[0].statement) {
+      throw new Error('History should list every decision, newest first, with its statement');
+    }
+
+    const dashboard = await service.listChildrenConsent(PARENT);
+    const teen = dashboard.children.find(child => child.studentId === TEEN);
+    if (dashboard.children.length !== 2 || teen.consentRequired || teen.actionRequired.length !== 0 ||
+        dashboard.actionRequired !== 1) {
+      throw new Error(`Unexpected dashboard consents: ${JSON.stringify(dashboard)}`);
+    }
+
+    console.log('   ✅ Decisions recorded and audited, unchanged ones skipped, revocations cleaned up and retried');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Decision test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Runs a middleware and reports whether it called next, and what it answered
+const runMiddleware = async (middleware, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { nextCalled, res };
+};
+
+const testMiddlewareAndRequests = async () => {
+  console.log('\n🚦 Testing consent middleware and student requests...');
+
+  try {
+    const db = createFakeDatabase();
+    const service = createService(db);
+    const originalGetter = consentService.getConsentService;
+    // The middleware resolves the service when it runs, so the singleton is swapped for this test
+    require.cache[require.resolve('../services/consent-service')].exports.getConsentService = () => service;
+    delete require.cache[require.resolve('../middleware/consent')];
+    const { requireConsent, hasConsent } = require('../middleware/consent');
+
+    try {
+      const child = { id: CHILD, role: 'student' };
+      const blocked = await runMiddleware(requireConsent('ai_tutoring'), { user: child, params: {} });
+      if (blocked.nextCalled || blocked.res.statusCode !== 403 || blocked.res.body.code !== 'PARENTAL_CONSENT_REQUIRED' ||
+          blocked.res.body.consent.status !== 'pending') {
+        throw new Error(`AI tutoring should be blocked: ${JSON.stringify(blocked.res.body)}`);
+      }
+
+      const req = { user: child, params: {} };
+      const degraded = await runMiddleware(requireConsent('learning_analytics'), req);
+      if (!degraded.nextCalled || hasConsent(req, 'learning_analytics')) {
+        throw new Error('Analytics should carry on without consent');
+      }
+
+      // Staff are checked against the student in the route, or not at all without one
+      const teacher = { id: ADMIN, role: 'teacher' };
+      const forStudent = await runMiddleware(requireConsent('emotional_analysis'), { user: teacher, params: { studentId: CHILD } });
+      const ownView = await runMiddleware(requireConsent('emotional_analysis'), { user: teacher, params: {} });
+      const teen = await runMiddleware(requireConsent('emotional_analysis'), { user: { id: TEEN, role: 'student' }, params: {} });
+      if (forStudent.nextCalled || !ownView.nextCalled || !teen.nextCalled) {
+        throw new Error('Consent should follow the student being viewed');
+      }
+
+      const queriesBefore = db.pool.calls.length;
+      const demo = await runMiddleware(requireConsent('ai_tutoring'), { user: { id: 'demo-user-1', role: 'student' }, params: {} });
+      if (!demo.nextCalled || db.pool.calls.length !== queriesBefore) {
+        throw new Error('The demo user should not be looked up');
+      }
+    } finally {
+      require.cache[require.resolve('../services/consent-service')].exports.getConsentService = originalGetter;
+      delete require.cache[require.resolve('../middleware/consent')];
+    }
+
+    const request = await service.requestConsent({ id: CHILD, role: 'student' }, { items: ['ai_tutoring'] });
+    if (request.parentsNotified !== 1 || service.notifications.length !== 1 ||
+        service.notifications[0].typeKey !== 'consent_requested' || service.notifications[0].recipientId !== PARENT.id) {
+      throw new Error(`Unexpected consent request: ${JSON.stringify(request)}`);
+    }
+    const again = await expectConsentError(() => service.requestConsent({ id: CHILD, role: 'student' }), 'CONFLICT');
+    if (!again.details.nextRequestAt) {
+      throw new Error('A repeated request should say when the student can ask again');
+    }
+    await expectConsentError(() => service.requestConsent({ id: TEEN, role: 'student' }), 'CONFLICT');
+    await expectConsentError(() => service.requestConsent({ id: CHILD, role: 'student' }, { items: ['nope'] }), 'VALIDATION_ERROR');
+
+    console.log('   ✅ Blocked and degraded features, staff views, parent notification and cooldown behave as expected');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Middleware test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runConsentTests = async () => {
+  console.log('🧪 Running Parental Consent Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testRules(),
+    await testDecisionsAndRevocation(),
+    await testMiddlewareAndRequests()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Parental Consent Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runConsentTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runConsentTests,
+  testRules,
+  testDecisionsAndRevocation,
+  testMiddlewareAndRequests
+};
@@ -0,0 +1,379 @@
+const {
+  IRT_MODELS,
+  LABEL_AGREEMENT,
+  CalibrationError,
+  sigmoid,
+  fitModel,
+  compareWithLabel,
+  targetDifficultyValue,
+  combineAbilities,
+  validateReportQuery
+} = require('../services/irt-calibration');
+const { CalibrationService } = require('../services/calibration-service');
+const { getDifficultyAdaptationService } = require('../services/difficulty-adaptation-service');
+const { getSolutionPathService } = require('../services/solution-path-service');
+const { createFakePool } = require('./fake-pool');
+
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'admin' };
+const RUN_ID = '22222222-2222-4222-8222-222222222222';
+const STUDENT = '33333333-3333-4333-8333-333333333333';
+
+// Templates with their hand-assigned label and the difficulty students actually find
+const TEMPLATES = [
+  { id: 'aaaaaaaa-0000-4000-8000-000000000001', label: 'easy', difficulty: -1, subject: 'math' },
+  { id: 'aaaaaaaa-0000-4000-8000-000000000002', label: 'medium', difficulty: 0, subject: 'math' },
+  { id: 'aaaaaaaa-0000-4000-8000-000000000003', label: 'easy', difficulty: 1.5, subject: 'math' }, // Mislabelled
+  { id: 'aaaaaaaa-0000-4000-8000-000000000004', label: 'hard', difficulty: 1, subject: 'math' },
+  { id: 'aaaaaaaa-0000-4000-8000-000000000005', label: 'medium', difficulty: 0, subject: 'science' }
+];
+
+// Deterministic so the fit, and the test, are the same every run
+const createRandom = (seed = 7) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+// Steps scored 0 or 1 for each student on each template, as problem_session_steps would give
+const simulateResponses = ({ students = 120, steps = 6, templates = TEMPLATES, seed } = {}) => {
+  const random = createRandom(seed);
+  const rows = [];
+  for (let s = 0; s < students; s++) {
+    const ability = (random() - 0.5) * 4;
+    templates.forEach(template => {
+      let score = 0;
+      for (let step = 0; step < steps; step++) {
+        if (random() < sigmoid(ability - template.difficulty)) score += 1;
+      }
+      rows.push({
+        student_id: `bbbbbbbb-0000-4000-8000-${String(s).padStart(12, '0')}`,
+        template_id: template.id,
+        subject: template.subject,
+        difficulty_level: template.label,
+        trials: steps,
+        score
+      });
+    });
+  }
+  return rows;
+};
+
+const toFitRows = (rows) => rows.map(row => ({
+  studentId: row.student_id,
+  templateId: row.template_id,
+  trials: row.trials,
+  score: row.score
+}));
+
+const expectCalibrationError = async (fn, type) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (!(error instanceof CalibrationError) || error.type !== type) throw error;
+    return error;
+  }
+  throw new Error(`Expected a ${type} error`);
+};
+
+// Keeps runs and the estimates written by a run in memory
+const createFakeDatabase = ({ responses = [], abilities = [], templateEstimates = [] } = {}) => {
+  const db = { runs: [], templateEstimates, abilities, running: false };
+
+  const pool = createFakePool([
+    [['UPDATE irt_calibration_runs', 'Interrupted before completion'], () => ({ rows: [], rowCount: 0 })],
+    ['INSERT INTO irt_calibration_runs', params => {
+      if (db.running) {
+        throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+      }
+      const [periodKey, trigger, triggeredBy, model, windowDays] = params;
+      const run = { id: RUN_ID, period_key: periodKey, trigger, triggered_by: triggeredBy, status: 'running', model, window_days: windowDays };
+      db.runs.push(run);
+      db.running = true;
+      return { rows: [run] };
+    }],
+    ['FROM problem_session_steps pss', () => ({ rows: responses })],
+    ['INSERT INTO template_difficulty_estimates', params => {
+      const [, subject, model, ids, difficulties, , errors, students, , , labels, suggested, agreement, direction] = params;
+      ids.forEach((id, i) => {
+        db.templateEstimates = db.templateEstimates.filter(row => row.template_id !== id);
+        db.templateEstimates.push({
+          template_id: id, subject, model, difficulty: String(difficulties[i]), discrimination: '1',
+          standard_error: String(errors[i]), students: students[i], labelled_difficulty: labels[i],
+          suggested_difficulty: suggested[i], agreement: agreement[i], direction: direction[i]
+        });
+      });
+      return { rows: [] };
+    }],
+    ['INSERT INTO student_ability_estimates', params => {
+      const [subject, , model, ids, abilities, errors, templates] = params;
+      ids.forEach((id, i) => {
+        db.abilities = db.abilities.filter(row => !(row.student_id === id && row.subject === subject));
+        db.abilities.push({ student_id: id, subject, model, ability: String(abilities[i]), standard_error: String(errors[i]), templates: templates[i] });
+      });
+      return { rows: [] };
+    }],
+    ['UPDATE irt_calibration_runs', params => {
+      const run = db.runs.find(row => row.id === params[0]);
+      Object.assign(run, { status: params[1] });
+      if (params[1] === 'completed') {
+        Object.assign(run, { subjects: params[2], templates: params[3], students: params[4], responses: params[5], summary: JSON.parse(params[6]) });
+      } else {
+        run.last_error = params[2];
+      }
+      db.running = false;
+      return { rows: [run] };
+    }],
+    ['FROM student_ability_estimates', params => {
+      const [studentId, subject] = params;
+      return { rows: db.abilities.filter(row => row.student_id === studentId && (!subject || row.subject === subject)) };
+    }],
+    ['FROM template_difficulty_estimates WHERE template_id = $1', params => ({ rows: db.templateEstimates.filter(row => row.template_id === params[0]) })]
+  ]);
+
+  return { db, pool };
+};
+
+const createService = (fake, config = {}) => {
+  const service = new CalibrationService();
+  service.pool = fake.pool;
+  service.config = {
+    enabled: true,
+    timezone: 'UTC',
+    schedule: '15 3 * * *',
+    model: IRT_MODELS.RASCH,
+    windowDays: 365,
+    minTemplateStudents: 20,
+    minStudentTemplates: 5,
+    targetSuccessRate: 0.7,
+    ...config
+  };
+  return service;
+};
+
+const testModelFit = async () => {
+  console.log('\n📐 Testing IRT model fitting...');
+
+  try {
+    const rows = simulateResponses({ templates: TEMPLATES.filter(t => t.subject === 'math') });
+    const rasch = fitModel(toFitRows(rows));
+    if (!rasch.converged || rasch.abilities.size !== 120 || rasch.difficulties.size !== 4) {
+      throw new Error(`The Rasch fit should converge on every student and template: ${rasch.iterations} iterations`);
+    }
+    TEMPLATES.filter(t => t.subject === 'math').forEach(template => {
+      const estimate = rasch.difficulties.get(template.id);
+      if (Math.abs(estimate.difficulty - template.difficulty) > 0.35) {
+        throw new Error(`Difficulty ${template.difficulty} was estimated as ${estimate.difficulty}`);
+      }
+    });
+
+    const twoPl = fitModel(toFitRows(rows), { model: IRT_MODELS.TWO_PL });
+    const ordered = [...twoPl.difficulties.values()].map(estimate => estimate.difficulty);
+    if (!twoPl.converged || !(ordered[0] < ordered[1] && ordered[1] < ordered[3] && ordered[3] < ordered[2])) {
+      throw new Error(`The 2PL fit should converge and keep the templates in order: ${ordered.join(', ')}`);
+    }
+
+    // Always right: the prior keeps the estimates finite
+    const perfect = fitModel([{ studentId: 's', templateId: 't', trials: 4, score: 4 }]);
+    const onlyTemplate = perfect.difficulties.get('t');
+    if (!perfect.converged || !Number.isFinite(onlyTemplate.difficulty) || onlyTemplate.standardError < 1) {
+      throw new Error('Templates everyone gets right should have a finite, uncertain difficulty');
+    }
+
+    const mislabelled = compareWithLabel(rasch.difficulties.get(TEMPLATES[2].id), 'easy', { minStudents: 20 });
+    const labelled = compareWithLabel(rasch.difficulties.get(TEMPLATES[1].id), 'medium', { minStudents: 20 });
+    const sparse = compareWithLabel(rasch.difficulties.get(TEMPLATES[2].id), 'easy', { minStudents: 500 });
+    const vague = compareWithLabel({ difficulty: 0.8, standardError: 0.5, students: 30 }, 'medium', { minStudents: 20 });
+    if (mislabelled.agreement !== LABEL_AGREEMENT.DISAGREES || mislabelled.direction !== 'harder' ||
+        mislabelled.suggestedDifficulty !== 'hard' || mislabelled.levels !== 2 ||
+        labelled.agreement !== LABEL_AGREEMENT.AGREES || sparse.agreement !== LABEL_AGREEMENT.INSUFFICIENT_DATA ||
+        vague.agreement !== LABEL_AGREEMENT.UNCERTAIN) {
+      throw new Error(`Labels should be compared within their band and the estimate's uncertainty: ${JSON.stringify(mislabelled)}`);
+    }
+
+    // Average ability at a 70% target works just below medium; targets stay on the 1-5 scale
+    if (Math.abs(targetDifficultyValue(0, 0.7) - 2.153) > 0.001 || targetDifficultyValue(5, 0.7) !== 5 ||
+        targetDifficultyValue(-5, 0.7) !== 1) {
+      throw new Error('Target difficulty should put expected success at the target rate');
+    }
+    const combined = combineAbilities([
+      { ability: 1, standardError: 0.5, templates: 6 },
+      { ability: 0, standardError: 1, templates: 2 }
+    ]);
+    if (combined.ability !== 0.8 || combined.templates !== 8) {
+      throw new Error(`Abilities should be combined by precision: ${JSON.stringify(combined)}`);
+    }
+
+    const invalidModel = await expectCalibrationError(() => fitModel([], { model: '3pl' }), 'VALIDATION_ERROR');
+    const invalidReport = await expectCalibrationError(() => validateReportQuery({ agreement: 'wrong' }), 'VALIDATION_ERROR');
+    if (!invalidModel.details.errors[0].includes('1pl, 2pl') || !invalidReport.details.errors[0].includes('disagrees')) {
+      throw new Error('Unknown models and report filters should be rejected');
+    }
+
+    console.log('   ✅ Difficulties are recovered, mislabelled templates stand out and targets follow ability');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Model fit test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testCalibrationRun = async () => {
+  console.log('\n🗓️ Testing calibration runs...');
+
+  try {
+    const fake = createFakeDatabase({ responses: simulateResponses() });
+    const service = createService(fake);
+
+    const run = await service.claimRun({ periodKey: '2026-10-19T03:15', trigger: 'schedule' });
+    await expectCalibrationError(() => service.triggerRun(ADMIN), 'CONFLICT');
+
+    const completed = await service.executeRun(run);
+    if (completed.status !== 'completed' || completed.subjects !== 2 || completed.templates !== 5 ||
+        completed.students !== 240 || completed.windowDays !== 365) {
+      throw new Error(`The run should fit each subject and record its totals: ${JSON.stringify(completed)}`);
+    }
+    if (!completed.summary.math.converged || completed.summary.math.agreement.disagrees !== 1 ||
+        completed.summary.science.agreement.agrees !== 1) {
+      throw new Error(`The run summary should count label agreement per subject: ${JSON.stringify(completed.summary)}`);
+    }
+
+    const mislabelled = fake.db.templateEstimates.find(row => row.template_id === TEMPLATES[2].id);
+    if (mislabelled.agreement !== 'disagrees' || mislabelled.labelled_difficulty !== 'easy' ||
+        mislabelled.suggested_difficulty !== 'hard' || mislabelled.direction !== 'harder') {
+      throw new Error(`The mislabelled template should be stored as disagreeing: ${JSON.stringify(mislabelled)}`);
+    }
+    if (fake.db.abilities.filter(row => row.subject === 'math').length !== 120) {
+      throw new Error('Every student should get an ability per subject');
+    }
+
+    // A failed run is recorded and frees the next one
+    const failing = createFakeDatabase({ responses: [{ ...simulateResponses()[0], subject: 'math' }] });
+    const failingService = createService(failing, { model: 'bad' });
+    const failedRun = await failingService.claimRun({ periodKey: 'manual:1', trigger: 'manual', triggeredBy: ADMIN.id });
+    await expectCalibrationError(() => failingService.executeRun(failedRun), 'VALIDATION_ERROR');
+    if (failing.db.runs[0].status !== 'failed' || !failing.db.runs[0].last_error.includes('Unknown IRT model') ||
+        failing.db.running) {
+      throw new Error('A failed run should be marked failed with its error');
+    }
+
+    // The scheduler claims a run once in its minute, and not outside it
+    const claimed = [];
+    service.claimRun = async ({ periodKey }) => { claimed.push(periodKey); return null; };
+    service.scheduler.load({ difficulty_calibration: service.config.schedule });
+    await service.tick(new Date('2026-10-20T03:14:00Z'));
+    await service.tick(new Date('2026-10-20T03:15:05Z'));
+    await service.tick(new Date('2026-10-20T03:15:35Z'));
+    if (claimed.join() !== '2026-10-20T03:15') {
+      throw new Error(`Unexpected scheduled runs: ${JSON.stringify(claimed)}`);
+    }
+
+    console.log('   ✅ Runs fit each subject, store estimates and label agreement, record failures, and run on schedule');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Calibration run test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testCalibratedAdaptation = async () => {
+  console.log('\n🎯 Testing adaptation from calibrated ability...');
+
+  try {
+    const fake = createFakeDatabase({
+      abilities: [
+        { student_id: STUDENT, subject: 'math', ability: '1.000', standard_error: '0.300', templates: 8 },
+        { student_id: STUDENT, subject: 'science', ability: '-1.000', standard_error: '0.600', templates: 3 }
+      ],
+      templateEstimates: [
+        { template_id: TEMPLATES[2].id, subject: 'math', difficulty: '1.500', discrimination: '1', standard_error: '0.200', students: 120, agreement: 'disagrees' }
+      ]
+    });
+    const service = createService(fake);
+
+    const target = await service.getAdaptationTarget(STUDENT, 'math');
+    if (!target || Math.abs(target.targetValue - 3.153) > 0.001 || target.confidence !== 0.917) {
+      throw new Error(`A reliable ability should set the target level: ${JSON.stringify(target)}`);
+    }
+    const thin = await service.getAdaptationTarget(STUDENT, 'science');
+    const disabled = await createService(fake, { enabled: false }).getAdaptationTarget(STUDENT, 'math');
+    if (thin !== null || disabled !== null) {
+      throw new Error('Abilities from too few templates, or with calibration off, should not be used');
+    }
+    const overall = await service.getStudentAbility(STUDENT);
+    if (overall.subject !== null || overall.templates !== 11 || !(overall.ability > 0.5 && overall.ability < 1)) {
+      throw new Error(`Without a subject, abilities should be combined: ${JSON.stringify(overall)}`);
+    }
+
+    // Adaptation moves toward the target, never past it, however aggressive the strategy
+    const adaptation = getDifficultyAdaptationService();
+    const performance = { avgPerformanceScore: 0.5, performanceStability: 0.1 };
+    const moderate = adaptation.analyzeCalibratedAbility(performance, target, 1, 'moderate');
+    const conservative = adaptation.analyzeCalibratedAbility(performance, target, 1, 'conservative');
+    const aggressive = adaptation.analyzeCalibratedAbility(performance, target, 1, 'aggressive');
+    if (moderate.basis !== 'calibration' || moderate.finalAdjustment !== 2.153 || conservative.finalAdjustment !== 1.076 ||
+        aggressive.finalAdjustment !== 2.153 || moderate.calibration.targetDifficulty !== 'medium' ||
+        moderate.confidence !== 0.917) {
+      throw new Error(`Calibrated adaptation should close the gap to the target: ${JSON.stringify(moderate)}`);
+    }
+
+    // The mislabelled template is really hard, so its paths sit a level and a half above their labels
+    const templateEstimate = await service.getTemplateEstimate(TEMPLATES[2].id);
+    const paths = [
+      { id: 'very-easy', difficulty_level: null, template_difficulty: 'easy' },
+      { id: 'medium', difficulty_level: 'medium', template_difficulty: 'easy' }
+    ];
+    const pathService = getSolutionPathService();
+    const calibration = { targetValue: target.targetValue, templateValue: templateEstimate.value };
+    const kept = pathService.filterPathsByStudentLevel(paths, { calibration });
+    const closest = pathService.filterPathsByStudentLevel(paths, { calibration: { ...calibration, targetValue: 1 } });
+    const unfiltered = pathService.filterPathsByStudentLevel(paths, { calibration: null });
+    if (kept.map(path => path.id).join() !== 'very-easy' || closest.map(path => path.id).join() !== 'very-easy' ||
+        unfiltered.length !== 2) {
+      throw new Error('Paths should be kept within a level of the target, with the closest kept when none are');
+    }
+
+    console.log('   ✅ Reliable abilities drive difficulty adaptation and solution path filtering');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Calibrated adaptation test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runDifficultyCalibrationTests = async () => {
+  console.log('🧪 Running Difficulty Calibration Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testModelFit(),
+    await testCalibrationRun(),
+    await testCalibratedAdaptation()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Difficulty Calibration Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runDifficultyCalibrationTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runDifficultyCalibrationTests,
+  testModelFit,
+  testCalibrationRun,
+  testCalibratedAdaptation
+};
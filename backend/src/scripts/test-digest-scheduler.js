@@ -0,0 +1,262 @@
+const {
+  DigestService,
+  DIGEST_JOBS,
+  getWeekRange
+} = require('../services/digest-service');
+const { ScheduleError, parseCronExpression, cronMatches } = require('../services/scheduled-job');
+const { createFakePool } = require('./fake-pool');
+require('dotenv').config();
+
+const createStubNotifications = () => {
+  const sent = [];
+  return {
+    sent,
+    createNotification: async (notification) => {
+      sent.push(notification);
+      return { id: sent.length, ...notification };
+    }
+  };
+};
+
+// Test cron parsing and matching in a timezone
+const testSchedules = async () => {
+  console.log('\n⏰ Testing Cron Schedules...');
+
+  try {
+    const weekly = parseCronExpression('0 18 * * 0');
+    if (!cronMatches(weekly, new Date('2026-03-08T18:00:00Z'), 'UTC')) {
+      throw new Error('Sunday 18:00 UTC did not match "0 18 * * 0"');
+    }
+    if (cronMatches(weekly, new Date('2026-03-09T18:00:00Z'), 'UTC')) {
+      throw new Error('Monday matched a Sunday schedule');
+    }
+    // 18:00 in New York (EST) is 23:00 UTC
+    if (!cronMatches(weekly, new Date('2026-03-01T23:00:00Z'), 'America/New_York') ||
+        cronMatches(weekly, new Date('2026-03-01T18:00:00Z'), 'America/New_York')) {
+      throw new Error('Schedule was not evaluated in the configured timezone');
+    }
+
+    const weekdays = parseCronExpression('*/15 7-8 * * 1-5');
+    if (!cronMatches(weekdays, new Date('2026-03-10T08:45:00Z')) || cronMatches(weekdays, new Date('2026-03-10T08:50:00Z'))) {
+      throw new Error('Steps and ranges were not applied');
+    }
+    if (!parseCronExpression('0 9 * * 7').dayOfWeek.has(0)) {
+      throw new Error('Day-of-week 7 should mean Sunday');
+    }
+
+    // Both day fields restricted: the 1st of the month or any Monday
+    const either = parseCronExpression('0 9 1 * 1');
+    if (!cronMatches(either, new Date('2026-03-09T09:00:00Z')) || !cronMatches(either, new Date('2026-04-01T09:00:00Z'))) {
+      throw new Error('Day-of-month and day-of-week should match independently');
+    }
+
+    for (const invalid of ['0 18 * *', '61 * * * *', '0 9 * * MON', '5-1 * * * *']) {
+      try {
+        parseCronExpression(invalid);
+        throw new Error(`"${invalid}" should be rejected`);
+      } catch (error) {
+        if (!(error instanceof ScheduleError) || error.type !== 'INVALID_SCHEDULE') throw error;
+      }
+    }
+
+    const { weekStart, weekEnd } = getWeekRange(-1, new Date(2026, 2, 8, 18));
+    if (weekStart.getDay() !== 0 || weekStart.getDate() !== 1 || weekEnd.getDate() !== 7) {
+      throw new Error('Previous week should run Sunday 1st to Saturday 7th');
+    }
+
+    console.log('   ✅ Fields, ranges, steps, timezones and invalid expressions');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Schedule test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that a tick starts each due job once per minute
+const testSchedulerTick = async () => {
+  console.log('\n🔁 Testing Scheduler Ticks...');
+
+  const service = new DigestService({
+    pool: createFakePool([]),
+    notificationService: createStubNotifications(),
+    config: {
+      enabled: true,
+      timezone: 'UTC',
+      schedules: { [DIGEST_JOBS.WEEKLY_FAMILY_SUMMARY]: '0 18 * * 0', [DIGEST_JOBS.TEACHER_DIGEST]: '0 7 * * 1-5' }
+    }
+  });
+
+  try {
+    service.start();
+    const ran = [];
+    service.runJob = async (jobName, options) => { ran.push({ jobName, ...options }); };
+
+    await service.tick(new Date('2026-03-08T18:00:10Z'));
+    await service.tick(new Date('2026-03-08T18:00:40Z'));
+    await service.tick(new Date('2026-03-09T07:00:05Z'));
+
+    if (ran.length !== 2 || ran[0].jobName !== DIGEST_JOBS.WEEKLY_FAMILY_SUMMARY || ran[1].jobName !== DIGEST_JOBS.TEACHER_DIGEST) {
+      throw new Error(`Expected one weekly and one teacher run, got ${ran.map(r => r.jobName).join(', ')}`);
+    }
+    if (ran[0].periodKey !== '2026-03-08T18:00') {
+      throw new Error(`Unexpected period key ${ran[0].periodKey}`);
+    }
+
+    console.log('   ✅ Due jobs started once per scheduled minute');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Scheduler tick test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    service.stop();
+  }
+};
+
+// Test building and sending the weekly family summaries
+const testFamilySummaries = async () => {
+  console.log('\n👪 Testing Weekly Family Summaries...');
+
+  const children = {
+    'parent-1': [
+      { user_id: 'c1', child_name: 'Ana Lee', journal_entries: '3', problem_sessions: '2', achievements: '1', achievement_titles: 'Bookworm', week_end_streak: 8, points_earned: '50' },
+      { user_id: 'c2', child_name: 'Ben Lee', journal_entries: '0', problem_sessions: '0', achievements: '0', achievement_titles: null, week_end_streak: 0, points_earned: '0' }
+    ],
+    'parent-2': [
+      { user_id: 'c3', child_name: 'Cal Roy', journal_entries: '1', problem_sessions: '0', achievements: '0', achievement_titles: null, week_end_streak: 1, points_earned: '0' }
+    ],
+    'parent-3': [
+      { user_id: 'c4', child_name: 'Dee Fox', journal_entries: '2', problem_sessions: '1', achievements: '0', achievement_titles: null, week_end_streak: 2, points_earned: '0' }
+    ]
+  };
+
+  const pool = createFakePool([
+    ['wants_summary', () => ({
+      rows: [
+        { parent_id: 'parent-1', wants_summary: true },
+        { parent_id: 'parent-2', wants_summary: false },
+        { parent_id: 'parent-3', wants_summary: true }
+      ]
+    })],
+    ['FROM students s', ([parentId]) => ({ rows: children[parentId] })],
+    // parent-3's summary for the week was already stored by an earlier run
+    ['INSERT INTO weekly_family_summaries', ([parentId]) => ({ rows: [{ id: 1, inserted: parentId !== 'parent-3' }] })]
+  ]);
+  const notifications = createStubNotifications();
+  const service = new DigestService({ pool, notificationService: notifications, config: { enabled: false, schedules: {} } });
+
+  try {
+    const stats = await service.runWeeklyFamilySummaries({ reference: new Date(2026, 2, 8, 18) });
+    if (stats.recipients !== 3 || stats.sent !== 1 || stats.skipped !== 2 || stats.failures !== 0) {
+      throw new Error(`Unexpected stats ${JSON.stringify(stats)}`);
+    }
+
+    const [notification] = notifications.sent;
+    if (notification.typeKey !== DIGEST_JOBS.WEEKLY_FAMILY_SUMMARY || notification.recipientId !== 'parent-1') {
+      throw new Error('Summary was not sent to the opted-in parent');
+    }
+    if (!notification.message.includes('Ben Lee: no learning activity') || !notification.message.includes('Ana Lee (8 day learning streak)')) {
+      throw new Error(`Summary message missing concerns or celebrations: ${notification.message}`);
+    }
+    if (notification.data.weekPeriod.start !== getWeekRange(-1, new Date(2026, 2, 8, 18)).weekStart.toISOString().split('T')[0]) {
+      throw new Error('Sunday run should summarise the week that just ended');
+    }
+
+    const resent = await service.runWeeklyFamilySummaries({ reference: new Date(2026, 2, 8, 18), resend: true });
+    if (resent.sent !== 2) {
+      throw new Error('resend should re-notify parents whose summary already existed');
+    }
+
+    console.log('   ✅ Summaries stored, opt-outs and already-sent weeks skipped');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Family summary test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test teacher digests and that quiet classes are skipped
+const testTeacherDigests = async () => {
+  console.log('\n🍎 Testing Teacher Digests...');
+
+  const pool = createFakePool([
+    ['SELECT DISTINCT tsa.teacher_id', () => ({ rows: [{ teacher_id: 't1' }, { teacher_id: 't2' }] })],
+    ['FROM students s', ([teacherId]) => ({
+      rows: teacherId === 't1'
+        ? [{ user_id: 's1', student_name: 'Eli Park', alert_type: 'No recent activity', priority: 'high' }]
+        : []
+    })],
+    ['FROM performance_anomalies', ([teacherId]) => ({
+      rows: teacherId === 't1' ? [{ id: 'a1', student_name: 'Fay Wu', anomaly_type: 'performance_drop' }] : []
+    })],
+    ['teacher_problem_reviews', ([teacherId]) => ({
+      rows: teacherId === 't1' ? [{ session_type: 'ai_tutor', id: 'x1', student_name: 'Fay Wu' }] : []
+    })]
+  ]);
+  const notifications = createStubNotifications();
+  const service = new DigestService({ pool, notificationService: notifications, config: { enabled: false, schedules: {} } });
+
+  try {
+    const stats = await service.runTeacherDigests({ reference: new Date('2026-03-10T07:00:00Z') });
+    if (stats.sent !== 1 || stats.skipped !== 1) {
+      throw new Error(`Unexpected stats ${JSON.stringify(stats)}`);
+    }
+
+    const [notification] = notifications.sent;
+    if (notification.recipientId !== 't1' || notification.priority !== 'high') {
+      throw new Error('Digest with a high priority alert should be sent as high priority');
+    }
+    const { summary } = notification.data;
+    if (summary.studentsNeedingIntervention !== 1 || summary.anomalies !== 1 || summary.unreviewedSessions !== 1) {
+      throw new Error(`Unexpected digest summary ${JSON.stringify(summary)}`);
+    }
+    if (!notification.message.includes('Eli Park (No recent activity)') || !notification.message.includes('1 sessions waiting for review')) {
+      throw new Error(`Digest message incomplete: ${notification.message}`);
+    }
+
+    console.log('   ✅ Interventions, anomalies and unreviewed sessions in one digest');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Teacher digest test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runDigestSchedulerTests = async () => {
+  console.log('📅 Digest Scheduler Test Suite');
+  console.log('=' .repeat(60));
+
+  const testResults = [];
+  testResults.push(await testSchedules());
+  testResults.push(await testSchedulerTick());
+  testResults.push(await testFamilySummaries());
+  testResults.push(await testTeacherDigests());
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Digest Scheduler Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runDigestSchedulerTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runDigestSchedulerTests,
+  testSchedules,
+  testSchedulerTick,
+  testFamilySummaries,
+  testTeacherDigests
+};
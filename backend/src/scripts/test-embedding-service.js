@@ -0,0 +1,174 @@
+const {
+  LocalEmbeddingProvider,
+  OllamaEmbeddingProvider,
+  EmbeddingDimensionError,
+  EmbeddingError,
+  cosineSimilarity
+} = require('../services/embedding-service');
+
+// Related pairs should score higher than unrelated pairs with any reasonable embedding
+const SIMILARITY_CASES = [
+  {
+    query: 'I need help adding fractions with different denominators',
+    related: 'Struggled with fractions, could not find a common denominator',
+    unrelated: 'Wrote a journal entry about the water cycle and evaporation'
+  },
+  {
+    query: 'Solving linear equations like 2x + 5 = 15',
+    related: 'Solved a linear equation by isolating x',
+    unrelated: 'Practised drawing faces with realistic perspective'
+  }
+];
+
+// Test that the local provider is deterministic and normalised
+const testLocalDeterminism = async () => {
+  console.log('\n🧪 Testing Local Embedding Determinism...');
+
+  try {
+    const provider = new LocalEmbeddingProvider({ dimensions: 384 });
+    const text = 'Photosynthesis turns sunlight into chemical energy';
+    const first = await provider.embed(text);
+    const second = await new LocalEmbeddingProvider({ dimensions: 384 }).embed(text);
+
+    if (first.length !== 384) {
+      throw new Error(`Expected 384 dimensions, got ${first.length}`);
+    }
+    if (first.some((value, i) => value !== second[i])) {
+      throw new Error('Same text produced different embeddings');
+    }
+
+    const norm = Math.sqrt(first.reduce((sum, v) => sum + v * v, 0));
+    if (Math.abs(norm - 1) > 1e-9) {
+      throw new Error(`Embedding is not unit length (norm ${norm})`);
+    }
+
+    console.log('   ✅ Embeddings are deterministic and unit length');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Determinism test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that nearest neighbours are meaningful
+const testSemanticNeighbours = async () => {
+  console.log('\n🔍 Testing Local Embedding Neighbours...');
+
+  try {
+    const provider = new LocalEmbeddingProvider({ dimensions: 384 });
+    provider.fit(SIMILARITY_CASES.flatMap(c => [c.query, c.related, c.unrelated]));
+
+    for (const testCase of SIMILARITY_CASES) {
+      const [query, related, unrelated] = await provider.embedMany([testCase.query, testCase.related, testCase.unrelated]);
+      const relatedScore = cosineSimilarity(query, related);
+      const unrelatedScore = cosineSimilarity(query, unrelated);
+
+      console.log(`   "${testCase.query.substring(0, 40)}..." related=${relatedScore.toFixed(3)} unrelated=${unrelatedScore.toFixed(3)}`);
+      if (relatedScore <= unrelatedScore) {
+        throw new Error('Related text did not score higher than unrelated text');
+      }
+    }
+
+    console.log('   ✅ Related contexts rank above unrelated ones');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Neighbour test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test dimension and input validation
+const testValidation = async () => {
+  console.log('\n🚨 Testing Embedding Validation...');
+
+  try {
+    const provider = new LocalEmbeddingProvider({ dimensions: 64 });
+
+    try {
+      await provider.embed('   ');
+      throw new Error('Empty text was accepted');
+    } catch (error) {
+      if (!(error instanceof EmbeddingError)) throw error;
+    }
+
+    // A remote provider pinned to 768 dims must reject a 64-dim vector
+    const remote = new OllamaEmbeddingProvider({ dimensions: 768 });
+    try {
+      remote.checkDimensions(new Array(64).fill(0.1));
+      throw new Error('Wrong-size vector was accepted');
+    } catch (error) {
+      if (!(error instanceof EmbeddingDimensionError)) throw error;
+      console.log(`   Dimension error: ${error.message}`);
+    }
+
+    try {
+      cosineSimilarity(new Array(3).fill(1), new Array(4).fill(1));
+      throw new Error('Mismatched vectors were compared');
+    } catch (error) {
+      if (!(error instanceof EmbeddingDimensionError)) throw error;
+    }
+
+    console.log('   ✅ Invalid input and dimension mismatches are rejected');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Validation test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test remote provider availability (skipped when Ollama is not running)
+const testOllamaProvider = async () => {
+  console.log('\n🦙 Testing Ollama Embedding Provider...');
+
+  const provider = new OllamaEmbeddingProvider({ endpoint: process.env.AI_ENDPOINT, timeout: 5000 });
+  const health = await provider.checkHealth();
+  if (!health.healthy) {
+    console.log(`   ⏭️  Skipped: ${health.error}`);
+    return { success: false, skipped: true };
+  }
+
+  console.log(`   ✅ ${health.model} returned ${health.dimensions}-dimensional embeddings`);
+  return { success: true };
+};
+
+const runEmbeddingServiceTests = async () => {
+  console.log('🧬 Embedding Service Test Suite');
+  console.log('=' .repeat(60));
+
+  const testResults = [];
+  testResults.push(await testLocalDeterminism());
+  testResults.push(await testSemanticNeighbours());
+  testResults.push(await testValidation());
+  testResults.push(await testOllamaProvider());
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const skippedTests = testResults.filter(r => r.skipped).length;
+  const failedTests = totalTests - passedTests - skippedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Embedding Service Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (skippedTests > 0) console.log(`⏭️  Skipped: ${skippedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runEmbeddingServiceTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runEmbeddingServiceTests,
+  testLocalDeterminism,
+  testSemanticNeighbours,
+  testValidation,
+  testOllamaProvider
+};
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const {
+  JournalEncryptionService,
+  InMemoryJournalKeyStore,
+  JournalEncryptionError,
+  ENCRYPTION_VERSIONS,
+  isEnvelope,
+  decryptLegacyCbc
+} = require('../services/journal-encryption-service');
+require('dotenv').config();
+
+const STUDENT_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_STUDENT_ID = '22222222-2222-4222-8222-222222222222';
+const MASTER_KEY = crypto.randomBytes(32).toString('hex');
+const NEXT_MASTER_KEY = crypto.randomBytes(32).toString('hex');
+
+// Written by crypto.createCipher('aes-256-cbc', 'legacy-test-key' + 'student-1') before the migration
+const LEGACY_CIPHERTEXT = 'a8046d9a09e0cfba4510020a72d54ce46a7ef626f38122797232a9ba64e618636292a70189438f279e9f2aba6fe5e38a';
+const LEGACY_PLAINTEXT = 'Today I felt proud of my fractions work.';
+
+const createService = (keyStore, env = {}, options = {}) => new JournalEncryptionService({
+  pool: {}, // Not used by the in-memory key store
+  keyStore,
+  env: { NODE_ENV: 'test', JOURNAL_MASTER_KEY: MASTER_KEY, ...env },
+  ...options
+});
+
+const expectError = async (fn, type) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (error instanceof JournalEncryptionError && error.type === type) return;
+    throw new Error(`Expected ${type}, got ${error.type || error.message}`);
+  }
+  throw new Error(`Expected ${type} error`);
+};
+
+// Test AES-256-GCM round trips and the versioned envelope
+const testAuthenticatedEncryption = async () => {
+  console.log('\n🔐 Testing AES-256-GCM Encryption...');
+
+  try {
+    const service = createService(new InMemoryJournalKeyStore());
+    const text = 'I was nervous about the test but I studied 🌟';
+
+    const first = await service.encrypt(text, STUDENT_ID);
+    const second = await service.encrypt(text, STUDENT_ID);
+
+    if (!isEnvelope(first.ciphertext) || first.ciphertext[2] !== ENCRYPTION_VERSIONS.GCM) {
+      throw new Error('Ciphertext is missing the versioned header');
+    }
+    if (first.ciphertext.equals(second.ciphertext)) {
+      throw new Error('Two encryptions produced identical ciphertext (IV reuse)');
+    }
+    if (first.keyId !== second.keyId) {
+      throw new Error('Student data key changed between encryptions');
+    }
+    if (await service.decrypt(first.ciphertext, STUDENT_ID) !== text) {
+      throw new Error('Round trip returned different text');
+    }
+
+    const tampered = Buffer.from(first.ciphertext);
+    tampered[tampered.length - 1] ^= 0x01;
+    await expectError(() => service.decrypt(tampered, STUDENT_ID), 'AUTHENTICATION_FAILED');
+
+    // Keys are per student, and the owner is authenticated with the ciphertext
+    const other = await service.encrypt(text, OTHER_STUDENT_ID);
+    if (other.keyId === first.keyId) {
+      throw new Error('Two students share a data key');
+    }
+    await expectError(() => service.decrypt(first.ciphertext, OTHER_STUDENT_ID), 'KEY_MISMATCH');
+
+    console.log('   ✅ Random IVs, versioned header, tamper and owner checks');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Encryption test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that data keys are stored wrapped and only open with a configured master key
+const testKeyWrapping = async () => {
+  console.log('\n🗝️  Testing Wrapped Data Keys...');
+
+  try {
+    const keyStore = new InMemoryJournalKeyStore();
+    const writer = createService(keyStore);
+    const { ciphertext, keyId } = await writer.encrypt('Wrapped key test', STUDENT_ID);
+
+    const stored = await keyStore.findKey(keyId);
+    if (!stored.wrappedKey || stored.wrappedKey.includes(writer.dataKeyCache.get(keyId).key)) {
+      throw new Error('Data key is not stored wrapped');
+    }
+
+    // A fresh process has to unwrap the key from the store
+    const reader = createService(keyStore);
+    if (await reader.decrypt(ciphertext, STUDENT_ID) !== 'Wrapped key test') {
+      throw new Error('Could not read with an unwrapped key');
+    }
+
+    const wrongMaster = createService(keyStore, { JOURNAL_MASTER_KEY: NEXT_MASTER_KEY });
+    await expectError(() => wrongMaster.decrypt(ciphertext, STUDENT_ID), 'MASTER_KEY_UNAVAILABLE');
+
+    const rotatedMaster = createService(keyStore, {
+      JOURNAL_MASTER_KEY: NEXT_MASTER_KEY,
+      JOURNAL_MASTER_KEY_PREVIOUS: MASTER_KEY
+    });
+    if (await rotatedMaster.decrypt(ciphertext, STUDENT_ID) !== 'Wrapped key test') {
+      throw new Error('Previous master key was not used for older data keys');
+    }
+
+    await expectError(
+      async () => createService(keyStore, { NODE_ENV: 'production', JOURNAL_MASTER_KEY: '' }).getMasterKeys(),
+      'MASTER_KEY_MISSING'
+    );
+
+    // Another instance replaces the key; an expired cache entry must not keep encrypting with it
+    const cachingWriter = createService(keyStore, {}, { keyCacheTtlMs: 0 });
+    await cachingWriter.encrypt('Before rotation', OTHER_STUDENT_ID);
+    const replaced = await keyStore.findActiveKey(OTHER_STUDENT_ID);
+    keyStore.keys.get(replaced.keyId).keyStatus = 'rotating';
+    const { keyId: newKeyId } = await createService(keyStore).encrypt('Rotated elsewhere', OTHER_STUDENT_ID);
+    const afterRotation = await cachingWriter.encrypt('After rotation', OTHER_STUDENT_ID);
+    if (newKeyId === replaced.keyId || afterRotation.keyId !== newKeyId) {
+      throw new Error('Cached key was used after it stopped being active');
+    }
+
+    console.log('   ✅ Keys wrapped under the master key; previous master keys still unwrap; cached keys expire');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Key wrapping test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that ciphertext written by crypto.createCipher is still readable
+const testLegacyCiphertext = async () => {
+  console.log('\n📜 Testing Legacy Ciphertext...');
+
+  try {
+    if (decryptLegacyCbc(LEGACY_CIPHERTEXT, 'legacy-test-key' + 'student-1') !== LEGACY_PLAINTEXT) {
+      throw new Error('Legacy CBC ciphertext did not decrypt');
+    }
+
+    const { PrivacyManager } = require('../services/privacy-manager');
+    const privacyManager = new PrivacyManager();
+    privacyManager.legacyEncryptionKey = 'legacy-test-key';
+    privacyManager.encryptionService = createService(new InMemoryJournalKeyStore());
+
+    const legacy = await privacyManager.decryptContent({
+      encryptedContent: LEGACY_CIPHERTEXT,
+      isEncrypted: true
+    }, 'student-1');
+    if (legacy !== LEGACY_PLAINTEXT) {
+      throw new Error('PrivacyManager could not read legacy content');
+    }
+
+    const encrypted = await privacyManager.encryptContent('New entry', STUDENT_ID);
+    if (encrypted.encryptionMethod !== 'aes-256-gcm' || privacyManager.isLegacyCiphertext(encrypted)) {
+      throw new Error('PrivacyManager did not use AES-256-GCM');
+    }
+    if (await privacyManager.decryptContent(encrypted, STUDENT_ID) !== 'New entry') {
+      throw new Error('PrivacyManager round trip failed');
+    }
+
+    console.log('   ✅ createCipher output readable; new content uses AES-256-GCM');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Legacy ciphertext test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test key rotation against Postgres (skipped without a database or private entries)
+const testKeyRotation = async () => {
+  console.log('\n🔄 Testing Key Rotation...');
+
+  if (!process.env.DATABASE_URL) {
+    console.log('   ⏭️  Skipped: DATABASE_URL is not set');
+    return { success: false, skipped: true };
+  }
+
+  const service = new JournalEncryptionService();
+
+  try {
+    const entryResult = await service.pool.query(`
+      SELECT id, student_id FROM journal_entries
+      WHERE is_private = true AND deleted_at IS NULL
+      LIMIT 1
+    `);
+    if (entryResult.rows.length === 0) {
+      console.log('   ⏭️  Skipped: no private journal entries to rotate');
+      return { success: false, skipped: true };
+    }
+
+    const { id: entryId, student_id: studentId } = entryResult.rows[0];
+    const result = await service.rotateStudentKey(studentId, { batchSize: 2 });
+
+    const rotated = await service.pool.query(
+      'SELECT encrypted_content, encryption_key_id, encryption_version FROM journal_entries WHERE id = $1',
+      [entryId]
+    );
+    const row = rotated.rows[0];
+
+    if (result.failed === 0 && (row.encryption_key_id !== result.keyId || row.encryption_version !== ENCRYPTION_VERSIONS.GCM)) {
+      throw new Error('Private entry was not re-encrypted with the new key');
+    }
+
+    const client = await service.pool.connect();
+    try {
+      await service.decryptStoredContent(client, row.encrypted_content, {
+        studentId,
+        keyId: row.encryption_key_id,
+        encryptionVersion: row.encryption_version
+      });
+    } finally {
+      client.release();
+    }
+
+    console.log(`   ✅ Rotated ${result.reencrypted} entries (${result.failed} failed)`);
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Key rotation test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    await service.pool.end();
+  }
+};
+
+const runJournalEncryptionTests = async () => {
+  console.log('🔒 Journal Encryption Test Suite');
+  console.log('=' .repeat(60));
+
+  const testResults = [];
+  testResults.push(await testAuthenticatedEncryption());
+  testResults.push(await testKeyWrapping());
+  testResults.push(await testLegacyCiphertext());
+  testResults.push(await testKeyRotation());
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const skippedTests = testResults.filter(r => r.skipped).length;
+  const failedTests = totalTests - passedTests - skippedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Journal Encryption Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (skippedTests > 0) console.log(`⏭️  Skipped: ${skippedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runJournalEncryptionTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runJournalEncryptionTests,
+  testAuthenticatedEncryption,
+  testKeyWrapping,
+  testLegacyCiphertext,
+  testKeyRotation
+};
@@ -0,0 +1,225 @@
+const { checkAnswer, VERDICTS } = require('../services/math-answer-checker');
+const { ProblemSolvingService } = require('../services/problem-solving-service');
+const { getMistakeAnalysisService, MISTAKE_TYPES } = require('../services/mistake-analysis-service');
+
+// Each case: [response, expected, responseType, verdict, indicators]
+const runCases = (cases) => {
+  const failures = [];
+  cases.forEach(([response, expected, responseType, verdict, indicators = []]) => {
+    const result = checkAnswer(response, expected, { responseType });
+    const actual = result.checked ? result.verdict : `unchecked:${result.reason}`;
+    const actualIndicators = result.checked ? result.indicators.join() : '';
+    if (actual !== verdict || actualIndicators !== indicators.join()) {
+      failures.push(`"${response}" for "${expected}": ${actual} [${actualIndicators}], expected ${verdict} [${indicators.join()}]`);
+    }
+  });
+  if (failures.length > 0) {
+    throw new Error(failures.join('; '));
+  }
+};
+
+const testNumbersAndUnits = async () => {
+  console.log('\n🔢 Testing numbers, fractions and units...');
+
+  try {
+    runCases([
+      ['x=0.5', 'x = 1/2', 'numerical', VERDICTS.CORRECT],
+      ['0.50', 'x = 1/2', 'numerical', VERDICTS.CORRECT],
+      ['1/2', '0.5', 'numerical', VERDICTS.CORRECT],
+      ['1 1/2', '3/2', 'numerical', VERDICTS.CORRECT],
+      ['50%', '0.5', 'numerical', VERDICTS.CORRECT],
+      ['1,000', '1000', 'numerical', VERDICTS.CORRECT],
+      ['0.33', '1/3', 'numerical', VERDICTS.ROUNDED],
+      ['3.14', 'π', 'numerical', VERDICTS.ROUNDED],
+      ['0.3', '1/3', 'numerical', VERDICTS.INCORRECT],
+      ['-12', '12', 'numerical', VERDICTS.INCORRECT, ['sign_error']],
+      ['120', '12', 'numerical', VERDICTS.INCORRECT, ['place_value_error']],
+      ['0.25', '4', 'numerical', VERDICTS.INCORRECT, ['reciprocal_error']],
+      ['150 cm', '1.5 m', 'numerical', VERDICTS.CORRECT],
+      ['12.5 m/s', '45 km/h', 'numerical', VERDICTS.CORRECT],
+      ['90°', 'pi/2 rad', 'numerical', VERDICTS.CORRECT],
+      ['The answer is 12 cm.', '0.12 m', 'numerical', VERDICTS.CORRECT],
+      ['1.5', '1.5 m', 'numerical', VERDICTS.MISSING_UNITS, ['missing_units']],
+      ['150 m', '1.5 m', 'numerical', VERDICTS.INCORRECT, ['unit_conversion_error']],
+      ['1.5 kg', '1.5 m', 'numerical', VERDICTS.INCORRECT, ['wrong_units']],
+      ['I am not sure', '4', 'numerical', 'unchecked:response_not_math'],
+      ['4', 'Add the two numbers together', 'numerical', 'unchecked:expected_not_math'],
+      ['('.repeat(20000) + '1' + ')'.repeat(20000), '1', 'numerical', 'unchecked:response_too_long'],
+      ['('.repeat(60) + '1' + ')'.repeat(60), '1', 'numerical', 'unchecked:response_not_math'],
+      ['-'.repeat(200) + '1', '1', 'numerical', 'unchecked:response_not_math']
+    ]);
+
+    const tolerant = checkAnswer('9.8', '9.81', { responseType: 'numerical', tolerance: 0.05 });
+    const strict = checkAnswer('9.8', '9.81', { responseType: 'numerical' });
+    if (tolerant.verdict !== VERDICTS.CORRECT || strict.verdict !== VERDICTS.INCORRECT || strict.score !== 0.25) {
+      throw new Error('A step tolerance should accept close answers that are otherwise a near miss');
+    }
+
+    console.log('   ✅ Equal values in any form, rounding, units and near misses are recognised');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Numbers test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testExpressionsAndEquations = async () => {
+  console.log('\n🧮 Testing expressions and equations...');
+
+  try {
+    runCases([
+      ['4+2x', '2x+4', 'expression', VERDICTS.CORRECT],
+      ['2(x+2)', '2x + 4', 'expression', VERDICTS.CORRECT],
+      ['(x-2)(x+2)', 'x^2 - 4', 'expression', VERDICTS.CORRECT],
+      ['x²−4', 'x^2 - 4', 'expression', VERDICTS.CORRECT],
+      ['y = 4 + 2x', '2x + 4', 'expression', VERDICTS.CORRECT],
+      ['-2x-4', '2x+4', 'expression', VERDICTS.INCORRECT, ['sign_error']],
+      ['2x+5', '2x+4', 'expression', VERDICTS.INCORRECT],
+      ['x = 2 or x = -2', 'x = ±2', 'equation', VERDICTS.CORRECT],
+      ['±2', 'x = ±2', 'equation', VERDICTS.CORRECT],
+      ['x = 2', 'x = ±2', 'equation', VERDICTS.PARTIAL, ['missing_solution']],
+      ['2, -2, 3', 'x = ±2', 'equation', VERDICTS.PARTIAL, ['extraneous_solution']],
+      ['x=1, y=2', 'y = 2, x = 1', 'equation', VERDICTS.CORRECT],
+      ['2x = 8', 'x = 4', 'equation', VERDICTS.PARTIAL, ['incomplete_solution']],
+      ['x = -4', 'x = 4', 'equation', VERDICTS.INCORRECT, ['sign_error']],
+      // Solutions are substituted into an equation that is not solved yet
+      ['x = 3', '2x + 4 = 10', 'equation', VERDICTS.CORRECT],
+      ['x = 4', '2x + 4 = 10', 'equation', VERDICTS.INCORRECT],
+      ['x = 2, x = -2', 'x^2 = 4', 'equation', VERDICTS.CORRECT],
+      ['x = ±2', 'x^2 = 4', 'equation', VERDICTS.CORRECT],
+      ['x = 2', 'x^2 = 4', 'equation', VERDICTS.PARTIAL, ['incomplete_solution', 'missing_solution']],
+      ['x = 2, x = 3', 'x^2 = 4', 'equation', VERDICTS.PARTIAL, ['incomplete_solution', 'missing_solution', 'extraneous_solution']],
+      ['x = 3', '(x - 3)^2 = 0', 'equation', VERDICTS.CORRECT],
+      ['x = 3, y = 2', '2x + 4 = 10', 'equation', VERDICTS.INCORRECT],
+      // An equivalent equation counts once it is solved
+      ['2x + 4 = 10', '2x + 4 = 10', 'equation', VERDICTS.PARTIAL, ['incomplete_solution']],
+      ['x + 2 = 5', '2x + 4 = 10', 'equation', VERDICTS.PARTIAL, ['incomplete_solution']],
+      ['x^2 - 4 = 0', 'x^2 = 4', 'equation', VERDICTS.PARTIAL, ['incomplete_solution']],
+      ['x + 2 = 6', '2x + 4 = 10', 'equation', VERDICTS.INCORRECT],
+      ['y = 1 + 2x', 'y = 2x + 1', 'equation', VERDICTS.CORRECT],
+      ['y - 2x = 1', 'y = 2x + 1', 'equation', VERDICTS.PARTIAL, ['incomplete_solution']],
+      ['x = (y - 1)/2', 'y = 2x + 1', 'equation', VERDICTS.PARTIAL, ['incomplete_solution']]
+    ]);
+
+    const partial = checkAnswer('2, -2, 3', 'x = ±2', { responseType: 'equation' });
+    if (partial.score !== 0.67 || partial.correct) {
+      throw new Error(`Partial answers should score the share of matching solutions: ${JSON.stringify(partial)}`);
+    }
+    const halfRoots = checkAnswer('x = 2', 'x^2 = 4', { responseType: 'equation' });
+    if (halfRoots.score !== 0.5 || halfRoots.correct) {
+      throw new Error(`One of two roots should score half: ${JSON.stringify(halfRoots)}`);
+    }
+
+    console.log('   ✅ Symbolic equivalence, solution sets and substitution into equations behave as expected');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Expressions test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testStepGrading = async () => {
+  console.log('\n📝 Testing math-aware step grading...');
+
+  try {
+    const mistakeAnalysisService = getMistakeAnalysisService();
+    const service = new ProblemSolvingService();
+    const analyses = [];
+    service.responseValidator = { validateResponse: async () => ({ hasViolations: false }) };
+    // Classify for real, without logging to the database or generating questions
+    service.mistakeAnalysisService = {
+      analyzeMistake: async (mistakeData) => {
+        analyses.push(mistakeData);
+        return {
+          mistakeClassification: await mistakeAnalysisService.classifyMistake(mistakeData),
+          guidedQuestions: { immediate: [], followUp: [], reflection: [], totalQuestions: 0 },
+          remediationStrategy: null
+        };
+      }
+    };
+
+    const problemInstance = {
+      subject: 'general',
+      steps: [
+        { number: 1, title: 'Solve the equation', prompt: 'Solve 2x + 4 = 5', expected_response: 'x = 1/2', expected_response_type: 'numerical' },
+        { number: 2, title: 'Explain', prompt: 'Explain your method', expected_response: 'I subtracted 4 and divided by 2' }
+      ]
+    };
+    // The session step row carries no expected answer; it comes from the problem instance
+    const sessionStep = { step_number: 1, step_title: 'Solve the equation', prompt: 'Solve 2x + 4 = 5' };
+
+    const correct = await service.analyzeStepResponse('x=0.5', sessionStep, problemInstance, 'student-1');
+    if (correct.quality !== 'excellent' || correct.accuracy !== 1 || correct.mistakes.length !== 0 || analyses.length !== 0) {
+      throw new Error(`An equivalent answer should score full marks: ${JSON.stringify(correct)}`);
+    }
+
+    const sign = await service.analyzeStepResponse('x = -0.5', sessionStep, problemInstance, 'student-1');
+    if (sign.quality !== 'incorrect' || sign.accuracy !== 0.25 || sign.mistakes[0].type !== MISTAKE_TYPES.CARELESS ||
+        !sign.mistakes[0].indicators.includes('sign_error') || !sign.feedback.includes('signs')) {
+      throw new Error(`A sign slip should be graded as a careless near miss: ${JSON.stringify(sign)}`);
+    }
+    if (!analyses[0].stepContext.answerCheck || analyses[0].stepContext.answerCheck.verdict !== VERDICTS.INCORRECT) {
+      throw new Error('Mistake analysis should receive the answer check');
+    }
+
+    // Math analysis follows the verdict instead of surface patterns
+    const mathAnalysis = mistakeAnalysisService.analyzeMathMistakes('0.5', '1/2', {
+      answerCheck: checkAnswer('0.5', '1/2')
+    });
+    const heuristic = mistakeAnalysisService.analyzeMathMistakes('0.5', '1/2', {});
+    if (mathAnalysis.indicators.length !== 0 || !heuristic.indicators.includes('unnecessary_decimal')) {
+      throw new Error('A correct decimal answer should not be reported as a decimal mistake');
+    }
+
+    // Other response types keep the text comparison
+    const text = await service.analyzeStepResponse('I subtracted 4 and divided by 2', { step_number: 2 }, problemInstance, 'student-1');
+    if (text.quality !== 'excellent') {
+      throw new Error(`Text steps should keep the similarity check: ${JSON.stringify(text)}`);
+    }
+
+    console.log('   ✅ Verdicts set accuracy and quality, and reach mistake analysis');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Step grading test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runMathAnswerTests = async () => {
+  console.log('🧪 Running Math Answer Checking Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testNumbersAndUnits(),
+    await testExpressionsAndEquations(),
+    await testStepGrading()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Math Answer Checking Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runMathAnswerTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runMathAnswerTests,
+  testNumbersAndUnits,
+  testExpressionsAndEquations,
+  testStepGrading
+};
@@ -0,0 +1,398 @@
+const {
+  MfaError,
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  loadMfaKey,
+  encryptSecret,
+  decryptSecret
+} = require('../services/mfa-totp');
+const { MfaService } = require('../services/mfa-service');
+const { createFakePool } = require('./fake-pool');
+
+const TEACHER = { id: '11111111-1111-4111-8111-111111111111', email: 'tess@school.test', role: 'teacher' };
+const PARENT = { id: '22222222-2222-4222-8222-222222222222', email: 'maria@home.test', role: 'parent' };
+const ADMIN = { id: '33333333-3333-4333-8333-333333333333', email: 'admin@school.test', role: 'admin' };
+
+// RFC 6238 appendix B uses this ASCII secret
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const expectMfaError = async (fn, type) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (!(error instanceof MfaError) || error.type !== type) throw error;
+    return error;
+  }
+  throw new Error(`Expected a ${type} error`);
+};
+
+// Keeps factors, recovery codes, challenges, policies and audit rows in memory
+const createFakeDatabase = () => {
+  const db = {
+    users: [TEACHER, PARENT, ADMIN],
+    factors: [],
+    codes: [],
+    challenges: [],
+    policies: [{ role: 'admin', required: true }, { role: 'teacher', required: true }, { role: 'parent', required: false }],
+    audit: []
+  };
+  const liveChallenge = (c) => !c.used_at && c.expires_at > new Date();
+
+  db.pool = createFakePool([
+    ['INSERT INTO access_control_audit_log', params => {
+      db.audit.push({ user_id: params[0], action: params[2], result: params[3], request_data: JSON.parse(params[7]) });
+      return { rows: [] };
+    }],
+    ['FROM mfa_role_policies WHERE role', params => ({ rows: db.policies.filter(p => p.role === params[0]) })],
+    ['SELECT * FROM user_mfa_factors', params => ({ rows: db.factors.filter(f => f.user_id === params[0]) })],
+    ['INSERT INTO user_mfa_factors', params => {
+      const existing = db.factors.find(f => f.user_id === params[0]);
+      if (existing && existing.status !== 'pending') return { rows: [] };
+      if (existing) Object.assign(existing, { secret_encrypted: params[1], last_used_step: null });
+      else db.factors.push({ id: `factor-${db.factors.length + 1}`, user_id: params[0], secret_encrypted: params[1], status: 'pending', last_used_step: null });
+      return { rows: [{ id: 'factor' }] };
+    }],
+    ['SET last_used_step', params => {
+      const factor = db.factors.find(f => f.user_id === params[0] && (f.last_used_step === null || f.last_used_step < params[1]));
+      if (factor) factor.last_used_step = params[1];
+      return { rows: factor ? [factor] : [] };
+    }],
+    ['DELETE FROM user_mfa_factors', params => {
+      db.factors = db.factors.filter(f => f.user_id !== params[0]);
+      return { rows: [] };
+    }],
+    ["SET status = 'active'", params => {
+      db.factors.find(f => f.user_id === params[0]).status = 'active';
+      return { rows: [] };
+    }],
+    ['DELETE FROM mfa_recovery_codes', params => {
+      db.codes = db.codes.filter(c => c.user_id !== params[0]);
+      return { rows: [] };
+    }],
+    ['INSERT INTO mfa_recovery_codes', params => {
+      params[1].forEach(hash => db.codes.push({ user_id: params[0], code_hash: hash, used_at: null }));
+      return { rows: [] };
+    }],
+    ['UPDATE mfa_recovery_codes', params => {
+      const code = db.codes.find(c => c.user_id === params[0] && c.code_hash === params[1] && !c.used_at);
+      if (code) code.used_at = new Date();
+      return { rows: code ? [code] : [] };
+    }],
+    ['COUNT(*) AS remaining FROM mfa_recovery_codes', params => ({ rows: [{ remaining: String(db.codes.filter(c => c.user_id === params[0] && !c.used_at).length) }] })],
+    ['DELETE FROM mfa_challenges WHERE expires_at', () => ({ rows: [] })],
+    ['INSERT INTO mfa_challenges', params => {
+      const challenge = {
+        id: `challenge-${db.challenges.length + 1}`,
+        user_id: params[0],
+        challenge_hash: params[1],
+        purpose: params[2],
+        attempts: 0,
+        expires_at: new Date(Date.now() + params[4]),
+        used_at: null
+      };
+      db.challenges.push(challenge);
+      return { rows: [challenge] };
+    }],
+    ['FROM mfa_challenges c', params => {
+      const challenge = db.challenges.find(c => c.challenge_hash === params[0] && liveChallenge(c));
+      const user = challenge && db.users.find(u => u.id === challenge.user_id);
+      return { rows: challenge ? [{ ...challenge, email: user.email, role: user.role }] : [] };
+    }],
+    ['UPDATE mfa_challenges SET used_at', params => {
+      db.challenges.find(c => c.id === params[0]).used_at = new Date();
+      return { rows: [] };
+    }],
+    ['UPDATE mfa_challenges', params => {
+      const challenge = db.challenges.find(c => c.id === params[0]);
+      challenge.attempts = params[1];
+      if (params[1] >= params[2]) challenge.used_at = new Date();
+      return { rows: [] };
+    }]
+  ]);
+  return db;
+};
+
+// Counts failed logins per email and locks at the threshold, like the login throttle
+const createFakeThrottle = (threshold = Infinity) => {
+  const throttle = { failures: {}, reasons: [] };
+  const lockFor = (email) => (throttle.failures[email] || 0) >= threshold
+    ? { scope: 'account', lockedUntil: new Date(Date.now() + 60000).toISOString(), retryAfterSeconds: 60 }
+    : null;
+
+  throttle.getActiveLock = async (email) => lockFor(email);
+  throttle.recordFailure = async (email, clientInfo, reason) => {
+    throttle.failures[email] = (throttle.failures[email] || 0) + 1;
+    throttle.reasons.push(reason);
+    return lockFor(email);
+  };
+  throttle.recordSuccess = async (email) => {
+    throttle.failures[email] = 0;
+  };
+  return throttle;
+};
+
+const createService = (db, throttle = createFakeThrottle()) => {
+  const service = new MfaService();
+  service.pool = db.pool;
+  service.loginThrottle = throttle;
+  service.config = { ...service.config, maxChallengeAttempts: 3, recoveryCodeCount: 4 };
+  service.key = loadMfaKey('a'.repeat(64));
+  return service;
+};
+
+// A code for the next time step, as a second login in the same 30 seconds would need
+const codeAfter = (secret, db, userId) => {
+  const factor = db.factors.find(f => f.user_id === userId);
+  const step = Math.max(getTimeStep(), factor.last_used_step === null ? -Infinity : Number(factor.last_used_step) + 1);
+  return generateTotp(secret, step);
+};
+
+// Test TOTP against the RFC 6238 vectors, replay refusal and secret encryption
+const testTotp = async () => {
+  console.log('\n⏱️  Testing TOTP, Recovery Codes and Secret Encryption...');
+
+  try {
+    const vectors = [[59, '287082'], [1111111109, '081804'], [1234567890, '005924'], [20000000000, '353130']];
+    for (const [seconds, expected] of vectors) {
+      const code = generateTotp(RFC_SECRET, Math.floor(seconds / 30));
+      if (code !== expected) throw new Error(`RFC 6238 vector at ${seconds}s gave ${code}, expected ${expected}`);
+    }
+    if (base32Decode(RFC_SECRET).toString() !== '12345678901234567890') {
+      throw new Error('Base32 should round-trip');
+    }
+
+    const now = 1111111109 * 1000;
+    const step = verifyTotp(RFC_SECRET, '081 804', { now });
+    const previous = generateTotp(RFC_SECRET, getTimeStep(now) - 1);
+    if (step !== getTimeStep(now) || verifyTotp(RFC_SECRET, previous, { now }) === null) {
+      throw new Error('Current code and the previous step should both be accepted');
+    }
+    if (verifyTotp(RFC_SECRET, '081804', { now, lastUsedStep: step }) !== null || verifyTotp(RFC_SECRET, '12345', { now }) !== null) {
+      throw new Error('Replayed and malformed codes should be refused');
+    }
+
+    const uri = buildOtpauthUri({ issuer: 'Mentra', accountName: 'tess@school.test', secret: RFC_SECRET });
+    if (!uri.startsWith('otpauth://totp/Mentra:tess%40school.test?secret=') || !uri.includes('issuer=Mentra') || !uri.includes('period=30')) {
+      throw new Error(`Unexpected provisioning URI: ${uri}`);
+    }
+
+    const codes = generateRecoveryCodes(10);
+    if (new Set(codes).size !== 10 || !/^[a-z2-9]{5}-[a-z2-9]{5}$/.test(codes[0]) ||
+        hashRecoveryCode(codes[0].toUpperCase().replace('-', ' ')) !== hashRecoveryCode(codes[0])) {
+      throw new Error('Recovery codes should be unique and match regardless of case and separators');
+    }
+
+    const key = loadMfaKey('b'.repeat(64));
+    const sealed = encryptSecret(RFC_SECRET, key, TEACHER.id);
+    if (sealed.includes(RFC_SECRET) || decryptSecret(sealed, key, TEACHER.id) !== RFC_SECRET) {
+      throw new Error('Secrets should be encrypted and decrypt for their owner');
+    }
+    let moved = false;
+    try {
+      decryptSecret(sealed, key, PARENT.id);
+      moved = true;
+    } catch (error) {
+      // Expected: the user id is authenticated data
+    }
+    if (moved) throw new Error('A secret copied to another user should not decrypt');
+
+    console.log(`   ✅ ${vectors.length} RFC 6238 vectors match; replays refused; secrets bound to their user`);
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ TOTP test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test the two-step login: enrolment for required roles, codes, recovery codes and attempt limits
+const testLoginChallenge = async () => {
+  console.log('\n🔐 Testing Two-Step Login Challenges...');
+
+  try {
+    const db = createFakeDatabase();
+    const service = createService(db);
+
+    if (await service.createLoginChallenge(PARENT) !== null) {
+      throw new Error('Parents without MFA should sign in with just a password');
+    }
+
+    const enrollChallenge = await service.createLoginChallenge(TEACHER, { ipAddress: '127.0.0.1' });
+    if (enrollChallenge.purpose !== 'enroll' || enrollChallenge.methods.join() !== 'totp') {
+      throw new Error('Teachers without MFA should be asked to enrol');
+    }
+
+    const { secret, otpauthUri } = await service.startChallengeEnrollment(enrollChallenge.challengeToken);
+    if (!otpauthUri.includes(secret) || db.factors[0].secret_encrypted.includes(secret)) {
+      throw new Error('Enrolment should return the secret but store it encrypted');
+    }
+
+    const wrong = await expectMfaError(() => service.completeChallenge(enrollChallenge.challengeToken, { code: '000000' }), 'INVALID_CODE');
+    if (wrong.details.attemptsRemaining !== 2) {
+      throw new Error(`Wrong codes should count against the challenge: ${JSON.stringify(wrong.details)}`);
+    }
+
+    const enrolled = await service.completeChallenge(enrollChallenge.challengeToken, { code: codeAfter(secret, db, TEACHER.id) });
+    if (enrolled.userId !== TEACHER.id || enrolled.recoveryCodes.length !== 4 || db.factors[0].status !== 'active') {
+      throw new Error('Answering the enrol challenge should activate MFA and return recovery codes');
+    }
+    await expectMfaError(() => service.completeChallenge(enrollChallenge.challengeToken, { code: '123456' }), 'INVALID_CHALLENGE');
+
+    const verify = await service.createLoginChallenge(TEACHER);
+    if (verify.purpose !== 'verify' || !verify.methods.includes('recovery_code')) {
+      throw new Error('Enrolled users should get a verify challenge');
+    }
+    const viaRecovery = await service.completeChallenge(verify.challengeToken, { recoveryCode: enrolled.recoveryCodes[0].toUpperCase() });
+    if (viaRecovery.method !== 'recovery_code' || viaRecovery.recoveryCodesRemaining !== 3) {
+      throw new Error('A recovery code should work once and be used up');
+    }
+
+    const reuse = await service.createLoginChallenge(TEACHER);
+    await expectMfaError(() => service.completeChallenge(reuse.challengeToken, { recoveryCode: enrolled.recoveryCodes[0] }), 'INVALID_CODE');
+    await expectMfaError(() => service.completeChallenge(reuse.challengeToken, { code: '000000' }), 'INVALID_CODE');
+    const last = await expectMfaError(() => service.completeChallenge(reuse.challengeToken, { code: '000000' }), 'INVALID_CODE');
+    await expectMfaError(() => service.completeChallenge(reuse.challengeToken, { code: codeAfter(secret, db, TEACHER.id) }), 'INVALID_CHALLENGE');
+    if (last.details.attemptsRemaining !== 0) {
+      throw new Error('The challenge should be burnt after the last attempt');
+    }
+
+    const failures = db.audit.filter(a => a.action === 'challenge_failed' && a.result === 'denied').length;
+    if (failures !== 4 || !db.audit.some(a => a.action === 'enrollment_confirmed' && a.result === 'granted')) {
+      throw new Error(`MFA events should be audited: ${JSON.stringify(db.audit.map(a => a.action))}`);
+    }
+
+    console.log(`   ✅ Enrolled, verified by recovery code, burnt a challenge; ${db.audit.length} audit events recorded`);
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Login challenge test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that wrong challenge codes count as failed logins and lock the account
+const testChallengeLockout = async () => {
+  console.log('\n⛔ Testing Lockout After Wrong MFA Codes...');
+
+  try {
+    const db = createFakeDatabase();
+    const throttle = createFakeThrottle(3);
+    const service = createService(db, throttle);
+
+    const enrollChallenge = await service.createLoginChallenge(TEACHER);
+    const { secret } = await service.startChallengeEnrollment(enrollChallenge.challengeToken);
+    await service.completeChallenge(enrollChallenge.challengeToken, { code: codeAfter(secret, db, TEACHER.id) });
+
+    // Wrong passwords before this login still count: only a passed challenge clears them
+    throttle.failures[TEACHER.email] = 1;
+    const first = await service.createLoginChallenge(TEACHER);
+    await expectMfaError(() => service.completeChallenge(first.challengeToken, { code: '000000' }), 'INVALID_CODE');
+    if (throttle.failures[TEACHER.email] !== 2 || throttle.reasons.join() !== 'invalid_mfa_code') {
+      throw new Error(`A wrong code should count as a failed login: ${JSON.stringify(throttle)}`);
+    }
+
+    const locked = await expectMfaError(() => service.completeChallenge(first.challengeToken, { code: '000000' }), 'LOCKED');
+    if (!locked.details.lock || locked.details.lock.scope !== 'account') {
+      throw new Error('Reaching the threshold with wrong codes should lock the account');
+    }
+
+    // Neither the same challenge nor a new one gets past the lock, even with the right code
+    const second = await service.createLoginChallenge(TEACHER);
+    await expectMfaError(() => service.completeChallenge(first.challengeToken, { code: codeAfter(secret, db, TEACHER.id) }), 'LOCKED');
+    await expectMfaError(() => service.completeChallenge(second.challengeToken, { code: codeAfter(secret, db, TEACHER.id) }), 'LOCKED');
+
+    throttle.failures[TEACHER.email] = 0;
+    const passed = await service.completeChallenge(second.challengeToken, { code: codeAfter(secret, db, TEACHER.id) });
+    if (passed.userId !== TEACHER.id) {
+      throw new Error('The right code should sign in once the lock is gone');
+    }
+
+    console.log('   ✅ Wrong codes counted as failed logins, locked the account and blocked later challenges');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Challenge lockout test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that role policy decides who may turn MFA off
+const testPolicyEnforcement = async () => {
+  console.log('\n📋 Testing Per-Role MFA Policy...');
+
+  try {
+    const db = createFakeDatabase();
+    const service = createService(db);
+
+    const secrets = {};
+    for (const user of [TEACHER, PARENT]) {
+      const { secret } = await service.startEnrollment(user);
+      await service.confirmEnrollment(user, codeAfter(secret, db, user.id));
+      secrets[user.id] = secret;
+    }
+
+    await expectMfaError(() => service.startEnrollment(TEACHER), 'CONFLICT');
+    await expectMfaError(() => service.disable(TEACHER, codeAfter(secrets[TEACHER.id], db, TEACHER.id)), 'POLICY_REQUIRED');
+    await expectMfaError(() => service.disable(PARENT, '000000'), 'INVALID_CODE');
+
+    const disabledStatus = await service.disable(PARENT, codeAfter(secrets[PARENT.id], db, PARENT.id));
+    if (disabledStatus.enabled || db.factors.some(f => f.user_id === PARENT.id) || db.codes.some(c => c.user_id === PARENT.id)) {
+      throw new Error('Parents may turn MFA off, which removes the factor and recovery codes');
+    }
+
+    if (await service.isRequired('student') || !(await service.isRequired('admin'))) {
+      throw new Error('Roles without a policy row should fall back to the defaults');
+    }
+    await expectMfaError(() => service.updatePolicy('superuser', true, ADMIN), 'NOT_FOUND');
+
+    console.log('   ✅ Required roles cannot disable MFA; optional roles can with a valid code');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Policy test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runMfaTests = async () => {
+  console.log('🧪 Running Multi-Factor Authentication Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testTotp(),
+    await testLoginChallenge(),
+    await testChallengeLockout(),
+    await testPolicyEnforcement()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Multi-Factor Authentication Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runMfaTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runMfaTests,
+  testTotp,
+  testLoginChallenge,
+  testChallengeLockout,
+  testPolicyEnforcement
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const nodemailer = require('nodemailer');
+const {
+  EmailChannelAdapter,
+  SmsChannelAdapter,
+  SinkChannelAdapter,
+  NotificationChannelError,
+  renderTemplate,
+  getQuietHoursEnd,
+  getRetryDelay
+} = require('../services/notification-channels');
+require('dotenv').config();
+
+const expectChannelError = async (fn, retryable) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (!(error instanceof NotificationChannelError)) throw error;
+    if (error.retryable !== retryable) {
+      throw new Error(`${error.details.code} should${retryable ? '' : ' not'} be retried`);
+    }
+    return error;
+  }
+  throw new Error('Expected a delivery error');
+};
+
+// Test template rendering, quiet hours and retry backoff
+const testDeliveryRules = async () => {
+  console.log('\n📝 Testing Templates, Quiet Hours and Backoff...');
+
+  try {
+    const variables = { firstName: 'Ana', goal: { title: 'Read 5 books' }, note: '<b>well done</b>' };
+    if (renderTemplate('Hi {{ firstName }}, you finished {{goal.title}}{{missing}}!', variables) !== 'Hi Ana, you finished Read 5 books!') {
+      throw new Error('Placeholders were not rendered');
+    }
+    if (!renderTemplate('<p>{{note}}</p>', variables, { html: true }).includes('&lt;b&gt;')) {
+      throw new Error('HTML templates did not escape variables');
+    }
+
+    // 23:30 UTC inside a 22:00-07:00 window ends at 07:00 the next morning
+    const lateEvening = new Date('2026-03-10T23:30:00Z');
+    const end = getQuietHoursEnd('22:00:00', '07:00:00', 'UTC', lateEvening);
+    if (!end || end.toISOString() !== '2026-03-11T07:00:00.000Z') {
+      throw new Error(`Quiet hours should end at 07:00, got ${end && end.toISOString()}`);
+    }
+    if (getQuietHoursEnd('22:00', '07:00', 'UTC', new Date('2026-03-10T12:00:00Z')) !== null) {
+      throw new Error('Midday was treated as quiet hours');
+    }
+    // 12:00 UTC is 08:00 in New York (EDT), inside a 07:00-09:00 window
+    if (!getQuietHoursEnd('07:00', '09:00', 'America/New_York', new Date('2026-06-10T12:00:00Z'))) {
+      throw new Error('Recipient timezone was ignored');
+    }
+    if (getQuietHoursEnd(null, '07:00', 'UTC', lateEvening) !== null) {
+      throw new Error('Missing quiet hours should not defer delivery');
+    }
+
+    const delays = [1, 2, 3, 20].map(attempt => getRetryDelay(attempt, 60000));
+    if (delays[0] !== 60000 || delays[1] !== 120000 || delays[2] !== 240000 || delays[3] !== 6 * 60 * 60 * 1000) {
+      throw new Error(`Unexpected backoff delays: ${delays.join(', ')}`);
+    }
+
+    console.log('   ✅ Templates, quiet hours across midnight/timezones, capped exponential backoff');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Delivery rules test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test the SMS adapter against a local gateway
+const testSmsAdapter = async () => {
+  console.log('\n📱 Testing SMS Gateway Adapter...');
+
+  const received = [];
+  let nextStatus = 200;
+  const gateway = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ auth: req.headers.authorization, body: JSON.parse(body) });
+      res.writeHead(nextStatus, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(nextStatus === 200 ? { id: 'sms-123' } : { error: 'nope' }));
+    });
+  });
+
+  try {
+    await new Promise(resolve => gateway.listen(0, '127.0.0.1', resolve));
+    const adapter = new SmsChannelAdapter({
+      gatewayUrl: `http://127.0.0.1:${gateway.address().port}/messages`,
+      apiKey: 'test-key',
+      senderId: 'Mentra',
+      timeout: 2000
+    });
+
+    const result = await adapter.send({ to: '+15551234567', text: 'x'.repeat(600), notificationId: 7 });
+    if (result.status !== 'sent' || result.externalId !== 'sms-123') {
+      throw new Error('Gateway response was not recorded');
+    }
+    if (received[0].auth !== 'Bearer test-key' || received[0].body.message.length > 480 || received[0].body.reference !== '7') {
+      throw new Error('Gateway request was not built correctly');
+    }
+
+    nextStatus = 400;
+    await expectChannelError(() => adapter.send({ to: '+1555', text: 'Hi' }), false);
+    nextStatus = 503;
+    await expectChannelError(() => adapter.send({ to: '+15551234567', text: 'Hi' }), true);
+
+    console.log('   ✅ Messages sent and truncated; 4xx permanent, 5xx retried');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ SMS adapter test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    gateway.close();
+  }
+};
+
+// Test the email adapter with an in-memory nodemailer transport
+const testEmailAdapter = async () => {
+  console.log('\n📧 Testing Email Adapter...');
+
+  try {
+    const adapter = new EmailChannelAdapter({ host: 'smtp.test', port: 587, from: 'noreply@mentra.com' });
+    adapter.transporter = nodemailer.createTransport({ jsonTransport: true });
+
+    const result = await adapter.send({ to: 'parent@example.com', subject: 'Weekly update', text: 'Hello', html: '<p>Hello</p>' });
+    if (result.status !== 'sent' || !result.externalId) {
+      throw new Error('Sent email has no message id');
+    }
+
+    const smtpError = (responseCode) => {
+      adapter.transporter = {
+        sendMail: async () => {
+          const error = new Error(`SMTP ${responseCode}`);
+          error.responseCode = responseCode;
+          throw error;
+        }
+      };
+    };
+
+    smtpError(550);
+    await expectChannelError(() => adapter.send({ to: 'nobody@example.com', subject: 's', text: 't' }), false);
+    smtpError(421);
+    await expectChannelError(() => adapter.send({ to: 'parent@example.com', subject: 's', text: 't' }), true);
+
+    if (new EmailChannelAdapter({ host: null }).isConfigured()) {
+      throw new Error('Email adapter without SMTP_HOST reported configured');
+    }
+
+    console.log('   ✅ Mail sent; 5xx rejections permanent, 4xx retried');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Email adapter test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test the file sink used for local development
+const testFileSink = async () => {
+  console.log('\n🗂️  Testing File Sink...');
+
+  const file = path.join(os.tmpdir(), `mentra-notifications-${process.pid}.log`);
+
+  try {
+    const sink = new SinkChannelAdapter({ type: 'file', file });
+    await sink.send({ channel: 'email', to: 'student@example.com', subject: 'Goal met', text: 'Nice work', notificationId: 3 });
+    await sink.send({ channel: 'sms', to: '+15551234567', text: 'Nice work', notificationId: 4 });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    if (lines.length !== 2 || lines[0].channel !== 'email' || lines[1].to !== '+15551234567') {
+      throw new Error('Sink did not record one JSON line per message');
+    }
+
+    console.log('   ✅ Messages written as JSON lines');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ File sink test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+};
+
+const runNotificationChannelTests = async () => {
+  console.log('📬 Notification Channel Test Suite');
+  console.log('=' .repeat(60));
+
+  const testResults = [];
+  testResults.push(await testDeliveryRules());
+  testResults.push(await testSmsAdapter());
+  testResults.push(await testEmailAdapter());
+  testResults.push(await testFileSink());
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Notification Channel Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runNotificationChannelTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runNotificationChannelTests,
+  testDeliveryRules,
+  testSmsAdapter,
+  testEmailAdapter,
+  testFileSink
+};
@@ -0,0 +1,269 @@
+const {
+  evaluateCondition,
+  validateCondition,
+  validateRuleInput,
+  NotificationRuleError
+} = require('../services/notification-rules');
+const { domainEvents, DOMAIN_EVENTS } = require('../services/domain-events');
+const { MistakeAnalysisService } = require('../services/mistake-analysis-service');
+const { SessionAnalyticsService } = require('../services/session-analytics-service');
+const { notificationService } = require('../services/notification-service');
+require('dotenv').config();
+
+const expectValidationErrors = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    if (!(error instanceof NotificationRuleError) || error.type !== 'VALIDATION_ERROR') throw error;
+    return error.details.errors;
+  }
+  throw new Error('Expected a validation error');
+};
+
+// Collect the domain events published while fn runs
+const captureEvents = async (type, fn) => {
+  const events = [];
+  const listener = event => events.push(event);
+  domainEvents.on(type, listener);
+  try {
+    await fn();
+    await new Promise(resolve => setImmediate(resolve)); // Events are emitted asynchronously
+  } finally {
+    domainEvents.off(type, listener);
+  }
+  return events;
+};
+
+// Test the condition expression language
+const testConditions = async () => {
+  console.log('\n🧮 Testing Rule Conditions...');
+
+  try {
+    const event = { studentId: 's1', previousStreak: 9, mistakeType: 'conceptual', concernAreas: ['Limited adaptive coping strategies identified'] };
+
+    const cases = [
+      [null, true],
+      [{ mistakeType: 'conceptual' }, true],
+      [{ field: 'previousStreak', op: 'gte', value: 7 }, true],
+      [{ field: 'previousStreak', op: 'lt', value: 7 }, false],
+      [{ all: [{ field: 'mistakeType', op: 'in', value: ['conceptual', 'procedural'] }, { field: 'previousStreak', op: 'gt', value: 3 }] }, true],
+      [{ any: [{ mistakeType: 'careless' }, { field: 'concernAreas', op: 'contains', value: 'Limited adaptive coping strategies identified' }] }, true],
+      [{ not: { field: 'goalId', op: 'exists' } }, true],
+      [{ field: 'missing.path', op: 'gt', value: 0 }, false]
+    ];
+
+    cases.forEach(([condition, expected], index) => {
+      if (evaluateCondition(condition, event) !== expected) {
+        throw new Error(`Case ${index} (${JSON.stringify(condition)}) should be ${expected}`);
+      }
+    });
+
+    const errors = validateCondition({ all: [{ field: 'x', op: 'between', value: 1 }, { field: 'y', op: 'in', value: 3 }] });
+    if (errors.length !== 2) {
+      throw new Error(`Expected 2 condition errors, got ${JSON.stringify(errors)}`);
+    }
+    if (validateCondition({ any: [] }).length !== 1 || validateCondition({ field: 'x', op: 'exists' }).length !== 0) {
+      throw new Error('Empty groups should be rejected and exists needs no value');
+    }
+
+    console.log('   ✅ Equality, comparisons, all/any/not and validation');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Condition test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test rule validation, including what teachers may target
+const testRuleValidation = async () => {
+  console.log('\n📋 Testing Rule Validation...');
+
+  const rule = {
+    name: 'Streak lost',
+    typeKey: 'inactive_warning',
+    triggerEvent: DOMAIN_EVENTS.STREAK_BROKEN,
+    conditions: { field: 'previousStreak', op: 'gte', value: 5 },
+    targetCriteria: { relations: ['student', 'parents'] },
+    subject: 'Your {{previousStreak}} day streak ended',
+    body: 'Jump back in today!',
+    maxFrequency: 'once',
+    frequencyWindowHours: 72
+  };
+
+  try {
+    validateRuleInput(rule, { role: 'teacher' });
+
+    const teacherErrors = expectValidationErrors(() => validateRuleInput({
+      ...rule,
+      targetCriteria: { relations: ['teachers'], roles: ['parent'] }
+    }, { role: 'teacher' }));
+    if (teacherErrors.length !== 2) {
+      throw new Error(`Teachers should not target other teachers or whole roles: ${JSON.stringify(teacherErrors)}`);
+    }
+    validateRuleInput({ ...rule, targetCriteria: { roles: ['admin'] } }, { role: 'admin' });
+
+    const errors = expectValidationErrors(() => validateRuleInput({
+      name: 'Broken',
+      typeKey: 'inactive_warning',
+      triggerEvent: 'goal_deleted',
+      targetCriteria: { relations: [] },
+      maxFrequency: 'sometimes'
+    }, { role: 'admin' }));
+    if (errors.length !== 4) {
+      throw new Error(`Expected event, target, template and frequency errors, got ${JSON.stringify(errors)}`);
+    }
+
+    // Partial updates only check the fields given
+    validateRuleInput({ isActive: false }, { role: 'teacher', partial: true });
+
+    console.log('   ✅ Complete rules accepted, teacher targeting limited, errors listed');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Rule validation test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test a dry run of a rule without touching the database
+const testRuleDryRun = async () => {
+  console.log('\n🧪 Testing Rule Dry Run...');
+
+  const original = {
+    findTargetRecipients: notificationService.findTargetRecipients,
+    isStudentAssignedToTeacher: notificationService.isStudentAssignedToTeacher
+  };
+
+  try {
+    notificationService.findTargetRecipients = async (criteria, event) => [event.studentId, 'parent-1'];
+    notificationService.isStudentAssignedToTeacher = async (teacherId, studentId) => studentId === 's1';
+
+    const rule = {
+      id: null,
+      name: 'Repeated conceptual mistakes',
+      type_key: 'student_struggling',
+      conditions: { field: 'occurrences', op: 'gte', value: 3 },
+      target_criteria: { relations: ['student', 'parents'] },
+      custom_subject: '{{mistakeType}} mistakes keep coming up',
+      custom_body: '{{occurrences}} in the last {{windowDays}} days',
+      delay_minutes: 30,
+      max_frequency: 'unlimited',
+      created_by: 't1',
+      creator_role: 'teacher'
+    };
+    const event = { studentId: 's1', mistakeType: 'conceptual', occurrences: 3, windowDays: 14 };
+
+    const result = await notificationService.applyNotificationRule(rule, event, { dryRun: true });
+    if (!result.matched || result.recipients.length !== 2 || result.notificationIds.length !== 0) {
+      throw new Error(`Unexpected dry run result ${JSON.stringify(result)}`);
+    }
+    if (result.notification.title !== 'conceptual mistakes keep coming up' || result.notification.message !== '3 in the last 14 days') {
+      throw new Error('Templates were not rendered from the event');
+    }
+    if (!result.notification.scheduledFor || result.notification.scheduledFor <= new Date()) {
+      throw new Error('delay_minutes was not applied');
+    }
+
+    const unmatched = await notificationService.applyNotificationRule(rule, { ...event, occurrences: 2 }, { dryRun: true });
+    const outOfScope = await notificationService.applyNotificationRule(rule, { ...event, studentId: 's2' }, { dryRun: true });
+    if (unmatched.reason !== 'conditions_not_met' || outOfScope.reason !== 'student_not_assigned_to_rule_owner') {
+      throw new Error('Unmatched and out-of-scope events should not notify anyone');
+    }
+
+    console.log('   ✅ Recipients and rendered text previewed; conditions and teacher scope enforced');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Dry run test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    Object.assign(notificationService, original);
+  }
+};
+
+// Test the services that publish domain events
+const testEventPublishers = async () => {
+  console.log('\n📣 Testing Domain Event Publishers...');
+
+  try {
+    const mistakes = new MistakeAnalysisService();
+    mistakes.pool = {
+      query: async () => ({
+        rows: [
+          { mistake_type: 'conceptual', occurrences: '3', session_count: '2' }, // Just reached the threshold
+          { mistake_type: 'careless', occurrences: '5', session_count: '4' }    // Already reported earlier
+        ]
+      })
+    };
+
+    const patterns = await captureEvents(DOMAIN_EVENTS.MISTAKE_PATTERN_DETECTED, () =>
+      mistakes.detectMistakePatterns('s1', 'session-1', ['conceptual', 'careless']));
+    if (patterns.length !== 1 || patterns[0].mistakeType !== 'conceptual' || patterns[0].occurrences !== 3) {
+      throw new Error(`Expected one conceptual pattern, got ${JSON.stringify(patterns)}`);
+    }
+
+    const analytics = new SessionAnalyticsService();
+    analytics.pool = {
+      query: async () => ({
+        rowCount: 1,
+        rows: [{ user_id: 's1', previous_streak: 12, best_streak: 15, last_activity_date: '2026-03-01', days_inactive: 3 }]
+      })
+    };
+
+    const streaks = await captureEvents(DOMAIN_EVENTS.STREAK_BROKEN, () => analytics.resetBrokenStreaks());
+    if (streaks.length !== 1 || streaks[0].studentId !== 's1' || streaks[0].previousStreak !== 12 || !streaks[0].occurredAt) {
+      throw new Error(`Unexpected streak events ${JSON.stringify(streaks)}`);
+    }
+
+    try {
+      domainEvents.publish('goal_deleted', {});
+      throw new Error('Unknown events should be rejected');
+    } catch (error) {
+      if (!error.message.includes('Unknown domain event')) throw error;
+    }
+
+    console.log('   ✅ Mistake patterns published once per crossing; broken streaks published');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Event publisher test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runNotificationRuleTests = async () => {
+  console.log('⚙️  Notification Rule Engine Test Suite');
+  console.log('=' .repeat(60));
+
+  const testResults = [];
+  testResults.push(await testConditions());
+  testResults.push(await testRuleValidation());
+  testResults.push(await testRuleDryRun());
+  testResults.push(await testEventPublishers());
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Notification Rule Engine Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runNotificationRuleTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runNotificationRuleTests,
+  testConditions,
+  testRuleValidation,
+  testRuleDryRun,
+  testEventPublishers
+};
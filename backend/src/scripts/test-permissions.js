@@ -0,0 +1,312 @@
+const {
+  PermissionError,
+  evaluatePermission,
+  buildEffectivePermissions,
+  validateRolePermissionInput,
+  validateOverrideInput
+} = require('../services/permission-rules');
+const { PermissionManagementService, AUDIT_ACTIONS } = require('../services/permission-management-service');
+const { createFakePool } = require('./fake-pool');
+
+const ADMIN = { id: '33333333-3333-4333-8333-333333333333', role: 'admin' };
+const PARENT = { id: '22222222-2222-4222-8222-222222222222', email: 'maria@home.test', role: 'parent', first_name: 'Maria', last_name: 'Lopez' };
+const ENTRY_ID = '44444444-4444-4444-8444-444444444444';
+
+const HOUR = 60 * 60 * 1000;
+
+const rolePermission = (fields) => ({ id: 1, role_name: 'parent', resource_category: 'child_data', conditions: null, expires_at: null, ...fields });
+const override = (fields) => ({ id: 1, user_id: PARENT.id, resource_id: null, reason: 'test', expires_at: null, ...fields });
+
+const SEEDED = [
+  rolePermission({ id: 1, resource_type: 'journal', action: 'read', permission_level: 'restricted' }),
+  rolePermission({ id: 2, resource_type: 'goals', action: 'read', permission_level: 'allowed' }),
+  rolePermission({ id: 3, resource_type: 'goals', resource_category: 'family_data', action: 'read', permission_level: 'allowed' }),
+  rolePermission({ id: 4, resource_type: 'reports', action: 'read', permission_level: 'allowed' }),
+  rolePermission({ id: 5, resource_type: 'reports', resource_category: 'school_data', action: 'read', permission_level: 'denied' })
+];
+
+const expectPermissionError = async (fn, type) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (!(error instanceof PermissionError) || error.type !== type) throw error;
+    return error;
+  }
+  throw new Error(`Expected a ${type} error`);
+};
+
+// Keeps role permissions, overrides and audit rows in memory
+const createFakeDatabase = () => {
+  const db = {
+    rolePermissions: SEEDED.map(row => ({ ...row })),
+    overrides: [],
+    audit: [],
+    failAudit: false
+  };
+  let nextId = 100;
+
+  db.pool = createFakePool([
+    ['FROM users WHERE id', params => ({ rows: params[0] === PARENT.id ? [PARENT] : [] })],
+    ['INSERT INTO access_control_audit_log', params => {
+      if (db.failAudit) throw new Error('audit log unavailable');
+      db.audit.push({ user_id: params[0], action: params[2], reason: params[3], request_data: JSON.parse(params[6]) });
+      return { rows: [] };
+    }],
+
+    ['INSERT INTO role_permissions', params => {
+      let row = db.rolePermissions.find(r => r.role_name === params[0] && r.resource_type === params[1] &&
+        r.resource_category === params[2] && r.action === params[3]);
+      if (!row) {
+        row = { id: nextId++, role_name: params[0], resource_type: params[1], resource_category: params[2], action: params[3] };
+        db.rolePermissions.push(row);
+      }
+      Object.assign(row, {
+        permission_level: params[4],
+        conditions: params[5] ? JSON.parse(params[5]) : null,
+        reason: params[6],
+        expires_at: params[7],
+        granted_by: params[8],
+        updated_at: new Date()
+      });
+      return { rows: [row] };
+    }],
+    ['DELETE FROM role_permissions', params => {
+      const row = db.rolePermissions.find(r => r.id === params[0] && r.role_name === params[1]);
+      db.rolePermissions = db.rolePermissions.filter(r => r !== row);
+      return { rows: row ? [row] : [] };
+    }],
+    [['FROM role_permissions', 'resource_category = $3'], params => ({
+      rows: db.rolePermissions.filter(r => r.role_name === params[0] && r.resource_type === params[1] &&
+        r.resource_category === params[2] && r.action === params[3]).map(r => ({ ...r }))
+    })],
+    ['FROM role_permissions', params => ({
+      rows: db.rolePermissions.filter(r => (!params[0] || r.role_name === params[0]) &&
+        (!params[1] || (r.resource_type === params[1] && r.action === params[2])))
+    })],
+
+    ['INSERT INTO user_permission_overrides', params => {
+      let row = db.overrides.find(o => o.user_id === params[0] && o.resource_type === params[1] &&
+        (o.resource_id || '') === (params[2] || '') && o.action === params[3]);
+      if (!row) {
+        row = { id: nextId++, user_id: params[0], resource_type: params[1], resource_id: params[2], action: params[3], created_at: new Date() };
+        db.overrides.push(row);
+      }
+      Object.assign(row, { permission_level: params[4], reason: params[5], granted_by: params[6], expires_at: params[7], updated_at: new Date() });
+      return { rows: [row] };
+    }],
+    ['DELETE FROM user_permission_overrides', params => {
+      const row = db.overrides.find(o => o.id === params[0] && o.user_id === params[1]);
+      db.overrides = db.overrides.filter(o => o !== row);
+      return { rows: row ? [row] : [] };
+    }],
+    [['FROM user_permission_overrides', 'FOR UPDATE'], params => ({
+      rows: db.overrides.filter(o => o.user_id === params[0] && o.resource_type === params[1] &&
+        o.action === params[2] && (o.resource_id || '') === (params[3] || '')).map(o => ({ ...o }))
+    })],
+    ['FROM user_permission_overrides', params => ({
+      rows: db.overrides.filter(o => o.user_id === params[0] &&
+        (!params[1] || (o.resource_type === params[1] && o.action === params[2])))
+    })]
+  ]);
+  return db;
+};
+
+const createService = (db) => {
+  const service = new PermissionManagementService();
+  service.pool = db.pool;
+  return service;
+};
+
+// Test the precedence rules shared with check_user_permission
+const testEvaluation = async () => {
+  console.log('\n⚖️  Testing Permission Evaluation...');
+
+  try {
+    const now = new Date();
+    const evaluate = (resourceType, action, overrides = [], resourceId = null) =>
+      evaluatePermission({ role: 'parent', overrides, rolePermissions: SEEDED, resourceType, action, resourceId, now });
+
+    const goals = evaluate('goals', 'read');
+    if (!goals.allowed || goals.source !== 'role' || goals.considered.rolePermissions.length !== 2) {
+      throw new Error('Parents should read goals through their role');
+    }
+    const journal = evaluate('journal', 'read');
+    if (journal.allowed || journal.permissionLevel !== 'restricted' || !journal.explanation.includes('restricted')) {
+      throw new Error('Restricted access should not pass the permission check');
+    }
+    if (evaluate('reports', 'read').permissionLevel !== 'denied') {
+      throw new Error('A denied category should beat an allowed one');
+    }
+    if (evaluate('journal', 'delete').source !== 'default' || evaluate('journal', 'delete').allowed) {
+      throw new Error('Actions without rules should be denied by default');
+    }
+
+    const general = override({ id: 7, resource_type: 'journal', action: 'read', permission_level: 'denied' });
+    const specific = override({ id: 8, resource_type: 'journal', action: 'read', permission_level: 'allowed', resource_id: ENTRY_ID, reason: 'Counsellor review' });
+    const expired = override({ id: 9, resource_type: 'goals', action: 'read', permission_level: 'denied', expires_at: new Date(now.getTime() - HOUR) });
+
+    const forEntry = evaluate('journal', 'read', [general, specific], ENTRY_ID);
+    if (!forEntry.allowed || forEntry.rule.id !== 8 || !forEntry.explanation.includes('Counsellor review')) {
+      throw new Error('An override for one resource should beat one for all resources');
+    }
+    const otherEntry = evaluate('journal', 'read', [general, specific], 'another-entry');
+    if (otherEntry.allowed || otherEntry.rule.id !== 7 || otherEntry.considered.overrides.length !== 1) {
+      throw new Error('An override for one resource should not apply to others');
+    }
+    const afterExpiry = evaluate('goals', 'read', [expired]);
+    if (!afterExpiry.allowed || afterExpiry.source !== 'role' || afterExpiry.considered.overrides[0].active) {
+      throw new Error('Expired overrides should be listed but not applied');
+    }
+
+    const effective = buildEffectivePermissions({ role: 'parent', overrides: [general, specific], rolePermissions: SEEDED, now });
+    const journalRead = effective.find(p => p.resourceType === 'journal' && p.action === 'read');
+    if (effective.length !== 3 || journalRead.source !== 'user_override' || journalRead.permissionLevel !== 'denied') {
+      throw new Error(`Unexpected effective permissions: ${JSON.stringify(effective)}`);
+    }
+
+    console.log('   ✅ Overrides beat roles, specific beats general, denied beats allowed, expired rules skipped');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Evaluation test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test grant validation
+const testValidation = async () => {
+  console.log('\n📝 Testing Grant Validation...');
+
+  try {
+    const grant = validateRolePermissionInput({ resourceType: 'reports', action: 'export', permissionLevel: 'allowed' });
+    if (grant.resourceCategory !== 'all' || grant.expiresAt !== null) {
+      throw new Error('Role grants should default to all categories and no expiry');
+    }
+
+    const invalid = await expectPermissionError(() => validateRolePermissionInput({
+      resourceType: 'Reports!', action: '', permissionLevel: 'maybe', expiresAt: '2001-01-01T00:00:00Z', conditions: []
+    }), 'VALIDATION_ERROR');
+    if (invalid.details.errors.length !== 5) {
+      throw new Error(`Expected five errors: ${JSON.stringify(invalid.details.errors)}`);
+    }
+
+    const missingReason = await expectPermissionError(() => validateOverrideInput({
+      resourceType: 'journal', action: 'read', permissionLevel: 'allowed'
+    }), 'VALIDATION_ERROR');
+    if (!missingReason.details.errors.includes('reason is required for user overrides')) {
+      throw new Error('Overrides should require a reason');
+    }
+
+    console.log('   ✅ Names, levels, expiry, conditions and override reasons validated');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Validation test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test granting, replacing, explaining and revoking, with every change audited
+const testGrantAndRevoke = async () => {
+  console.log('\n🔑 Testing Grants, Revocations and Audit...');
+
+  try {
+    const db = createFakeDatabase();
+    const service = createService(db);
+    const clientInfo = { ipAddress: '10.0.0.1', userAgent: 'test' };
+    const expiresAt = new Date(Date.now() + 24 * HOUR).toISOString();
+
+    const first = await service.grantOverride(PARENT.id, {
+      resourceType: 'journal', action: 'read', permissionLevel: 'allowed', reason: 'Court-ordered access', expiresAt
+    }, ADMIN, clientInfo);
+    const replaced = await service.grantOverride(PARENT.id, {
+      resourceType: 'journal', action: 'read', permissionLevel: 'denied', reason: 'Order withdrawn'
+    }, ADMIN, clientInfo);
+    if (!first.created || replaced.created || replaced.override.id !== first.override.id || db.overrides.length !== 1) {
+      throw new Error('A second grant for the same target should replace the first');
+    }
+
+    const explained = await service.explain(PARENT.id, { resourceType: 'journal', action: 'read' });
+    if (explained.allowed || explained.source !== 'user_override' || explained.user.email !== PARENT.email) {
+      throw new Error(`The explanation should show the denying override: ${JSON.stringify(explained)}`);
+    }
+
+    const role = await service.grantRolePermission('parent', {
+      resourceType: 'reports', action: 'export', permissionLevel: 'allowed', reason: 'Report card downloads'
+    }, ADMIN, clientInfo);
+    const { effectivePermissions } = await service.getUserPermissions(PARENT.id);
+    if (!role.created || !effectivePermissions.some(p => p.resourceType === 'reports' && p.action === 'export' && p.allowed)) {
+      throw new Error('A new role permission should show up in effective permissions');
+    }
+
+    await service.revokeOverride(PARENT.id, String(first.override.id), { reason: 'Cleanup' }, ADMIN, clientInfo);
+    await service.revokeRolePermission('parent', role.permission.id, {}, ADMIN, clientInfo);
+    await expectPermissionError(() => service.revokeRolePermission('parent', role.permission.id, {}, ADMIN), 'NOT_FOUND');
+    await expectPermissionError(() => service.revokeRolePermission('janitor', 1, {}, ADMIN), 'NOT_FOUND');
+    await expectPermissionError(() => service.getUserPermissions('not-a-user'), 'NOT_FOUND');
+
+    const actions = db.audit.map(a => a.action);
+    const expected = [AUDIT_ACTIONS.OVERRIDE_GRANTED, AUDIT_ACTIONS.OVERRIDE_GRANTED, AUDIT_ACTIONS.ROLE_GRANTED, AUDIT_ACTIONS.OVERRIDE_REVOKED, AUDIT_ACTIONS.ROLE_REVOKED];
+    if (actions.join() !== expected.join()) {
+      throw new Error(`Unexpected audit trail: ${actions.join()}`);
+    }
+    if (db.audit[1].request_data.before.permissionLevel !== 'allowed' || db.audit[1].request_data.after.permissionLevel !== 'denied' ||
+        db.audit[1].reason !== 'Order withdrawn' || db.audit[0].request_data.targetUserId !== PARENT.id) {
+      throw new Error('Audit entries should record the target, reason and before/after state');
+    }
+
+    db.failAudit = true;
+    let failed = false;
+    try {
+      await service.grantRolePermission('parent', { resourceType: 'goals', action: 'delete', permissionLevel: 'denied' }, ADMIN, clientInfo);
+    } catch (error) {
+      failed = error.message === 'audit log unavailable';
+    }
+    if (!failed || db.pool.calls[db.pool.calls.length - 1].sql !== 'ROLLBACK') {
+      throw new Error('A change that cannot be audited should be rolled back');
+    }
+
+    console.log(`   ✅ ${db.audit.length} changes audited with before/after state; unaudited change rolled back`);
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Grant and revoke test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runPermissionTests = async () => {
+  console.log('🧪 Running Permission Management Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testEvaluation(),
+    await testValidation(),
+    await testGrantAndRevoke()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Permission Management Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runPermissionTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runPermissionTests,
+  testEvaluation,
+  testValidation,
+  testGrantAndRevoke
+};
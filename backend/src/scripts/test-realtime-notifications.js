@@ -0,0 +1,204 @@
+const http = require('http');
+const WebSocket = require('ws');
+require('dotenv').config();
+
+// Demo tokens are only accepted in development
+process.env.NODE_ENV = 'development';
+
+const { handleWebSocketUpgrade, wss, WEBSOCKET_PATH } = require('../routes/notifications');
+const { notificationService } = require('../services/notification-service');
+
+const DEMO_TOKEN = 'demo-token-realtime-test';
+
+const startServer = () => new Promise((resolve) => {
+  const server = http.createServer((req, res) => res.end());
+  server.on('upgrade', handleWebSocketUpgrade);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// Resolve with the HTTP status of a rejected upgrade, or 101 when the socket opens
+const connect = (url, options = {}) => new Promise((resolve) => {
+  const ws = new WebSocket(url, options);
+  ws.on('open', () => resolve({ status: 101, ws }));
+  ws.on('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+  ws.on('error', (error) => resolve({ status: 0, error }));
+});
+
+const waitForMessage = (ws, type, timeoutMs = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${type} message within ${timeoutMs}ms`)), timeoutMs);
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw);
+    if (message.type === type) {
+      clearTimeout(timer);
+      resolve(message);
+    }
+  });
+});
+
+// Test that the upgrade only succeeds with a valid token on the notifications path
+const testUpgradeAuthentication = async (baseUrl) => {
+  console.log('\n🔐 Testing WebSocket Authentication...');
+
+  try {
+    const noToken = await connect(`${baseUrl}${WEBSOCKET_PATH}`);
+    if (noToken.status !== 401) throw new Error(`Missing token returned ${noToken.status}`);
+
+    const badToken = await connect(`${baseUrl}${WEBSOCKET_PATH}?token=not-a-jwt`);
+    if (badToken.status !== 401) throw new Error(`Invalid token returned ${badToken.status}`);
+
+    const wrongPath = await connect(`${baseUrl}/ws/other?token=${DEMO_TOKEN}`);
+    if (wrongPath.status !== 404) throw new Error(`Unknown path returned ${wrongPath.status}`);
+
+    const viaHeader = await connect(`${baseUrl}${WEBSOCKET_PATH}`, {
+      headers: { Authorization: `Bearer ${DEMO_TOKEN}` }
+    });
+    if (viaHeader.status !== 101) throw new Error(`Authorization header returned ${viaHeader.status}`);
+    viaHeader.ws.close();
+
+    console.log('   ✅ Missing/invalid tokens rejected; query and header tokens accepted');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Authentication test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that an authenticated socket is registered and answers pings
+const testConnectionLifecycle = async (baseUrl) => {
+  console.log('\n🔌 Testing Connection Lifecycle...');
+
+  try {
+    const { status, ws } = await connect(`${baseUrl}${WEBSOCKET_PATH}?token=${DEMO_TOKEN}`);
+    if (status !== 101) throw new Error(`Upgrade returned ${status}`);
+
+    if (!notificationService.hasRealtimeConnection('demo-user-1')) {
+      throw new Error('Connection was not registered with the notification service');
+    }
+
+    const pong = waitForMessage(ws, 'pong');
+    ws.send(JSON.stringify({ type: 'ping' }));
+    await pong;
+
+    const pushed = waitForMessage(ws, 'notification');
+    notificationService.sendToUser('demo-user-1', 'notification', { id: 1, title: 'Hello' });
+    await pushed;
+
+    await new Promise((resolve) => {
+      ws.on('close', resolve);
+      ws.close();
+    });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    if (notificationService.hasRealtimeConnection('demo-user-1')) {
+      throw new Error('Connection was not removed on close');
+    }
+
+    console.log('   ✅ Registered on connect, ping/pong and pushes work, removed on close');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Lifecycle test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test that session alerts only reach the student's teachers and admins
+const testSessionAlertRouting = async () => {
+  console.log('\n🚨 Testing Session Alert Routing...');
+
+  const fakeConnection = (userRole, inbox) => ({
+    userRole,
+    readyState: 1,
+    send: (payload) => inbox.push(JSON.parse(payload))
+  });
+
+  const inboxes = { teacher: [], otherTeacher: [], admin: [], student: [] };
+  const users = {
+    'teacher-1': fakeConnection('teacher', inboxes.teacher),
+    'teacher-2': fakeConnection('teacher', inboxes.otherTeacher),
+    'admin-1': fakeConnection('admin', inboxes.admin),
+    'student-1': fakeConnection('student', inboxes.student)
+  };
+
+  try {
+    Object.entries(users).forEach(([userId, connection]) => {
+      notificationService.realtimeConnections.set(userId, new Set([connection]));
+    });
+
+    const sent = notificationService.publishSessionAlert({
+      id: 42,
+      session_id: 'session-1',
+      student_id: 'student-1',
+      alert_type: 'frustration',
+      alert_level: 'high',
+      alert_message: 'Student seems stuck',
+      priority: 8,
+      student_first_name: 'Sam',
+      student_last_name: 'Lee',
+      teacher_ids: ['teacher-1'],
+      created_at: new Date()
+    });
+
+    if (sent !== 2) throw new Error(`Alert sent to ${sent} connections, expected 2`);
+    if (inboxes.teacher[0]?.type !== 'session_alert' || inboxes.teacher[0].data.studentName !== 'Sam Lee') {
+      throw new Error('Teacher did not receive the session alert');
+    }
+    if (inboxes.admin.length !== 1) throw new Error('Admin did not receive the session alert');
+    if (inboxes.otherTeacher.length || inboxes.student.length) {
+      throw new Error('Session alert leaked to an unrelated user');
+    }
+
+    console.log('   ✅ Alerts delivered to the class teacher and admins only');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Session alert test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    Object.keys(users).forEach(userId => notificationService.realtimeConnections.delete(userId));
+  }
+};
+
+const runRealtimeNotificationTests = async () => {
+  console.log('🔔 Real-time Notification Test Suite');
+  console.log('=' .repeat(60));
+
+  const server = await startServer();
+  const baseUrl = `ws://127.0.0.1:${server.address().port}`;
+
+  const testResults = [];
+  try {
+    testResults.push(await testUpgradeAuthentication(baseUrl));
+    testResults.push(await testConnectionLifecycle(baseUrl));
+    testResults.push(await testSessionAlertRouting());
+  } finally {
+    wss.clients.forEach(ws => ws.terminate());
+    server.close();
+  }
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Real-time Notification Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runRealtimeNotificationTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runRealtimeNotificationTests,
+  testUpgradeAuthentication,
+  testConnectionLifecycle,
+  testSessionAlertRouting
+};
@@ -0,0 +1,400 @@
+const {
+  REVIEW_STATUS,
+  DEFAULT_EASE,
+  MIN_EASE,
+  ReviewError,
+  skillForStep,
+  qualityFromAccuracy,
+  scheduleReview,
+  validateOutcomeInput
+} = require('../services/review-rules');
+const { ReviewService } = require('../services/review-service');
+const { createFakePool } = require('./fake-pool');
+
+const STUDENT = { id: '11111111-1111-4111-8111-111111111111', role: 'student' };
+const OTHER_STUDENT = { id: '22222222-2222-4222-8222-222222222222', role: 'student' };
+const TEMPLATE = 'aaaaaaaa-0000-4000-8000-000000000001';
+const CONFIG = { enabled: true, firstIntervalDays: 1, maxIntervalDays: 180, masteredIntervalDays: 60, queueLimit: 10 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-02T09:00:00Z');
+const daysFrom = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// In-memory review tables behind the queries ReviewService makes
+const createFakeDatabase = () => {
+  const db = {
+    templates: [{
+      id: TEMPLATE, title: 'Solving linear equations', subject: 'math',
+      problem_statement: 'Solve 3x + 4 = 19', expected_solution: 'x = 5',
+      estimated_time_minutes: 10, difficulty_level: 'medium'
+    }],
+    sessions: [],
+    steps: [],
+    items: [],
+    log: [],
+    failNextQuery: false
+  };
+  let nextId = 1;
+
+  const pool = createFakePool([
+    [() => db.failNextQuery, () => {
+      db.failNextQuery = false;
+      throw new Error('connection reset');
+    }],
+    ['LEFT JOIN problem_session_steps', params => {
+      const [sessionId, stepNumber, studentId] = params;
+      const session = db.sessions.find(row => row.id === sessionId && row.student_id === studentId);
+      if (!session) return { rows: [] };
+      const step = db.steps.find(row => row.session_id === sessionId && row.step_number === stepNumber) || {};
+      return { rows: [{ template_id: session.template_id, step_title: step.step_title, step_type: step.step_type }] };
+    }],
+    ['INSERT INTO review_items', params => {
+      const [studentId, templateId, skill, label, sessionId, firstInterval, types] = params;
+      const dueAt = daysFrom(db.now, firstInterval);
+      types.forEach(mistakeType => {
+        const existing = db.items.find(row => row.student_id === studentId && row.template_id === templateId &&
+          row.skill === skill && row.mistake_type === mistakeType);
+        if (!existing) {
+          db.items.push({
+            id: `item-${nextId++}`, student_id: studentId, template_id: templateId, skill, skill_label: label,
+            mistake_type: mistakeType, status: REVIEW_STATUS.ACTIVE, repetitions: 0, interval_days: String(firstInterval),
+            ease_factor: String(DEFAULT_EASE), lapses: 0, due_at: dueAt, mistake_count: 1, review_count: 0,
+            last_quality: null, last_mistake_at: db.now, last_mistake_session_id: sessionId, created_at: db.now
+          });
+          return;
+        }
+        if (existing.status === REVIEW_STATUS.MASTERED) {
+          existing.repetitions = 0;
+          existing.due_at = dueAt;
+        } else {
+          existing.due_at = new Date(Math.min(existing.due_at.getTime(), dueAt.getTime()));
+        }
+        Object.assign(existing, {
+          status: REVIEW_STATUS.ACTIVE, mistake_count: existing.mistake_count + 1,
+          last_mistake_at: db.now, last_mistake_session_id: sessionId
+        });
+      });
+      return { rows: [], rowCount: types.length };
+    }],
+    ['JOIN problem_sessions ps ON ps.template_id = ri.template_id', params => {
+      const [sessionId, studentId, now] = params;
+      const session = db.sessions.find(row => row.id === sessionId && row.student_id === studentId);
+      if (!session) return { rows: [] };
+      return {
+        rows: db.items.filter(row => row.template_id === session.template_id && row.student_id === studentId &&
+          row.status === REVIEW_STATUS.ACTIVE && row.due_at <= now && row.created_at < session.started_at &&
+          !db.log.some(entry => entry.item_id === row.id && entry.session_id === sessionId))
+      };
+    }],
+    ['FROM problem_session_steps', params => ({ rows: db.steps.filter(row => row.session_id === params[0] && row.accuracy_score !== null) })],
+    ['SELECT * FROM review_items WHERE id = $1', params => ({ rows: db.items.filter(row => row.id === params[0] && row.student_id === params[1]) })],
+    ['UPDATE review_items', params => {
+      const [id, status, repetitions, intervalDays, easeFactor, lapses, dueAt, quality, reviewedAt] = params;
+      const item = db.items.find(row => row.id === id);
+      Object.assign(item, {
+        status, repetitions, interval_days: String(intervalDays), ease_factor: String(easeFactor), lapses,
+        due_at: dueAt, review_count: item.review_count + 1, last_quality: quality, last_reviewed_at: reviewedAt
+      });
+      return { rows: [item] };
+    }],
+    ['INSERT INTO review_log', params => {
+      const [itemId, sessionId, source, quality, previous, interval, ease, reviewedBy, reviewedAt] = params;
+      const entry = {
+        id: `log-${nextId++}`, item_id: itemId, session_id: sessionId, source, quality,
+        previous_interval_days: String(previous), interval_days: String(interval), ease_factor: String(ease),
+        reviewed_by: reviewedBy, reviewed_at: reviewedAt
+      };
+      db.log.push(entry);
+      return { rows: [entry] };
+    }],
+    ['COUNT(*) FILTER', params => {
+      const [studentId, now] = params;
+      const items = db.items.filter(row => row.student_id === studentId);
+      const active = items.filter(row => row.status === REVIEW_STATUS.ACTIVE);
+      const upcoming = active.filter(row => row.due_at > now).map(row => row.due_at.getTime());
+      return {
+        rows: [{
+          due_now: String(active.filter(row => row.due_at <= now).length),
+          active: String(active.length),
+          mastered: String(items.length - active.length),
+          next_due_at: upcoming.length > 0 ? new Date(Math.min(...upcoming)) : null
+        }]
+      };
+    }],
+    ['pt.problem_statement', params => {
+      const [studentId, now, limit] = params;
+      const rows = db.items
+        .filter(row => row.student_id === studentId && row.status === REVIEW_STATUS.ACTIVE && row.due_at <= now)
+        .sort((a, b) => a.due_at - b.due_at)
+        .slice(0, limit)
+        .map(row => {
+          const template = db.templates.find(t => t.id === row.template_id);
+          return { ...row, ...template, id: row.id, template_title: template.title };
+        });
+      return { rows };
+    }]
+  ]);
+
+  return { db, pool };
+};
+
+const createService = (fake, config = {}) => {
+  const service = new ReviewService();
+  service.pool = fake.pool;
+  service.config = { ...CONFIG, ...config };
+  return service;
+};
+
+// A session on the template whose steps were scored as given
+const addSession = (db, id, startedAt, stepScores = {}) => {
+  db.sessions.push({ id, student_id: STUDENT.id, template_id: TEMPLATE, started_at: startedAt });
+  [['Isolate the variable', 'execute'], ['Check the answer', 'verify']].forEach(([title, type], index) => {
+    db.steps.push({
+      session_id: id, step_number: index + 1, step_title: title, step_type: type,
+      accuracy_score: stepScores[title] === undefined ? null : String(stepScores[title])
+    });
+  });
+};
+
+const testScheduling = async () => {
+  console.log('\n📅 Testing SM-2 scheduling rules...');
+
+  try {
+    // Passing reviews: 1 day, 6 days, then the interval times the ease factor
+    let state = { repetitions: 0, intervalDays: 1, easeFactor: DEFAULT_EASE, lapses: 0 };
+    const intervals = [];
+    for (const quality of [4, 4, 4]) {
+      state = scheduleReview(state, quality, CONFIG, NOW);
+      intervals.push(state.intervalDays);
+    }
+    if (intervals.join() !== '1,6,15' || state.easeFactor !== DEFAULT_EASE) {
+      throw new Error(`Good reviews should space out 1, 6, 15 days: ${intervals.join()} at ease ${state.easeFactor}`);
+    }
+    if (state.dueAt.getTime() !== daysFrom(NOW, 15).getTime()) {
+      throw new Error('The next review should be due one interval from now');
+    }
+
+    // A failed review starts the item over and makes it harder
+    const lapsed = scheduleReview(state, 2, CONFIG, NOW);
+    if (lapsed.repetitions !== 0 || lapsed.intervalDays !== 1 || lapsed.lapses !== 1 || lapsed.easeFactor !== 2.18) {
+      throw new Error(`A failed review should reset the interval and lower the ease: ${JSON.stringify(lapsed)}`);
+    }
+    let floor = lapsed;
+    for (let i = 0; i < 6; i++) floor = scheduleReview(floor, 0, CONFIG, NOW);
+    if (floor.easeFactor !== MIN_EASE) {
+      throw new Error(`Ease should not fall below ${MIN_EASE}: ${floor.easeFactor}`);
+    }
+
+    // Long intervals are capped, and beyond the mastery interval the item is mastered
+    const long = scheduleReview({ repetitions: 5, intervalDays: 100, easeFactor: 2.5, lapses: 0 }, 5, CONFIG, NOW);
+    if (long.intervalDays !== 180 || long.status !== REVIEW_STATUS.MASTERED) {
+      throw new Error(`A long interval should be capped and mastered: ${long.intervalDays} ${long.status}`);
+    }
+    const medium = scheduleReview({ repetitions: 3, intervalDays: 15, easeFactor: 2.5, lapses: 0 }, 4, CONFIG, NOW);
+    if (medium.status !== REVIEW_STATUS.ACTIVE) {
+      throw new Error('An item inside the mastery interval should stay active');
+    }
+
+    const qualities = [1, 0.85, 0.65, 0.45, 0.1, 0].map(accuracy => qualityFromAccuracy(accuracy));
+    if (qualities.join() !== '5,4,3,2,1,0' || qualityFromAccuracy(1, { repeatedMistake: true }) !== 2) {
+      throw new Error(`Accuracy should grade 5 to 0, and a repeated mistake should fail: ${qualities.join()}`);
+    }
+
+    const skill = skillForStep({ step_title: '  Isolate the Variable! ', step_type: 'execute' });
+    if (skill.skill !== 'isolate_the_variable' || skillForStep({}).skill !== 'general' ||
+        skillForStep({ step_type: 'verify' }).skill !== 'verify') {
+      throw new Error(`Skills should key on the step title, then the type: ${skill.skill}`);
+    }
+
+    for (const input of [{ quality: 6 }, { quality: '3' }, { quality: 2.5 }, {}]) {
+      try {
+        validateOutcomeInput(input);
+        throw new Error(`Outcome ${JSON.stringify(input)} should be rejected`);
+      } catch (error) {
+        if (!(error instanceof ReviewError) || error.type !== 'VALIDATION_ERROR') throw error;
+      }
+    }
+
+    console.log('   ✅ Intervals grow with good reviews, reset on lapses and cap at mastery');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Scheduling test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testMistakeRecording = async () => {
+  console.log('\n📝 Testing review scheduling from mistakes...');
+
+  try {
+    const fake = createFakeDatabase();
+    const { db } = fake;
+    const service = createService(fake);
+    db.now = NOW;
+    addSession(db, 'session-1', NOW);
+
+    const created = await service.recordMistakes(STUDENT.id, 'session-1', 1, ['computational', 'computational', 'conceptual']);
+    if (created !== 2 || db.items.length !== 2) {
+      throw new Error(`Each mistake type on the step should get one item: ${db.items.length}`);
+    }
+    const item = db.items.find(row => row.mistake_type === 'computational');
+    if (item.skill !== 'isolate_the_variable' || item.due_at.getTime() !== daysFrom(NOW, 1).getTime()) {
+      throw new Error('A new item should be keyed by the step and due after the first interval');
+    }
+
+    // A repeat mistake brings a far-off review forward without touching the SM-2 state
+    Object.assign(item, { repetitions: 3, interval_days: '15', due_at: daysFrom(NOW, 12) });
+    await service.recordMistakes(STUDENT.id, 'session-1', 1, ['computational']);
+    if (item.mistake_count !== 2 || item.due_at.getTime() !== daysFrom(NOW, 1).getTime() || item.repetitions !== 3) {
+      throw new Error('A repeat mistake should pull the review forward and keep the schedule state');
+    }
+
+    // ... and restarts a mastered item
+    Object.assign(item, { status: REVIEW_STATUS.MASTERED, due_at: daysFrom(NOW, 120) });
+    await service.recordMistakes(STUDENT.id, 'session-1', 1, ['computational']);
+    if (item.status !== REVIEW_STATUS.ACTIVE || item.repetitions !== 0) {
+      throw new Error('A mistake on a mastered item should make it active again');
+    }
+
+    // Sessions without a template, other students' sessions and disabled reviews are ignored
+    db.sessions.push({ id: 'adhoc', student_id: STUDENT.id, template_id: null, started_at: NOW });
+    const ignored = [
+      await service.recordMistakes(STUDENT.id, 'adhoc', 1, ['conceptual']),
+      await service.recordMistakes(OTHER_STUDENT.id, 'session-1', 1, ['conceptual']),
+      await createService(fake, { enabled: false }).recordMistakes(STUDENT.id, 'session-1', 1, ['careless'])
+    ];
+    if (ignored.some(count => count !== 0) || db.items.length !== 2) {
+      throw new Error('Only templated sessions of the student should schedule reviews');
+    }
+
+    // A database failure is logged, not thrown, so the step submission still succeeds
+    db.failNextQuery = true;
+    const originalError = console.error;
+    console.error = () => {};
+    const failed = await service.recordMistakes(STUDENT.id, 'session-1', 2, ['careless']);
+    console.error = originalError;
+    if (failed !== 0) {
+      throw new Error('A failed recording should return 0');
+    }
+
+    console.log('   ✅ Mistakes schedule, pull forward and reactivate reviews');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Mistake recording test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testReviewOutcomes = async () => {
+  console.log('\n🔁 Testing review outcomes and the due queue...');
+
+  try {
+    const fake = createFakeDatabase();
+    const { db } = fake;
+    const service = createService(fake);
+
+    // Mistakes in a first session on both steps
+    db.now = NOW;
+    addSession(db, 'session-1', NOW);
+    await service.recordMistakes(STUDENT.id, 'session-1', 1, ['computational']);
+    await service.recordMistakes(STUDENT.id, 'session-1', 2, ['careless']);
+
+    // Finishing that same session is not a review of what it just scheduled
+    if ((await service.recordSessionOutcome(STUDENT.id, 'session-1', NOW)).length !== 0) {
+      throw new Error('Items made in a session should not be graded by it');
+    }
+
+    // Two days on both are due, each with a variation to practise
+    const later = daysFrom(NOW, 2);
+    const queue = await service.getDueQueue(STUDENT.id, { now: later });
+    if (queue.items.length !== 2 || queue.summary.dueNow !== 2 || !queue.items.every(item => item.isDue)) {
+      throw new Error(`Both items should be due: ${JSON.stringify(queue.summary)}`);
+    }
+    const variation = queue.items[0].variation;
+    if (!variation || variation.variation_level !== 'low' || variation.problem_statement !== 'Solve 3x + 4 = 19') {
+      throw new Error('Due items should come with a low variation of the template after a mistake');
+    }
+
+    // A second session: the first step is right, the check step repeats the careless mistake
+    db.now = later;
+    addSession(db, 'session-2', later, { 'Isolate the variable': 0.9, 'Check the answer': 0.7 });
+    await service.recordMistakes(STUDENT.id, 'session-2', 2, ['careless']);
+    const reviewed = await service.recordSessionOutcome(STUDENT.id, 'session-2', later);
+    const byType = Object.fromEntries(reviewed.map(result => [result.item.mistakeType, result]));
+    if (reviewed.length !== 2 || byType.computational.review.quality !== 4 || byType.careless.review.quality !== 2) {
+      throw new Error(`The session should pass the fixed skill and fail the repeated mistake: ${JSON.stringify(reviewed.map(r => r.review))}`);
+    }
+    if (byType.computational.item.repetitions !== 1 || byType.careless.item.lapses !== 1 ||
+        byType.computational.review.source !== 'session') {
+      throw new Error('Session reviews should move the SM-2 state');
+    }
+    if ((await service.recordSessionOutcome(STUDENT.id, 'session-2', later)).length !== 0) {
+      throw new Error('A session should grade each item once');
+    }
+
+    // Self-graded reviews, only of the student's own items
+    const itemId = byType.careless.item.id;
+    const selfReview = await service.recordSelfReview(itemId, { quality: 5 }, STUDENT, later);
+    if (selfReview.review.source !== 'self' || selfReview.item.repetitions !== 1 || selfReview.item.lastQuality !== 5) {
+      throw new Error('A self review should be logged and scheduled');
+    }
+    for (const [input, student, type] of [[{ quality: 4 }, OTHER_STUDENT, 'NOT_FOUND'], [{ quality: 9 }, STUDENT, 'VALIDATION_ERROR']]) {
+      try {
+        await service.recordSelfReview(itemId, input, student);
+        throw new Error(`Expected ${type}`);
+      } catch (error) {
+        if (error.type !== type) throw error;
+      }
+    }
+
+    const caughtUp = await service.getDueQueue(STUDENT.id, { now: daysFrom(later, 0.5) });
+    if (caughtUp.items.length !== 0 || caughtUp.summary.active !== 2 || !caughtUp.summary.nextDueAt) {
+      throw new Error('After reviewing, nothing should be due and the next review should be reported');
+    }
+
+    console.log('   ✅ Sessions and self reviews grade due items and the queue follows');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Review outcome test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runReviewQueueTests = async () => {
+  console.log('🧪 Running Review Queue Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testScheduling(),
+    await testMistakeRecording(),
+    await testReviewOutcomes()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Review Queue Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runReviewQueueTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runReviewQueueTests,
+  testScheduling,
+  testMistakeRecording,
+  testReviewOutcomes
+};
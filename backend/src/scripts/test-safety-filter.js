@@ -163,6 +163,7 @@ class SafetyFilterTester {
       await this.testResponseSafety();
       await this.testSuspiciousActivityTracking();
       await this.testSafetyStatisticsAndHealth();
+      await this.testResponseStreamGuard();
 
       // Print final results
       this.printFinalResults();
@@ -535,6 +536,77 @@ class SafetyFilterTester {
     this.recordTestResults('Safety Health & Statistics', passed, total);
   }
 
+  // Test 9: Streamed Response Guard
+  async testResponseStreamGuard() {
+    console.log(`\n${colors.bold}${colors.yellow}Test 9: Streamed Response Guard${colors.reset}`);
+
+    let passed = 0;
+    let total = 4;
+
+    // Record how much text each chunk check looks at
+    const checkedLengths = [];
+    const checkResponseSafety = safetyFilter.checkResponseSafety;
+    safetyFilter.checkResponseSafety = function (response, ...args) {
+      checkedLengths.push(response.length);
+      return checkResponseSafety.call(this, response, ...args);
+    };
+
+    try {
+      const lesson = 'Let us practice this math concept step by step so you understand it. ';
+      const tokens = lesson.repeat(60).match(/\S+\s*/g);
+
+      const safeGuard = safetyFilter.createResponseStreamGuard('Help me with fractions', { contextType: 'ai_tutor' });
+      for (const token of tokens) {
+        await safeGuard.check(token);
+      }
+      const finalCheck = await safeGuard.finish();
+      const chunkChecks = checkedLengths.slice(0, tokens.length);
+
+      if (finalCheck.safe && safeGuard.getStreamedText() === tokens.join('')) {
+        console.log(`${colors.green}✅ Safe stream released in full${colors.reset}`);
+        passed++;
+      }
+
+      if (Math.max(...chunkChecks) <= 520 && checkedLengths[checkedLengths.length - 1] === safeGuard.getStreamedText().length) {
+        console.log(`${colors.green}✅ Chunks checked against a bounded window, whole reply checked once at the end${colors.reset}`);
+        passed++;
+      } else {
+        console.log(`${colors.red}❌ Chunk checks grew with the reply:${colors.reset} up to ${Math.max(...chunkChecks)} characters`);
+      }
+
+      // Unsafe content split across chunks, far into a long reply
+      const unsafeGuard = safetyFilter.createResponseStreamGuard('Help me with fractions', { contextType: 'ai_tutor' });
+      let blocked = null;
+      for (const token of [...tokens, 'You should hu', 'rt anyone who disagrees with you.']) {
+        const result = await unsafeGuard.check(token);
+        if (!result.safe) {
+          blocked = result;
+          break;
+        }
+      }
+
+      if (blocked && blocked.retraction.violations.some(v => v.type === 'inappropriate_response') &&
+          unsafeGuard.getStreamedText().endsWith('You should hu')) {
+        console.log(`${colors.green}✅ Content split across chunks retracted${colors.reset}`);
+        passed++;
+      } else {
+        console.log(`${colors.red}❌ Split unsafe content was streamed${colors.reset}`);
+      }
+
+      const after = await unsafeGuard.check('More text.');
+      if (!after.safe && unsafeGuard.isRetracted() && !(await unsafeGuard.finish()).safe) {
+        console.log(`${colors.green}✅ Guard stays retracted${colors.reset}`);
+        passed++;
+      }
+    } catch (error) {
+      console.log(`${colors.red}❌ Error testing stream guard:${colors.reset}`, error.message);
+    } finally {
+      safetyFilter.checkResponseSafety = checkResponseSafety;
+    }
+
+    this.recordTestResults('Streamed Response Guard', passed, total);
+  }
+
   // Record test results
   recordTestResults(category, passed, total) {
     this.testResults.categories[category] = { passed, total };
@@ -589,6 +661,7 @@ class SafetyFilterTester {
     console.log(`  ✓ Response safety validation`);
     console.log(`  ✓ Suspicious activity tracking`);
     console.log(`  ✓ Safety monitoring and health checks`);
+    console.log(`  ✓ Streamed response guard`);
   }
 }
 
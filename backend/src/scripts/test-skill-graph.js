@@ -0,0 +1,464 @@
+const {
+  MASTERY_STATUS,
+  SkillError,
+  updateMastery,
+  findCycle,
+  buildMasteryMap,
+  recommendTemplates,
+  parseStandards
+} = require('../services/skill-graph');
+const { SkillService } = require('../services/skill-service');
+const { createFakePool } = require('./fake-pool');
+
+const ADMIN = { id: '11111111-1111-4111-8111-111111111111', role: 'admin' };
+const STUDENT = '22222222-2222-4222-8222-222222222222';
+const BKT = { pInit: 0.2, pTransit: 0.15, pSlip: 0.1, pGuess: 0.2 };
+const CONFIG = { enabled: true, bkt: BKT, correctAccuracy: 0.7, masteryThreshold: 0.95 };
+
+const TEMPLATES = {
+  counting: 'aaaaaaaa-0000-4000-8000-000000000001',
+  addition: 'aaaaaaaa-0000-4000-8000-000000000002',
+  multiplication: 'aaaaaaaa-0000-4000-8000-000000000003',
+  wordProblems: 'aaaaaaaa-0000-4000-8000-000000000004'
+};
+const MISSING_TEMPLATE = 'aaaaaaaa-0000-4000-8000-000000000099';
+
+// Counting before addition, addition before both word problems and multiplication
+const STANDARDS_CSV = [
+  'Code,Name,Subject,Grade,Domain,Prerequisites,Template IDs',
+  `K.CC.A.1,Count to 100,math,K,Counting and Cardinality,,${TEMPLATES.counting}`,
+  `1.OA.A.1,Add within 20,math,1,Operations,K.CC.A.1,${TEMPLATES.addition}`,
+  `2.OA.A.1,"Word problems, one and two step",math,2,Operations,1.OA.A.1,"${TEMPLATES.wordProblems};${MISSING_TEMPLATE}"`,
+  `3.OA.A.1,Interpret products,math,3,Operations,1.OA.A.1,${TEMPLATES.multiplication}`,
+  '3.OA.A.1,Duplicate,math,3,Operations,,',
+  '3.OA.A.2,Interpret quotients,maths,3,Operations,,',
+  '3.OA.A.3,Solve with unknowns,math,3,Operations,3.OA.A.3,',
+  '3.OA.A.4,Unknown prerequisite,math,3,Operations,9.ZZ.Z.9,'
+].join('\n');
+
+// In-memory skill tables behind the queries SkillService makes
+const createFakeDatabase = () => {
+  const db = {
+    skills: [],
+    edges: [],
+    templateSkills: [],
+    templates: [
+      { id: TEMPLATES.counting, title: 'Counting objects', subject: 'arithmetic', problem_type: 'math', difficulty_level: 'easy', is_active: true },
+      { id: TEMPLATES.addition, title: 'Adding within 20', subject: 'arithmetic', problem_type: 'math', difficulty_level: 'easy', is_active: true },
+      { id: TEMPLATES.multiplication, title: 'Equal groups', subject: 'arithmetic', problem_type: 'math', difficulty_level: 'medium', is_active: true },
+      { id: TEMPLATES.wordProblems, title: 'Two-step word problems', subject: 'arithmetic', problem_type: 'math', difficulty_level: 'medium', is_active: true }
+    ],
+    sessions: [],
+    mastery: [],
+    failNextQuery: false
+  };
+  let nextId = 1;
+  const newId = () => `bbbbbbbb-0000-4000-8000-${String(nextId++).padStart(12, '0')}`;
+
+  const pool = createFakePool([
+    [() => db.failNextQuery, () => {
+      db.failNextQuery = false;
+      throw new Error('connection reset');
+    }],
+    ['SELECT id, code FROM skills WHERE code = ANY', params => ({ rows: db.skills.filter(skill => params[0].includes(skill.code)) })],
+    ['SELECT id, code FROM skills WHERE id::text', params => ({ rows: db.skills.filter(skill => params[0].includes(skill.id) || params[0].includes(skill.code)) })],
+    ['SELECT id FROM problem_templates WHERE id = ANY', params => ({ rows: db.templates.filter(template => params[0].includes(template.id)) })],
+    ['SELECT id FROM problem_templates WHERE id = $1', params => ({ rows: db.templates.filter(template => template.id === params[0]) })],
+    ['SELECT s.code AS skill, p.code AS prerequisite', () => {
+      const codeOf = (id) => db.skills.find(skill => skill.id === id).code;
+      return { rows: db.edges.map(edge => ({ skill: codeOf(edge.skill_id), prerequisite: codeOf(edge.prerequisite_id) })) };
+    }],
+    ['INSERT INTO skills', params => {
+      const [codes, names, descriptions, frameworks, problemTypes, grades, domains, pInit, pTransit, pSlip, pGuess, createdBy] = params;
+      const rows = codes.map((code, i) => {
+        let skill = db.skills.find(row => row.code === code);
+        if (!skill) {
+          skill = { id: newId(), code, created_by: createdBy };
+          db.skills.push(skill);
+        }
+        Object.assign(skill, {
+          name: names[i], description: descriptions[i], framework: frameworks[i], problem_type: problemTypes[i],
+          grade_level: grades[i], domain: domains[i], p_init: pInit[i], p_transit: pTransit[i], p_slip: pSlip[i], p_guess: pGuess[i]
+        });
+        return { id: skill.id, code };
+      });
+      return { rows };
+    }],
+    ['DELETE FROM skill_prerequisites', params => {
+      db.edges = db.edges.filter(edge => !params[0].includes(edge.skill_id));
+      return { rows: [] };
+    }],
+    ['INSERT INTO skill_prerequisites', params => {
+      params[0].forEach((skillId, i) => db.edges.push({ skill_id: skillId, prerequisite_id: params[1][i] }));
+      return { rows: [] };
+    }],
+    ['DELETE FROM template_skills', params => {
+      db.templateSkills = db.templateSkills.filter(row => row.template_id !== params[0]);
+      return { rows: [] };
+    }],
+    ['INSERT INTO template_skills', (params, sql) => {
+      const pairs = sql.includes('SELECT $1, unnest')
+        ? params[1].map(skillId => [params[0], skillId])
+        : params[0].map((templateId, i) => [templateId, params[1][i]]);
+      pairs.forEach(([templateId, skillId]) => {
+        if (!db.templateSkills.some(row => row.template_id === templateId && row.skill_id === skillId)) {
+          db.templateSkills.push({ template_id: templateId, skill_id: skillId });
+        }
+      });
+      return { rows: [] };
+    }],
+    ['FROM template_skills ts\n      JOIN skills s', params => {
+      const skillIds = db.templateSkills.filter(row => row.template_id === params[0]).map(row => row.skill_id);
+      return { rows: db.skills.filter(skill => skillIds.includes(skill.id)) };
+    }],
+    ['JOIN template_skills ts ON ts.template_id = ps.template_id', params => {
+      const session = db.sessions.find(row => row.id === params[0] && row.student_id === params[1]);
+      if (!session) return { rows: [] };
+      const skillIds = db.templateSkills.filter(row => row.template_id === session.template_id).map(row => row.skill_id);
+      return { rows: db.skills.filter(skill => skillIds.includes(skill.id)).map(skill => ({ ...skill, template_id: session.template_id })) };
+    }],
+    [['FROM student_skill_mastery', 'skill_id = ANY'], params => ({ rows: db.mastery.filter(row => row.student_id === params[0] && params[1].includes(row.skill_id)) })],
+    ['INSERT INTO student_skill_mastery', params => {
+      const [studentId, templateId, now, correct, skillIds, probabilities, masteredAt] = params;
+      skillIds.forEach((skillId, i) => {
+        let row = db.mastery.find(r => r.student_id === studentId && r.skill_id === skillId);
+        if (!row) {
+          row = { student_id: studentId, skill_id: skillId, opportunities: 0, correct: 0 };
+          db.mastery.push(row);
+        }
+        Object.assign(row, {
+          p_mastery: String(probabilities[i]), opportunities: row.opportunities + 1, correct: row.correct + (correct ? 1 : 0),
+          last_template_id: templateId, last_practiced_at: now, mastered_at: masteredAt[i]
+        });
+      });
+      return { rows: [] };
+    }],
+    ['SELECT * FROM student_skill_mastery WHERE student_id = $1', params => ({ rows: db.mastery.filter(row => row.student_id === params[0]) })],
+    ['SELECT * FROM skills ORDER BY', () => ({ rows: db.skills })],
+    ['SELECT skill_id, prerequisite_id FROM skill_prerequisites', () => ({ rows: db.edges })],
+    ['FROM template_skills ts\n        JOIN problem_templates pt', () => ({
+      rows: db.templateSkills.map(row => {
+        const template = db.templates.find(t => t.id === row.template_id);
+        return { ...row, title: template.title, subject: template.subject, problem_type: template.problem_type, difficulty_level: template.difficulty_level };
+      })
+    })]
+  ]);
+
+  return { db, pool };
+};
+
+const createService = (fake, config = {}) => {
+  const service = new SkillService();
+  service.pool = fake.pool;
+  service.config = { ...CONFIG, ...config };
+  return service;
+};
+
+const near = (actual, expected, tolerance = 0.001) => Math.abs(actual - expected) <= tolerance;
+
+// Skills a, b, c, d with b needing a, and c and d needing b
+const chain = () => {
+  const skills = ['a', 'b', 'c', 'd'].map(code => ({ id: code, code, name: code.toUpperCase(), framework: 'custom' }));
+  const edges = [
+    { skillId: 'b', prerequisiteId: 'a' },
+    { skillId: 'c', prerequisiteId: 'b' },
+    { skillId: 'd', prerequisiteId: 'b' }
+  ];
+  return { skills, edges };
+};
+
+const testKnowledgeTracing = async () => {
+  console.log('\n🧠 Testing knowledge tracing and the skill graph...');
+
+  try {
+    // A correct step from the prior: 0.18 / 0.34 known, then a 15% chance of learning it
+    if (!near(updateMastery(0.2, true, BKT), 0.6) || !near(updateMastery(0.2, false, BKT), 0.1758)) {
+      throw new Error(`BKT updates are off: ${updateMastery(0.2, true, BKT)} ${updateMastery(0.2, false, BKT)}`);
+    }
+    let p = BKT.pInit;
+    let steps = 0;
+    while (p < 0.95 && steps < 20) {
+      p = updateMastery(p, true, BKT);
+      steps += 1;
+    }
+    if (steps !== 3) {
+      throw new Error(`Three correct steps in a row should reach mastery from the prior, took ${steps}`);
+    }
+
+    const cycle = findCycle([{ skill: 'a', prerequisite: 'b' }, { skill: 'b', prerequisite: 'c' }, { skill: 'c', prerequisite: 'a' }]);
+    if (!cycle || cycle[0] !== cycle[cycle.length - 1] || cycle.length !== 4 ||
+        findCycle([{ skill: 'b', prerequisite: 'a' }, { skill: 'c', prerequisite: 'a' }]) !== null) {
+      throw new Error(`Cycles should be found and diamonds allowed: ${cycle}`);
+    }
+
+    // a mastered, b half way: b is in progress, c and d wait on it
+    const { skills, edges } = chain();
+    const mastery = new Map([
+      ['a', { pMastery: 0.97, opportunities: 4, correct: 4 }],
+      ['b', { pMastery: 0.5, opportunities: 2, correct: 1 }]
+    ]);
+    const map = buildMasteryMap({ skills, edges, mastery, defaults: BKT, threshold: 0.95 });
+    const status = Object.fromEntries(map.skills.map(node => [node.code, node.status]));
+    if (status.a !== MASTERY_STATUS.MASTERED || status.b !== MASTERY_STATUS.IN_PROGRESS ||
+        status.c !== MASTERY_STATUS.LOCKED || map.skills.find(node => node.code === 'd').unmetPrerequisites.join() !== 'b' ||
+        map.summary.locked !== 2 || map.edges.length !== 3) {
+      throw new Error(`Mastery statuses are wrong: ${JSON.stringify(status)}`);
+    }
+    const filtered = buildMasteryMap({ skills, edges, mastery, defaults: BKT, threshold: 0.95, filter: skill => skill.code === 'c' });
+    if (filtered.skills.length !== 1 || filtered.skills[0].status !== MASTERY_STATUS.LOCKED || filtered.edges.length !== 1) {
+      throw new Error('A filtered map should still judge prerequisites across every skill');
+    }
+
+    // Only templates for b are offered: the ones for c and d would practise locked skills
+    const templateSkills = [
+      { template_id: 't-a', skill_id: 'a', title: 'A' },
+      { template_id: 't-b', skill_id: 'b', title: 'B' },
+      { template_id: 't-bc', skill_id: 'b', title: 'B and C' },
+      { template_id: 't-bc', skill_id: 'c', title: 'B and C' },
+      { template_id: 't-cd', skill_id: 'c', title: 'C and D' },
+      { template_id: 't-cd', skill_id: 'd', title: 'C and D' }
+    ];
+    const next = recommendTemplates({ skills, edges, mastery, templateSkills, defaults: BKT, threshold: 0.95 });
+    if (next.recommendations.map(r => r.templateId).join() !== 't-b' || next.frontier.join() !== 'b' ||
+        next.recommendations[0].unlocks.sort().join() !== 'c,d') {
+      throw new Error(`Only the b template should be offered: ${JSON.stringify(next)}`);
+    }
+
+    // Towards d, and once b is mastered, the template covering both c and d comes first
+    const toD = recommendTemplates({ skills, edges, mastery, templateSkills, defaults: BKT, threshold: 0.95, goalSkillId: 'd' });
+    if (toD.goalPath.sort().join() !== 'b,d' || toD.recommendations[0].templateId !== 't-b') {
+      throw new Error(`The way to d should go through b: ${JSON.stringify(toD)}`);
+    }
+    mastery.set('b', { pMastery: 0.96, opportunities: 5, correct: 5 });
+    const later = recommendTemplates({ skills, edges, mastery, templateSkills, defaults: BKT, threshold: 0.95 });
+    if (later.recommendations.map(r => r.templateId).join() !== 't-cd,t-bc') {
+      throw new Error(`After b, templates for c and d should follow: ${later.recommendations.map(r => r.templateId)}`);
+    }
+
+    console.log('   ✅ Mastery is traced and templates are recommended along prerequisites');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Knowledge tracing test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testStandardsImport = async () => {
+  console.log('\n📚 Testing standards import...');
+
+  try {
+    const rows = parseStandards(STANDARDS_CSV, { framework: 'CCSS' });
+    const byRow = Object.fromEntries(rows.map(row => [row.rowNumber, row]));
+    if (byRow[2].gradeLevel !== 0 || byRow[4].name !== 'Word problems, one and two step' || byRow[4].templates.length !== 2 ||
+        byRow[3].prerequisites.join() !== 'K.CC.A.1' || byRow[2].framework !== 'CCSS') {
+      throw new Error('CSV rows should be read with quoted fields, K grades and prerequisite lists');
+    }
+    if (byRow[6].status !== 'error' || byRow[7].status !== 'error' || byRow[8].status !== 'error' || byRow[9].status !== 'ready') {
+      throw new Error('Duplicates, unknown subjects and self prerequisites should be row errors');
+    }
+
+    const json = parseStandards(JSON.stringify({
+      framework: 'NGSS',
+      standards: [{ code: 'MS-PS1-1', description: 'Develop models of atoms', problemType: 'science', gradeLevel: 7, pSlip: 0.6 }]
+    }));
+    if (json[0].framework !== 'NGSS' || json[0].name !== 'Develop models of atoms' || json[0].status !== 'error') {
+      throw new Error('JSON standards should be read, with BKT parameters validated');
+    }
+    for (const content of ['', 'code,name\n', '{"skills": []}']) {
+      try {
+        parseStandards(content);
+        throw new Error(`File ${JSON.stringify(content)} should be rejected`);
+      } catch (error) {
+        if (error.type !== 'VALIDATION_ERROR') throw error;
+      }
+    }
+
+    const fake = createFakeDatabase();
+    const { db } = fake;
+    const service = createService(fake);
+
+    const preview = await service.previewImport(STANDARDS_CSV, { framework: 'CCSS' });
+    const previewRow = (code) => preview.rows.find(row => row.code === code && row.name !== 'Duplicate');
+    if (db.skills.length !== 0 || preview.summary.create !== 3 || preview.summary.errors !== 5 ||
+        !previewRow('2.OA.A.1').errors[0].startsWith('Templates not found') ||
+        !previewRow('3.OA.A.4').errors[0].startsWith('Prerequisites not found')) {
+      throw new Error(`Preview should change nothing and report each row: ${JSON.stringify(preview.summary)}`);
+    }
+
+    const report = await service.importStandards(STANDARDS_CSV, { framework: 'CCSS' }, ADMIN);
+    const counting = db.skills.find(skill => skill.code === 'K.CC.A.1');
+    const addition = db.skills.find(skill => skill.code === '1.OA.A.1');
+    if (report.summary.create !== 3 || db.skills.length !== 3 || db.edges.length !== 2 ||
+        !db.edges.some(edge => edge.skill_id === addition.id && edge.prerequisite_id === counting.id) ||
+        db.templateSkills.length !== 3 || report.rows.filter(row => row.status === 'imported').length !== 3) {
+      throw new Error(`Import should create the valid skills with their edges and templates: ${JSON.stringify(report.summary)}`);
+    }
+
+    // Making counting need multiplication would close a loop through addition
+    const cyclic = await service.importStandards([
+      { code: 'K.CC.A.1', name: 'Count to 100', prerequisites: ['3.OA.A.1'] },
+      { code: '3.OA.A.1', name: 'Interpret products (revised)', prerequisites: ['1.OA.A.1'] }
+    ], {}, ADMIN);
+    const cycleRows = cyclic.rows.filter(row => row.status === 'error');
+    if (cycleRows.length !== 2 || !cycleRows[0].errors[0].startsWith('Prerequisites form a cycle') ||
+        db.edges.some(edge => edge.skill_id === counting.id)) {
+      throw new Error(`A cycle should be rejected without touching the graph: ${JSON.stringify(cyclic.summary)}`);
+    }
+
+    // Re-importing a standard updates it in place and replaces its prerequisites
+    const updated = await service.importStandards('code,name,prerequisites\n3.OA.A.1,Interpret products of whole numbers,K.CC.A.1\n', {}, ADMIN);
+    const multiplication = db.skills.find(skill => skill.code === '3.OA.A.1');
+    const multiplicationEdges = db.edges.filter(edge => edge.skill_id === multiplication.id);
+    if (updated.summary.update !== 1 || multiplication.name !== 'Interpret products of whole numbers' ||
+        multiplicationEdges.length !== 1 || multiplicationEdges[0].prerequisite_id !== counting.id) {
+      throw new Error('Re-importing should update the skill and replace its prerequisites');
+    }
+
+    // Template mappings by code or id
+    const mapping = await service.setTemplateSkills(TEMPLATES.multiplication, { skills: ['3.OA.A.1', addition.id] });
+    if (mapping.skills.length !== 2) {
+      throw new Error('Template skills should be set by code or id');
+    }
+    for (const [templateId, input, type] of [
+      [TEMPLATES.multiplication, { skills: ['9.ZZ.Z.9'] }, 'VALIDATION_ERROR'],
+      [MISSING_TEMPLATE, { skills: [] }, 'NOT_FOUND'],
+      [TEMPLATES.multiplication, { skills: 'K.CC.A.1' }, 'VALIDATION_ERROR']
+    ]) {
+      try {
+        await service.setTemplateSkills(templateId, input);
+        throw new Error(`Expected ${type}`);
+      } catch (error) {
+        if (!(error instanceof SkillError) || error.type !== type) throw error;
+      }
+    }
+
+    console.log('   ✅ Standards import validates rows, prerequisites and cycles');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Standards import test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const testMasteryTracking = async () => {
+  console.log('\n📈 Testing mastery tracking from step submissions...');
+
+  try {
+    const fake = createFakeDatabase();
+    const { db } = fake;
+    const service = createService(fake);
+    await service.importStandards(STANDARDS_CSV, { framework: 'CCSS' }, ADMIN);
+    const idOf = (code) => db.skills.find(skill => skill.code === code).id;
+    db.sessions.push(
+      { id: 'session-count', student_id: STUDENT, template_id: TEMPLATES.counting },
+      { id: 'session-add', student_id: STUDENT, template_id: TEMPLATES.addition },
+      { id: 'session-adhoc', student_id: STUDENT, template_id: null }
+    );
+
+    const first = await service.recordStepOutcome(STUDENT, 'session-count', 0.9);
+    if (first.length !== 1 || first[0].code !== 'K.CC.A.1' || !near(first[0].pMastery, 0.6) || !first[0].correct) {
+      throw new Error(`A correct step should move counting from the prior: ${JSON.stringify(first)}`);
+    }
+    const wrong = await service.recordStepOutcome(STUDENT, 'session-count', 0.4);
+    if (wrong[0].correct || wrong[0].pMastery >= wrong[0].previous) {
+      throw new Error('A step below the correct accuracy should lower mastery');
+    }
+
+    // Before counting is mastered only it can be recommended
+    let next = await service.getRecommendations(STUDENT);
+    if (next.recommendations.map(r => r.templateId).join() !== TEMPLATES.counting) {
+      throw new Error(`Counting should come first: ${JSON.stringify(next.recommendations)}`);
+    }
+
+    let result = [];
+    for (let i = 0; i < 5 && !(result[0] && result[0].mastered); i++) {
+      result = await service.recordStepOutcome(STUDENT, 'session-count', 1);
+    }
+    const record = db.mastery.find(row => row.skill_id === idOf('K.CC.A.1'));
+    if (!result[0].newlyMastered || !record.mastered_at || record.opportunities < 4 || record.correct !== record.opportunities - 1) {
+      throw new Error('Correct steps should bring counting to mastery and record when');
+    }
+
+    next = await service.getRecommendations(STUDENT);
+    const map = await service.getMasteryMap(STUDENT);
+    const status = Object.fromEntries(map.skills.map(node => [node.code, node.status]));
+    if (next.recommendations.map(r => r.templateId).join() !== TEMPLATES.addition ||
+        status['K.CC.A.1'] !== MASTERY_STATUS.MASTERED || status['1.OA.A.1'] !== MASTERY_STATUS.READY ||
+        status['3.OA.A.1'] !== MASTERY_STATUS.LOCKED || status['2.OA.A.1']) {
+      throw new Error(`Addition should be next once counting is mastered: ${JSON.stringify(status)}`);
+    }
+
+    const goal = await service.getRecommendations(STUDENT, { goal: '3.OA.A.1' });
+    if (goal.goal.code !== '3.OA.A.1' || goal.goalPath.sort().join() !== '1.OA.A.1,3.OA.A.1' ||
+        goal.recommendations[0].templateId !== TEMPLATES.addition) {
+      throw new Error(`The way to multiplication should go through addition: ${JSON.stringify(goal)}`);
+    }
+    try {
+      await service.getRecommendations(STUDENT, { goal: '9.ZZ.Z.9' });
+      throw new Error('An unknown goal should be NOT_FOUND');
+    } catch (error) {
+      if (error.type !== 'NOT_FOUND') throw error;
+    }
+
+    // Unmapped templates, disabled tracking, missing accuracy and database failures change nothing
+    const before = JSON.stringify(db.mastery);
+    const originalError = console.error;
+    console.error = () => {};
+    const ignored = [
+      await service.recordStepOutcome(STUDENT, 'session-adhoc', 1),
+      await createService(fake, { enabled: false }).recordStepOutcome(STUDENT, 'session-add', 1),
+      await service.recordStepOutcome(STUDENT, 'session-add', null)
+    ];
+    db.failNextQuery = true;
+    ignored.push(await service.recordStepOutcome(STUDENT, 'session-add', 1));
+    console.error = originalError;
+    if (ignored.some(updates => updates.length !== 0) || JSON.stringify(db.mastery) !== before) {
+      throw new Error('Untracked steps should leave mastery alone');
+    }
+
+    console.log('   ✅ Steps update mastery and recommendations follow it');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Mastery tracking test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+const runSkillGraphTests = async () => {
+  console.log('🧪 Running Skill Graph Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testKnowledgeTracing(),
+    await testStandardsImport(),
+    await testMasteryTracking()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Skill Graph Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runSkillGraphTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runSkillGraphTests,
+  testKnowledgeTracing,
+  testStandardsImport,
+  testMasteryTracking
+};
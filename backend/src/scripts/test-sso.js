@@ -0,0 +1,382 @@
+const axios = require('axios');
+const {
+  SsoError,
+  OidcClient,
+  createPkcePair,
+  safeRedirectPath,
+  mapClaims,
+  validateProviderInput
+} = require('../services/sso-oidc');
+const { SsoService } = require('../services/sso-service');
+const { MfaService } = require('../services/mfa-service');
+const { createMockOidcProvider, DEFAULT_CLIENT } = require('./mock-oidc-provider');
+const { createFakePool } = require('./fake-pool');
+
+const CLASSROOM_ID = '55555555-5555-4555-8555-555555555555';
+const ADMIN_ID = '66666666-6666-4666-8666-666666666666';
+
+const PROVIDER = {
+  id: '77777777-7777-4777-8777-777777777777',
+  slug: 'district',
+  name: 'District SSO',
+  client_id: DEFAULT_CLIENT.clientId,
+  client_secret: DEFAULT_CLIENT.clientSecret,
+  scopes: 'openid email profile',
+  enabled: true,
+  allowed_domains: ['district.test'],
+  auto_provision: true,
+  role_claim: 'roles',
+  role_mapping: { Teacher: 'teacher', Student: 'student', Staff: 'admin' },
+  default_role: null,
+  classroom_claim: 'classes',
+  classroom_mapping: { 'MATH-7A': CLASSROOM_ID }
+};
+
+const expectSsoError = async (fn, type) => {
+  try {
+    await fn();
+  } catch (error) {
+    if (!(error instanceof SsoError) || error.type !== type) throw error;
+    return error;
+  }
+  throw new Error(`Expected a ${type} error`);
+};
+
+// Follow the mock provider's authorize redirect and return the callback query
+const authorize = async (authorizationUrl) => {
+  const response = await axios.get(authorizationUrl, { maxRedirects: 0, validateStatus: status => status === 302 });
+  return Object.fromEntries(new URL(response.headers.location).searchParams);
+};
+
+// Keeps SSO state, identities and users in memory, answering the queries SsoService makes
+const createFakeDatabase = (provider) => {
+  const db = { states: [], identities: [], users: [], enrollments: [], profiles: [] };
+
+  db.pool = createFakePool([
+    ['FROM identity_providers WHERE slug', params => ({ rows: params[0] === provider.slug && provider.enabled ? [provider] : [] })],
+    ['DELETE FROM sso_login_states', () => ({ rows: [] })],
+    ['INSERT INTO sso_login_states', params => {
+      db.states.push({ provider_id: params[0], state_hash: params[1], nonce: params[2], code_verifier: params[3], redirect_to: params[4], used_at: null });
+      return { rows: [] };
+    }],
+    ['UPDATE sso_login_states', params => {
+      const login = db.states.find(s => s.state_hash === params[0] && !s.used_at);
+      if (login) login.used_at = new Date();
+      return { rows: login ? [login] : [] };
+    }],
+    ['FROM user_identities', params => ({ rows: db.identities.filter(i => i.provider_id === params[0] && i.subject === params[1]) })],
+    ['INSERT INTO user_identities', params => {
+      const existing = db.identities.find(i => i.provider_id === params[0] && i.subject === params[1]);
+      if (existing) existing.last_login_at = new Date();
+      else db.identities.push({ provider_id: params[0], subject: params[1], user_id: params[2], email: params[3] });
+      return { rows: [] };
+    }],
+    ['FROM users WHERE LOWER(email)', params => ({ rows: db.users.filter(u => u.email === params[0]) })],
+    ['INSERT INTO users', params => {
+      const user = {
+        id: `user-${db.users.length + 1}`,
+        email: params[0],
+        role: params[1],
+        first_name: params[2],
+        last_name: params[3],
+        email_verified: params[4],
+        status: 'active'
+      };
+      db.users.push(user);
+      return { rows: [user] };
+    }],
+    [/INSERT INTO (student|teacher|parent)_profiles/, (params, sql) => {
+      db.profiles.push({ table: /INTO (\w+)/.exec(sql)[1], user_id: params[0] });
+      return { rows: [] };
+    }],
+    ['INSERT INTO privacy_settings', () => ({ rows: [] })],
+    ['SELECT role FROM users', params => ({ rows: db.users.filter(u => u.id === params[0]) })],
+    ['FROM classrooms WHERE id = ANY', params => ({ rows: params[0].filter(id => id === CLASSROOM_ID).map(id => ({ id })) })],
+    ['INSERT INTO classroom_enrollments', params => {
+      params[1].forEach(studentId => db.enrollments.push({ classroom_id: params[0], student_id: studentId }));
+      return { rows: [] };
+    }],
+    [sql => sql.includes('teacher_student_assignments') || sql.includes('INSERT INTO teacher_classrooms'), () => ({ rows: [] })]
+  ]);
+  return db;
+};
+
+// An MfaService keeping factors and challenges in memory; teachers and admins require MFA by default
+const createFakeMfa = () => {
+  const mfa = new MfaService();
+  const state = { factors: [], challenges: [] };
+
+  mfa.pool = createFakePool([
+    ['FROM mfa_role_policies WHERE role', () => ({ rows: [] })],
+    ['SELECT * FROM user_mfa_factors', params => ({ rows: state.factors.filter(f => f.user_id === params[0]) })],
+    ['DELETE FROM mfa_challenges WHERE expires_at', () => ({ rows: [] })],
+    ['INSERT INTO mfa_challenges', params => {
+      state.challenges.push({ user_id: params[0], challenge_hash: params[1], purpose: params[2] });
+      return { rows: [{ expires_at: new Date(Date.now() + params[4]) }] };
+    }],
+    ['INSERT INTO access_control_audit_log', () => ({ rows: [] })]
+  ]);
+  return { mfa, state };
+};
+
+// Test PKCE, redirect sanitising, claim mapping and provider validation
+const testClaimMapping = async () => {
+  console.log('\n🗺️  Testing Claim Mapping and Provider Validation...');
+
+  try {
+    const pkce = createPkcePair();
+    if (pkce.codeVerifier.length < 43 || pkce.codeChallenge === pkce.codeVerifier || pkce.codeChallengeMethod !== 'S256') {
+      throw new Error('PKCE pair should be a long verifier with an S256 challenge');
+    }
+    if (safeRedirectPath('//evil.test') !== '/' || safeRedirectPath('https://evil.test') !== '/' || safeRedirectPath('/dashboard?tab=1') !== '/dashboard?tab=1') {
+      throw new Error('Only same-site redirect paths should be kept');
+    }
+
+    const teacher = mapClaims({
+      sub: 't1',
+      email: 'Tess.Lee@District.test',
+      name: 'Tess Anne Lee',
+      roles: ['Student', 'Teacher', 'Staff'],
+      classes: 'MATH-7A ART-1'
+    }, PROVIDER);
+    if (teacher.role !== 'teacher' || teacher.email !== 'tess.lee@district.test' || teacher.lastName !== 'Anne Lee') {
+      throw new Error(`Teacher claims mapped wrongly: ${JSON.stringify(teacher)}`);
+    }
+    if (!teacher.emailTrusted || teacher.classroomIds.join() !== CLASSROOM_ID) {
+      throw new Error('District addresses should be trusted and only mapped classes kept');
+    }
+
+    const outsider = mapClaims({ sub: 'x', email: 'x@gmail.test', realm: { roles: ['Staff'] } },
+      { ...PROVIDER, role_claim: 'realm.roles', default_role: 'parent' });
+    if (outsider.role !== 'parent' || outsider.emailTrusted || outsider.domainAllowed) {
+      throw new Error('Admin mappings are ignored, and other domains are neither trusted nor allowed');
+    }
+
+    validateProviderInput({ slug: 'north-district', name: 'North', issuer: 'https://login.north.test/', clientId: 'mentra',
+      roleMapping: { Teacher: 'teacher' }, classroomMapping: { 'MATH-7A': CLASSROOM_ID } });
+    const invalid = await expectSsoError(() => validateProviderInput({
+      slug: 'admin', name: 'X', issuer: 'ftp://x.test', clientId: 'c', roleMapping: { Staff: 'admin' }, scopes: 'email'
+    }), 'VALIDATION_ERROR');
+    if (invalid.details.errors.length !== 4) {
+      throw new Error(`Expected slug, issuer, scopes and roleMapping errors, got: ${invalid.details.errors}`);
+    }
+
+    console.log('   ✅ Claims mapped to roles and classrooms; bad provider settings rejected');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ Claim mapping test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+};
+
+// Test discovery, code exchange and ID token checks against the mock provider
+const testOidcClient = async () => {
+  console.log('\n🪪 Testing OIDC Client Against the Mock Provider...');
+  const idp = createMockOidcProvider();
+
+  try {
+    const issuer = await idp.start();
+    const oidc = new OidcClient();
+    const metadata = await oidc.discover(`${issuer}/`);
+    const redirectUri = 'http://localhost:3001/api/v1/auth/sso/district/callback';
+    const clientId = DEFAULT_CLIENT.clientId;
+
+    const signIn = async (pkce) => authorize(oidc.buildAuthorizationUrl(metadata, {
+      clientId, redirectUri, scopes: 'openid email', state: 's1', nonce: 'n1', codeChallenge: pkce.codeChallenge
+    }));
+
+    const pkce = createPkcePair();
+    const stolen = await signIn(pkce);
+    await expectSsoError(() => oidc.exchangeCode(metadata, {
+      clientId, clientSecret: DEFAULT_CLIENT.clientSecret, code: stolen.code, redirectUri, codeVerifier: createPkcePair().codeVerifier
+    }), 'PROVIDER_ERROR');
+
+    const callback = await signIn(pkce);
+    const exchange = { clientId, clientSecret: DEFAULT_CLIENT.clientSecret, code: callback.code, redirectUri, codeVerifier: pkce.codeVerifier };
+    const tokenSet = await oidc.exchangeCode(metadata, exchange);
+    await expectSsoError(() => oidc.exchangeCode(metadata, exchange), 'PROVIDER_ERROR');
+
+    const claims = await oidc.verifyIdToken(tokenSet.id_token, metadata, { clientId, nonce: 'n1' });
+    if (callback.state !== 's1' || claims.sub !== 'mock-teacher-1' || claims.roles[0] !== 'Teacher') {
+      throw new Error('ID token should carry the signed-in user\'s claims');
+    }
+
+    await expectSsoError(() => oidc.verifyIdToken(tokenSet.id_token, metadata, { clientId, nonce: 'other' }), 'INVALID_ID_TOKEN');
+    await expectSsoError(() => oidc.verifyIdToken(idp.signIdToken({ sub: 'x', nonce: 'n1' }, { audience: 'another-app' }),
+      metadata, { clientId, nonce: 'n1' }), 'INVALID_ID_TOKEN');
+    await expectSsoError(() => oidc.verifyIdToken(idp.signIdToken({ sub: 'x', nonce: 'n1' }, { expiresIn: -120 }),
+      metadata, { clientId, nonce: 'n1' }), 'INVALID_ID_TOKEN');
+    const unsigned = require('jsonwebtoken').sign({ sub: 'x', nonce: 'n1', iss: issuer, aud: clientId }, 'guessable');
+    await expectSsoError(() => oidc.verifyIdToken(unsigned, metadata, { clientId, nonce: 'n1' }), 'INVALID_ID_TOKEN');
+
+    console.log('   ✅ PKCE enforced, codes single use; wrong nonce, audience, expiry and HS256 tokens rejected');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ OIDC client test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    await idp.stop();
+  }
+};
+
+// Test the full login: provisioning, classroom enrolment, linking on return and state replay
+const testSsoLogin = async () => {
+  console.log('\n🔐 Testing SSO Login and Just-in-Time Provisioning...');
+  const idp = createMockOidcProvider();
+
+  try {
+    const provider = { ...PROVIDER, issuer: await idp.start() };
+    const db = createFakeDatabase(provider);
+    const service = new SsoService();
+    service.pool = db.pool;
+    service.loadUser = async (id) => db.users.find(u => u.id === id) || null;
+    service.issueTokens = async (user) => ({ user, tokens: { accessToken: `access-${user.id}`, refreshToken: `refresh-${user.id}` } });
+    const { mfa } = createFakeMfa();
+    service.createMfaChallenge = (user, clientInfo) => mfa.createLoginChallenge(user, clientInfo);
+
+    const login = async (loginHint, redirectTo) => {
+      const { authorizationUrl, browserBinding } = await service.startLogin('district', { loginHint, redirectTo });
+      const callback = { ...(await authorize(authorizationUrl)), browserBinding };
+      return { callback, result: await service.completeLogin('district', callback, { ipAddress: '127.0.0.1', userAgent: 'test' }) };
+    };
+
+    // A callback URL opened in a browser that did not start the login is refused and the
+    // state survives for the browser that did
+    const started = await service.startLogin('district', { loginHint: 'mock-student-1' });
+    const forged = await authorize(started.authorizationUrl);
+    await expectSsoError(() => service.completeLogin('district', forged, {}), 'INVALID_STATE');
+    await expectSsoError(() => service.completeLogin('district', { ...forged, browserBinding: 'f'.repeat(64) }, {}), 'INVALID_STATE');
+    if (db.states.some(s => s.used_at)) {
+      throw new Error('A forged callback should not use up the state');
+    }
+
+    const { callback, result: first } = await login('mock-student-1', 'https://evil.test');
+    if (!first.provisioned || first.user.role !== 'student' || first.tokens.accessToken !== `access-${first.user.id}` || first.redirectTo !== '/') {
+      throw new Error(`First login should provision a student: ${JSON.stringify(first)}`);
+    }
+    if (db.enrollments.length !== 1 || db.enrollments[0].classroom_id !== CLASSROOM_ID || db.profiles[0].table !== 'student_profiles') {
+      throw new Error('Student should get a profile and join the mapped classroom');
+    }
+
+    await expectSsoError(() => service.completeLogin('district', callback, {}), 'INVALID_STATE');
+
+    const { result: second } = await login('mock-student-1', '/journal');
+    if (second.provisioned || second.user.id !== first.user.id || db.users.length !== 1 || second.redirectTo !== '/journal') {
+      throw new Error('Returning users should be found through their linked identity');
+    }
+
+    db.users.push({ id: ADMIN_ID, email: 'tess.lee@district.test', role: 'admin', status: 'active' });
+    await expectSsoError(() => login('mock-teacher-1'), 'ACCESS_DENIED');
+
+    idp.users.push({ sub: 'mock-nobody', email: 'guest@district.test', email_verified: true, roles: ['Visitor'] });
+    const denied = await expectSsoError(() => login('mock-nobody'), 'ACCESS_DENIED');
+    if (!denied.message.includes('role')) {
+      throw new Error('Users without a mapped role should not be provisioned');
+    }
+
+    console.log(`   ✅ Provisioned, enrolled and re-linked ${db.users.length - 1} student; forged callbacks, replayed state and unmapped users refused`);
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ SSO login test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    await idp.stop();
+  }
+};
+
+// Test that SSO sign-in asks for the same second factor as a password login
+const testSsoMfa = async () => {
+  console.log('\n🔑 Testing MFA on SSO Sign-In...');
+  const idp = createMockOidcProvider();
+
+  try {
+    const provider = { ...PROVIDER, issuer: await idp.start() };
+    const db = createFakeDatabase(provider);
+    const service = new SsoService();
+    service.pool = db.pool;
+    service.loadUser = async (id) => db.users.find(u => u.id === id) || null;
+    const issued = [];
+    service.issueTokens = async (user) => {
+      issued.push(user.id);
+      return { user, tokens: { accessToken: `access-${user.id}`, refreshToken: `refresh-${user.id}` } };
+    };
+    const { mfa, state } = createFakeMfa();
+    service.createMfaChallenge = (user, clientInfo) => mfa.createLoginChallenge(user, clientInfo);
+
+    const login = async (loginHint) => {
+      const { authorizationUrl, browserBinding } = await service.startLogin('district', { loginHint, redirectTo: '/classes' });
+      const callback = { ...(await authorize(authorizationUrl)), browserBinding };
+      return service.completeLogin('district', callback, { ipAddress: '127.0.0.1', userAgent: 'test' });
+    };
+
+    // A teacher whose role requires MFA but who has not set it up must enrol first
+    const first = await login('mock-teacher-1');
+    const teacher = db.users.find(u => u.role === 'teacher');
+    if (!first.mfaChallenge || first.mfaChallenge.purpose !== 'enroll' || first.tokens || first.redirectTo !== '/classes') {
+      throw new Error(`A teacher without MFA should get an enrolment challenge, not tokens: ${JSON.stringify(first)}`);
+    }
+    if (issued.length !== 0 || state.challenges.length !== 1 || state.challenges[0].user_id !== teacher.id) {
+      throw new Error('No session should be issued before the second factor');
+    }
+
+    state.factors.push({ user_id: teacher.id, status: 'active' });
+    const second = await login('mock-teacher-1');
+    if (!second.mfaChallenge || second.mfaChallenge.purpose !== 'verify' || second.tokens || issued.length !== 0) {
+      throw new Error('An enrolled teacher should be asked for a code');
+    }
+
+    const student = await login('mock-student-1');
+    if (student.mfaChallenge || !student.tokens || issued.length !== 1) {
+      throw new Error('Students without MFA should still sign in directly');
+    }
+
+    console.log('   ✅ Teachers get an MFA challenge instead of tokens; students sign in directly');
+    return { success: true };
+  } catch (error) {
+    console.log(`   ❌ SSO MFA test failed: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    await idp.stop();
+  }
+};
+
+const runSsoTests = async () => {
+  console.log('🧪 Running Single Sign-On Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [
+    await testClaimMapping(),
+    await testOidcClient(),
+    await testSsoLogin(),
+    await testSsoMfa()
+  ];
+
+  const totalTests = testResults.length;
+  const passedTests = testResults.filter(r => r.success).length;
+  const failedTests = totalTests - passedTests;
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 Single Sign-On Test Summary:');
+  console.log(`✅ Passed: ${passedTests}/${totalTests}`);
+  if (failedTests > 0) console.log(`❌ Failed: ${failedTests}/${totalTests}`);
+
+  return failedTests === 0;
+};
+
+// Run tests if script is called directly
+if (require.main === module) {
+  runSsoTests()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('Test execution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runSsoTests,
+  testClaimMapping,
+  testOidcClient,
+  testSsoLogin,
+  testSsoMfa
+};
@@ -7,6 +7,8 @@ const {
   DataFilterBuilder,
   AccessControlError
 } = require('../middleware/access-control');
+const { DELEGATION_SCOPES } = require('./delegation-rules');
+const { getDelegationService } = require('./delegation-service');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL
@@ -48,9 +50,11 @@ class AccessControlService {
           upo.user_id = $1 AND 
           upo.resource_type = rp.resource_type AND 
           upo.action = rp.action AND
+          upo.resource_id IS NULL AND
           (upo.expires_at IS NULL OR upo.expires_at > CURRENT_TIMESTAMP)
         )
         WHERE rp.role_name = $2
+          AND (rp.expires_at IS NULL OR rp.expires_at > CURRENT_TIMESTAMP)
         ORDER BY rp.resource_type, rp.action
       `;
       
@@ -415,7 +419,9 @@ class AccessControlService {
   }
 
   /**
-   * Validate access to specific resource
+   * Validate access to specific resource. For student data types (problems, goals...)
+   * resourceId is the student. Teachers without a permanent relationship fall back to an
+   * active delegation with that scope; classroom and student_data checks never do.
    */
   static async validateResourceAccess(userId, userRole, resourceType, resourceId, action = 'read') {
     try {
@@ -434,14 +440,52 @@ class AccessControlService {
         case 'classroom':
           return await RelationshipValidator.validateClassroomAccess(userId, userRole, resourceId);
         default:
-          return { allowed: true, reason: 'permission_granted' };
+          if (userRole !== 'teacher' || !resourceId || !DELEGATION_SCOPES.includes(resourceType)) {
+            return { allowed: true, reason: 'permission_granted' };
+          }
       }
+
+      const validation = await RelationshipValidator.validateStudentAccess(userId, userRole, resourceId);
+      if (validation.allowed) {
+        return validation;
+      }
+      return await this.validateDelegatedAccess(userId, resourceType, resourceId, action, validation);
     } catch (error) {
       console.error('Error validating resource access:', error);
       return { allowed: false, reason: 'validation_error' };
     }
   }
 
+  /**
+   * Access to a student's data of one scope through a substitute teacher delegation, or
+   * the original denial when no active delegation covers it. Each use is counted and
+   * reported to the delegator.
+   */
+  static async validateDelegatedAccess(userId, scope, studentId, action, denied) {
+    if (!DELEGATION_SCOPES.includes(scope)) {
+      return denied;
+    }
+
+    const delegationService = getDelegationService();
+    const delegation = await delegationService.findActiveDelegation(userId, { studentId, scope, action });
+    if (!delegation) {
+      return denied;
+    }
+
+    await delegationService.recordUse(delegation, { resourceType: scope, resourceId: studentId });
+    return {
+      allowed: true,
+      reason: 'delegated_access',
+      delegation: {
+        id: delegation.id,
+        classroomId: delegation.classroom_id,
+        delegatorId: delegation.delegator_id,
+        scopes: delegation.scopes,
+        expiresAt: new Date(delegation.expires_at).toISOString()
+      }
+    };
+  }
+
   /**
    * Get accessible journal entry IDs
    */
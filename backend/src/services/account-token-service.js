@@ -0,0 +1,601 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { getAccountTokenConfig } = require('../config/environment');
+const { hashPassword, revokeAllUserSessions } = require('./auth-service');
+const { escapeHtml } = require('./notification-channels');
+const { sendMail } = require('./mail-transport');
+const { isId } = require('./classroom-roster');
+const { getClassroomService } = require('./classroom-service');
+const { withTransaction } = require('./db-transaction');
+
+const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+  INVITATION: 'invitation'
+};
+
+// Roles each inviter may hand out
+const INVITABLE_ROLES = {
+  admin: ['student', 'parent', 'teacher'],
+  teacher: ['student', 'parent']
+};
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+// Where the frontend handles each kind of link
+const LINK_PATHS = {
+  [TOKEN_TYPES.PASSWORD_RESET]: '/reset-password',
+  [TOKEN_TYPES.EMAIL_VERIFICATION]: '/verify-email',
+  [TOKEN_TYPES.INVITATION]: '/accept-invitation'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class AccountTokenError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'AccountTokenError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+// Only the hash is stored; the raw token exists in the emailed link
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const validateInvitationInput = (input, inviterRole) => {
+  const errors = [];
+  const allowedRoles = INVITABLE_ROLES[inviterRole] || [];
+
+  if (typeof input.email !== 'string' || !EMAIL_PATTERN.test(input.email.trim())) {
+    errors.push('email must be an email address');
+  }
+  if (!allowedRoles.includes(input.role)) {
+    errors.push(`role must be one of: ${allowedRoles.join(', ')}`);
+  }
+  if (input.classroomId !== undefined && input.classroomId !== null) {
+    if (input.role !== 'student') {
+      errors.push('classroomId can only be given for student invitations');
+    } else if (!isId(input.classroomId)) {
+      errors.push('classroomId must be a classroom id');
+    }
+  }
+  for (const field of ['firstName', 'lastName']) {
+    if (input[field] !== undefined && (typeof input[field] !== 'string' || input[field].trim().length < 2 || input[field].length > 50)) {
+      errors.push(`${field} must be 2-50 characters`);
+    }
+  }
+  if (input.message !== undefined && (typeof input.message !== 'string' || input.message.length > 500)) {
+    errors.push('message must be text (500 characters max)');
+  }
+
+  if (errors.length > 0) {
+    throw new AccountTokenError('Invalid invitation', 'VALIDATION_ERROR', { errors });
+  }
+};
+
+const invitationStatus = (row, now = new Date()) => {
+  if (row.used_at) return 'accepted';
+  if (row.revoked_at) return 'revoked';
+  if (new Date(row.expires_at) <= now) return 'expired';
+  return 'pending';
+};
+
+const formatInvitation = (row) => ({
+  id: row.id,
+  email: row.email,
+  role: row.role,
+  firstName: row.metadata?.firstName || null,
+  lastName: row.metadata?.lastName || null,
+  classroom: row.classroom_id ? { id: row.classroom_id, name: row.classroom_name || null } : null,
+  invitedBy: row.invited_by ? {
+    id: row.invited_by,
+    firstName: row.inviter_first_name || null,
+    lastName: row.inviter_last_name || null
+  } : null,
+  status: invitationStatus(row),
+  expiresAt: new Date(row.expires_at).toISOString(),
+  acceptedAt: row.used_at ? new Date(row.used_at).toISOString() : null,
+  revokedAt: row.revoked_at ? new Date(row.revoked_at).toISOString() : null,
+  createdAt: new Date(row.created_at).toISOString()
+});
+
+// ============================================
+// EMAILS
+// ============================================
+
+const buildEmail = ({ to, subject, greeting, lines, link, action, expiresAt }) => {
+  const expiry = `This link expires ${new Date(expiresAt).toUTCString()} and can only be used once.`;
+  const ignore = 'If you did not expect this email you can ignore it.';
+
+  return {
+    to,
+    subject,
+    text: [greeting, '', ...lines, '', `${action}: ${link}`, '', expiry, ignore].join('\n'),
+    html: [
+      `<p>${escapeHtml(greeting)}</p>`,
+      ...lines.map(line => `<p>${escapeHtml(line)}</p>`),
+      `<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>`,
+      `<p>${escapeHtml(expiry)} ${escapeHtml(ignore)}</p>`
+    ].join('\n')
+  };
+};
+
+const greet = (firstName) => (firstName ? `Hi ${firstName},` : 'Hi,');
+
+const EMAIL_TEMPLATES = {
+  [TOKEN_TYPES.PASSWORD_RESET]: ({ user }) => ({
+    subject: 'Reset your Mentra password',
+    greeting: greet(user.first_name),
+    lines: ['We received a request to reset your Mentra password. Resetting it signs you out on every device.'],
+    action: 'Choose a new password'
+  }),
+  [TOKEN_TYPES.EMAIL_VERIFICATION]: ({ user }) => ({
+    subject: 'Verify your Mentra email address',
+    greeting: greet(user.first_name),
+    lines: ['Please confirm this is your email address so we can reach you about your account.'],
+    action: 'Verify email address'
+  }),
+  [TOKEN_TYPES.INVITATION]: ({ invitation, inviter, classroom }) => ({
+    subject: `You're invited to join Mentra`,
+    greeting: greet(invitation.metadata.firstName),
+    lines: [
+      `${[inviter.first_name, inviter.last_name].filter(Boolean).join(' ') || 'Your school'} has invited you to Mentra as a ${invitation.role}` +
+        (classroom ? ` in ${classroom.name}.` : '.'),
+      ...(invitation.metadata.message ? [invitation.metadata.message] : [])
+    ],
+    action: 'Create your account'
+  })
+};
+
+class AccountTokenService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getAccountTokenConfig();
+    this.revokeSessions = revokeAllUserSessions;
+  }
+
+  buildLink(type, token) {
+    return `${this.config.appUrl}${LINK_PATHS[type]}?token=${encodeURIComponent(token)}`;
+  }
+
+  // ============================================
+  // TOKENS
+  // ============================================
+
+  /**
+   * Store a new token. A user (or invitee email) keeps one live token per type, so
+   * issuing revokes any earlier unused ones.
+   */
+  async issueToken(client, { type, userId = null, email = null, role = null, classroomId = null, invitedBy = null, metadata = {} }) {
+    const { token, tokenHash } = generateToken();
+
+    await client.query(`
+      UPDATE auth_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE token_type = $1 AND used_at IS NULL AND revoked_at IS NULL
+        AND (user_id::text = $2 OR ($2 IS NULL AND LOWER(email) = $3))
+    `, [type, userId ? String(userId) : null, email]);
+
+    const result = await client.query(`
+      INSERT INTO auth_tokens (user_id, token_type, token_hash, expires_at, email, role, classroom_id, invited_by, metadata)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4::bigint * INTERVAL '1 millisecond'), $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [userId, type, tokenHash, this.config.ttlMs[type], email, role, classroomId, invitedBy, JSON.stringify(metadata)]);
+
+    return { token, row: result.rows[0] };
+  }
+
+  // Mark a live token used and return it; the UPDATE makes each token single use
+  async consumeToken(client, token, type) {
+    if (typeof token !== 'string' || !token) {
+      throw new AccountTokenError('This link is invalid or has expired', 'INVALID_TOKEN');
+    }
+
+    const result = await client.query(`
+      UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND token_type = $2
+        AND used_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING *
+    `, [hashToken(token), type]);
+
+    if (result.rows.length === 0) {
+      throw new AccountTokenError('This link is invalid or has expired', 'INVALID_TOKEN');
+    }
+    return result.rows[0];
+  }
+
+  async sendTokenEmail(type, to, token, expiresAt, context) {
+    const template = EMAIL_TEMPLATES[type](context);
+    await sendMail(buildEmail({ ...template, to, link: this.buildLink(type, token), expiresAt }));
+  }
+
+  async findUserByEmail(email, client = this.pool) {
+    const result = await client.query(`
+      SELECT id, email, role, status, first_name, last_name, email_verified_at FROM users
+      WHERE LOWER(email) = LOWER($1) AND deleted_at IS NULL
+    `, [email]);
+    return result.rows[0] || null;
+  }
+
+  // ============================================
+  // PASSWORD RESET
+  // ============================================
+
+  /**
+   * Email a reset link. Unknown, suspended or inactive accounts are ignored without an
+   * error so the endpoint does not reveal which emails have accounts. The link is issued
+   * and sent after the call returns, so both paths take the same time.
+   */
+  async requestPasswordReset(email) {
+    const user = await this.findUserByEmail(email);
+    if (!user || !['active', 'pending_verification'].includes(user.status)) {
+      return false;
+    }
+
+    setImmediate(() => {
+      this.sendPasswordReset(user).catch(error => {
+        console.error(`Failed to send password reset email to user ${user.id}:`, error.message);
+      });
+    });
+    return true;
+  }
+
+  async sendPasswordReset(user) {
+    const { token, row } = await withTransaction(this.pool, client =>
+      this.issueToken(client, { type: TOKEN_TYPES.PASSWORD_RESET, userId: user.id }));
+
+    await this.sendTokenEmail(TOKEN_TYPES.PASSWORD_RESET, user.email, token, row.expires_at, { user });
+  }
+
+  // Reset links arrive by email, so using one also verifies the address
+  async resetPassword(token, password) {
+    const passwordHash = await hashPassword(password);
+
+    const userId = await withTransaction(this.pool, async (client) => {
+      const used = await this.consumeToken(client, token, TOKEN_TYPES.PASSWORD_RESET);
+
+      await client.query(`
+        UPDATE users
+        SET password_hash = $2,
+            email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+            status = CASE WHEN status = 'pending_verification' THEN 'active' ELSE status END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [used.user_id, passwordHash]);
+      return used.user_id;
+    });
+
+    const sessionsRevoked = await this.revokeSessions(userId);
+    return { userId, sessionsRevoked };
+  }
+
+  // ============================================
+  // EMAIL VERIFICATION
+  // ============================================
+
+  async sendEmailVerification(user) {
+    if (user.email_verified_at) {
+      throw new AccountTokenError('Email address is already verified', 'CONFLICT');
+    }
+
+    const { token, row } = await withTransaction(this.pool, client =>
+      this.issueToken(client, { type: TOKEN_TYPES.EMAIL_VERIFICATION, userId: user.id }));
+
+    await this.sendTokenEmail(TOKEN_TYPES.EMAIL_VERIFICATION, user.email, token, row.expires_at, { user });
+    return { expiresAt: new Date(row.expires_at).toISOString() };
+  }
+
+  async requestEmailVerification(userId) {
+    const result = await this.pool.query(`
+      SELECT id, email, first_name, email_verified_at FROM users WHERE id = $1 AND deleted_at IS NULL
+    `, [userId]);
+    if (result.rows.length === 0) {
+      throw new AccountTokenError('User not found', 'NOT_FOUND');
+    }
+    return this.sendEmailVerification(result.rows[0]);
+  }
+
+  async verifyEmail(token) {
+    const userId = await withTransaction(this.pool, async (client) => {
+      const used = await this.consumeToken(client, token, TOKEN_TYPES.EMAIL_VERIFICATION);
+
+      await client.query(`
+        UPDATE users
+        SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+            status = CASE WHEN status = 'pending_verification' THEN 'active' ELSE status END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [used.user_id]);
+      return used.user_id;
+    });
+
+    const sessionsRevoked = await this.revokeSessions(userId);
+    return { userId, sessionsRevoked };
+  }
+
+  // ============================================
+  // INVITATIONS
+  // ============================================
+
+  /**
+   * Invite someone to create an account with a preassigned role. Student invitations can
+   * name a classroom the inviter manages; the student is enrolled when they accept.
+   */
+  async createInvitation(input, inviter) {
+    validateInvitationInput(input, inviter.role);
+    const email = input.email.trim().toLowerCase();
+
+    if (await this.findUserByEmail(email)) {
+      throw new AccountTokenError('An account with this email already exists', 'CONFLICT');
+    }
+
+    let classroom = null;
+    if (input.classroomId) {
+      classroom = await getClassroomService().getClassroomRow(input.classroomId, inviter, { manageStudents: true });
+      if (!classroom.active) {
+        throw new AccountTokenError('Classroom is archived', 'CONFLICT');
+      }
+    }
+
+    const metadata = {
+      ...(input.firstName ? { firstName: input.firstName.trim() } : {}),
+      ...(input.lastName ? { lastName: input.lastName.trim() } : {}),
+      ...(input.message ? { message: input.message } : {})
+    };
+
+    const { token, row } = await withTransaction(this.pool, client => this.issueToken(client, {
+      type: TOKEN_TYPES.INVITATION,
+      email,
+      role: input.role,
+      classroomId: classroom ? classroom.id : null,
+      invitedBy: inviter.id,
+      metadata
+    }));
+
+    return this.deliverInvitation(row, token, inviter, classroom);
+  }
+
+  // Mail failures leave the invitation pending so it can be resent
+  async deliverInvitation(row, token, inviter, classroom) {
+    let emailSent = true;
+    try {
+      await this.sendTokenEmail(TOKEN_TYPES.INVITATION, row.email, token, row.expires_at, {
+        invitation: row,
+        inviter: await this.getInviter(inviter.id),
+        classroom
+      });
+    } catch (error) {
+      emailSent = false;
+      console.error(`Failed to send invitation ${row.id}:`, error.message);
+    }
+
+    return { ...(await this.getInvitation(row.id)), emailSent };
+  }
+
+  async getInviter(userId) {
+    const result = await this.pool.query('SELECT first_name, last_name FROM users WHERE id = $1', [userId]);
+    return result.rows[0] || {};
+  }
+
+  async getInvitation(invitationId, client = this.pool) {
+    const result = await client.query(`
+      SELECT t.*, c.name AS classroom_name, u.first_name AS inviter_first_name, u.last_name AS inviter_last_name
+      FROM auth_tokens t
+      LEFT JOIN classrooms c ON c.id = t.classroom_id
+      LEFT JOIN users u ON u.id = t.invited_by
+      WHERE t.id = $1 AND t.token_type = 'invitation'
+    `, [invitationId]);
+    return result.rows[0] ? formatInvitation(result.rows[0]) : null;
+  }
+
+  // Admins see every invitation, teachers the ones they sent
+  async listInvitations(inviter, { status = null, limit = 50, offset = 0 } = {}) {
+    const statusFilters = {
+      pending: 't.used_at IS NULL AND t.revoked_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP',
+      accepted: 't.used_at IS NOT NULL',
+      revoked: 't.used_at IS NULL AND t.revoked_at IS NOT NULL',
+      expired: 't.used_at IS NULL AND t.revoked_at IS NULL AND t.expires_at <= CURRENT_TIMESTAMP'
+    };
+    const where = `
+      WHERE t.token_type = 'invitation'
+        AND ($1::text IS NULL OR t.invited_by::text = $1)
+        ${status ? `AND ${statusFilters[status]}` : ''}
+    `;
+    const inviterId = inviter.role === 'admin' ? null : String(inviter.id);
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(`
+        SELECT t.*, c.name AS classroom_name, u.first_name AS inviter_first_name, u.last_name AS inviter_last_name
+        FROM auth_tokens t
+        LEFT JOIN classrooms c ON c.id = t.classroom_id
+        LEFT JOIN users u ON u.id = t.invited_by
+        ${where}
+        ORDER BY t.created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [inviterId, limit, offset]),
+      this.pool.query(`SELECT COUNT(*) AS total FROM auth_tokens t ${where}`, [inviterId])
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+    return {
+      invitations: result.rows.map(formatInvitation),
+      pagination: { limit, offset, total, hasMore: offset + limit < total }
+    };
+  }
+
+  async getOwnedInvitationRow(invitationId, inviter) {
+    if (!isId(invitationId)) {
+      throw new AccountTokenError('Invitation not found', 'NOT_FOUND');
+    }
+
+    const result = await this.pool.query(`
+      SELECT * FROM auth_tokens WHERE id = $1 AND token_type = 'invitation'
+    `, [invitationId]);
+    const row = result.rows[0];
+
+    if (!row) {
+      throw new AccountTokenError('Invitation not found', 'NOT_FOUND');
+    }
+    if (inviter.role !== 'admin' && String(row.invited_by) !== String(inviter.id)) {
+      throw new AccountTokenError('You can only manage invitations you sent', 'ACCESS_DENIED');
+    }
+    if (row.used_at) {
+      throw new AccountTokenError('Invitation has already been accepted', 'CONFLICT');
+    }
+    return row;
+  }
+
+  async revokeInvitation(invitationId, inviter) {
+    await this.getOwnedInvitationRow(invitationId, inviter);
+
+    await this.pool.query(`
+      UPDATE auth_tokens SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND used_at IS NULL
+    `, [invitationId]);
+    return this.getInvitation(invitationId);
+  }
+
+  // Send a fresh link (with a new expiry) for an unaccepted invitation
+  async resendInvitation(invitationId, inviter) {
+    const previous = await this.getOwnedInvitationRow(invitationId, inviter);
+
+    if (await this.findUserByEmail(previous.email)) {
+      throw new AccountTokenError('An account with this email already exists', 'CONFLICT');
+    }
+
+    let classroom = null;
+    if (previous.classroom_id) {
+      const result = await this.pool.query('SELECT id, name, active FROM classrooms WHERE id = $1', [previous.classroom_id]);
+      classroom = result.rows[0] && result.rows[0].active ? result.rows[0] : null;
+    }
+
+    const { token, row } = await withTransaction(this.pool, client => this.issueToken(client, {
+      type: TOKEN_TYPES.INVITATION,
+      email: previous.email,
+      role: previous.role,
+      classroomId: classroom ? classroom.id : null,
+      invitedBy: previous.invited_by,
+      metadata: previous.metadata
+    }));
+
+    return this.deliverInvitation(row, token, inviter, classroom);
+  }
+
+  // What the accept page shows before the invitee sets a password
+  async previewInvitation(token) {
+    const result = await this.pool.query(`
+      SELECT id FROM auth_tokens
+      WHERE token_hash = $1 AND token_type = 'invitation'
+        AND used_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `, [hashToken(token || '')]);
+
+    if (result.rows.length === 0) {
+      throw new AccountTokenError('This link is invalid or has expired', 'INVALID_TOKEN');
+    }
+
+    const { id, status, acceptedAt, revokedAt, ...invitation } = await this.getInvitation(result.rows[0].id);
+    return invitation;
+  }
+
+  /**
+   * Create the invited account: active and email-verified, since the link arrived by
+   * email. Students invited to a classroom that is still active are enrolled in it.
+   */
+  async acceptInvitation(token, profile) {
+    const passwordHash = await hashPassword(profile.password);
+
+    const user = await withTransaction(this.pool, async (client) => {
+      const invitation = await this.consumeToken(client, token, TOKEN_TYPES.INVITATION);
+
+      if (await this.findUserByEmail(invitation.email, client)) {
+        throw new AccountTokenError('An account with this email already exists', 'CONFLICT');
+      }
+
+      const firstName = profile.firstName || invitation.metadata.firstName;
+      const lastName = profile.lastName || invitation.metadata.lastName;
+      if (!firstName || !lastName) {
+        throw new AccountTokenError('Invalid account details', 'VALIDATION_ERROR', {
+          errors: ['firstName and lastName are required']
+        });
+      }
+
+      const userResult = await client.query(`
+        INSERT INTO users (email, password_hash, role, status, first_name, last_name, date_of_birth, email_verified_at)
+        VALUES ($1, $2, $3, 'active', $4, $5, $6, CURRENT_TIMESTAMP)
+        RETURNING id, email, role, first_name, last_name, created_at
+      `, [invitation.email, passwordHash, invitation.role, firstName, lastName, profile.dateOfBirth || null]);
+      const newUser = userResult.rows[0];
+
+      if (invitation.role === 'student') {
+        await client.query(`
+          INSERT INTO student_profiles (user_id, grade_level, learning_style) VALUES ($1, $2, $3)
+        `, [newUser.id, profile.gradeLevel || null, profile.learningStyle || null]);
+      } else if (invitation.role === 'teacher') {
+        await client.query(`
+          INSERT INTO teacher_profiles (user_id, school_name, subjects_taught) VALUES ($1, $2, $3)
+        `, [newUser.id, profile.schoolName || null, profile.subjectsTaught || []]);
+      } else if (invitation.role === 'parent') {
+        await client.query(`
+          INSERT INTO parent_profiles (user_id, relationship_type) VALUES ($1, $2)
+        `, [newUser.id, profile.relationshipType || null]);
+      }
+
+      await client.query(`
+        INSERT INTO privacy_settings (user_id, consent_date) VALUES ($1, CURRENT_TIMESTAMP)
+      `, [newUser.id]);
+
+      let classroomId = null;
+      if (invitation.classroom_id && invitation.role === 'student') {
+        const classroom = await client.query('SELECT active FROM classrooms WHERE id = $1', [invitation.classroom_id]);
+        if (classroom.rows[0] && classroom.rows[0].active) {
+          await getClassroomService().applyEnrollments(client, invitation.classroom_id, [newUser.id]);
+          classroomId = invitation.classroom_id;
+        }
+      }
+
+      return {
+        id: newUser.id,
+        email: newUser.email,
+        role: newUser.role,
+        firstName: newUser.first_name,
+        lastName: newUser.last_name,
+        classroomId,
+        createdAt: new Date(newUser.created_at).toISOString()
+      };
+    });
+
+    await this.revokeSessions(user.id);
+    return user;
+  }
+}
+
+// Singleton instance
+let accountTokenServiceInstance = null;
+
+const getAccountTokenService = () => {
+  if (!accountTokenServiceInstance) {
+    accountTokenServiceInstance = new AccountTokenService();
+  }
+  return accountTokenServiceInstance;
+};
+
+module.exports = {
+  AccountTokenService,
+  getAccountTokenService,
+  AccountTokenError,
+  TOKEN_TYPES,
+  INVITABLE_ROLES,
+  INVITATION_STATUSES,
+  hashToken,
+  generateToken,
+  validateInvitationInput
+};
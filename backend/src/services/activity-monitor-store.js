@@ -0,0 +1,498 @@
+const { Pool } = require('pg');
+
+// Activity monitor storage error class
+class ActivityMonitorStoreError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'ActivityMonitorStoreError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+// Alert statuses shared with the access control alerts in security_alerts
+const ALERT_STATUS = {
+  ACTIVE: 'active',
+  ACKNOWLEDGED: 'acknowledged',
+  ESCALATED: 'escalated',
+  INVESTIGATING: 'investigating',
+  RESOLVED: 'resolved',
+  FALSE_POSITIVE: 'false_positive'
+};
+
+// Statuses each action may start from
+const ACKNOWLEDGEABLE_STATUSES = [ALERT_STATUS.ACTIVE, ALERT_STATUS.ESCALATED];
+const ESCALATABLE_STATUSES = [ALERT_STATUS.ACTIVE, ALERT_STATUS.ACKNOWLEDGED];
+
+// Used when data_retention_policies has no row for a table
+const DEFAULT_RETENTION_DAYS = {
+  monitored_activities: 180,
+  security_alerts: 1095
+};
+
+const MAX_PAGE_SIZE = 100;
+
+const toNumber = (value) => (value === null || value === undefined ? 0 : parseFloat(value));
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const normalizePage = ({ limit = 20, offset = 0 } = {}) => ({
+  limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE),
+  offset: Math.max(parseInt(offset, 10) || 0, 0)
+});
+
+// Restricts a query to a teacher's assigned students; $n is the teacher id or NULL for admins
+const teacherScope = (column, param) => `
+  ($${param}::text IS NULL OR EXISTS (
+    SELECT 1 FROM teacher_student_assignments tsa
+    WHERE tsa.teacher_id::text = $${param} AND tsa.student_id::text = ${column} AND tsa.status = 'active'
+  ))`;
+
+// Row -> API shapes (match the in-memory ActivityMonitor objects)
+const formatActivity = (row) => ({
+  id: row.id,
+  studentId: row.student_id,
+  sessionId: row.session_id,
+  activityType: row.activity_type,
+  severity: row.severity,
+  details: row.details || {},
+  context: row.context || {},
+  riskScore: toNumber(row.risk_score),
+  flagged: row.flagged,
+  timestamp: toIso(row.occurred_at)
+});
+
+const formatSuspiciousActivity = (row) => ({
+  id: row.id,
+  studentId: row.student_id,
+  timestamp: toIso(row.occurred_at),
+  patterns: row.patterns || [],
+  riskLevel: row.risk_level,
+  escalated: Boolean(row.escalated_at),
+  escalatedAt: toIso(row.escalated_at),
+  alertCount: parseInt(row.alert_count, 10) || 0,
+  activity: formatActivity(row)
+});
+
+const formatProfileSnapshot = (row) => ({
+  activityId: row.id,
+  activityType: row.activity_type,
+  severity: row.severity,
+  riskScore: toNumber(row.risk_score),
+  flagged: row.flagged,
+  riskLevel: row.profile_risk_level,
+  totalRiskScore: toNumber(row.profile_total_risk_score),
+  activityCount: row.profile_activity_count,
+  violationCount: row.profile_violation_count,
+  timestamp: toIso(row.occurred_at)
+});
+
+const formatAlert = (row) => ({
+  id: row.id,
+  monitorAlertId: row.monitor_alert_id,
+  studentId: row.student_id,
+  activityId: row.activity_id,
+  type: row.activity_type,
+  severity: row.severity,
+  riskLevel: row.risk_level,
+  message: row.message,
+  status: row.status,
+  details: row.details || {},
+  acknowledged: row.acknowledged_at !== null,
+  acknowledgedBy: row.acknowledged_by,
+  acknowledgedAt: toIso(row.acknowledged_at),
+  escalatedBy: row.escalated_by,
+  escalatedAt: toIso(row.escalated_at),
+  escalationReason: row.escalation_reason,
+  notes: row.resolution_notes,
+  timestamp: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at)
+});
+
+class ActivityMonitorStore {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+  }
+
+  // ============================================
+  // WRITES FROM THE MONITOR
+  // ============================================
+
+  // Store an activity with the student's profile after it, plus any suspicious activity and alerts it raised
+  async saveActivity(activity, profile, { suspiciousActivity = null, alerts = [] } = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const riskLevel = suspiciousActivity
+        ? suspiciousActivity.riskLevel
+        : (alerts[0] ? alerts[0].riskLevel : null);
+
+      await client.query(`
+        INSERT INTO monitored_activities (
+          id, student_id, session_id, activity_type, severity, details, context, risk_score,
+          flagged, patterns, risk_level, escalated_at,
+          profile_risk_level, profile_total_risk_score, profile_activity_count, profile_violation_count,
+          occurred_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+        ON CONFLICT (id) DO NOTHING
+      `, [
+        activity.id,
+        String(activity.studentId),
+        activity.sessionId ? String(activity.sessionId) : null,
+        activity.activityType,
+        activity.severity,
+        JSON.stringify(activity.details || {}),
+        JSON.stringify(activity.context || {}),
+        activity.riskScore,
+        activity.flagged,
+        JSON.stringify(suspiciousActivity ? suspiciousActivity.patterns : []),
+        riskLevel,
+        suspiciousActivity && suspiciousActivity.escalated ? new Date() : null,
+        profile.riskLevel,
+        profile.totalRiskScore,
+        profile.activityCount,
+        profile.violationCount,
+        activity.timestamp
+      ]);
+
+      for (const alert of alerts) {
+        await client.query(`
+          INSERT INTO security_alerts (
+            monitor_alert_id, student_id, activity_id, user_role, activity_type, details,
+            severity, risk_level, message, status, created_at
+          ) VALUES ($1, $2, $3, 'student', $4, $5, $6, $7, $8, $9, $10)
+          ON CONFLICT (monitor_alert_id) DO NOTHING
+        `, [
+          alert.id,
+          String(alert.studentId),
+          activity.id,
+          alert.type,
+          JSON.stringify({ suspiciousActivityId: alert.suspiciousActivityId || null }),
+          alert.severity,
+          alert.riskLevel,
+          alert.message,
+          ALERT_STATUS.ACTIVE,
+          alert.timestamp
+        ]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new ActivityMonitorStoreError(
+        'Failed to store monitored activity',
+        'SAVE_ERROR',
+        { activityId: activity.id, originalError: error.message }
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  // Rebuild a student's risk profile from their latest stored snapshot; null when none is stored
+  async getLatestRiskProfile(studentId) {
+    const result = await this.pool.query(`
+      SELECT ma.*, bounds.first_seen
+      FROM monitored_activities ma
+      CROSS JOIN (
+        SELECT MIN(occurred_at) AS first_seen FROM monitored_activities WHERE student_id = $1
+      ) bounds
+      WHERE ma.student_id = $1
+      ORDER BY ma.occurred_at DESC, ma.created_at DESC
+      LIMIT 1
+    `, [String(studentId)]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      totalRiskScore: toNumber(row.profile_total_risk_score),
+      activityCount: row.profile_activity_count,
+      violationCount: row.profile_violation_count,
+      lastActivity: formatActivity(row),
+      riskLevel: row.profile_risk_level,
+      patterns: [],
+      escalationHistory: [],
+      firstSeen: toIso(row.first_seen),
+      lastSeen: toIso(row.occurred_at)
+    };
+  }
+
+  // ============================================
+  // QUERIES FOR TEACHERS AND ADMINS
+  // ============================================
+
+  // Flagged activities, newest first. teacherId limits results to that teacher's students
+  async listSuspiciousActivities({
+    studentId = null,
+    riskLevel = null,
+    escalated = null,
+    since = null,
+    until = null,
+    teacherId = null
+  } = {}, page = {}) {
+    const { limit, offset } = normalizePage(page);
+    const params = [
+      studentId ? String(studentId) : null,
+      riskLevel,
+      escalated,
+      since,
+      until,
+      teacherId ? String(teacherId) : null
+    ];
+    const where = `
+      WHERE ma.flagged = true
+        AND ($1::text IS NULL OR ma.student_id = $1)
+        AND ($2::text IS NULL OR ma.risk_level = $2)
+        AND ($3::boolean IS NULL OR (ma.escalated_at IS NOT NULL) = $3)
+        AND ($4::timestamptz IS NULL OR ma.occurred_at >= $4)
+        AND ($5::timestamptz IS NULL OR ma.occurred_at < $5)
+        AND ${teacherScope('ma.student_id', 6)}
+    `;
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(`
+        SELECT ma.*,
+          (SELECT COUNT(*) FROM security_alerts sa WHERE sa.activity_id = ma.id) AS alert_count
+        FROM monitored_activities ma
+        ${where}
+        ORDER BY ma.occurred_at DESC
+        LIMIT $7 OFFSET $8
+      `, [...params, limit, offset]),
+      this.pool.query(`SELECT COUNT(*) AS total FROM monitored_activities ma ${where}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+    return {
+      activities: result.rows.map(formatSuspiciousActivity),
+      pagination: { limit, offset, total, hasMore: offset + limit < total }
+    };
+  }
+
+  // A student's risk profile after each of their activities, newest first
+  async getRiskProfileHistory(studentId, { since = null, until = null } = {}, page = {}) {
+    const { limit, offset } = normalizePage(page);
+    const params = [String(studentId), since, until];
+    const where = `
+      WHERE student_id = $1
+        AND ($2::timestamptz IS NULL OR occurred_at >= $2)
+        AND ($3::timestamptz IS NULL OR occurred_at < $3)
+    `;
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(`
+        SELECT * FROM monitored_activities
+        ${where}
+        ORDER BY occurred_at DESC, created_at DESC
+        LIMIT $4 OFFSET $5
+      `, [...params, limit, offset]),
+      this.pool.query(`SELECT COUNT(*) AS total FROM monitored_activities ${where}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+    return {
+      history: result.rows.map(formatProfileSnapshot),
+      pagination: { limit, offset, total, hasMore: offset + limit < total }
+    };
+  }
+
+  // Monitor alerts, newest first. teacherId limits results to that teacher's students
+  async listAlerts({
+    status = null,
+    severity = null,
+    riskLevel = null,
+    studentId = null,
+    since = null,
+    until = null,
+    teacherId = null
+  } = {}, page = {}) {
+    const { limit, offset } = normalizePage(page);
+    const params = [
+      status,
+      severity,
+      riskLevel,
+      studentId ? String(studentId) : null,
+      since,
+      until,
+      teacherId ? String(teacherId) : null
+    ];
+    const where = `
+      WHERE sa.monitor_alert_id IS NOT NULL
+        AND ($1::text IS NULL OR sa.status = $1)
+        AND ($2::text IS NULL OR sa.severity = $2)
+        AND ($3::text IS NULL OR sa.risk_level = $3)
+        AND ($4::text IS NULL OR sa.student_id = $4)
+        AND ($5::timestamptz IS NULL OR sa.created_at >= $5)
+        AND ($6::timestamptz IS NULL OR sa.created_at < $6)
+        AND ${teacherScope('sa.student_id', 7)}
+    `;
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(`
+        SELECT sa.* FROM security_alerts sa
+        ${where}
+        ORDER BY sa.created_at DESC
+        LIMIT $8 OFFSET $9
+      `, [...params, limit, offset]),
+      this.pool.query(`SELECT COUNT(*) AS total FROM security_alerts sa ${where}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+    return {
+      alerts: result.rows.map(formatAlert),
+      pagination: { limit, offset, total, hasMore: offset + limit < total }
+    };
+  }
+
+  // Get a monitor alert; null when not found or outside the teacher's students
+  async getAlert(alertId, { teacherId = null } = {}) {
+    if (!/^\d+$/.test(String(alertId))) {
+      return null;
+    }
+
+    const result = await this.pool.query(`
+      SELECT sa.* FROM security_alerts sa
+      WHERE sa.id = $1 AND sa.monitor_alert_id IS NOT NULL
+        AND ${teacherScope('sa.student_id', 2)}
+    `, [alertId, teacherId ? String(teacherId) : null]);
+
+    return result.rows[0] ? formatAlert(result.rows[0]) : null;
+  }
+
+  async acknowledgeAlert(alertId, userId, { notes = null, teacherId = null } = {}) {
+    return this.transitionAlert(alertId, ACKNOWLEDGEABLE_STATUSES, { teacherId }, `
+      UPDATE security_alerts
+      SET status = '${ALERT_STATUS.ACKNOWLEDGED}', acknowledged_by = $2, acknowledged_at = CURRENT_TIMESTAMP,
+          resolution_notes = COALESCE($3, resolution_notes), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [alertId, userId, notes]);
+  }
+
+  // Escalate to administrators; the flagged activity is marked escalated as well
+  async escalateAlert(alertId, userId, { reason = null, teacherId = null } = {}) {
+    const alert = await this.transitionAlert(alertId, ESCALATABLE_STATUSES, { teacherId }, `
+      UPDATE security_alerts
+      SET status = '${ALERT_STATUS.ESCALATED}', escalated_by = $2, escalated_at = CURRENT_TIMESTAMP,
+          escalation_reason = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [alertId, userId, reason]);
+
+    if (alert && alert.activityId) {
+      await this.pool.query(`
+        UPDATE monitored_activities SET escalated_at = COALESCE(escalated_at, CURRENT_TIMESTAMP)
+        WHERE id = $1
+      `, [alert.activityId]);
+    }
+
+    return alert;
+  }
+
+  // Apply a status change, returning null when the alert is not visible and throwing when the status does not allow it
+  async transitionAlert(alertId, fromStatuses, { teacherId }, updateQuery, params) {
+    const alert = await this.getAlert(alertId, { teacherId });
+    if (!alert) return null;
+
+    if (!fromStatuses.includes(alert.status)) {
+      throw new ActivityMonitorStoreError(
+        `Alert is ${alert.status}`,
+        'INVALID_STATUS',
+        { alertId: alert.id, status: alert.status, allowed: fromStatuses }
+      );
+    }
+
+    const result = await this.pool.query(updateQuery, params);
+    return formatAlert(result.rows[0]);
+  }
+
+  async isStudentAssignedToTeacher(teacherId, studentId) {
+    const result = await this.pool.query(`
+      SELECT 1 FROM teacher_student_assignments
+      WHERE teacher_id::text = $1 AND student_id::text = $2 AND status = 'active'
+      LIMIT 1
+    `, [String(teacherId), String(studentId)]);
+    return result.rows.length > 0;
+  }
+
+  // ============================================
+  // RETENTION
+  // ============================================
+
+  // Delete data past its data_retention_policies period. Each policy runs at most once a day
+  async purgeExpiredData() {
+    const policies = await this.pool.query(`
+      SELECT id, table_name, retention_period_days,
+        (next_cleanup_run IS NULL OR next_cleanup_run <= CURRENT_TIMESTAMP) AS due
+      FROM data_retention_policies
+      WHERE table_name IN ('monitored_activities', 'security_alerts') AND is_active = true
+    `);
+    const policyByTable = new Map(policies.rows.map(row => [row.table_name, row]));
+    const isDue = (tableName) => !policyByTable.has(tableName) || policyByTable.get(tableName).due;
+
+    const purged = { activities: 0, alerts: 0 };
+
+    if (isDue('monitored_activities')) {
+      const days = this.getRetentionDays(policyByTable, 'monitored_activities');
+      const result = await this.pool.query(`
+        DELETE FROM monitored_activities
+        WHERE occurred_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+      `, [days]);
+      purged.activities = result.rowCount;
+      await this.recordCleanupRun(policyByTable.get('monitored_activities'));
+    }
+
+    // Only closed monitor alerts; open ones and access control alerts are left alone
+    if (isDue('security_alerts')) {
+      const days = this.getRetentionDays(policyByTable, 'security_alerts');
+      const result = await this.pool.query(`
+        DELETE FROM security_alerts
+        WHERE monitor_alert_id IS NOT NULL
+          AND status NOT IN ('${ALERT_STATUS.ACTIVE}', '${ALERT_STATUS.ESCALATED}')
+          AND created_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+      `, [days]);
+      purged.alerts = result.rowCount;
+      await this.recordCleanupRun(policyByTable.get('security_alerts'));
+    }
+
+    return purged;
+  }
+
+  getRetentionDays(policyByTable, tableName) {
+    const policy = policyByTable.get(tableName);
+    return policy ? policy.retention_period_days : DEFAULT_RETENTION_DAYS[tableName];
+  }
+
+  async recordCleanupRun(policy) {
+    if (!policy) return;
+
+    await this.pool.query(`
+      UPDATE data_retention_policies
+      SET last_cleanup_run = CURRENT_TIMESTAMP, next_cleanup_run = CURRENT_TIMESTAMP + INTERVAL '1 day',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [policy.id]);
+  }
+}
+
+// Singleton instance
+let activityMonitorStoreInstance = null;
+
+const getActivityMonitorStore = () => {
+  if (!activityMonitorStoreInstance) {
+    activityMonitorStoreInstance = new ActivityMonitorStore();
+  }
+  return activityMonitorStoreInstance;
+};
+
+module.exports = {
+  ActivityMonitorStore,
+  getActivityMonitorStore,
+  ActivityMonitorStoreError,
+  ALERT_STATUS
+};
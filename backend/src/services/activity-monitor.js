@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const { safetyFilter } = require('./safety-filter');
 const { responseValidator } = require('./response-validator');
+const { getActivityMonitorStore } = require('./activity-monitor-store');
 
 // Activity monitoring error classes
 class ActivityMonitorError extends Error {
@@ -128,7 +129,11 @@ const RISK_WEIGHTS = {
 };
 
 class ActivityMonitor {
-  constructor() {
+  // options.store: persistence for activities, profiles and alerts (defaults to Postgres when DATABASE_URL is set, null keeps everything in memory)
+  constructor(options = {}) {
+    this.store = options.store !== undefined
+      ? options.store
+      : (process.env.DATABASE_URL ? getActivityMonitorStore() : null);
     this.activityLog = [];
     this.suspiciousActivities = [];
     this.alertQueue = [];
@@ -218,7 +223,8 @@ class ActivityMonitor {
       // Log the activity
       this.activityLog.push(activityEntry);
 
-      // Update student risk profile
+      // Update student risk profile (restored from storage after a restart)
+      await this.loadStudentRiskProfile(studentId);
       this.updateStudentRiskProfile(studentId, activityEntry);
 
       // Update session tracking
@@ -229,12 +235,13 @@ class ActivityMonitor {
       
       // Check if we should generate alerts for high-risk activities even without patterns
       const shouldGenerateDirectAlert = this.shouldGenerateDirectAlert(activityEntry, suspiciousPatterns);
+      let suspiciousActivity = null;
       
       if (suspiciousPatterns.length > 0 || shouldGenerateDirectAlert) {
         activityEntry.flagged = true;
         
         if (suspiciousPatterns.length > 0) {
-          await this.handleSuspiciousActivity(studentId, suspiciousPatterns, activityEntry);
+          suspiciousActivity = await this.handleSuspiciousActivity(studentId, suspiciousPatterns, activityEntry);
         }
         
         // Generate direct alert for high-risk activities without patterns
@@ -243,7 +250,9 @@ class ActivityMonitor {
         }
       }
 
-      // Keep log size manageable
+      await this.persistActivity(activityEntry, suspiciousActivity);
+
+      // Keep the in-memory detection window manageable; the store keeps the full history
       if (this.activityLog.length > 10000) {
         this.activityLog = this.activityLog.slice(-5000);
       }
@@ -301,6 +310,42 @@ class ActivityMonitor {
     return Math.round(riskScore * 100) / 100;
   }
 
+  // Restore a student's risk profile from storage when it is not in memory
+  async loadStudentRiskProfile(studentId) {
+    if (!this.store || this.studentRiskProfiles.has(studentId)) {
+      return;
+    }
+
+    try {
+      const profile = await this.store.getLatestRiskProfile(studentId);
+      if (profile && !this.studentRiskProfiles.has(studentId)) {
+        this.studentRiskProfiles.set(studentId, profile);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load student risk profile:', error.message);
+    }
+  }
+
+  // Store an activity with the profile it produced and the alerts it raised. Storage failures are logged, not thrown
+  async persistActivity(activity, suspiciousActivity = null) {
+    if (!this.store) {
+      return;
+    }
+
+    const alerts = activity.flagged
+      ? this.alertQueue.filter(alert => alert.activityId === activity.id)
+      : [];
+
+    try {
+      await this.store.saveActivity(activity, this.studentRiskProfiles.get(activity.studentId), {
+        suspiciousActivity,
+        alerts
+      });
+    } catch (error) {
+      console.error('❌ Failed to store monitored activity:', error.details?.originalError || error.message);
+    }
+  }
+
   // Update student risk profile
   updateStudentRiskProfile(studentId, activity) {
     if (!this.studentRiskProfiles.has(studentId)) {
@@ -633,6 +678,7 @@ class ActivityMonitor {
       message: this.generateAlertMessage(pattern),
       timestamp: new Date().toISOString(),
       suspiciousActivityId: suspiciousActivity.id,
+      activityId: suspiciousActivity.activity.id,
       acknowledged: false,
       assignedTo: null,
       actions: []
@@ -783,8 +829,8 @@ class ActivityMonitor {
     return stats;
   }
 
-  // Clean up old data
-  cleanupOldData() {
+  // Clean up old in-memory data and apply the storage retention policies
+  async cleanupOldData() {
     const cutoff = Date.now() - (7 * 24 * 60 * 60 * 1000); // 7 days ago
 
     // Clean old activity logs
@@ -810,6 +856,21 @@ class ActivityMonitor {
     }
 
     console.log('🧹 Cleaned up old monitoring data');
+
+    if (!this.store) {
+      return null;
+    }
+
+    try {
+      const purged = await this.store.purgeExpiredData();
+      if (purged.activities > 0 || purged.alerts > 0) {
+        console.log(`🧹 Purged ${purged.activities} stored activities and ${purged.alerts} closed alerts past retention`);
+      }
+      return purged;
+    } catch (error) {
+      console.error('❌ Failed to purge stored monitoring data:', error.message);
+      return null;
+    }
   }
 
   // Health check
@@ -824,6 +885,7 @@ class ActivityMonitor {
         activeAlerts: this.alertQueue.filter(a => !a.acknowledged).length,
         patternDetectors: this.patternDetectors.size
       },
+      persistence: this.store ? 'postgres' : 'memory',
       patterns: Object.keys(ACTIVITY_PATTERNS),
       timestamp: new Date().toISOString()
     };
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
 const { getAIConfig, getCurrentEnvironment } = require('../config/environment');
 
 // Supported AI providers
@@ -35,6 +36,175 @@ class AIContentFilterError extends AIServiceError {
   }
 }
 
+class AITimeoutError extends AIServiceError {
+  constructor(message, provider, timeoutMs = null) {
+    super(message, provider);
+    this.name = 'AITimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Circuit breaker states
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',       // Requests flow normally
+  OPEN: 'open',           // Provider is skipped until the cooldown expires
+  HALF_OPEN: 'half_open'  // One trial request decides whether to close or re-open
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (retryAfter) => {
+  if (retryAfter === null || retryAfter === undefined || retryAfter === '') {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Per-provider circuit breaker. Opens after failureThreshold consecutive failures, or immediately
+// on a rate limit (for the provider's Retry-After when it sends one).
+class CircuitBreaker {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.failureThreshold = config.failureThreshold || 3;
+    this.cooldownMs = config.cooldownMs || 30000;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.totalFailures = 0;
+    this.totalSuccesses = 0;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.openReason = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a request may be sent now; an expired open circuit lets a single trial through
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() < this.retryAt) {
+        return false;
+      }
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      console.log(`🔌 Circuit closed for AI provider ${this.name}`);
+    }
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.totalSuccesses++;
+    this.openedAt = null;
+    this.retryAt = null;
+    this.openReason = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.trialInFlight = false;
+    this.lastError = {
+      type: error?.name || 'Error',
+      message: error?.message || 'Unknown error',
+      at: new Date().toISOString()
+    };
+
+    if (error instanceof AIRateLimitError) {
+      this.open(parseRetryAfter(error.retryAfter) ?? this.cooldownMs, 'rate_limited');
+    } else if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.open(this.cooldownMs, 'consecutive_failures');
+    }
+  }
+
+  // Give up a trial slot without an outcome (e.g. the caller stopped reading a stream)
+  release() {
+    this.trialInFlight = false;
+  }
+
+  open(durationMs, reason) {
+    this.state = CIRCUIT_STATES.OPEN;
+    this.openedAt = Date.now();
+    this.retryAt = this.openedAt + durationMs;
+    this.openReason = reason;
+    console.warn(`🔌 Circuit opened for AI provider ${this.name} (${reason}), retrying after ${Math.round(durationMs / 1000)}s`);
+  }
+
+  isOpen() {
+    return this.state === CIRCUIT_STATES.OPEN && Date.now() < this.retryAt;
+  }
+
+  getState() {
+    return {
+      state: this.state === CIRCUIT_STATES.OPEN && !this.isOpen() ? CIRCUIT_STATES.HALF_OPEN : this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      totalFailures: this.totalFailures,
+      totalSuccesses: this.totalSuccesses,
+      openReason: this.openReason,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.retryAt ? new Date(this.retryAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Split a streamed HTTP body into complete lines (NDJSON and SSE are both line-based). The
+// decoder holds back a multibyte character split across two network chunks.
+async function* readStreamLines(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line.trim().length > 0) {
+        yield line;
+      }
+    }
+  }
+  buffer += decoder.end();
+  if (buffer.trim().length > 0) {
+    yield buffer.trim();
+  }
+}
+
+// Parse the `data:` payload of a Server-Sent Events line, returning null for non-data lines
+const parseSSEData = (line) => {
+  if (!line.startsWith('data:')) {
+    return null;
+  }
+  const payload = line.slice(5).trim();
+  if (payload === '[DONE]') {
+    return { done: true };
+  }
+  try {
+    return JSON.parse(payload);
+  } catch (error) {
+    return null;
+  }
+};
+
 // Base AI Provider class
 class BaseAIProvider {
   constructor(config) {
@@ -51,6 +221,17 @@ class BaseAIProvider {
     throw new Error('checkHealth must be implemented by subclass');
   }
 
+  // Streaming variant of generateResponse. Yields { type: 'token', text } chunks followed by
+  // a single { type: 'done', ... } chunk carrying the same metadata as generateResponse.
+  // Providers without native streaming fall back to emitting the full response as one token.
+  async *streamResponse(prompt, options = {}) {
+    const result = await this.generateResponse(prompt, options);
+    if (result.text) {
+      yield { type: 'token', text: result.text };
+    }
+    yield { type: 'done', ...result };
+  }
+
   // Common utility methods
   validatePrompt(prompt) {
     if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
@@ -64,6 +245,18 @@ class BaseAIProvider {
     return true;
   }
 
+  // Streamed tokens keep their whitespace (a leading space is part of the next word), so only
+  // strip the characters sanitizeResponse would remove from the final text
+  sanitizeChunk(chunk) {
+    if (!chunk || typeof chunk !== 'string') {
+      return '';
+    }
+
+    return chunk
+      .replace(/\0/g, '')
+      .replace(/[\u0001-\u0009\u000B-\u001F\u007F-\u009F]/g, '');
+  }
+
   sanitizeResponse(response) {
     if (!response || typeof response !== 'string') {
       return '';
@@ -135,14 +328,95 @@ class OllamaProvider extends BaseAIProvider {
     } catch (error) {
       if (error.code === 'ECONNREFUSED') {
         throw new AIServiceError('Ollama service unavailable', this.name, error);
+      } else if (error.code === 'ECONNABORTED') {
+        throw new AITimeoutError(`Ollama did not respond within ${this.timeout}ms`, this.name, this.timeout);
       } else if (error.response?.status === 429) {
-        throw new AIRateLimitError('Ollama rate limit exceeded', this.name);
+        throw new AIRateLimitError('Ollama rate limit exceeded', this.name, error.response.headers?.['retry-after']);
       } else {
         throw new AIServiceError(this.formatError(error, 'generateResponse'), this.name, error);
       }
     }
   }
 
+  async *streamResponse(prompt, options = {}) {
+    this.validatePrompt(prompt);
+
+    let response;
+    try {
+      response = await axios({
+        method: 'POST',
+        url: `${this.baseURL}/api/generate`,
+        timeout: this.timeout,
+        responseType: 'stream',
+        data: {
+          model: options.model || this.model,
+          prompt: prompt,
+          stream: true,
+          options: {
+            temperature: options.temperature || 0.7,
+            top_p: options.topP || 0.9,
+            max_tokens: options.maxTokens || 1000,
+            stop: options.stopSequences || []
+          }
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ECONNREFUSED') {
+        throw new AIServiceError('Ollama service unavailable', this.name, error);
+      } else if (error.code === 'ECONNABORTED') {
+        throw new AITimeoutError(`Ollama did not respond within ${this.timeout}ms`, this.name, this.timeout);
+      } else if (error.response?.status === 429) {
+        throw new AIRateLimitError('Ollama rate limit exceeded', this.name, error.response.headers?.['retry-after']);
+      }
+      throw new AIServiceError(this.formatError(error, 'streamResponse'), this.name, error);
+    }
+
+    // Ollama streams newline-delimited JSON objects, the last one has done: true
+    let fullText = '';
+    let finalChunk = null;
+    try {
+      for await (const line of readStreamLines(response.data)) {
+        let data;
+        try {
+          data = JSON.parse(line);
+        } catch (parseError) {
+          continue;
+        }
+
+        if (data.error) {
+          throw new AIServiceError(`Ollama stream error: ${data.error}`, this.name);
+        }
+
+        const text = this.sanitizeChunk(data.response);
+        if (text) {
+          fullText += text;
+          yield { type: 'token', text };
+        }
+
+        if (data.done) {
+          finalChunk = data;
+          break;
+        }
+      }
+    } catch (error) {
+      if (error instanceof AIServiceError) throw error;
+      throw new AIServiceError(this.formatError(error, 'streamResponse'), this.name, error);
+    }
+
+    yield {
+      type: 'done',
+      text: this.sanitizeResponse(fullText),
+      provider: this.name,
+      model: this.model,
+      usage: {
+        promptTokens: finalChunk?.prompt_eval_count || 0,
+        completionTokens: finalChunk?.eval_count || 0,
+        totalTokens: (finalChunk?.prompt_eval_count || 0) + (finalChunk?.eval_count || 0)
+      },
+      finishReason: finalChunk ? 'stop' : 'length'
+    };
+  }
+
   async checkHealth() {
     try {
       const response = await axios.get(`${this.baseURL}/api/tags`, { timeout: 5000 });
@@ -223,7 +497,9 @@ class OpenAIProvider extends BaseAIProvider {
         throw new AIServiceError('Invalid response format from OpenAI', this.name);
       }
     } catch (error) {
-      if (error.response?.status === 429) {
+      if (error.code === 'ECONNABORTED') {
+        throw new AITimeoutError(`OpenAI did not respond within ${this.timeout}ms`, this.name, this.timeout);
+      } else if (error.response?.status === 429) {
         const retryAfter = error.response.headers['retry-after'];
         throw new AIRateLimitError('OpenAI rate limit exceeded', this.name, retryAfter);
       } else if (error.response?.status === 400 && error.response.data?.error?.type === 'invalid_request_error') {
@@ -234,6 +510,91 @@ class OpenAIProvider extends BaseAIProvider {
     }
   }
 
+  async *streamResponse(prompt, options = {}) {
+    this.validatePrompt(prompt);
+
+    let response;
+    try {
+      response = await axios({
+        method: 'POST',
+        url: `${this.baseURL}/chat/completions`,
+        timeout: this.timeout,
+        responseType: 'stream',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        data: {
+          model: options.model || this.model,
+          messages: [
+            {
+              role: 'user',
+              content: prompt
+            }
+          ],
+          temperature: options.temperature || 0.7,
+          top_p: options.topP || 0.9,
+          max_tokens: options.maxTokens || 1000,
+          stop: options.stopSequences || null,
+          stream: true,
+          stream_options: { include_usage: true }
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        throw new AITimeoutError(`OpenAI did not respond within ${this.timeout}ms`, this.name, this.timeout);
+      } else if (error.response?.status === 429) {
+        const retryAfter = error.response.headers['retry-after'];
+        throw new AIRateLimitError('OpenAI rate limit exceeded', this.name, retryAfter);
+      } else if (error.response?.status === 400) {
+        throw new AIContentFilterError('Content filtered by OpenAI', this.name, error.message);
+      }
+      throw new AIServiceError(this.formatError(error, 'streamResponse'), this.name, error);
+    }
+
+    let fullText = '';
+    let model = options.model || this.model;
+    let finishReason = 'unknown';
+    let usage = null;
+    try {
+      for await (const line of readStreamLines(response.data)) {
+        const data = parseSSEData(line);
+        if (!data) continue;
+        if (data.done) break;
+
+        model = data.model || model;
+        if (data.usage) {
+          usage = data.usage;
+        }
+
+        const choice = data.choices?.[0];
+        const text = this.sanitizeChunk(choice?.delta?.content);
+        if (text) {
+          fullText += text;
+          yield { type: 'token', text };
+        }
+        if (choice?.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+      }
+    } catch (error) {
+      throw new AIServiceError(this.formatError(error, 'streamResponse'), this.name, error);
+    }
+
+    yield {
+      type: 'done',
+      text: this.sanitizeResponse(fullText),
+      provider: this.name,
+      model,
+      usage: {
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        totalTokens: usage?.total_tokens || 0
+      },
+      finishReason
+    };
+  }
+
   async checkHealth() {
     try {
       const response = await axios.get(`${this.baseURL}/models`, {
@@ -257,6 +618,184 @@ class OpenAIProvider extends BaseAIProvider {
   }
 }
 
+// Anthropic Provider (Messages API)
+class AnthropicProvider extends BaseAIProvider {
+  constructor(config) {
+    super(config);
+    this.name = AI_PROVIDERS.ANTHROPIC;
+    this.apiKey = config.apiKey;
+    this.model = config.model || 'claude-3-haiku-20240307';
+    this.baseURL = config.endpoint || 'https://api.anthropic.com/v1';
+    this.apiVersion = config.apiVersion || '2023-06-01';
+    this.timeout = config.timeout || 30000;
+
+    if (!this.apiKey) {
+      throw new AIServiceError('Anthropic API key is required', this.name);
+    }
+  }
+
+  buildRequest(prompt, options = {}, stream = false) {
+    const data = {
+      model: options.model || this.model,
+      max_tokens: options.maxTokens || 1000,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: options.temperature || 0.7,
+      top_p: options.topP || 0.9,
+      stream
+    };
+
+    if (options.stopSequences?.length) {
+      data.stop_sequences = options.stopSequences;
+    }
+
+    return {
+      method: 'POST',
+      url: `${this.baseURL}/messages`,
+      timeout: this.timeout,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': this.apiVersion,
+        'Content-Type': 'application/json'
+      },
+      data
+    };
+  }
+
+  translateError(error, context) {
+    if (error instanceof AIServiceError) {
+      return error;
+    }
+    if (error.code === 'ECONNABORTED') {
+      return new AITimeoutError(`Anthropic did not respond within ${this.timeout}ms`, this.name, this.timeout);
+    }
+    if (error.response?.status === 429) {
+      const retryAfter = error.response.headers?.['retry-after'];
+      return new AIRateLimitError('Anthropic rate limit exceeded', this.name, retryAfter);
+    }
+    return new AIServiceError(this.formatError(error, context), this.name, error);
+  }
+
+  async generateResponse(prompt, options = {}) {
+    this.validatePrompt(prompt);
+
+    try {
+      const response = await axios(this.buildRequest(prompt, options));
+      const text = (response.data?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      if (!text) {
+        throw new AIServiceError('Invalid response format from Anthropic', this.name);
+      }
+
+      const usage = response.data.usage || {};
+      return {
+        text: this.sanitizeResponse(text),
+        provider: this.name,
+        model: response.data.model || this.model,
+        usage: {
+          promptTokens: usage.input_tokens || 0,
+          completionTokens: usage.output_tokens || 0,
+          totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+        },
+        finishReason: response.data.stop_reason || 'unknown'
+      };
+    } catch (error) {
+      throw this.translateError(error, 'generateResponse');
+    }
+  }
+
+  async *streamResponse(prompt, options = {}) {
+    this.validatePrompt(prompt);
+
+    let response;
+    try {
+      response = await axios({ ...this.buildRequest(prompt, options, true), responseType: 'stream' });
+    } catch (error) {
+      throw this.translateError(error, 'streamResponse');
+    }
+
+    let fullText = '';
+    let model = options.model || this.model;
+    let finishReason = 'unknown';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    try {
+      for await (const line of readStreamLines(response.data)) {
+        const event = parseSSEData(line);
+        if (!event) continue;
+
+        switch (event.type) {
+          case 'message_start':
+            model = event.message?.model || model;
+            usage.input_tokens = event.message?.usage?.input_tokens || 0;
+            break;
+          case 'content_block_delta': {
+            const text = this.sanitizeChunk(event.delta?.text);
+            if (text) {
+              fullText += text;
+              yield { type: 'token', text };
+            }
+            break;
+          }
+          case 'message_delta':
+            finishReason = event.delta?.stop_reason || finishReason;
+            usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+            break;
+          case 'error':
+            throw new AIServiceError(`Anthropic stream error: ${event.error?.message}`, this.name);
+          default:
+            break;
+        }
+      }
+    } catch (error) {
+      throw this.translateError(error, 'streamResponse');
+    }
+
+    yield {
+      type: 'done',
+      text: this.sanitizeResponse(fullText),
+      provider: this.name,
+      model,
+      usage: {
+        promptTokens: usage.input_tokens,
+        completionTokens: usage.output_tokens,
+        totalTokens: usage.input_tokens + usage.output_tokens
+      },
+      finishReason
+    };
+  }
+
+  async checkHealth() {
+    try {
+      const response = await axios.get(`${this.baseURL}/models`, {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': this.apiVersion
+        },
+        timeout: 5000
+      });
+
+      return {
+        healthy: true,
+        provider: this.name,
+        models: response.data?.data?.map(m => m.id) || [this.model]
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        provider: this.name,
+        error: error.response?.data?.error?.message || error.message
+      };
+    }
+  }
+}
+
 // Mock Provider (for testing/development)
 class MockProvider extends BaseAIProvider {
   constructor(config) {
@@ -295,6 +834,22 @@ class MockProvider extends BaseAIProvider {
     };
   }
 
+  // Emits the mock response word by word so the streaming UI can be exercised offline
+  async *streamResponse(prompt, options = {}) {
+    const result = await this.generateResponse(prompt, options);
+    const tokens = result.text.match(/\s*\S+/g) || [];
+    const tokenDelay = this.config.tokenDelay ?? 40;
+
+    for (const token of tokens) {
+      if (tokenDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, tokenDelay));
+      }
+      yield { type: 'token', text: token };
+    }
+
+    yield { type: 'done', ...result };
+  }
+
   async checkHealth() {
     return {
       healthy: true,
@@ -311,62 +866,70 @@ class AIService {
     this.config = getAIConfig();
     this.env = getCurrentEnvironment();
     this.providers = new Map();
+    this.providerChain = [];
+    this.breakers = new Map();
     this.activeProvider = null;
     this.fallbackProvider = null;
+    this.timeout = this.config.timeout || 30000;
+    this.retries = this.config.retries ?? 2;
+    this.retryBaseDelay = this.config.retryBaseDelay ?? 500;
     
     this.initializeProviders();
   }
 
-  initializeProviders() {
-    const providers = [];
-    
+  // Default chain when AI_PROVIDER_CHAIN is not set
+  getDefaultProviderChain() {
     // Development environment - prefer mock for stability
     if (this.env === 'development') {
-      providers.push(
-        { type: AI_PROVIDERS.MOCK, config: { delay: 500 } },
-        { type: AI_PROVIDERS.OLLAMA, config: this.config }
-      );
-    } else {
-      // Production/staging - prefer real AI providers
-      if (this.config.apiKey) {
-        providers.push({ type: AI_PROVIDERS.OPENAI, config: this.config });
-      }
-      providers.push(
-        { type: AI_PROVIDERS.OLLAMA, config: this.config },
-        { type: AI_PROVIDERS.MOCK, config: { delay: 100 } }
-      );
+      return [AI_PROVIDERS.MOCK, AI_PROVIDERS.OLLAMA];
     }
 
-    // Initialize providers
-    for (const { type, config } of providers) {
+    // Production/staging - prefer real AI providers
+    const chain = [];
+    if (this.config.apiKey) {
+      chain.push(AI_PROVIDERS.OPENAI);
+    }
+    if (this.config.anthropic?.apiKey) {
+      chain.push(AI_PROVIDERS.ANTHROPIC);
+    }
+    chain.push(AI_PROVIDERS.OLLAMA, AI_PROVIDERS.MOCK);
+    return chain;
+  }
+
+  createProvider(type) {
+    switch (type) {
+      case AI_PROVIDERS.OLLAMA:
+        return new OllamaProvider(this.config);
+      case AI_PROVIDERS.OPENAI:
+        return new OpenAIProvider(this.config);
+      case AI_PROVIDERS.ANTHROPIC:
+        return new AnthropicProvider({ ...this.config, ...this.config.anthropic });
+      case AI_PROVIDERS.MOCK:
+        return new MockProvider({ delay: this.env === 'development' ? 500 : 100 });
+      default:
+        console.warn(`Unknown AI provider type: ${type}`);
+        return null;
+    }
+  }
+
+  initializeProviders() {
+    const chain = this.config.providerChain || this.getDefaultProviderChain();
+
+    // Initialize providers in chain order
+    for (const type of chain) {
+      if (this.providers.has(type)) {
+        continue;
+      }
+
       try {
-        let provider;
-        switch (type) {
-          case AI_PROVIDERS.OLLAMA:
-            provider = new OllamaProvider(config);
-            break;
-          case AI_PROVIDERS.OPENAI:
-            provider = new OpenAIProvider(config);
-            break;
-          case AI_PROVIDERS.MOCK:
-            provider = new MockProvider(config);
-            break;
-          default:
-            console.warn(`Unknown AI provider type: ${type}`);
-            continue;
+        const provider = this.createProvider(type);
+        if (!provider) {
+          continue;
         }
         
         this.providers.set(type, provider);
-        
-        // Set active provider (first successful one)
-        if (!this.activeProvider) {
-          this.activeProvider = provider;
-        }
-        
-        // Set fallback provider (prefer mock for reliability)
-        if (!this.fallbackProvider && type === AI_PROVIDERS.MOCK) {
-          this.fallbackProvider = provider;
-        }
+        this.providerChain.push(provider);
+        this.breakers.set(type, new CircuitBreaker(type, this.config.circuitBreaker));
         
         console.log(`✅ AI Provider initialized: ${type}`);
       } catch (error) {
@@ -374,57 +937,203 @@ class AIService {
       }
     }
 
-    if (!this.activeProvider) {
+    if (this.providerChain.length === 0) {
       throw new AIServiceError('No AI providers could be initialized', 'service');
     }
 
-    console.log(`🤖 Active AI provider: ${this.activeProvider.name}`);
-    if (this.fallbackProvider) {
-      console.log(`🔄 Fallback AI provider: ${this.fallbackProvider.name}`);
+    // Active provider is the head of the chain; fallback is reported for compatibility (prefer mock)
+    this.activeProvider = this.providerChain[0];
+    this.fallbackProvider = this.providers.get(AI_PROVIDERS.MOCK) || this.providerChain[this.providerChain.length - 1];
+
+    console.log(`🤖 AI provider chain: ${this.providerChain.map(p => p.name).join(' → ')}`);
+  }
+
+  // Reject a provider call that takes longer than the configured timeout
+  withTimeout(promise, provider) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(new AITimeoutError(`${provider.name} did not respond within ${this.timeout}ms`, provider.name, this.timeout));
+      }, this.timeout);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Wrap a provider stream so a stalled stream (no chunk within the timeout) fails instead of hanging
+  async *withStreamTimeout(stream, provider) {
+    const iterator = stream[Symbol.asyncIterator]();
+    try {
+      while (true) {
+        const { value, done } = await this.withTimeout(iterator.next(), provider);
+        if (done) {
+          return;
+        }
+        yield value;
+      }
+    } finally {
+      iterator.return?.().catch(() => {});
+    }
+  }
+
+  // Rate limits and timeouts move straight on to the next provider; other failures are retried
+  isRetryable(error) {
+    return !(error instanceof AIRateLimitError) &&
+      !(error instanceof AITimeoutError) &&
+      !(error instanceof AIContentFilterError);
+  }
+
+  getRetryDelay(attempt) {
+    return this.retryBaseDelay * Math.pow(2, attempt);
+  }
+
+  // Call one provider with exponential retry, recording every outcome on its circuit breaker
+  async callWithRetry(provider, breaker, operation) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await operation();
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        // A content filter rejection means the provider is up; it is about the prompt
+        if (error instanceof AIContentFilterError) {
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        breaker.recordFailure(error);
+        if (!this.isRetryable(error) || attempt >= this.retries || breaker.isOpen()) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt);
+        console.warn(`🔁 Retrying ${provider.name} in ${delay}ms (attempt ${attempt + 2}/${this.retries + 1}): ${error.message}`);
+        await sleep(delay);
+      }
     }
   }
 
-  // Main method for generating AI responses
+  // Main method for generating AI responses. Walks the provider chain, skipping providers whose
+  // circuit is open, until one succeeds.
   async generateResponse(prompt, options = {}) {
     const startTime = Date.now();
+    this.activeProvider.validatePrompt(prompt);
+
     let lastError = null;
+    const skipped = [];
 
-    // Try active provider first
-    try {
-      const result = await this.activeProvider.generateResponse(prompt, options);
-      result.responseTime = Date.now() - startTime;
-      result.provider = this.activeProvider.name;
-      
-      console.log(`🎯 AI response generated by ${this.activeProvider.name} in ${result.responseTime}ms`);
-      return result;
-    } catch (error) {
-      console.warn(`⚠️  Primary AI provider ${this.activeProvider.name} failed:`, error.message);
-      lastError = error;
-      
-      // Don't fallback for content filter errors
-      if (error instanceof AIContentFilterError) {
-        throw error;
+    for (const provider of this.providerChain) {
+      const breaker = this.breakers.get(provider.name);
+      if (!breaker.canRequest()) {
+        skipped.push(provider.name);
+        continue;
       }
-    }
 
-    // Try fallback provider if available
-    if (this.fallbackProvider && this.fallbackProvider !== this.activeProvider) {
       try {
-        console.log(`🔄 Attempting fallback to ${this.fallbackProvider.name}`);
-        const result = await this.fallbackProvider.generateResponse(prompt, options);
+        const result = await this.callWithRetry(provider, breaker, () =>
+          this.withTimeout(provider.generateResponse(prompt, options), provider)
+        );
         result.responseTime = Date.now() - startTime;
-        result.provider = this.fallbackProvider.name;
-        result.usedFallback = true;
+        result.provider = provider.name;
+        if (provider !== this.activeProvider) {
+          result.usedFallback = true;
+        }
         
-        console.log(`🎯 AI response generated by fallback ${this.fallbackProvider.name} in ${result.responseTime}ms`);
+        console.log(`🎯 AI response generated by ${provider.name} in ${result.responseTime}ms`);
         return result;
-      } catch (fallbackError) {
-        console.error(`❌ Fallback AI provider ${this.fallbackProvider.name} also failed:`, fallbackError.message);
+      } catch (error) {
+        // Don't fallback for content filter errors
+        if (error instanceof AIContentFilterError) {
+          throw error;
+        }
+
+        console.warn(`⚠️  AI provider ${provider.name} failed:`, error.message);
+        lastError = error;
       }
     }
 
+    if (skipped.length > 0) {
+      console.warn(`⚠️  Skipped AI providers with open circuits: ${skipped.join(', ')}`);
+    }
+
     // All providers failed
-    throw lastError || new AIServiceError('All AI providers failed', 'service');
+    throw lastError || new AIServiceError('All AI providers are unavailable (circuits open)', 'service');
+  }
+
+  // Streaming counterpart of generateResponse. Moves along the chain (and retries) only while the
+  // current provider has not emitted any tokens - once text has reached the caller, a switch
+  // would produce a spliced answer, so the error is surfaced instead.
+  async *streamResponse(prompt, options = {}) {
+    const startTime = Date.now();
+    this.activeProvider.validatePrompt(prompt);
+
+    let lastError = null;
+    for (const provider of this.providerChain) {
+      const breaker = this.breakers.get(provider.name);
+      if (!breaker.canRequest()) {
+        continue;
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        let emittedTokens = false;
+        let settled = false;
+        try {
+          for await (const chunk of this.withStreamTimeout(provider.streamResponse(prompt, options), provider)) {
+            if (chunk.type === 'token') {
+              emittedTokens = true;
+              yield chunk;
+            } else if (chunk.type === 'done') {
+              settled = true;
+              breaker.recordSuccess();
+              const responseTime = Date.now() - startTime;
+              console.log(`🎯 AI response streamed by ${provider.name} in ${responseTime}ms`);
+              yield {
+                ...chunk,
+                provider: provider.name,
+                responseTime,
+                usedFallback: provider !== this.activeProvider
+              };
+            }
+          }
+          return;
+        } catch (error) {
+          settled = true;
+          console.warn(`⚠️  AI provider ${provider.name} failed while streaming:`, error.message);
+          lastError = error;
+
+          if (error instanceof AIContentFilterError) {
+            breaker.recordSuccess();
+            throw error;
+          }
+
+          breaker.recordFailure(error);
+          if (emittedTokens) {
+            throw error;
+          }
+          if (!this.isRetryable(error) || attempt >= this.retries || breaker.isOpen()) {
+            break;
+          }
+
+          await sleep(this.getRetryDelay(attempt));
+        } finally {
+          // The caller stopped reading mid-stream
+          if (!settled) {
+            breaker.release();
+          }
+        }
+      }
+    }
+
+    throw lastError || new AIServiceError('All AI providers are unavailable (circuits open)', 'service');
+  }
+
+  // Circuit breaker state for every provider, in chain order
+  getCircuitStatus() {
+    const status = {};
+    for (const provider of this.providerChain) {
+      status[provider.name] = this.breakers.get(provider.name).getState();
+    }
+    return status;
   }
 
   // Health check for all providers
@@ -441,13 +1150,15 @@ class AIService {
           error: error.message
         };
       }
+      results[type].circuit = this.breakers.get(type).getState();
     }
     
     return {
       activeProvider: this.activeProvider?.name,
       fallbackProvider: this.fallbackProvider?.name,
+      providerChain: this.providerChain.map(p => p.name),
       providers: results,
-      overall: Object.values(results).some(r => r.healthy)
+      overall: Object.values(results).some(r => r.healthy && r.circuit.state !== CIRCUIT_STATES.OPEN)
     };
   }
 
@@ -469,7 +1180,7 @@ class AIService {
     return models;
   }
 
-  // Switch active provider
+  // Switch active provider (moves it to the head of the chain)
   switchProvider(providerType) {
     const provider = this.providers.get(providerType);
     if (!provider) {
@@ -478,6 +1189,7 @@ class AIService {
     
     const oldProvider = this.activeProvider?.name;
     this.activeProvider = provider;
+    this.providerChain = [provider, ...this.providerChain.filter(p => p !== provider)];
     console.log(`🔄 Switched AI provider from ${oldProvider} to ${providerType}`);
   }
 
@@ -486,9 +1198,12 @@ class AIService {
     return {
       active: this.activeProvider?.name,
       fallback: this.fallbackProvider?.name,
+      chain: this.providerChain.map(p => p.name),
       available: Array.from(this.providers.keys()),
       config: {
-        timeout: this.config.timeout,
+        timeout: this.timeout,
+        retries: this.retries,
+        circuitBreaker: this.config.circuitBreaker,
         model: this.config.model,
         endpoint: this.config.endpoint
       }
@@ -513,8 +1228,14 @@ module.exports = {
   AIServiceError,
   AIRateLimitError,
   AIContentFilterError,
+  AITimeoutError,
+  CIRCUIT_STATES,
+  CircuitBreaker,
+  parseRetryAfter,
+  readStreamLines,
   BaseAIProvider,
   OllamaProvider,
   OpenAIProvider,
+  AnthropicProvider,
   MockProvider
 }; 
\ No newline at end of file
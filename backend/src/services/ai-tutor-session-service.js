@@ -0,0 +1,559 @@
+const { Pool } = require('pg');
+const crypto = require('crypto');
+const { domainEvents, DOMAIN_EVENTS } = require('./domain-events');
+
+// AI tutor session error class
+class AITutorSessionError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'AITutorSessionError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+// Session statuses
+const TUTOR_SESSION_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  ABANDONED: 'abandoned'
+};
+
+// Message roles (match the frontend ChatMessage type)
+const TUTOR_MESSAGE_ROLES = {
+  USER: 'user',
+  ASSISTANT: 'assistant',
+  SYSTEM: 'system'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const buildInitialContext = (context = {}) => ({
+  learningGoals: context.learningGoals || [],
+  currentConcepts: [],
+  difficultyLevel: context.difficultyPreference || context.difficultyLevel || 'intermediate',
+  emotionalState: context.emotionalState || 'curious'
+});
+
+// Row -> API shape used by the routes and the frontend TutorSession type
+const formatSession = (row, messages = []) => ({
+  id: row.id,
+  student_id: row.student_id,
+  subject: row.subject,
+  topic: row.topic,
+  started_at: new Date(row.started_at).toISOString(),
+  last_activity: new Date(row.last_activity_at).toISOString(),
+  ended_at: row.ended_at ? new Date(row.ended_at).toISOString() : null,
+  status: row.status,
+  message_count: row.message_count,
+  messages,
+  context: row.context || {},
+  feedback: row.feedback || undefined
+});
+
+const formatMessage = (row) => ({
+  id: row.id,
+  role: row.role,
+  content: row.content,
+  timestamp: new Date(row.created_at).toISOString(),
+  metadata: {
+    ...(row.metadata || {}),
+    ...(row.was_retracted ? { retracted: true } : {})
+  }
+});
+
+class AITutorSessionService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+  }
+
+  // ============================================
+  // SESSION LIFECYCLE
+  // ============================================
+
+  // Create a session, optionally seeding it with the tutor's welcome message
+  async createSession(studentId, { subject, topic, context, welcomeMessage = null } = {}) {
+    try {
+      const client = await this.pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const sessionResult = await client.query(`
+          INSERT INTO ai_tutor_sessions (student_id, subject, topic, context)
+          VALUES ($1, $2, $3, $4)
+          RETURNING *
+        `, [studentId, subject || 'general', topic || 'General Help', JSON.stringify(buildInitialContext(context))]);
+
+        let session = sessionResult.rows[0];
+        const messages = [];
+
+        if (welcomeMessage) {
+          const { message, session: updated } = await this.insertMessage(client, session.id, {
+            role: TUTOR_MESSAGE_ROLES.ASSISTANT,
+            ...welcomeMessage
+          });
+          messages.push(message);
+          session = updated;
+        }
+
+        await client.query('COMMIT');
+        return formatSession(session, messages);
+
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+    } catch (error) {
+      console.error('Error creating AI tutor session:', error);
+      throw new AITutorSessionError(
+        'Failed to create AI tutor session',
+        'CREATE_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // Get a session with its transcript. Pass studentId to restrict to the owner; returns null when not found
+  async getSession(sessionId, studentId = null) {
+    if (!UUID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    try {
+      const client = await this.pool.connect();
+
+      try {
+        const params = [sessionId];
+        let ownerCondition = '';
+        if (studentId) {
+          params.push(studentId);
+          ownerCondition = 'AND student_id = $2';
+        }
+
+        const sessionResult = await client.query(`
+          SELECT * FROM ai_tutor_sessions WHERE id = $1 ${ownerCondition}
+        `, params);
+
+        if (sessionResult.rows.length === 0) {
+          return null;
+        }
+
+        const messagesResult = await client.query(`
+          SELECT * FROM ai_tutor_messages
+          WHERE session_id = $1
+          ORDER BY created_at, id
+        `, [sessionId]);
+
+        return formatSession(sessionResult.rows[0], messagesResult.rows.map(formatMessage));
+
+      } finally {
+        client.release();
+      }
+
+    } catch (error) {
+      console.error('Error getting AI tutor session:', error);
+      throw new AITutorSessionError(
+        'Failed to get AI tutor session',
+        'RETRIEVAL_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // List a student's sessions, most recent first. Transcripts are omitted unless includeMessages is set
+  async listSessions(studentId, { status = null, limit = 20, offset = 0, includeMessages = false } = {}) {
+    try {
+      const client = await this.pool.connect();
+
+      try {
+        const params = [studentId];
+        let statusCondition = '';
+        if (status) {
+          params.push(status);
+          statusCondition = `AND status = $${params.length}`;
+        }
+        params.push(parseInt(limit), parseInt(offset));
+
+        const sessionsResult = await client.query(`
+          SELECT * FROM ai_tutor_sessions
+          WHERE student_id = $1 ${statusCondition}
+          ORDER BY last_activity_at DESC
+          LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        const messagesBySession = new Map();
+        if (includeMessages && sessionsResult.rows.length > 0) {
+          const messagesResult = await client.query(`
+            SELECT * FROM ai_tutor_messages
+            WHERE session_id = ANY($1)
+            ORDER BY created_at, id
+          `, [sessionsResult.rows.map(row => row.id)]);
+
+          for (const row of messagesResult.rows) {
+            if (!messagesBySession.has(row.session_id)) {
+              messagesBySession.set(row.session_id, []);
+            }
+            messagesBySession.get(row.session_id).push(formatMessage(row));
+          }
+        }
+
+        return sessionsResult.rows.map(row => formatSession(row, messagesBySession.get(row.id) || []));
+
+      } finally {
+        client.release();
+      }
+
+    } catch (error) {
+      console.error('Error listing AI tutor sessions:', error);
+      throw new AITutorSessionError(
+        'Failed to list AI tutor sessions',
+        'RETRIEVAL_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // Append a message and update the session's counters and context in one transaction
+  async appendMessage(sessionId, message, contextUpdates = null) {
+    try {
+      const client = await this.pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const { message: saved } = await this.insertMessage(client, sessionId, message, contextUpdates);
+
+        await client.query('COMMIT');
+        return saved;
+
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+    } catch (error) {
+      if (error instanceof AITutorSessionError) throw error;
+      console.error('Error appending AI tutor message:', error);
+      throw new AITutorSessionError(
+        'Failed to save AI tutor message',
+        'MESSAGE_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // Mark a session completed, storing the student's feedback
+  async endSession(sessionId, studentId, feedback = null) {
+    if (!UUID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE ai_tutor_sessions
+        SET status = $3,
+            feedback = COALESCE($4, feedback),
+            ended_at = COALESCE(ended_at, NOW()),
+            last_activity_at = NOW()
+        WHERE id = $1 AND student_id = $2
+        RETURNING id
+      `, [sessionId, studentId, TUTOR_SESSION_STATUS.COMPLETED, feedback ? JSON.stringify(feedback) : null]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this.getSession(sessionId, studentId);
+
+    } catch (error) {
+      console.error('Error ending AI tutor session:', error);
+      throw new AITutorSessionError(
+        'Failed to end AI tutor session',
+        'UPDATE_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // Close sessions with no activity for the given number of hours so they show up for review
+  async abandonStaleSessions(inactiveHours = 24) {
+    try {
+      const result = await this.pool.query(`
+        UPDATE ai_tutor_sessions
+        SET status = $1, ended_at = last_activity_at
+        WHERE status = 'active'
+          AND last_activity_at < NOW() - ($2 || ' hours')::INTERVAL
+        RETURNING id, student_id, topic, last_activity_at
+      `, [TUTOR_SESSION_STATUS.ABANDONED, String(inactiveHours)]);
+
+      for (const session of result.rows) {
+        domainEvents.publish(DOMAIN_EVENTS.SESSION_ABANDONED, {
+          studentId: session.student_id,
+          sessionId: session.id,
+          sessionType: 'ai_tutor',
+          title: session.topic,
+          minutesInactive: Math.round((Date.now() - new Date(session.last_activity_at)) / 60000)
+        });
+      }
+
+      return result.rowCount;
+
+    } catch (error) {
+      console.error('Error abandoning stale AI tutor sessions:', error);
+      throw new AITutorSessionError(
+        'Failed to close stale AI tutor sessions',
+        'UPDATE_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // ============================================
+  // TEACHER REVIEW
+  // ============================================
+
+  // The student a session belongs to, for access checks; null when not found
+  async getSessionStudentId(sessionId) {
+    if (!UUID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query('SELECT student_id FROM ai_tutor_sessions WHERE id = $1', [sessionId]);
+      return result.rows.length > 0 ? result.rows[0].student_id : null;
+    } catch (error) {
+      console.error('Error getting AI tutor session owner:', error);
+      throw new AITutorSessionError(
+        'Failed to get AI tutor session',
+        'RETRIEVAL_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // Record a teacher's review of a tutor conversation
+  async reviewSession(sessionId, teacherId, { notes = null, followUpRequired = false } = {}) {
+    if (!UUID_PATTERN.test(sessionId)) {
+      return null;
+    }
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE ai_tutor_sessions
+        SET reviewed_by = $2, reviewed_at = NOW(), review_notes = $3, follow_up_required = $4
+        WHERE id = $1
+        RETURNING id, reviewed_at
+      `, [sessionId, teacherId, notes, followUpRequired]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return {
+        sessionId: result.rows[0].id,
+        reviewedAt: result.rows[0].reviewed_at,
+        success: true
+      };
+
+    } catch (error) {
+      console.error('Error reviewing AI tutor session:', error);
+      throw new AITutorSessionError(
+        'Failed to review AI tutor session',
+        'REVIEW_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  // Insert a message within an open transaction; returns the saved message and the updated session row.
+  // Callers may supply the message id up front (streamed replies announce it before they are saved)
+  async insertMessage(client, sessionId, message, contextUpdates = null) {
+    const {
+      id = crypto.randomUUID(),
+      role,
+      content,
+      metadata = {},
+      retracted = false,
+      retractionReasons = null
+    } = message;
+
+    if (!Object.values(TUTOR_MESSAGE_ROLES).includes(role)) {
+      throw new AITutorSessionError(`Invalid message role: ${role}`, 'VALIDATION_ERROR');
+    }
+
+    const messageResult = await client.query(`
+      INSERT INTO ai_tutor_messages (id, session_id, role, content, metadata, was_retracted, retraction_reasons)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [id, sessionId, role, content, JSON.stringify(metadata), retracted, retractionReasons]);
+
+    const concepts = contextUpdates?.currentConcepts || [];
+    const sessionResult = await client.query(`
+      UPDATE ai_tutor_sessions
+      SET message_count = message_count + 1,
+          student_message_count = student_message_count + CASE WHEN $2 = 'user' THEN 1 ELSE 0 END,
+          retracted_message_count = retracted_message_count + CASE WHEN $3 THEN 1 ELSE 0 END,
+          context = context || $4::jsonb,
+          concepts_discussed = ARRAY(SELECT DISTINCT unnest(concepts_discussed || $5::text[])),
+          last_activity_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [sessionId, role, retracted, JSON.stringify(contextUpdates || {}), concepts]);
+
+    if (sessionResult.rows.length === 0) {
+      throw new AITutorSessionError('Session not found', 'NOT_FOUND', { sessionId });
+    }
+
+    return { message: formatMessage(messageResult.rows[0]), session: sessionResult.rows[0] };
+  }
+
+  // Health check
+  async healthCheck() {
+    try {
+      const result = await this.pool.query(`SELECT COUNT(*) as active FROM ai_tutor_sessions WHERE status = 'active'`);
+
+      return {
+        status: 'healthy',
+        service: 'ai-tutor-session-service',
+        activeSessions: parseInt(result.rows[0].active),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        service: 'ai-tutor-session-service',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+// In-memory store with the same interface, used for development demo accounts that have no users row
+class InMemoryTutorSessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async createSession(studentId, { subject, topic, context, welcomeMessage = null } = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      id: `session-${Date.now()}`,
+      student_id: studentId,
+      subject: subject || 'general',
+      topic: topic || 'General Help',
+      started_at: now,
+      last_activity: now,
+      ended_at: null,
+      status: TUTOR_SESSION_STATUS.ACTIVE,
+      message_count: 0,
+      messages: [],
+      context: buildInitialContext(context)
+    };
+    this.sessions.set(session.id, session);
+
+    if (welcomeMessage) {
+      await this.appendMessage(session.id, { role: TUTOR_MESSAGE_ROLES.ASSISTANT, ...welcomeMessage });
+    }
+
+    return session;
+  }
+
+  async getSession(sessionId, studentId = null) {
+    const session = this.sessions.get(sessionId);
+    if (!session || (studentId && session.student_id !== studentId)) {
+      return null;
+    }
+    return session;
+  }
+
+  async listSessions(studentId, { status = null, limit = 20, offset = 0 } = {}) {
+    return Array.from(this.sessions.values())
+      .filter(session => session.student_id === studentId && (!status || session.status === status))
+      .sort((a, b) => new Date(b.last_activity) - new Date(a.last_activity))
+      .slice(offset, offset + limit);
+  }
+
+  async appendMessage(sessionId, message, contextUpdates = null) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new AITutorSessionError('Session not found', 'NOT_FOUND', { sessionId });
+    }
+
+    const saved = {
+      id: message.id || crypto.randomUUID(),
+      role: message.role,
+      content: message.content,
+      timestamp: new Date().toISOString(),
+      metadata: {
+        ...(message.metadata || {}),
+        ...(message.retracted ? { retracted: true } : {})
+      }
+    };
+
+    session.messages.push(saved);
+    session.message_count = session.messages.length;
+    session.last_activity = saved.timestamp;
+    if (contextUpdates) {
+      session.context = { ...session.context, ...contextUpdates };
+    }
+    return saved;
+  }
+
+  async endSession(sessionId, studentId, feedback = null) {
+    const session = await this.getSession(sessionId, studentId);
+    if (!session) {
+      return null;
+    }
+
+    session.status = TUTOR_SESSION_STATUS.COMPLETED;
+    session.last_activity = new Date().toISOString();
+    session.ended_at = session.ended_at || session.last_activity;
+    if (feedback) {
+      session.feedback = feedback;
+    }
+    return session;
+  }
+}
+
+// Singleton instances
+let aiTutorSessionServiceInstance = null;
+let demoTutorSessionStore = null;
+
+const getAITutorSessionService = () => {
+  if (!aiTutorSessionServiceInstance) {
+    aiTutorSessionServiceInstance = new AITutorSessionService();
+  }
+  return aiTutorSessionServiceInstance;
+};
+
+const getDemoTutorSessionStore = () => {
+  if (!demoTutorSessionStore) {
+    demoTutorSessionStore = new InMemoryTutorSessionStore();
+  }
+  return demoTutorSessionStore;
+};
+
+module.exports = {
+  AITutorSessionService,
+  InMemoryTutorSessionStore,
+  getAITutorSessionService,
+  getDemoTutorSessionStore,
+  AITutorSessionError,
+  TUTOR_SESSION_STATUS,
+  TUTOR_MESSAGE_ROLES
+};
@@ -0,0 +1,67 @@
+// Minimal gzipped tar (ustar) writer for data export archives (no filesystem access)
+
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+// Octal field, NUL-terminated and zero-padded to its width
+const octal = (value, width) => `${Math.floor(value).toString(8).padStart(width - 1, '0')}\0`;
+
+// ustar names are 100 bytes, with up to 155 more of leading directories in the prefix field
+const splitName = (name) => {
+  if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+
+  const slash = name.lastIndexOf('/', name.length - 2);
+  const prefix = name.slice(0, slash);
+  const base = name.slice(slash + 1);
+  if (slash <= 0 || Buffer.byteLength(prefix) > 155 || Buffer.byteLength(base) > 100) {
+    throw new Error(`Archive entry name too long: ${name}`);
+  }
+  return { name: base, prefix };
+};
+
+const createHeader = (entryName, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const { name, prefix } = splitName(entryName);
+
+  header.write(name, 0, 100, 'utf8');
+  header.write(octal(0o644, 8), 100, 8, 'ascii');
+  header.write(octal(0, 8), 108, 8, 'ascii');
+  header.write(octal(0, 8), 116, 8, 'ascii');
+  header.write(octal(size, 12), 124, 12, 'ascii');
+  header.write(octal(mtime.getTime() / 1000, 12), 136, 12, 'ascii');
+  header.write('        ', 148, 8, 'ascii'); // Checksum is computed with this field as spaces
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.write(prefix, 345, 155, 'utf8');
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+  return header;
+};
+
+/**
+ * Build a .tar.gz from [{ name, content }], content a Buffer or string. Archives are built in
+ * memory: exports hold one student's records and journal attachments.
+ */
+const createTarGz = (entries, { mtime = new Date() } = {}) => {
+  const blocks = [];
+
+  for (const entry of entries) {
+    const content = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(String(entry.content), 'utf8');
+    blocks.push(createHeader(entry.name, content.length, mtime), content);
+
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) blocks.push(Buffer.alloc(padding));
+  }
+
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2)); // End of archive
+  return zlib.gzipSync(Buffer.concat(blocks));
+};
+
+module.exports = {
+  createTarGz
+};
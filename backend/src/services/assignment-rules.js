@@ -0,0 +1,522 @@
+// Problem collections, assignments and each student's assignment status (no database access)
+
+const ASSIGNMENT_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled'
+};
+
+// Who an assignment is for: the whole classroom (including students who join later) or a selection
+const ASSIGNED_TO = {
+  CLASSROOM: 'classroom',
+  STUDENTS: 'students'
+};
+
+// A student's status for the whole assignment
+const STUDENT_STATUS = {
+  NOT_OPEN: 'not_open',
+  NOT_STARTED: 'not_started',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+// A student's status for one problem of the assignment
+const PROBLEM_STATUS = {
+  NOT_STARTED: 'not_started',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+const COLLECTION_TYPES = ['unit', 'assignment', 'practice_set', 'assessment'];
+
+const PROBLEM_SUBJECTS = [
+  'arithmetic', 'algebra', 'geometry', 'statistics', 'calculus',
+  'biology', 'chemistry', 'physics', 'earth_science', 'environmental_science',
+  'creative_writing', 'essay_writing', 'grammar', 'vocabulary', 'reading_analysis',
+  'logic', 'general'
+];
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'advanced'];
+
+const MAX_COLLECTION_PROBLEMS = 50;
+const MAX_SELECTED_STUDENTS = 500;
+const MAX_ATTEMPTS = 20;
+const MAX_POINTS = 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class AssignmentError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'AssignmentError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const isId = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+const optionalText = (value, max = Infinity) => value === null || (typeof value === 'string' && value.length <= max);
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const validateCollectionProblems = (problems, errors) => {
+  if (!Array.isArray(problems) || problems.length === 0 || problems.length > MAX_COLLECTION_PROBLEMS) {
+    errors.push(`problems must be a list of 1 to ${MAX_COLLECTION_PROBLEMS} problems`);
+    return [];
+  }
+
+  const seen = new Set();
+  const result = [];
+  problems.forEach((problem, index) => {
+    const path = `problems[${index}]`;
+    if (!problem || !isId(problem.templateId)) {
+      errors.push(`${path}.templateId must be a problem template id`);
+      return;
+    }
+    if (seen.has(problem.templateId)) {
+      errors.push(`${path}: the same problem appears more than once`);
+      return;
+    }
+    seen.add(problem.templateId);
+
+    if (problem.isRequired !== undefined && typeof problem.isRequired !== 'boolean') {
+      errors.push(`${path}.isRequired must be true or false`);
+    }
+    if (problem.pointsPossible !== undefined &&
+        (!Number.isInteger(problem.pointsPossible) || problem.pointsPossible < 0 || problem.pointsPossible > MAX_POINTS)) {
+      errors.push(`${path}.pointsPossible must be between 0 and ${MAX_POINTS}`);
+    }
+    if (problem.customInstructions !== undefined && !optionalText(problem.customInstructions)) {
+      errors.push(`${path}.customInstructions must be text`);
+    }
+    if (problem.modifiedDifficulty !== undefined && problem.modifiedDifficulty !== null &&
+        !DIFFICULTY_LEVELS.includes(problem.modifiedDifficulty)) {
+      errors.push(`${path}.modifiedDifficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+    }
+
+    result.push({
+      templateId: problem.templateId,
+      sortOrder: result.length + 1,
+      isRequired: problem.isRequired !== false,
+      pointsPossible: problem.pointsPossible !== undefined ? problem.pointsPossible : 100,
+      customInstructions: problem.customInstructions || null,
+      modifiedDifficulty: problem.modifiedDifficulty || null
+    });
+  });
+  return result;
+};
+
+/**
+ * Validate a collection, or the fields of a partial update. Returns the problems in their
+ * new order, or null when they are not being changed.
+ */
+const validateCollectionInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => input && input[field] !== undefined;
+  const required = (field) => !partial || has(field);
+
+  if (!input || typeof input !== 'object') {
+    throw new AssignmentError('Invalid problem collection', 'VALIDATION_ERROR', { errors: ['A collection is required'] });
+  }
+  if (required('name') && !isText(input.name, 200)) {
+    errors.push('name is required (200 characters max)');
+  }
+  if (has('description') && !optionalText(input.description)) {
+    errors.push('description must be text');
+  }
+  if (has('collectionType') && input.collectionType !== null && !COLLECTION_TYPES.includes(input.collectionType)) {
+    errors.push(`collectionType must be one of: ${COLLECTION_TYPES.join(', ')}`);
+  }
+  if (has('subject') && input.subject !== null && !PROBLEM_SUBJECTS.includes(input.subject)) {
+    errors.push(`subject must be one of: ${PROBLEM_SUBJECTS.join(', ')}`);
+  }
+  if (has('gradeLevel') && input.gradeLevel !== null &&
+      (!Number.isInteger(input.gradeLevel) || input.gradeLevel < 0 || input.gradeLevel > 12)) {
+    errors.push('gradeLevel must be between 0 and 12');
+  }
+  if (has('unitName') && !optionalText(input.unitName, 200)) {
+    errors.push('unitName must be text (200 characters max)');
+  }
+  if (has('learningObjectives') && input.learningObjectives !== null &&
+      (!Array.isArray(input.learningObjectives) || input.learningObjectives.some(objective => !isText(objective, 500)))) {
+    errors.push('learningObjectives must be a list of text');
+  }
+  ['isOrdered', 'showSolutions', 'isPublic'].forEach(field => {
+    if (has(field) && typeof input[field] !== 'boolean') {
+      errors.push(`${field} must be true or false`);
+    }
+  });
+  if (has('timeLimitMinutes') && input.timeLimitMinutes !== null &&
+      (!Number.isInteger(input.timeLimitMinutes) || input.timeLimitMinutes < 1)) {
+    errors.push('timeLimitMinutes must be a whole number of minutes, or null');
+  }
+  if (has('attemptsAllowed') && input.attemptsAllowed !== null &&
+      (!Number.isInteger(input.attemptsAllowed) || input.attemptsAllowed < 1 || input.attemptsAllowed > MAX_ATTEMPTS)) {
+    errors.push(`attemptsAllowed must be between 1 and ${MAX_ATTEMPTS}, or null for unlimited attempts`);
+  }
+
+  const problems = required('problems') ? validateCollectionProblems(input.problems, errors) : null;
+
+  if (errors.length > 0) {
+    throw new AssignmentError('Invalid problem collection', 'VALIDATION_ERROR', { errors });
+  }
+  return problems;
+};
+
+const validateSchedule = (openAt, dueAt, errors) => {
+  if (openAt && dueAt && dueAt <= openAt) {
+    errors.push('dueAt must be after openAt (now, when openAt is left out)');
+  }
+};
+
+/**
+ * Validate a new assignment, or the fields of a partial update. For updates, `current` is the
+ * stored assignment so a new open or due date is checked against the one that is kept.
+ * Returns the parsed dates and selected students.
+ */
+const validateAssignmentInput = (input, { partial = false, current = null } = {}) => {
+  const errors = [];
+  const has = (field) => input && input[field] !== undefined;
+
+  if (!input || typeof input !== 'object') {
+    throw new AssignmentError('Invalid assignment', 'VALIDATION_ERROR', { errors: ['An assignment is required'] });
+  }
+
+  if (!partial) {
+    if (!isId(input.collectionId)) errors.push('collectionId must be a problem collection id');
+    if (!isId(input.classroomId)) errors.push('classroomId must be a classroom id');
+  } else {
+    ['collectionId', 'classroomId', 'studentIds'].forEach(field => {
+      if (has(field)) errors.push(`${field} cannot be changed; cancel the assignment and create a new one`);
+    });
+  }
+
+  let studentIds = null;
+  if (!partial && has('studentIds') && input.studentIds !== null) {
+    if (!Array.isArray(input.studentIds) || input.studentIds.length === 0 ||
+        input.studentIds.length > MAX_SELECTED_STUDENTS || input.studentIds.some(id => !isId(id))) {
+      errors.push(`studentIds must be a list of 1 to ${MAX_SELECTED_STUDENTS} student ids, or left out for the whole classroom`);
+    } else {
+      studentIds = [...new Set(input.studentIds)];
+    }
+  }
+
+  if (has('title') && !isText(input.title, 200)) {
+    errors.push('title must be text (200 characters max)');
+  }
+  if (has('instructions') && !optionalText(input.instructions)) {
+    errors.push('instructions must be text');
+  }
+  if (has('allowLate') && typeof input.allowLate !== 'boolean') {
+    errors.push('allowLate must be true or false');
+  }
+
+  const openAt = has('openAt') ? parseDate(input.openAt) : null;
+  const dueAt = has('dueAt') ? parseDate(input.dueAt) : null;
+  if (has('openAt') && !openAt) errors.push('openAt must be a date and time');
+  if (has('dueAt') && !dueAt) errors.push('dueAt must be a date and time');
+  if (!partial && !has('dueAt')) errors.push('dueAt is required');
+
+  validateSchedule(
+    openAt || (current ? new Date(current.open_at) : new Date()),
+    dueAt || (current ? new Date(current.due_at) : null),
+    errors
+  );
+
+  if (errors.length > 0) {
+    throw new AssignmentError('Invalid assignment', 'VALIDATION_ERROR', { errors });
+  }
+  return { openAt, dueAt, studentIds };
+};
+
+// ============================================
+// STATUS
+// ============================================
+
+const isOpen = (assignment, now = new Date()) => new Date(assignment.open_at) <= now;
+
+const isPastDue = (assignment, now = new Date()) => new Date(assignment.due_at) < now;
+
+// A completion counts unless it came after the due date of an assignment that takes no late work
+const countsTowardsAssignment = (session, assignment) => session.session_status === 'completed' &&
+  session.completed_at !== null && session.completed_at !== undefined &&
+  (assignment.allow_late || new Date(session.completed_at) <= new Date(assignment.due_at));
+
+const accuracyOf = (session) => (session.accuracy_score === null || session.accuracy_score === undefined
+  ? null
+  : parseFloat(session.accuracy_score));
+
+// One student's progress on one problem, from their sessions for it (oldest first)
+const problemProgress = (problem, sessions, assignment) => {
+  const counting = sessions.filter(session => countsTowardsAssignment(session, assignment));
+  const firstCompletion = counting
+    .map(session => new Date(session.completed_at))
+    .sort((a, b) => a - b)[0] || null;
+  const accuracies = counting.map(accuracyOf).filter(accuracy => accuracy !== null);
+  // A completed session without an accuracy score still earns the problem's points
+  const bestAccuracy = counting.length === 0 ? null : (accuracies.length > 0 ? Math.max(...accuracies) : 1);
+
+  let status = PROBLEM_STATUS.NOT_STARTED;
+  if (counting.length > 0) {
+    status = PROBLEM_STATUS.COMPLETED;
+  } else if (sessions.length > 0) {
+    status = PROBLEM_STATUS.IN_PROGRESS;
+  }
+
+  const latest = sessions[sessions.length - 1] || null;
+  return {
+    templateId: problem.template_id,
+    status,
+    attempts: sessions.length,
+    bestAccuracy,
+    pointsEarned: bestAccuracy === null ? 0 : Math.round(problem.points_possible * bestAccuracy * 10) / 10,
+    completedAt: toIso(firstCompletion),
+    late: firstCompletion !== null && firstCompletion > new Date(assignment.due_at),
+    latestSessionId: latest ? latest.id : null,
+    lastActivityAt: latest ? toIso(latest.last_activity_at || latest.started_at) : null
+  };
+};
+
+// The problems a student must complete: the required ones, or all of them when none is required
+const requiredProblems = (problems) => {
+  const required = problems.filter(problem => problem.is_required !== false);
+  return required.length > 0 ? required : problems;
+};
+
+/**
+ * One student's status for an assignment, from their sessions on the collection's problems.
+ * `late` means the work was completed after the due date; `missing` means the due date has
+ * passed and the work is not complete (completions that do not count leave it missing).
+ */
+const studentProgress = (assignment, problems, sessions, now = new Date()) => {
+  const byTemplate = new Map();
+  sessions.forEach(session => {
+    const key = String(session.template_id);
+    if (!byTemplate.has(key)) byTemplate.set(key, []);
+    byTemplate.get(key).push(session);
+  });
+
+  const cells = problems.map(problem => problemProgress(problem, byTemplate.get(String(problem.template_id)) || [], assignment));
+  const cellFor = new Map(cells.map(cell => [String(cell.templateId), cell]));
+  const required = requiredProblems(problems).map(problem => cellFor.get(String(problem.template_id)));
+  const requiredCompleted = required.filter(cell => cell.status === PROBLEM_STATUS.COMPLETED);
+
+  const complete = required.length > 0 && requiredCompleted.length === required.length;
+  const completedAt = complete
+    ? requiredCompleted.map(cell => cell.completedAt).sort().slice(-1)[0]
+    : null;
+  const started = cells.some(cell => cell.attempts > 0);
+
+  let status = STUDENT_STATUS.NOT_STARTED;
+  if (complete) {
+    status = STUDENT_STATUS.COMPLETED;
+  } else if (started) {
+    status = STUDENT_STATUS.IN_PROGRESS;
+  } else if (!isOpen(assignment, now)) {
+    status = STUDENT_STATUS.NOT_OPEN;
+  }
+
+  const pointsPossible = problems.reduce((sum, problem) => sum + problem.points_possible, 0);
+  const pointsEarned = Math.round(cells.reduce((sum, cell) => sum + cell.pointsEarned, 0) * 10) / 10;
+  const activity = cells.map(cell => cell.lastActivityAt).filter(Boolean).sort();
+
+  return {
+    status,
+    late: complete && new Date(completedAt) > new Date(assignment.due_at),
+    missing: !complete && isPastDue(assignment, now),
+    problemsCompleted: cells.filter(cell => cell.status === PROBLEM_STATUS.COMPLETED).length,
+    requiredCompleted: requiredCompleted.length,
+    requiredTotal: required.length,
+    progress: required.length > 0 ? Math.round((requiredCompleted.length / required.length) * 100) / 100 : 0,
+    pointsEarned,
+    pointsPossible,
+    score: pointsPossible > 0 && started ? Math.round((pointsEarned / pointsPossible) * 100) : null,
+    completedAt,
+    lastActivityAt: activity.length > 0 ? activity[activity.length - 1] : null,
+    problems: cells
+  };
+};
+
+// Class-wide counts for an assignment from each student's progress
+const summarizeAssignment = (progressList) => {
+  const count = (predicate) => progressList.filter(predicate).length;
+  const scores = progressList.map(progress => progress.score).filter(score => score !== null);
+
+  return {
+    students: progressList.length,
+    notOpen: count(progress => progress.status === STUDENT_STATUS.NOT_OPEN),
+    notStarted: count(progress => progress.status === STUDENT_STATUS.NOT_STARTED),
+    inProgress: count(progress => progress.status === STUDENT_STATUS.IN_PROGRESS),
+    completed: count(progress => progress.status === STUDENT_STATUS.COMPLETED),
+    late: count(progress => progress.late),
+    missing: count(progress => progress.missing),
+    completionRate: progressList.length > 0
+      ? Math.round((count(progress => progress.status === STUDENT_STATUS.COMPLETED) / progressList.length) * 100) / 100
+      : 0,
+    averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null
+  };
+};
+
+/**
+ * Whether a student may start a session on one of the assignment's problems now. Throws
+ * CONFLICT with the reason when they may not.
+ */
+const assertCanStartProblem = ({ assignment, collection, problems, progress, templateId, now = new Date() }) => {
+  const problem = problems.find(candidate => String(candidate.template_id) === String(templateId));
+  if (!problem) {
+    throw new AssignmentError('Invalid problem session', 'VALIDATION_ERROR', {
+      errors: ['templateId is not one of this assignment\'s problems']
+    });
+  }
+  if (assignment.status === ASSIGNMENT_STATUS.CANCELLED) {
+    throw new AssignmentError('This assignment was cancelled', 'CONFLICT', { assignmentId: assignment.id });
+  }
+  if (!isOpen(assignment, now)) {
+    throw new AssignmentError('This assignment is not open yet', 'CONFLICT', { openAt: toIso(assignment.open_at) });
+  }
+  if (isPastDue(assignment, now) && !assignment.allow_late) {
+    throw new AssignmentError('This assignment was due and does not accept late work', 'CONFLICT', {
+      dueAt: toIso(assignment.due_at)
+    });
+  }
+
+  const cell = progress.problems.find(candidate => String(candidate.templateId) === String(templateId));
+  if (collection.attempts_allowed && cell.attempts >= collection.attempts_allowed) {
+    throw new AssignmentError('No attempts left for this problem', 'CONFLICT', {
+      attemptsAllowed: collection.attempts_allowed,
+      attempts: cell.attempts
+    });
+  }
+
+  if (collection.is_ordered) {
+    const pending = requiredProblems(problems)
+      .filter(earlier => earlier.sort_order < problem.sort_order)
+      .filter(earlier => progress.problems.find(candidate => String(candidate.templateId) === String(earlier.template_id))
+        .status !== PROBLEM_STATUS.COMPLETED);
+    if (pending.length > 0) {
+      throw new AssignmentError('Complete the earlier problems of this assignment first', 'CONFLICT', {
+        pendingTemplateIds: pending.map(earlier => earlier.template_id)
+      });
+    }
+  }
+};
+
+// ============================================
+// REMINDERS
+// ============================================
+
+/**
+ * The due-date reminder a student should have by now: the closest configured lead time that
+ * has been reached. Only that one is sent, so a sweep that runs late never sends a stack of
+ * reminders at once. Null before the first lead time and after the due date.
+ */
+const dueReminderKey = (assignment, reminderHours, now = new Date()) => {
+  const dueAt = new Date(assignment.due_at);
+  if (now >= dueAt) return null;
+
+  const reached = reminderHours.filter(hours => now >= new Date(dueAt.getTime() - hours * 60 * 60 * 1000));
+  return reached.length > 0 ? `due_${Math.min(...reached)}` : null;
+};
+
+// "in 3 days", "in 5 hours", "in 20 minutes"
+const describeTimeLeft = (dueAt, now = new Date()) => {
+  const minutes = Math.max(Math.round((new Date(dueAt) - now) / 60000), 1);
+  const [amount, unit] = minutes >= 48 * 60
+    ? [Math.round(minutes / (24 * 60)), 'day']
+    : minutes >= 90 ? [Math.round(minutes / 60), 'hour'] : [minutes, 'minute'];
+  return `in ${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatCollectionProblem = (row) => ({
+  templateId: row.template_id,
+  title: row.title || null,
+  subject: row.subject || null,
+  difficulty: row.modified_difficulty || row.difficulty_level || null,
+  sortOrder: row.sort_order,
+  isRequired: row.is_required !== false,
+  pointsPossible: row.points_possible,
+  customInstructions: row.custom_instructions || null
+});
+
+const formatCollection = (row, problems = null) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  collectionType: row.collection_type,
+  subject: row.subject,
+  gradeLevel: row.grade_level,
+  unitName: row.unit_name,
+  learningObjectives: row.learning_objectives || [],
+  isOrdered: row.is_ordered === true,
+  timeLimitMinutes: row.time_limit_minutes,
+  attemptsAllowed: row.attempts_allowed,
+  showSolutions: row.show_solutions !== false,
+  isPublic: row.is_public === true,
+  createdBy: row.created_by,
+  problemCount: problems ? problems.length : parseInt(row.problem_count || 0, 10),
+  assignmentCount: row.assignment_count !== undefined ? parseInt(row.assignment_count, 10) : undefined,
+  ...(problems ? { problems: problems.map(formatCollectionProblem) } : {}),
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at)
+});
+
+const formatAssignment = (row) => ({
+  id: row.id,
+  title: row.title,
+  instructions: row.instructions,
+  collectionId: row.collection_id,
+  collectionName: row.collection_name || null,
+  classroomId: row.classroom_id,
+  classroomName: row.classroom_name || null,
+  assignedTo: row.assigned_to,
+  assignedBy: row.assigned_by,
+  openAt: toIso(row.open_at),
+  dueAt: toIso(row.due_at),
+  allowLate: row.allow_late,
+  status: row.status,
+  cancelledAt: toIso(row.cancelled_at),
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at)
+});
+
+module.exports = {
+  ASSIGNMENT_STATUS,
+  ASSIGNED_TO,
+  STUDENT_STATUS,
+  PROBLEM_STATUS,
+  COLLECTION_TYPES,
+  PROBLEM_SUBJECTS,
+  DIFFICULTY_LEVELS,
+  AssignmentError,
+  isId,
+  validateCollectionInput,
+  validateAssignmentInput,
+  isOpen,
+  isPastDue,
+  problemProgress,
+  studentProgress,
+  summarizeAssignment,
+  assertCanStartProblem,
+  dueReminderKey,
+  describeTimeLeft,
+  formatCollection,
+  formatCollectionProblem,
+  formatAssignment
+};
@@ -0,0 +1,695 @@
+const { Pool } = require('pg');
+const { getAssignmentConfig } = require('../config/environment');
+const { getClassroomService } = require('./classroom-service');
+const {
+  ASSIGNMENT_STATUS,
+  ASSIGNED_TO,
+  STUDENT_STATUS,
+  AssignmentError,
+  isId,
+  validateCollectionInput,
+  validateAssignmentInput,
+  studentProgress,
+  summarizeAssignment,
+  assertCanStartProblem,
+  dueReminderKey,
+  describeTimeLeft,
+  formatCollection,
+  formatCollectionProblem,
+  formatAssignment
+} = require('./assignment-rules');
+const { withTransaction } = require('./db-transaction');
+const { getNotificationService } = require('./notification-service');
+
+// Collection fields callers may set, and their columns
+const COLLECTION_COLUMNS = {
+  name: 'name',
+  description: 'description',
+  collectionType: 'collection_type',
+  subject: 'subject',
+  gradeLevel: 'grade_level',
+  unitName: 'unit_name',
+  learningObjectives: 'learning_objectives',
+  isOrdered: 'is_ordered',
+  timeLimitMinutes: 'time_limit_minutes',
+  attemptsAllowed: 'attempts_allowed',
+  showSolutions: 'show_solutions',
+  isPublic: 'is_public'
+};
+
+const ASSIGNMENT_SELECT = `
+  SELECT a.*, pc.name AS collection_name, c.name AS classroom_name
+  FROM assignments a
+  JOIN problem_collections pc ON pc.id = a.collection_id
+  JOIN classrooms c ON c.id = a.classroom_id
+`;
+
+// Classrooms a teacher teaches, as primary teacher or active co-teacher ($2 is the teacher id)
+const TEACHES_CLASSROOM = `(
+  c.teacher_id::text = $2 OR EXISTS (
+    SELECT 1 FROM teacher_classrooms tc
+    WHERE tc.classroom_id = c.id AND tc.teacher_id::text = $2 AND tc.status = 'active'
+  )
+)`;
+
+class AssignmentService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getAssignmentConfig();
+    this.classroomService = getClassroomService();
+    this.notificationService = null;
+    this.timer = null;
+  }
+
+  // ============================================
+  // COLLECTIONS
+  // ============================================
+
+  /**
+   * Teachers see their own collections and public ones; admins see every collection.
+   * Anyone else gets NOT_FOUND so collection ids cannot be probed.
+   */
+  async getCollectionRow(collectionId, user, { edit = false } = {}, client = this.pool) {
+    if (!isId(collectionId)) {
+      throw new AssignmentError('Problem collection not found', 'NOT_FOUND', { collectionId });
+    }
+
+    const result = await client.query('SELECT * FROM problem_collections WHERE id = $1', [collectionId]);
+    const collection = result.rows[0];
+    const owns = collection && String(collection.created_by) === String(user.id);
+
+    if (!collection || (user.role !== 'admin' && !owns && !collection.is_public)) {
+      throw new AssignmentError('Problem collection not found', 'NOT_FOUND', { collectionId });
+    }
+    if (edit && user.role !== 'admin' && !owns) {
+      throw new AssignmentError('Only the teacher who made this collection can change it', 'ACCESS_DENIED', { collectionId });
+    }
+    return collection;
+  }
+
+  async getCollectionProblems(collectionIds, client = this.pool) {
+    const result = await client.query(`
+      SELECT cp.*, pt.title, pt.subject, pt.difficulty_level
+      FROM collection_problems cp
+      JOIN problem_templates pt ON pt.id = cp.template_id
+      WHERE cp.collection_id = ANY($1::uuid[])
+      ORDER BY cp.collection_id, cp.sort_order
+    `, [collectionIds]);
+
+    const byCollection = new Map(collectionIds.map(id => [String(id), []]));
+    result.rows.forEach(row => byCollection.get(String(row.collection_id)).push(row));
+    return byCollection;
+  }
+
+  async assertTemplatesExist(problems, client = this.pool) {
+    const templateIds = problems.map(problem => problem.templateId);
+    const result = await client.query(`
+      SELECT id FROM problem_templates WHERE id = ANY($1::uuid[]) AND is_active = TRUE
+    `, [templateIds]);
+    const found = new Set(result.rows.map(row => String(row.id)));
+    const missing = templateIds.filter(id => !found.has(id));
+
+    if (missing.length > 0) {
+      throw new AssignmentError('Invalid problem collection', 'VALIDATION_ERROR', {
+        errors: missing.map(id => `Problem template ${id} was not found`)
+      });
+    }
+  }
+
+  async replaceCollectionProblems(client, collectionId, problems) {
+    await client.query('DELETE FROM collection_problems WHERE collection_id = $1', [collectionId]);
+    for (const problem of problems) {
+      await client.query(`
+        INSERT INTO collection_problems (
+          collection_id, template_id, sort_order, is_required, points_possible,
+          custom_instructions, modified_difficulty
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+        collectionId,
+        problem.templateId,
+        problem.sortOrder,
+        problem.isRequired,
+        problem.pointsPossible,
+        problem.customInstructions,
+        problem.modifiedDifficulty
+      ]);
+    }
+  }
+
+  async listCollections(user, { subject = null, mine = false, limit = 50, offset = 0 } = {}) {
+    const result = await this.pool.query(`
+      SELECT pc.*,
+        (SELECT COUNT(*) FROM collection_problems cp WHERE cp.collection_id = pc.id) AS problem_count,
+        (SELECT COUNT(*) FROM assignments a WHERE a.collection_id = pc.id) AS assignment_count,
+        COUNT(*) OVER() AS total_count
+      FROM problem_collections pc
+      WHERE (pc.created_by::text = $1 OR ($2::boolean AND (pc.is_public OR $3::boolean)))
+        AND ($4::text IS NULL OR pc.subject::text = $4)
+      ORDER BY pc.updated_at DESC
+      LIMIT $5 OFFSET $6
+    `, [String(user.id), !mine, user.role === 'admin', subject, limit, offset]);
+
+    return {
+      collections: result.rows.map(row => formatCollection(row)),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0,
+      limit,
+      offset
+    };
+  }
+
+  async getCollection(collectionId, user) {
+    const collection = await this.getCollectionRow(collectionId, user);
+    const problems = await this.getCollectionProblems([collection.id]);
+
+    return formatCollection(collection, problems.get(String(collection.id)));
+  }
+
+  async createCollection(input, user) {
+    const problems = validateCollectionInput(input);
+
+    const collectionId = await withTransaction(this.pool, async (client) => {
+      await this.assertTemplatesExist(problems, client);
+
+      const fields = Object.keys(COLLECTION_COLUMNS).filter(field => input[field] !== undefined);
+      const result = await client.query(`
+        INSERT INTO problem_collections (${fields.map(field => COLLECTION_COLUMNS[field]).join(', ')}, created_by)
+        VALUES (${fields.map((_, index) => `$${index + 1}`).join(', ')}, $${fields.length + 1})
+        RETURNING id
+      `, [...fields.map(field => (field === 'name' ? input.name.trim() : input[field])), user.id]);
+
+      await this.replaceCollectionProblems(client, result.rows[0].id, problems);
+      return result.rows[0].id;
+    });
+
+    return this.getCollection(collectionId, user);
+  }
+
+  /**
+   * Problems cannot be changed once the collection has been assigned: students' progress is
+   * worked out from the problems, so changing them would rewrite work already handed in.
+   */
+  async updateCollection(collectionId, input, user) {
+    const problems = validateCollectionInput(input, { partial: true });
+
+    await withTransaction(this.pool, async (client) => {
+      const collection = await this.getCollectionRow(collectionId, user, { edit: true }, client);
+
+      if (problems) {
+        const assigned = await client.query('SELECT 1 FROM assignments WHERE collection_id = $1 LIMIT 1', [collection.id]);
+        if (assigned.rows.length > 0) {
+          throw new AssignmentError('The problems of an assigned collection cannot be changed; copy it instead', 'CONFLICT', {
+            collectionId: collection.id
+          });
+        }
+        await this.assertTemplatesExist(problems, client);
+        await this.replaceCollectionProblems(client, collection.id, problems);
+      }
+
+      const fields = Object.keys(COLLECTION_COLUMNS).filter(field => input[field] !== undefined);
+      if (fields.length > 0 || problems) {
+        await client.query(`
+          UPDATE problem_collections
+          SET ${[...fields.map((field, index) => `${COLLECTION_COLUMNS[field]} = $${index + 2}`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+          WHERE id = $1
+        `, [collection.id, ...fields.map(field => (field === 'name' ? input.name.trim() : input[field]))]);
+      }
+    });
+
+    return this.getCollection(collectionId, user);
+  }
+
+  async deleteCollection(collectionId, user) {
+    return withTransaction(this.pool, async (client) => {
+      const collection = await this.getCollectionRow(collectionId, user, { edit: true }, client);
+
+      const assigned = await client.query('SELECT COUNT(*) AS count FROM assignments WHERE collection_id = $1', [collection.id]);
+      const assignments = parseInt(assigned.rows[0].count, 10);
+      if (assignments > 0) {
+        throw new AssignmentError('This collection has been assigned and cannot be deleted', 'CONFLICT', {
+          collectionId: collection.id,
+          assignments
+        });
+      }
+
+      await client.query('DELETE FROM problem_collections WHERE id = $1', [collection.id]);
+      return { id: collection.id, deleted: true };
+    });
+  }
+
+  // ============================================
+  // ASSIGNMENTS
+  // ============================================
+
+  /**
+   * Admins and the classroom's teachers (primary or co-teacher) may view and change an
+   * assignment. Anyone else gets NOT_FOUND.
+   */
+  async getAssignmentRow(assignmentId, user, client = this.pool) {
+    if (!isId(assignmentId)) {
+      throw new AssignmentError('Assignment not found', 'NOT_FOUND', { assignmentId });
+    }
+
+    const result = await client.query(`${ASSIGNMENT_SELECT} WHERE a.id = $1`, [assignmentId]);
+    const assignment = result.rows[0];
+    if (!assignment) {
+      throw new AssignmentError('Assignment not found', 'NOT_FOUND', { assignmentId });
+    }
+
+    try {
+      await this.classroomService.getClassroomRow(assignment.classroom_id, user, {}, client);
+    } catch (error) {
+      if (error.type === 'NOT_FOUND' || error.type === 'ACCESS_DENIED') {
+        throw new AssignmentError('Assignment not found', 'NOT_FOUND', { assignmentId });
+      }
+      throw error;
+    }
+    return assignment;
+  }
+
+  // The students each assignment is for, from the live classroom roster
+  async getRecipients(assignmentIds, client = this.pool) {
+    const result = await client.query(`
+      SELECT a.id AS assignment_id, u.id AS student_id, u.first_name, u.last_name
+      FROM assignments a
+      JOIN classroom_enrollments ce ON ce.classroom_id = a.classroom_id AND ce.status = 'active'
+      JOIN users u ON u.id = ce.student_id AND u.deleted_at IS NULL
+      WHERE a.id = ANY($1::uuid[])
+        AND (a.assigned_to = 'classroom' OR EXISTS (
+          SELECT 1 FROM assignment_students s
+          WHERE s.assignment_id = a.id AND s.student_id = ce.student_id
+        ))
+      ORDER BY u.last_name, u.first_name
+    `, [assignmentIds]);
+    return result.rows;
+  }
+
+  /**
+   * Sessions that count towards each assignment: those started from it, and those started
+   * directly on one of its problems after it opened. Oldest first.
+   */
+  async getAssignmentSessions(assignmentIds, studentIds = null, client = this.pool) {
+    const result = await client.query(`
+      SELECT a.id AS assignment_id, ps.id, ps.student_id, ps.template_id, ps.session_status,
+        ps.started_at, ps.completed_at, ps.last_activity_at, ps.accuracy_score
+      FROM assignments a
+      JOIN collection_problems cp ON cp.collection_id = a.collection_id
+      JOIN problem_sessions ps ON ps.template_id = cp.template_id
+      WHERE a.id = ANY($1::uuid[])
+        AND ($2::uuid[] IS NULL OR ps.student_id = ANY($2::uuid[]))
+        AND (ps.assignment_id = a.id OR (ps.assignment_id IS NULL AND ps.started_at >= a.open_at))
+      ORDER BY ps.started_at
+    `, [assignmentIds, studentIds]);
+    return result.rows;
+  }
+
+  /**
+   * Every recipient's progress on each assignment, keyed by assignment id:
+   * { problems, students: [{ student, progress }] }
+   */
+  async buildProgress(assignments, { studentId = null, now = new Date() } = {}, client = this.pool) {
+    if (assignments.length === 0) return new Map();
+
+    const assignmentIds = assignments.map(assignment => assignment.id);
+    const [problemsByCollection, recipients, sessions] = await Promise.all([
+      this.getCollectionProblems([...new Set(assignments.map(assignment => String(assignment.collection_id)))], client),
+      this.getRecipients(assignmentIds, client),
+      this.getAssignmentSessions(assignmentIds, studentId ? [studentId] : null, client)
+    ]);
+
+    return new Map(assignments.map(assignment => {
+      const problems = problemsByCollection.get(String(assignment.collection_id)) || [];
+      const students = recipients
+        .filter(row => String(row.assignment_id) === String(assignment.id))
+        .filter(row => !studentId || String(row.student_id) === String(studentId))
+        .map(row => ({
+          student: { id: row.student_id, firstName: row.first_name, lastName: row.last_name },
+          progress: studentProgress(
+            assignment,
+            problems,
+            sessions.filter(session => String(session.assignment_id) === String(assignment.id) &&
+              String(session.student_id) === String(row.student_id)),
+            now
+          )
+        }));
+      return [String(assignment.id), { problems, students }];
+    }));
+  }
+
+  async listAssignments(user, { classroomId = null, status = null, limit = 50, offset = 0 } = {}) {
+    const result = await this.pool.query(`
+      SELECT a.*, pc.name AS collection_name, c.name AS classroom_name, COUNT(*) OVER() AS total_count
+      FROM assignments a
+      JOIN problem_collections pc ON pc.id = a.collection_id
+      JOIN classrooms c ON c.id = a.classroom_id
+      WHERE ($1::boolean OR ${TEACHES_CLASSROOM})
+        AND ($3::uuid IS NULL OR a.classroom_id = $3)
+        AND ($4::text IS NULL OR a.status = $4)
+      ORDER BY a.due_at DESC
+      LIMIT $5 OFFSET $6
+    `, [user.role === 'admin', String(user.id), isId(classroomId) ? classroomId : null, status, limit, offset]);
+
+    const progress = await this.buildProgress(result.rows);
+    return {
+      assignments: result.rows.map(row => ({
+        ...formatAssignment(row),
+        problemCount: progress.get(String(row.id)).problems.length,
+        summary: summarizeAssignment(progress.get(String(row.id)).students.map(entry => entry.progress))
+      })),
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0,
+      limit,
+      offset
+    };
+  }
+
+  async getAssignment(assignmentId, user) {
+    const assignment = await this.getAssignmentRow(assignmentId, user);
+    const progress = (await this.buildProgress([assignment])).get(String(assignment.id));
+
+    return {
+      ...formatAssignment(assignment),
+      problems: progress.problems.map(formatCollectionProblem),
+      summary: summarizeAssignment(progress.students.map(entry => entry.progress))
+    };
+  }
+
+  async createAssignment(input, user) {
+    const { openAt, dueAt, studentIds } = validateAssignmentInput(input);
+
+    const assignmentId = await withTransaction(this.pool, async (client) => {
+      await this.classroomService.getClassroomRow(input.classroomId, user, {}, client);
+      const collection = await this.getCollectionRow(input.collectionId, user, {}, client);
+
+      const problems = await client.query('SELECT 1 FROM collection_problems WHERE collection_id = $1 LIMIT 1', [collection.id]);
+      if (problems.rows.length === 0) {
+        throw new AssignmentError('Invalid assignment', 'VALIDATION_ERROR', { errors: ['The collection has no problems'] });
+      }
+
+      if (studentIds) {
+        const enrolled = await client.query(`
+          SELECT student_id FROM classroom_enrollments
+          WHERE classroom_id = $1 AND student_id = ANY($2::uuid[]) AND status = 'active'
+        `, [input.classroomId, studentIds]);
+        const found = new Set(enrolled.rows.map(row => String(row.student_id)));
+        const missing = studentIds.filter(id => !found.has(id));
+        if (missing.length > 0) {
+          throw new AssignmentError('Invalid assignment', 'VALIDATION_ERROR', {
+            errors: missing.map(id => `Student ${id} is not enrolled in this classroom`)
+          });
+        }
+      }
+
+      const result = await client.query(`
+        INSERT INTO assignments (
+          collection_id, classroom_id, title, instructions, assigned_to, assigned_by,
+          open_at, due_at, allow_late
+        ) VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP), $8, $9)
+        RETURNING id
+      `, [
+        collection.id,
+        input.classroomId,
+        input.title ? input.title.trim() : collection.name,
+        input.instructions || null,
+        studentIds ? ASSIGNED_TO.STUDENTS : ASSIGNED_TO.CLASSROOM,
+        user.id,
+        openAt,
+        dueAt,
+        input.allowLate !== false
+      ]);
+      const id = result.rows[0].id;
+
+      if (studentIds) {
+        await client.query(`
+          INSERT INTO assignment_students (assignment_id, student_id)
+          SELECT $1, unnest($2::uuid[])
+        `, [id, studentIds]);
+      }
+      return id;
+    });
+
+    return this.getAssignment(assignmentId, user);
+  }
+
+  /**
+   * Change the title, instructions, dates or late-work policy. Moving the due date sends the
+   * due-date reminders again for the new date.
+   */
+  async updateAssignment(assignmentId, input, user) {
+    await withTransaction(this.pool, async (client) => {
+      const assignment = await this.getAssignmentRow(assignmentId, user, client);
+      if (assignment.status === ASSIGNMENT_STATUS.CANCELLED) {
+        throw new AssignmentError('A cancelled assignment cannot be changed', 'CONFLICT', { assignmentId: assignment.id });
+      }
+      const { openAt, dueAt } = validateAssignmentInput(input, { partial: true, current: assignment });
+
+      const changes = {
+        title: input.title !== undefined ? input.title.trim() : undefined,
+        instructions: input.instructions,
+        open_at: openAt || undefined,
+        due_at: dueAt || undefined,
+        allow_late: input.allowLate
+      };
+      const columns = Object.keys(changes).filter(column => changes[column] !== undefined);
+      if (columns.length === 0) return;
+
+      await client.query(`
+        UPDATE assignments
+        SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}
+        WHERE id = $1
+      `, [assignment.id, ...columns.map(column => changes[column])]);
+
+      if (dueAt && dueAt.getTime() !== new Date(assignment.due_at).getTime()) {
+        await client.query(`
+          DELETE FROM assignment_reminders WHERE assignment_id = $1 AND reminder_key LIKE 'due\\_%'
+        `, [assignment.id]);
+      }
+    });
+
+    return this.getAssignment(assignmentId, user);
+  }
+
+  async cancelAssignment(assignmentId, user) {
+    await withTransaction(this.pool, async (client) => {
+      const assignment = await this.getAssignmentRow(assignmentId, user, client);
+      if (assignment.status === ASSIGNMENT_STATUS.CANCELLED) {
+        throw new AssignmentError('This assignment is already cancelled', 'CONFLICT', { assignmentId: assignment.id });
+      }
+
+      await client.query(`
+        UPDATE assignments SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = $1
+      `, [assignment.id]);
+    });
+
+    return this.getAssignment(assignmentId, user);
+  }
+
+  /**
+   * The teacher's grid: a row per student with their status, late and missing flags, score
+   * and a cell per problem, plus class-wide counts.
+   */
+  async getAssignmentGrid(assignmentId, user, { now = new Date() } = {}) {
+    const assignment = await this.getAssignmentRow(assignmentId, user);
+    const { problems, students } = (await this.buildProgress([assignment], { now })).get(String(assignment.id));
+
+    return {
+      assignment: formatAssignment(assignment),
+      problems: problems.map(formatCollectionProblem),
+      students: students.map(({ student, progress }) => ({ ...student, ...progress })),
+      summary: summarizeAssignment(students.map(entry => entry.progress)),
+      generatedAt: now.toISOString()
+    };
+  }
+
+  // ============================================
+  // STUDENTS
+  // ============================================
+
+  // A student's assignments that are not cancelled, soonest due first, with their own progress
+  async listStudentAssignments(student, { includePast = false, now = new Date() } = {}) {
+    const result = await this.pool.query(`
+      ${ASSIGNMENT_SELECT}
+      JOIN classroom_enrollments ce ON ce.classroom_id = a.classroom_id AND ce.status = 'active'
+      WHERE ce.student_id::text = $1
+        AND a.status = 'active'
+        AND (a.assigned_to = 'classroom' OR EXISTS (
+          SELECT 1 FROM assignment_students s WHERE s.assignment_id = a.id AND s.student_id::text = $1
+        ))
+        AND ($2::boolean OR a.due_at > CURRENT_TIMESTAMP - INTERVAL '30 days')
+      ORDER BY a.due_at
+    `, [String(student.id), includePast]);
+
+    const progress = await this.buildProgress(result.rows, { studentId: student.id, now });
+    const assignments = result.rows.map(row => {
+      const entry = progress.get(String(row.id));
+      const own = entry.students[0];
+      return {
+        ...formatAssignment(row),
+        problems: entry.problems.map(formatCollectionProblem),
+        progress: own ? own.progress : null
+      };
+    });
+
+    return {
+      assignments,
+      counts: {
+        open: assignments.filter(a => a.progress && !a.progress.missing &&
+          ![STUDENT_STATUS.NOT_OPEN, STUDENT_STATUS.COMPLETED].includes(a.progress.status)).length,
+        upcoming: assignments.filter(a => a.progress && a.progress.status === STUDENT_STATUS.NOT_OPEN).length,
+        missing: assignments.filter(a => a.progress && a.progress.missing).length,
+        completed: assignments.filter(a => a.progress && a.progress.status === STUDENT_STATUS.COMPLETED).length
+      }
+    };
+  }
+
+  /**
+   * Called before a student starts a session from an assignment: the assignment must be theirs,
+   * open, and the problem must be next and have attempts left.
+   */
+  async checkSessionStart(assignmentId, templateId, student, { now = new Date() } = {}) {
+    if (!isId(assignmentId)) {
+      throw new AssignmentError('Assignment not found', 'NOT_FOUND', { assignmentId });
+    }
+
+    const result = await this.pool.query(`${ASSIGNMENT_SELECT} WHERE a.id = $1`, [assignmentId]);
+    const assignment = result.rows[0];
+    const entry = assignment && (await this.buildProgress([assignment], { studentId: student.id, now })).get(String(assignment.id));
+    if (!entry || entry.students.length === 0) {
+      throw new AssignmentError('Assignment not found', 'NOT_FOUND', { assignmentId });
+    }
+
+    const collection = await this.pool.query(`
+      SELECT attempts_allowed, is_ordered FROM problem_collections WHERE id = $1
+    `, [assignment.collection_id]);
+
+    assertCanStartProblem({
+      assignment,
+      collection: collection.rows[0],
+      problems: entry.problems,
+      progress: entry.students[0].progress,
+      templateId,
+      now
+    });
+    return assignment.id;
+  }
+
+  // ============================================
+  // REMINDERS
+  // ============================================
+
+  // Record notifications as sent; returns the students it had not been sent to yet
+  async claimReminders(assignmentId, studentIds, reminderKey) {
+    if (studentIds.length === 0) return [];
+
+    const result = await this.pool.query(`
+      INSERT INTO assignment_reminders (assignment_id, student_id, reminder_key)
+      SELECT $1, unnest($2::uuid[]), $3
+      ON CONFLICT DO NOTHING
+      RETURNING student_id
+    `, [assignmentId, studentIds, reminderKey]);
+    return result.rows.map(row => String(row.student_id));
+  }
+
+  async notifyStudent(studentId, notification) {
+    try {
+      await (this.notificationService || getNotificationService()).createNotification({ recipientId: studentId, ...notification });
+      return true;
+    } catch (error) {
+      console.error('Failed to send assignment notification:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Tell students about assignments that have opened, and remind those who have not finished
+   * as the due date approaches. Each notification is claimed before it is sent, so it goes out
+   * once even if sweeps overlap.
+   */
+  async runReminderSweep(now = new Date()) {
+    const result = await this.pool.query(`
+      ${ASSIGNMENT_SELECT}
+      WHERE a.status = 'active' AND a.open_at <= $1 AND a.due_at > $1
+    `, [now]);
+
+    const sent = { assigned: 0, due: 0 };
+    const progress = await this.buildProgress(result.rows, { now });
+
+    for (const assignment of result.rows) {
+      const { problems, students } = progress.get(String(assignment.id));
+      const pending = students.filter(entry => entry.progress.status !== STUDENT_STATUS.COMPLETED);
+      const timeLeft = describeTimeLeft(assignment.due_at, now);
+      const data = { assignmentId: assignment.id, dueDate: new Date(assignment.due_at).toISOString() };
+
+      const newlyAssigned = await this.claimReminders(assignment.id, students.map(entry => String(entry.student.id)), 'assigned');
+      for (const studentId of newlyAssigned) {
+        const delivered = await this.notifyStudent(studentId, {
+          typeKey: 'new_assignment',
+          senderId: assignment.assigned_by,
+          title: `📋 New assignment: ${assignment.title}`,
+          message: `"${assignment.title}" has ${problems.length} problem${problems.length === 1 ? '' : 's'} and is due ${timeLeft}.`,
+          data,
+          actionUrl: `/assignments/${assignment.id}`,
+          actionText: 'Start Assignment'
+        });
+        if (delivered) sent.assigned += 1;
+      }
+
+      const reminderKey = dueReminderKey(assignment, this.config.reminderHours, now);
+      if (!reminderKey) continue;
+
+      const reminded = new Set(await this.claimReminders(
+        assignment.id,
+        pending.map(entry => String(entry.student.id)),
+        reminderKey
+      ));
+      for (const { student, progress: own } of pending.filter(entry => reminded.has(String(entry.student.id)))) {
+        const delivered = await this.notifyStudent(student.id, {
+          typeKey: 'assignment_due',
+          title: `⏰ "${assignment.title}" is due ${timeLeft}`,
+          message: `You have finished ${own.requiredCompleted} of ${own.requiredTotal} problems. Keep going!`,
+          data: { ...data, reminder: reminderKey },
+          priority: new Date(assignment.due_at) - now <= 24 * 60 * 60 * 1000 ? 'high' : 'medium',
+          actionUrl: `/assignments/${assignment.id}`,
+          actionText: 'Continue Assignment'
+        });
+        if (delivered) sent.due += 1;
+      }
+    }
+
+    return sent;
+  }
+
+  start() {
+    if (this.timer || !this.config.remindersEnabled) {
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.runReminderSweep().catch(error => console.error('❌ Assignment reminder sweep failed:', error.message));
+    }, this.config.sweepIntervalMs);
+    console.log(`⏰ Assignment reminders started (${this.config.reminderHours.join(', ')} hours before due)`);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+let assignmentServiceInstance = null;
+
+const getAssignmentService = () => {
+  if (!assignmentServiceInstance) {
+    assignmentServiceInstance = new AssignmentService();
+  }
+  return assignmentServiceInstance;
+};
+
+module.exports = {
+  AssignmentService,
+  getAssignmentService
+};
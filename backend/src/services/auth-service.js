@@ -274,63 +274,87 @@ const updateLastLogin = async (userId, ipAddress) => {
   }
 };
 
-// Authenticate user
-const authenticateUser = async (email, password, ipAddress, userAgent) => {
-  try {
-    // Get user by email
-    const user = await getUserByEmail(email);
-    if (!user) {
-      return {
-        success: false,
-        message: 'Invalid email or password',
-        user: null,
-        tokens: null
-      };
+// Issue access and refresh tokens for a user who has proven who they are
+// (password login or single sign-on) and record the session
+const issueSessionTokens = async (user, ipAddress, userAgent) => {
+  const accessToken = generateAccessToken(user);
+  const refreshToken = generateRefreshToken(user);
+
+  // Create session
+  await createUserSession(user.id, refreshToken, ipAddress, userAgent);
+
+  // Update last login
+  await updateLastLogin(user.id, ipAddress);
+
+  // Remove sensitive data
+  const { password_hash, ...safeUser } = user;
+
+  return {
+    user: safeUser,
+    tokens: {
+      accessToken,
+      refreshToken,
+      expiresIn: JWT_EXPIRES_IN
     }
+  };
+};
 
-    // Check user status
-    if (user.status !== 'active') {
-      return {
-        success: false,
-        message: 'Account is not active. Please contact support.',
-        user: null,
-        tokens: null
-      };
-    }
+// Check an email and password without signing in, so a second factor can be asked for first
+const verifyCredentials = async (email, password) => {
+  // Get user by email
+  const user = await getUserByEmail(email);
+  if (!user) {
+    return {
+      success: false,
+      message: 'Invalid email or password',
+      reason: 'unknown_email',
+      user: null
+    };
+  }
 
-    // Verify password
-    const isPasswordValid = await verifyPassword(password, user.password_hash);
-    if (!isPasswordValid) {
-      return {
-        success: false,
-        message: 'Invalid email or password',
-        user: null,
-        tokens: null
-      };
-    }
+  // Check user status
+  if (user.status !== 'active') {
+    return {
+      success: false,
+      message: 'Account is not active. Please contact support.',
+      reason: 'account_inactive',
+      user: null
+    };
+  }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+  // Verify password (accounts provisioned through single sign-on may have none)
+  const isPasswordValid = !!user.password_hash && await verifyPassword(password, user.password_hash);
+  if (!isPasswordValid) {
+    return {
+      success: false,
+      message: 'Invalid email or password',
+      reason: 'invalid_password',
+      user: null
+    };
+  }
 
-    // Create session
-    await createUserSession(user.id, refreshToken, ipAddress, userAgent);
+  return {
+    success: true,
+    message: 'Credentials verified',
+    user
+  };
+};
 
-    // Update last login
-    await updateLastLogin(user.id, ipAddress);
+// Authenticate user
+const authenticateUser = async (email, password, ipAddress, userAgent) => {
+  try {
+    const credentials = await verifyCredentials(email, password);
+    if (!credentials.success) {
+      return { ...credentials, tokens: null };
+    }
 
-    // Remove sensitive data
-    const { password_hash, ...safeUser } = user;
+    const { user: safeUser, tokens } = await issueSessionTokens(credentials.user, ipAddress, userAgent);
 
     return {
       success: true,
       message: 'Authentication successful',
       user: safeUser,
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: JWT_EXPIRES_IN
-      }
+      tokens
     };
   } catch (error) {
     console.error('Authentication failed:', error);
@@ -421,6 +445,8 @@ module.exports = {
   getUserByEmail,
   getUserById,
   updateLastLogin,
+  issueSessionTokens,
+  verifyCredentials,
   authenticateUser,
   refreshAccessToken
 }; 
\ No newline at end of file
@@ -0,0 +1,424 @@
+const { Pool } = require('pg');
+const { getCalibrationConfig } = require('../config/environment');
+const { CronScheduler } = require('./scheduled-job');
+const {
+  IRT_MODELS,
+  RUN_STATUS,
+  LABEL_AGREEMENT,
+  CalibrationError,
+  fitModel,
+  difficultyToValue,
+  compareWithLabel,
+  targetDifficultyValue,
+  combineAbilities,
+  estimateConfidence,
+  validateReportQuery,
+  formatCalibrationRun,
+  formatTemplateEstimate
+} = require('./irt-calibration');
+const { withTransaction } = require('./db-transaction');
+
+const RUN_STALE_HOURS = 6; // A run still marked running after this long was interrupted
+
+class CalibrationService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getCalibrationConfig();
+    this.scheduler = new CronScheduler({
+      name: 'Difficulty calibration',
+      timezone: this.config.timezone,
+      runJob: async (jobName, periodKey) => {
+        const run = await this.claimRun({ periodKey, trigger: 'schedule' });
+        return run ? this.executeRun(run) : null;
+      }
+    });
+  }
+
+  // ============================================
+  // SCHEDULER
+  // ============================================
+
+  start() {
+    if (!this.config.enabled) {
+      return false;
+    }
+
+    // Fail fast on a bad model rather than silently never running
+    if (!Object.values(IRT_MODELS).includes(this.config.model)) {
+      throw new CalibrationError(`Unknown IRT model: ${this.config.model}`, 'VALIDATION_ERROR', {
+        errors: [`IRT_MODEL must be one of: ${Object.values(IRT_MODELS).join(', ')}`]
+      });
+    }
+    return this.scheduler.start({ difficulty_calibration: this.config.schedule });
+  }
+
+  stop() {
+    this.scheduler.stop();
+  }
+
+  tick(now = new Date()) {
+    return this.scheduler.tick(now);
+  }
+
+  // ============================================
+  // RUNS
+  // ============================================
+
+  /**
+   * Claim a run. Returns null when this scheduled minute already ran (another instance);
+   * a run already in progress is a conflict.
+   */
+  async claimRun({ periodKey, trigger, triggeredBy = null }) {
+    await this.pool.query(`
+      UPDATE irt_calibration_runs
+      SET status = 'failed', last_error = 'Interrupted before completion', completed_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND started_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+    `, [RUN_STALE_HOURS]);
+
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO irt_calibration_runs (period_key, trigger, triggered_by, model, window_days)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (period_key) DO NOTHING
+        RETURNING *
+      `, [periodKey, trigger, triggeredBy, this.config.model, this.config.windowDays]);
+      return result.rows[0] || null;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new CalibrationError('A calibration run is already in progress', 'CONFLICT');
+      }
+      throw error;
+    }
+  }
+
+  // Start a manual run and return it straight away; progress is read from the run log
+  async triggerRun(admin) {
+    const run = await this.claimRun({
+      periodKey: `manual:${new Date().toISOString()}`,
+      trigger: 'manual',
+      triggeredBy: admin.id
+    });
+
+    setImmediate(() => {
+      this.executeRun(run).catch(error => console.error(`❌ Calibration run ${run.id} failed:`, error.message));
+    });
+
+    return formatCalibrationRun(run);
+  }
+
+  /**
+   * Accuracy per student and template over the window: each scored step is one trial scoring
+   * its accuracy. Steps without a score (skipped, never answered) are left out.
+   */
+  async getResponses(windowDays) {
+    const result = await this.pool.query(`
+      SELECT ps.student_id, ps.template_id, pt.subject, pt.difficulty_level,
+             COUNT(pss.id)::int AS trials, SUM(pss.accuracy_score)::float AS score
+      FROM problem_session_steps pss
+      JOIN problem_sessions ps ON ps.id = pss.session_id
+      JOIN problem_templates pt ON pt.id = ps.template_id
+      WHERE pss.accuracy_score IS NOT NULL
+        AND ps.started_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+      GROUP BY ps.student_id, ps.template_id, pt.subject, pt.difficulty_level
+    `, [windowDays]);
+    return result.rows;
+  }
+
+  // Fit each subject separately: abilities in one subject say little about another
+  async executeRun(run) {
+    console.log(`📐 Running difficulty calibration (${run.period_key}, ${run.model})`);
+
+    try {
+      const rows = await this.getResponses(run.window_days);
+      const subjects = new Map();
+      rows.forEach(row => {
+        if (!subjects.has(row.subject)) subjects.set(row.subject, []);
+        subjects.get(row.subject).push(row);
+      });
+
+      const totals = { templates: 0, students: 0, responses: 0 };
+      const summary = {};
+      for (const [subject, subjectRows] of subjects) {
+        const result = await this.calibrateSubject(run, subject, subjectRows);
+        totals.templates += result.templates;
+        totals.students += result.students;
+        totals.responses += result.responses;
+        summary[subject] = result;
+      }
+
+      const completed = await this.pool.query(`
+        UPDATE irt_calibration_runs
+        SET status = $2, subjects = $3, templates = $4, students = $5, responses = $6, summary = $7,
+            completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [run.id, RUN_STATUS.COMPLETED, subjects.size, totals.templates, totals.students, totals.responses,
+        JSON.stringify(summary)]);
+
+      console.log(`✅ Difficulty calibration: ${totals.templates} templates, ${totals.students} student abilities ` +
+        `across ${subjects.size} subjects`);
+      return formatCalibrationRun(completed.rows[0]);
+    } catch (error) {
+      await this.pool.query(`
+        UPDATE irt_calibration_runs
+        SET status = $2, last_error = $3, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [run.id, RUN_STATUS.FAILED, error.message]).catch(console.error);
+      throw error;
+    }
+  }
+
+  // Fit one subject and replace its estimates in a single transaction
+  async calibrateSubject(run, subject, rows) {
+    const fit = fitModel(rows.map(row => ({
+      studentId: row.student_id,
+      templateId: row.template_id,
+      trials: row.trials,
+      score: row.score
+    })), { model: run.model });
+
+    const labels = new Map(rows.map(row => [String(row.template_id), row.difficulty_level]));
+    const agreement = Object.fromEntries(Object.values(LABEL_AGREEMENT).map(value => [value, 0]));
+
+    const templates = [...fit.difficulties].map(([templateId, estimate]) => {
+      const comparison = compareWithLabel(estimate, labels.get(templateId), {
+        minStudents: this.config.minTemplateStudents
+      });
+      agreement[comparison.agreement] += 1;
+      return { templateId, ...estimate, ...comparison };
+    });
+    const students = [...fit.abilities].map(([studentId, estimate]) => ({ studentId, ...estimate }));
+
+    await withTransaction(this.pool, async (client) => {
+      await client.query(`
+        INSERT INTO template_difficulty_estimates (
+          template_id, run_id, subject, model, difficulty, discrimination, standard_error, students, trials,
+          observed_success_rate, labelled_difficulty, suggested_difficulty, agreement, direction, levels,
+          calibrated_at
+        )
+        SELECT t.template_id, $1, $2, $3, t.difficulty, t.discrimination, t.standard_error, t.students, t.trials,
+               t.observed_success_rate, t.labelled_difficulty::difficulty_level,
+               t.suggested_difficulty::difficulty_level, t.agreement, t.direction, t.levels, CURRENT_TIMESTAMP
+        FROM unnest($4::uuid[], $5::numeric[], $6::numeric[], $7::numeric[], $8::int[], $9::int[], $10::numeric[],
+                    $11::text[], $12::text[], $13::text[], $14::text[], $15::int[])
+          AS t(template_id, difficulty, discrimination, standard_error, students, trials, observed_success_rate,
+               labelled_difficulty, suggested_difficulty, agreement, direction, levels)
+        ON CONFLICT (template_id) DO UPDATE SET
+          run_id = EXCLUDED.run_id, subject = EXCLUDED.subject, model = EXCLUDED.model,
+          difficulty = EXCLUDED.difficulty, discrimination = EXCLUDED.discrimination,
+          standard_error = EXCLUDED.standard_error, students = EXCLUDED.students, trials = EXCLUDED.trials,
+          observed_success_rate = EXCLUDED.observed_success_rate,
+          labelled_difficulty = EXCLUDED.labelled_difficulty, suggested_difficulty = EXCLUDED.suggested_difficulty,
+          agreement = EXCLUDED.agreement, direction = EXCLUDED.direction, levels = EXCLUDED.levels,
+          calibrated_at = EXCLUDED.calibrated_at
+      `, [
+        run.id, subject, run.model,
+        templates.map(t => t.templateId),
+        templates.map(t => t.difficulty),
+        templates.map(t => t.discrimination),
+        templates.map(t => t.standardError),
+        templates.map(t => t.students),
+        templates.map(t => t.trials),
+        templates.map(t => t.observedSuccessRate),
+        templates.map(t => t.labelledDifficulty),
+        templates.map(t => t.suggestedDifficulty),
+        templates.map(t => t.agreement),
+        templates.map(t => t.direction),
+        templates.map(t => t.levels)
+      ]);
+
+      await client.query(`
+        INSERT INTO student_ability_estimates (
+          student_id, subject, run_id, model, ability, standard_error, templates, trials, calibrated_at
+        )
+        SELECT s.student_id, $1, $2, $3, s.ability, s.standard_error, s.templates, s.trials, CURRENT_TIMESTAMP
+        FROM unnest($4::uuid[], $5::numeric[], $6::numeric[], $7::int[], $8::int[])
+          AS s(student_id, ability, standard_error, templates, trials)
+        ON CONFLICT (student_id, subject) DO UPDATE SET
+          run_id = EXCLUDED.run_id, model = EXCLUDED.model, ability = EXCLUDED.ability,
+          standard_error = EXCLUDED.standard_error, templates = EXCLUDED.templates, trials = EXCLUDED.trials,
+          calibrated_at = EXCLUDED.calibrated_at
+      `, [
+        subject, run.id, run.model,
+        students.map(s => s.studentId),
+        students.map(s => s.ability),
+        students.map(s => s.standardError),
+        students.map(s => s.templates),
+        students.map(s => s.trials)
+      ]);
+    });
+
+    return {
+      templates: templates.length,
+      students: students.length,
+      responses: fit.responses,
+      iterations: fit.iterations,
+      converged: fit.converged,
+      logLikelihood: fit.logLikelihood,
+      agreement
+    };
+  }
+
+  async listRuns({ limit = 20, offset = 0 } = {}) {
+    const result = await this.pool.query(`
+      SELECT * FROM irt_calibration_runs
+      ORDER BY started_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+    return result.rows.map(formatCalibrationRun);
+  }
+
+  async getRun(runId) {
+    if (typeof runId !== 'string' || !/^[0-9a-f-]{36}$/i.test(runId)) {
+      throw new CalibrationError('Calibration run not found', 'NOT_FOUND', { runId });
+    }
+
+    const result = await this.pool.query('SELECT * FROM irt_calibration_runs WHERE id = $1', [runId]);
+    if (result.rows.length === 0) {
+      throw new CalibrationError('Calibration run not found', 'NOT_FOUND', { runId });
+    }
+    return formatCalibrationRun(result.rows[0]);
+  }
+
+  // ============================================
+  // ESTIMATES
+  // ============================================
+
+  /**
+   * Templates whose labelled difficulty disagrees with the observed one (?agreement= for the
+   * others, or all), furthest out first, with counts per agreement for the subject.
+   */
+  async getDisagreementReport(query = {}, { limit = 50, offset = 0 } = {}) {
+    const { agreement, subject } = validateReportQuery(query);
+
+    const [templates, counts] = await Promise.all([
+      this.pool.query(`
+        SELECT tde.*, pt.title
+        FROM template_difficulty_estimates tde
+        JOIN problem_templates pt ON pt.id = tde.template_id
+        WHERE ($1::text IS NULL OR tde.subject::text = $1)
+          AND ($2::text = 'all' OR tde.agreement = $2)
+          AND pt.is_active = true
+        ORDER BY ABS(tde.levels) DESC, ABS(tde.difficulty) DESC, tde.students DESC
+        LIMIT $3 OFFSET $4
+      `, [subject, agreement, limit, offset]),
+      this.pool.query(`
+        SELECT tde.agreement, COUNT(*)::int AS count, MAX(tde.calibrated_at) AS calibrated_at
+        FROM template_difficulty_estimates tde
+        JOIN problem_templates pt ON pt.id = tde.template_id
+        WHERE ($1::text IS NULL OR tde.subject::text = $1)
+          AND pt.is_active = true
+        GROUP BY tde.agreement
+      `, [subject])
+    ]);
+
+    const summary = Object.fromEntries(Object.values(LABEL_AGREEMENT).map(value => [value, 0]));
+    let calibratedAt = null;
+    counts.rows.forEach(row => {
+      summary[row.agreement] = row.count;
+      if (row.calibrated_at && (!calibratedAt || row.calibrated_at > calibratedAt)) calibratedAt = row.calibrated_at;
+    });
+
+    return {
+      subject,
+      agreement,
+      calibratedAt: calibratedAt ? new Date(calibratedAt).toISOString() : null,
+      minTemplateStudents: this.config.minTemplateStudents,
+      summary,
+      templates: templates.rows.map(formatTemplateEstimate)
+    };
+  }
+
+  // A template's estimate, or null when it was never calibrated or had too few students
+  async getTemplateEstimate(templateId, client = this.pool) {
+    const result = await client.query(`
+      SELECT * FROM template_difficulty_estimates WHERE template_id = $1
+    `, [templateId]);
+    const row = result.rows[0];
+    if (!row || row.agreement === LABEL_AGREEMENT.INSUFFICIENT_DATA) {
+      return null;
+    }
+
+    const estimate = formatTemplateEstimate(row);
+    return { ...estimate, value: difficultyToValue(estimate.difficulty) };
+  }
+
+  /**
+   * A student's ability in a subject, or across all their subjects (weighted by precision)
+   * when none is given. Null when they have no estimate.
+   */
+  async getStudentAbility(studentId, subject = null, client = this.pool) {
+    const result = await client.query(`
+      SELECT * FROM student_ability_estimates
+      WHERE student_id = $1 AND ($2::text IS NULL OR subject::text = $2)
+    `, [studentId, subject]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const estimates = result.rows.map(row => ({
+      subject: row.subject,
+      ability: parseFloat(row.ability),
+      standardError: parseFloat(row.standard_error),
+      templates: row.templates
+    }));
+    if (estimates.length === 1) {
+      return estimates[0];
+    }
+    return { subject: null, ...combineAbilities(estimates) };
+  }
+
+  /**
+   * Where a student should be working, on the adaptation scale: the difficulty at which their
+   * expected success is the target rate. Null when calibration is off or the student's
+   * ability rests on too few templates to trust.
+   */
+  async getAdaptationTarget(studentId, subject = null, client = this.pool) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    const estimate = await this.getStudentAbility(studentId, subject, client);
+    if (!estimate || estimate.templates < this.config.minStudentTemplates) {
+      return null;
+    }
+
+    return {
+      ...estimate,
+      targetSuccessRate: this.config.targetSuccessRate,
+      targetValue: targetDifficultyValue(estimate.ability, this.config.targetSuccessRate),
+      confidence: estimateConfidence(estimate.standardError)
+    };
+  }
+
+  getSchedule() {
+    return {
+      enabled: this.config.enabled,
+      running: this.scheduler.running,
+      timezone: this.config.timezone,
+      schedule: this.config.schedule,
+      model: this.config.model,
+      windowDays: this.config.windowDays,
+      minTemplateStudents: this.config.minTemplateStudents,
+      minStudentTemplates: this.config.minStudentTemplates,
+      targetSuccessRate: this.config.targetSuccessRate
+    };
+  }
+}
+
+let calibrationServiceInstance = null;
+
+const getCalibrationService = () => {
+  if (!calibrationServiceInstance) {
+    calibrationServiceInstance = new CalibrationService();
+  }
+  return calibrationServiceInstance;
+};
+
+module.exports = {
+  CalibrationService,
+  getCalibrationService
+};
@@ -0,0 +1,291 @@
+// Classroom roster validation and CSV parsing (no database access)
+
+const CO_TEACHER_ROLES = ['co_teacher', 'substitute', 'aide'];
+
+const RELATIONSHIP_TYPES = ['mother', 'father', 'guardian', 'stepparent', 'grandparent', 'caregiver'];
+
+const ENROLLMENT_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  DROPPED: 'dropped'
+};
+
+// Permissions stored on teacher_classrooms; co-teachers get all of them unless told otherwise
+const CO_TEACHER_PERMISSIONS = [
+  'can_manage_students',
+  'can_create_assignments',
+  'can_grade',
+  'can_view_analytics',
+  'can_communicate_with_parents'
+];
+
+const MAX_ROSTER_ROWS = 500;
+
+// Header names accepted for each roster column (compared lower-cased, spaces as underscores)
+const ROSTER_COLUMNS = {
+  studentEmail: ['student_email', 'email'],
+  parentEmail: ['parent_email', 'guardian_email'],
+  relationshipType: ['relationship_type', 'relationship'],
+  primaryContact: ['primary_contact']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ClassroomError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'ClassroomError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const isId = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+// ============================================
+// INPUT VALIDATION
+// ============================================
+
+const validateClassroomInput = (input, { role, partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+  const required = (field) => !partial || has(field);
+
+  if (required('name') && (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 255)) {
+    errors.push('name is required (255 characters max)');
+  }
+  if (has('subject') && input.subject !== null && (typeof input.subject !== 'string' || input.subject.length > 100)) {
+    errors.push('subject must be text (100 characters max)');
+  }
+  if (has('gradeLevel') && input.gradeLevel !== null &&
+      (!Number.isInteger(input.gradeLevel) || input.gradeLevel < 0 || input.gradeLevel > 12)) {
+    errors.push('gradeLevel must be between 0 and 12');
+  }
+  if (has('schoolYear') && input.schoolYear !== null &&
+      (typeof input.schoolYear !== 'string' || input.schoolYear.length > 20)) {
+    errors.push('schoolYear must be text (20 characters max), e.g. 2026-2027');
+  }
+  if (has('description') && input.description !== null && typeof input.description !== 'string') {
+    errors.push('description must be text');
+  }
+  if (has('active') && typeof input.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+  if (has('teacherId')) {
+    if (role !== 'admin') {
+      errors.push('Only administrators can choose the classroom teacher');
+    } else if (!isId(input.teacherId)) {
+      errors.push('teacherId must be a user id');
+    }
+  } else if (!partial && role === 'admin') {
+    errors.push('teacherId is required');
+  }
+
+  if (errors.length > 0) {
+    throw new ClassroomError('Invalid classroom', 'VALIDATION_ERROR', { errors });
+  }
+};
+
+const validateCoTeacherInput = (input) => {
+  const errors = [];
+
+  if (!isId(input.teacherId)) {
+    errors.push('teacherId must be a user id');
+  }
+  if (input.role !== undefined && !CO_TEACHER_ROLES.includes(input.role)) {
+    errors.push(`role must be one of: ${CO_TEACHER_ROLES.join(', ')}`);
+  }
+  if (input.permissions !== undefined) {
+    const permissions = input.permissions;
+    if (permissions === null || typeof permissions !== 'object' || Array.isArray(permissions)) {
+      errors.push('permissions must be an object');
+    } else {
+      for (const [key, value] of Object.entries(permissions)) {
+        if (!CO_TEACHER_PERMISSIONS.includes(key) || typeof value !== 'boolean') {
+          errors.push(`permissions.${key} is not a known true/false permission`);
+        }
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ClassroomError('Invalid co-teacher assignment', 'VALIDATION_ERROR', { errors });
+  }
+};
+
+const validateParentLinkInput = (input) => {
+  const errors = [];
+
+  if (!isId(input.parentId)) {
+    errors.push('parentId must be a user id');
+  }
+  if (!RELATIONSHIP_TYPES.includes(input.relationshipType)) {
+    errors.push(`relationshipType must be one of: ${RELATIONSHIP_TYPES.join(', ')}`);
+  }
+  for (const flag of ['primaryContact', 'emergencyContact']) {
+    if (input[flag] !== undefined && typeof input[flag] !== 'boolean') {
+      errors.push(`${flag} must be true or false`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ClassroomError('Invalid parent link', 'VALIDATION_ERROR', { errors });
+  }
+};
+
+// ============================================
+// CSV
+// ============================================
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and doubled quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ClassroomError('Invalid CSV', 'VALIDATION_ERROR', { errors: ['CSV has an unterminated quoted field'] });
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const parseBoolean = (value) => {
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0', ''].includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * Parse a roster CSV into rows with their own validation errors. Row numbers count
+ * non-blank records with the header as row 1. Throws only for file-level problems.
+ */
+const parseRosterCsv = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ClassroomError('Invalid roster', 'VALIDATION_ERROR', { errors: ['CSV content is required'] });
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw new ClassroomError('Invalid roster', 'VALIDATION_ERROR', { errors: ['CSV content is required'] });
+  }
+
+  const headerNames = header.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+  const columnIndex = {};
+  for (const [key, aliases] of Object.entries(ROSTER_COLUMNS)) {
+    const index = headerNames.findIndex(name => aliases.includes(name));
+    if (index !== -1) columnIndex[key] = index;
+  }
+
+  if (columnIndex.studentEmail === undefined) {
+    throw new ClassroomError('Invalid roster', 'VALIDATION_ERROR', {
+      errors: [`CSV header must include a ${ROSTER_COLUMNS.studentEmail.join(' or ')} column`]
+    });
+  }
+  if (records.length === 0) {
+    throw new ClassroomError('Invalid roster', 'VALIDATION_ERROR', { errors: ['CSV has no student rows'] });
+  }
+  if (records.length > MAX_ROSTER_ROWS) {
+    throw new ClassroomError('Invalid roster', 'VALIDATION_ERROR', {
+      errors: [`CSV has ${records.length} rows; import at most ${MAX_ROSTER_ROWS} at a time`]
+    });
+  }
+
+  const seenStudents = new Map();
+
+  return records.map((cells, index) => {
+    const value = (key) => (columnIndex[key] === undefined ? '' : (cells[columnIndex[key]] || '').trim());
+    const errors = [];
+
+    const studentEmail = value('studentEmail').toLowerCase();
+    const parentEmail = value('parentEmail').toLowerCase() || null;
+    const relationshipType = value('relationshipType').toLowerCase() || (parentEmail ? 'guardian' : null);
+    const primaryContact = parseBoolean(value('primaryContact'));
+    const rowNumber = index + 2;
+
+    if (cells.length > header.length) {
+      errors.push(`Row has ${cells.length} fields but the header has ${header.length}`);
+    }
+    if (!EMAIL_PATTERN.test(studentEmail)) {
+      errors.push('student_email is missing or not an email address');
+    } else if (seenStudents.has(studentEmail)) {
+      errors.push(`Student is already listed on row ${seenStudents.get(studentEmail)}`);
+    } else {
+      seenStudents.set(studentEmail, rowNumber);
+    }
+    if (parentEmail && !EMAIL_PATTERN.test(parentEmail)) {
+      errors.push('parent_email is not an email address');
+    }
+    if (relationshipType && !parentEmail) {
+      errors.push('relationship_type needs a parent_email');
+    } else if (relationshipType && !RELATIONSHIP_TYPES.includes(relationshipType)) {
+      errors.push(`relationship_type must be one of: ${RELATIONSHIP_TYPES.join(', ')}`);
+    }
+    if (primaryContact === null) {
+      errors.push('primary_contact must be yes or no');
+    }
+
+    return {
+      row: rowNumber,
+      studentEmail,
+      parentEmail,
+      relationshipType,
+      primaryContact: Boolean(primaryContact),
+      errors
+    };
+  });
+};
+
+module.exports = {
+  CO_TEACHER_ROLES,
+  CO_TEACHER_PERMISSIONS,
+  RELATIONSHIP_TYPES,
+  ENROLLMENT_STATUS,
+  MAX_ROSTER_ROWS,
+  ClassroomError,
+  isId,
+  validateClassroomInput,
+  validateCoTeacherInput,
+  validateParentLinkInput,
+  parseCsv,
+  parseRosterCsv
+};
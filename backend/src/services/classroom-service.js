@@ -0,0 +1,760 @@
+const { Pool } = require('pg');
+const {
+  CO_TEACHER_PERMISSIONS,
+  ENROLLMENT_STATUS,
+  MAX_ROSTER_ROWS,
+  ClassroomError,
+  isId,
+  validateClassroomInput,
+  validateCoTeacherInput,
+  validateParentLinkInput,
+  parseRosterCsv
+} = require('./classroom-roster');
+const { withTransaction } = require('./db-transaction');
+
+// Row -> API shapes
+const formatClassroom = (row) => ({
+  id: row.id,
+  name: row.name,
+  subject: row.subject,
+  gradeLevel: row.grade_level,
+  schoolYear: row.school_year,
+  description: row.description,
+  active: row.active,
+  teacher: {
+    id: row.teacher_id,
+    firstName: row.teacher_first_name,
+    lastName: row.teacher_last_name,
+    email: row.teacher_email
+  },
+  studentCount: parseInt(row.student_count, 10) || 0,
+  createdAt: new Date(row.created_at).toISOString(),
+  updatedAt: new Date(row.updated_at).toISOString()
+});
+
+const formatTeacher = (row) => ({
+  teacherId: row.teacher_id,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  email: row.email,
+  role: row.role,
+  permissions: row.permissions || {},
+  status: row.status,
+  startDate: row.start_date,
+  endDate: row.end_date
+});
+
+const formatEnrollment = (row) => ({
+  studentId: row.student_id,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  email: row.email,
+  status: row.status,
+  enrolledAt: new Date(row.enrolled_at).toISOString()
+});
+
+const formatParentLink = (row) => ({
+  id: row.id,
+  parentId: row.parent_id,
+  childId: row.child_id,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  email: row.email,
+  relationshipType: row.relationship_type,
+  primaryContact: row.primary_contact,
+  emergencyContact: row.emergency_contact,
+  status: row.status,
+  startDate: row.relationship_start_date,
+  endDate: row.relationship_end_date
+});
+
+const CLASSROOM_SELECT = `
+  SELECT c.*,
+    t.first_name AS teacher_first_name, t.last_name AS teacher_last_name, t.email AS teacher_email,
+    (SELECT COUNT(*) FROM classroom_enrollments ce WHERE ce.classroom_id = c.id AND ce.status = 'active') AS student_count
+  FROM classrooms c
+  JOIN users t ON t.id = c.teacher_id
+`;
+
+const defaultCoTeacherPermissions = () => CO_TEACHER_PERMISSIONS
+  .reduce((permissions, key) => ({ ...permissions, [key]: true }), {});
+
+class ClassroomService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+  }
+
+  // ============================================
+  // ACCESS
+  // ============================================
+
+  /**
+   * Load a classroom the user may work with. Admins and the primary teacher can manage
+   * it; active co-teachers can read it, and manage students when their permissions allow
+   */
+  async getClassroomRow(classroomId, user, { manage = false, manageStudents = false } = {}, client = this.pool) {
+    if (!isId(classroomId)) {
+      throw new ClassroomError('Classroom not found', 'NOT_FOUND', { classroomId });
+    }
+
+    const result = await client.query(`
+      SELECT c.*, tc.role AS viewer_role, tc.permissions AS viewer_permissions
+      FROM classrooms c
+      LEFT JOIN teacher_classrooms tc
+        ON tc.classroom_id = c.id AND tc.teacher_id::text = $2 AND tc.status = 'active'
+      WHERE c.id = $1
+    `, [classroomId, String(user.id)]);
+    const classroom = result.rows[0];
+
+    if (!classroom) {
+      throw new ClassroomError('Classroom not found', 'NOT_FOUND', { classroomId });
+    }
+    if (user.role === 'admin' || String(classroom.teacher_id) === String(user.id)) {
+      return classroom;
+    }
+
+    const isCoTeacher = user.role === 'teacher' && classroom.viewer_role !== null;
+    const canManageStudents = isCoTeacher && (classroom.viewer_permissions || {}).can_manage_students !== false;
+
+    if (!isCoTeacher || manage || (manageStudents && !canManageStudents)) {
+      throw new ClassroomError('Not allowed to manage this classroom', 'ACCESS_DENIED', { classroomId });
+    }
+    return classroom;
+  }
+
+  // Users keyed by id, restricted to live accounts
+  async getUsersById(ids, client = this.pool) {
+    const validIds = [...new Set(ids.filter(isId))];
+    if (validIds.length === 0) return new Map();
+
+    const result = await client.query(`
+      SELECT id, email, role, first_name, last_name FROM users
+      WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL
+    `, [validIds]);
+    return new Map(result.rows.map(row => [String(row.id), row]));
+  }
+
+  async getUsersByEmail(emails, client = this.pool) {
+    if (emails.length === 0) return new Map();
+
+    const result = await client.query(`
+      SELECT id, email, role, first_name, last_name FROM users
+      WHERE LOWER(email) = ANY($1::text[]) AND deleted_at IS NULL
+    `, [[...new Set(emails)]]);
+    return new Map(result.rows.map(row => [row.email.toLowerCase(), row]));
+  }
+
+  async requireUserWithRole(userId, role, field, client = this.pool) {
+    const user = (await this.getUsersById([userId], client)).get(String(userId));
+    if (!user || user.role !== role) {
+      throw new ClassroomError(`${field} must be a ${role} account`, 'VALIDATION_ERROR', {
+        errors: [`${field} must be a ${role} account`]
+      });
+    }
+    return user;
+  }
+
+  // ============================================
+  // CLASSROOMS
+  // ============================================
+
+  // Admins see every classroom, teachers the ones they own or co-teach
+  async listClassrooms(user, { includeInactive = false, limit = 50, offset = 0 } = {}) {
+    const teacherId = user.role === 'admin' ? null : String(user.id);
+    const where = `
+      WHERE ($1::boolean OR c.active = true)
+        AND ($2::text IS NULL OR c.teacher_id::text = $2 OR EXISTS (
+          SELECT 1 FROM teacher_classrooms tc
+          WHERE tc.classroom_id = c.id AND tc.teacher_id::text = $2 AND tc.status = 'active'
+        ))
+    `;
+
+    const [result, countResult] = await Promise.all([
+      this.pool.query(`${CLASSROOM_SELECT} ${where} ORDER BY c.active DESC, c.name ASC LIMIT $3 OFFSET $4`,
+        [includeInactive, teacherId, limit, offset]),
+      this.pool.query(`SELECT COUNT(*) AS total FROM classrooms c ${where}`, [includeInactive, teacherId])
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+    return {
+      classrooms: result.rows.map(formatClassroom),
+      pagination: { limit, offset, total, hasMore: offset + limit < total }
+    };
+  }
+
+  // Classroom with its teachers and roster (?status filters enrolments, active by default)
+  async getClassroom(classroomId, user, { enrollmentStatus = ENROLLMENT_STATUS.ACTIVE } = {}) {
+    await this.getClassroomRow(classroomId, user);
+
+    const [classroom, teachers, roster] = await Promise.all([
+      this.pool.query(`${CLASSROOM_SELECT} WHERE c.id = $1`, [classroomId]),
+      this.pool.query(`
+        SELECT tc.*, u.first_name, u.last_name, u.email
+        FROM teacher_classrooms tc
+        JOIN users u ON u.id = tc.teacher_id
+        WHERE tc.classroom_id = $1 AND tc.status = 'active'
+        ORDER BY (tc.role = 'primary') DESC, u.last_name, u.first_name
+      `, [classroomId]),
+      this.pool.query(`
+        SELECT ce.*, u.first_name, u.last_name, u.email
+        FROM classroom_enrollments ce
+        JOIN users u ON u.id = ce.student_id
+        WHERE ce.classroom_id = $1 AND ($2::text IS NULL OR ce.status = $2)
+        ORDER BY u.last_name, u.first_name
+      `, [classroomId, enrollmentStatus])
+    ]);
+
+    return {
+      ...formatClassroom(classroom.rows[0]),
+      teachers: teachers.rows.map(formatTeacher),
+      students: roster.rows.map(formatEnrollment)
+    };
+  }
+
+  async createClassroom(input, user) {
+    validateClassroomInput(input, { role: user.role });
+
+    const teacherId = user.role === 'admin' ? input.teacherId : user.id;
+    if (user.role === 'admin') {
+      await this.requireUserWithRole(teacherId, 'teacher', 'teacherId');
+    }
+
+    const classroomId = await withTransaction(this.pool, async (client) => {
+      const result = await client.query(`
+        INSERT INTO classrooms (teacher_id, name, subject, grade_level, school_year, description)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [
+        teacherId,
+        input.name.trim(),
+        input.subject || null,
+        input.gradeLevel ?? null,
+        input.schoolYear || null,
+        input.description || null
+      ]);
+      const id = result.rows[0].id;
+
+      await this.setPrimaryTeacher(client, id, teacherId);
+      return id;
+    });
+
+    return this.getClassroom(classroomId, user);
+  }
+
+  async updateClassroom(classroomId, input, user) {
+    const classroom = await this.getClassroomRow(classroomId, user, { manage: true });
+    validateClassroomInput(input, { role: user.role, partial: true });
+
+    const newTeacherId = input.teacherId !== undefined && String(input.teacherId) !== String(classroom.teacher_id)
+      ? input.teacherId
+      : null;
+    if (newTeacherId) {
+      await this.requireUserWithRole(newTeacherId, 'teacher', 'teacherId');
+    }
+
+    const columns = {
+      name: ['name', value => value.trim()],
+      subject: ['subject'],
+      gradeLevel: ['grade_level'],
+      schoolYear: ['school_year'],
+      description: ['description'],
+      active: ['active']
+    };
+
+    const assignments = [];
+    const params = [classroomId];
+    for (const [field, [column, transform = value => value]] of Object.entries(columns)) {
+      if (input[field] !== undefined) {
+        params.push(transform(input[field]));
+        assignments.push(`${column} = $${params.length}`);
+      }
+    }
+    if (newTeacherId) {
+      params.push(newTeacherId);
+      assignments.push(`teacher_id = $${params.length}`);
+    }
+
+    await withTransaction(this.pool, async (client) => {
+      if (assignments.length > 0) {
+        await client.query(`
+          UPDATE classrooms SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $1
+        `, params);
+      }
+
+      if (newTeacherId) {
+        await client.query(`
+          UPDATE teacher_classrooms SET status = 'inactive', end_date = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP
+          WHERE classroom_id = $1 AND teacher_id = $2
+        `, [classroomId, classroom.teacher_id]);
+        await this.endAssignments(client, classroomId, { teacherId: classroom.teacher_id });
+        await this.setPrimaryTeacher(client, classroomId, newTeacherId);
+      }
+    });
+
+    return this.getClassroom(classroomId, user);
+  }
+
+  // Archiving completes active enrolments and ends the assignments they created
+  async archiveClassroom(classroomId, user) {
+    await this.getClassroomRow(classroomId, user, { manage: true });
+
+    await withTransaction(this.pool, async (client) => {
+      await client.query(`
+        UPDATE classrooms SET active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1
+      `, [classroomId]);
+      await client.query(`
+        UPDATE classroom_enrollments SET status = $2
+        WHERE classroom_id = $1 AND status = $3
+      `, [classroomId, ENROLLMENT_STATUS.COMPLETED, ENROLLMENT_STATUS.ACTIVE]);
+      await this.endAssignments(client, classroomId);
+    });
+
+    return this.getClassroom(classroomId, user, { enrollmentStatus: null });
+  }
+
+  async setPrimaryTeacher(client, classroomId, teacherId) {
+    await client.query(`
+      INSERT INTO teacher_classrooms (teacher_id, classroom_id, role, status)
+      VALUES ($1, $2, 'primary', 'active')
+      ON CONFLICT (teacher_id, classroom_id) DO UPDATE
+      SET role = 'primary', status = 'active', end_date = NULL, updated_at = CURRENT_TIMESTAMP
+    `, [teacherId, classroomId]);
+    await this.activateAssignments(client, classroomId, { teacherId });
+  }
+
+  // ============================================
+  // TEACHER-STUDENT ASSIGNMENTS
+  // ============================================
+
+  /**
+   * Give every active teacher of the classroom an active assignment to every actively
+   * enrolled student, optionally limited to some students or one teacher
+   */
+  async activateAssignments(client, classroomId, { studentIds = null, teacherId = null } = {}) {
+    const pairs = `
+      SELECT tc.teacher_id, ce.student_id, c.id AS classroom_id, c.subject, c.name, c.school_year
+      FROM classrooms c
+      JOIN teacher_classrooms tc ON tc.classroom_id = c.id AND tc.status = 'active'
+      JOIN classroom_enrollments ce ON ce.classroom_id = c.id AND ce.status = 'active'
+      WHERE c.id = $1
+        AND ($2::uuid[] IS NULL OR ce.student_id = ANY($2::uuid[]))
+        AND ($3::text IS NULL OR tc.teacher_id::text = $3)
+    `;
+    const params = [classroomId, studentIds, teacherId ? String(teacherId) : null];
+
+    await client.query(`
+      UPDATE teacher_student_assignments tsa
+      SET status = 'active', end_date = NULL, updated_at = CURRENT_TIMESTAMP
+      FROM (${pairs}) p
+      WHERE tsa.classroom_id = p.classroom_id AND tsa.teacher_id = p.teacher_id
+        AND tsa.student_id = p.student_id AND tsa.status <> 'active'
+    `, params);
+
+    await client.query(`
+      INSERT INTO teacher_student_assignments (teacher_id, student_id, classroom_id, subject, class_name, academic_year, status)
+      SELECT p.teacher_id, p.student_id, p.classroom_id, p.subject, p.name, p.school_year, 'active'
+      FROM (${pairs}) p
+      WHERE NOT EXISTS (
+        SELECT 1 FROM teacher_student_assignments tsa
+        WHERE tsa.classroom_id = p.classroom_id AND tsa.teacher_id = p.teacher_id AND tsa.student_id = p.student_id
+      )
+    `, params);
+  }
+
+  async endAssignments(client, classroomId, { studentId = null, teacherId = null } = {}) {
+    await client.query(`
+      UPDATE teacher_student_assignments
+      SET status = 'inactive', end_date = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP
+      WHERE classroom_id = $1 AND status = 'active'
+        AND ($2::text IS NULL OR student_id::text = $2)
+        AND ($3::text IS NULL OR teacher_id::text = $3)
+    `, [classroomId, studentId ? String(studentId) : null, teacherId ? String(teacherId) : null]);
+  }
+
+  // ============================================
+  // ENROLMENT
+  // ============================================
+
+  // Enrol students by id; returns a result per student instead of failing the whole request
+  async enrollStudents(classroomId, studentIds, user) {
+    const classroom = await this.getClassroomRow(classroomId, user, { manageStudents: true });
+
+    if (!Array.isArray(studentIds) || studentIds.length === 0 || studentIds.length > MAX_ROSTER_ROWS) {
+      throw new ClassroomError('Invalid enrolment', 'VALIDATION_ERROR', {
+        errors: [`studentIds must list between 1 and ${MAX_ROSTER_ROWS} student ids`]
+      });
+    }
+    if (!classroom.active) {
+      throw new ClassroomError('Classroom is archived', 'CONFLICT', { classroomId });
+    }
+
+    const [students, enrollments] = await Promise.all([
+      this.getUsersById(studentIds),
+      this.getEnrollmentStatuses(classroomId)
+    ]);
+
+    const results = [...new Set(studentIds.map(String))].map(studentId => {
+      const student = students.get(studentId);
+      if (!student) return { studentId, status: 'error', error: 'Student not found' };
+      if (student.role !== 'student') return { studentId, status: 'error', error: 'Account is not a student' };
+
+      const current = enrollments.get(studentId);
+      if (current === ENROLLMENT_STATUS.ACTIVE) return { studentId, status: 'already_enrolled' };
+      return { studentId, status: current ? 'reactivated' : 'enrolled' };
+    });
+
+    const toEnroll = results.filter(r => r.status === 'enrolled' || r.status === 'reactivated').map(r => r.studentId);
+    if (toEnroll.length > 0) {
+      await withTransaction(this.pool, client => this.applyEnrollments(client, classroomId, toEnroll));
+    }
+
+    return {
+      results,
+      summary: {
+        enrolled: toEnroll.length,
+        alreadyEnrolled: results.filter(r => r.status === 'already_enrolled').length,
+        errors: results.filter(r => r.status === 'error').length
+      }
+    };
+  }
+
+  async getEnrollmentStatuses(classroomId, client = this.pool) {
+    const result = await client.query(
+      'SELECT student_id, status FROM classroom_enrollments WHERE classroom_id = $1',
+      [classroomId]
+    );
+    return new Map(result.rows.map(row => [String(row.student_id), row.status]));
+  }
+
+  async applyEnrollments(client, classroomId, studentIds) {
+    await client.query(`
+      INSERT INTO classroom_enrollments (classroom_id, student_id, status)
+      SELECT $1, student_id, 'active' FROM UNNEST($2::uuid[]) AS s(student_id)
+      ON CONFLICT (classroom_id, student_id) DO UPDATE
+      SET status = 'active', enrolled_at = CURRENT_TIMESTAMP
+      WHERE classroom_enrollments.status <> 'active'
+    `, [classroomId, studentIds]);
+    await this.activateAssignments(client, classroomId, { studentIds });
+  }
+
+  async unenrollStudent(classroomId, studentId, user) {
+    await this.getClassroomRow(classroomId, user, { manageStudents: true });
+
+    const removed = await withTransaction(this.pool, async (client) => {
+      const result = await client.query(`
+        UPDATE classroom_enrollments SET status = $3
+        WHERE classroom_id = $1 AND student_id::text = $2 AND status = $4
+        RETURNING id
+      `, [classroomId, String(studentId), ENROLLMENT_STATUS.DROPPED, ENROLLMENT_STATUS.ACTIVE]);
+
+      if (result.rows.length > 0) {
+        await this.endAssignments(client, classroomId, { studentId });
+      }
+      return result.rows.length > 0;
+    });
+
+    if (!removed) {
+      throw new ClassroomError('Student is not enrolled in this classroom', 'NOT_FOUND', { classroomId, studentId });
+    }
+    return { classroomId, studentId, status: ENROLLMENT_STATUS.DROPPED };
+  }
+
+  // ============================================
+  // CO-TEACHERS
+  // ============================================
+
+  async addCoTeacher(classroomId, input, user) {
+    const classroom = await this.getClassroomRow(classroomId, user, { manage: true });
+    validateCoTeacherInput(input);
+
+    if (String(input.teacherId) === String(classroom.teacher_id)) {
+      throw new ClassroomError('Teacher is already the primary teacher', 'CONFLICT', { classroomId });
+    }
+    await this.requireUserWithRole(input.teacherId, 'teacher', 'teacherId');
+
+    await withTransaction(this.pool, async (client) => {
+      await client.query(`
+        INSERT INTO teacher_classrooms (teacher_id, classroom_id, role, permissions, status)
+        VALUES ($1, $2, $3, $4, 'active')
+        ON CONFLICT (teacher_id, classroom_id) DO UPDATE
+        SET role = EXCLUDED.role, permissions = EXCLUDED.permissions, status = 'active',
+            start_date = CASE WHEN teacher_classrooms.status = 'active' THEN teacher_classrooms.start_date ELSE CURRENT_DATE END,
+            end_date = NULL, updated_at = CURRENT_TIMESTAMP
+      `, [
+        input.teacherId,
+        classroomId,
+        input.role || 'co_teacher',
+        JSON.stringify({ ...defaultCoTeacherPermissions(), ...(input.permissions || {}) })
+      ]);
+      await this.activateAssignments(client, classroomId, { teacherId: input.teacherId });
+    });
+
+    return this.getClassroom(classroomId, user);
+  }
+
+  async removeCoTeacher(classroomId, teacherId, user) {
+    await this.getClassroomRow(classroomId, user, { manage: true });
+
+    const removed = await withTransaction(this.pool, async (client) => {
+      const result = await client.query(`
+        UPDATE teacher_classrooms
+        SET status = 'inactive', end_date = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP
+        WHERE classroom_id = $1 AND teacher_id::text = $2 AND role <> 'primary' AND status = 'active'
+        RETURNING id
+      `, [classroomId, String(teacherId)]);
+
+      if (result.rows.length > 0) {
+        await this.endAssignments(client, classroomId, { teacherId });
+      }
+      return result.rows.length > 0;
+    });
+
+    if (!removed) {
+      throw new ClassroomError('Co-teacher not found', 'NOT_FOUND', { classroomId, teacherId });
+    }
+    return this.getClassroom(classroomId, user);
+  }
+
+  // ============================================
+  // PARENT LINKS
+  // ============================================
+
+  async getParentLinks(studentId, user) {
+    this.requireAdmin(user, 'view parent links');
+    await this.requireUserWithRole(studentId, 'student', 'studentId');
+
+    const result = await this.pool.query(`
+      SELECT pcr.*, u.first_name, u.last_name, u.email
+      FROM parent_child_relationships pcr
+      JOIN users u ON u.id = pcr.parent_id
+      WHERE pcr.child_id = $1
+      ORDER BY (pcr.status = 'active') DESC, pcr.primary_contact DESC, u.last_name
+    `, [studentId]);
+    return result.rows.map(formatParentLink);
+  }
+
+  async linkParent(studentId, input, user) {
+    this.requireAdmin(user, 'link parents');
+    validateParentLinkInput(input);
+    await this.requireUserWithRole(studentId, 'student', 'studentId');
+    await this.requireUserWithRole(input.parentId, 'parent', 'parentId');
+
+    await withTransaction(this.pool, client => this.applyParentLink(client, studentId, input));
+
+    const links = await this.getParentLinks(studentId, user);
+    return links.find(link => String(link.parentId) === String(input.parentId));
+  }
+
+  async applyParentLink(client, studentId, { parentId, relationshipType, primaryContact = false, emergencyContact = false }) {
+    if (primaryContact) {
+      await client.query(`
+        UPDATE parent_child_relationships SET primary_contact = false, updated_at = CURRENT_TIMESTAMP
+        WHERE child_id = $1 AND parent_id <> $2 AND primary_contact = true
+      `, [studentId, parentId]);
+    }
+
+    await client.query(`
+      INSERT INTO parent_child_relationships (parent_id, child_id, relationship_type, primary_contact, emergency_contact, status)
+      VALUES ($1, $2, $3, $4, $5, 'active')
+      ON CONFLICT (parent_id, child_id) DO UPDATE
+      SET relationship_type = EXCLUDED.relationship_type, primary_contact = EXCLUDED.primary_contact,
+          emergency_contact = EXCLUDED.emergency_contact, status = 'active',
+          relationship_end_date = NULL, updated_at = CURRENT_TIMESTAMP
+    `, [parentId, studentId, relationshipType, primaryContact, emergencyContact]);
+
+    // student_profiles.parent_id backs requireParentChildRelationship
+    await client.query(`
+      UPDATE student_profiles SET parent_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND (parent_id IS NULL OR $3::boolean)
+    `, [studentId, parentId, primaryContact]);
+  }
+
+  async unlinkParent(studentId, parentId, user) {
+    this.requireAdmin(user, 'unlink parents');
+
+    const removed = await withTransaction(this.pool, async (client) => {
+      const result = await client.query(`
+        UPDATE parent_child_relationships
+        SET status = 'inactive', primary_contact = false, relationship_end_date = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP
+        WHERE child_id::text = $1 AND parent_id::text = $2 AND status = 'active'
+        RETURNING id
+      `, [String(studentId), String(parentId)]);
+
+      if (result.rows.length > 0) {
+        // Fall back to another active parent, primary contact first
+        await client.query(`
+          UPDATE student_profiles sp
+          SET parent_id = (
+            SELECT pcr.parent_id FROM parent_child_relationships pcr
+            WHERE pcr.child_id = sp.user_id AND pcr.status = 'active'
+            ORDER BY pcr.primary_contact DESC, pcr.created_at ASC
+            LIMIT 1
+          ), updated_at = CURRENT_TIMESTAMP
+          WHERE sp.user_id::text = $1 AND sp.parent_id::text = $2
+        `, [String(studentId), String(parentId)]);
+      }
+      return result.rows.length > 0;
+    });
+
+    if (!removed) {
+      throw new ClassroomError('Parent link not found', 'NOT_FOUND', { studentId, parentId });
+    }
+    return { studentId, parentId, status: 'inactive' };
+  }
+
+  requireAdmin(user, action) {
+    if (user.role !== 'admin') {
+      throw new ClassroomError(`Only administrators can ${action}`, 'ACCESS_DENIED');
+    }
+  }
+
+  // ============================================
+  // ROSTER IMPORT
+  // ============================================
+
+  // Validate a roster CSV against the database without changing anything
+  async previewRosterImport(classroomId, csv, user) {
+    const classroom = await this.getClassroomRow(classroomId, user, { manageStudents: true });
+    const rows = await this.resolveRosterRows(classroom, parseRosterCsv(csv), user);
+
+    return {
+      classroomId,
+      summary: this.summarizeRoster(rows),
+      rows
+    };
+  }
+
+  /**
+   * Import a roster CSV. Rows with errors are skipped and reported; the remaining rows
+   * are applied in one transaction
+   */
+  async importRoster(classroomId, csv, user) {
+    const classroom = await this.getClassroomRow(classroomId, user, { manageStudents: true });
+    if (!classroom.active) {
+      throw new ClassroomError('Classroom is archived', 'CONFLICT', { classroomId });
+    }
+
+    const rows = await this.resolveRosterRows(classroom, parseRosterCsv(csv), user);
+    const ready = rows.filter(row => row.status === 'ready');
+
+    if (ready.length > 0) {
+      await withTransaction(this.pool, async (client) => {
+        const toEnroll = ready.filter(row => row.actions.includes('enroll')).map(row => row.studentId);
+        if (toEnroll.length > 0) {
+          await this.applyEnrollments(client, classroom.id, toEnroll);
+        }
+
+        for (const row of ready.filter(r => r.actions.includes('link_parent'))) {
+          await this.applyParentLink(client, row.studentId, {
+            parentId: row.parentId,
+            relationshipType: row.relationshipType,
+            primaryContact: row.primaryContact
+          });
+        }
+      });
+    }
+
+    const imported = rows.map(row => (row.status === 'ready' ? { ...row, status: 'imported' } : row));
+    return {
+      classroomId,
+      summary: this.summarizeRoster(imported),
+      rows: imported
+    };
+  }
+
+  // Match rows to accounts and decide what each would change (status ready | unchanged | error)
+  async resolveRosterRows(classroom, rows, user) {
+    const emails = rows.flatMap(row => [row.studentEmail, row.parentEmail]).filter(Boolean);
+    const [users, enrollments] = await Promise.all([
+      this.getUsersByEmail(emails),
+      this.getEnrollmentStatuses(classroom.id)
+    ]);
+
+    const studentIds = [...users.values()].filter(u => u.role === 'student').map(u => u.id);
+    const linkResult = await this.pool.query(`
+      SELECT parent_id, child_id FROM parent_child_relationships
+      WHERE child_id = ANY($1::uuid[]) AND status = 'active'
+    `, [studentIds]);
+    const activeLinks = new Set(linkResult.rows.map(row => `${row.parent_id}:${row.child_id}`));
+
+    return rows.map(row => {
+      const errors = [...row.errors];
+      const actions = [];
+      const student = users.get(row.studentEmail);
+      const parent = row.parentEmail ? users.get(row.parentEmail) : null;
+
+      if (errors.length === 0) {
+        if (!student) {
+          errors.push('No account with this student_email');
+        } else if (student.role !== 'student') {
+          errors.push('student_email belongs to a non-student account');
+        }
+
+        if (row.parentEmail) {
+          if (user.role !== 'admin') {
+            errors.push('Only administrators can link parents');
+          } else if (!parent) {
+            errors.push('No account with this parent_email');
+          } else if (parent.role !== 'parent') {
+            errors.push('parent_email belongs to a non-parent account');
+          }
+        }
+      }
+
+      if (errors.length === 0) {
+        if (enrollments.get(String(student.id)) !== ENROLLMENT_STATUS.ACTIVE) {
+          actions.push('enroll');
+        }
+        if (parent && !activeLinks.has(`${parent.id}:${student.id}`)) {
+          actions.push('link_parent');
+        }
+      }
+
+      return {
+        row: row.row,
+        studentEmail: row.studentEmail,
+        studentId: student ? student.id : null,
+        studentName: student ? [student.first_name, student.last_name].filter(Boolean).join(' ') : null,
+        parentEmail: row.parentEmail,
+        parentId: parent ? parent.id : null,
+        relationshipType: row.relationshipType,
+        primaryContact: row.primaryContact,
+        status: errors.length > 0 ? 'error' : (actions.length > 0 ? 'ready' : 'unchanged'),
+        actions,
+        errors
+      };
+    });
+  }
+
+  summarizeRoster(rows) {
+    const count = (predicate) => rows.filter(predicate).length;
+    return {
+      rows: rows.length,
+      ready: count(row => row.status === 'ready'),
+      imported: count(row => row.status === 'imported'),
+      unchanged: count(row => row.status === 'unchanged'),
+      errors: count(row => row.status === 'error'),
+      enrollments: count(row => row.actions.includes('enroll') && row.status !== 'error'),
+      parentLinks: count(row => row.actions.includes('link_parent') && row.status !== 'error')
+    };
+  }
+}
+
+// Singleton instance
+let classroomServiceInstance = null;
+
+const getClassroomService = () => {
+  if (!classroomServiceInstance) {
+    classroomServiceInstance = new ClassroomService();
+  }
+  return classroomServiceInstance;
+};
+
+module.exports = {
+  ClassroomService,
+  getClassroomService,
+  ClassroomError
+};
@@ -0,0 +1,274 @@
+// Parental consent items, statuses and decision validation (no database access)
+
+// What happens to a feature while consent is missing: blocked outright, or run without the
+// parts that need consent
+const ENFORCEMENT = {
+  BLOCK: 'block',
+  DEGRADE: 'degrade'
+};
+
+const CONSENT_STATUS = {
+  NOT_REQUIRED: 'not_required', // The student is old enough
+  PENDING: 'pending', // No decision yet
+  GRANTED: 'granted',
+  OUTDATED: 'outdated', // Granted for an earlier version of the item
+  DECLINED: 'declined',
+  REVOKED: 'revoked'
+};
+
+// Decisions as sent by parents, and as recorded
+const DECISIONS = {
+  grant: 'granted',
+  decline: 'declined',
+  revoke: 'revoked'
+};
+
+/**
+ * The features that need a parent's consent. Raise an item's version whenever its statement
+ * changes in substance: earlier grants become outdated and parents are asked again.
+ * privacySetting is the privacy_settings column kept in step with the decision; onRevoke is
+ * shown to parents before they revoke, and matches what ConsentService.handleRevocation does.
+ */
+const CONSENT_ITEMS = {
+  ai_tutoring: {
+    version: 1,
+    title: 'AI tutoring',
+    statement: 'My child may use the AI tutor. Their questions and the tutor\'s replies are processed by an ' +
+      'external AI provider, and kept so their teachers can review them.',
+    enforcement: ENFORCEMENT.BLOCK,
+    privacySetting: null,
+    onRevoke: 'AI tutor conversations and the tutor\'s learning history for your child are deleted.'
+  },
+  emotional_analysis: {
+    version: 1,
+    title: 'Emotional analysis of journal entries',
+    statement: 'My child\'s journal entries may be analysed for emotions and emotional-intelligence growth. ' +
+      'The results are shown to my child, their teachers and me.',
+    enforcement: ENFORCEMENT.BLOCK,
+    privacySetting: null,
+    onRevoke: 'Emotions detected automatically in your child\'s journal entries are deleted. ' +
+      'Emotions your child chose themselves are kept.'
+  },
+  learning_analytics: {
+    version: 1,
+    title: 'Detailed learning analytics',
+    statement: 'Detailed activity while my child solves problems and uses their dashboard (typing pace, ' +
+      'pauses, clicks) may be recorded to measure engagement.',
+    enforcement: ENFORCEMENT.DEGRADE,
+    privacySetting: 'analytics_consent',
+    onRevoke: 'Recorded problem-solving activity and dashboard usage for your child are deleted.'
+  },
+  data_sharing: {
+    version: 1,
+    title: 'Sharing journal entries with teachers',
+    statement: 'My child may choose to share journal entries with their teachers.',
+    enforcement: ENFORCEMENT.DEGRADE,
+    privacySetting: 'data_sharing_consent',
+    onRevoke: 'Journal entries your child shared with teachers are no longer shared.'
+  }
+};
+
+const MAX_DECISIONS = Object.keys(CONSENT_ITEMS).length;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ConsentError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'ConsentError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const isId = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const getItem = (itemKey) => {
+  const item = CONSENT_ITEMS[itemKey];
+  if (!item) {
+    throw new Error(`Unknown consent item: ${itemKey}`);
+  }
+  return item;
+};
+
+// Age in whole years on `now`, or null without a date of birth
+const studentAge = (dateOfBirth, now = new Date()) => {
+  if (!dateOfBirth) return null;
+  const born = new Date(dateOfBirth);
+  if (Number.isNaN(born.getTime())) return null;
+
+  let age = now.getUTCFullYear() - born.getUTCFullYear();
+  const beforeBirthday = now.getUTCMonth() < born.getUTCMonth() ||
+    (now.getUTCMonth() === born.getUTCMonth() && now.getUTCDate() < born.getUTCDate());
+  return beforeBirthday ? age - 1 : age;
+};
+
+const consentRequired = (age, config) => {
+  if (!config.enabled) return false;
+  if (age === null) return config.requireWhenAgeUnknown;
+  return age < config.ageThreshold;
+};
+
+// Status of one item from the student's latest record for it (or none)
+const itemStatus = (itemKey, record, required = true) => {
+  if (!required) return CONSENT_STATUS.NOT_REQUIRED;
+  if (!record) return CONSENT_STATUS.PENDING;
+  if (record.decision === CONSENT_STATUS.GRANTED) {
+    return record.item_version === getItem(itemKey).version ? CONSENT_STATUS.GRANTED : CONSENT_STATUS.OUTDATED;
+  }
+  return record.decision;
+};
+
+const isAllowed = (status) => status === CONSENT_STATUS.GRANTED || status === CONSENT_STATUS.NOT_REQUIRED;
+
+// Items a parent still needs to decide on (or decide on again)
+const needsDecision = (status) => status === CONSENT_STATUS.PENDING || status === CONSENT_STATUS.OUTDATED;
+
+/**
+ * A student's consent for every item. records are their latest record per item; a parent
+ * decision made while consent was not required is kept but not shown as needed.
+ */
+const buildConsentStatus = ({ student, records = [], config, now = new Date() }) => {
+  const age = studentAge(student.date_of_birth, now);
+  const required = consentRequired(age, config);
+  const latest = new Map(records.map(record => [record.item_key, record]));
+
+  const items = Object.entries(CONSENT_ITEMS).map(([key, item]) => {
+    const record = latest.get(key) || null;
+    return {
+      key,
+      title: item.title,
+      statement: item.statement,
+      version: item.version,
+      enforcement: item.enforcement,
+      onRevoke: item.onRevoke,
+      status: itemStatus(key, record, required),
+      decidedVersion: record ? record.item_version : null,
+      decidedBy: record ? record.decided_by : null,
+      decidedAt: record ? toIso(record.created_at) : null
+    };
+  });
+
+  return {
+    studentId: student.id,
+    firstName: student.first_name || null,
+    lastName: student.last_name || null,
+    age,
+    consentRequired: required,
+    items,
+    actionRequired: items.filter(item => needsDecision(item.status)).map(item => item.key)
+  };
+};
+
+// ============================================
+// INPUT VALIDATION
+// ============================================
+
+/**
+ * Validate a parent's decisions: { decisions: [{ item, decision: grant|decline|revoke, version }] }.
+ * Granting or declining names the version the parent was shown; an older one is a conflict
+ * so nobody consents to text they have not seen.
+ */
+const validateDecisions = (input) => {
+  const errors = [];
+  const decisions = input && input.decisions;
+
+  if (!Array.isArray(decisions) || decisions.length === 0 || decisions.length > MAX_DECISIONS) {
+    throw new ConsentError('Invalid consent decisions', 'VALIDATION_ERROR', {
+      errors: [`decisions must be a list of 1 to ${MAX_DECISIONS} items`]
+    });
+  }
+
+  const seen = new Set();
+  const stale = [];
+  const result = [];
+  decisions.forEach((entry, index) => {
+    const item = entry && CONSENT_ITEMS[entry.item];
+    if (!item) {
+      errors.push(`decisions[${index}].item must be one of: ${Object.keys(CONSENT_ITEMS).join(', ')}`);
+      return;
+    }
+    if (seen.has(entry.item)) {
+      errors.push(`${entry.item} appears more than once`);
+      return;
+    }
+    seen.add(entry.item);
+
+    if (!DECISIONS[entry.decision]) {
+      errors.push(`decisions[${index}].decision must be one of: ${Object.keys(DECISIONS).join(', ')}`);
+      return;
+    }
+    if (entry.decision !== 'revoke') {
+      if (!Number.isInteger(entry.version)) {
+        errors.push(`decisions[${index}].version must be the version of ${entry.item} you were shown`);
+        return;
+      }
+      if (entry.version !== item.version) {
+        stale.push({ item: entry.item, version: entry.version, currentVersion: item.version });
+      }
+    }
+
+    result.push({ itemKey: entry.item, decision: DECISIONS[entry.decision], version: item.version });
+  });
+
+  if (errors.length > 0) {
+    throw new ConsentError('Invalid consent decisions', 'VALIDATION_ERROR', { errors });
+  }
+  if (stale.length > 0) {
+    throw new ConsentError('The consent text has changed; review the current version', 'CONFLICT', { items: stale });
+  }
+
+  return result;
+};
+
+const validateConsentRequest = (input) => {
+  const items = input && input.items !== undefined ? input.items : null;
+  if (items !== null && (!Array.isArray(items) || items.length === 0 || items.some(key => !CONSENT_ITEMS[key]))) {
+    throw new ConsentError('Invalid consent request', 'VALIDATION_ERROR', {
+      errors: [`items must be a list of: ${Object.keys(CONSENT_ITEMS).join(', ')}`]
+    });
+  }
+  return items ? [...new Set(items)] : null;
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatConsentRecord = (row) => ({
+  id: row.id,
+  studentId: row.student_id,
+  item: row.item_key,
+  version: row.item_version,
+  decision: row.decision,
+  statement: row.statement,
+  decidedBy: row.decided_by || null,
+  decidedByRole: row.decided_by_role,
+  handlingStatus: row.handling_status,
+  handling: row.handling || null,
+  handlingError: row.handling_error || null,
+  handledAt: toIso(row.handled_at),
+  createdAt: toIso(row.created_at)
+});
+
+module.exports = {
+  ENFORCEMENT,
+  CONSENT_STATUS,
+  DECISIONS,
+  CONSENT_ITEMS,
+  ConsentError,
+  isId,
+  getItem,
+  studentAge,
+  consentRequired,
+  itemStatus,
+  isAllowed,
+  needsDecision,
+  buildConsentStatus,
+  validateDecisions,
+  validateConsentRequest,
+  formatConsentRecord
+};
@@ -0,0 +1,493 @@
+const { Pool } = require('pg');
+const { getConsentConfig } = require('../config/environment');
+const {
+  CONSENT_STATUS,
+  CONSENT_ITEMS,
+  ConsentError,
+  isId,
+  getItem,
+  studentAge,
+  consentRequired,
+  itemStatus,
+  isAllowed,
+  buildConsentStatus,
+  validateDecisions,
+  validateConsentRequest,
+  formatConsentRecord
+} = require('./consent-rules');
+const { withTransaction } = require('./db-transaction');
+const { getNotificationService } = require('./notification-service');
+
+// What revoking each item removes; each handler can safely run again after a failure
+const REVOCATION_HANDLERS = {
+  ai_tutoring: 'eraseTutorHistory',
+  emotional_analysis: 'eraseDetectedEmotions',
+  learning_analytics: 'eraseActivityAnalytics',
+  data_sharing: 'unshareJournalEntries'
+};
+
+class ConsentService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getConsentConfig();
+    this.notificationService = null;
+    this.vectorStore = null;
+  }
+
+  getVectorStore() {
+    if (!this.vectorStore) {
+      this.vectorStore = require('../config/vector-db');
+    }
+    return this.vectorStore;
+  }
+
+  async audit(client, { user, action, clientInfo = {}, data }) {
+    await client.query(`
+      INSERT INTO access_control_audit_log (
+        user_id, user_role, resource, action, result, reason, ip_address, user_agent, request_data
+      ) VALUES ($1, $2, 'parental_consent', $3, 'granted', NULL, $4, $5, $6)
+    `, [
+      user.id,
+      user.role,
+      action,
+      clientInfo.ipAddress && clientInfo.ipAddress !== 'unknown' ? clientInfo.ipAddress : null,
+      clientInfo.userAgent || null,
+      JSON.stringify(data)
+    ]);
+  }
+
+  // ============================================
+  // ACCESS
+  // ============================================
+
+  async getStudent(studentId, client = this.pool, { forUpdate = false } = {}) {
+    if (!isId(studentId)) {
+      throw new ConsentError('Student not found', 'NOT_FOUND', { studentId });
+    }
+
+    const result = await client.query(`
+      SELECT id, first_name, last_name, date_of_birth
+      FROM users
+      WHERE id = $1 AND role = 'student' AND deleted_at IS NULL
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [studentId]);
+    if (result.rows.length === 0) {
+      throw new ConsentError('Student not found', 'NOT_FOUND', { studentId });
+    }
+    return result.rows[0];
+  }
+
+  async isLinkedParent(parentId, studentId, client = this.pool) {
+    const link = await client.query(`
+      SELECT 1 FROM parent_child_relationships
+      WHERE parent_id::text = $1 AND child_id::text = $2 AND status = 'active'
+    `, [String(parentId), studentId]);
+    return link.rows.length > 0;
+  }
+
+  /**
+   * Admins and the student may view consent; only a linked parent may view and decide.
+   * Anyone else gets NOT_FOUND so student ids cannot be probed.
+   */
+  async assertAccess(user, studentId, client = this.pool, { decide = false } = {}) {
+    if (user.role === 'parent' && await this.isLinkedParent(user.id, studentId, client)) {
+      return;
+    }
+    if (!decide && (user.role === 'admin' || (user.role === 'student' && String(user.id) === studentId))) {
+      return;
+    }
+    if (decide && (user.role === 'admin' || String(user.id) === studentId)) {
+      throw new ConsentError('Only a parent linked to the student can make consent decisions', 'ACCESS_DENIED');
+    }
+    throw new ConsentError('Student not found', 'NOT_FOUND', { studentId });
+  }
+
+  // The latest record for each item, for one or more students
+  async getLatestRecords(studentIds, client = this.pool) {
+    const result = await client.query(`
+      SELECT DISTINCT ON (student_id, item_key) *
+      FROM parental_consent_records
+      WHERE student_id = ANY($1::uuid[])
+      ORDER BY student_id, item_key, created_at DESC
+    `, [studentIds]);
+    return result.rows;
+  }
+
+  // ============================================
+  // STATUS
+  // ============================================
+
+  async getConsentStatus(studentId, user) {
+    const student = await this.getStudent(studentId);
+    await this.assertAccess(user, studentId);
+
+    const records = await this.getLatestRecords([studentId]);
+    return buildConsentStatus({ student, records, config: this.config });
+  }
+
+  /**
+   * Whether a feature may run for a student, for the consent middleware. Users without a
+   * student account (staff, demo users) are never held back; ids that are not UUIDs, like
+   * the demo user's, are answered without a query.
+   */
+  async checkConsent(studentId, itemKey) {
+    const item = getItem(itemKey);
+    const result = { item: itemKey, enforcement: item.enforcement, status: CONSENT_STATUS.NOT_REQUIRED, allowed: true };
+    if (!this.config.enabled || !isId(String(studentId))) {
+      return result;
+    }
+
+    const student = await this.pool.query(`
+      SELECT u.date_of_birth, r.decision, r.item_version
+      FROM users u
+      LEFT JOIN LATERAL (
+        SELECT decision, item_version FROM parental_consent_records
+        WHERE student_id = u.id AND item_key = $2
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) r ON true
+      WHERE u.id = $1::uuid AND u.role = 'student'
+    `, [String(studentId), itemKey]);
+    if (student.rows.length === 0) {
+      return result;
+    }
+
+    const row = student.rows[0];
+    const required = consentRequired(studentAge(row.date_of_birth), this.config);
+    const status = itemStatus(itemKey, row.decision ? row : null, required);
+    return { ...result, status, allowed: isAllowed(status) };
+  }
+
+  // Every linked child's consent, for the parent dashboard
+  async listChildrenConsent(parent) {
+    if (!isId(String(parent.id))) {
+      return { children: [], actionRequired: 0 };
+    }
+
+    const children = await this.pool.query(`
+      SELECT u.id, u.first_name, u.last_name, u.date_of_birth
+      FROM parent_child_relationships pcr
+      JOIN users u ON u.id = pcr.child_id
+      WHERE pcr.parent_id = $1::uuid AND pcr.status = 'active' AND u.deleted_at IS NULL
+      ORDER BY u.first_name, u.last_name
+    `, [String(parent.id)]);
+
+    const records = children.rows.length > 0
+      ? await this.getLatestRecords(children.rows.map(child => child.id))
+      : [];
+    const statuses = children.rows.map(child => buildConsentStatus({
+      student: child,
+      records: records.filter(record => record.student_id === child.id),
+      config: this.config
+    }));
+
+    return {
+      children: statuses,
+      actionRequired: statuses.reduce((total, child) => total + child.actionRequired.length, 0)
+    };
+  }
+
+  async getHistory(studentId, user, { limit = 50, offset = 0 } = {}) {
+    await this.getStudent(studentId);
+    await this.assertAccess(user, studentId);
+
+    const result = await this.pool.query(`
+      SELECT * FROM parental_consent_records
+      WHERE student_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [studentId, limit, offset]);
+    return result.rows.map(formatConsentRecord);
+  }
+
+  // ============================================
+  // DECISIONS
+  // ============================================
+
+  /**
+   * Record a parent's decisions. Decisions that change nothing are skipped; revocations then
+   * remove what the item allowed to be collected (see handleRevocation).
+   */
+  async recordDecisions(studentId, input, parent, clientInfo = {}) {
+    const decisions = validateDecisions(input);
+
+    const { student, records } = await withTransaction(this.pool, async (client) => {
+      // Locking the student serialises decisions from two parents at once
+      const student = await this.getStudent(studentId, client, { forUpdate: true });
+      await this.assertAccess(parent, studentId, client, { decide: true });
+
+      const latest = new Map((await this.getLatestRecords([studentId], client)).map(r => [r.item_key, r]));
+      const errors = [];
+      const changes = decisions.filter(({ itemKey, decision }) => {
+        const current = itemStatus(itemKey, latest.get(itemKey) || null);
+        if (decision === CONSENT_STATUS.REVOKED) {
+          if (current !== CONSENT_STATUS.GRANTED && current !== CONSENT_STATUS.OUTDATED) {
+            errors.push(`${itemKey} has not been granted, so there is nothing to revoke`);
+          }
+          return true;
+        }
+        if (decision === CONSENT_STATUS.DECLINED && (current === CONSENT_STATUS.GRANTED || current === CONSENT_STATUS.OUTDATED)) {
+          errors.push(`${itemKey} is granted; revoke it to withdraw consent`);
+        }
+        return current !== decision;
+      });
+      if (errors.length > 0) {
+        throw new ConsentError('Invalid consent decisions', 'VALIDATION_ERROR', { errors });
+      }
+
+      const records = [];
+      for (const { itemKey, decision, version } of changes) {
+        const item = CONSENT_ITEMS[itemKey];
+        const inserted = await client.query(`
+          INSERT INTO parental_consent_records (
+            student_id, item_key, item_version, decision, statement, decided_by, decided_by_role,
+            ip_address, user_agent, handling_status
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING *
+        `, [
+          studentId, itemKey, version, decision, item.statement, parent.id, parent.role,
+          clientInfo.ipAddress && clientInfo.ipAddress !== 'unknown' ? clientInfo.ipAddress : null,
+          clientInfo.userAgent || null,
+          decision === CONSENT_STATUS.REVOKED ? 'pending' : 'not_required'
+        ]);
+        records.push(inserted.rows[0]);
+
+        // Keep the older privacy_settings flags in step for code that still reads them
+        if (item.privacySetting) {
+          await client.query(`
+            INSERT INTO privacy_settings (user_id, ${item.privacySetting}, consent_date, updated_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON CONFLICT (user_id) DO UPDATE
+            SET ${item.privacySetting} = EXCLUDED.${item.privacySetting}, updated_at = CURRENT_TIMESTAMP
+          `, [studentId, decision === CONSENT_STATUS.GRANTED]);
+        }
+      }
+
+      if (records.length > 0) {
+        await this.audit(client, {
+          user: parent,
+          action: 'consent_decision',
+          clientInfo,
+          data: { studentId, decisions: records.map(r => ({ item: r.item_key, decision: r.decision, version: r.item_version })) }
+        });
+      }
+
+      return { student, records };
+    });
+
+    const handled = [];
+    for (const record of records) {
+      handled.push(record.decision === CONSENT_STATUS.REVOKED ? await this.handleRevocation(record) : formatConsentRecord(record));
+    }
+
+    const latest = await this.getLatestRecords([studentId]);
+    return {
+      consent: buildConsentStatus({ student, records: latest, config: this.config }),
+      recorded: handled
+    };
+  }
+
+  /**
+   * Remove what a revoked item allowed to be collected. The outcome is stored on the record;
+   * a failure leaves it 'failed' for an admin to retry.
+   */
+  async handleRevocation(record) {
+    let updated;
+    try {
+      const handling = await this[REVOCATION_HANDLERS[record.item_key]](record.student_id);
+      updated = await this.pool.query(`
+        UPDATE parental_consent_records
+        SET handling_status = 'completed', handling = $2, handling_error = NULL, handled_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [record.id, JSON.stringify(handling)]);
+    } catch (error) {
+      console.error(`❌ Consent revocation handling failed (${record.item_key}, ${record.student_id}):`, error.message);
+      updated = await this.pool.query(`
+        UPDATE parental_consent_records
+        SET handling_status = 'failed', handling_error = $2, handled_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [record.id, error.message]);
+    }
+    return formatConsentRecord(updated.rows[0]);
+  }
+
+  async retryHandling(recordId, admin, clientInfo = {}) {
+    if (!isId(recordId)) {
+      throw new ConsentError('Consent record not found', 'NOT_FOUND', { recordId });
+    }
+
+    const record = await withTransaction(this.pool, async (client) => {
+      const result = await client.query(`
+        SELECT * FROM parental_consent_records WHERE id = $1 FOR UPDATE
+      `, [recordId]);
+      if (result.rows.length === 0) {
+        throw new ConsentError('Consent record not found', 'NOT_FOUND', { recordId });
+      }
+      const row = result.rows[0];
+      if (row.handling_status !== 'failed') {
+        throw new ConsentError('Only failed revocation handling can be retried', 'CONFLICT', { handlingStatus: row.handling_status });
+      }
+
+      await client.query(`
+        UPDATE parental_consent_records SET handling_status = 'pending', handling_error = NULL WHERE id = $1
+      `, [recordId]);
+      await this.audit(client, {
+        user: admin,
+        action: 'consent_handling_retry',
+        clientInfo,
+        data: { recordId, studentId: row.student_id, item: row.item_key }
+      });
+      return row;
+    });
+
+    return this.handleRevocation(record);
+  }
+
+  async eraseTutorHistory(studentId) {
+    // Messages go with their sessions (ON DELETE CASCADE)
+    const sessions = await this.pool.query('DELETE FROM ai_tutor_sessions WHERE student_id = $1', [studentId]);
+    const contexts = await this.getVectorStore().deleteStudentContexts(studentId);
+    return { tutorSessionsDeleted: sessions.rowCount, learningContextsDeleted: contexts.deleted };
+  }
+
+  async eraseDetectedEmotions(studentId) {
+    const emotions = await this.pool.query(`
+      DELETE FROM journal_emotions
+      WHERE detected_by <> 'manual'
+        AND journal_entry_id IN (SELECT id FROM journal_entries WHERE student_id = $1)
+    `, [studentId]);
+    return { detectedEmotionsDeleted: emotions.rowCount };
+  }
+
+  async eraseActivityAnalytics(studentId) {
+    const heartbeats = await this.pool.query('DELETE FROM session_heartbeats WHERE student_id = $1', [studentId]);
+    const usage = await this.pool.query('DELETE FROM dashboard_usage_analytics WHERE user_id = $1', [studentId]);
+    return { heartbeatsDeleted: heartbeats.rowCount, dashboardUsageDeleted: usage.rowCount };
+  }
+
+  async unshareJournalEntries(studentId) {
+    const entries = await this.pool.query(`
+      UPDATE journal_entries
+      SET is_shareable_with_teacher = false, updated_at = CURRENT_TIMESTAMP
+      WHERE student_id = $1 AND is_shareable_with_teacher = true
+    `, [studentId]);
+    return { journalEntriesUnshared: entries.rowCount };
+  }
+
+  // ============================================
+  // REQUESTS FROM STUDENTS
+  // ============================================
+
+  /**
+   * A student asks their parents for consent (all missing items unless `items` names some).
+   * Linked parents get a consent_requested notification; asking again waits for the cooldown.
+   */
+  async requestConsent(student, input = {}) {
+    const requested = validateConsentRequest(input);
+    const studentId = String(student.id);
+
+    const row = await this.getStudent(studentId);
+    const consent = buildConsentStatus({
+      student: row,
+      records: await this.getLatestRecords([studentId]),
+      config: this.config
+    });
+    if (!consent.consentRequired) {
+      throw new ConsentError('Your account does not need parental consent', 'CONFLICT');
+    }
+
+    const missing = consent.items.filter(item => !isAllowed(item.status)).map(item => item.key);
+    const items = requested ? requested.filter(key => missing.includes(key)) : missing;
+    if (items.length === 0) {
+      throw new ConsentError('Consent has already been given', 'CONFLICT');
+    }
+
+    const previous = await this.pool.query(`
+      SELECT requested_at FROM parental_consent_requests WHERE student_id = $1
+    `, [studentId]);
+    if (previous.rows.length > 0) {
+      const nextRequestAt = new Date(new Date(previous.rows[0].requested_at).getTime() + this.config.requestCooldownMs);
+      if (nextRequestAt > new Date()) {
+        throw new ConsentError('Your parents were asked recently', 'CONFLICT', { nextRequestAt: nextRequestAt.toISOString() });
+      }
+    }
+
+    const parents = await this.pool.query(`
+      SELECT parent_id FROM parent_child_relationships
+      WHERE child_id::text = $1 AND status = 'active'
+    `, [studentId]);
+    if (parents.rows.length === 0) {
+      throw new ConsentError('No parent is linked to your account yet', 'CONFLICT');
+    }
+
+    const result = await this.pool.query(`
+      INSERT INTO parental_consent_requests (student_id, item_keys, parents_notified, requested_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (student_id) DO UPDATE
+      SET item_keys = EXCLUDED.item_keys, parents_notified = EXCLUDED.parents_notified, requested_at = CURRENT_TIMESTAMP
+      RETURNING requested_at
+    `, [studentId, items, parents.rows.length]);
+
+    const name = row.first_name || 'Your child';
+    const titles = items.map(key => CONSENT_ITEMS[key].title.toLowerCase()).join(', ');
+    for (const { parent_id: parentId } of parents.rows) {
+      try {
+        await (this.notificationService || getNotificationService()).createNotification({
+          typeKey: 'consent_requested',
+          recipientId: parentId,
+          senderId: studentId,
+          title: `${name} needs your consent`,
+          message: `${name} is asking for your consent to use: ${titles}. Review it on your parent dashboard.`,
+          data: { studentId, items }
+        });
+      } catch (error) {
+        console.error('Failed to notify parent of consent request:', error.message);
+      }
+    }
+
+    return {
+      items,
+      parentsNotified: parents.rows.length,
+      nextRequestAt: new Date(new Date(result.rows[0].requested_at).getTime() + this.config.requestCooldownMs).toISOString()
+    };
+  }
+
+  // Current items and versions, for consent forms
+  getItems() {
+    return Object.entries(CONSENT_ITEMS).map(([key, item]) => ({
+      key,
+      title: item.title,
+      statement: item.statement,
+      version: item.version,
+      enforcement: item.enforcement,
+      onRevoke: item.onRevoke
+    }));
+  }
+
+  getPolicy() {
+    return {
+      enabled: this.config.enabled,
+      ageThreshold: this.config.ageThreshold,
+      requireWhenAgeUnknown: this.config.requireWhenAgeUnknown
+    };
+  }
+}
+
+let consentServiceInstance = null;
+
+const getConsentService = () => {
+  if (!consentServiceInstance) {
+    consentServiceInstance = new ConsentService();
+  }
+  return consentServiceInstance;
+};
+
+module.exports = {
+  ConsentService,
+  getConsentService
+};
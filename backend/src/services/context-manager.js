@@ -4,6 +4,7 @@ const {
   getStudentContext,
   testChromaConnection 
 } = require('../config/vector-db');
+const { generateEmbedding, getEmbeddingProvider } = require('./embedding-service');
 const crypto = require('crypto');
 
 // Context types for different learning interactions
@@ -33,23 +34,6 @@ const PERFORMANCE_THRESHOLDS = {
   ADVANCED: 0.9
 };
 
-// Generate embedding for text (placeholder - in real implementation would use actual embedding model)
-const generateEmbedding = async (text) => {
-  // TODO: Replace with actual embedding generation using sentence-transformers or OpenAI embeddings
-  // For now, creating a simple hash-based pseudo-embedding for development
-  const hash = crypto.createHash('sha256').update(text).digest('hex');
-  
-  // Convert hash to array of floats between -1 and 1 (384 dimensions for testing)
-  const embedding = [];
-  for (let i = 0; i < 384; i += 8) {
-    const chunk = hash.slice(i, i + 8);
-    const value = (parseInt(chunk, 16) / 0xffffffff - 0.5) * 2;
-    embedding.push(isNaN(value) ? 0 : value);
-  }
-  
-  return embedding.slice(0, 384); // Ensure exactly 384 dimensions
-};
-
 // Analyze student's learning patterns and performance trends
 const analyzeLearningPatterns = (contexts, timeWindowDays = 30) => {
   const now = new Date();
@@ -298,6 +282,7 @@ const storeLearningContext = async (contextData) => {
       id: contextId,
       content,
       embedding,
+      embeddingInfo: getEmbeddingProvider().describe(),
       metadata
     });
 
@@ -335,7 +320,8 @@ const getIntelligentLearningHistory = async (studentId, currentContent, options
     const similarContexts = await queryContext(queryEmbedding, {
       nResults: maxContexts * 2, // Get more to allow for intelligent filtering
       where: whereClause,
-      include: ['documents', 'metadatas', 'distances']
+      include: ['documents', 'metadatas', 'distances'],
+      embeddingInfo: getEmbeddingProvider().describe()
     });
 
     // Get recent contexts for the student
@@ -614,6 +600,7 @@ const healthCheck = async () => {
     return {
       status: 'healthy',
       vector_db: 'connected',
+      embedding: getEmbeddingProvider().describe(),
       context_types: Object.values(CONTEXT_TYPES),
       development_levels: Object.keys(DEVELOPMENT_LEVELS),
       features: [
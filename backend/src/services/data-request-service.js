@@ -0,0 +1,766 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { getDataRequestConfig } = require('../config/environment');
+const { createTarGz } = require('./archive-writer');
+const {
+  REQUEST_TYPES,
+  REQUEST_STATUS,
+  DATA_SOURCES,
+  ACCOUNT_COLUMNS,
+  DataRequestError,
+  isId,
+  buildSelectSql,
+  buildCountSql,
+  buildDeleteSql,
+  erasureAction,
+  serializeRow,
+  safeFilename,
+  loadSigningKey,
+  signCertificate,
+  verifyCertificate,
+  buildCertificate,
+  validateDataRequestInput,
+  formatDataRequest
+} = require('./data-subject-registry');
+const { withTransaction } = require('./db-transaction');
+const { getNotificationService } = require('./notification-service');
+
+const STALE_MINUTES = 15; // A processing request not updated for this long was interrupted and may be retried
+const MISSING_RELATION_CODES = ['42P01', '42703']; // Undefined table or column: the source's migration has not run
+
+const CERTIFICATE_ALGORITHM = 'HMAC-SHA256';
+
+class DataRequestService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getDataRequestConfig();
+    this.notificationService = null;
+    this.encryptionService = null;
+    this.vectorStore = null;
+    this.signingKey = null;
+    this.runningRequests = new Set();
+  }
+
+  getEncryptionService() {
+    if (!this.encryptionService) {
+      this.encryptionService = require('./journal-encryption-service').getJournalEncryptionService();
+    }
+    return this.encryptionService;
+  }
+
+  getVectorStore() {
+    if (!this.vectorStore) {
+      this.vectorStore = require('../config/vector-db');
+    }
+    return this.vectorStore;
+  }
+
+  getSigningKey() {
+    if (!this.signingKey) {
+      this.signingKey = loadSigningKey(this.config.signingKey);
+    }
+    return this.signingKey;
+  }
+
+  async audit(client, { user, action, reason = null, clientInfo = {}, data }) {
+    await client.query(`
+      INSERT INTO access_control_audit_log (
+        user_id, user_role, resource, action, result, reason, ip_address, user_agent, request_data
+      ) VALUES ($1, $2, 'data_subject_requests', $3, 'granted', $4, $5, $6, $7)
+    `, [
+      user.id,
+      user.role,
+      action,
+      reason,
+      clientInfo.ipAddress && clientInfo.ipAddress !== 'unknown' ? clientInfo.ipAddress : null,
+      clientInfo.userAgent || null,
+      JSON.stringify(data)
+    ]);
+  }
+
+  // Admins see every request, parents the requests they made
+  async getRequestRow(requestId, user, client = this.pool, { forUpdate = false } = {}) {
+    if (!isId(requestId)) {
+      throw new DataRequestError('Data request not found', 'NOT_FOUND', { requestId });
+    }
+
+    const result = await client.query(`
+      SELECT * FROM data_subject_requests WHERE id = $1 ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [requestId]);
+
+    const row = result.rows[0];
+    if (!row || (user.role !== 'admin' && String(row.requested_by) !== String(user.id))) {
+      throw new DataRequestError('Data request not found', 'NOT_FOUND', { requestId });
+    }
+    return row;
+  }
+
+  async listRequests(user, { status = null, studentId = null, limit = 50, offset = 0 } = {}) {
+    const errors = [];
+    if (status !== null && !Object.values(REQUEST_STATUS).includes(status)) {
+      errors.push(`status must be one of: ${Object.values(REQUEST_STATUS).join(', ')}`);
+    }
+    if (studentId !== null && !isId(studentId)) {
+      errors.push('studentId must be a user id');
+    }
+    if (errors.length > 0) {
+      throw new DataRequestError('Invalid data request filter', 'VALIDATION_ERROR', { errors });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (user.role !== 'admin') {
+      params.push(String(user.id));
+      conditions.push(`requested_by::text = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (studentId) {
+      params.push(studentId);
+      conditions.push(`student_id = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [result, countResult] = await Promise.all([
+      this.pool.query(`
+        SELECT * FROM data_subject_requests ${where}
+        ORDER BY created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      this.pool.query(`SELECT COUNT(*) AS total FROM data_subject_requests ${where}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total, 10);
+    return {
+      requests: result.rows.map(formatDataRequest),
+      pagination: { limit, offset, total, hasMore: offset + limit < total }
+    };
+  }
+
+  async getRequest(requestId, user) {
+    return formatDataRequest(await this.getRequestRow(requestId, user));
+  }
+
+  /**
+   * Open an export or erasure request for a student. Parents may only ask about their own
+   * children, and their erasure requests wait for an admin; everything else starts at once.
+   */
+  async createRequest(input, user, clientInfo = {}) {
+    const request = validateDataRequestInput(input);
+
+    const row = await withTransaction(this.pool, async (client) => {
+      const student = await client.query(`
+        SELECT id FROM users WHERE id = $1 AND role = 'student' AND deleted_at IS NULL
+      `, [request.studentId]);
+      if (student.rows.length === 0) {
+        throw new DataRequestError('Student not found', 'NOT_FOUND', { studentId: request.studentId });
+      }
+
+      if (user.role !== 'admin') {
+        const link = await client.query(`
+          SELECT 1 FROM parent_child_relationships
+          WHERE parent_id::text = $1 AND child_id::text = $2 AND status = 'active'
+        `, [String(user.id), request.studentId]);
+        if (link.rows.length === 0) {
+          throw new DataRequestError('You can only make requests about your own children', 'ACCESS_DENIED');
+        }
+      }
+
+      const status = request.type === REQUEST_TYPES.ERASURE && user.role !== 'admin'
+        ? REQUEST_STATUS.AWAITING_APPROVAL
+        : REQUEST_STATUS.PENDING;
+
+      let created;
+      try {
+        created = await client.query(`
+          INSERT INTO data_subject_requests (
+            student_id, request_type, erasure_mode, regulation, reason, status, requested_by, requested_by_role
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *
+        `, [request.studentId, request.type, request.mode, request.regulation, request.reason, status, user.id, user.role]);
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new DataRequestError(`An ${request.type} request for this student is already open`, 'CONFLICT');
+        }
+        throw error;
+      }
+
+      await this.audit(client, {
+        user,
+        action: `request_${request.type}`,
+        reason: request.reason,
+        clientInfo,
+        data: { requestId: created.rows[0].id, studentId: request.studentId, mode: request.mode, regulation: request.regulation }
+      });
+
+      return created.rows[0];
+    });
+
+    if (row.status === REQUEST_STATUS.PENDING) {
+      this.scheduleRequest(row.id);
+    }
+
+    console.log(`🗂️  Data ${row.request_type} request ${row.id} created by ${user.role} ${user.id} (${row.status})`);
+    return formatDataRequest(row);
+  }
+
+  async approveRequest(requestId, admin, clientInfo = {}) {
+    const row = await withTransaction(this.pool, async (client) => {
+      const request = await this.getRequestRow(requestId, admin, client, { forUpdate: true });
+      if (request.status !== REQUEST_STATUS.AWAITING_APPROVAL) {
+        throw new DataRequestError(`Request is ${request.status}, not awaiting approval`, 'CONFLICT');
+      }
+
+      const updated = await client.query(`
+        UPDATE data_subject_requests
+        SET status = 'pending', approved_by = $2, approved_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [requestId, admin.id]);
+
+      await this.audit(client, {
+        user: admin,
+        action: 'approve',
+        clientInfo,
+        data: { requestId, studentId: request.student_id, type: request.request_type }
+      });
+
+      return updated.rows[0];
+    });
+
+    this.scheduleRequest(row.id);
+    return formatDataRequest(row);
+  }
+
+  async rejectRequest(requestId, input = {}, admin, clientInfo = {}) {
+    if (typeof input.reason !== 'string' || !input.reason.trim() || input.reason.length > 1000) {
+      throw new DataRequestError('Invalid rejection', 'VALIDATION_ERROR', {
+        errors: ['reason is required (1000 characters max)']
+      });
+    }
+    const reason = input.reason.trim();
+
+    const row = await withTransaction(this.pool, async (client) => {
+      const request = await this.getRequestRow(requestId, admin, client, { forUpdate: true });
+      if (request.status !== REQUEST_STATUS.AWAITING_APPROVAL) {
+        throw new DataRequestError(`Request is ${request.status}, not awaiting approval`, 'CONFLICT');
+      }
+
+      const updated = await client.query(`
+        UPDATE data_subject_requests
+        SET status = 'rejected', rejection_reason = $2, approved_by = $3, approved_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [requestId, reason, admin.id]);
+
+      await this.audit(client, {
+        user: admin,
+        action: 'reject',
+        reason,
+        clientInfo,
+        data: { requestId, studentId: request.student_id, type: request.request_type }
+      });
+
+      return updated.rows[0];
+    });
+
+    return formatDataRequest(row);
+  }
+
+  // Failed requests, and requests left processing by a restarted server, can be run again
+  async retryRequest(requestId, admin, clientInfo = {}) {
+    const row = await withTransaction(this.pool, async (client) => {
+      const request = await this.getRequestRow(requestId, admin, client, { forUpdate: true });
+      const stale = request.status === REQUEST_STATUS.PROCESSING &&
+        new Date(request.updated_at) < new Date(Date.now() - STALE_MINUTES * 60 * 1000);
+      if (request.status !== REQUEST_STATUS.FAILED && !stale) {
+        throw new DataRequestError(`Request is ${request.status} and cannot be retried`, 'CONFLICT');
+      }
+
+      const updated = await client.query(`
+        UPDATE data_subject_requests SET status = 'pending', updated_at = NOW() WHERE id = $1 RETURNING *
+      `, [requestId]);
+
+      await this.audit(client, {
+        user: admin,
+        action: 'retry',
+        clientInfo,
+        data: { requestId, studentId: request.student_id, attempts: request.attempts, lastError: request.last_error }
+      });
+
+      return updated.rows[0];
+    });
+
+    this.scheduleRequest(row.id);
+    return formatDataRequest(row);
+  }
+
+  scheduleRequest(requestId) {
+    setImmediate(() => {
+      this.runRequest(requestId).catch(error => {
+        console.error(`❌ Data request ${requestId} failed:`, error.message);
+      });
+    });
+  }
+
+  // ============================================
+  // PROCESSING
+  // ============================================
+
+  async runRequest(requestId) {
+    if (this.runningRequests.has(requestId)) return null;
+    this.runningRequests.add(requestId);
+
+    try {
+      await this.deleteExpiredArchives().catch(error => {
+        console.error('Failed to delete expired data export archives:', error.message);
+      });
+
+      const claimed = await this.pool.query(`
+        UPDATE data_subject_requests
+        SET status = 'processing', started_at = NOW(), attempts = attempts + 1, last_error = NULL, updated_at = NOW()
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+      `, [requestId]);
+
+      if (claimed.rows.length === 0) {
+        return null;
+      }
+
+      const request = claimed.rows[0];
+
+      try {
+        const outcome = request.request_type === REQUEST_TYPES.EXPORT
+          ? await this.runExport(request)
+          : await this.runErasure(request);
+
+        const completedAt = new Date();
+        const certificate = buildCertificate(request, { completedAt, ...outcome.certificate });
+        const signature = signCertificate(certificate, this.getSigningKey());
+        const archive = outcome.archive || {};
+
+        const completed = await this.pool.query(`
+          UPDATE data_subject_requests
+          SET status = 'completed', completed_at = $2, summary = $3, certificate = $4, certificate_signature = $5,
+              archive_path = $6, archive_sha256 = $7, archive_bytes = $8, archive_expires_at = $9, updated_at = NOW()
+          WHERE id = $1
+          RETURNING *
+        `, [
+          requestId,
+          completedAt,
+          JSON.stringify(outcome.summary),
+          JSON.stringify(certificate),
+          signature,
+          archive.path || null,
+          archive.sha256 || null,
+          archive.bytes || null,
+          archive.expiresAt || null
+        ]);
+
+        await this.notifyRequester(request);
+        console.log(`✅ Data ${request.request_type} request ${requestId} completed`);
+        return formatDataRequest(completed.rows[0]);
+      } catch (error) {
+        await this.pool.query(`
+          UPDATE data_subject_requests SET status = 'failed', last_error = $2, updated_at = NOW() WHERE id = $1
+        `, [requestId, error.message]).catch(() => {});
+        throw error;
+      }
+    } finally {
+      this.runningRequests.delete(requestId);
+    }
+  }
+
+  // Run a source's query, treating a table or column that does not exist as an unavailable source
+  async querySource(client, sql, params) {
+    await client.query('SAVEPOINT data_source');
+    try {
+      const result = await client.query(sql, params);
+      await client.query('RELEASE SAVEPOINT data_source');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT data_source');
+      if (MISSING_RELATION_CODES.includes(error.code)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Read everything held about the student in one snapshot, decrypt journal entries, add
+   * vector store contexts and journal attachment files, and write a .tar.gz archive.
+   */
+  async runExport(request) {
+    const studentId = request.student_id;
+    const files = [];
+    const sources = [];
+    const decryptionFailures = [];
+    const missingAttachments = [];
+    let attachmentsExported = 0;
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+      const account = await client.query(`SELECT ${ACCOUNT_COLUMNS.join(', ')} FROM users WHERE id = $1`, [studentId]);
+      if (account.rows.length === 0) {
+        throw new DataRequestError('Student not found', 'NOT_FOUND', { studentId });
+      }
+      files.push({ name: 'data/account.json', content: toJson(serializeRow(account.rows[0])) });
+
+      for (const source of DATA_SOURCES) {
+        const result = await this.querySource(client, buildSelectSql(source), [studentId]);
+        if (!result) {
+          sources.push({ source: source.key, table: source.table, action: 'unavailable', rows: 0 });
+          continue;
+        }
+        if (source.export === false) {
+          sources.push({ source: source.key, table: source.table, action: 'withheld', rows: result.rows.length });
+          continue;
+        }
+
+        let rows = result.rows;
+        if (source.key === 'journal_entries') {
+          rows = await this.decryptJournalEntries(client, studentId, rows, decryptionFailures);
+        }
+        if (source.key === 'journal_attachments') {
+          for (const attachment of rows) {
+            const content = await this.readAttachment(attachment);
+            if (!content) {
+              missingAttachments.push(attachment.id);
+              continue;
+            }
+            const name = safeFilename(attachment.original_filename, `${attachment.id}.bin`);
+            files.push({ name: `attachments/${attachment.id}/${name}`, content });
+            attachmentsExported += 1;
+          }
+        }
+
+        files.push({ name: `data/${source.key}.json`, content: toJson(rows.map(row => serializeRow(row))) });
+        sources.push({ source: source.key, table: source.table, action: 'exported', rows: rows.length });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const contexts = await this.getVectorStore().getAllStudentContexts(studentId);
+    files.push({ name: 'data/vector_contexts.json', content: toJson(contexts) });
+
+    const manifest = {
+      requestId: request.id,
+      studentId,
+      regulation: request.regulation,
+      generatedAt: new Date().toISOString(),
+      sources,
+      vectorContexts: contexts.length,
+      attachments: { exported: attachmentsExported, missing: missingAttachments },
+      journalDecryptionFailures: decryptionFailures,
+      files: files.map(file => ({ name: file.name, bytes: file.content.length, sha256: sha256(file.content) }))
+    };
+    const archiveBuffer = createTarGz([{ name: 'manifest.json', content: toJson(manifest) }, ...files]);
+    const archive = await this.writeArchive(request.id, archiveBuffer);
+
+    return {
+      summary: {
+        sources: sources.filter(s => s.rows > 0).length,
+        rows: sources.reduce((sum, s) => sum + s.rows, 0),
+        vectorContexts: contexts.length,
+        attachments: attachmentsExported,
+        missingAttachments: missingAttachments.length,
+        journalDecryptionFailures: decryptionFailures.length
+      },
+      certificate: {
+        sources,
+        vectorContexts: contexts.length,
+        attachments: { exported: attachmentsExported, missing: missingAttachments.length },
+        archive: { sha256: archive.sha256, bytes: archive.bytes, expiresAt: archive.expiresAt.toISOString() }
+      },
+      archive
+    };
+  }
+
+  // Journal entries with their content decrypted; entries that cannot be decrypted are listed in the manifest
+  async decryptJournalEntries(client, studentId, rows, failures) {
+    const encryption = this.getEncryptionService();
+    const entries = [];
+
+    for (const row of rows) {
+      const meta = { studentId, keyId: row.encryption_key_id, encryptionVersion: row.encryption_version };
+      try {
+        entries.push({
+          ...row,
+          content: await encryption.decryptStoredContent(client, row.encrypted_content, meta),
+          plain_text: await encryption.decryptStoredContent(client, row.encrypted_plain_text, meta)
+        });
+      } catch (error) {
+        failures.push({ entryId: row.id, error: error.message });
+        entries.push({ ...row, content: null, plain_text: null });
+      }
+    }
+
+    return entries;
+  }
+
+  attachmentPath(attachment) {
+    if (!attachment.stored_filename) return null;
+    const root = path.resolve(this.config.attachmentDir);
+    const filePath = path.resolve(root, attachment.stored_filename);
+    return filePath.startsWith(root + path.sep) ? filePath : null;
+  }
+
+  async readAttachment(attachment) {
+    const filePath = this.attachmentPath(attachment);
+    if (!filePath) return null;
+    try {
+      return await fs.promises.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeArchive(requestId, buffer) {
+    await fs.promises.mkdir(this.config.exportDir, { recursive: true, mode: 0o700 });
+    const archivePath = path.join(this.config.exportDir, `${requestId}.tar.gz`);
+    const partialPath = `${archivePath}.partial`;
+
+    await fs.promises.writeFile(partialPath, buffer, { mode: 0o600 });
+    await fs.promises.rename(partialPath, archivePath);
+
+    return {
+      path: archivePath,
+      sha256: sha256(buffer),
+      bytes: buffer.length,
+      expiresAt: new Date(Date.now() + this.config.archiveTtlMs)
+    };
+  }
+
+  /**
+   * Erase the student in three stages, each recorded in the request summary so a retry after
+   * a failure picks up where it stopped: Postgres (one transaction), the vector store, then
+   * files on disk (journal attachments and earlier export archives).
+   */
+  async runErasure(request) {
+    const studentId = request.student_id;
+    const summary = { ...(request.summary || {}) };
+
+    if (!summary.database) {
+      await withTransaction(this.pool, async (client) => {
+        summary.database = await this.eraseDatabaseRecords(client, studentId, request.erasure_mode);
+        await this.saveSummary(client, request.id, summary);
+      });
+    }
+
+    if (summary.vectorContexts === undefined) {
+      const result = await this.getVectorStore().deleteStudentContexts(studentId);
+      summary.vectorContexts = result.deleted;
+      await this.saveSummary(this.pool, request.id, summary);
+    }
+
+    if (!summary.files) {
+      summary.files = await this.eraseFiles(request, summary.database.attachmentFiles);
+      await this.saveSummary(this.pool, request.id, summary);
+    }
+
+    const { attachmentFiles, ...database } = summary.database;
+    return {
+      summary: { ...summary, database },
+      certificate: {
+        sources: database.sources,
+        vectorContexts: summary.vectorContexts,
+        attachments: { deleted: summary.files.attachmentsDeleted },
+        archive: { earlierExportsDeleted: summary.files.archivesDeleted }
+      }
+    };
+  }
+
+  async saveSummary(client, requestId, summary) {
+    await client.query(`
+      UPDATE data_subject_requests SET summary = $2, updated_at = NOW() WHERE id = $1
+    `, [requestId, JSON.stringify(summary)]);
+  }
+
+  // Children before parents; learning records survive an 'anonymise' pass; the account is scrubbed, not deleted
+  async eraseDatabaseRecords(client, studentId, mode) {
+    const sources = [];
+    let attachmentFiles = [];
+
+    for (const source of [...DATA_SOURCES].reverse()) {
+      const action = erasureAction(source, mode);
+
+      if (action !== 'deleted') {
+        const counted = await this.querySource(client, buildCountSql(source), [studentId]);
+        sources.push({
+          source: source.key,
+          table: source.table,
+          action: counted ? action : 'unavailable',
+          rows: counted ? parseInt(counted.rows[0].count, 10) : 0
+        });
+        continue;
+      }
+
+      if (source.key === 'journal_attachments') {
+        const attachments = await this.querySource(client, buildSelectSql(source), [studentId]);
+        attachmentFiles = attachments ? attachments.rows.map(a => a.stored_filename).filter(Boolean) : [];
+      }
+
+      const deleted = await this.querySource(client, buildDeleteSql(source), [studentId]);
+      sources.push({
+        source: source.key,
+        table: source.table,
+        action: deleted ? 'deleted' : 'unavailable',
+        rows: deleted ? deleted.rowCount : 0
+      });
+    }
+
+    await client.query(`
+      UPDATE users
+      SET email = 'erased+' || id || '@invalid', first_name = 'Erased', last_name = 'Student',
+          date_of_birth = NULL, password_hash = $2, status = 'inactive',
+          deleted_at = COALESCE(deleted_at, NOW()), updated_at = NOW()
+      WHERE id = $1
+    `, [studentId, `!erased:${crypto.randomBytes(16).toString('hex')}`]);
+
+    return { sources: sources.reverse(), attachmentFiles };
+  }
+
+  async eraseFiles(request, attachmentFiles = []) {
+    let attachmentsDeleted = 0;
+    for (const storedFilename of attachmentFiles) {
+      const filePath = this.attachmentPath({ stored_filename: storedFilename });
+      if (filePath && await removeFile(filePath)) attachmentsDeleted += 1;
+    }
+
+    // Earlier exports of the student's data must not outlive the erasure
+    const archives = await this.pool.query(`
+      SELECT id, archive_path FROM data_subject_requests
+      WHERE student_id = $1 AND archive_path IS NOT NULL AND archive_deleted_at IS NULL
+    `, [request.student_id]);
+    for (const archive of archives.rows) {
+      await removeFile(archive.archive_path);
+      await this.pool.query(`
+        UPDATE data_subject_requests SET archive_deleted_at = NOW(), updated_at = NOW() WHERE id = $1
+      `, [archive.id]);
+    }
+
+    return { attachmentsDeleted, archivesDeleted: archives.rows.length };
+  }
+
+  // Export archives are removed once they expire; called before each request runs
+  async deleteExpiredArchives() {
+    const expired = await this.pool.query(`
+      SELECT id, archive_path FROM data_subject_requests
+      WHERE archive_path IS NOT NULL AND archive_deleted_at IS NULL AND archive_expires_at <= NOW()
+    `);
+
+    for (const archive of expired.rows) {
+      await removeFile(archive.archive_path);
+      await this.pool.query(`
+        UPDATE data_subject_requests SET archive_deleted_at = NOW(), updated_at = NOW() WHERE id = $1
+      `, [archive.id]);
+    }
+
+    return expired.rows.length;
+  }
+
+  async notifyRequester(request) {
+    if (!request.requested_by) return null;
+
+    const what = request.request_type === REQUEST_TYPES.EXPORT
+      ? 'The data export is ready to download'
+      : 'The data erasure has been carried out';
+
+    try {
+      return await (this.notificationService || getNotificationService()).createNotification({
+        typeKey: 'data_request_completed',
+        recipientId: request.requested_by,
+        title: 'Data request completed',
+        message: `${what}. A signed completion certificate is available.`,
+        data: { requestId: request.id, studentId: request.student_id, type: request.request_type }
+      });
+    } catch (error) {
+      console.error('Failed to notify data request requester:', error.message);
+      return null;
+    }
+  }
+
+  // ============================================
+  // ARCHIVES AND CERTIFICATES
+  // ============================================
+
+  async getArchive(requestId, user, clientInfo = {}) {
+    const request = await this.getRequestRow(requestId, user);
+    if (request.request_type !== REQUEST_TYPES.EXPORT || request.status !== REQUEST_STATUS.COMPLETED) {
+      throw new DataRequestError('Only completed export requests have an archive', 'CONFLICT');
+    }
+    if (!request.archive_path || request.archive_deleted_at || new Date(request.archive_expires_at) <= new Date()) {
+      throw new DataRequestError('The archive has expired; make a new export request', 'NOT_FOUND');
+    }
+
+    await this.audit(this.pool, {
+      user,
+      action: 'download_archive',
+      clientInfo,
+      data: { requestId, studentId: request.student_id, sha256: request.archive_sha256 }
+    });
+
+    return {
+      path: request.archive_path,
+      filename: `student-data-${request.student_id}-${new Date(request.completed_at).toISOString().slice(0, 10)}.tar.gz`,
+      sha256: request.archive_sha256
+    };
+  }
+
+  async getCertificate(requestId, user) {
+    const request = await this.getRequestRow(requestId, user);
+    if (!request.certificate) {
+      throw new DataRequestError('The certificate is issued when the request completes', 'CONFLICT');
+    }
+
+    return {
+      certificate: request.certificate,
+      signature: request.certificate_signature,
+      algorithm: CERTIFICATE_ALGORITHM,
+      valid: verifyCertificate(request.certificate, request.certificate_signature, this.getSigningKey())
+    };
+  }
+}
+
+const toJson = (value) => Buffer.from(JSON.stringify(value, null, 2), 'utf8');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+let dataRequestServiceInstance = null;
+
+const getDataRequestService = () => {
+  if (!dataRequestServiceInstance) {
+    dataRequestServiceInstance = new DataRequestService();
+  }
+  return dataRequestServiceInstance;
+};
+
+module.exports = {
+  DataRequestService,
+  getDataRequestService
+};
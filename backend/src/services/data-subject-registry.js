@@ -0,0 +1,354 @@
+// Where a student's data lives, and the rules for data subject requests (no database access)
+
+const crypto = require('crypto');
+
+const REQUEST_TYPES = {
+  EXPORT: 'export',
+  ERASURE: 'erasure'
+};
+
+// 'erase' deletes learning records too; 'anonymise' keeps them against the scrubbed account
+const ERASURE_MODES = {
+  ERASE: 'erase',
+  ANONYMISE: 'anonymise'
+};
+
+const REQUEST_STATUS = {
+  AWAITING_APPROVAL: 'awaiting_approval',
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  REJECTED: 'rejected'
+};
+
+const REGULATIONS = ['gdpr', 'ferpa'];
+
+// How erasure treats a source
+const DATA_KINDS = {
+  PERSONAL: 'personal', // Deleted in both modes
+  LEARNING: 'learning', // Deleted when erasing, kept against the scrubbed account when anonymising
+  RETAINED: 'retained' // Kept in both modes (audit and safeguarding records), still exported
+};
+
+const CERTIFICATE_VERSION = 1;
+const DEVELOPMENT_SIGNING_KEY = 'development_data_request_signing_key';
+
+const MAX_REASON_LENGTH = 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Every table holding data about a student, parents before children. `column` names the
+ * student; `via` reaches rows through a parent source instead. Owner columns are compared
+ * as text because older tables still declare INTEGER user ids.
+ *
+ * export: false leaves credentials and key material out of archives (they are still erased).
+ */
+const DATA_SOURCES = [
+  // Account
+  { key: 'student_profile', table: 'student_profiles', column: 'user_id', category: 'account', kind: DATA_KINDS.PERSONAL },
+  { key: 'privacy_settings', table: 'privacy_settings', column: 'user_id', category: 'account', kind: DATA_KINDS.PERSONAL },
+  { key: 'sessions', table: 'user_sessions', column: 'user_id', category: 'account', kind: DATA_KINDS.PERSONAL },
+  { key: 'sso_identities', table: 'user_identities', column: 'user_id', category: 'account', kind: DATA_KINDS.PERSONAL },
+  { key: 'login_lockouts', table: 'login_lockouts', column: 'user_id', category: 'account', kind: DATA_KINDS.PERSONAL },
+  { key: 'account_tokens', table: 'auth_tokens', column: 'user_id', category: 'account', kind: DATA_KINDS.PERSONAL, export: false },
+  { key: 'mfa_factors', table: 'user_mfa_factors', column: 'user_id', category: 'account', kind: DATA_KINDS.PERSONAL, export: false },
+  { key: 'mfa_recovery_codes', table: 'mfa_recovery_codes', column: 'user_id', category: 'account', kind: DATA_KINDS.PERSONAL, export: false },
+  { key: 'mfa_challenges', table: 'mfa_challenges', column: 'user_id', category: 'account', kind: DATA_KINDS.PERSONAL, export: false },
+
+  // Classes and family
+  { key: 'classroom_enrollments', table: 'classroom_enrollments', column: 'student_id', category: 'classes', kind: DATA_KINDS.LEARNING },
+  { key: 'teacher_assignments', table: 'teacher_student_assignments', column: 'student_id', category: 'classes', kind: DATA_KINDS.LEARNING },
+  { key: 'parent_links', table: 'parent_child_relationships', column: 'child_id', category: 'classes', kind: DATA_KINDS.PERSONAL },
+
+  // Journal (content is decrypted for export; emotions are the emotional intelligence analyses)
+  { key: 'journal_entries', table: 'journal_entries', column: 'student_id', category: 'journal', kind: DATA_KINDS.PERSONAL },
+  { key: 'journal_emotions', table: 'journal_emotions', via: { source: 'journal_entries', column: 'journal_entry_id' }, category: 'journal', kind: DATA_KINDS.PERSONAL },
+  { key: 'journal_entry_tags', table: 'journal_entry_tags', via: { source: 'journal_entries', column: 'journal_entry_id' }, category: 'journal', kind: DATA_KINDS.PERSONAL },
+  { key: 'journal_attachments', table: 'journal_attachments', via: { source: 'journal_entries', column: 'journal_entry_id' }, category: 'journal', kind: DATA_KINDS.PERSONAL },
+  { key: 'journal_access_log', table: 'journal_access_log', via: { source: 'journal_entries', column: 'journal_entry_id' }, category: 'journal', kind: DATA_KINDS.PERSONAL },
+  { key: 'journal_drafts', table: 'journal_drafts', column: 'student_id', category: 'journal', kind: DATA_KINDS.PERSONAL },
+  { key: 'journal_keys', table: 'journal_encryption_keys', column: 'student_id', category: 'journal', kind: DATA_KINDS.PERSONAL, export: false },
+
+  // Problem solving and mistakes
+  { key: 'problem_sessions', table: 'problem_sessions', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'problem_steps', table: 'problem_session_steps', via: { source: 'problem_sessions', column: 'session_id' }, category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'problem_mistakes', table: 'problem_mistakes', via: { source: 'problem_sessions', column: 'session_id' }, category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'scaffolding_interventions', table: 'scaffolding_interventions', via: { source: 'problem_sessions', column: 'session_id' }, category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'problem_reviews', table: 'teacher_problem_reviews', via: { source: 'problem_sessions', column: 'session_id' }, category: 'problems', kind: DATA_KINDS.PERSONAL },
+  { key: 'problem_adaptations', table: 'problem_adaptations', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'problem_analytics', table: 'problem_analytics', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'path_exploration_sessions', table: 'path_exploration_sessions', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'path_usage', table: 'student_path_usage', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'path_comparisons', table: 'path_comparison_sessions', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'path_discoveries', table: 'path_discovery_events', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'path_suggestions', table: 'path_adaptation_suggestions', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'difficulty_preferences', table: 'student_difficulty_preferences', column: 'student_id', category: 'problems', kind: DATA_KINDS.PERSONAL },
+  { key: 'difficulty_history', table: 'difficulty_adaptation_history', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'difficulty_recommendations', table: 'problem_difficulty_recommendations', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'performance_profiles', table: 'student_performance_profiles', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'difficulty_events', table: 'difficulty_adaptation_events', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+  { key: 'skill_mastery', table: 'student_skill_mastery', column: 'student_id', category: 'problems', kind: DATA_KINDS.LEARNING },
+
+  // AI tutor conversations
+  { key: 'ai_tutor_sessions', table: 'ai_tutor_sessions', column: 'student_id', category: 'ai_tutor', kind: DATA_KINDS.PERSONAL },
+  { key: 'ai_tutor_messages', table: 'ai_tutor_messages', via: { source: 'ai_tutor_sessions', column: 'session_id' }, category: 'ai_tutor', kind: DATA_KINDS.PERSONAL },
+
+  // Session and dashboard analytics
+  { key: 'session_heartbeats', table: 'session_heartbeats', column: 'student_id', category: 'analytics', kind: DATA_KINDS.LEARNING },
+  { key: 'engagement_metrics', table: 'session_engagement_metrics', column: 'student_id', category: 'analytics', kind: DATA_KINDS.LEARNING },
+  { key: 'learning_trajectories', table: 'learning_trajectories', column: 'student_id', category: 'analytics', kind: DATA_KINDS.LEARNING },
+  { key: 'session_alerts', table: 'session_alerts', column: 'student_id', category: 'analytics', kind: DATA_KINDS.LEARNING },
+  { key: 'performance_anomalies', table: 'performance_anomalies', column: 'student_id', category: 'analytics', kind: DATA_KINDS.LEARNING },
+  { key: 'session_analytics_cache', table: 'session_analytics_cache', column: 'student_id', category: 'analytics', kind: DATA_KINDS.PERSONAL },
+  { key: 'goals', table: 'student_goals', column: 'student_id', category: 'dashboard', kind: DATA_KINDS.LEARNING },
+  { key: 'goal_milestones', table: 'goal_milestones', via: { source: 'goals', column: 'goal_id' }, category: 'dashboard', kind: DATA_KINDS.LEARNING },
+  { key: 'goal_activities', table: 'goal_activities', via: { source: 'goals', column: 'goal_id' }, category: 'dashboard', kind: DATA_KINDS.LEARNING },
+  { key: 'achievements', table: 'student_achievements', column: 'student_id', category: 'dashboard', kind: DATA_KINDS.LEARNING },
+  { key: 'learning_streaks', table: 'learning_streaks', column: 'student_id', category: 'dashboard', kind: DATA_KINDS.LEARNING },
+  { key: 'dashboard_activities', table: 'dashboard_activities', column: 'student_id', category: 'dashboard', kind: DATA_KINDS.LEARNING },
+  { key: 'dashboard_preferences', table: 'student_dashboard_preferences', column: 'student_id', category: 'dashboard', kind: DATA_KINDS.PERSONAL },
+  { key: 'dashboard_widgets', table: 'user_dashboard_widgets', column: 'user_id', category: 'dashboard', kind: DATA_KINDS.PERSONAL },
+  { key: 'dashboard_layouts', table: 'dashboard_layout_presets', column: 'user_id', category: 'dashboard', kind: DATA_KINDS.PERSONAL },
+  { key: 'theme_preferences', table: 'user_theme_preferences', column: 'user_id', category: 'dashboard', kind: DATA_KINDS.PERSONAL },
+  { key: 'dashboard_behavior', table: 'dashboard_behavior_preferences', column: 'user_id', category: 'dashboard', kind: DATA_KINDS.PERSONAL },
+  { key: 'dashboard_usage', table: 'dashboard_usage_analytics', column: 'user_id', category: 'dashboard', kind: DATA_KINDS.PERSONAL },
+  { key: 'template_ratings', table: 'dashboard_template_ratings', column: 'user_id', category: 'dashboard', kind: DATA_KINDS.PERSONAL },
+
+  // Teacher and parent records about the student
+  { key: 'teacher_interventions', table: 'teacher_interventions', column: 'student_id', category: 'teacher_records', kind: DATA_KINDS.PERSONAL },
+  { key: 'teacher_notes', table: 'teacher_student_notes', column: 'student_id', category: 'teacher_records', kind: DATA_KINDS.PERSONAL },
+  { key: 'teacher_communications', table: 'teacher_communication_log', column: 'student_id', category: 'teacher_records', kind: DATA_KINDS.PERSONAL },
+  { key: 'parent_insights', table: 'parent_learning_insights', column: 'child_id', category: 'teacher_records', kind: DATA_KINDS.PERSONAL },
+
+  // Notifications
+  { key: 'notifications', table: 'notifications', column: 'recipient_id', category: 'notifications', kind: DATA_KINDS.PERSONAL },
+  { key: 'notification_deliveries', table: 'notification_delivery_log', via: { source: 'notifications', column: 'notification_id' }, category: 'notifications', kind: DATA_KINDS.PERSONAL },
+  { key: 'notification_channels', table: 'notification_channels', column: 'user_id', category: 'notifications', kind: DATA_KINDS.PERSONAL },
+  { key: 'notification_preferences', table: 'notification_preferences', column: 'user_id', category: 'notifications', kind: DATA_KINDS.PERSONAL },
+  { key: 'notification_subscriptions', table: 'notification_subscriptions', column: 'user_id', category: 'notifications', kind: DATA_KINDS.PERSONAL },
+
+  // Monitoring and audit
+  { key: 'monitored_activities', table: 'monitored_activities', column: 'student_id', category: 'monitoring', kind: DATA_KINDS.PERSONAL },
+  { key: 'security_alerts', table: 'security_alerts', column: 'student_id', category: 'monitoring', kind: DATA_KINDS.RETAINED, retainedBecause: 'Safeguarding records follow data_retention_policies' },
+  { key: 'access_audit_log', table: 'access_control_audit_log', column: 'user_id', category: 'monitoring', kind: DATA_KINDS.RETAINED, retainedBecause: 'Access audit trail required for accountability' }
+];
+
+// Columns never written to archives
+const OMITTED_COLUMNS = ['password_hash', 'encrypted_content', 'encrypted_plain_text', 'token_hash', 'secret_encrypted', 'wrapped_key'];
+
+// Account columns included in the archive
+const ACCOUNT_COLUMNS = ['id', 'email', 'role', 'status', 'first_name', 'last_name', 'date_of_birth', 'timezone',
+  'last_login_at', 'email_verified_at', 'created_at', 'updated_at'];
+
+class DataRequestError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'DataRequestError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const isId = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+const getSource = (key) => DATA_SOURCES.find(source => source.key === key);
+
+// ============================================
+// SQL
+// ============================================
+
+// Rows of a source belonging to the student ($1)
+const sourceCondition = (source) => {
+  if (!source.via) {
+    return `${source.column}::text = $1`;
+  }
+  const parent = getSource(source.via.source);
+  return `${source.via.column} IN (SELECT id FROM ${parent.table} WHERE ${sourceCondition(parent)})`;
+};
+
+const buildSelectSql = (source) => `SELECT * FROM ${source.table} WHERE ${sourceCondition(source)}`;
+
+const buildCountSql = (source) => `SELECT COUNT(*) AS count FROM ${source.table} WHERE ${sourceCondition(source)}`;
+
+const buildDeleteSql = (source) => `DELETE FROM ${source.table} WHERE ${sourceCondition(source)}`;
+
+// What erasure does with a source in a mode
+const erasureAction = (source, mode) => {
+  if (source.kind === DATA_KINDS.RETAINED) return 'retained';
+  if (source.kind === DATA_KINDS.LEARNING && mode === ERASURE_MODES.ANONYMISE) return 'kept_anonymised';
+  return 'deleted';
+};
+
+// ============================================
+// ARCHIVE ROWS
+// ============================================
+
+// JSON-safe copy of a row: bytea as base64, secrets and ciphertext left out
+const serializeRow = (row, omit = OMITTED_COLUMNS) => Object.fromEntries(
+  Object.entries(row)
+    .filter(([column]) => !omit.includes(column))
+    .map(([column, value]) => [column, Buffer.isBuffer(value) ? value.toString('base64') : value])
+);
+
+// Attachment names inside the archive: no directories, 80 characters at most
+const safeFilename = (name, fallback) => {
+  const base = String(name || '').split(/[\\/]/).pop();
+  const cleaned = base.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^\.+/, '').slice(-80);
+  return cleaned || fallback;
+};
+
+// ============================================
+// CERTIFICATES
+// ============================================
+
+// JSON with sorted keys, so a certificate always signs to the same bytes
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const loadSigningKey = (value, env = process.env) => {
+  if (!value) {
+    if (env.NODE_ENV === 'production') {
+      throw new DataRequestError('DATA_REQUEST_SIGNING_KEY must be set in production', 'KEY_MISSING');
+    }
+    console.warn('⚠️  DATA_REQUEST_SIGNING_KEY not set, using the development key. Certificates can be forged.');
+    return DEVELOPMENT_SIGNING_KEY;
+  }
+  return value;
+};
+
+const signCertificate = (certificate, key) =>
+  crypto.createHmac('sha256', key).update(canonicalJson(certificate)).digest('hex');
+
+const verifyCertificate = (certificate, signature, key) => {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/.test(signature)) return false;
+  return crypto.timingSafeEqual(Buffer.from(signCertificate(certificate, key), 'hex'), Buffer.from(signature, 'hex'));
+};
+
+/**
+ * What a completed request did, for the completion certificate: each source's action and
+ * row count, the vector store contexts, and the archive (exports) or account scrub (erasure).
+ */
+const buildCertificate = (request, { completedAt, sources, vectorContexts, attachments, archive = null }) => ({
+  version: CERTIFICATE_VERSION,
+  requestId: request.id,
+  requestType: request.request_type,
+  erasureMode: request.erasure_mode || null,
+  regulation: request.regulation,
+  studentId: request.student_id,
+  requestedBy: { id: request.requested_by, role: request.requested_by_role },
+  approvedBy: request.approved_by || null,
+  requestedAt: new Date(request.created_at).toISOString(),
+  completedAt: new Date(completedAt).toISOString(),
+  sources,
+  vectorStore: { contexts: vectorContexts },
+  attachments,
+  archive,
+  account: request.request_type === REQUEST_TYPES.ERASURE ? 'scrubbed' : 'unchanged',
+  retained: DATA_SOURCES
+    .filter(source => source.kind === DATA_KINDS.RETAINED)
+    .map(source => ({ source: source.key, reason: source.retainedBecause }))
+});
+
+// ============================================
+// INPUT VALIDATION
+// ============================================
+
+const validateDataRequestInput = (input) => {
+  const errors = [];
+
+  if (!isId(input.studentId)) {
+    errors.push('studentId must be a user id');
+  }
+  if (!Object.values(REQUEST_TYPES).includes(input.type)) {
+    errors.push(`type must be one of: ${Object.values(REQUEST_TYPES).join(', ')}`);
+  }
+  if (input.mode !== undefined && input.mode !== null) {
+    if (input.type !== REQUEST_TYPES.ERASURE) {
+      errors.push('mode only applies to erasure requests');
+    } else if (!Object.values(ERASURE_MODES).includes(input.mode)) {
+      errors.push(`mode must be one of: ${Object.values(ERASURE_MODES).join(', ')}`);
+    }
+  }
+  if (!REGULATIONS.includes(input.regulation)) {
+    errors.push(`regulation must be one of: ${REGULATIONS.join(', ')}`);
+  }
+  if (input.reason !== undefined && input.reason !== null &&
+      (typeof input.reason !== 'string' || input.reason.length > MAX_REASON_LENGTH)) {
+    errors.push(`reason must be text (${MAX_REASON_LENGTH} characters max)`);
+  }
+
+  if (errors.length > 0) {
+    throw new DataRequestError('Invalid data request', 'VALIDATION_ERROR', { errors });
+  }
+
+  return {
+    studentId: input.studentId,
+    type: input.type,
+    mode: input.type === REQUEST_TYPES.ERASURE ? input.mode || ERASURE_MODES.ERASE : null,
+    regulation: input.regulation,
+    reason: input.reason ? input.reason.trim() || null : null
+  };
+};
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const formatDataRequest = (row) => ({
+  id: row.id,
+  studentId: row.student_id,
+  type: row.request_type,
+  mode: row.erasure_mode || null,
+  regulation: row.regulation,
+  reason: row.reason || null,
+  status: row.status,
+  requestedBy: { id: row.requested_by, role: row.requested_by_role },
+  approvedBy: row.approved_by || null,
+  approvedAt: toIso(row.approved_at),
+  rejectionReason: row.rejection_reason || null,
+  attempts: row.attempts || 0,
+  lastError: row.last_error || null,
+  summary: row.summary || null,
+  archive: row.archive_sha256 ? {
+    sha256: row.archive_sha256,
+    bytes: parseInt(row.archive_bytes, 10),
+    expiresAt: toIso(row.archive_expires_at),
+    available: !row.archive_deleted_at && new Date(row.archive_expires_at) > new Date()
+  } : null,
+  hasCertificate: !!row.certificate,
+  startedAt: toIso(row.started_at),
+  completedAt: toIso(row.completed_at),
+  createdAt: toIso(row.created_at)
+});
+
+module.exports = {
+  REQUEST_TYPES,
+  ERASURE_MODES,
+  REQUEST_STATUS,
+  REGULATIONS,
+  DATA_KINDS,
+  DATA_SOURCES,
+  ACCOUNT_COLUMNS,
+  DataRequestError,
+  isId,
+  getSource,
+  buildSelectSql,
+  buildCountSql,
+  buildDeleteSql,
+  erasureAction,
+  serializeRow,
+  safeFilename,
+  canonicalJson,
+  loadSigningKey,
+  signCertificate,
+  verifyCertificate,
+  buildCertificate,
+  validateDataRequestInput,
+  formatDataRequest
+};
@@ -0,0 +1,18 @@
+// Run work(client) between BEGIN and COMMIT on one pooled client, rolling back if it throws
+const withTransaction = async (pool, work) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { withTransaction };
@@ -0,0 +1,164 @@
+// Teacher delegation validation and status (no database access)
+
+// Resource types a delegation can cover, named as in role_permissions. Journals are never
+// delegated: their relationship checks cover permanent enrolment only.
+const DELEGATION_SCOPES = ['problems', 'goals', 'progress', 'achievements', 'analytics', 'reports'];
+
+// Delegations give read access only
+const DELEGATED_ACTIONS = ['read'];
+
+const DELEGATION_STATUS = {
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+};
+
+const MAX_REASON_LENGTH = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class DelegationError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'DelegationError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const isId = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// Expiry needs no job: a delegation is simply not active outside [startsAt, expiresAt)
+const delegationStatus = (row, now = new Date()) => {
+  if (row.revoked_at) return DELEGATION_STATUS.REVOKED;
+  if (new Date(row.expires_at) <= now) return DELEGATION_STATUS.EXPIRED;
+  if (new Date(row.starts_at) > now) return DELEGATION_STATUS.SCHEDULED;
+  return DELEGATION_STATUS.ACTIVE;
+};
+
+const formatDelegation = (row, now = new Date()) => ({
+  id: row.id,
+  classroom: { id: row.classroom_id, name: row.classroom_name || null },
+  delegator: {
+    id: row.delegator_id,
+    firstName: row.delegator_first_name || null,
+    lastName: row.delegator_last_name || null
+  },
+  delegate: {
+    id: row.delegate_id,
+    firstName: row.delegate_first_name || null,
+    lastName: row.delegate_last_name || null
+  },
+  scopes: row.scopes,
+  reason: row.reason || null,
+  status: delegationStatus(row, now),
+  startsAt: toIso(row.starts_at),
+  expiresAt: toIso(row.expires_at),
+  revokedAt: toIso(row.revoked_at),
+  revokedBy: row.revoked_by || null,
+  revokeReason: row.revoke_reason || null,
+  useCount: row.use_count || 0,
+  lastUsedAt: toIso(row.last_used_at),
+  createdAt: toIso(row.created_at)
+});
+
+/**
+ * Whether a delegation covers an action on one of its scopes. Access without a scope, to
+ * the classroom or student data in general, is never delegated.
+ */
+const delegationAllows = (row, { scope = null, action = 'read' } = {}) =>
+  DELEGATED_ACTIONS.includes(action) && DELEGATION_SCOPES.includes(scope) && row.scopes.includes(scope);
+
+// ============================================
+// INPUT VALIDATION
+// ============================================
+
+/**
+ * Validate a new delegation. startsAt defaults to now (earlier times are moved to now);
+ * expiresAt is required and may be at most maxDurationMs after startsAt.
+ */
+const validateDelegationInput = (input, { now = new Date(), maxDurationMs }) => {
+  const errors = [];
+
+  if (!isId(input.classroomId)) {
+    errors.push('classroomId must be a classroom id');
+  }
+  if (!isId(input.delegateId)) {
+    errors.push('delegateId must be a user id');
+  }
+  if (!Array.isArray(input.scopes) || input.scopes.length === 0 ||
+      input.scopes.some(scope => !DELEGATION_SCOPES.includes(scope))) {
+    errors.push(`scopes must be a non-empty list of: ${DELEGATION_SCOPES.join(', ')}`);
+  }
+  if (input.reason !== undefined && input.reason !== null &&
+      (typeof input.reason !== 'string' || input.reason.length > MAX_REASON_LENGTH)) {
+    errors.push(`reason must be text (${MAX_REASON_LENGTH} characters max)`);
+  }
+
+  const parseDate = (field) => {
+    const date = new Date(input[field]);
+    if (typeof input[field] !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push(`${field} must be an ISO 8601 date`);
+      return null;
+    }
+    return date;
+  };
+
+  let startsAt = now;
+  if (input.startsAt !== undefined && input.startsAt !== null) {
+    const requested = parseDate('startsAt');
+    if (requested && requested > now) startsAt = requested;
+  }
+
+  let expiresAt = null;
+  if (input.expiresAt === undefined || input.expiresAt === null) {
+    errors.push('expiresAt is required');
+  } else {
+    expiresAt = parseDate('expiresAt');
+  }
+  if (expiresAt && expiresAt <= startsAt) {
+    errors.push('expiresAt must be after startsAt');
+  } else if (expiresAt && expiresAt - startsAt > maxDurationMs) {
+    errors.push(`A delegation can last at most ${Math.floor(maxDurationMs / (24 * 60 * 60 * 1000))} days`);
+  }
+
+  if (errors.length > 0) {
+    throw new DelegationError('Invalid delegation', 'VALIDATION_ERROR', { errors });
+  }
+
+  return {
+    classroomId: input.classroomId,
+    delegateId: input.delegateId,
+    scopes: [...new Set(input.scopes)],
+    reason: input.reason ? input.reason.trim() || null : null,
+    startsAt,
+    expiresAt
+  };
+};
+
+const validateRevokeInput = (input = {}) => {
+  if (input.reason === undefined || input.reason === null) return { reason: null };
+  if (typeof input.reason !== 'string' || input.reason.length > MAX_REASON_LENGTH) {
+    throw new DelegationError('Invalid revocation', 'VALIDATION_ERROR', {
+      errors: [`reason must be text (${MAX_REASON_LENGTH} characters max)`]
+    });
+  }
+  return { reason: input.reason.trim() || null };
+};
+
+module.exports = {
+  DELEGATION_SCOPES,
+  DELEGATED_ACTIONS,
+  DELEGATION_STATUS,
+  DelegationError,
+  isId,
+  delegationStatus,
+  formatDelegation,
+  delegationAllows,
+  validateDelegationInput,
+  validateRevokeInput
+};
@@ -0,0 +1,327 @@
+const { Pool } = require('pg');
+const { getDelegationConfig } = require('../config/environment');
+const {
+  DELEGATION_SCOPES,
+  DELEGATED_ACTIONS,
+  DELEGATION_STATUS,
+  DelegationError,
+  isId,
+  formatDelegation,
+  validateDelegationInput,
+  validateRevokeInput
+} = require('./delegation-rules');
+const { withTransaction } = require('./db-transaction');
+const { getNotificationService } = require('./notification-service');
+
+const DELEGATION_SELECT = `
+  SELECT td.*, c.name AS classroom_name,
+    dr.first_name AS delegator_first_name, dr.last_name AS delegator_last_name,
+    de.first_name AS delegate_first_name, de.last_name AS delegate_last_name
+  FROM teacher_delegations td
+  JOIN classrooms c ON c.id = td.classroom_id
+  JOIN users dr ON dr.id = td.delegator_id
+  JOIN users de ON de.id = td.delegate_id
+`;
+
+// SQL for each status, matching delegationStatus
+const STATUS_FILTERS = {
+  [DELEGATION_STATUS.SCHEDULED]: 'td.revoked_at IS NULL AND td.starts_at > CURRENT_TIMESTAMP',
+  [DELEGATION_STATUS.ACTIVE]: 'td.revoked_at IS NULL AND td.starts_at <= CURRENT_TIMESTAMP AND td.expires_at > CURRENT_TIMESTAMP',
+  [DELEGATION_STATUS.EXPIRED]: 'td.revoked_at IS NULL AND td.expires_at <= CURRENT_TIMESTAMP',
+  [DELEGATION_STATUS.REVOKED]: 'td.revoked_at IS NOT NULL'
+};
+
+// A delegation lapses when its delegator no longer teaches the classroom
+const DELEGATOR_TEACHES = `
+  (c.teacher_id = td.delegator_id OR EXISTS (
+    SELECT 1 FROM teacher_classrooms tc
+    WHERE tc.classroom_id = td.classroom_id AND tc.teacher_id = td.delegator_id
+      AND tc.status = 'active' AND tc.role IN ('primary', 'co_teacher')
+  ))
+`;
+
+const DIRECTIONS = ['given', 'received'];
+
+class DelegationService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getDelegationConfig();
+    this.notificationService = null;
+  }
+
+  // Admins see every delegation, teachers those they gave or received
+  async getDelegationRow(delegationId, user, client = this.pool) {
+    if (!isId(delegationId)) {
+      throw new DelegationError('Delegation not found', 'NOT_FOUND', { delegationId });
+    }
+
+    const result = await client.query(`${DELEGATION_SELECT} WHERE td.id = $1`, [delegationId]);
+    const row = result.rows[0];
+    if (!row || (user.role !== 'admin' &&
+        String(row.delegator_id) !== String(user.id) && String(row.delegate_id) !== String(user.id))) {
+      throw new DelegationError('Delegation not found', 'NOT_FOUND', { delegationId });
+    }
+    return row;
+  }
+
+  // ============================================
+  // MANAGEMENT
+  // ============================================
+
+  async listDelegations(user, { direction = null, status = null, classroomId = null, limit = 50, offset = 0 } = {}) {
+    const errors = [];
+    if (direction !== null && !DIRECTIONS.includes(direction)) {
+      errors.push(`direction must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+    if (status !== null && !STATUS_FILTERS[status]) {
+      errors.push(`status must be one of: ${Object.keys(STATUS_FILTERS).join(', ')}`);
+    }
+    if (classroomId !== null && !isId(classroomId)) {
+      errors.push('classroomId must be a classroom id');
+    }
+    if (errors.length > 0) {
+      throw new DelegationError('Invalid delegation filter', 'VALIDATION_ERROR', { errors });
+    }
+
+    const conditions = [];
+    const params = [];
+    const userId = String(user.id);
+    if (direction === 'given' || (user.role !== 'admin' && direction === null)) {
+      params.push(userId);
+      conditions.push(direction === 'given'
+        ? `td.delegator_id::text = $${params.length}`
+        : `(td.delegator_id::text = $${params.length} OR td.delegate_id::text = $${params.length})`);
+    } else if (direction === 'received') {
+      params.push(userId);
+      conditions.push(`td.delegate_id::text = $${params.length}`);
+    }
+    if (status) conditions.push(STATUS_FILTERS[status]);
+    if (classroomId) {
+      params.push(classroomId);
+      conditions.push(`td.classroom_id = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [result, countResult] = await Promise.all([
+      this.pool.query(`
+        ${DELEGATION_SELECT} ${where}
+        ORDER BY td.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      this.pool.query(`
+        SELECT COUNT(*) AS total FROM teacher_delegations td ${where}
+      `, params)
+    ]);
+
+    const now = new Date();
+    const total = parseInt(countResult.rows[0].total, 10);
+    return {
+      delegations: result.rows.map(row => formatDelegation(row, now)),
+      pagination: { limit, offset, total, hasMore: offset + limit < total }
+    };
+  }
+
+  async getDelegation(delegationId, user) {
+    return formatDelegation(await this.getDelegationRow(delegationId, user));
+  }
+
+  /**
+   * Give another teacher read access to one of your classrooms. Primary teachers and
+   * co-teachers can delegate; substitutes and aides cannot pass their access on.
+   */
+  async createDelegation(input, user) {
+    const delegation = validateDelegationInput(input, { maxDurationMs: this.config.maxDurationMs });
+
+    const delegationId = await withTransaction(this.pool, async (client) => {
+      const classroom = await client.query(`
+        SELECT c.id, c.teacher_id, c.active, tc.role AS delegator_role
+        FROM classrooms c
+        LEFT JOIN teacher_classrooms tc
+          ON tc.classroom_id = c.id AND tc.teacher_id::text = $2 AND tc.status = 'active'
+        WHERE c.id = $1
+      `, [delegation.classroomId, String(user.id)]);
+      const row = classroom.rows[0];
+
+      const isOwner = row && String(row.teacher_id) === String(user.id);
+      if (!row || (!isOwner && row.delegator_role === null)) {
+        throw new DelegationError('Classroom not found', 'NOT_FOUND', { classroomId: delegation.classroomId });
+      }
+      if (!isOwner && !['primary', 'co_teacher'].includes(row.delegator_role)) {
+        throw new DelegationError('Only the classroom\'s teachers can delegate access', 'ACCESS_DENIED');
+      }
+      if (!row.active) {
+        throw new DelegationError('Archived classrooms cannot be delegated', 'CONFLICT');
+      }
+
+      const delegate = await client.query(`
+        SELECT u.id, u.role,
+          EXISTS (
+            SELECT 1 FROM teacher_classrooms tc
+            WHERE tc.classroom_id = $2 AND tc.teacher_id = u.id AND tc.status = 'active'
+          ) AS teaches_classroom
+        FROM users u
+        WHERE u.id = $1 AND u.status = 'active' AND u.deleted_at IS NULL
+      `, [delegation.delegateId, delegation.classroomId]);
+      const delegateRow = delegate.rows[0];
+
+      if (!delegateRow || delegateRow.role !== 'teacher' || String(delegateRow.id) === String(user.id)) {
+        throw new DelegationError('Invalid delegation', 'VALIDATION_ERROR', {
+          errors: ['delegateId must be another active teacher account']
+        });
+      }
+      if (delegateRow.teaches_classroom) {
+        throw new DelegationError('The delegate already teaches this classroom', 'CONFLICT');
+      }
+
+      const overlapping = await client.query(`
+        SELECT id FROM teacher_delegations
+        WHERE classroom_id = $1 AND delegate_id = $2 AND revoked_at IS NULL
+          AND starts_at < $4 AND expires_at > $3
+        LIMIT 1
+      `, [delegation.classroomId, delegation.delegateId, delegation.startsAt, delegation.expiresAt]);
+      if (overlapping.rows.length > 0) {
+        throw new DelegationError('The delegate already has access to this classroom for that period', 'CONFLICT', {
+          delegationId: overlapping.rows[0].id
+        });
+      }
+
+      const result = await client.query(`
+        INSERT INTO teacher_delegations (
+          classroom_id, delegator_id, delegate_id, scopes, reason, starts_at, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [
+        delegation.classroomId,
+        user.id,
+        delegation.delegateId,
+        delegation.scopes,
+        delegation.reason,
+        delegation.startsAt,
+        delegation.expiresAt
+      ]);
+      return result.rows[0].id;
+    });
+
+    return this.getDelegation(delegationId, user);
+  }
+
+  // The delegator, the delegate (giving the access back) or an admin can end a delegation early
+  async revokeDelegation(delegationId, input, user) {
+    const { reason } = validateRevokeInput(input);
+
+    const row = await withTransaction(this.pool, async (client) => {
+      const current = await this.getDelegationRow(delegationId, user, client);
+      if (current.revoked_at) {
+        throw new DelegationError('Delegation is already revoked', 'CONFLICT', { delegationId });
+      }
+
+      await client.query(`
+        UPDATE teacher_delegations
+        SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2, revoke_reason = $3
+        WHERE id = $1
+      `, [delegationId, user.id, reason]);
+      return this.getDelegationRow(delegationId, user, client);
+    });
+
+    return formatDelegation(row);
+  }
+
+  // ============================================
+  // ACCESS CHECKS
+  // ============================================
+
+  /**
+   * The teacher's active delegation covering a classroom or a student enrolled in it,
+   * for one of the delegation scopes. Returns null when none applies, and always without
+   * a scope: a delegation never covers the classroom or student data in general.
+   */
+  async findActiveDelegation(teacherId, { classroomId = null, studentId = null, scope = null, action = 'read' } = {}) {
+    if ((classroomId === null) === (studentId === null)) return null;
+    if (!isId(String(classroomId || studentId)) || !DELEGATED_ACTIONS.includes(action)) return null;
+    if (!DELEGATION_SCOPES.includes(scope)) return null;
+
+    const result = await this.pool.query(`
+      ${DELEGATION_SELECT}
+      WHERE td.delegate_id::text = $1
+        AND ${STATUS_FILTERS[DELEGATION_STATUS.ACTIVE]}
+        AND c.active = true
+        AND ${DELEGATOR_TEACHES}
+        AND $2 = ANY(td.scopes)
+        AND ($3::uuid IS NULL OR td.classroom_id = $3)
+        AND ($4::uuid IS NULL OR EXISTS (
+          SELECT 1 FROM classroom_enrollments ce
+          WHERE ce.classroom_id = td.classroom_id AND ce.student_id = $4 AND ce.status = 'active'
+        ))
+      ORDER BY td.expires_at DESC
+      LIMIT 1
+    `, [String(teacherId), scope, classroomId, studentId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count a use of a delegation and tell the delegator about it, at most once per
+   * useNotifyIntervalMs per delegation. Never throws: access was already granted.
+   */
+  async recordUse(delegation, { resourceType, resourceId }) {
+    try {
+      const result = await this.pool.query(`
+        UPDATE teacher_delegations
+        SET use_count = use_count + 1,
+            last_used_at = CURRENT_TIMESTAMP,
+            last_notified_at = CASE
+              WHEN last_notified_at IS NULL OR last_notified_at <= CURRENT_TIMESTAMP - $2 * INTERVAL '1 millisecond'
+              THEN CURRENT_TIMESTAMP ELSE last_notified_at END
+        WHERE id = $1
+        RETURNING use_count, last_notified_at = last_used_at AS notify
+      `, [delegation.id, this.config.useNotifyIntervalMs]);
+
+      const use = result.rows[0];
+      if (use && use.notify) {
+        await this.notifyDelegator(delegation, { resourceType, resourceId, useCount: use.use_count });
+      }
+    } catch (error) {
+      console.error('Failed to record delegation use:', error.message);
+    }
+  }
+
+  async notifyDelegator(delegation, { resourceType, resourceId, useCount }) {
+    const delegateName = [delegation.delegate_first_name, delegation.delegate_last_name].filter(Boolean).join(' ') || 'A teacher';
+    const what = resourceType === 'classroom' || resourceType === 'student_data' ? 'the roster' : resourceType;
+
+    return (this.notificationService || getNotificationService()).createNotification({
+      typeKey: 'delegation_used',
+      recipientId: delegation.delegator_id,
+      senderId: delegation.delegate_id,
+      title: 'Delegated access used',
+      message: `${delegateName} viewed ${what} in ${delegation.classroom_name} using the access you delegated`,
+      data: {
+        delegationId: delegation.id,
+        classroomId: delegation.classroom_id,
+        resourceType,
+        resourceId,
+        useCount,
+        expiresAt: new Date(delegation.expires_at).toISOString()
+      }
+    });
+  }
+}
+
+// Singleton instance
+let delegationServiceInstance = null;
+
+const getDelegationService = () => {
+  if (!delegationServiceInstance) {
+    delegationServiceInstance = new DelegationService();
+  }
+  return delegationServiceInstance;
+};
+
+module.exports = {
+  DelegationService,
+  getDelegationService,
+  DelegationError
+};
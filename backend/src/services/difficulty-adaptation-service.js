@@ -1,6 +1,7 @@
 const { Pool } = require('pg');
 const { activityMonitor } = require('./activity-monitor');
 const { getProblemSolvingService } = require('./problem-solving-service');
+const { getCalibrationService } = require('./calibration-service');
 
 // Difficulty adaptation error class
 class DifficultyAdaptationError extends Error {
@@ -79,8 +80,17 @@ class DifficultyAdaptationService {
           };
         }
 
-        // Analyze performance and determine adaptation
-        const analysis = this.analyzePerformanceForAdaptation(performanceData, strategy);
+        // Analyze performance and determine adaptation; a calibrated ability, when the student
+        // has one, sets the target instead of the fixed performance bands
+        const calibration = await this.getCalibrationTarget(client, studentId, subject);
+        const analysis = calibration
+          ? this.analyzeCalibratedAbility(
+            performanceData,
+            calibration,
+            this.getDifficultyValue(await this.getCurrentDifficulty(client, studentId, subject)),
+            strategy
+          )
+          : this.analyzePerformanceForAdaptation(performanceData, strategy);
         
         // Calculate new difficulty level
         const adaptationResult = await this.calculateDifficultyAdaptation(
@@ -257,19 +267,7 @@ class DifficultyAdaptationService {
     }
 
     // Apply strategy modifiers
-    let strategyMultiplier = 1.0;
-    switch (strategy) {
-      case ADAPTATION_STRATEGIES.CONSERVATIVE:
-        strategyMultiplier = 0.5;
-        break;
-      case ADAPTATION_STRATEGIES.AGGRESSIVE:
-        strategyMultiplier = 1.5;
-        break;
-      case ADAPTATION_STRATEGIES.PERSONALIZED:
-        // Adjust based on stability - less stable performance gets smaller changes
-        strategyMultiplier = Math.max(0.3, 1.0 - safePerformanceStability);
-        break;
-    }
+    const strategyMultiplier = this.getStrategyMultiplier(strategy, safePerformanceStability);
 
     // Factor in performance trend
     const trendAdjustment = safePerformanceTrend * 0.2; // Trend influence
@@ -295,6 +293,7 @@ class DifficultyAdaptationService {
     }
 
     return {
+      basis: 'performance',
       performanceCategory,
       avgPerformanceScore: Math.round(safeAvgPerformanceScore * 1000) / 1000,
       baseAdjustment,
@@ -308,6 +307,54 @@ class DifficultyAdaptationService {
     };
   }
 
+  // How far a strategy moves the student: conservative halves each change, aggressive takes half as much again
+  getStrategyMultiplier(strategy, performanceStability = 0) {
+    switch (strategy) {
+      case ADAPTATION_STRATEGIES.CONSERVATIVE:
+        return 0.5;
+      case ADAPTATION_STRATEGIES.AGGRESSIVE:
+        return 1.5;
+      case ADAPTATION_STRATEGIES.PERSONALIZED:
+        // Adjust based on stability - less stable performance gets smaller changes
+        return Math.max(0.3, 1.0 - performanceStability);
+      default:
+        return 1.0;
+    }
+  }
+
+  // Analyze a calibrated ability: move toward the difficulty where the student's expected
+  // success is the target rate, rather than nudging by performance band
+  analyzeCalibratedAbility(performanceData, calibration, currentDifficultyValue, strategy) {
+    const banded = this.analyzePerformanceForAdaptation(performanceData, strategy);
+    const gap = calibration.targetValue - currentDifficultyValue;
+
+    // Never overshoot the target, whatever the strategy
+    const strategyMultiplier = Math.min(1, this.getStrategyMultiplier(strategy, performanceData.performanceStability || 0));
+    const finalAdjustment = Math.round(gap * strategyMultiplier * 1000) / 1000;
+    const targetName = this.getDifficultyName(calibration.targetValue);
+
+    return {
+      ...banded,
+      basis: 'calibration',
+      baseAdjustment: Math.round(gap * 1000) / 1000,
+      strategyMultiplier,
+      trendAdjustment: 0,
+      recentTrendAdjustment: 0,
+      finalAdjustment,
+      adaptationReason: `Calibrated ability ${calibration.ability} (±${calibration.standardError}): ` +
+        `${Math.round(calibration.targetSuccessRate * 100)}% expected success at ${targetName}`,
+      confidence: calibration.confidence,
+      recommendedAction: this.determineRecommendedAction(finalAdjustment, banded.performanceCategory),
+      calibration: {
+        ability: calibration.ability,
+        standardError: calibration.standardError,
+        templates: calibration.templates,
+        targetValue: Math.round(calibration.targetValue * 1000) / 1000,
+        targetDifficulty: targetName
+      }
+    };
+  }
+
   // Calculate how much to adjust difficulty based on analysis
   async calculateDifficultyAdaptation(client, studentId, analysis, subject) {
     try {
@@ -328,6 +375,7 @@ class DifficultyAdaptationService {
         confidenceLevel: analysis.confidence,
         adaptationReason: analysis.adaptationReason,
         performanceCategory: analysis.performanceCategory,
+        basis: analysis.basis,
         strategyUsed: 'moderate', // Could be passed from options
         effectiveDate: new Date().toISOString()
       };
@@ -352,6 +400,16 @@ class DifficultyAdaptationService {
   // UTILITY AND HELPER METHODS
   // ============================================
 
+  // Calibration is an improvement, not a dependency: without estimates, fall back to the bands
+  async getCalibrationTarget(client, studentId, subject) {
+    try {
+      return await getCalibrationService().getAdaptationTarget(studentId, subject, client);
+    } catch (error) {
+      console.error('Error reading calibrated ability:', error.message);
+      return null;
+    }
+  }
+
   // Get current difficulty preference for student
   async getCurrentDifficulty(client, studentId, subject = null) {
     try {
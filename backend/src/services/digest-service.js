@@ -0,0 +1,618 @@
+const { Pool } = require('pg');
+const { getDigestConfig } = require('../config/environment');
+const { getNotificationService } = require('./notification-service');
+const { CronScheduler } = require('./scheduled-job');
+
+// Digest jobs (also the notification type keys they send)
+const DIGEST_JOBS = {
+  WEEKLY_FAMILY_SUMMARY: 'weekly_family_summary',
+  TEACHER_DIGEST: 'teacher_class_digest'
+};
+
+const JOB_RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DigestError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'DigestError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+// Sunday-to-Saturday week containing the reference date, shifted by weekOffset weeks
+const getWeekRange = (weekOffset = 0, reference = new Date()) => {
+  const weekStart = new Date(reference);
+  weekStart.setDate(weekStart.getDate() - weekStart.getDay() + (weekOffset * 7));
+  weekStart.setHours(0, 0, 0, 0);
+
+  const weekEnd = new Date(weekStart);
+  weekEnd.setDate(weekEnd.getDate() + 6);
+  weekEnd.setHours(23, 59, 59, 999);
+
+  return { weekStart, weekEnd };
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+class DigestService {
+  constructor({ pool, notificationService, config } = {}) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.notificationService = notificationService || null;
+    this.config = config || getDigestConfig();
+    this.scheduler = new CronScheduler({
+      name: 'Digest',
+      timezone: this.config.timezone,
+      runJob: (jobName, periodKey, now) => this.runJob(jobName, { periodKey, trigger: 'schedule', reference: now })
+    });
+    this.runningJobs = new Set();
+  }
+
+  // ============================================
+  // SCHEDULER
+  // ============================================
+
+  start() {
+    if (!this.config.enabled) {
+      return false;
+    }
+    return this.scheduler.start(this.config.schedules);
+  }
+
+  stop() {
+    this.scheduler.stop();
+  }
+
+  tick(now = new Date()) {
+    return this.scheduler.tick(now);
+  }
+
+  getSchedule() {
+    return {
+      enabled: this.config.enabled,
+      running: this.scheduler.running,
+      timezone: this.config.timezone,
+      jobs: Object.values(DIGEST_JOBS).map(jobName => ({
+        jobName,
+        schedule: this.config.schedules[jobName] || null,
+        inProgress: this.runningJobs.has(jobName)
+      }))
+    };
+  }
+
+  // ============================================
+  // JOB RUNS
+  // ============================================
+
+  /**
+   * Claim a run for a period. Returns null when this period already ran
+   * (another instance, or a restart within the same minute).
+   */
+  async claimRun(jobName, { periodKey, trigger = 'schedule', triggeredBy = null, options = {} }) {
+    if (!Object.values(DIGEST_JOBS).includes(jobName)) {
+      throw new DigestError(`Unknown digest job: ${jobName}`, 'UNKNOWN_JOB', { jobName });
+    }
+
+    const result = await this.pool.query(`
+      INSERT INTO scheduled_job_runs (job_name, period_key, trigger, triggered_by, options)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (job_name, period_key) DO NOTHING
+      RETURNING *
+    `, [jobName, periodKey, trigger, triggeredBy, JSON.stringify(options)]);
+
+    return result.rows[0] || null;
+  }
+
+  async runJob(jobName, { periodKey, trigger = 'schedule', triggeredBy = null, reference = new Date(), ...options } = {}) {
+    const run = await this.claimRun(jobName, {
+      periodKey: periodKey || `manual:${new Date().toISOString()}`,
+      trigger,
+      triggeredBy,
+      options
+    });
+
+    if (!run) {
+      console.log(`⏭️  ${jobName} already ran for ${periodKey}`);
+      return null;
+    }
+
+    return this.executeRun(run, { reference, ...options });
+  }
+
+  /**
+   * Start a manual run and return it straight away; progress is read from the run log
+   */
+  async triggerJob(jobName, { triggeredBy = null, ...options } = {}) {
+    const run = await this.claimRun(jobName, {
+      periodKey: `manual:${new Date().toISOString()}`,
+      trigger: 'manual',
+      triggeredBy,
+      options
+    });
+
+    setImmediate(() => {
+      this.executeRun(run, { reference: new Date(), ...options })
+        .catch(error => console.error(`❌ Manual ${jobName} failed:`, error.message));
+    });
+
+    return this.formatRun(run);
+  }
+
+  async executeRun(run, options) {
+    const jobName = run.job_name;
+    this.runningJobs.add(jobName);
+    console.log(`📬 Running ${jobName} (${run.period_key})`);
+
+    try {
+      const stats = jobName === DIGEST_JOBS.WEEKLY_FAMILY_SUMMARY
+        ? await this.runWeeklyFamilySummaries(options)
+        : await this.runTeacherDigests({ ...options, runId: run.id });
+
+      const result = await this.pool.query(`
+        UPDATE scheduled_job_runs
+        SET status = $2, recipients_total = $3, notifications_sent = $4, recipients_skipped = $5,
+            failures = $6, last_error = $7, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [run.id, JOB_RUN_STATUS.COMPLETED, stats.recipients, stats.sent, stats.skipped, stats.failures, stats.lastError]);
+
+      console.log(`✅ ${jobName}: ${stats.sent} sent, ${stats.skipped} skipped, ${stats.failures} failed`);
+      return this.formatRun(result.rows[0]);
+    } catch (error) {
+      await this.pool.query(`
+        UPDATE scheduled_job_runs
+        SET status = $2, last_error = $3, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [run.id, JOB_RUN_STATUS.FAILED, error.message]).catch(console.error);
+      throw error;
+    } finally {
+      this.runningJobs.delete(jobName);
+    }
+  }
+
+  async listRuns({ jobName = null, limit = 20 } = {}) {
+    const result = await this.pool.query(`
+      SELECT * FROM scheduled_job_runs
+      WHERE ($1::text IS NULL OR job_name = $1)
+      ORDER BY started_at DESC
+      LIMIT $2
+    `, [jobName, Math.min(parseInt(limit) || 20, 100)]);
+
+    return result.rows.map(row => this.formatRun(row));
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      jobName: row.job_name,
+      periodKey: row.period_key,
+      trigger: row.trigger,
+      triggeredBy: row.triggered_by,
+      status: row.status,
+      recipientsTotal: row.recipients_total,
+      notificationsSent: row.notifications_sent,
+      recipientsSkipped: row.recipients_skipped,
+      failures: row.failures,
+      lastError: row.last_error,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  // ============================================
+  // WEEKLY FAMILY SUMMARIES
+  // ============================================
+
+  async generateWeeklySummary(parentId, weekOffset = 0, reference = new Date()) {
+    const { weekStart, weekEnd } = getWeekRange(weekOffset, reference);
+
+    const summaryQuery = `
+      SELECT
+        s.user_id,
+        u.first_name || ' ' || u.last_name as child_name,
+        COUNT(DISTINCT je.id) as journal_entries,
+        COUNT(DISTINCT ps.id) as problem_sessions,
+        COUNT(DISTINCT sa.id) as achievements,
+        STRING_AGG(DISTINCT sa.title, ', ') as achievement_titles,
+        MAX(s.current_streak) as week_end_streak,
+        COALESCE(SUM(sa.points_earned), 0) as points_earned
+      FROM students s
+      JOIN users u ON s.user_id = u.id
+      JOIN parent_child_relationships pcr ON s.user_id = pcr.child_id
+      LEFT JOIN journal_entries je ON s.user_id = je.user_id
+        AND je.created_at BETWEEN $2 AND $3
+      LEFT JOIN problem_sessions ps ON s.user_id = ps.student_id
+        AND ps.created_at BETWEEN $2 AND $3
+      LEFT JOIN student_achievements sa ON s.user_id = sa.student_id
+        AND sa.earned_at BETWEEN $2 AND $3
+      WHERE pcr.parent_id = $1 AND pcr.status = 'active'
+      GROUP BY s.user_id, u.first_name, u.last_name
+      ORDER BY u.first_name, u.last_name
+    `;
+
+    const result = await this.pool.query(summaryQuery, [parentId, weekStart, weekEnd]);
+
+    return {
+      weekPeriod: {
+        start: toDateString(weekStart),
+        end: toDateString(weekEnd),
+        weekOffset: weekOffset
+      },
+      childrenSummaries: result.rows,
+      familyTotals: {
+        totalJournalEntries: result.rows.reduce((acc, child) => acc + parseInt(child.journal_entries), 0),
+        totalProblemSessions: result.rows.reduce((acc, child) => acc + parseInt(child.problem_sessions), 0),
+        totalAchievements: result.rows.reduce((acc, child) => acc + parseInt(child.achievements), 0),
+        totalPointsEarned: result.rows.reduce((acc, child) => acc + parseInt(child.points_earned), 0)
+      }
+    };
+  }
+
+  /**
+   * Split a weekly summary into the highlight/concern columns of weekly_family_summaries
+   */
+  buildFamilySummaryRecord(summary) {
+    const children = summary.childrenSummaries;
+
+    const highlights = children
+      .filter(child => parseInt(child.achievements) > 0)
+      .map(child => ({
+        childId: child.user_id,
+        childName: child.child_name,
+        achievements: parseInt(child.achievements),
+        titles: child.achievement_titles,
+        pointsEarned: parseInt(child.points_earned)
+      }));
+
+    const concerns = children
+      .filter(child => parseInt(child.journal_entries) + parseInt(child.problem_sessions) === 0)
+      .map(child => ({
+        childId: child.user_id,
+        childName: child.child_name,
+        concern: 'No learning activity this week'
+      }));
+
+    const celebrationMoments = children
+      .filter(child => parseInt(child.week_end_streak) >= 7)
+      .map(child => ({
+        childId: child.user_id,
+        childName: child.child_name,
+        moment: `${child.week_end_streak} day learning streak`
+      }));
+
+    return { highlights, concerns, celebrationMoments };
+  }
+
+  formatFamilySummaryMessage(summary, record) {
+    const lines = summary.childrenSummaries.map(child => {
+      const activity = parseInt(child.journal_entries) + parseInt(child.problem_sessions);
+      if (activity === 0) {
+        return `${child.child_name}: no learning activity this week`;
+      }
+
+      const achievements = parseInt(child.achievements) > 0 ? `, ${child.achievements} achievements (${child.achievement_titles})` : '';
+      return `${child.child_name}: ${child.journal_entries} journal entries, ${child.problem_sessions} problem sessions${achievements}`;
+    });
+
+    if (record.celebrationMoments.length > 0) {
+      lines.push(`Celebrate: ${record.celebrationMoments.map(m => `${m.childName} (${m.moment})`).join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  async getFamilySummaryRecipients() {
+    const result = await this.pool.query(`
+      SELECT DISTINCT pcr.parent_id,
+        COALESCE((pdp.notification_settings->>'weekly_summaries')::boolean, true) as wants_summary
+      FROM parent_child_relationships pcr
+      JOIN users u ON u.id = pcr.parent_id AND u.status = 'active'
+      LEFT JOIN parent_dashboard_preferences pdp ON pdp.parent_id = pcr.parent_id
+      WHERE pcr.status = 'active'
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Store every parent's summary for the week and notify those who want it.
+   * Summaries already stored for the week are refreshed but only re-sent with resend.
+   */
+  async runWeeklyFamilySummaries({ reference = new Date(), weekOffset = null, resend = false } = {}) {
+    // A Sunday-evening run summarises the week that just ended
+    const offset = weekOffset !== null && weekOffset !== undefined
+      ? parseInt(weekOffset)
+      : (reference.getDay() === 0 ? -1 : 0);
+
+    const stats = { recipients: 0, sent: 0, skipped: 0, failures: 0, lastError: null };
+    const recipients = await this.getFamilySummaryRecipients();
+    stats.recipients = recipients.length;
+
+    for (const { parent_id: parentId, wants_summary: wantsSummary } of recipients) {
+      try {
+        const summary = await this.generateWeeklySummary(parentId, offset, reference);
+        if (summary.childrenSummaries.length === 0) {
+          stats.skipped++;
+          continue;
+        }
+
+        const record = this.buildFamilySummaryRecord(summary);
+        const saved = await this.pool.query(`
+          INSERT INTO weekly_family_summaries (
+            parent_id, week_start_date, week_end_date, summary_data, highlights, concerns, celebration_moments
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (parent_id, week_start_date) DO UPDATE SET
+            summary_data = EXCLUDED.summary_data,
+            highlights = EXCLUDED.highlights,
+            concerns = EXCLUDED.concerns,
+            celebration_moments = EXCLUDED.celebration_moments
+          WHERE weekly_family_summaries.auto_generated = true
+          RETURNING id, (xmax = 0) as inserted
+        `, [
+          parentId,
+          summary.weekPeriod.start,
+          summary.weekPeriod.end,
+          JSON.stringify(summary),
+          JSON.stringify(record.highlights),
+          JSON.stringify(record.concerns),
+          JSON.stringify(record.celebrationMoments)
+        ]);
+
+        const row = saved.rows[0];
+        if (!wantsSummary || !row || (!row.inserted && !resend)) {
+          stats.skipped++;
+          continue;
+        }
+
+        await (this.notificationService || getNotificationService()).createNotification({
+          typeKey: DIGEST_JOBS.WEEKLY_FAMILY_SUMMARY,
+          recipientId: parentId,
+          title: `Weekly learning summary: ${summary.weekPeriod.start} to ${summary.weekPeriod.end}`,
+          message: this.formatFamilySummaryMessage(summary, record),
+          data: {
+            summaryId: row.id,
+            weekPeriod: summary.weekPeriod,
+            familyTotals: summary.familyTotals,
+            concerns: record.concerns.length
+          },
+          actionUrl: '/dashboard',
+          actionText: 'View summary',
+          priority: record.concerns.length > 0 ? 'medium' : 'low',
+          threadId: `weekly-summary-${summary.weekPeriod.start}`
+        });
+        stats.sent++;
+      } catch (error) {
+        stats.failures++;
+        stats.lastError = error.message;
+        console.error(`Error sending weekly summary to parent ${parentId}:`, error.message);
+      }
+    }
+
+    return stats;
+  }
+
+  // ============================================
+  // TEACHER DIGESTS
+  // ============================================
+
+  async getStudentAlerts(teacherId) {
+    const query = `
+      SELECT
+        s.user_id,
+        u.first_name || ' ' || u.last_name as student_name,
+        CASE
+          WHEN s.current_streak = 0 THEN 'No recent activity'
+          WHEN s.last_activity_date < CURRENT_DATE - INTERVAL '3 days' THEN 'Inactive for 3+ days'
+          WHEN s.current_streak < 3 AND s.best_streak > 7 THEN 'Significant streak drop'
+          ELSE NULL
+        END as alert_type,
+        CASE
+          WHEN s.current_streak = 0 THEN 'high'
+          WHEN s.last_activity_date < CURRENT_DATE - INTERVAL '3 days' THEN 'medium'
+          WHEN s.current_streak < 3 AND s.best_streak > 7 THEN 'medium'
+          ELSE 'low'
+        END as priority,
+        s.last_activity_date,
+        s.current_streak,
+        s.best_streak
+      FROM students s
+      JOIN users u ON s.user_id = u.id
+      JOIN teacher_student_assignments tsa ON s.user_id = tsa.student_id
+      WHERE tsa.teacher_id = $1 AND tsa.status = 'active'
+        AND (
+          s.current_streak = 0 OR
+          s.last_activity_date < CURRENT_DATE - INTERVAL '3 days' OR
+          (s.current_streak < 3 AND s.best_streak > 7)
+        )
+      ORDER BY
+        CASE
+          WHEN s.current_streak = 0 THEN 1
+          WHEN s.last_activity_date < CURRENT_DATE - INTERVAL '3 days' THEN 2
+          ELSE 3
+        END,
+        s.last_activity_date ASC
+    `;
+
+    const result = await this.pool.query(query, [teacherId]);
+    return result.rows;
+  }
+
+  // Uninvestigated anomalies (as listed by /api/problems/analytics/anomalies) for the teacher's students
+  async getUninvestigatedAnomalies(teacherId, since) {
+    const result = await this.pool.query(`
+      SELECT pa.id, pa.student_id, pa.anomaly_type, pa.anomaly_description, pa.deviation_score, pa.detected_at,
+             u.first_name || ' ' || u.last_name as student_name
+      FROM performance_anomalies pa
+      JOIN users u ON pa.student_id = u.id
+      WHERE pa.investigated = FALSE AND pa.detected_at >= $2
+        AND EXISTS (
+          SELECT 1 FROM teacher_student_assignments tsa
+          WHERE tsa.student_id = pa.student_id AND tsa.teacher_id = $1 AND tsa.status = 'active'
+        )
+      ORDER BY pa.deviation_score DESC NULLS LAST, pa.detected_at DESC
+      LIMIT 20
+    `, [teacherId, since]);
+    return result.rows;
+  }
+
+  // Completed problem sessions and AI tutor sessions with no teacher review yet
+  async getUnreviewedSessions(teacherId, since) {
+    const result = await this.pool.query(`
+      SELECT * FROM (
+        SELECT 'problem' as session_type, ps.id, ps.student_id, pt.title, ps.completed_at as ended_at,
+               u.first_name || ' ' || u.last_name as student_name
+        FROM problem_sessions ps
+        JOIN users u ON ps.student_id = u.id
+        LEFT JOIN problem_templates pt ON ps.template_id = pt.id
+        WHERE ps.session_status = 'completed' AND ps.completed_at >= $2
+          AND NOT EXISTS (SELECT 1 FROM teacher_problem_reviews tpr WHERE tpr.session_id = ps.id)
+          AND EXISTS (
+            SELECT 1 FROM teacher_student_assignments tsa
+            WHERE tsa.student_id = ps.student_id AND tsa.teacher_id = $1 AND tsa.status = 'active'
+          )
+
+        UNION ALL
+
+        SELECT 'ai_tutor' as session_type, ats.id, ats.student_id, ats.topic as title, ats.ended_at,
+               u.first_name || ' ' || u.last_name as student_name
+        FROM ai_tutor_sessions ats
+        JOIN users u ON ats.student_id = u.id
+        WHERE ats.ended_at >= $2 AND ats.reviewed_at IS NULL
+          AND EXISTS (
+            SELECT 1 FROM teacher_student_assignments tsa
+            WHERE tsa.student_id = ats.student_id AND tsa.teacher_id = $1 AND tsa.status = 'active'
+          )
+      ) sessions
+      ORDER BY ended_at DESC
+    `, [teacherId, since]);
+    return result.rows;
+  }
+
+  async buildTeacherDigest(teacherId, since) {
+    const [interventions, anomalies, unreviewedSessions] = await Promise.all([
+      this.getStudentAlerts(teacherId),
+      this.getUninvestigatedAnomalies(teacherId, since),
+      this.getUnreviewedSessions(teacherId, since)
+    ]);
+
+    return {
+      since: since.toISOString(),
+      summary: {
+        studentsNeedingIntervention: interventions.length,
+        highPriority: interventions.filter(alert => alert.priority === 'high').length,
+        anomalies: anomalies.length,
+        unreviewedSessions: unreviewedSessions.length
+      },
+      interventions: interventions.slice(0, 10),
+      anomalies: anomalies.slice(0, 10),
+      unreviewedSessions: unreviewedSessions.slice(0, 10)
+    };
+  }
+
+  formatTeacherDigestMessage(digest) {
+    const { summary } = digest;
+    const lines = [];
+
+    if (summary.studentsNeedingIntervention > 0) {
+      lines.push(`${summary.studentsNeedingIntervention} students need attention: ` +
+        digest.interventions.slice(0, 5).map(alert => `${alert.student_name} (${alert.alert_type})`).join(', '));
+    }
+    if (summary.anomalies > 0) {
+      lines.push(`${summary.anomalies} performance anomalies to investigate: ` +
+        digest.anomalies.slice(0, 5).map(a => `${a.student_name} (${a.anomaly_type})`).join(', '));
+    }
+    if (summary.unreviewedSessions > 0) {
+      lines.push(`${summary.unreviewedSessions} sessions waiting for review`);
+    }
+
+    return lines.join('\n');
+  }
+
+  // Digests cover everything since the last completed digest run (at most a week)
+  async getTeacherDigestWindowStart(reference, runId) {
+    const result = await this.pool.query(`
+      SELECT MAX(started_at) as last_run
+      FROM scheduled_job_runs
+      WHERE job_name = $1 AND status = $2 AND id <> $3
+    `, [DIGEST_JOBS.TEACHER_DIGEST, JOB_RUN_STATUS.COMPLETED, runId]);
+
+    const weekAgo = new Date(reference.getTime() - 7 * DAY_MS);
+    const lastRun = result.rows[0].last_run ? new Date(result.rows[0].last_run) : new Date(reference.getTime() - DAY_MS);
+    return lastRun < weekAgo ? weekAgo : lastRun;
+  }
+
+  async runTeacherDigests({ reference = new Date(), runId = null } = {}) {
+    const since = runId
+      ? await this.getTeacherDigestWindowStart(reference, runId)
+      : new Date(reference.getTime() - DAY_MS);
+
+    const stats = { recipients: 0, sent: 0, skipped: 0, failures: 0, lastError: null };
+    const teachers = await this.pool.query(`
+      SELECT DISTINCT tsa.teacher_id
+      FROM teacher_student_assignments tsa
+      JOIN users u ON u.id = tsa.teacher_id AND u.status = 'active'
+      WHERE tsa.status = 'active'
+    `);
+    stats.recipients = teachers.rows.length;
+
+    for (const { teacher_id: teacherId } of teachers.rows) {
+      try {
+        const digest = await this.buildTeacherDigest(teacherId, since);
+        const { summary } = digest;
+
+        // Nothing to report
+        if (summary.studentsNeedingIntervention + summary.anomalies + summary.unreviewedSessions === 0) {
+          stats.skipped++;
+          continue;
+        }
+
+        await (this.notificationService || getNotificationService()).createNotification({
+          typeKey: DIGEST_JOBS.TEACHER_DIGEST,
+          recipientId: teacherId,
+          title: 'Your class digest',
+          message: this.formatTeacherDigestMessage(digest),
+          data: digest,
+          actionUrl: '/dashboard',
+          actionText: 'Open class dashboard',
+          priority: summary.highPriority > 0 || summary.anomalies > 0 ? 'high' : 'medium',
+          threadId: `teacher-digest-${toDateString(reference)}`
+        });
+        stats.sent++;
+      } catch (error) {
+        stats.failures++;
+        stats.lastError = error.message;
+        console.error(`Error sending digest to teacher ${teacherId}:`, error.message);
+      }
+    }
+
+    return stats;
+  }
+}
+
+// Create singleton instance
+let digestServiceInstance = null;
+
+const getDigestService = () => {
+  if (!digestServiceInstance) {
+    digestServiceInstance = new DigestService();
+  }
+  return digestServiceInstance;
+};
+
+module.exports = {
+  DigestService,
+  DigestError,
+  DIGEST_JOBS,
+  JOB_RUN_STATUS,
+  getDigestService,
+  getWeekRange
+};
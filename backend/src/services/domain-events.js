@@ -0,0 +1,83 @@
+const EventEmitter = require('events');
+
+// Domain events services publish and notification rules subscribe to (notification_rules.trigger_event)
+const DOMAIN_EVENTS = {
+  GOAL_COMPLETED: 'goal_completed',
+  STREAK_BROKEN: 'streak_broken',
+  MISTAKE_PATTERN_DETECTED: 'mistake_pattern_detected',
+  EI_CONCERN_AREA: 'ei_concern_area',
+  SESSION_ABANDONED: 'session_abandoned'
+};
+
+// Payload fields of each event, available to rule conditions and templates.
+// Every event also carries type, studentId and occurredAt.
+const DOMAIN_EVENT_FIELDS = {
+  [DOMAIN_EVENTS.GOAL_COMPLETED]: {
+    goalId: 'Completed goal',
+    goalTitle: 'Goal title',
+    category: 'Goal category',
+    priority: 'Goal priority',
+    daysToComplete: 'Days from creation to completion'
+  },
+  [DOMAIN_EVENTS.STREAK_BROKEN]: {
+    previousStreak: 'Streak length in days before it was broken',
+    bestStreak: 'Best streak so far',
+    lastActivityDate: 'Date of the last learning activity',
+    daysInactive: 'Days since the last learning activity'
+  },
+  [DOMAIN_EVENTS.MISTAKE_PATTERN_DETECTED]: {
+    sessionId: 'Problem session where the pattern was detected',
+    mistakeType: 'Repeated mistake type (conceptual, computational, ...)',
+    occurrences: 'Mistakes of this type in the window',
+    sessionCount: 'Sessions the mistakes were made in',
+    windowDays: 'Length of the detection window in days'
+  },
+  [DOMAIN_EVENTS.EI_CONCERN_AREA]: {
+    concernArea: 'The concern area identified',
+    concernAreas: 'Every concern area in the analysis',
+    confidence: 'Confidence of the analysis (0-1)',
+    dataPoints: 'Journal entries and reflections analysed'
+  },
+  [DOMAIN_EVENTS.SESSION_ABANDONED]: {
+    sessionId: 'Abandoned session',
+    sessionType: 'problem or ai_tutor',
+    title: 'Problem title or tutoring topic',
+    stepsCompleted: 'Steps completed (problem sessions)',
+    totalSteps: 'Total steps (problem sessions)',
+    minutesInactive: 'Minutes since the last activity'
+  }
+};
+
+/**
+ * In-process event bus. Listeners run asynchronously so a slow or failing
+ * subscriber never affects the request that published the event.
+ */
+class DomainEventBus extends EventEmitter {
+  publish(type, payload = {}) {
+    if (!Object.values(DOMAIN_EVENTS).includes(type)) {
+      throw new Error(`Unknown domain event: ${type}`);
+    }
+
+    const event = {
+      ...payload,
+      type,
+      occurredAt: payload.occurredAt || new Date().toISOString()
+    };
+
+    setImmediate(() => {
+      this.emit(type, event);
+      this.emit('event', event);
+    });
+
+    return event;
+  }
+}
+
+const domainEvents = new DomainEventBus();
+
+module.exports = {
+  DOMAIN_EVENTS,
+  DOMAIN_EVENT_FIELDS,
+  DomainEventBus,
+  domainEvents
+};
@@ -0,0 +1,362 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { getEmbeddingConfig } = require('../config/environment');
+
+// Supported embedding providers
+const EMBEDDING_PROVIDERS = {
+  OLLAMA: 'ollama',
+  OPENAI: 'openai',
+  LOCAL: 'local' // Deterministic bag-of-words, no network (offline development/tests)
+};
+
+class EmbeddingError extends Error {
+  constructor(message, provider, originalError = null) {
+    super(message);
+    this.name = 'EmbeddingError';
+    this.provider = provider;
+    this.originalError = originalError;
+  }
+}
+
+class EmbeddingDimensionError extends EmbeddingError {
+  constructor(message, provider, expected, actual) {
+    super(message, provider);
+    this.name = 'EmbeddingDimensionError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// Base embedding provider class
+class BaseEmbeddingProvider {
+  constructor(config) {
+    this.config = config;
+    this.name = 'base';
+    this.model = null;
+    this.dimensions = config.dimensions || null;
+    this.batchSize = config.batchSize || 32;
+  }
+
+  // Abstract method: embed a batch of texts, returning one vector per text in the same order
+  async embedBatch(texts) {
+    throw new Error('embedBatch must be implemented by subclass');
+  }
+
+  async embed(text) {
+    const [embedding] = await this.embedMany([text]);
+    return embedding;
+  }
+
+  async embedMany(texts) {
+    if (!Array.isArray(texts)) {
+      throw new EmbeddingError('Texts must be an array', this.name);
+    }
+
+    const prepared = texts.map(text => this.prepareText(text));
+    const embeddings = [];
+    for (let i = 0; i < prepared.length; i += this.batchSize) {
+      const batch = prepared.slice(i, i + this.batchSize);
+      const vectors = await this.embedBatch(batch);
+      embeddings.push(...vectors.map(vector => this.checkDimensions(vector)));
+    }
+
+    return embeddings;
+  }
+
+  prepareText(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new EmbeddingError('Invalid text: must be a non-empty string', this.name);
+    }
+
+    return text.replace(/\0/g, '').trim().substring(0, this.config.maxTextLength || 8000);
+  }
+
+  // The first vector a remote model returns fixes the provider's dimensionality unless it was configured
+  checkDimensions(vector) {
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new EmbeddingError('Provider returned an empty embedding', this.name);
+    }
+
+    if (!this.dimensions) {
+      this.dimensions = vector.length;
+    } else if (vector.length !== this.dimensions) {
+      throw new EmbeddingDimensionError(
+        `${this.name} returned ${vector.length}-dimensional embedding, expected ${this.dimensions}`,
+        this.name,
+        this.dimensions,
+        vector.length
+      );
+    }
+
+    return vector;
+  }
+
+  // Identifies the vector space; stored alongside the Chroma collection so mismatches can be detected
+  describe() {
+    return {
+      provider: this.name,
+      model: this.model,
+      dimensions: this.dimensions
+    };
+  }
+
+  async checkHealth() {
+    try {
+      const embedding = await this.embed('health check');
+      return { healthy: true, ...this.describe(), dimensions: embedding.length };
+    } catch (error) {
+      return { healthy: false, provider: this.name, model: this.model, error: error.message };
+    }
+  }
+}
+
+// Ollama embeddings (/api/embeddings takes a single prompt per request)
+class OllamaEmbeddingProvider extends BaseEmbeddingProvider {
+  constructor(config) {
+    super(config);
+    this.name = EMBEDDING_PROVIDERS.OLLAMA;
+    this.baseURL = config.endpoint || 'http://localhost:11434';
+    this.model = config.model || 'nomic-embed-text';
+    this.timeout = config.timeout || 30000;
+  }
+
+  async embedBatch(texts) {
+    const embeddings = [];
+    for (const text of texts) {
+      try {
+        const response = await axios.post(`${this.baseURL}/api/embeddings`, {
+          model: this.model,
+          prompt: text
+        }, { timeout: this.timeout });
+
+        if (!Array.isArray(response.data?.embedding)) {
+          throw new EmbeddingError('Invalid response format from Ollama embeddings', this.name);
+        }
+        embeddings.push(response.data.embedding);
+      } catch (error) {
+        if (error instanceof EmbeddingError) throw error;
+        if (error.code === 'ECONNREFUSED') {
+          throw new EmbeddingError('Ollama service unavailable', this.name, error);
+        }
+        throw new EmbeddingError(`Ollama embedding failed: ${error.message}`, this.name, error);
+      }
+    }
+
+    return embeddings;
+  }
+}
+
+// OpenAI embeddings (batched input)
+class OpenAIEmbeddingProvider extends BaseEmbeddingProvider {
+  constructor(config) {
+    super(config);
+    this.name = EMBEDDING_PROVIDERS.OPENAI;
+    this.apiKey = config.apiKey;
+    this.model = config.model || 'text-embedding-3-small';
+    this.baseURL = 'https://api.openai.com/v1';
+    this.timeout = config.timeout || 30000;
+    this.batchSize = config.batchSize || 96;
+
+    if (!this.apiKey) {
+      throw new EmbeddingError('OpenAI API key is required for embeddings', this.name);
+    }
+  }
+
+  async embedBatch(texts) {
+    const data = {
+      model: this.model,
+      input: texts
+    };
+
+    // text-embedding-3 models can be shortened to match an existing collection
+    if (this.config.dimensions && this.model.startsWith('text-embedding-3')) {
+      data.dimensions = this.config.dimensions;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/embeddings`, data, {
+        timeout: this.timeout,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const items = response.data?.data;
+      if (!Array.isArray(items) || items.length !== texts.length) {
+        throw new EmbeddingError('Invalid response format from OpenAI embeddings', this.name);
+      }
+
+      return items
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    } catch (error) {
+      if (error instanceof EmbeddingError) throw error;
+      const message = error.response?.data?.error?.message || error.message;
+      throw new EmbeddingError(`OpenAI embedding failed: ${message}`, this.name, error);
+    }
+  }
+}
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'had', 'has', 'have',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+  'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'with', 'you', 'your'
+]);
+
+// Local hashed bag-of-words embeddings with TF-IDF weighting.
+// Terms (unigrams and bigrams) are hashed into a fixed number of signed buckets, so the output is
+// deterministic and needs no vocabulary. IDF weights are optional: call fit() with a corpus to
+// down-weight common terms, otherwise every term gets the same IDF.
+class LocalEmbeddingProvider extends BaseEmbeddingProvider {
+  constructor(config) {
+    super(config);
+    this.name = EMBEDDING_PROVIDERS.LOCAL;
+    this.dimensions = config.dimensions || 384;
+    this.model = `hashed-tfidf-${this.dimensions}`;
+    this.documentFrequencies = new Map();
+    this.documentCount = 0;
+  }
+
+  tokenize(text) {
+    const words = text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+      .map(word => this.stem(word));
+
+    const terms = [...words];
+    for (let i = 0; i < words.length - 1; i++) {
+      terms.push(`${words[i]}_${words[i + 1]}`);
+    }
+    return terms;
+  }
+
+  // Light suffix stripping so "fractions"/"fraction" and "solving"/"solve" share buckets
+  stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  }
+
+  fit(corpus) {
+    for (const text of corpus) {
+      const uniqueTerms = new Set(this.tokenize(text));
+      for (const term of uniqueTerms) {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      }
+      this.documentCount++;
+    }
+    return this;
+  }
+
+  inverseDocumentFrequency(term) {
+    if (this.documentCount === 0) {
+      return 1;
+    }
+    const df = this.documentFrequencies.get(term) || 0;
+    return Math.log((1 + this.documentCount) / (1 + df)) + 1;
+  }
+
+  hashTerm(term) {
+    const digest = crypto.createHash('md5').update(term).digest();
+    return {
+      index: digest.readUInt32BE(0) % this.dimensions,
+      sign: (digest[4] & 1) === 0 ? 1 : -1
+    };
+  }
+
+  embedText(text) {
+    const termCounts = new Map();
+    for (const term of this.tokenize(text)) {
+      termCounts.set(term, (termCounts.get(term) || 0) + 1);
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [term, count] of termCounts) {
+      const { index, sign } = this.hashTerm(term);
+      const tf = 1 + Math.log(count);
+      vector[index] += sign * tf * this.inverseDocumentFrequency(term);
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embedBatch(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  async checkHealth() {
+    return { healthy: true, ...this.describe(), fitted_documents: this.documentCount };
+  }
+}
+
+const createEmbeddingProvider = (config = getEmbeddingConfig()) => {
+  switch (config.provider) {
+    case EMBEDDING_PROVIDERS.OLLAMA:
+      return new OllamaEmbeddingProvider(config);
+    case EMBEDDING_PROVIDERS.OPENAI:
+      return new OpenAIEmbeddingProvider(config);
+    case EMBEDDING_PROVIDERS.LOCAL:
+      return new LocalEmbeddingProvider(config);
+    default:
+      throw new EmbeddingError(`Unknown embedding provider: ${config.provider}`, 'service');
+  }
+};
+
+// Singleton instance
+let embeddingProviderInstance = null;
+
+const getEmbeddingProvider = () => {
+  if (!embeddingProviderInstance) {
+    embeddingProviderInstance = createEmbeddingProvider();
+    console.log(`🧬 Embedding provider: ${embeddingProviderInstance.name} (${embeddingProviderInstance.model})`);
+  }
+  return embeddingProviderInstance;
+};
+
+// Swap the active provider (tests and the re-embedding migration)
+const setEmbeddingProvider = (provider) => {
+  embeddingProviderInstance = provider;
+  return provider;
+};
+
+const generateEmbedding = async (text) => getEmbeddingProvider().embed(text);
+
+const generateEmbeddings = async (texts) => getEmbeddingProvider().embedMany(texts);
+
+const cosineSimilarity = (a, b) => {
+  if (a.length !== b.length) {
+    throw new EmbeddingDimensionError('Cannot compare embeddings of different dimensions', 'service', a.length, b.length);
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+module.exports = {
+  EMBEDDING_PROVIDERS,
+  EmbeddingError,
+  EmbeddingDimensionError,
+  BaseEmbeddingProvider,
+  OllamaEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  LocalEmbeddingProvider,
+  createEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  generateEmbedding,
+  generateEmbeddings,
+  cosineSimilarity
+};
@@ -2,6 +2,7 @@ const { getAdaptiveResponseGenerator } = require('./adaptive-response-generator'
 const { getAIService } = require('./ai-service');
 const { activityMonitor } = require('./activity-monitor');
 const { getIntelligentLearningHistory } = require('./context-manager');
+const { domainEvents, DOMAIN_EVENTS } = require('./domain-events');
 
 // Emotional intelligence competency framework
 const EI_COMPETENCIES = {
@@ -247,6 +248,12 @@ class EmotionalIntelligenceAnalyzer {
         timeWindow: timeWindowDays
       });
 
+      const confidence = this.calculateAnalysisConfidence(emotionalData, patternAnalysis);
+      this.publishConcernAreas(studentId, patternAnalysis.summary.concernAreas, {
+        confidence,
+        dataPoints: emotionalData.totalDataPoints
+      });
+
       return {
         studentId,
         analysisDate: new Date().toISOString(),
@@ -263,7 +270,7 @@ class EmotionalIntelligenceAnalyzer {
         recommendations,
         metadata: {
           dataQuality: this.assessDataQuality(emotionalData),
-          confidence: this.calculateAnalysisConfidence(emotionalData, patternAnalysis),
+          confidence,
           nextAnalysisRecommended: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
         }
       };
@@ -828,6 +835,19 @@ Only include emotions with confidence > 0.5`;
     return emotions;
   }
 
+  // One event per concern area so rules can match on a specific concern
+  publishConcernAreas(studentId, concernAreas = [], { confidence, dataPoints }) {
+    for (const concernArea of concernAreas) {
+      domainEvents.publish(DOMAIN_EVENTS.EI_CONCERN_AREA, {
+        studentId,
+        concernArea,
+        concernAreas,
+        confidence,
+        dataPoints
+      });
+    }
+  }
+
   // Log EI analysis activity
   async logEIAnalysis(studentId, analysisData) {
     try {
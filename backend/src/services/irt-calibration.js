@@ -0,0 +1,426 @@
+// Item response theory: template difficulty and student ability from step accuracy (no database access)
+//
+// Each student's steps on a template are a binomial response: `trials` steps scoring `score` in
+// total (step accuracy is fractional, which the same likelihood handles). Under the Rasch (1PL)
+// model a student of ability θ succeeds on a template of difficulty b with probability
+// σ(θ − b); 2PL adds a discrimination a per template: σ(a(θ − b)). Both are fitted by maximising
+// the likelihood with normal priors, which keeps estimates finite for students and templates
+// that are always right or always wrong, and fixes the scale at mean ability 0.
+//
+// Difficulty is reported on the same scale as DifficultyAdaptationService's levels: one level
+// per logit with medium at b = 0, so very_easy is 1 (b = −2) and very_hard 5 (b = +2).
+
+const IRT_MODELS = {
+  RASCH: '1pl',
+  TWO_PL: '2pl'
+};
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// How a template's observed difficulty compares with its hand-assigned label
+const LABEL_AGREEMENT = {
+  AGREES: 'agrees',
+  DISAGREES: 'disagrees', // Outside the label's band beyond the estimate's uncertainty
+  UNCERTAIN: 'uncertain', // Outside the band, but not by more than the uncertainty
+  INSUFFICIENT_DATA: 'insufficient_data'
+};
+
+// Template labels (difficulty_level) on the adaptation scale
+const LABEL_VALUES = {
+  easy: 2,
+  medium: 3,
+  hard: 4,
+  advanced: 5
+};
+
+const MEDIUM_VALUE = 3;
+const MIN_VALUE = 1;
+const MAX_VALUE = 5;
+
+const PRIORS = {
+  abilitySd: 1,
+  difficultySd: 2,
+  logDiscriminationSd: 0.5
+};
+
+const FIT_DEFAULTS = {
+  maxIterations: 200,
+  tolerance: 1e-4,
+  maxStep: 1 // Largest change to one estimate per iteration, in logits
+};
+
+const Z_95 = 1.96;
+
+class CalibrationError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'CalibrationError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+const logit = (p) => Math.log(p / (1 - p));
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+// ============================================
+// FITTING
+// ============================================
+
+/**
+ * Turn rows of { studentId, templateId, trials, score } into indexed responses, dropping rows
+ * without trials and clamping scores into [0, trials].
+ */
+const indexResponses = (rows) => {
+  const students = new Map();
+  const items = new Map();
+  const responses = [];
+
+  rows.forEach(row => {
+    const trials = Number(row.trials);
+    if (!(trials > 0)) return;
+
+    const studentKey = String(row.studentId);
+    const itemKey = String(row.templateId);
+    if (!students.has(studentKey)) students.set(studentKey, students.size);
+    if (!items.has(itemKey)) items.set(itemKey, items.size);
+
+    responses.push({
+      student: students.get(studentKey),
+      item: items.get(itemKey),
+      trials,
+      score: clamp(Number(row.score) || 0, 0, trials)
+    });
+  });
+
+  return { students, items, responses };
+};
+
+const logLikelihood = (responses, theta, b, a) => responses.reduce((sum, { student, item, trials, score }) => {
+  const p = clamp(sigmoid(a[item] * (theta[student] - b[item])), 1e-12, 1 - 1e-12);
+  return sum + score * Math.log(p) + (trials - score) * Math.log(1 - p);
+}, 0);
+
+/**
+ * Fit the model by alternating Newton steps on abilities, difficulties and (2PL) log
+ * discriminations until no estimate moves by more than the tolerance in an iteration.
+ * Returns estimates with standard errors from the observed information.
+ */
+const fitModel = (rows, { model = IRT_MODELS.RASCH, ...options } = {}) => {
+  if (!Object.values(IRT_MODELS).includes(model)) {
+    throw new CalibrationError(`Unknown IRT model: ${model}`, 'VALIDATION_ERROR', {
+      errors: [`model must be one of: ${Object.values(IRT_MODELS).join(', ')}`]
+    });
+  }
+  const { maxIterations, tolerance, maxStep } = { ...FIT_DEFAULTS, ...options };
+  const { students, items, responses } = indexResponses(rows);
+
+  const byStudent = Array.from({ length: students.size }, () => []);
+  const byItem = Array.from({ length: items.size }, () => []);
+  responses.forEach(response => {
+    byStudent[response.student].push(response);
+    byItem[response.item].push(response);
+  });
+
+  // Start difficulties from each template's smoothed success rate
+  const theta = new Array(students.size).fill(0);
+  const b = byItem.map(list => {
+    const trials = list.reduce((sum, r) => sum + r.trials, 0);
+    const score = list.reduce((sum, r) => sum + r.score, 0);
+    return clamp(-logit((score + 0.5) / (trials + 1)), -4, 4);
+  });
+  const a = new Array(items.size).fill(1);
+
+  const step = (gradient, hessian) => clamp(-gradient / hessian, -maxStep, maxStep);
+
+  let iterations = 0;
+  let converged = responses.length === 0;
+  while (!converged && iterations < maxIterations) {
+    iterations += 1;
+    const previous = { theta: [...theta], b: [...b], a: [...a] };
+
+    byStudent.forEach((list, i) => {
+      let gradient = -theta[i] / PRIORS.abilitySd ** 2;
+      let hessian = -1 / PRIORS.abilitySd ** 2;
+      list.forEach(({ item, trials, score }) => {
+        const p = sigmoid(a[item] * (theta[i] - b[item]));
+        gradient += a[item] * (score - trials * p);
+        hessian -= a[item] ** 2 * trials * p * (1 - p);
+      });
+      const change = step(gradient, hessian);
+      theta[i] += change;
+    });
+
+    byItem.forEach((list, j) => {
+      let gradient = -b[j] / PRIORS.difficultySd ** 2;
+      let hessian = -1 / PRIORS.difficultySd ** 2;
+      list.forEach(({ student, trials, score }) => {
+        const p = sigmoid(a[j] * (theta[student] - b[j]));
+        gradient -= a[j] * (score - trials * p);
+        hessian -= a[j] ** 2 * trials * p * (1 - p);
+      });
+      const change = step(gradient, hessian);
+      b[j] += change;
+    });
+
+    if (model === IRT_MODELS.TWO_PL) {
+      byItem.forEach((list, j) => {
+        const logA = Math.log(a[j]);
+        let gradient = -logA / PRIORS.logDiscriminationSd ** 2;
+        let hessian = -1 / PRIORS.logDiscriminationSd ** 2;
+        list.forEach(({ student, trials, score }) => {
+          const distance = theta[student] - b[j];
+          const p = sigmoid(a[j] * distance);
+          gradient += a[j] * distance * (score - trials * p);
+          hessian -= (a[j] * distance) ** 2 * trials * p * (1 - p);
+        });
+        const change = clamp(-gradient / hessian, -0.5, 0.5);
+        a[j] = Math.exp(logA + change);
+      });
+
+      // Shrunken abilities would otherwise be traded for ever larger discriminations; hold the
+      // discriminations' geometric mean at 1, so the scale matches the Rasch fit, and carry
+      // the rescaling into abilities and difficulties
+      const scale = Math.exp(a.reduce((sum, value) => sum + Math.log(value), 0) / a.length);
+      theta.forEach((value, i) => { theta[i] = value * scale; });
+      b.forEach((value, j) => { b[j] = value * scale; });
+      a.forEach((value, j) => { a[j] = value / scale; });
+    }
+
+    // Measured over the whole iteration, as the 2PL rescaling undoes part of each step
+    const moved = (values, before, distance) =>
+      values.reduce((most, value, index) => Math.max(most, distance(value, before[index])), 0);
+    const largest = Math.max(
+      moved(theta, previous.theta, (x, y) => Math.abs(x - y)),
+      moved(b, previous.b, (x, y) => Math.abs(x - y)),
+      moved(a, previous.a, (x, y) => Math.abs(Math.log(x / y)))
+    );
+    converged = largest < tolerance;
+  }
+
+  const standardError = (information, priorSd) => Math.sqrt(1 / (information + 1 / priorSd ** 2));
+
+  const abilities = new Map();
+  students.forEach((i, studentId) => {
+    const information = byStudent[i].reduce((sum, { item, trials }) => {
+      const p = sigmoid(a[item] * (theta[i] - b[item]));
+      return sum + a[item] ** 2 * trials * p * (1 - p);
+    }, 0);
+    abilities.set(studentId, {
+      ability: round(theta[i]),
+      standardError: round(standardError(information, PRIORS.abilitySd)),
+      templates: byStudent[i].length,
+      trials: byStudent[i].reduce((sum, r) => sum + r.trials, 0)
+    });
+  });
+
+  const difficulties = new Map();
+  items.forEach((j, templateId) => {
+    const list = byItem[j];
+    const information = list.reduce((sum, { student, trials }) => {
+      const p = sigmoid(a[j] * (theta[student] - b[j]));
+      return sum + a[j] ** 2 * trials * p * (1 - p);
+    }, 0);
+    const trials = list.reduce((sum, r) => sum + r.trials, 0);
+    difficulties.set(templateId, {
+      difficulty: round(b[j]),
+      discrimination: round(a[j]),
+      standardError: round(standardError(information, PRIORS.difficultySd)),
+      students: list.length,
+      trials,
+      observedSuccessRate: trials > 0 ? round(list.reduce((sum, r) => sum + r.score, 0) / trials) : null
+    });
+  });
+
+  return {
+    model,
+    iterations,
+    converged,
+    responses: responses.length,
+    logLikelihood: round(logLikelihood(responses, theta, b, a)),
+    abilities,
+    difficulties
+  };
+};
+
+// ============================================
+// SCALES
+// ============================================
+
+// A difficulty (in logits) on the adaptation scale, 1 (very easy) to 5 (very hard)
+const difficultyToValue = (difficulty) => clamp(MEDIUM_VALUE + difficulty, MIN_VALUE, MAX_VALUE);
+
+// The template label closest to a value on the adaptation scale
+const valueToLabel = (value) => Object.entries(LABEL_VALUES)
+  .reduce((best, [label, labelValue]) => (Math.abs(labelValue - value) < Math.abs(LABEL_VALUES[best] - value) ? label : best), 'medium');
+
+const labelToValue = (label) => (LABEL_VALUES[label] !== undefined ? LABEL_VALUES[label] : null);
+
+/**
+ * Compare a template's estimate with its label. Each label covers half a level either side of
+ * its value (easy reaches down to very easy, advanced up to very hard); the estimate disagrees
+ * when it is outside that band by more than its 95% uncertainty.
+ */
+const compareWithLabel = (estimate, label, { minStudents }) => {
+  const labelledValue = labelToValue(label);
+  const observedValue = difficultyToValue(estimate.difficulty);
+  const suggestedLabel = valueToLabel(observedValue);
+  const base = {
+    labelledDifficulty: label || null,
+    suggestedDifficulty: suggestedLabel,
+    observedValue: round(observedValue, 2),
+    labelledValue
+  };
+
+  if (estimate.students < minStudents || labelledValue === null) {
+    return { ...base, agreement: LABEL_AGREEMENT.INSUFFICIENT_DATA, direction: null, levels: 0 };
+  }
+
+  const lower = label === 'easy' ? -Infinity : labelledValue - 0.5;
+  const upper = label === 'advanced' ? Infinity : labelledValue + 0.5;
+  const outsideBy = observedValue < lower ? lower - observedValue : observedValue > upper ? observedValue - upper : 0;
+  const margin = Z_95 * estimate.standardError;
+
+  let agreement = LABEL_AGREEMENT.AGREES;
+  if (outsideBy > margin) {
+    agreement = LABEL_AGREEMENT.DISAGREES;
+  } else if (outsideBy > 0) {
+    agreement = LABEL_AGREEMENT.UNCERTAIN;
+  }
+
+  return {
+    ...base,
+    agreement,
+    direction: outsideBy === 0 ? null : (observedValue > labelledValue ? 'harder' : 'easier'),
+    levels: labelToValue(suggestedLabel) - labelledValue
+  };
+};
+
+/**
+ * The difficulty a student should work at: where their expected success rate is the target,
+ * b = θ − logit(target), on the adaptation scale.
+ */
+const targetDifficultyValue = (ability, targetSuccessRate) =>
+  difficultyToValue(ability - logit(clamp(targetSuccessRate, 0.05, 0.95)));
+
+/**
+ * A solution path's difficulty on the adaptation scale: its own label (else the template's),
+ * moved by however far the template's calibrated difficulty is from the template's label.
+ */
+const calibratedPathValue = (pathLabel, templateLabel, templateValue = null) => {
+  const labelled = labelToValue(pathLabel) ?? labelToValue(templateLabel) ?? MEDIUM_VALUE;
+  const templateLabelled = labelToValue(templateLabel);
+  const offset = templateValue !== null && templateLabelled !== null ? templateValue - templateLabelled : 0;
+  return clamp(labelled + offset, MIN_VALUE, MAX_VALUE);
+};
+
+// Expected success of a student on a template of known difficulty (and discrimination)
+const expectedSuccess = (ability, difficulty, discrimination = 1) => sigmoid(discrimination * (ability - difficulty));
+
+// Combine per-subject abilities, weighting each by its precision
+const combineAbilities = (estimates) => {
+  const usable = estimates.filter(estimate => estimate && estimate.standardError > 0);
+  if (usable.length === 0) return null;
+
+  const weights = usable.map(estimate => 1 / estimate.standardError ** 2);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return {
+    ability: round(usable.reduce((sum, estimate, index) => sum + estimate.ability * weights[index], 0) / total),
+    standardError: round(Math.sqrt(1 / total)),
+    templates: usable.reduce((sum, estimate) => sum + estimate.templates, 0)
+  };
+};
+
+// How sure an ability estimate is, 0 to 1, for adaptation confidence
+const estimateConfidence = (standardError) => round(1 / (1 + standardError ** 2));
+
+const validateReportQuery = ({ agreement = LABEL_AGREEMENT.DISAGREES, subject = null } = {}) => {
+  const errors = [];
+  if (agreement !== 'all' && !Object.values(LABEL_AGREEMENT).includes(agreement)) {
+    errors.push(`agreement must be all or one of: ${Object.values(LABEL_AGREEMENT).join(', ')}`);
+  }
+  if (subject !== null && (typeof subject !== 'string' || !/^[a-z_]{1,50}$/.test(subject))) {
+    errors.push('subject must be a subject name');
+  }
+  if (errors.length > 0) {
+    throw new CalibrationError('Invalid calibration report query', 'VALIDATION_ERROR', { errors });
+  }
+  return { agreement, subject };
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const formatCalibrationRun = (row) => ({
+  id: row.id,
+  periodKey: row.period_key,
+  trigger: row.trigger,
+  triggeredBy: row.triggered_by,
+  status: row.status,
+  model: row.model,
+  windowDays: row.window_days,
+  subjects: row.subjects,
+  templates: row.templates,
+  students: row.students,
+  responses: row.responses,
+  summary: row.summary || null,
+  lastError: row.last_error,
+  startedAt: toIso(row.started_at),
+  completedAt: toIso(row.completed_at)
+});
+
+const formatTemplateEstimate = (row) => ({
+  templateId: row.template_id,
+  title: row.title || null,
+  subject: row.subject,
+  model: row.model,
+  difficulty: parseFloat(row.difficulty),
+  discrimination: parseFloat(row.discrimination),
+  standardError: parseFloat(row.standard_error),
+  students: row.students,
+  trials: row.trials,
+  observedSuccessRate: row.observed_success_rate === null ? null : parseFloat(row.observed_success_rate),
+  labelledDifficulty: row.labelled_difficulty,
+  suggestedDifficulty: row.suggested_difficulty,
+  agreement: row.agreement,
+  direction: row.direction,
+  levels: row.levels,
+  calibratedAt: toIso(row.calibrated_at)
+});
+
+module.exports = {
+  IRT_MODELS,
+  RUN_STATUS,
+  LABEL_AGREEMENT,
+  LABEL_VALUES,
+  PRIORS,
+  CalibrationError,
+  sigmoid,
+  logit,
+  fitModel,
+  difficultyToValue,
+  valueToLabel,
+  labelToValue,
+  compareWithLabel,
+  targetDifficultyValue,
+  calibratedPathValue,
+  expectedSuccess,
+  combineAbilities,
+  estimateConfidence,
+  validateReportQuery,
+  formatCalibrationRun,
+  formatTemplateEstimate
+};
@@ -0,0 +1,956 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+// Journal encryption errors
+class JournalEncryptionError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'JournalEncryptionError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const DATA_KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Ciphertext envelope: 'MJ' | version | keyId length | keyId | iv | auth tag | ciphertext
+const ENVELOPE_MAGIC = Buffer.from('MJ', 'ascii');
+
+// Version 1 is the original pgcrypto / createCipher ciphertext, which has no envelope
+const ENCRYPTION_VERSIONS = {
+  LEGACY: 1,
+  GCM: 2
+};
+
+const KEY_STATUS = {
+  ACTIVE: 'active',
+  ROTATING: 'rotating',
+  RETIRED: 'retired'
+};
+
+const ROTATION_JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const DEFAULT_ROTATION_BATCH_SIZE = 100;
+const MAX_ROTATION_BATCH_SIZE = 1000;
+const ROTATION_STALE_MINUTES = 15; // A running job that has not reported progress for this long was interrupted
+const MAX_RECORDED_FAILURES = 100;
+const KEY_CACHE_TTL_MS = 60 * 1000; // Rotations and retirements by other instances are picked up after this long
+const FIRST_UUID = '00000000-0000-0000-0000-000000000000';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEVELOPMENT_MASTER_KEY = 'development_journal_master_key';
+const LEGACY_JOURNAL_KEY = 'default_journal_encryption_key_for_development';
+
+// ============================================================================
+// KEY HELPERS
+// ============================================================================
+
+// Accepts 64 hex chars or base64 for a raw 32-byte key; anything else is treated as a passphrase
+const parseMasterKey = (value) => {
+  const trimmed = value.trim();
+
+  if (/^[0-9a-f]{64}$/i.test(trimmed)) {
+    return Buffer.from(trimmed, 'hex');
+  }
+
+  const decoded = Buffer.from(trimmed, 'base64');
+  if (decoded.length === DATA_KEY_LENGTH && decoded.toString('base64') === trimmed) {
+    return decoded;
+  }
+
+  return crypto.scryptSync(trimmed, 'mentra-journal-master-key', DATA_KEY_LENGTH);
+};
+
+// Short, non-secret identifier stored next to each wrapped key
+const fingerprintKey = (key) => crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+
+const hashDataKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Current master key first, then any previous keys that may still have wrapped data keys
+const loadMasterKeyring = (env = process.env) => {
+  const keyring = new Map();
+  let current = env.JOURNAL_MASTER_KEY;
+
+  if (!current) {
+    if (env.NODE_ENV === 'production') {
+      throw new JournalEncryptionError('JOURNAL_MASTER_KEY must be set in production', 'MASTER_KEY_MISSING');
+    }
+    console.warn('⚠️  JOURNAL_MASTER_KEY not set, using the development master key. Journal entries are not protected.');
+    current = DEVELOPMENT_MASTER_KEY;
+  }
+
+  const currentKey = parseMasterKey(current);
+  const currentId = fingerprintKey(currentKey);
+  keyring.set(currentId, currentKey);
+
+  const previous = (env.JOURNAL_MASTER_KEY_PREVIOUS || '').split(',').map(k => k.trim()).filter(Boolean);
+  for (const value of previous) {
+    const key = parseMasterKey(value);
+    keyring.set(fingerprintKey(key), key);
+  }
+
+  return { currentId, keyring };
+};
+
+// Data keys are wrapped with AES-256-GCM under the master key; the key id is bound as AAD
+const wrapDataKey = (dataKey, masterKey, keyId) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, masterKey, iv, { authTagLength: TAG_LENGTH });
+  cipher.setAAD(Buffer.from(keyId, 'utf8'));
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), wrapped]);
+};
+
+const unwrapDataKey = (wrappedKey, masterKey, keyId) => {
+  const iv = wrappedKey.subarray(0, IV_LENGTH);
+  const tag = wrappedKey.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, masterKey, iv, { authTagLength: TAG_LENGTH });
+  decipher.setAAD(Buffer.from(keyId, 'utf8'));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(wrappedKey.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+// ============================================================================
+// CIPHERTEXT ENVELOPE
+// ============================================================================
+
+const isEnvelope = (data) => {
+  return Buffer.isBuffer(data) &&
+    data.length > ENVELOPE_MAGIC.length + 2 &&
+    data.subarray(0, ENVELOPE_MAGIC.length).equals(ENVELOPE_MAGIC);
+};
+
+const buildEnvelopeHeader = (version, keyId) => {
+  const keyIdBuffer = Buffer.from(keyId, 'utf8');
+  if (keyIdBuffer.length > 255) {
+    throw new JournalEncryptionError('Key id too long for ciphertext header', 'INVALID_KEY_ID', { keyId });
+  }
+  return Buffer.concat([ENVELOPE_MAGIC, Buffer.from([version, keyIdBuffer.length]), keyIdBuffer]);
+};
+
+const parseEnvelope = (data) => {
+  if (!isEnvelope(data)) {
+    throw new JournalEncryptionError('Ciphertext has no version header', 'LEGACY_CIPHERTEXT');
+  }
+
+  const version = data[ENVELOPE_MAGIC.length];
+  const keyIdLength = data[ENVELOPE_MAGIC.length + 1];
+  const headerLength = ENVELOPE_MAGIC.length + 2 + keyIdLength;
+
+  if (version !== ENCRYPTION_VERSIONS.GCM) {
+    throw new JournalEncryptionError(`Unsupported ciphertext version ${version}`, 'UNSUPPORTED_VERSION', { version });
+  }
+  if (data.length < headerLength + IV_LENGTH + TAG_LENGTH) {
+    throw new JournalEncryptionError('Ciphertext is truncated', 'INVALID_CIPHERTEXT');
+  }
+
+  return {
+    version,
+    header: data.subarray(0, headerLength),
+    keyId: data.subarray(ENVELOPE_MAGIC.length + 2, headerLength).toString('utf8'),
+    iv: data.subarray(headerLength, headerLength + IV_LENGTH),
+    tag: data.subarray(headerLength + IV_LENGTH, headerLength + IV_LENGTH + TAG_LENGTH),
+    ciphertext: data.subarray(headerLength + IV_LENGTH + TAG_LENGTH)
+  };
+};
+
+// The header and owning student are authenticated, so ciphertext cannot be moved between students
+const buildAAD = (header, studentId) => Buffer.concat([header, Buffer.from(String(studentId), 'utf8')]);
+
+// ============================================================================
+// LEGACY CIPHERTEXT
+// ============================================================================
+
+// OpenSSL EVP_BytesToKey (MD5, one round, no salt), as used by the removed crypto.createCipher
+const evpBytesToKey = (password, keyLength, ivLength) => {
+  const passwordBuffer = Buffer.from(password, 'utf8');
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+
+  while (derived.length < keyLength + ivLength) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, passwordBuffer])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  return {
+    key: derived.subarray(0, keyLength),
+    iv: derived.subarray(keyLength, keyLength + ivLength)
+  };
+};
+
+// Reads hex ciphertext written by crypto.createCipher('aes-256-cbc', password)
+const decryptLegacyCbc = (hexCiphertext, password) => {
+  const { key, iv } = evpBytesToKey(password, 32, 16);
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+  return decipher.update(hexCiphertext, 'hex', 'utf8') + decipher.final('utf8');
+};
+
+// pgcrypto passphrase used for version 1 journal entries
+const getLegacyEntryKey = (keyId) => {
+  const baseKey = process.env.JOURNAL_ENCRYPTION_KEY || LEGACY_JOURNAL_KEY;
+  return `${baseKey}_${keyId}`;
+};
+
+// ============================================================================
+// KEY STORES
+// ============================================================================
+
+const formatKeyRow = (row) => row ? {
+  keyId: row.key_id,
+  studentId: row.student_id,
+  wrappedKey: row.wrapped_key,
+  masterKeyId: row.master_key_id,
+  keyHash: row.key_hash,
+  keyStatus: row.key_status,
+  keyVersion: row.key_version
+} : null;
+
+class PostgresJournalKeyStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async findActiveKey(studentId) {
+    const result = await this.pool.query(`
+      SELECT key_id, student_id, wrapped_key, master_key_id, key_hash, key_status, key_version
+      FROM journal_encryption_keys
+      WHERE student_id = $1 AND key_status = 'active' AND wrapped_key IS NOT NULL
+    `, [studentId]);
+    return formatKeyRow(result.rows[0]);
+  }
+
+  async findKey(keyId) {
+    const result = await this.pool.query(`
+      SELECT key_id, student_id, wrapped_key, master_key_id, key_hash, key_status, key_version
+      FROM journal_encryption_keys
+      WHERE key_id = $1 AND wrapped_key IS NOT NULL
+    `, [keyId]);
+    return formatKeyRow(result.rows[0]);
+  }
+
+  // Returns null when another request activated a key for the student first
+  async insertActiveKey(key, client = this.pool) {
+    const result = await client.query(`
+      INSERT INTO journal_encryption_keys (
+        key_id, student_id, encryption_algorithm, key_hash, key_status, wrapped_key,
+        master_key_id, key_version, created_by, activated_at, previous_key_id
+      ) VALUES ($1, $2, $3, $4, 'active', $5, $6, $7, $8, NOW(), $9)
+      ON CONFLICT (student_id) WHERE key_status = 'active' AND wrapped_key IS NOT NULL DO NOTHING
+      RETURNING key_id, student_id, wrapped_key, master_key_id, key_hash, key_status, key_version
+    `, [
+      key.keyId, key.studentId, CIPHER_ALGORITHM, key.keyHash, key.wrappedKey,
+      key.masterKeyId, key.keyVersion, key.createdBy || key.studentId, key.previousKeyId || null
+    ]);
+    return formatKeyRow(result.rows[0]);
+  }
+}
+
+// Used for development demo accounts, which have no users row to own a key
+class InMemoryJournalKeyStore {
+  constructor() {
+    this.keys = new Map();
+  }
+
+  async findActiveKey(studentId) {
+    for (const key of this.keys.values()) {
+      if (key.studentId === studentId && key.keyStatus === KEY_STATUS.ACTIVE) return { ...key };
+    }
+    return null;
+  }
+
+  async findKey(keyId) {
+    const key = this.keys.get(keyId);
+    return key ? { ...key } : null;
+  }
+
+  async insertActiveKey(key) {
+    if (await this.findActiveKey(key.studentId)) return null;
+    const stored = { ...key, keyStatus: KEY_STATUS.ACTIVE };
+    this.keys.set(key.keyId, stored);
+    return { ...stored };
+  }
+}
+
+// ============================================================================
+// SERVICE
+// ============================================================================
+
+class JournalEncryptionService {
+  constructor(options = {}) {
+    this.pool = options.pool || new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.keyStore = options.keyStore || new PostgresJournalKeyStore(this.pool);
+    this.demoKeyStore = options.demoKeyStore || new InMemoryJournalKeyStore();
+    this.env = options.env || process.env;
+
+    this.masterKeys = null; // Loaded on first use so a missing key fails the request, not startup
+    this.keyCacheTtlMs = options.keyCacheTtlMs ?? KEY_CACHE_TTL_MS;
+    this.dataKeyCache = new Map(); // keyId -> { studentId, key, cachedAt } (unwrapped)
+    this.activeKeyIds = new Map(); // studentId -> { keyId, cachedAt }
+    this.runningJobs = new Set();
+  }
+
+  getMasterKeys() {
+    if (!this.masterKeys) {
+      this.masterKeys = loadMasterKeyring(this.env);
+    }
+    return this.masterKeys;
+  }
+
+  // Demo student ids are not UUIDs and cannot own a key row
+  getKeyStore(studentId) {
+    if (UUID_PATTERN.test(String(studentId))) {
+      return this.keyStore;
+    }
+    if (this.env.NODE_ENV === 'production') {
+      throw new JournalEncryptionError('Invalid student id for journal encryption', 'INVALID_STUDENT_ID', { studentId });
+    }
+    return this.demoKeyStore;
+  }
+
+  // ============================================================================
+  // DATA KEYS
+  // ============================================================================
+
+  cacheDataKey(keyId, studentId, key) {
+    this.dataKeyCache.set(keyId, { studentId: String(studentId), key, cachedAt: Date.now() });
+  }
+
+  // Cached entries expire so a key retired or replaced elsewhere is read from the store again
+  getCachedDataKey(keyId) {
+    const cached = this.dataKeyCache.get(keyId);
+    if (cached && Date.now() - cached.cachedAt >= this.keyCacheTtlMs) {
+      this.dataKeyCache.delete(keyId);
+      return null;
+    }
+    return cached || null;
+  }
+
+  getCachedActiveKeyId(studentId) {
+    const cached = this.activeKeyIds.get(studentId);
+    if (cached && Date.now() - cached.cachedAt >= this.keyCacheTtlMs) {
+      this.activeKeyIds.delete(studentId);
+      return null;
+    }
+    return cached ? cached.keyId : null;
+  }
+
+  unwrapKeyRecord(record) {
+    const { keyring } = this.getMasterKeys();
+    const masterKey = keyring.get(record.masterKeyId);
+
+    if (!masterKey) {
+      throw new JournalEncryptionError('Master key for this data key is not configured', 'MASTER_KEY_UNAVAILABLE', {
+        keyId: record.keyId,
+        masterKeyId: record.masterKeyId
+      });
+    }
+
+    let dataKey;
+    try {
+      dataKey = unwrapDataKey(record.wrappedKey, masterKey, record.keyId);
+    } catch (error) {
+      throw new JournalEncryptionError('Failed to unwrap data key', 'KEY_UNWRAP_FAILED', {
+        keyId: record.keyId,
+        originalError: error.message
+      });
+    }
+
+    if (record.keyHash && hashDataKey(dataKey) !== record.keyHash) {
+      throw new JournalEncryptionError('Data key failed verification', 'KEY_UNWRAP_FAILED', { keyId: record.keyId });
+    }
+
+    this.cacheDataKey(record.keyId, record.studentId, dataKey);
+    return dataKey;
+  }
+
+  // Generate a data key and wrap it under the current master key
+  createKeyRecord(studentId, options = {}) {
+    const { currentId, keyring } = this.getMasterKeys();
+    const dataKey = crypto.randomBytes(DATA_KEY_LENGTH);
+    const keyId = `jk_${crypto.randomUUID()}`;
+
+    return {
+      dataKey,
+      record: {
+        keyId,
+        studentId,
+        wrappedKey: wrapDataKey(dataKey, keyring.get(currentId), keyId),
+        masterKeyId: currentId,
+        keyHash: hashDataKey(dataKey),
+        keyVersion: options.keyVersion || 1,
+        createdBy: options.createdBy,
+        previousKeyId: options.previousKeyId
+      }
+    };
+  }
+
+  // Active data key for a student, created on first use
+  async getActiveKey(studentId) {
+    const cachedKeyId = this.getCachedActiveKeyId(studentId);
+    const cachedKey = cachedKeyId && this.getCachedDataKey(cachedKeyId);
+    if (cachedKey) {
+      return { keyId: cachedKeyId, key: cachedKey.key };
+    }
+
+    const store = this.getKeyStore(studentId);
+
+    try {
+      let record = await store.findActiveKey(studentId);
+
+      if (!record) {
+        const created = this.createKeyRecord(studentId);
+        record = await store.insertActiveKey(created.record);
+
+        if (record) {
+          this.cacheDataKey(record.keyId, studentId, created.dataKey);
+        } else {
+          // Another request created the key between our read and insert
+          record = await store.findActiveKey(studentId);
+        }
+      }
+
+      const cached = this.getCachedDataKey(record.keyId);
+      const key = cached ? cached.key : this.unwrapKeyRecord(record);
+      this.activeKeyIds.set(studentId, { keyId: record.keyId, cachedAt: Date.now() });
+      return { keyId: record.keyId, key };
+    } catch (error) {
+      if (error instanceof JournalEncryptionError) throw error;
+      throw new JournalEncryptionError('Failed to load journal encryption key', 'KEY_STORE_ERROR', {
+        studentId,
+        originalError: error.message
+      });
+    }
+  }
+
+  async getKeyById(keyId, studentId) {
+    const cached = this.getCachedDataKey(keyId);
+    if (cached) {
+      if (cached.studentId !== String(studentId)) {
+        throw new JournalEncryptionError('Journal encryption key belongs to another student', 'KEY_MISMATCH', { keyId });
+      }
+      return cached.key;
+    }
+
+    try {
+      const record = await this.getKeyStore(studentId).findKey(keyId);
+      if (!record) {
+        throw new JournalEncryptionError('Journal encryption key not found', 'KEY_NOT_FOUND', { keyId });
+      }
+      if (String(record.studentId) !== String(studentId)) {
+        throw new JournalEncryptionError('Journal encryption key belongs to another student', 'KEY_MISMATCH', { keyId });
+      }
+      return this.unwrapKeyRecord(record);
+    } catch (error) {
+      if (error instanceof JournalEncryptionError) throw error;
+      throw new JournalEncryptionError('Failed to load journal encryption key', 'KEY_STORE_ERROR', {
+        keyId,
+        originalError: error.message
+      });
+    }
+  }
+
+  // ============================================================================
+  // ENCRYPT / DECRYPT
+  // ============================================================================
+
+  async encrypt(plaintext, studentId) {
+    const { keyId, key } = await this.getActiveKey(studentId);
+    const ciphertext = this.encryptWithKey(plaintext, studentId, keyId, key);
+
+    return {
+      ciphertext,
+      keyId,
+      encryptionMethod: CIPHER_ALGORITHM,
+      encryptionVersion: ENCRYPTION_VERSIONS.GCM
+    };
+  }
+
+  encryptWithKey(plaintext, studentId, keyId, key) {
+    const header = buildEnvelopeHeader(ENCRYPTION_VERSIONS.GCM, keyId);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(buildAAD(header, studentId));
+
+    const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return Buffer.concat([header, iv, cipher.getAuthTag(), encrypted]);
+  }
+
+  async decrypt(data, studentId) {
+    const envelope = parseEnvelope(data);
+    const key = await this.getKeyById(envelope.keyId, studentId);
+
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key, envelope.iv, { authTagLength: TAG_LENGTH });
+      decipher.setAAD(buildAAD(envelope.header, studentId));
+      decipher.setAuthTag(envelope.tag);
+      return Buffer.concat([decipher.update(envelope.ciphertext), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new JournalEncryptionError('Ciphertext failed authentication', 'AUTHENTICATION_FAILED', {
+        keyId: envelope.keyId
+      });
+    }
+  }
+
+  // Decrypt a journal_entries column, falling back to pgcrypto for version 1 rows
+  async decryptStoredContent(client, data, { studentId, keyId, encryptionVersion }) {
+    if (data === null || data === undefined) {
+      return null;
+    }
+
+    if (isEnvelope(data)) {
+      return this.decrypt(data, studentId);
+    }
+
+    if (encryptionVersion && encryptionVersion >= ENCRYPTION_VERSIONS.GCM) {
+      throw new JournalEncryptionError('Ciphertext has no version header', 'INVALID_CIPHERTEXT', { keyId });
+    }
+
+    const result = await client.query(
+      'SELECT decrypt_journal_content($1, $2) as content',
+      [data, getLegacyEntryKey(keyId)]
+    );
+    return result.rows[0].content;
+  }
+
+  // ============================================================================
+  // KEY ROTATION
+  // ============================================================================
+
+  // Counts of entries by ciphertext version and keys by status
+  async getEncryptionStatus() {
+    const client = await this.pool.connect();
+
+    try {
+      const [entries, keys] = await Promise.all([
+        client.query(`
+          SELECT
+            COUNT(*) FILTER (WHERE encryption_version >= $1) as gcm_entries,
+            COUNT(*) FILTER (WHERE encryption_version IS NULL OR encryption_version < $1) as legacy_entries,
+            COUNT(*) FILTER (WHERE is_private = true) as private_entries,
+            COUNT(*) FILTER (WHERE is_private = true AND (encryption_version IS NULL OR encryption_version < $1)) as legacy_private_entries
+          FROM journal_entries
+          WHERE deleted_at IS NULL
+        `, [ENCRYPTION_VERSIONS.GCM]),
+        client.query(`
+          SELECT key_status, master_key_id, COUNT(*) as count
+          FROM journal_encryption_keys
+          WHERE wrapped_key IS NOT NULL
+          GROUP BY key_status, master_key_id
+        `)
+      ]);
+
+      const { currentId } = this.getMasterKeys();
+      const row = entries.rows[0];
+
+      return {
+        masterKeyId: currentId,
+        entries: {
+          gcm: parseInt(row.gcm_entries) || 0,
+          legacy: parseInt(row.legacy_entries) || 0,
+          private: parseInt(row.private_entries) || 0,
+          legacyPrivate: parseInt(row.legacy_private_entries) || 0
+        },
+        keys: keys.rows.map(k => ({
+          status: k.key_status,
+          masterKeyId: k.master_key_id,
+          wrappedUnderCurrentMasterKey: k.master_key_id === currentId,
+          count: parseInt(k.count) || 0
+        }))
+      };
+    } catch (error) {
+      if (error instanceof JournalEncryptionError) throw error;
+      throw new JournalEncryptionError('Failed to get encryption status', 'STATUS_ERROR', { originalError: error.message });
+    } finally {
+      client.release();
+    }
+  }
+
+  // Queue a rotation job and run it in the background; poll with getRotationJob
+  async startRotation({ requestedBy = null, studentId = null, batchSize = DEFAULT_ROTATION_BATCH_SIZE, reason = null } = {}) {
+    if (studentId && !UUID_PATTERN.test(studentId)) {
+      throw new JournalEncryptionError('Invalid student id', 'VALIDATION_ERROR', { studentId });
+    }
+
+    const size = Math.min(Math.max(parseInt(batchSize) || DEFAULT_ROTATION_BATCH_SIZE, 1), MAX_ROTATION_BATCH_SIZE);
+
+    // Fail fast if the master key is missing rather than inside the background job
+    this.getMasterKeys();
+
+    const client = await this.pool.connect();
+    let job;
+
+    try {
+      // Jobs left running by a restarted process would otherwise block rotation forever
+      await client.query(`
+        UPDATE journal_key_rotation_jobs
+        SET status = 'failed', last_error = 'Interrupted before completion', completed_at = NOW()
+        WHERE status IN ('pending', 'running')
+          AND updated_at < NOW() - make_interval(mins => $1)
+      `, [ROTATION_STALE_MINUTES]);
+
+      const result = await client.query(`
+        INSERT INTO journal_key_rotation_jobs (requested_by, student_id, batch_size, reason)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [requestedBy, studentId, size, reason]);
+
+      job = result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new JournalEncryptionError('A key rotation job is already running', 'ROTATION_IN_PROGRESS');
+      }
+      throw new JournalEncryptionError('Failed to start key rotation', 'ROTATION_ERROR', { originalError: error.message });
+    } finally {
+      client.release();
+    }
+
+    setImmediate(() => {
+      this.runRotationJob(job.id).catch(error => {
+        console.error(`❌ Journal key rotation ${job.id} failed:`, error.message);
+      });
+    });
+
+    console.log(`🔐 Journal key rotation ${job.id} queued (batch size ${size})`);
+    return this.formatRotationJob(job);
+  }
+
+  async runRotationJob(jobId) {
+    if (this.runningJobs.has(jobId)) return null;
+    this.runningJobs.add(jobId);
+
+    try {
+      const jobResult = await this.pool.query(`
+        UPDATE journal_key_rotation_jobs
+        SET status = 'running', started_at = NOW()
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+      `, [jobId]);
+
+      if (jobResult.rows.length === 0) {
+        return null;
+      }
+
+      const job = jobResult.rows[0];
+      const studentIds = await this.getStudentsToRotate(job.student_id);
+
+      await this.pool.query(
+        'UPDATE journal_key_rotation_jobs SET students_total = $2 WHERE id = $1',
+        [jobId, studentIds.length]
+      );
+
+      for (const studentId of studentIds) {
+        const result = await this.rotateStudentKey(studentId, {
+          batchSize: job.batch_size,
+          requestedBy: job.requested_by,
+          onBatch: (batch) => this.recordRotationProgress(jobId, batch)
+        });
+
+        await this.pool.query(`
+          UPDATE journal_key_rotation_jobs
+          SET students_processed = students_processed + 1, keys_rotated = keys_rotated + $2
+          WHERE id = $1
+        `, [jobId, result.keyRotated ? 1 : 0]);
+      }
+
+      const completed = await this.pool.query(`
+        UPDATE journal_key_rotation_jobs
+        SET status = 'completed', completed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [jobId]);
+
+      const finished = this.formatRotationJob(completed.rows[0]);
+      console.log(`✅ Journal key rotation ${jobId} completed: ${finished.entriesReencrypted} entries re-encrypted, ${finished.entriesFailed} failed`);
+      return finished;
+    } catch (error) {
+      await this.pool.query(`
+        UPDATE journal_key_rotation_jobs
+        SET status = 'failed', last_error = $2, completed_at = NOW()
+        WHERE id = $1
+      `, [jobId, error.message]).catch(() => {});
+      throw error;
+    } finally {
+      this.runningJobs.delete(jobId);
+    }
+  }
+
+  // Students with private entries or an active wrapped key
+  async getStudentsToRotate(studentId = null) {
+    const result = await this.pool.query(`
+      SELECT student_id FROM journal_entries
+      WHERE is_private = true AND deleted_at IS NULL AND ($1::UUID IS NULL OR student_id = $1)
+      UNION
+      SELECT student_id FROM journal_encryption_keys
+      WHERE key_status = 'active' AND wrapped_key IS NOT NULL AND ($1::UUID IS NULL OR student_id = $1)
+      ORDER BY student_id
+    `, [studentId]);
+    return result.rows.map(r => r.student_id);
+  }
+
+  async recordRotationProgress(jobId, { reencrypted, failedIds }) {
+    await this.pool.query(`
+      UPDATE journal_key_rotation_jobs
+      SET entries_reencrypted = entries_reencrypted + $2,
+          entries_failed = entries_failed + $3,
+          failed_entry_ids = (COALESCE(failed_entry_ids, ARRAY[]::UUID[]) || $4::UUID[])[1:$5]
+      WHERE id = $1
+    `, [jobId, reencrypted, failedIds.length, failedIds, MAX_RECORDED_FAILURES]);
+  }
+
+  // Activate a new data key for the student and re-encrypt their private entries with it
+  async rotateStudentKey(studentId, { batchSize = DEFAULT_ROTATION_BATCH_SIZE, requestedBy = null, onBatch = null } = {}) {
+    const client = await this.pool.connect();
+    let newKeyId;
+    let newKey;
+    let previousKeyIds = [];
+
+    try {
+      await client.query('BEGIN');
+
+      // Keys being replaced stay readable until no entry depends on them
+      const previous = await client.query(`
+        UPDATE journal_encryption_keys
+        SET key_status = 'rotating'
+        WHERE student_id = $1 AND key_status = 'active' AND wrapped_key IS NOT NULL
+        RETURNING key_id, key_version
+      `, [studentId]);
+      previousKeyIds = previous.rows.map(r => r.key_id);
+
+      const created = this.createKeyRecord(studentId, {
+        createdBy: requestedBy || studentId,
+        previousKeyId: previousKeyIds[0],
+        keyVersion: (previous.rows[0]?.key_version || 0) + 1
+      });
+      await this.keyStore.insertActiveKey(created.record, client);
+
+      if (previousKeyIds.length > 0) {
+        await client.query(
+          'UPDATE journal_encryption_keys SET next_key_id = $2 WHERE key_id = ANY($1)',
+          [previousKeyIds, created.record.keyId]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      newKeyId = created.record.keyId;
+      newKey = created.dataKey;
+      this.cacheDataKey(newKeyId, studentId, newKey);
+      this.activeKeyIds.set(studentId, { keyId: newKeyId, cachedAt: Date.now() });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new JournalEncryptionError('Failed to rotate student key', 'ROTATION_ERROR', {
+        studentId,
+        originalError: error.message
+      });
+    } finally {
+      client.release();
+    }
+
+    let lastId = FIRST_UUID;
+    let reencrypted = 0;
+    let failed = 0;
+
+    while (true) {
+      const batch = await this.reencryptBatch(studentId, newKeyId, newKey, lastId, batchSize);
+      if (batch.scanned === 0) break;
+
+      lastId = batch.lastId;
+      reencrypted += batch.reencrypted;
+      failed += batch.failedIds.length;
+
+      if (onBatch) {
+        await onBatch(batch);
+      }
+    }
+
+    // Retire keys (including pre-GCM per-entry keys) once no live entry references them
+    await this.pool.query(`
+      UPDATE journal_encryption_keys k
+      SET key_status = 'retired', retired_at = NOW()
+      WHERE key_status <> 'retired'
+        AND key_id <> $2
+        AND (student_id = $1 OR (student_id IS NULL AND created_by = $1))
+        AND NOT EXISTS (
+          SELECT 1 FROM journal_entries e
+          WHERE e.encryption_key_id = k.key_id AND e.deleted_at IS NULL
+        )
+    `, [studentId, newKeyId]);
+    previousKeyIds.forEach(keyId => this.dataKeyCache.delete(keyId));
+
+    return { studentId, keyId: newKeyId, keyRotated: true, previousKeyIds, reencrypted, failed };
+  }
+
+  async reencryptBatch(studentId, keyId, key, afterId, batchSize) {
+    const client = await this.pool.connect();
+    const failedIds = [];
+    let reencrypted = 0;
+
+    try {
+      const result = await client.query(`
+        SELECT id, encrypted_content, encrypted_plain_text, encryption_key_id, encryption_version
+        FROM journal_entries
+        WHERE student_id = $1 AND is_private = true AND deleted_at IS NULL
+          AND encryption_key_id IS DISTINCT FROM $2
+          AND id > $3
+        ORDER BY id
+        LIMIT $4
+      `, [studentId, keyId, afterId, batchSize]);
+
+      if (result.rows.length === 0) {
+        return { scanned: 0, reencrypted: 0, failedIds, lastId: afterId };
+      }
+
+      await client.query('BEGIN');
+
+      for (const entry of result.rows) {
+        await client.query('SAVEPOINT reencrypt_entry');
+
+        try {
+          const meta = {
+            studentId,
+            keyId: entry.encryption_key_id,
+            encryptionVersion: entry.encryption_version
+          };
+          const content = await this.decryptStoredContent(client, entry.encrypted_content, meta);
+          const plainText = await this.decryptStoredContent(client, entry.encrypted_plain_text, meta);
+
+          // Skip rows edited (and re-encrypted) since we read them
+          await client.query(`
+            UPDATE journal_entries
+            SET encrypted_content = $2, encrypted_plain_text = $3, encryption_method = $4,
+                encryption_key_id = $5, encryption_version = $6, encrypted_at = NOW()
+            WHERE id = $1 AND encryption_key_id IS NOT DISTINCT FROM $7
+          `, [
+            entry.id,
+            content === null ? null : this.encryptWithKey(content, studentId, keyId, key),
+            plainText === null ? null : this.encryptWithKey(plainText, studentId, keyId, key),
+            CIPHER_ALGORITHM,
+            keyId,
+            ENCRYPTION_VERSIONS.GCM,
+            entry.encryption_key_id
+          ]);
+
+          await client.query('RELEASE SAVEPOINT reencrypt_entry');
+          reencrypted++;
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT reencrypt_entry');
+          console.error(`⚠️  Could not re-encrypt journal entry ${entry.id}:`, error.message);
+          failedIds.push(entry.id);
+        }
+      }
+
+      await client.query('COMMIT');
+
+      return {
+        scanned: result.rows.length,
+        reencrypted,
+        failedIds,
+        lastId: result.rows[result.rows.length - 1].id
+      };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw new JournalEncryptionError('Failed to re-encrypt journal entries', 'ROTATION_ERROR', {
+        studentId,
+        originalError: error.message
+      });
+    } finally {
+      client.release();
+    }
+  }
+
+  async getRotationJob(jobId) {
+    if (!UUID_PATTERN.test(String(jobId))) return null;
+
+    const result = await this.pool.query('SELECT * FROM journal_key_rotation_jobs WHERE id = $1', [jobId]);
+    return result.rows.length > 0 ? this.formatRotationJob(result.rows[0]) : null;
+  }
+
+  async listRotationJobs({ limit = 20 } = {}) {
+    const result = await this.pool.query(
+      'SELECT * FROM journal_key_rotation_jobs ORDER BY created_at DESC LIMIT $1',
+      [Math.min(parseInt(limit) || 20, 100)]
+    );
+    return result.rows.map(row => this.formatRotationJob(row));
+  }
+
+  formatRotationJob(row) {
+    return {
+      id: row.id,
+      status: row.status,
+      requestedBy: row.requested_by,
+      studentId: row.student_id,
+      batchSize: row.batch_size,
+      reason: row.reason,
+      studentsTotal: row.students_total,
+      studentsProcessed: row.students_processed,
+      keysRotated: row.keys_rotated,
+      entriesReencrypted: row.entries_reencrypted,
+      entriesFailed: row.entries_failed,
+      failedEntryIds: row.failed_entry_ids || [],
+      lastError: row.last_error,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      createdAt: row.created_at
+    };
+  }
+
+  async healthCheck() {
+    try {
+      const { currentId, keyring } = this.getMasterKeys();
+      return {
+        status: 'healthy',
+        service: 'journal-encryption',
+        algorithm: CIPHER_ALGORITHM,
+        ciphertextVersion: ENCRYPTION_VERSIONS.GCM,
+        masterKeyId: currentId,
+        previousMasterKeys: keyring.size - 1,
+        cachedDataKeys: this.dataKeyCache.size,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        service: 'journal-encryption',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+// Singleton instance
+let journalEncryptionServiceInstance = null;
+
+const getJournalEncryptionService = () => {
+  if (!journalEncryptionServiceInstance) {
+    journalEncryptionServiceInstance = new JournalEncryptionService();
+  }
+  return journalEncryptionServiceInstance;
+};
+
+module.exports = {
+  JournalEncryptionService,
+  getJournalEncryptionService,
+  JournalEncryptionError,
+  InMemoryJournalKeyStore,
+  PostgresJournalKeyStore,
+  ENCRYPTION_VERSIONS,
+  KEY_STATUS,
+  ROTATION_JOB_STATUS,
+  CIPHER_ALGORITHM,
+  isEnvelope,
+  decryptLegacyCbc,
+  loadMasterKeyring
+};
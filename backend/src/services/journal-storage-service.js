@@ -578,7 +578,8 @@ class JournalStorageService {
       .slice(0, 10); // Limit to 10 tags
   }
 
-  // Stub methods for relationship checking (would be implemented based on your user model)
+  // Stub methods for relationship checking (would be implemented based on your user model).
+  // Only permanent relationships count: journals are never shared through teacher delegations.
   async checkTeacherStudentRelationship(teacherId, studentId) {
     // In a full implementation, this would check if the teacher has access to the student
     return false;
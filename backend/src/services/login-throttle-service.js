@@ -0,0 +1,383 @@
+const { Pool } = require('pg');
+const { getLoginThrottleConfig } = require('../config/environment');
+const { withTransaction } = require('./db-transaction');
+const { getNotificationService } = require('./notification-service');
+
+const LOCK_SCOPES = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+};
+
+// security_alerts.activity_type of credential stuffing alerts
+const CREDENTIAL_STUFFING_ALERT = 'CREDENTIAL_STUFFING';
+
+const STUFFING_PATTERNS = {
+  SINGLE_IP: 'single_ip', // One address trying many accounts
+  DISTRIBUTED: 'distributed' // Many accounts failing across many addresses
+};
+
+class LoginThrottleError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'LoginThrottleError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// IPv4 clients appear as ::ffff:a.b.c.d on dual-stack sockets
+const normalizeIp = (ipAddress) => {
+  if (!ipAddress || ipAddress === 'unknown') return null;
+  return String(ipAddress).replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+};
+
+/**
+ * Lock length after `failures` failures: none below the threshold, baseLockMs at it, then
+ * doubling with every further failure up to maxLockMs.
+ */
+const computeLockMs = (failures, threshold, { baseLockMs, maxLockMs }) => {
+  if (failures < threshold) return 0;
+  return Math.min(baseLockMs * 2 ** Math.min(failures - threshold, 30), maxLockMs);
+};
+
+const formatLockout = (row) => ({
+  id: row.id,
+  scope: row.scope,
+  subject: row.subject,
+  userId: row.user_id || null,
+  failureCount: row.failure_count,
+  lockedUntil: new Date(row.locked_until).toISOString(),
+  createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+});
+
+class LoginThrottleService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getLoginThrottleConfig();
+    this.notificationService = null;
+  }
+
+  // ============================================
+  // LOGIN
+  // ============================================
+
+  /**
+   * The lock that currently stops this email or IP address from signing in, or null.
+   * Unknown emails lock like real ones, so a lock reveals nothing about which accounts exist.
+   */
+  async getActiveLock(email, ipAddress) {
+    const result = await this.pool.query(`
+      SELECT * FROM login_lockouts
+      WHERE released_at IS NULL AND locked_until > CURRENT_TIMESTAMP
+        AND ((scope = 'account' AND subject = $1) OR (scope = 'ip' AND subject = $2))
+      ORDER BY locked_until DESC
+      LIMIT 1
+    `, [normalizeEmail(email), normalizeIp(ipAddress)]);
+
+    if (result.rows.length === 0) return null;
+
+    const lockedUntil = new Date(result.rows[0].locked_until);
+    return {
+      scope: result.rows[0].scope,
+      lockedUntil: lockedUntil.toISOString(),
+      retryAfterSeconds: Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1)
+    };
+  }
+
+  /**
+   * Record a failed login and lock the email and/or IP address once their failures in the
+   * window reach the thresholds. Returns the resulting lock, or null. Credential stuffing
+   * detection runs afterwards and never fails the login response.
+   */
+  async recordFailure(email, clientInfo = {}, reason = null) {
+    const subject = normalizeEmail(email);
+    const ipAddress = normalizeIp(clientInfo.ipAddress);
+
+    const lock = await withTransaction(this.pool, async (client) => {
+      const attempt = await client.query(`
+        INSERT INTO failed_login_attempts (username_attempted, user_id, ip_address, user_agent, failure_reason)
+        VALUES ($1, (SELECT id FROM users WHERE LOWER(email) = $1 LIMIT 1), $2, $3, $4)
+        RETURNING id, user_id
+      `, [subject, ipAddress, clientInfo.userAgent || null, reason]);
+      const { id: attemptId, user_id: userId } = attempt.rows[0];
+
+      const counts = await client.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE username_attempted = $1) AS account_failures,
+          COUNT(*) FILTER (WHERE $2::inet IS NOT NULL AND ip_address = $2::inet) AS ip_failures
+        FROM failed_login_attempts
+        WHERE cleared_at IS NULL
+          AND attempt_time > CURRENT_TIMESTAMP - ($3::bigint * INTERVAL '1 millisecond')
+          AND (username_attempted = $1 OR ip_address = $2::inet)
+      `, [subject, ipAddress, this.config.failureWindowMs]);
+
+      const accountFailures = parseInt(counts.rows[0].account_failures, 10);
+      const ipFailures = parseInt(counts.rows[0].ip_failures, 10);
+
+      const locks = [
+        { scope: LOCK_SCOPES.ACCOUNT, subject, userId, failures: accountFailures, threshold: this.config.accountThreshold },
+        { scope: LOCK_SCOPES.IP, subject: ipAddress, userId: null, failures: ipFailures, threshold: this.config.ipThreshold }
+      ]
+        .filter(candidate => candidate.subject)
+        .map(candidate => ({ ...candidate, lockMs: computeLockMs(candidate.failures, candidate.threshold, this.config) }))
+        .filter(candidate => candidate.lockMs > 0);
+
+      let longest = null;
+      for (const candidate of locks) {
+        const result = await client.query(`
+          INSERT INTO login_lockouts (scope, subject, user_id, failure_count, locked_until)
+          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5::bigint * INTERVAL '1 millisecond'))
+          ON CONFLICT (scope, subject) DO UPDATE
+          SET user_id = COALESCE(EXCLUDED.user_id, login_lockouts.user_id),
+              failure_count = EXCLUDED.failure_count,
+              locked_until = EXCLUDED.locked_until,
+              released_at = NULL,
+              released_by = NULL
+          RETURNING *
+        `, [candidate.scope, candidate.subject, candidate.userId, candidate.failures, candidate.lockMs]);
+
+        if (!longest || new Date(result.rows[0].locked_until) > new Date(longest.locked_until)) {
+          longest = result.rows[0];
+        }
+      }
+
+      if (!longest) return null;
+
+      // Kept for detect_suspicious_login_activity(), which skips blocked attempts
+      await client.query('UPDATE failed_login_attempts SET blocked_until = $2 WHERE id = $1', [attemptId, longest.locked_until]);
+      const lockedUntil = new Date(longest.locked_until);
+      return {
+        scope: longest.scope,
+        lockedUntil: lockedUntil.toISOString(),
+        retryAfterSeconds: Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1)
+      };
+    });
+
+    try {
+      await this.detectCredentialStuffing(ipAddress);
+    } catch (error) {
+      console.error('Credential stuffing detection failed:', error.message);
+    }
+
+    return lock;
+  }
+
+  // A successful password clears the account's failures so its backoff starts over
+  async recordSuccess(email) {
+    await this.pool.query(`
+      UPDATE failed_login_attempts SET cleared_at = CURRENT_TIMESTAMP
+      WHERE username_attempted = $1 AND cleared_at IS NULL
+    `, [normalizeEmail(email)]);
+  }
+
+  // ============================================
+  // CREDENTIAL STUFFING
+  // ============================================
+
+  /**
+   * Look for failures across many accounts in the stuffing window: from this IP address,
+   * and across all addresses. Each pattern raises one security alert per window and
+   * notifies the administrators. Returns the alerts raised.
+   */
+  async detectCredentialStuffing(ipAddress) {
+    const counts = await this.pool.query(`
+      SELECT
+        COUNT(DISTINCT username_attempted) FILTER (WHERE $1::inet IS NOT NULL AND ip_address = $1::inet) AS ip_accounts,
+        COUNT(DISTINCT username_attempted) AS accounts,
+        COUNT(DISTINCT ip_address) AS ip_count,
+        COUNT(*) AS failures
+      FROM failed_login_attempts
+      WHERE attempt_time > CURRENT_TIMESTAMP - ($2::bigint * INTERVAL '1 millisecond')
+    `, [ipAddress, this.config.stuffingWindowMs]);
+
+    const row = counts.rows[0];
+    const windowMinutes = Math.round(this.config.stuffingWindowMs / 60000);
+    const detected = [];
+
+    if (ipAddress && parseInt(row.ip_accounts, 10) >= this.config.stuffingIpAccounts) {
+      detected.push({
+        pattern: STUFFING_PATTERNS.SINGLE_IP,
+        severity: 'high',
+        ipAddress,
+        message: `${row.ip_accounts} accounts failed to sign in from ${ipAddress} in ${windowMinutes} minutes`,
+        details: { pattern: STUFFING_PATTERNS.SINGLE_IP, ipAddress, accountCount: parseInt(row.ip_accounts, 10), windowMinutes }
+      });
+    }
+    if (parseInt(row.accounts, 10) >= this.config.stuffingGlobalAccounts) {
+      detected.push({
+        pattern: STUFFING_PATTERNS.DISTRIBUTED,
+        severity: 'critical',
+        ipAddress: null,
+        message: `${row.accounts} accounts failed to sign in from ${row.ip_count} addresses in ${windowMinutes} minutes`,
+        details: {
+          pattern: STUFFING_PATTERNS.DISTRIBUTED,
+          accountCount: parseInt(row.accounts, 10),
+          ipCount: parseInt(row.ip_count, 10),
+          failureCount: parseInt(row.failures, 10),
+          windowMinutes
+        }
+      });
+    }
+
+    const raised = [];
+    for (const candidate of detected) {
+      const alert = await this.raiseStuffingAlert(candidate);
+      if (alert) {
+        raised.push(alert);
+        await this.notifyAdmins(alert);
+      }
+    }
+    return raised;
+  }
+
+  // Insert the alert unless the same pattern (and address) was already reported this window
+  async raiseStuffingAlert({ pattern, severity, ipAddress, message, details }) {
+    return withTransaction(this.pool, async (client) => {
+      // Serialises concurrent failed logins that detect the same pattern
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${CREDENTIAL_STUFFING_ALERT}:${pattern}:${ipAddress || ''}`]);
+
+      const existing = await client.query(`
+        SELECT id FROM security_alerts
+        WHERE activity_type = $1 AND details->>'pattern' = $2
+          AND ($3::inet IS NULL OR ip_address = $3::inet)
+          AND created_at > CURRENT_TIMESTAMP - ($4::bigint * INTERVAL '1 millisecond')
+        LIMIT 1
+      `, [CREDENTIAL_STUFFING_ALERT, pattern, ipAddress, this.config.stuffingWindowMs]);
+      if (existing.rows.length > 0) return null;
+
+      const result = await client.query(`
+        INSERT INTO security_alerts (user_role, activity_type, details, severity, status, message, ip_address)
+        VALUES ('anonymous', $1, $2, $3, 'active', $4, $5)
+        RETURNING id, activity_type, details, severity, message, ip_address, created_at
+      `, [CREDENTIAL_STUFFING_ALERT, JSON.stringify(details), severity, message, ipAddress]);
+      return result.rows[0];
+    });
+  }
+
+  async notifyAdmins(alert) {
+    try {
+      const admins = await this.pool.query(`
+        SELECT id FROM users WHERE role = 'admin' AND status = 'active' AND deleted_at IS NULL
+      `);
+      if (admins.rows.length === 0) return [];
+
+      return await (this.notificationService || getNotificationService()).createBulkNotifications({
+        typeKey: 'security_alert',
+        recipientIds: admins.rows.map(row => row.id),
+        title: 'Possible credential stuffing attack',
+        message: alert.message,
+        data: { alertId: alert.id, activityType: alert.activity_type, severity: alert.severity, ...alert.details }
+      });
+    } catch (error) {
+      console.error('Failed to notify administrators of security alert:', error.message);
+      return [];
+    }
+  }
+
+  // ============================================
+  // ADMINISTRATION
+  // ============================================
+
+  async listLockouts({ scope = null, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let where = 'WHERE released_at IS NULL AND locked_until > CURRENT_TIMESTAMP';
+    if (scope) {
+      params.push(scope);
+      where += ` AND scope = $${params.length}`;
+    }
+
+    const [rows, count] = await Promise.all([
+      this.pool.query(`
+        SELECT * FROM login_lockouts ${where}
+        ORDER BY locked_until DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      this.pool.query(`SELECT COUNT(*) AS total FROM login_lockouts ${where}`, params)
+    ]);
+    const total = parseInt(count.rows[0].total, 10);
+
+    return {
+      lockouts: rows.rows.map(formatLockout),
+      pagination: { limit, offset, total, hasMore: offset + limit < total }
+    };
+  }
+
+  /**
+   * Release the lock on an email or IP address and clear its failures, so the next
+   * failure starts the backoff from the beginning.
+   */
+  async unlock({ email = null, ipAddress = null }, admin, clientInfo = {}) {
+    const scope = email ? LOCK_SCOPES.ACCOUNT : LOCK_SCOPES.IP;
+    const subject = email ? normalizeEmail(email) : normalizeIp(ipAddress);
+    if (!subject) {
+      throw new LoginThrottleError('Provide an email or IP address to unlock', 'VALIDATION_ERROR', {
+        errors: ['email or ipAddress is required']
+      });
+    }
+
+    const outcome = await withTransaction(this.pool, async (client) => {
+      const released = await client.query(`
+        UPDATE login_lockouts SET released_at = CURRENT_TIMESTAMP, released_by = $3
+        WHERE scope = $1 AND subject = $2 AND released_at IS NULL AND locked_until > CURRENT_TIMESTAMP
+        RETURNING id
+      `, [scope, subject, admin.id]);
+
+      const cleared = await client.query(`
+        UPDATE failed_login_attempts SET cleared_at = CURRENT_TIMESTAMP, cleared_by = $2
+        WHERE cleared_at IS NULL AND ${scope === LOCK_SCOPES.ACCOUNT ? 'username_attempted = $1' : 'ip_address = $1::inet'}
+      `, [subject, admin.id]);
+
+      return { released: released.rows.length > 0, failuresCleared: cleared.rowCount };
+    });
+
+    if (!outcome.released && outcome.failuresCleared === 0) {
+      throw new LoginThrottleError(`No lockout or failed logins for this ${scope === LOCK_SCOPES.ACCOUNT ? 'email' : 'IP'} address`, 'NOT_FOUND');
+    }
+
+    try {
+      await this.pool.query(`
+        INSERT INTO access_control_audit_log (
+          user_id, user_role, resource, action, result, ip_address, user_agent, request_data
+        ) VALUES ($1, $2, 'login', 'unlock', 'granted', $3, $4, $5)
+      `, [
+        admin.id,
+        admin.role,
+        normalizeIp(clientInfo.ipAddress),
+        clientInfo.userAgent || null,
+        JSON.stringify({ scope, subject, ...outcome })
+      ]);
+    } catch (error) {
+      console.error('Failed to record unlock audit event:', error.message);
+    }
+
+    return { scope, subject, ...outcome };
+  }
+}
+
+// Singleton instance
+let loginThrottleServiceInstance = null;
+
+const getLoginThrottleService = () => {
+  if (!loginThrottleServiceInstance) {
+    loginThrottleServiceInstance = new LoginThrottleService();
+  }
+  return loginThrottleServiceInstance;
+};
+
+module.exports = {
+  LoginThrottleService,
+  getLoginThrottleService,
+  LoginThrottleError,
+  LOCK_SCOPES,
+  CREDENTIAL_STUFFING_ALERT,
+  STUFFING_PATTERNS,
+  computeLockMs,
+  normalizeEmail,
+  normalizeIp
+};
@@ -0,0 +1,56 @@
+// Transactional mail (password resets, email verification, invitations)
+// A transport is any object with send({ to, subject, text, html }), like the notification channel adapters
+
+const { getNotificationChannelConfig } = require('../config/environment');
+const { EmailChannelAdapter, SinkChannelAdapter } = require('./notification-channels');
+
+class MailTransportError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'MailTransportError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+// SMTP when configured; outside production the console/file sink stands in for it
+const createMailTransport = (config = getNotificationChannelConfig()) => {
+  const smtp = new EmailChannelAdapter(config.email);
+  if (smtp.isConfigured()) return smtp;
+  if (config.useSinkFallback) return new SinkChannelAdapter(config.sink);
+  return null;
+};
+
+let mailTransport;
+
+const getMailTransport = () => {
+  if (mailTransport === undefined) {
+    mailTransport = createMailTransport();
+  }
+  return mailTransport;
+};
+
+// Swap the transport, e.g. for a provider SDK or a test double; null disables mail
+const setMailTransport = (transport) => {
+  if (transport !== null && (!transport || typeof transport.send !== 'function')) {
+    throw new MailTransportError('Mail transport must implement send(message)', 'INVALID_TRANSPORT');
+  }
+  mailTransport = transport;
+};
+
+const sendMail = async (message) => {
+  const transport = getMailTransport();
+  if (!transport) {
+    throw new MailTransportError('No mail transport is configured', 'NOT_CONFIGURED');
+  }
+  return transport.send({ ...message, channel: 'email' });
+};
+
+module.exports = {
+  MailTransportError,
+  createMailTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail
+};
@@ -0,0 +1,813 @@
+// Math answer equivalence for problem steps: numbers, fractions, units, expressions and
+// equations (no database access)
+
+// Step expected_response_type values checked here; other types keep the text comparison
+const MATH_RESPONSE_TYPES = {
+  NUMERICAL: 'numerical',
+  EXPRESSION: 'expression',
+  EQUATION: 'equation'
+};
+
+const ANSWER_KINDS = {
+  QUANTITY: 'quantity', // A number, possibly with units
+  EXPRESSION: 'expression', // An expression in one or more variables
+  SOLUTIONS: 'solutions', // Values for variables: x = 2, x = -2
+  EQUATION: 'equation' // An equation still to be solved: 2x + 4 = 10
+};
+
+const VERDICTS = {
+  CORRECT: 'correct',
+  ROUNDED: 'rounded', // Right to the precision the student gave
+  MISSING_UNITS: 'missing_units',
+  PARTIAL: 'partial',
+  INCORRECT: 'incorrect'
+};
+
+// Score for each verdict; partial answers score the share of solutions that match
+const VERDICT_SCORES = {
+  [VERDICTS.CORRECT]: 1,
+  [VERDICTS.ROUNDED]: 0.9,
+  [VERDICTS.MISSING_UNITS]: 0.7,
+  [VERDICTS.INCORRECT]: 0
+};
+const NEAR_MISS_SCORE = 0.25; // A wrong answer with a recognisable slip (sign, place value...)
+const INCOMPLETE_SOLUTION_SCORE = 0.5;
+
+// Indicators of a slip close to the right answer, passed on to mistake analysis
+const NEAR_MISSES = ['sign_error', 'reciprocal_error', 'place_value_error', 'rounding_error', 'unit_conversion_error'];
+
+const RELATIVE_TOLERANCE = 1e-9;
+const ROUNDING_MIN_DECIMALS = 2; // "0.33" is accepted for 1/3, "0.3" is not
+const ROUNDING_ERROR_RATIO = 0.05; // Within 5% but not a rounding of the answer
+const SAMPLE_POINTS = [0.7, -1.3, 2.1, 3.7, -0.4, 1.9, 5.3, -2.6];
+const MIN_VALID_SAMPLES = 4;
+const ROOT_SEARCH = { min: -100, max: 100, steps: 4000 }; // Where an equation's own solutions are looked for
+const MAX_ROOTS = 10; // More than this is a periodic equation, with no finite set to cover
+const MAX_VARIABLE_RUN = 3; // Longer runs of letters are words, not products of variables
+const MAX_ANSWER_LENGTH = 500; // Longer answers are prose or abuse, not checked
+const MAX_NESTING_DEPTH = 50; // Brackets, signs, exponents and function calls inside each other
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp
+};
+const CONSTANTS = { pi: Math.PI };
+
+// ============================================
+// UNITS
+// ============================================
+
+// Units by name, as a factor to the base unit of each dimension
+const UNIT_DEFINITIONS = [
+  { names: ['mm', 'millimeter', 'millimetre'], dimension: 'length', factor: 0.001 },
+  { names: ['cm', 'centimeter', 'centimetre'], dimension: 'length', factor: 0.01 },
+  { names: ['m', 'meter', 'metre'], dimension: 'length', factor: 1 },
+  { names: ['km', 'kilometer', 'kilometre'], dimension: 'length', factor: 1000 },
+  { names: ['in', 'inch', 'inches'], dimension: 'length', factor: 0.0254 },
+  { names: ['ft', 'foot', 'feet'], dimension: 'length', factor: 0.3048 },
+  { names: ['yd', 'yard'], dimension: 'length', factor: 0.9144 },
+  { names: ['mi', 'mile'], dimension: 'length', factor: 1609.344 },
+  { names: ['mg', 'milligram'], dimension: 'mass', factor: 0.000001 },
+  { names: ['g', 'gram'], dimension: 'mass', factor: 0.001 },
+  { names: ['kg', 'kilogram'], dimension: 'mass', factor: 1 },
+  { names: ['lb', 'lbs', 'pound'], dimension: 'mass', factor: 0.45359237 },
+  { names: ['oz', 'ounce'], dimension: 'mass', factor: 0.028349523125 },
+  { names: ['ms', 'millisecond'], dimension: 'time', factor: 0.001 },
+  { names: ['s', 'sec', 'secs', 'second'], dimension: 'time', factor: 1 },
+  { names: ['min', 'mins', 'minute'], dimension: 'time', factor: 60 },
+  { names: ['h', 'hr', 'hrs', 'hour'], dimension: 'time', factor: 3600 },
+  { names: ['ml', 'milliliter', 'millilitre'], dimension: 'length', power: 3, factor: 0.000001 },
+  { names: ['l', 'liter', 'litre'], dimension: 'length', power: 3, factor: 0.001 },
+  { names: ['°', 'deg', 'degree'], dimension: 'angle', factor: Math.PI / 180 },
+  { names: ['rad', 'radian'], dimension: 'angle', factor: 1 }
+];
+
+const UNITS = UNIT_DEFINITIONS.reduce((units, definition) => {
+  const unit = { dimensions: { [definition.dimension]: definition.power || 1 }, factor: definition.factor };
+  definition.names.forEach(name => {
+    units[name] = unit;
+    // Plurals of spelled-out names: meters, grams, hours
+    if (name.length > 3 && !name.endsWith('s')) units[`${name}s`] = unit;
+  });
+  return units;
+}, {});
+
+const sameDimensions = (a, b) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => (a[key] || 0) === (b[key] || 0));
+};
+
+const combineUnits = (a, b, sign) => {
+  const dimensions = { ...a.dimensions };
+  Object.entries(b.dimensions).forEach(([key, power]) => {
+    dimensions[key] = (dimensions[key] || 0) + sign * power;
+    if (dimensions[key] === 0) delete dimensions[key];
+  });
+  return { dimensions, factor: sign > 0 ? a.factor * b.factor : a.factor / b.factor };
+};
+
+// "cm", "m/s", "km/h", "m^2", "kg*m/s^2"; null when any part is not a known unit
+const parseUnit = (text) => {
+  const source = text.trim().toLowerCase().replace(/\s*([*/^])\s*/g, '$1');
+  if (!source) return null;
+
+  const parts = source.split(/(?=[*/])/);
+  let unit = { dimensions: {}, factor: 1 };
+  for (const part of parts) {
+    const match = part.match(/^([*/]?)([a-z°]+)(?:\^?(-?\d+))?$/);
+    if (!match || !UNITS[match[2]]) return null;
+    const power = match[3] ? parseInt(match[3], 10) : 1;
+    for (let i = 0; i < Math.abs(power); i++) {
+      unit = combineUnits(unit, UNITS[match[2]], (match[1] === '/') === (power > 0) ? -1 : 1);
+    }
+  }
+  return { ...unit, text: text.trim() };
+};
+
+// ============================================
+// EXPRESSION PARSING
+// ============================================
+
+class MathParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MathParseError';
+  }
+}
+
+// Rewrite the ways students type maths into the forms the tokenizer reads
+const normalizeMath = (text) => String(text)
+  .trim()
+  .replace(/[.。]+$/, '')
+  .replace(/[−–—]/g, '-')
+  .replace(/[×·∙]/g, '*')
+  .replace(/÷/g, '/')
+  .replace(/\*\*/g, '^')
+  .replace(/²/g, '^2')
+  .replace(/³/g, '^3')
+  .replace(/π/g, 'pi')
+  .replace(/√/g, 'sqrt')
+  .replace(/\+\/?-/g, '±')
+  .replace(/^[$€£]\s*/, '')
+  .replace(/(\d),(?=\d{3}(?!\d))/g, '$1') // 1,000
+  .replace(/(^|[^\d.])(\d+)\s+(\d+)\s*\/\s*(\d+)/g, '$1($2+$3/$4)'); // Mixed numbers: 1 1/2
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[\d.]/.test(char)) {
+      const match = text.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (!match) throw new MathParseError(`Unexpected "${char}"`);
+      tokens.push({ type: 'number', value: parseFloat(match[1]), text: match[1] });
+      i += match[1].length;
+    } else if (/[a-z]/i.test(char)) {
+      const word = text.slice(i).match(/^[a-z]+/i)[0].toLowerCase();
+      if (FUNCTIONS[word]) {
+        tokens.push({ type: 'function', name: word });
+      } else if (CONSTANTS[word] !== undefined) {
+        tokens.push({ type: 'number', value: CONSTANTS[word], text: word });
+      } else if (word.length > MAX_VARIABLE_RUN) {
+        throw new MathParseError(`"${word}" is not maths`);
+      } else {
+        // Adjacent letters are separate variables: xy is x * y
+        word.split('').forEach(name => tokens.push({ type: 'variable', name }));
+      }
+      i += word.length;
+    } else if ('+-*/^()%'.includes(char)) {
+      tokens.push({ type: 'operator', value: char });
+      i++;
+    } else {
+      throw new MathParseError(`Unexpected "${char}"`);
+    }
+  }
+  return tokens;
+};
+
+const startsOperand = (token) => token && (
+  token.type !== 'operator' || token.value === '('
+);
+
+// Recursive descent over the tokens; implicit multiplication binds like * (2x, 3(x + 1))
+const parseTokens = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expectOperator = (value) => {
+    if (!isOperator(value)) throw new MathParseError(`Expected "${value}"`);
+    position++;
+  };
+
+  // Every recursive step goes through here, so deep input fails as a parse error, not a stack overflow
+  let depth = 0;
+  const nested = (parse) => {
+    if (++depth > MAX_NESTING_DEPTH) throw new MathParseError('Expression is nested too deeply');
+    try {
+      return parse();
+    } finally {
+      depth--;
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new MathParseError('Unexpected end of expression');
+    position++;
+
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'variable') return { type: 'variable', name: token.name };
+    if (token.type === 'function') {
+      return { type: 'function', name: token.name, argument: nested(isOperator('(') ? parsePrimary : parseUnary) };
+    }
+    if (token.value === '(') {
+      const inner = nested(parseSum);
+      expectOperator(')');
+      return inner;
+    }
+    throw new MathParseError(`Unexpected "${token.value}"`);
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (isOperator('%')) {
+      position++;
+      node = { type: 'binary', operator: '/', left: node, right: { type: 'number', value: 100 } };
+    }
+    return node;
+  };
+
+  const parsePower = () => {
+    const base = parsePostfix();
+    if (isOperator('^')) {
+      position++;
+      return { type: 'binary', operator: '^', left: base, right: nested(parseUnary) };
+    }
+    return base;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-') || isOperator('+')) {
+      const operator = peek().value;
+      position++;
+      const argument = nested(parseUnary);
+      return operator === '-' ? { type: 'negate', argument } : argument;
+    }
+    return parsePower();
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    for (;;) {
+      if (isOperator('*') || isOperator('/')) {
+        const operator = peek().value;
+        position++;
+        node = { type: 'binary', operator, left: node, right: parseUnary() };
+      } else if (startsOperand(peek())) {
+        if (peek().type === 'number' && node.type === 'number') throw new MathParseError('Two numbers in a row');
+        node = { type: 'binary', operator: '*', left: node, right: parsePower() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = peek().value;
+      position++;
+      node = { type: 'binary', operator, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  const tree = parseSum();
+  if (position < tokens.length) throw new MathParseError('Unexpected input after expression');
+  return tree;
+};
+
+const parseExpression = (text) => {
+  if (text.length > MAX_ANSWER_LENGTH) throw new MathParseError('Expression is too long');
+  const tokens = tokenize(text);
+  if (tokens.length === 0) throw new MathParseError('Empty expression');
+  return parseTokens(tokens);
+};
+
+const evaluate = (node, scope = {}) => {
+  switch (node.type) {
+    case 'number': return node.value;
+    case 'variable': return scope[node.name] !== undefined ? scope[node.name] : NaN;
+    case 'negate': return -evaluate(node.argument, scope);
+    case 'function': return FUNCTIONS[node.name](evaluate(node.argument, scope));
+    default: {
+      const left = evaluate(node.left, scope);
+      const right = evaluate(node.right, scope);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        default: return Math.pow(left, right);
+      }
+    }
+  }
+};
+
+const variablesOf = (node, found = new Set()) => {
+  if (node.type === 'variable') found.add(node.name);
+  if (node.argument) variablesOf(node.argument, found);
+  if (node.left) variablesOf(node.left, found);
+  if (node.right) variablesOf(node.right, found);
+  return found;
+};
+
+// ============================================
+// ANSWER PARSING
+// ============================================
+
+// Decimal places of a plain decimal answer ("0.33" -> 2), or null
+const decimalPlaces = (text) => {
+  const match = text.trim().match(/^[-+]?\d*\.(\d+)$/);
+  return match ? match[1].length : null;
+};
+
+// A number with optional units: "1/2", "0.50", "12 cm", "3.5 m/s", "90°"
+const parseQuantity = (text, { allowUnits }) => {
+  const source = normalizeMath(text);
+  const split = allowUnits ? source.match(/^(.*?[\d)%.])\s*([a-z°][a-z°\s*/^\d-]*)$/i) : null;
+  const unit = split ? parseUnit(split[2]) : null;
+  const valueText = unit ? split[1] : source;
+
+  const tree = parseExpression(valueText);
+  if (variablesOf(tree).size > 0) return null;
+  const value = evaluate(tree);
+  if (!Number.isFinite(value)) return null;
+
+  return { value, unit, decimals: decimalPlaces(valueText) };
+};
+
+// Split at commas, semicolons, "or" and "and" outside brackets
+const splitSolutions = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  const source = text.replace(/\s+(?:or|and)\s+/gi, ',');
+  for (const char of source) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if ((char === ',' || char === ';') && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// "x = ±2" is two answers
+const expandPlusMinus = (text) => {
+  const index = text.indexOf('±');
+  if (index === -1) return [text];
+  const before = text.slice(0, index);
+  const after = text.slice(index + 1);
+  // A leading ± ("x = ±2") has no left operand, so only the sign changes
+  const leading = /(^|=|\()\s*$/.test(before);
+  return [
+    ...expandPlusMinus(`${before}${leading ? '' : '+'}${after}`),
+    ...expandPlusMinus(`${before}-${after}`)
+  ];
+};
+
+/**
+ * Values for variables: "x = 2", "x = 2 or x = -2", "x = ±2", "x = 1, y = 3", or bare values
+ * ("2, -2") when defaultVariable is given. Repeating a variable gives several solutions;
+ * different variables make up one solution of a system. null when it is not of that form.
+ */
+const parseSolutions = (text, { defaultVariable = null, allowUnits = false } = {}) => {
+  const parts = splitSolutions(normalizeMath(text)).flatMap(expandPlusMinus);
+  if (parts.length === 0) return null;
+
+  const assignments = [];
+  for (const part of parts) {
+    const match = part.match(/^([a-z])\s*=\s*([^=]+)$/i);
+    if (!match && (part.includes('=') || !defaultVariable)) return null;
+    const quantity = parseQuantity(match ? match[2] : part, { allowUnits });
+    if (!quantity) return null;
+    assignments.push({ variable: match ? match[1].toLowerCase() : defaultVariable, ...quantity });
+  }
+
+  const variables = [...new Set(assignments.map(a => a.variable))];
+  if (variables.length === 1) {
+    return { variables, solutions: assignments.map(a => ({ [a.variable]: a })) };
+  }
+  if (variables.length === assignments.length) {
+    const solution = {};
+    assignments.forEach(a => { solution[a.variable] = a; });
+    return { variables: variables.sort(), solutions: [solution] };
+  }
+  return null;
+};
+
+const parseEquation = (text) => {
+  const sides = normalizeMath(text).split('=');
+  if (sides.length !== 2) return null;
+  const left = parseExpression(sides[0]);
+  const right = parseExpression(sides[1]);
+  return { left, right, variables: [...new Set([...variablesOf(left), ...variablesOf(right)])].sort() };
+};
+
+// What kind of answer the expected response is, parsed; null when it is not maths
+const parseExpected = (text, responseType) => {
+  const allowUnits = responseType === MATH_RESPONSE_TYPES.NUMERICAL;
+  try {
+    if (normalizeMath(text).includes('=')) {
+      const solved = parseSolutions(text, { allowUnits });
+      if (solved) return { kind: ANSWER_KINDS.SOLUTIONS, ...solved };
+      const equation = parseEquation(text);
+      return equation && equation.variables.length > 0 ? { kind: ANSWER_KINDS.EQUATION, ...equation } : null;
+    }
+
+    const quantity = parseQuantity(text, { allowUnits });
+    if (quantity) return { kind: ANSWER_KINDS.QUANTITY, ...quantity };
+
+    const tree = parseExpression(normalizeMath(text));
+    return { kind: ANSWER_KINDS.EXPRESSION, tree, variables: [...variablesOf(tree)].sort() };
+  } catch (error) {
+    if (error instanceof MathParseError) return null;
+    throw error;
+  }
+};
+
+// ============================================
+// COMPARISON
+// ============================================
+
+const closeTo = (a, b, tolerance = null) => {
+  if (tolerance !== null) return Math.abs(a - b) <= tolerance + Number.EPSILON;
+  return Math.abs(a - b) <= RELATIVE_TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+};
+
+// Evaluate both at the same sample points; identical functions agree at all of them
+const sampleScopes = (variables) => SAMPLE_POINTS.map((_, index) => {
+  const scope = {};
+  variables.forEach((name, offset) => {
+    scope[name] = SAMPLE_POINTS[(index + offset * 3) % SAMPLE_POINTS.length] * (1 + offset * 0.37);
+  });
+  return scope;
+});
+
+const sampledPairs = (leftFn, rightFn, variables) => sampleScopes(variables)
+  .map(scope => [leftFn(scope), rightFn(scope)])
+  .filter(([a, b]) => Number.isFinite(a) && Number.isFinite(b));
+
+const sameFunction = (leftFn, rightFn, variables) => {
+  const pairs = sampledPairs(leftFn, rightFn, variables);
+  return pairs.length >= MIN_VALID_SAMPLES && pairs.every(([a, b]) => closeTo(a, b));
+};
+
+// Slips that land near the expected value
+const nearMissIndicators = (actual, expected) => {
+  const indicators = [];
+  if (expected === 0 || actual === 0) return indicators;
+
+  if (closeTo(actual, -expected)) indicators.push('sign_error');
+  if (closeTo(actual * expected, 1) && !closeTo(Math.abs(expected), 1)) indicators.push('reciprocal_error');
+  const power = Math.log10(Math.abs(actual / expected));
+  if (Math.abs(power) >= 1 && Math.abs(power) <= 3 && closeTo(power, Math.round(power))) {
+    indicators.push('place_value_error');
+  }
+  if (indicators.length === 0 && Math.abs(actual - expected) / Math.abs(expected) < ROUNDING_ERROR_RATIO) {
+    indicators.push('rounding_error');
+  }
+  return indicators;
+};
+
+const incorrect = (indicators) => ({
+  verdict: VERDICTS.INCORRECT,
+  score: indicators.some(indicator => NEAR_MISSES.includes(indicator)) ? NEAR_MISS_SCORE : VERDICT_SCORES[VERDICTS.INCORRECT],
+  indicators
+});
+
+const withVerdict = (verdict, indicators = []) => ({ verdict, score: VERDICT_SCORES[verdict], indicators });
+
+// Compare two numbers in the same units, accepting a rounding to the student's precision
+const compareValues = (actual, expected, { tolerance = null, decimals = null } = {}) => {
+  if (closeTo(actual, expected, tolerance)) return withVerdict(VERDICTS.CORRECT);
+  if (tolerance === null && decimals !== null && decimals >= ROUNDING_MIN_DECIMALS &&
+      Math.abs(actual - expected) <= 0.5 * Math.pow(10, -decimals) + RELATIVE_TOLERANCE) {
+    return withVerdict(VERDICTS.ROUNDED);
+  }
+  return incorrect(nearMissIndicators(actual, expected));
+};
+
+const compareQuantities = (actual, expected, tolerance) => {
+  const options = { tolerance, decimals: actual.decimals };
+
+  if (!expected.unit || !actual.unit) {
+    const result = compareValues(actual.value, expected.value, options);
+    // The number is right in the expected units, but the units are left off
+    if (expected.unit && result.verdict !== VERDICTS.INCORRECT) return withVerdict(VERDICTS.MISSING_UNITS, ['missing_units']);
+    return expected.unit ? { ...result, indicators: [...result.indicators, 'missing_units'] } : result;
+  }
+
+  if (!sameDimensions(actual.unit.dimensions, expected.unit.dimensions)) {
+    return incorrect(['wrong_units']);
+  }
+
+  const scaledTolerance = tolerance === null ? null : tolerance * expected.unit.factor;
+  const result = compareValues(actual.value * actual.unit.factor, expected.value * expected.unit.factor, {
+    tolerance: scaledTolerance,
+    // Precision is only meaningful in the expected units
+    decimals: actual.unit.factor === expected.unit.factor ? actual.decimals : null
+  });
+  if (result.verdict !== VERDICTS.INCORRECT) return result;
+
+  // The number is the answer in other units of the same kind: 150 m for 1.5 m (150 cm)
+  const expectedBase = expected.value * expected.unit.factor;
+  const converted = Object.values(UNITS).some(unit =>
+    unit.factor !== expected.unit.factor && sameDimensions(unit.dimensions, expected.unit.dimensions) &&
+    closeTo(actual.value, expectedBase / unit.factor)
+  );
+  return converted ? incorrect(['unit_conversion_error']) : result;
+};
+
+const compareSolutionSets = (actual, expected, tolerance) => {
+  const unmatched = [...expected.solutions];
+  let matched = 0;
+  let rounded = false;
+  const indicators = [];
+
+  actual.solutions.forEach(solution => {
+    const index = unmatched.findIndex(candidate => expected.variables.every(variable => {
+      const result = solution[variable] && compareQuantities(solution[variable], candidate[variable], tolerance);
+      return result && (result.verdict === VERDICTS.CORRECT || result.verdict === VERDICTS.ROUNDED);
+    }));
+    if (index === -1) return;
+
+    expected.variables.forEach(variable => {
+      if (compareQuantities(solution[variable], unmatched[index][variable], tolerance).verdict === VERDICTS.ROUNDED) {
+        rounded = true;
+      }
+    });
+    unmatched.splice(index, 1);
+    matched++;
+  });
+
+  if (matched === expected.solutions.length && matched === actual.solutions.length) {
+    return withVerdict(rounded ? VERDICTS.ROUNDED : VERDICTS.CORRECT);
+  }
+  if (matched === 0) {
+    // Compare a single answer against a single solution for the usual slips
+    if (actual.solutions.length === 1 && expected.solutions.length === 1 && expected.variables.length === 1) {
+      const variable = expected.variables[0];
+      if (actual.solutions[0][variable]) {
+        return compareQuantities(actual.solutions[0][variable], expected.solutions[0][variable], tolerance);
+      }
+    }
+    return incorrect([]);
+  }
+
+  if (unmatched.length > 0) indicators.push('missing_solution');
+  if (matched < actual.solutions.length) indicators.push('extraneous_solution');
+  return {
+    verdict: VERDICTS.PARTIAL,
+    score: Math.round((matched / Math.max(actual.solutions.length, expected.solutions.length)) * 100) / 100,
+    indicators
+  };
+};
+
+// Does a solution (values for each variable) satisfy the equation?
+const satisfies = (equation, solution) => {
+  const scope = {};
+  equation.variables.forEach(variable => {
+    scope[variable] = solution[variable] ? solution[variable].value : NaN;
+  });
+  const left = evaluate(equation.left, scope);
+  const right = evaluate(equation.right, scope);
+  return Number.isFinite(left) && Number.isFinite(right) && closeTo(left, right);
+};
+
+// Same solutions: left - right of one is a constant non-zero multiple of the other's
+const equivalentEquations = (a, b) => {
+  const variables = [...new Set([...a.variables, ...b.variables])].sort();
+  const pairs = sampledPairs(
+    scope => evaluate(a.left, scope) - evaluate(a.right, scope),
+    scope => evaluate(b.left, scope) - evaluate(b.right, scope),
+    variables
+  );
+  if (pairs.length < MIN_VALID_SAMPLES) return false;
+
+  const nonZero = pairs.filter(([x, y]) => !closeTo(x, 0) || !closeTo(y, 0));
+  if (nonZero.length < MIN_VALID_SAMPLES || nonZero.some(([, y]) => closeTo(y, 0))) return false;
+  const ratio = nonZero[0][0] / nonZero[0][1];
+  return !closeTo(ratio, 0) && nonZero.every(([x, y]) => closeTo(x / y, ratio));
+};
+
+// Solutions of a one-variable equation within ROOT_SEARCH, or null when there are too many
+// to list. Roots where the graph only touches zero are not found.
+const findRoots = (equation) => {
+  const [variable] = equation.variables;
+  const difference = (value) => evaluate(equation.left, { [variable]: value }) - evaluate(equation.right, { [variable]: value });
+  const isRoot = (value) => satisfies(equation, { [variable]: { value } });
+  const step = (ROOT_SEARCH.max - ROOT_SEARCH.min) / ROOT_SEARCH.steps;
+  const roots = [];
+
+  let previous = null;
+  for (let index = 0; index <= ROOT_SEARCH.steps; index++) {
+    const x = ROOT_SEARCH.min + index * step;
+    const y = difference(x);
+    if (isRoot(x)) {
+      roots.push(x);
+      previous = null;
+      continue;
+    }
+    if (previous && Number.isFinite(y) && Math.sign(y) !== Math.sign(previous.y)) {
+      // Bisect the sign change; a pole changes sign too, but does not satisfy the equation
+      let [low, high] = [previous.x, x];
+      for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (Math.sign(difference(mid)) === Math.sign(previous.y)) low = mid;
+        else high = mid;
+      }
+      const root = (low + high) / 2;
+      if (isRoot(root)) roots.push(root);
+    }
+    previous = Number.isFinite(y) ? { x, y } : null;
+    if (roots.length > MAX_ROOTS) return null;
+  }
+  return roots;
+};
+
+// A variable on its own on one side: "y = 2x + 1" isolates y
+const isolatedVariable = ({ left, right }) => {
+  if (left.type === 'variable' && !variablesOf(right).has(left.name)) return left.name;
+  if (right.type === 'variable' && !variablesOf(left).has(right.name)) return right.name;
+  return null;
+};
+
+// Solutions checked by substituting them into an equation; a one-variable equation's
+// other solutions must all be given too
+const checkSolutionsOfEquation = (actual, expected) => {
+  if (actual.variables.some(variable => !expected.variables.includes(variable))) return incorrect([]);
+
+  const valid = actual.solutions.filter(solution => satisfies(expected, solution));
+  if (valid.length === 0) return incorrect([]);
+
+  const roots = expected.variables.length === 1 ? findRoots(expected) || [] : [];
+  const [variable] = expected.variables;
+  const missing = roots.filter(root => !valid.some(solution => Math.abs(solution[variable].value - root) <= 1e-6 * Math.max(1, Math.abs(root))));
+
+  const indicators = [];
+  if (missing.length > 0) indicators.push('incomplete_solution', 'missing_solution');
+  if (valid.length < actual.solutions.length) indicators.push('extraneous_solution');
+  if (indicators.length === 0) return withVerdict(VERDICTS.CORRECT);
+  return {
+    verdict: VERDICTS.PARTIAL,
+    score: Math.round((valid.length / Math.max(actual.solutions.length, valid.length + missing.length)) * 100) / 100,
+    indicators
+  };
+};
+
+// An equivalent equation is only an answer once it is solved for the variable the expected
+// equation is solved for, or for any variable when that one is not solved either
+const checkEquivalentEquation = (actual, expected) => {
+  if (!equivalentEquations(actual, expected)) return incorrect([]);
+  const solvedFor = isolatedVariable(actual);
+  const expectedFor = isolatedVariable(expected);
+  return solvedFor && (!expectedFor || solvedFor === expectedFor)
+    ? withVerdict(VERDICTS.CORRECT)
+    : { verdict: VERDICTS.PARTIAL, score: INCOMPLETE_SOLUTION_SCORE, indicators: ['incomplete_solution'] };
+};
+
+// ============================================
+// CHECKING
+// ============================================
+
+const isMathResponseType = (type) => Object.values(MATH_RESPONSE_TYPES).includes(type);
+
+// The student's answer read the way the expected answer is written; null when it cannot be
+const readResponse = (text, expected, allowUnits) => {
+  const source = normalizeMath(text);
+  const defaultVariable = expected.variables && expected.variables.length === 1 ? expected.variables[0] : null;
+
+  switch (expected.kind) {
+    case ANSWER_KINDS.QUANTITY:
+      // "x = 0.5" answers "1/2" too
+      return parseQuantity(source.replace(/^[a-z]\s*=\s*/i, ''), { allowUnits });
+
+    case ANSWER_KINDS.SOLUTIONS:
+    case ANSWER_KINDS.EQUATION: {
+      const solved = parseSolutions(source, { defaultVariable, allowUnits });
+      if (solved) return { kind: ANSWER_KINDS.SOLUTIONS, ...solved };
+      return source.includes('=') ? { kind: ANSWER_KINDS.EQUATION, ...parseEquation(source) } : null;
+    }
+
+    default: {
+      // "y = 2x + 4" answers "2x + 4" when y is not one of its variables
+      const named = source.match(/^([a-z])\s*=\s*([^=]+)$/i);
+      const expression = named && !expected.variables.includes(named[1].toLowerCase()) ? named[2] : source;
+      return expression.includes('=') ? null : { tree: parseExpression(expression) };
+    }
+  }
+};
+
+/**
+ * Check a student's answer against the step's expected answer. responseType is the step's
+ * expected_response_type; numerical answers may carry units. tolerance is an absolute
+ * tolerance in the expected units (default: equal up to rounding).
+ * Returns { checked: false, reason } when either side is not maths or the response is longer
+ * than MAX_ANSWER_LENGTH, otherwise
+ * { checked: true, kind, verdict, correct, score (0-1), indicators }.
+ */
+const checkAnswer = (response, expectedResponse, { responseType = MATH_RESPONSE_TYPES.NUMERICAL, tolerance = null } = {}) => {
+  if (!expectedResponse || typeof expectedResponse !== 'string') return { checked: false, reason: 'no_expected_answer' };
+  if (!response || typeof response !== 'string' || !response.trim()) return { checked: false, reason: 'empty_response' };
+  if (response.length > MAX_ANSWER_LENGTH) return { checked: false, reason: 'response_too_long' };
+
+  const expected = parseExpected(expectedResponse, responseType);
+  if (!expected) return { checked: false, reason: 'expected_not_math' };
+
+  const allowUnits = responseType === MATH_RESPONSE_TYPES.NUMERICAL;
+  const absoluteTolerance = Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : null;
+
+  // "The answer is 12 cm" is read as "12 cm"
+  const candidates = [response, response.split(/\bis\b/i).pop()];
+  let actual = null;
+  for (const candidate of candidates) {
+    try {
+      actual = readResponse(candidate, expected, allowUnits);
+    } catch (error) {
+      if (!(error instanceof MathParseError)) throw error;
+    }
+    if (actual) break;
+  }
+  if (!actual) return { checked: false, reason: 'response_not_math', kind: expected.kind };
+
+  let result;
+  switch (expected.kind) {
+    case ANSWER_KINDS.QUANTITY:
+      result = compareQuantities(actual, expected, absoluteTolerance);
+      break;
+
+    case ANSWER_KINDS.SOLUTIONS:
+      if (actual.kind === ANSWER_KINDS.SOLUTIONS) {
+        result = compareSolutionSets(actual, expected, absoluteTolerance);
+      } else {
+        // A correct equation that is not solved yet: every expected solution satisfies it
+        const unsolved = expected.solutions.every(solution => satisfies(actual, solution));
+        result = unsolved
+          ? { verdict: VERDICTS.PARTIAL, score: INCOMPLETE_SOLUTION_SCORE, indicators: ['incomplete_solution'] }
+          : incorrect([]);
+      }
+      break;
+
+    case ANSWER_KINDS.EQUATION:
+      result = actual.kind === ANSWER_KINDS.SOLUTIONS
+        ? checkSolutionsOfEquation(actual, expected)
+        : checkEquivalentEquation(actual, expected);
+      break;
+
+    default: {
+      const variables = [...new Set([...expected.variables, ...variablesOf(actual.tree)])].sort();
+      const studentFn = scope => evaluate(actual.tree, scope);
+      const expectedFn = scope => evaluate(expected.tree, scope);
+      if (sameFunction(studentFn, expectedFn, variables)) {
+        result = withVerdict(VERDICTS.CORRECT);
+      } else {
+        result = incorrect(sameFunction(studentFn, scope => -expectedFn(scope), variables) ? ['sign_error'] : []);
+      }
+    }
+  }
+
+  return {
+    checked: true,
+    kind: expected.kind,
+    verdict: result.verdict,
+    correct: result.verdict === VERDICTS.CORRECT || result.verdict === VERDICTS.ROUNDED,
+    score: result.score,
+    indicators: result.indicators
+  };
+};
+
+module.exports = {
+  MATH_RESPONSE_TYPES,
+  ANSWER_KINDS,
+  VERDICTS,
+  NEAR_MISSES,
+  isMathResponseType,
+  parseExpression,
+  parseUnit,
+  evaluate,
+  checkAnswer
+};
@@ -0,0 +1,503 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { getMfaConfig } = require('../config/environment');
+const { revokeAllUserSessions } = require('./auth-service');
+const {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  MfaError,
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  loadMfaKey,
+  encryptSecret,
+  decryptSecret
+} = require('./mfa-totp');
+const { withTransaction } = require('./db-transaction');
+const { getLoginThrottleService } = require('./login-throttle-service');
+
+const ROLES = ['student', 'teacher', 'parent', 'admin'];
+
+// Used when a role has no mfa_role_policies row
+const DEFAULT_REQUIRED_ROLES = ['admin', 'teacher'];
+
+const CHALLENGE_PURPOSES = {
+  VERIFY: 'verify',
+  ENROLL: 'enroll'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const hashChallenge = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class MfaService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getMfaConfig();
+    this.key = null;
+    this.revokeSessions = revokeAllUserSessions;
+    this.loginThrottle = null;
+  }
+
+  // Loaded on first use so a missing production key fails MFA, not startup
+  getKey() {
+    if (!this.key) {
+      this.key = loadMfaKey(this.config.encryptionKey);
+    }
+    return this.key;
+  }
+
+  // MFA events go to the access control audit log; a failed write never blocks a login
+  async audit({ user, action, result = 'granted', reason = null, clientInfo = {}, data = {} }) {
+    try {
+      await this.pool.query(`
+        INSERT INTO access_control_audit_log (
+          user_id, user_role, resource, action, result, reason, ip_address, user_agent, request_data
+        ) VALUES ($1, $2, 'mfa', $3, $4, $5, $6, $7, $8)
+      `, [
+        user.id,
+        user.role,
+        action,
+        result,
+        reason,
+        clientInfo.ipAddress && clientInfo.ipAddress !== 'unknown' ? clientInfo.ipAddress : null,
+        clientInfo.userAgent || null,
+        JSON.stringify(data)
+      ]);
+    } catch (error) {
+      console.error('Failed to record MFA audit event:', error.message);
+    }
+  }
+
+  // ============================================
+  // POLICY
+  // ============================================
+
+  async getPolicies() {
+    const result = await this.pool.query('SELECT * FROM mfa_role_policies');
+    const byRole = new Map(result.rows.map(row => [row.role, row]));
+
+    return ROLES.map(role => ({
+      role,
+      required: byRole.has(role) ? byRole.get(role).required : DEFAULT_REQUIRED_ROLES.includes(role),
+      updatedAt: byRole.has(role) && byRole.get(role).updated_at ? new Date(byRole.get(role).updated_at).toISOString() : null
+    }));
+  }
+
+  async isRequired(role, client = this.pool) {
+    const result = await client.query('SELECT required FROM mfa_role_policies WHERE role = $1', [role]);
+    return result.rows[0] ? result.rows[0].required : DEFAULT_REQUIRED_ROLES.includes(role);
+  }
+
+  async updatePolicy(role, required, admin, clientInfo) {
+    if (!ROLES.includes(role)) {
+      throw new MfaError('Role not found', 'NOT_FOUND');
+    }
+    if (typeof required !== 'boolean') {
+      throw new MfaError('Invalid MFA policy', 'VALIDATION_ERROR', { errors: ['required must be true or false'] });
+    }
+
+    await this.pool.query(`
+      INSERT INTO mfa_role_policies (role, required, updated_by, updated_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (role) DO UPDATE
+      SET required = EXCLUDED.required, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+    `, [role, required, admin.id]);
+
+    await this.audit({ user: admin, action: 'policy_updated', clientInfo, data: { role, required } });
+    return (await this.getPolicies()).find(policy => policy.role === role);
+  }
+
+  // ============================================
+  // FACTORS
+  // ============================================
+
+  async getFactor(userId, client = this.pool) {
+    const result = await client.query('SELECT * FROM user_mfa_factors WHERE user_id = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  async getStatus(user) {
+    const [factor, required, codes] = await Promise.all([
+      this.getFactor(user.id),
+      this.isRequired(user.role),
+      this.pool.query('SELECT COUNT(*) AS remaining FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL', [user.id])
+    ]);
+    const enabled = !!factor && factor.status === 'active';
+
+    return {
+      enabled,
+      required,
+      pendingEnrollment: !!factor && factor.status === 'pending',
+      confirmedAt: enabled && factor.confirmed_at ? new Date(factor.confirmed_at).toISOString() : null,
+      lastUsedAt: enabled && factor.last_used_at ? new Date(factor.last_used_at).toISOString() : null,
+      recoveryCodesRemaining: enabled ? parseInt(codes.rows[0].remaining, 10) : 0
+    };
+  }
+
+  /**
+   * Accept a TOTP code for the factor and remember its time step. The conditional update
+   * means two requests racing with the same code cannot both succeed.
+   */
+  async acceptTotp(client, factor, userId, code) {
+    const secret = decryptSecret(factor.secret_encrypted, this.getKey(), userId);
+    const step = verifyTotp(secret, code, { lastUsedStep: factor.last_used_step });
+    if (step === null) return false;
+
+    const result = await client.query(`
+      UPDATE user_mfa_factors
+      SET last_used_step = $2, last_used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+      RETURNING id
+    `, [userId, step]);
+    return result.rows.length > 0;
+  }
+
+  async acceptRecoveryCode(client, userId, code) {
+    const result = await client.query(`
+      UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `, [userId, hashRecoveryCode(code)]);
+    return result.rows.length > 0;
+  }
+
+  async replaceRecoveryCodes(client, userId) {
+    const codes = generateRecoveryCodes(this.config.recoveryCodeCount);
+
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(`
+      INSERT INTO mfa_recovery_codes (user_id, code_hash)
+      SELECT $1, code_hash FROM UNNEST($2::text[]) AS c(code_hash)
+    `, [userId, codes.map(hashRecoveryCode)]);
+    return codes;
+  }
+
+  async activateFactor(client, factor, user, code) {
+    if (!(await this.acceptTotp(client, factor, user.id, code))) {
+      return null;
+    }
+
+    await client.query(`
+      UPDATE user_mfa_factors SET status = 'active', confirmed_at = CURRENT_TIMESTAMP WHERE user_id = $1
+    `, [user.id]);
+    return this.replaceRecoveryCodes(client, user.id);
+  }
+
+  // ============================================
+  // ENROLMENT
+  // ============================================
+
+  /**
+   * Create (or replace) a pending TOTP factor and return what the authenticator app needs.
+   * The otpauth URI is what the app shows as a QR code.
+   */
+  async startEnrollment(user, clientInfo) {
+    const secret = generateTotpSecret();
+
+    const result = await this.pool.query(`
+      INSERT INTO user_mfa_factors (user_id, secret_encrypted, status)
+      VALUES ($1, $2, 'pending')
+      ON CONFLICT (user_id) DO UPDATE
+      SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, confirmed_at = NULL
+      WHERE user_mfa_factors.status = 'pending'
+      RETURNING id
+    `, [user.id, encryptSecret(secret, this.getKey(), user.id)]);
+
+    if (result.rows.length === 0) {
+      throw new MfaError('Multi-factor authentication is already enabled', 'CONFLICT');
+    }
+
+    await this.audit({ user, action: 'enrollment_started', clientInfo });
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ issuer: this.config.issuer, accountName: user.email, secret }),
+      issuer: this.config.issuer,
+      accountName: user.email,
+      digits: TOTP_DIGITS,
+      period: TOTP_PERIOD_SECONDS
+    };
+  }
+
+  // The first valid code turns the factor on; the recovery codes are only shown now
+  async confirmEnrollment(user, code, clientInfo) {
+    const recoveryCodes = await withTransaction(this.pool, async (client) => {
+      const factor = await this.getFactor(user.id, client);
+      if (!factor) {
+        throw new MfaError('Start enrolment before confirming it', 'NOT_FOUND');
+      }
+      if (factor.status === 'active') {
+        throw new MfaError('Multi-factor authentication is already enabled', 'CONFLICT');
+      }
+      return this.activateFactor(client, factor, user, code);
+    });
+
+    if (!recoveryCodes) {
+      await this.audit({ user, action: 'enrollment_confirmed', result: 'denied', reason: 'Invalid code', clientInfo });
+      throw new MfaError('Invalid authentication code', 'INVALID_CODE');
+    }
+
+    await this.audit({ user, action: 'enrollment_confirmed', clientInfo });
+    return { recoveryCodes };
+  }
+
+  async requireActiveFactor(user, client = this.pool) {
+    const factor = await this.getFactor(user.id, client);
+    if (!factor || factor.status !== 'active') {
+      throw new MfaError('Multi-factor authentication is not enabled', 'NOT_FOUND');
+    }
+    return factor;
+  }
+
+  async regenerateRecoveryCodes(user, code, clientInfo) {
+    const recoveryCodes = await withTransaction(this.pool, async (client) => {
+      const factor = await this.requireActiveFactor(user, client);
+      if (!(await this.acceptTotp(client, factor, user.id, code))) return null;
+      return this.replaceRecoveryCodes(client, user.id);
+    });
+
+    if (!recoveryCodes) {
+      await this.audit({ user, action: 'recovery_codes_regenerated', result: 'denied', reason: 'Invalid code', clientInfo });
+      throw new MfaError('Invalid authentication code', 'INVALID_CODE');
+    }
+
+    await this.audit({ user, action: 'recovery_codes_regenerated', clientInfo });
+    return { recoveryCodes };
+  }
+
+  // Users can only turn MFA off when their role's policy does not require it
+  async disable(user, code, clientInfo) {
+    if (await this.isRequired(user.role)) {
+      throw new MfaError(`Multi-factor authentication is required for ${user.role} accounts`, 'POLICY_REQUIRED');
+    }
+
+    const disabled = await withTransaction(this.pool, async (client) => {
+      const factor = await this.requireActiveFactor(user, client);
+      if (!(await this.acceptTotp(client, factor, user.id, code))) return false;
+
+      await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [user.id]);
+      await client.query('DELETE FROM user_mfa_factors WHERE user_id = $1', [user.id]);
+      return true;
+    });
+
+    if (!disabled) {
+      await this.audit({ user, action: 'disabled', result: 'denied', reason: 'Invalid code', clientInfo });
+      throw new MfaError('Invalid authentication code', 'INVALID_CODE');
+    }
+
+    await this.audit({ user, action: 'disabled', clientInfo });
+    return this.getStatus(user);
+  }
+
+  // For a lost device: remove the factor and sign the user out everywhere
+  async resetForUser(userId, admin, clientInfo) {
+    if (typeof userId !== 'string' || !UUID_PATTERN.test(userId)) {
+      throw new MfaError('User not found', 'NOT_FOUND');
+    }
+
+    const target = await this.pool.query('SELECT id, role FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (target.rows.length === 0) {
+      throw new MfaError('User not found', 'NOT_FOUND');
+    }
+
+    const removed = await withTransaction(this.pool, async (client) => {
+      await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+      const result = await client.query('DELETE FROM user_mfa_factors WHERE user_id = $1 RETURNING id', [userId]);
+      await client.query('DELETE FROM mfa_challenges WHERE user_id = $1', [userId]);
+      return result.rows.length > 0;
+    });
+
+    if (!removed) {
+      throw new MfaError('User has no MFA factor', 'NOT_FOUND');
+    }
+
+    const sessionsRevoked = await this.revokeSessions(userId);
+    await this.audit({ user: admin, action: 'reset_by_admin', clientInfo, data: { targetUserId: userId, targetRole: target.rows[0].role } });
+    await this.audit({ user: target.rows[0], action: 'reset', reason: 'Reset by administrator', clientInfo, data: { adminId: admin.id } });
+    return { userId, sessionsRevoked };
+  }
+
+  // ============================================
+  // LOGIN CHALLENGES
+  // ============================================
+
+  /**
+   * After a correct password: users with MFA get a challenge to verify, users whose role
+   * requires MFA but who have not set it up get one that lets them enrol. Returns null
+   * when no second step is needed.
+   */
+  async createLoginChallenge(user, clientInfo = {}) {
+    const [factor, required] = await Promise.all([this.getFactor(user.id), this.isRequired(user.role)]);
+
+    let purpose = null;
+    if (factor && factor.status === 'active') {
+      purpose = CHALLENGE_PURPOSES.VERIFY;
+    } else if (required) {
+      purpose = CHALLENGE_PURPOSES.ENROLL;
+    }
+    if (!purpose) return null;
+
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+
+    await this.pool.query('DELETE FROM mfa_challenges WHERE expires_at < CURRENT_TIMESTAMP');
+    const result = await this.pool.query(`
+      INSERT INTO mfa_challenges (user_id, challenge_hash, purpose, ip_address, expires_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5::bigint * INTERVAL '1 millisecond'))
+      RETURNING expires_at
+    `, [
+      user.id,
+      hashChallenge(challengeToken),
+      purpose,
+      clientInfo.ipAddress && clientInfo.ipAddress !== 'unknown' ? clientInfo.ipAddress : null,
+      this.config.challengeTtlMs
+    ]);
+
+    await this.audit({ user, action: 'challenge_issued', clientInfo, data: { purpose } });
+    return {
+      challengeToken,
+      purpose,
+      methods: purpose === CHALLENGE_PURPOSES.VERIFY ? ['totp', 'recovery_code'] : ['totp'],
+      expiresAt: new Date(result.rows[0].expires_at).toISOString()
+    };
+  }
+
+  async loadChallenge(challengeToken, client = this.pool, { lock = false } = {}) {
+    if (typeof challengeToken !== 'string' || !challengeToken) {
+      throw new MfaError('Sign-in challenge is invalid or has expired', 'INVALID_CHALLENGE');
+    }
+
+    const result = await client.query(`
+      SELECT c.*, u.email, u.role
+      FROM mfa_challenges c
+      JOIN users u ON u.id = c.user_id
+      WHERE c.challenge_hash = $1 AND c.used_at IS NULL AND c.expires_at > CURRENT_TIMESTAMP
+      ${lock ? 'FOR UPDATE OF c' : ''}
+    `, [hashChallenge(challengeToken)]);
+
+    if (result.rows.length === 0) {
+      throw new MfaError('Sign-in challenge is invalid or has expired', 'INVALID_CHALLENGE');
+    }
+    return result.rows[0];
+  }
+
+  // Enrolment during login, for users whose role requires MFA
+  async startChallengeEnrollment(challengeToken, clientInfo) {
+    const challenge = await this.loadChallenge(challengeToken);
+    if (challenge.purpose !== CHALLENGE_PURPOSES.ENROLL) {
+      throw new MfaError('Multi-factor authentication is already enabled', 'CONFLICT');
+    }
+    return this.startEnrollment({ id: challenge.user_id, email: challenge.email, role: challenge.role }, clientInfo);
+  }
+
+  /**
+   * Answer a login challenge with a TOTP code (or, once enrolled, a recovery code).
+   * Wrong answers count against the challenge, which is burnt after the last attempt, and
+   * as failed logins, so a locked account cannot be signed into with a new challenge either.
+   * The account's login failures are only cleared once the challenge is passed.
+   * Returns the user id to issue tokens for, plus recovery codes when this enrolled them.
+   */
+  async completeChallenge(challengeToken, { code = null, recoveryCode = null }, clientInfo = {}) {
+    const throttle = this.loginThrottle || getLoginThrottleService();
+
+    const outcome = await withTransaction(this.pool, async (client) => {
+      const challenge = await this.loadChallenge(challengeToken, client, { lock: true });
+      const user = { id: challenge.user_id, email: challenge.email, role: challenge.role };
+      const activeLock = await throttle.getActiveLock(user.email, clientInfo.ipAddress);
+      if (activeLock) {
+        throw new MfaError('Sign-in is temporarily locked after repeated failures', 'LOCKED', { lock: activeLock });
+      }
+      const factor = await this.getFactor(user.id, client);
+
+      let method = null;
+      let recoveryCodes = null;
+
+      if (challenge.purpose === CHALLENGE_PURPOSES.ENROLL) {
+        if (!factor || factor.status !== 'pending') {
+          throw new MfaError('Start enrolment before answering this challenge', 'CONFLICT');
+        }
+        recoveryCodes = await this.activateFactor(client, factor, user, code);
+        method = recoveryCodes ? 'totp' : null;
+      } else if (!factor || factor.status !== 'active') {
+        throw new MfaError('Sign-in challenge is invalid or has expired', 'INVALID_CHALLENGE');
+      } else if (code) {
+        method = (await this.acceptTotp(client, factor, user.id, code)) ? 'totp' : null;
+      } else if (recoveryCode) {
+        method = (await this.acceptRecoveryCode(client, user.id, recoveryCode)) ? 'recovery_code' : null;
+      }
+
+      if (method) {
+        await client.query('UPDATE mfa_challenges SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [challenge.id]);
+        const remaining = await client.query(
+          'SELECT COUNT(*) AS remaining FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+          [user.id]
+        );
+        return { user, method, recoveryCodes, recoveryCodesRemaining: parseInt(remaining.rows[0].remaining, 10) };
+      }
+
+      const attempts = challenge.attempts + 1;
+      await client.query(`
+        UPDATE mfa_challenges
+        SET attempts = $2, used_at = CASE WHEN $2 >= $3 THEN CURRENT_TIMESTAMP END
+        WHERE id = $1
+      `, [challenge.id, attempts, this.config.maxChallengeAttempts]);
+      return { user, method: null, attemptsRemaining: Math.max(this.config.maxChallengeAttempts - attempts, 0) };
+    });
+
+    const { user, method } = outcome;
+
+    if (!method) {
+      await this.audit({
+        user,
+        action: 'challenge_failed',
+        result: 'denied',
+        reason: recoveryCode && !code ? 'Invalid recovery code' : 'Invalid code',
+        clientInfo,
+        data: { attemptsRemaining: outcome.attemptsRemaining }
+      });
+      const lock = await throttle.recordFailure(user.email, clientInfo, 'invalid_mfa_code');
+      if (lock) {
+        throw new MfaError('Sign-in is temporarily locked after repeated failures', 'LOCKED', { lock });
+      }
+      throw new MfaError('Invalid authentication code', 'INVALID_CODE', { attemptsRemaining: outcome.attemptsRemaining });
+    }
+
+    await throttle.recordSuccess(user.email);
+
+    await this.audit({
+      user,
+      action: outcome.recoveryCodes ? 'enrollment_confirmed' : 'challenge_passed',
+      clientInfo,
+      data: { method, recoveryCodesRemaining: outcome.recoveryCodesRemaining }
+    });
+
+    return {
+      userId: user.id,
+      method,
+      recoveryCodes: outcome.recoveryCodes,
+      recoveryCodesRemaining: outcome.recoveryCodesRemaining
+    };
+  }
+}
+
+// Singleton instance
+let mfaServiceInstance = null;
+
+const getMfaService = () => {
+  if (!mfaServiceInstance) {
+    mfaServiceInstance = new MfaService();
+  }
+  return mfaServiceInstance;
+};
+
+module.exports = {
+  MfaService,
+  getMfaService,
+  MfaError,
+  CHALLENGE_PURPOSES,
+  DEFAULT_REQUIRED_ROLES
+};
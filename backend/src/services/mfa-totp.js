@@ -0,0 +1,197 @@
+// TOTP (RFC 6238), recovery codes and MFA secret encryption (no database access)
+
+const crypto = require('crypto');
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALGORITHM = 'sha1'; // What authenticator apps assume when the URI names none
+const TOTP_WINDOW = 1; // Accept the previous and next step for clock drift
+const SECRET_BYTES = 20;
+
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // No 0/o, 1/l/i
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const DEVELOPMENT_MFA_KEY = 'development_mfa_encryption_key';
+
+class MfaError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'MfaError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+// ============================================
+// BASE32 (RFC 4648, unpadded as authenticator apps expect)
+// ============================================
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new MfaError('Secret is not valid base32', 'VALIDATION_ERROR');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// ============================================
+// TOTP
+// ============================================
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+// HOTP (RFC 4226) for one time step
+const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac(TOTP_ALGORITHM, base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a code against the current step and its neighbours. Returns the matching step,
+ * or null. Steps at or before lastUsedStep are refused so a code cannot be replayed.
+ */
+const verifyTotp = (secret, code, { now = Date.now(), lastUsedStep = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = getTimeStep(now);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= Number(lastUsedStep)) continue;
+
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const buildOtpauthUri = ({ issuer, accountName, secret }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM.toUpperCase(),
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// ============================================
+// RECOVERY CODES
+// ============================================
+
+// xxxxx-xxxxx from an unambiguous alphabet; only hashes are stored
+const generateRecoveryCodes = (count) => Array.from({ length: count }, () => {
+  const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+});
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// ============================================
+// SECRET ENCRYPTION
+// ============================================
+
+// 64 hex chars for a raw key; anything else is treated as a passphrase
+const parseMfaKey = (value) => {
+  const trimmed = String(value).trim();
+  if (/^[0-9a-f]{64}$/i.test(trimmed)) {
+    return Buffer.from(trimmed, 'hex');
+  }
+  return crypto.scryptSync(trimmed, 'mentra-mfa-secret-key', 32);
+};
+
+const loadMfaKey = (value, env = process.env) => {
+  if (!value) {
+    if (env.NODE_ENV === 'production') {
+      throw new MfaError('MFA_ENCRYPTION_KEY must be set in production', 'KEY_MISSING');
+    }
+    console.warn('⚠️  MFA_ENCRYPTION_KEY not set, using the development key. TOTP secrets are not protected.');
+    return parseMfaKey(DEVELOPMENT_MFA_KEY);
+  }
+  return parseMfaKey(value);
+};
+
+// AES-256-GCM with the user id as AAD, so a secret cannot be moved to another account
+const encryptSecret = (secret, key, userId) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+  cipher.setAAD(Buffer.from(String(userId), 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+};
+
+const decryptSecret = (payload, key, userId) => {
+  const data = Buffer.from(payload, 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key, data.subarray(0, IV_LENGTH), { authTagLength: TAG_LENGTH });
+  decipher.setAAD(Buffer.from(String(userId), 'utf8'));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  MfaError,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  loadMfaKey,
+  encryptSecret,
+  decryptSecret
+};
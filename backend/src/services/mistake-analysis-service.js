@@ -2,6 +2,8 @@ const { Pool } = require('pg');
 const { scaffoldingEngine } = require('./scaffolding-engine');
 const { safetyFilter } = require('./safety-filter');
 const { activityMonitor } = require('./activity-monitor');
+const { domainEvents, DOMAIN_EVENTS } = require('./domain-events');
+const { getReviewConfig } = require('../config/environment');
 
 // Mistake analysis error class
 class MistakeAnalysisError extends Error {
@@ -34,6 +36,24 @@ const MISTAKE_SEVERITY = {
   CRITICAL: 'critical'  // Severe error, requires immediate intervention
 };
 
+// Mistake type for each indicator the math answer checker reports
+const ANSWER_CHECK_MISTAKE_TYPES = {
+  sign_error: MISTAKE_TYPES.CARELESS,
+  rounding_error: MISTAKE_TYPES.COMPUTATIONAL,
+  place_value_error: MISTAKE_TYPES.COMPUTATIONAL,
+  reciprocal_error: MISTAKE_TYPES.PROCEDURAL,
+  unit_conversion_error: MISTAKE_TYPES.PROCEDURAL,
+  missing_units: MISTAKE_TYPES.COMMUNICATION,
+  wrong_units: MISTAKE_TYPES.CONCEPTUAL,
+  missing_solution: MISTAKE_TYPES.PROCEDURAL,
+  incomplete_solution: MISTAKE_TYPES.PROCEDURAL,
+  extraneous_solution: MISTAKE_TYPES.METACOGNITIVE // Solutions not checked in the equation
+};
+
+// The same mistake type this many times within the window is reported as a pattern
+const MISTAKE_PATTERN_THRESHOLD = 3;
+const MISTAKE_PATTERN_WINDOW_DAYS = 14;
+
 // Question types for guided remediation
 const QUESTION_TYPES = {
   DIAGNOSTIC: 'diagnostic',         // Understand the thinking process
@@ -431,7 +451,7 @@ class MistakeAnalysisService {
     };
 
     // Safety check
-    const safetyResult = await this.safetyFilter.checkContent(studentResponse);
+    const safetyResult = await this.safetyFilter.checkSafety(studentResponse, { strictMode: false, logViolations: false });
     analysis.safetyCheck = safetyResult;
 
     return analysis;
@@ -439,6 +459,11 @@ class MistakeAnalysisService {
 
   // Subject-specific mistake analysis
   async analyzeBySubject(studentResponse, expectedResponse, subject, stepContext) {
+    // A checked math answer is analysed as maths whatever the problem's subject
+    if (stepContext && stepContext.answerCheck) {
+      return this.analyzeMathMistakes(studentResponse, expectedResponse, stepContext);
+    }
+
     switch (subject) {
       case 'arithmetic':
       case 'algebra':
@@ -589,6 +614,22 @@ class MistakeAnalysisService {
       patterns: []
     };
 
+    // The answer checker's verdict (math-answer-checker.js) says what went wrong, so the
+    // surface heuristics below would only add noise (a correct "0.5" for "1/2" is not a decimal mistake)
+    const answerCheck = stepContext && stepContext.answerCheck;
+    if (answerCheck && answerCheck.checked) {
+      analysis.indicators.push(...answerCheck.indicators);
+      analysis.matchedPatterns = answerCheck.indicators
+        .filter(indicator => ANSWER_CHECK_MISTAKE_TYPES[indicator])
+        .map(indicator => ({ type: ANSWER_CHECK_MISTAKE_TYPES[indicator], pattern: indicator, confidence: 0.9 }));
+      if (!answerCheck.correct && analysis.matchedPatterns.length === 0) {
+        // A wrong answer without a recognisable slip
+        analysis.indicators.push('procedural_error');
+      }
+      analysis.confidence = 0.9;
+      return analysis;
+    }
+
     // Check for common math mistake patterns
     const mathPatterns = [
       { pattern: /\d+\s*[\+\-\*\/]\s*\d+\s*=\s*\d+/, type: 'computational' },
@@ -976,6 +1017,46 @@ class MistakeAnalysisService {
     }
   }
 
+  // Publish a mistake pattern event when a type of mistake just logged for a student
+  // reaches the threshold within the window. Fires once per crossing, not on every later mistake.
+  async detectMistakePatterns(studentId, sessionId, loggedMistakeTypes = []) {
+    const newlyLogged = loggedMistakeTypes.filter(Boolean).reduce((counts, type) => {
+      counts[type] = (counts[type] || 0) + 1;
+      return counts;
+    }, {});
+    if (Object.keys(newlyLogged).length === 0) return [];
+
+    try {
+      const result = await this.pool.query(`
+        SELECT pm.mistake_type, COUNT(*) as occurrences, COUNT(DISTINCT pm.session_id) as session_count
+        FROM problem_mistakes pm
+        JOIN problem_sessions ps ON pm.session_id = ps.id
+        WHERE ps.student_id = $1 AND pm.mistake_type = ANY($2)
+          AND pm.detected_at >= NOW() - ($3 || ' days')::INTERVAL
+        GROUP BY pm.mistake_type
+      `, [studentId, Object.keys(newlyLogged), String(MISTAKE_PATTERN_WINDOW_DAYS)]);
+
+      const patterns = result.rows.filter(row => {
+        const occurrences = parseInt(row.occurrences);
+        return occurrences >= MISTAKE_PATTERN_THRESHOLD &&
+          occurrences - newlyLogged[row.mistake_type] < MISTAKE_PATTERN_THRESHOLD;
+      });
+
+      return patterns.map(row => domainEvents.publish(DOMAIN_EVENTS.MISTAKE_PATTERN_DETECTED, {
+        studentId,
+        sessionId,
+        mistakeType: row.mistake_type,
+        occurrences: parseInt(row.occurrences),
+        sessionCount: parseInt(row.session_count),
+        windowDays: MISTAKE_PATTERN_WINDOW_DAYS
+      }));
+    } catch (error) {
+      // Pattern detection must never fail a step submission
+      console.error('Error detecting mistake patterns:', error.message);
+      return [];
+    }
+  }
+
   // Health check
   async healthCheck() {
     try {
@@ -1103,12 +1184,25 @@ class MistakeAnalysisService {
     };
   }
 
+  // Logged mistakes are scheduled for spaced review by the review service; the plan says when
   async createLongTermPlan(mistakeClassification, studentId) {
-    return {
+    const reviewConfig = getReviewConfig();
+    const plan = {
       recommendations: ['Regular practice sessions'],
       resources: ['Additional learning materials'],
       monitoring: ['Track progress on similar problems']
     };
+
+    if (reviewConfig.enabled) {
+      const days = reviewConfig.firstIntervalDays;
+      plan.recommendations.push(
+        `Review this ${mistakeClassification.primaryType} mistake in ${days} day${days === 1 ? '' : 's'}, then at growing intervals`
+      );
+      plan.monitoring.push('Review queue on the student dashboard');
+      plan.reviewSchedule = { firstReviewInDays: days };
+    }
+
+    return plan;
   }
 
   async createAdaptiveModifications(mistakeClassification, stepContext, studentId) {
@@ -1136,5 +1230,7 @@ module.exports = {
   MistakeAnalysisError,
   MISTAKE_TYPES,
   MISTAKE_SEVERITY,
-  QUESTION_TYPES
+  QUESTION_TYPES,
+  MISTAKE_PATTERN_THRESHOLD,
+  MISTAKE_PATTERN_WINDOW_DAYS
 }; 
\ No newline at end of file
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { getNotificationChannelConfig } = require('../config/environment');
+
+// Delivery channels a notification type or preference can list
+const NOTIFICATION_CHANNELS = {
+  IN_APP: 'in_app',
+  EMAIL: 'email',
+  SMS: 'sms',
+  CONSOLE: 'console' // Console/file sink for local testing
+};
+
+// SMS gateways split long messages; keep notifications to a few segments
+const SMS_MAX_LENGTH = 480;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+class NotificationChannelError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'NotificationChannelError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+
+  // Permanent failures (bad address, rejected by provider) are not retried
+  get retryable() {
+    return this.details.retryable !== false;
+  }
+}
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Replace {{ variable }} and {{ nested.path }} placeholders; unknown variables render empty
+const renderTemplate = (template, variables = {}, { html = false } = {}) => {
+  if (!template) return '';
+
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), variables);
+    if (value === undefined || value === null) return '';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return html ? escapeHtml(text) : text;
+  });
+};
+
+// ============================================
+// QUIET HOURS & RETRIES
+// ============================================
+
+const parseTimeOfDay = (value) => {
+  if (!value) return null;
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value));
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+const getMinutesInTimezone = (date, timezone) => {
+  const format = (timeZone) => new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  let parts;
+  try {
+    parts = format(timezone || 'UTC');
+  } catch (error) {
+    parts = format('UTC'); // Unknown timezone names fall back to UTC
+  }
+
+  const hour = parseInt(parts.find(p => p.type === 'hour').value, 10);
+  const minute = parseInt(parts.find(p => p.type === 'minute').value, 10);
+  return hour * 60 + minute;
+};
+
+/**
+ * When a delivery falls inside the recipient's quiet hours, return the time they end.
+ * Returns null outside quiet hours or when none are set. Windows may wrap midnight (22:00-07:00).
+ */
+const getQuietHoursEnd = (quietStart, quietEnd, timezone, now = new Date()) => {
+  const start = parseTimeOfDay(quietStart);
+  const end = parseTimeOfDay(quietEnd);
+  if (start === null || end === null || start === end) return null;
+
+  const current = getMinutesInTimezone(now, timezone);
+  const inQuietHours = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!inQuietHours) return null;
+
+  const minutesUntilEnd = (end - current + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + minutesUntilEnd * 60000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+};
+
+// Exponential backoff: base, 2x, 4x ... capped at six hours
+const getRetryDelay = (attemptNumber, baseDelayMs) => {
+  return Math.min(baseDelayMs * Math.pow(2, Math.max(attemptNumber - 1, 0)), MAX_RETRY_DELAY_MS);
+};
+
+// ============================================
+// CHANNEL ADAPTERS
+// ============================================
+
+// Base channel adapter class
+class BaseChannelAdapter {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+    this.provider = 'base';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Abstract method: send { to, subject, text, html, notificationId }
+  // Resolves { status: 'sent' | 'delivered', externalId, response }
+  async send(message) {
+    throw new Error('send must be implemented by subclass');
+  }
+}
+
+// SMTP email via nodemailer
+class EmailChannelAdapter extends BaseChannelAdapter {
+  constructor(config) {
+    super(config);
+    this.name = NOTIFICATION_CHANNELS.EMAIL;
+    this.provider = 'smtp';
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return !!this.config.host;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: this.config.host,
+        port: this.config.port,
+        secure: this.config.secure,
+        auth: this.config.user ? { user: this.config.user, pass: this.config.pass } : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  async send({ to, subject, text, html }) {
+    let info;
+    try {
+      info = await this.getTransporter().sendMail({ from: this.config.from, to, subject, text, html });
+    } catch (error) {
+      // 5xx replies are permanent rejections; connection errors and 4xx are worth retrying
+      throw new NotificationChannelError(`SMTP delivery failed: ${error.message}`, 'SMTP_ERROR', {
+        code: error.responseCode ? `SMTP_${error.responseCode}` : error.code,
+        retryable: !(error.responseCode >= 500)
+      });
+    }
+
+    if (info.rejected && info.rejected.length > 0) {
+      throw new NotificationChannelError(`Recipient rejected: ${info.rejected.join(', ')}`, 'RECIPIENT_REJECTED', {
+        code: 'RECIPIENT_REJECTED',
+        retryable: false
+      });
+    }
+
+    return { status: 'sent', externalId: info.messageId, response: info.response };
+  }
+}
+
+// SMS through an HTTP gateway: POST { to, from, message, reference } with a bearer key
+class SmsChannelAdapter extends BaseChannelAdapter {
+  constructor(config) {
+    super(config);
+    this.name = NOTIFICATION_CHANNELS.SMS;
+    this.provider = 'http-gateway';
+  }
+
+  isConfigured() {
+    return !!this.config.gatewayUrl;
+  }
+
+  async send({ to, text, notificationId }) {
+    const body = text.length > SMS_MAX_LENGTH ? `${text.substring(0, SMS_MAX_LENGTH - 1)}…` : text;
+
+    try {
+      const response = await axios.post(this.config.gatewayUrl, {
+        to,
+        from: this.config.senderId,
+        message: body,
+        reference: notificationId ? String(notificationId) : undefined
+      }, {
+        headers: this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {},
+        timeout: this.config.timeout
+      });
+
+      const data = response.data || {};
+      return {
+        status: 'sent',
+        externalId: data.id || data.messageId || data.sid || null,
+        response: JSON.stringify(data).substring(0, 1000)
+      };
+    } catch (error) {
+      const status = error.response?.status;
+      // Network errors, throttling and gateway outages are retried; other 4xx mean a bad request or number
+      throw new NotificationChannelError(`SMS gateway delivery failed: ${error.message}`, 'SMS_GATEWAY_ERROR', {
+        code: status ? `HTTP_${status}` : error.code,
+        retryable: !status || status === 429 || status >= 500
+      });
+    }
+  }
+}
+
+// Writes messages to the console or a JSON-lines file instead of sending them
+class SinkChannelAdapter extends BaseChannelAdapter {
+  constructor(config) {
+    super(config);
+    this.name = NOTIFICATION_CHANNELS.CONSOLE;
+    this.provider = config.type === 'file' ? 'file-sink' : 'console-sink';
+  }
+
+  async send(message) {
+    const record = {
+      sentAt: new Date().toISOString(),
+      channel: message.channel || this.name,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      notificationId: message.notificationId
+    };
+
+    if (this.config.type === 'file') {
+      await fs.promises.mkdir(path.dirname(this.config.file), { recursive: true });
+      await fs.promises.appendFile(this.config.file, JSON.stringify(record) + '\n');
+    } else {
+      console.log(`📨 [${record.channel} → ${record.to}] ${record.subject || ''}\n${record.text}`);
+    }
+
+    return { status: 'delivered', externalId: null, response: this.provider };
+  }
+}
+
+const createChannelAdapters = (config = getNotificationChannelConfig()) => ({
+  [NOTIFICATION_CHANNELS.EMAIL]: new EmailChannelAdapter(config.email),
+  [NOTIFICATION_CHANNELS.SMS]: new SmsChannelAdapter(config.sms),
+  [NOTIFICATION_CHANNELS.CONSOLE]: new SinkChannelAdapter(config.sink)
+});
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  SMS_MAX_LENGTH,
+  NotificationChannelError,
+  BaseChannelAdapter,
+  EmailChannelAdapter,
+  SmsChannelAdapter,
+  SinkChannelAdapter,
+  createChannelAdapters,
+  renderTemplate,
+  escapeHtml,
+  getQuietHoursEnd,
+  getRetryDelay
+};
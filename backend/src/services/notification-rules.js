@@ -0,0 +1,221 @@
+const { DOMAIN_EVENTS } = require('./domain-events');
+
+// Comparison operators for { field, op, value } conditions
+const CONDITION_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'not_in', 'contains', 'exists'];
+
+// Recipients relative to the event's student
+const TARGET_RELATIONS = {
+  STUDENT: 'student',   // The student the event is about
+  PARENTS: 'parents',   // Their active parents/guardians
+  TEACHERS: 'teachers', // Their assigned teachers
+  CREATOR: 'creator'    // Whoever wrote the rule
+};
+
+// Teachers may only notify people connected to their own students
+const TEACHER_TARGET_RELATIONS = [TARGET_RELATIONS.STUDENT, TARGET_RELATIONS.PARENTS, TARGET_RELATIONS.CREATOR];
+
+const MAX_CONDITION_DEPTH = 8;
+const MAX_DELAY_MINUTES = 7 * 24 * 60;
+const MAX_FREQUENCY_WINDOW_HOURS = 30 * 24;
+
+class NotificationRuleError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'NotificationRuleError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+// ============================================
+// CONDITIONS
+// ============================================
+
+const getValueAtPath = (data, path) => String(path).split('.')
+  .reduce((obj, part) => (obj == null ? undefined : obj[part]), data);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isComparison = (condition) => isPlainObject(condition) && typeof condition.field === 'string' && 'op' in condition;
+
+const compare = (op, actual, expected) => {
+  switch (op) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'gt': return actual !== undefined && actual !== null && Number(actual) > Number(expected);
+    case 'gte': return actual !== undefined && actual !== null && Number(actual) >= Number(expected);
+    case 'lt': return actual !== undefined && actual !== null && Number(actual) < Number(expected);
+    case 'lte': return actual !== undefined && actual !== null && Number(actual) <= Number(expected);
+    case 'in': return Array.isArray(expected) && expected.includes(actual);
+    case 'not_in': return Array.isArray(expected) && !expected.includes(actual);
+    case 'contains':
+      if (Array.isArray(actual)) return actual.includes(expected);
+      return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+    case 'exists': return (actual !== undefined && actual !== null) === (expected !== false);
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate a condition expression against event data:
+ *   { "all": [...] }, { "any": [...] }, { "not": {...} }
+ *   { "field": "previousStreak", "op": "gte", "value": 7 }
+ *   { "mistakeType": "conceptual" }  (plain object: every key must equal)
+ * An empty or missing expression always matches.
+ */
+const evaluateCondition = (condition, data = {}) => {
+  if (condition === null || condition === undefined) return true;
+  if (Array.isArray(condition)) return condition.every(item => evaluateCondition(item, data));
+  if (!isPlainObject(condition)) return false;
+
+  if ('all' in condition) return condition.all.every(item => evaluateCondition(item, data));
+  if ('any' in condition) return condition.any.some(item => evaluateCondition(item, data));
+  if ('not' in condition) return !evaluateCondition(condition.not, data);
+  if (isComparison(condition)) return compare(condition.op, getValueAtPath(data, condition.field), condition.value);
+
+  return Object.entries(condition).every(([path, expected]) => getValueAtPath(data, path) === expected);
+};
+
+// List problems with a condition expression; an empty list means it is valid
+const validateCondition = (condition, path = 'conditions', depth = 0) => {
+  if (condition === null || condition === undefined) return [];
+  if (depth > MAX_CONDITION_DEPTH) return [`${path} is nested too deeply`];
+
+  if (Array.isArray(condition)) {
+    return condition.flatMap((item, index) => validateCondition(item, `${path}[${index}]`, depth + 1));
+  }
+  if (!isPlainObject(condition)) return [`${path} must be an object`];
+
+  for (const group of ['all', 'any']) {
+    if (group in condition) {
+      if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+        return [`${path}.${group} must be a non-empty array`];
+      }
+      return condition[group].flatMap((item, index) => validateCondition(item, `${path}.${group}[${index}]`, depth + 1));
+    }
+  }
+  if ('not' in condition) {
+    return validateCondition(condition.not, `${path}.not`, depth + 1);
+  }
+
+  if ('op' in condition || 'field' in condition) {
+    const errors = [];
+    if (typeof condition.field !== 'string' || !condition.field) errors.push(`${path}.field must be a field name`);
+    if (!CONDITION_OPERATORS.includes(condition.op)) {
+      errors.push(`${path}.op must be one of: ${CONDITION_OPERATORS.join(', ')}`);
+    } else if (['in', 'not_in'].includes(condition.op) && !Array.isArray(condition.value)) {
+      errors.push(`${path}.value must be an array for ${condition.op}`);
+    } else if (condition.op !== 'exists' && !('value' in condition)) {
+      errors.push(`${path}.value is required`);
+    }
+    return errors;
+  }
+
+  return Object.values(condition).some(value => isPlainObject(value))
+    ? [`${path} equality values must not be objects; use { field, op, value }`]
+    : [];
+};
+
+// ============================================
+// RULE DEFINITIONS
+// ============================================
+
+// 'unlimited', 'once', or a number of notifications per recipient per window
+const parseMaxFrequency = (maxFrequency) => {
+  if (maxFrequency === undefined || maxFrequency === null || maxFrequency === 'unlimited') return null;
+  if (maxFrequency === 'once') return 1;
+  const limit = Number(maxFrequency);
+  return Number.isInteger(limit) && limit > 0 ? limit : NaN;
+};
+
+const validateTargetCriteria = (criteria, role) => {
+  if (!isPlainObject(criteria)) return ['targetCriteria must be an object'];
+
+  const errors = [];
+  const { relations = [], roles, userIds, userId, role: legacyRole } = criteria;
+  const allowedRelations = role === 'admin' ? Object.values(TARGET_RELATIONS) : TEACHER_TARGET_RELATIONS;
+
+  if (!Array.isArray(relations) || relations.some(relation => !allowedRelations.includes(relation))) {
+    errors.push(`targetCriteria.relations may include: ${allowedRelations.join(', ')}`);
+  }
+
+  const broadTargets = roles !== undefined || userIds !== undefined || userId !== undefined || legacyRole !== undefined;
+  if (broadTargets && role !== 'admin') {
+    errors.push('Only admins can target roles or specific users');
+  }
+  if (roles !== undefined && (!Array.isArray(roles) || roles.some(r => !['student', 'teacher', 'parent', 'admin'].includes(r)))) {
+    errors.push('targetCriteria.roles must be a list of student, teacher, parent or admin');
+  }
+  if (userIds !== undefined && !Array.isArray(userIds)) {
+    errors.push('targetCriteria.userIds must be an array');
+  }
+
+  const hasTarget = (Array.isArray(relations) && relations.length > 0) ||
+    (Array.isArray(roles) && roles.length > 0) || (Array.isArray(userIds) && userIds.length > 0) || userId || legacyRole;
+  if (!hasTarget) {
+    errors.push('targetCriteria must name at least one recipient');
+  }
+
+  return errors;
+};
+
+/**
+ * Validate rule input from the API. With partial, only the fields given are checked (updates).
+ * Throws NotificationRuleError (VALIDATION_ERROR) listing every problem.
+ */
+const validateRuleInput = (input, { role, partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+  const required = (field) => !partial || has(field);
+
+  if (required('name') && (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 200)) {
+    errors.push('name is required (200 characters max)');
+  }
+  if (required('typeKey') && (typeof input.typeKey !== 'string' || !input.typeKey)) {
+    errors.push('typeKey must name a notification type');
+  }
+  if (required('triggerEvent') && !Object.values(DOMAIN_EVENTS).includes(input.triggerEvent)) {
+    errors.push(`triggerEvent must be one of: ${Object.values(DOMAIN_EVENTS).join(', ')}`);
+  }
+  if (has('conditions')) {
+    errors.push(...validateCondition(input.conditions));
+  }
+  if (required('targetCriteria')) {
+    errors.push(...validateTargetCriteria(input.targetCriteria, role));
+  }
+  if (!partial && !input.templateId && (!input.subject || !input.body)) {
+    errors.push('subject and body are required unless templateId is given');
+  }
+  if (has('templateId') && input.templateId !== null && !Number.isInteger(input.templateId)) {
+    errors.push('templateId must be an integer');
+  }
+  if (has('delayMinutes') && (!Number.isInteger(input.delayMinutes) || input.delayMinutes < 0 || input.delayMinutes > MAX_DELAY_MINUTES)) {
+    errors.push(`delayMinutes must be between 0 and ${MAX_DELAY_MINUTES}`);
+  }
+  if (has('maxFrequency') && Number.isNaN(parseMaxFrequency(input.maxFrequency))) {
+    errors.push("maxFrequency must be 'unlimited', 'once' or a positive number");
+  }
+  if (has('frequencyWindowHours') &&
+      (!Number.isInteger(input.frequencyWindowHours) || input.frequencyWindowHours < 1 || input.frequencyWindowHours > MAX_FREQUENCY_WINDOW_HOURS)) {
+    errors.push(`frequencyWindowHours must be between 1 and ${MAX_FREQUENCY_WINDOW_HOURS}`);
+  }
+  if (has('isActive') && typeof input.isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+
+  if (errors.length > 0) {
+    throw new NotificationRuleError('Invalid notification rule', 'VALIDATION_ERROR', { errors });
+  }
+};
+
+module.exports = {
+  CONDITION_OPERATORS,
+  TARGET_RELATIONS,
+  NotificationRuleError,
+  evaluateCondition,
+  validateCondition,
+  validateRuleInput,
+  parseMaxFrequency,
+  getValueAtPath
+};
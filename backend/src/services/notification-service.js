@@ -3,11 +3,44 @@
 
 const { Pool } = require('pg');
 const EventEmitter = require('events');
+const { getNotificationChannelConfig } = require('../config/environment');
+const {
+  NOTIFICATION_CHANNELS,
+  NotificationChannelError,
+  createChannelAdapters,
+  renderTemplate,
+  getQuietHoursEnd,
+  getRetryDelay
+} = require('./notification-channels');
+const { domainEvents } = require('./domain-events');
+const {
+  TARGET_RELATIONS,
+  NotificationRuleError,
+  evaluateCondition,
+  validateRuleInput,
+  parseMaxFrequency
+} = require('./notification-rules');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL
 });
 
+// Roles that receive live session alerts for their students
+const SESSION_ALERT_ROLES = ['teacher', 'admin'];
+const SESSION_ALERT_POLL_MS = parseInt(process.env.SESSION_ALERT_POLL_MS) || 10000;
+
+// Rules with their notification type, template text and the role of the rule's author
+const NOTIFICATION_RULE_SELECT = `
+  SELECT nr.*, nt.type_key,
+         COALESCE(t.subject_template, nt.template_subject) as template_subject,
+         COALESCE(t.body_template, nt.template_body) as template_body,
+         cu.role as creator_role
+  FROM notification_rules nr
+  JOIN notification_types nt ON nr.notification_type_id = nt.id
+  LEFT JOIN notification_templates t ON t.id = nr.template_id
+  LEFT JOIN users cu ON cu.id = nr.created_by
+`;
+
 /**
  * Notification Service - Handles all notification functionality
  * - Creates and manages notifications
@@ -21,12 +54,26 @@ class NotificationService extends EventEmitter {
     this.realtimeConnections = new Map(); // Store WebSocket connections
     this.deliveryQueue = [];
     this.isProcessingQueue = false;
+    this.sessionAlertCursor = null; // created_at of the last session alert pushed
+    this.isPollingSessionAlerts = false;
+    this.channelConfig = getNotificationChannelConfig();
+    this.channelAdapters = createChannelAdapters(this.channelConfig);
+    this.isProcessingChannelRetries = false;
     
     // Start processing queue
     setInterval(() => this.processDeliveryQueue(), 5000); // Every 5 seconds
+
+    // Push new session alerts to connected teachers
+    setInterval(() => this.deliverSessionAlerts(), SESSION_ALERT_POLL_MS);
+
+    // Send email/SMS retries and deliveries held for quiet hours
+    setInterval(() => this.processChannelRetries(), 30000); // Every 30 seconds
     
     // Cleanup old notifications daily
     setInterval(() => this.cleanupOldNotifications(), 24 * 60 * 60 * 1000); // Daily
+
+    // Turn domain events into notifications via notification_rules
+    this.subscribeToDomainEvents();
   }
 
   /**
@@ -45,23 +92,24 @@ class NotificationService extends EventEmitter {
     expiresAt = null,
     priority = 'medium',
     tags = [],
-    threadId = null
+    threadId = null,
+    ruleId = null
   }) {
     try {
       const result = await pool.query(`
         INSERT INTO notifications (
           notification_type_id, recipient_id, sender_id, title, message, data,
           action_url, action_text, scheduled_for, expires_at, priority, tags, thread_id,
-          action_required
+          action_required, rule_id
         )
-        SELECT nt.id, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
+        SELECT nt.id, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15
         FROM notification_types nt
         WHERE nt.type_key = $1
         RETURNING id, notification_type_id, scheduled_for
       `, [
         typeKey, recipientId, senderId, title, message, JSON.stringify(data),
         actionUrl, actionText, scheduledFor, expiresAt, priority, tags, threadId,
-        !!actionUrl
+        !!actionUrl, ruleId
       ]);
 
       if (result.rows.length === 0) {
@@ -446,32 +494,48 @@ class NotificationService extends EventEmitter {
     }
   }
 
+  /**
+   * Load a notification with everything channel delivery needs
+   */
+  async getNotificationForDelivery(notificationId) {
+    const result = await pool.query(`
+      SELECT 
+        n.*,
+        nt.type_key,
+        nt.name as type_name,
+        nt.template_subject,
+        nt.template_body,
+        nt.channels as default_channels,
+        u.id as user_id,
+        u.role as user_role,
+        u.email as user_email,
+        u.first_name as user_first_name,
+        u.last_name as user_last_name,
+        COALESCE(np.channels, nt.channels) as delivery_channels,
+        COALESCE(np.enabled, nt.default_enabled) as enabled,
+        np.quiet_hours_start,
+        np.quiet_hours_end,
+        np.timezone
+      FROM notifications n
+      JOIN notification_types nt ON n.notification_type_id = nt.id
+      JOIN users u ON n.recipient_id = u.id
+      LEFT JOIN notification_preferences np ON nt.id = np.notification_type_id AND np.user_id = u.id
+      WHERE n.id = $1
+    `, [notificationId]);
+
+    return result.rows[0] || null;
+  }
+
   /**
    * Deliver notification to user
    */
   async deliverNotification(notificationId) {
     try {
-      const result = await pool.query(`
-        SELECT 
-          n.*,
-          nt.type_key,
-          nt.channels as default_channels,
-          u.id as user_id,
-          u.role as user_role,
-          COALESCE(np.channels, nt.channels) as delivery_channels,
-          COALESCE(np.enabled, nt.default_enabled) as enabled
-        FROM notifications n
-        JOIN notification_types nt ON n.notification_type_id = nt.id
-        JOIN users u ON n.recipient_id = u.id
-        LEFT JOIN notification_preferences np ON nt.id = np.notification_type_id AND np.user_id = u.id
-        WHERE n.id = $1 AND n.status = 'sent'
-      `, [notificationId]);
+      const notification = await this.getNotificationForDelivery(notificationId);
 
-      if (result.rows.length === 0) {
+      if (!notification || notification.status !== 'sent') {
         return;
       }
-
-      const notification = result.rows[0];
       
       // Check if user has notifications enabled for this type
       if (!notification.enabled) {
@@ -483,9 +547,25 @@ class NotificationService extends EventEmitter {
         return;
       }
 
+      const channels = notification.delivery_channels || [NOTIFICATION_CHANNELS.IN_APP];
+
       // Deliver via real-time channel (WebSocket)
-      if (notification.delivery_channels.includes('in_app')) {
+      if (channels.includes(NOTIFICATION_CHANNELS.IN_APP)) {
         await this.deliverViaRealtime(notification);
+
+        // Log delivery
+        await pool.query(`
+          INSERT INTO notification_delivery_log (
+            notification_id, channel, status, sent_at, delivered_at
+          ) VALUES ($1, 'in_app', 'delivered', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `, [notificationId]);
+      }
+
+      // Email, SMS and sink channels succeed, retry or wait for quiet hours on their own
+      for (const channel of channels) {
+        if (channel !== NOTIFICATION_CHANNELS.IN_APP) {
+          await this.deliverViaChannel(notification, channel);
+        }
       }
 
       // Mark as delivered
@@ -495,12 +575,7 @@ class NotificationService extends EventEmitter {
         WHERE id = $1
       `, [notificationId]);
 
-      // Log delivery
-      await pool.query(`
-        INSERT INTO notification_delivery_log (
-          notification_id, channel, status, sent_at, delivered_at
-        ) VALUES ($1, 'in_app', 'delivered', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      `, [notificationId]);
+      this.emit('notificationDelivered', { notificationId, userId: notification.recipient_id });
 
     } catch (error) {
       console.error('Error delivering notification:', error);
@@ -515,13 +590,279 @@ class NotificationService extends EventEmitter {
     }
   }
 
+  /**
+   * Adapter for a channel. Outside production, unconfigured email/SMS go to the sink.
+   */
+  getChannelAdapter(channel) {
+    const adapter = this.channelAdapters[channel];
+    if (!adapter) {
+      return null;
+    }
+
+    if (!adapter.isConfigured()) {
+      return this.channelConfig.useSinkFallback ? this.channelAdapters[NOTIFICATION_CHANNELS.CONSOLE] : null;
+    }
+
+    return adapter;
+  }
+
+  /**
+   * Deliver one notification over an email, SMS or sink channel.
+   * Every attempt is a row in notification_delivery_log; pending attempts stay 'queued'
+   * with next_attempt_at until processChannelRetries picks them up.
+   */
+  async deliverViaChannel(notification, channel, { attemptNumber = 1, logId = null } = {}) {
+    try {
+      if (!this.channelAdapters[channel]) {
+        throw new NotificationChannelError(`Unknown delivery channel: ${channel}`, 'UNKNOWN_CHANNEL', { retryable: false });
+      }
+
+      const adapter = this.getChannelAdapter(channel);
+      if (!adapter) {
+        throw new NotificationChannelError(`Channel ${channel} is not configured`, 'CHANNEL_NOT_CONFIGURED', { retryable: false });
+      }
+
+      // Urgent notifications ignore quiet hours
+      const quietHoursEnd = notification.priority === 'urgent'
+        ? null
+        : getQuietHoursEnd(notification.quiet_hours_start, notification.quiet_hours_end, notification.timezone);
+
+      if (quietHoursEnd) {
+        await this.scheduleChannelAttempt(notification.id, channel, attemptNumber, quietHoursEnd, 'QUIET_HOURS', logId);
+        await this.updateChannelStatus(notification.id, channel, 'deferred');
+        return 'deferred';
+      }
+
+      const to = await this.getChannelAddress(notification, channel);
+      if (!to) {
+        throw new NotificationChannelError(`No ${channel} address for recipient`, 'NO_ADDRESS', { retryable: false });
+      }
+
+      const message = await this.renderChannelMessage(notification, channel);
+
+      if (!logId) {
+        const logResult = await pool.query(`
+          INSERT INTO notification_delivery_log (notification_id, channel, status, attempt_number, provider)
+          VALUES ($1, $2, 'queued', $3, $4)
+          RETURNING id
+        `, [notification.id, channel, attemptNumber, adapter.provider]);
+        logId = logResult.rows[0].id;
+      }
+
+      const result = await adapter.send({ ...message, to, channel, notificationId: notification.id });
+
+      await pool.query(`
+        UPDATE notification_delivery_log
+        SET status = $2, provider = $3, external_id = $4, delivery_response = $5,
+            sent_at = CURRENT_TIMESTAMP,
+            delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE NULL END,
+            next_attempt_at = NULL, error_message = NULL, error_code = NULL
+        WHERE id = $1
+      `, [logId, result.status, adapter.provider, result.externalId, result.response]);
+
+      await this.updateChannelStatus(notification.id, channel, result.status);
+      return result.status;
+    } catch (error) {
+      return this.recordChannelFailure(notification, channel, attemptNumber, logId, error);
+    }
+  }
+
+  /**
+   * Log a failed attempt and queue the next one with exponential backoff
+   */
+  async recordChannelFailure(notification, channel, attemptNumber, logId, error) {
+    const retryable = !(error instanceof NotificationChannelError) || error.retryable;
+    const errorCode = (error.details && error.details.code) || error.type || error.code || 'DELIVERY_ERROR';
+
+    console.error(`❌ ${channel} delivery failed for notification ${notification.id} (attempt ${attemptNumber}):`, error.message);
+
+    try {
+      const code = String(errorCode).substring(0, 50);
+      if (logId) {
+        await pool.query(`
+          UPDATE notification_delivery_log
+          SET status = 'failed', failed_at = CURRENT_TIMESTAMP, next_attempt_at = NULL,
+              error_message = $2, error_code = $3
+          WHERE id = $1
+        `, [logId, error.message, code]);
+      } else {
+        await pool.query(`
+          INSERT INTO notification_delivery_log (
+            notification_id, channel, status, attempt_number, error_message, error_code, failed_at
+          ) VALUES ($1, $2, 'failed', $3, $4, $5, CURRENT_TIMESTAMP)
+        `, [notification.id, channel, attemptNumber, error.message, code]);
+      }
+
+      if (retryable && attemptNumber < this.channelConfig.maxAttempts) {
+        const nextAttemptAt = new Date(Date.now() + getRetryDelay(attemptNumber, this.channelConfig.retryBaseDelayMs));
+        await this.scheduleChannelAttempt(notification.id, channel, attemptNumber + 1, nextAttemptAt, 'RETRY');
+        await this.updateChannelStatus(notification.id, channel, 'retrying');
+        return 'retrying';
+      }
+
+      await this.updateChannelStatus(notification.id, channel, 'failed');
+    } catch (logError) {
+      console.error('Error recording channel delivery failure:', logError);
+    }
+
+    return 'failed';
+  }
+
+  /**
+   * Queue a future attempt, or move an existing queued attempt (quiet hours)
+   */
+  async scheduleChannelAttempt(notificationId, channel, attemptNumber, nextAttemptAt, reason, logId = null) {
+    if (logId) {
+      await pool.query(`
+        UPDATE notification_delivery_log
+        SET next_attempt_at = $2, error_code = $3
+        WHERE id = $1
+      `, [logId, nextAttemptAt, reason]);
+      return logId;
+    }
+
+    const result = await pool.query(`
+      INSERT INTO notification_delivery_log (
+        notification_id, channel, status, attempt_number, next_attempt_at, error_code
+      ) VALUES ($1, $2, 'queued', $3, $4, $5)
+      RETURNING id
+    `, [notificationId, channel, attemptNumber, nextAttemptAt, reason]);
+    return result.rows[0].id;
+  }
+
+  /**
+   * Run channel attempts that have come due (retries and quiet-hours holds)
+   */
+  async processChannelRetries() {
+    if (this.isProcessingChannelRetries) {
+      return;
+    }
+
+    this.isProcessingChannelRetries = true;
+
+    try {
+      // Lease due rows so another process does not send them too; a crashed attempt is picked up again later
+      const result = await pool.query(`
+        UPDATE notification_delivery_log
+        SET next_attempt_at = CURRENT_TIMESTAMP + INTERVAL '10 minutes'
+        WHERE id IN (
+          SELECT id FROM notification_delivery_log
+          WHERE status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP
+          ORDER BY next_attempt_at
+          LIMIT 20
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, notification_id, channel, attempt_number
+      `);
+
+      for (const attempt of result.rows) {
+        const notification = await this.getNotificationForDelivery(attempt.notification_id);
+
+        if (!notification || notification.status === 'dismissed' ||
+            (notification.expires_at && new Date(notification.expires_at) <= new Date())) {
+          await pool.query(`
+            UPDATE notification_delivery_log
+            SET status = 'failed', failed_at = CURRENT_TIMESTAMP, error_code = 'CANCELLED',
+                error_message = 'Notification dismissed or expired before delivery'
+            WHERE id = $1
+          `, [attempt.id]);
+          continue;
+        }
+
+        await this.deliverViaChannel(notification, attempt.channel, {
+          attemptNumber: attempt.attempt_number,
+          logId: attempt.id
+        });
+      }
+    } catch (error) {
+      console.error('Error processing channel retries:', error);
+    } finally {
+      this.isProcessingChannelRetries = false;
+    }
+  }
+
+  /**
+   * Destination for a channel: the user's active registered address, else their account email
+   */
+  async getChannelAddress(notification, channel) {
+    const result = await pool.query(`
+      SELECT address FROM notification_channels
+      WHERE user_id = $1 AND channel_type = $2 AND is_active = true AND address IS NOT NULL
+      ORDER BY verified_at DESC NULLS LAST, created_at DESC
+      LIMIT 1
+    `, [notification.recipient_id, channel]);
+
+    if (result.rows.length > 0) {
+      return result.rows[0].address;
+    }
+
+    if (channel === NOTIFICATION_CHANNELS.EMAIL || channel === NOTIFICATION_CHANNELS.CONSOLE) {
+      return notification.user_email;
+    }
+
+    return null;
+  }
+
+  /**
+   * Render subject/text/html from the best matching template.
+   * Channel-specific templates win over channel-agnostic ones; without a template
+   * the notification type's templates, then the notification's own title and message, are used.
+   */
+  async renderChannelMessage(notification, channel) {
+    const result = await pool.query(`
+      SELECT subject_template, body_template, html_template, push_template
+      FROM notification_templates
+      WHERE notification_type_id = $1 AND is_active = true
+        AND (channel = $2 OR channel IS NULL)
+        AND language = $3
+      ORDER BY (channel IS NULL), version DESC
+      LIMIT 1
+    `, [notification.notification_type_id, channel, (notification.data && notification.data.language) || 'en']);
+
+    const template = result.rows[0] || {};
+    const variables = {
+      ...(notification.data || {}),
+      title: notification.title,
+      message: notification.message,
+      firstName: notification.user_first_name,
+      lastName: notification.user_last_name,
+      recipientName: [notification.user_first_name, notification.user_last_name].filter(Boolean).join(' '),
+      typeName: notification.type_name,
+      priority: notification.priority,
+      actionUrl: notification.action_url,
+      actionText: notification.action_text,
+      appUrl: process.env.FRONTEND_URL
+    };
+
+    const bodyTemplate = channel === NOTIFICATION_CHANNELS.SMS
+      ? template.push_template || template.body_template || '{{title}}: {{message}}'
+      : template.body_template || notification.template_body || '{{message}}';
+
+    return {
+      subject: renderTemplate(template.subject_template || notification.template_subject || '{{title}}', variables),
+      text: renderTemplate(bodyTemplate, variables),
+      html: template.html_template ? renderTemplate(template.html_template, variables, { html: true }) : undefined
+    };
+  }
+
+  /**
+   * Record the latest outcome per channel on the notification
+   */
+  async updateChannelStatus(notificationId, channel, status) {
+    await pool.query(`
+      UPDATE notifications
+      SET delivery_status = COALESCE(delivery_status, '{}'::jsonb) || jsonb_build_object($2::text, $3::text),
+          delivery_attempts = delivery_attempts + CASE WHEN $3 IN ('sent', 'delivered', 'failed', 'retrying') THEN 1 ELSE 0 END,
+          last_delivery_attempt = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [notificationId, channel, status]);
+  }
+
   /**
    * Deliver notification via real-time channel
    */
   async deliverViaRealtime(notification) {
-    const userConnections = this.realtimeConnections.get(notification.recipient_id);
-    
-    if (userConnections && userConnections.size > 0) {
+    if (this.hasRealtimeConnection(notification.recipient_id)) {
       const notificationData = {
         id: notification.id,
         type: notification.type_key,
@@ -536,16 +877,100 @@ class NotificationService extends EventEmitter {
         expiresAt: notification.expires_at
       };
 
-      // Send to all active connections for this user
-      userConnections.forEach(connection => {
-        if (connection.readyState === 1) { // WebSocket.OPEN
-          connection.send(JSON.stringify({
-            type: 'notification',
-            data: notificationData
-          }));
-        }
-      });
+      this.sendToUser(notification.recipient_id, 'notification', notificationData);
+    }
+  }
+
+  /**
+   * Send a message to every open connection of a user
+   * Returns the number of connections the message was sent to
+   */
+  sendToUser(userId, type, data) {
+    const userConnections = this.realtimeConnections.get(userId);
+    if (!userConnections) {
+      return 0;
+    }
+
+    const payload = JSON.stringify({ type, data });
+    let sent = 0;
+
+    userConnections.forEach(connection => {
+      if (connection.readyState === 1) { // WebSocket.OPEN
+        connection.send(payload);
+        sent++;
+      }
+    });
+
+    return sent;
+  }
+
+  hasRealtimeConnection(userId) {
+    const userConnections = this.realtimeConnections.get(userId);
+    return !!userConnections && userConnections.size > 0;
+  }
+
+  /**
+   * Push the current unread count to a user's open connections
+   */
+  async pushUnreadCount(userId) {
+    if (!this.hasRealtimeConnection(userId)) {
+      return;
     }
+
+    try {
+      const count = await this.getUnreadCount(userId);
+      this.sendToUser(userId, 'unread_count', { count });
+    } catch (error) {
+      console.error('Error pushing unread count:', error);
+    }
+  }
+
+  /**
+   * List a user's registered email/SMS addresses
+   */
+  async getUserChannels(userId) {
+    const result = await pool.query(`
+      SELECT id, channel_type, address, verified_at, is_active, created_at
+      FROM notification_channels
+      WHERE user_id = $1 AND channel_type IN ('email', 'sms') AND is_active = true
+      ORDER BY channel_type, created_at DESC
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Register an email address or phone number for notification delivery
+   */
+  async addUserChannel(userId, channelType, address) {
+    const normalized = channelType === NOTIFICATION_CHANNELS.EMAIL
+      ? String(address).trim().toLowerCase()
+      : String(address).replace(/[\s()-]/g, '');
+
+    const result = await pool.query(`
+      INSERT INTO notification_channels (user_id, channel_id, channel_type, address)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (channel_id) DO UPDATE SET
+        is_active = true,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING id, channel_type, address, verified_at, is_active, created_at
+    `, [userId, `${channelType}:${userId}:${normalized}`, channelType, normalized]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Stop delivering to a registered address
+   */
+  async removeUserChannel(userId, channelId) {
+    const result = await pool.query(`
+      UPDATE notification_channels
+      SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND channel_type IN ('email', 'sms')
+      RETURNING id
+    `, [channelId, userId]);
+
+    return result.rows.length > 0;
   }
 
   /**
@@ -557,6 +982,7 @@ class NotificationService extends EventEmitter {
     }
     
     this.realtimeConnections.get(userId).add(connection);
+    connection.channelId = channelId;
     
     // Store connection details in database
     pool.query(`
@@ -586,62 +1012,441 @@ class NotificationService extends EventEmitter {
    */
   unregisterRealtimeConnection(userId, connection) {
     const userConnections = this.realtimeConnections.get(userId);
-    if (userConnections) {
-      userConnections.delete(connection);
+    if (userConnections && userConnections.delete(connection)) {
       if (userConnections.size === 0) {
         this.realtimeConnections.delete(userId);
       }
+
+      if (connection.channelId) {
+        pool.query(`
+          UPDATE notification_channels
+          SET is_active = false, last_seen = CURRENT_TIMESTAMP
+          WHERE channel_id = $1
+        `, [connection.channelId]).catch(console.error);
+      }
     }
   }
 
   /**
-   * Create automated notification based on events
+   * Connected users who receive session alerts, keyed by user id
+   */
+  getSessionAlertRecipients() {
+    const recipients = new Map();
+
+    this.realtimeConnections.forEach((connections, userId) => {
+      for (const connection of connections) {
+        if (SESSION_ALERT_ROLES.includes(connection.userRole)) {
+          recipients.set(userId, connection.userRole);
+          break;
+        }
+      }
+    });
+
+    return recipients;
+  }
+
+  /**
+   * Push session alerts raised since the last poll to connected teachers
+   * of the student's classrooms (and to connected admins)
+   */
+  async deliverSessionAlerts() {
+    if (this.isPollingSessionAlerts) {
+      return;
+    }
+
+    const recipients = this.getSessionAlertRecipients();
+
+    // Nobody is listening: start from "now" when someone connects instead of replaying the backlog
+    if (recipients.size === 0) {
+      this.sessionAlertCursor = null;
+      return;
+    }
+
+    this.isPollingSessionAlerts = true;
+
+    try {
+      if (!this.sessionAlertCursor) {
+        const cursorResult = await pool.query('SELECT LOCALTIMESTAMP::text as cursor');
+        this.sessionAlertCursor = cursorResult.rows[0].cursor;
+        return;
+      }
+
+      const result = await pool.query(`
+        SELECT
+          sa.id, sa.session_id, sa.student_id, sa.alert_type, sa.alert_level,
+          sa.alert_message, sa.priority, sa.created_at, sa.created_at::text as cursor,
+          u.first_name as student_first_name, u.last_name as student_last_name,
+          ARRAY_REMOVE(ARRAY_AGG(DISTINCT c.teacher_id), NULL) as teacher_ids
+        FROM session_alerts sa
+        JOIN users u ON u.id = sa.student_id
+        LEFT JOIN classroom_enrollments ce ON ce.student_id = sa.student_id AND ce.status = 'active'
+        LEFT JOIN classrooms c ON c.id = ce.classroom_id AND c.active = true
+        WHERE sa.created_at > $1::timestamp AND sa.resolved_at IS NULL
+        GROUP BY sa.id, u.first_name, u.last_name
+        ORDER BY sa.created_at
+        LIMIT 200
+      `, [this.sessionAlertCursor]);
+
+      for (const alert of result.rows) {
+        this.publishSessionAlert(alert, recipients);
+        this.sessionAlertCursor = alert.cursor;
+      }
+    } catch (error) {
+      console.error('Error delivering session alerts:', error);
+    } finally {
+      this.isPollingSessionAlerts = false;
+    }
+  }
+
+  /**
+   * Send one session alert row to the teachers of its student and to admins
+   */
+  publishSessionAlert(alert, recipients = this.getSessionAlertRecipients()) {
+    const teacherIds = (alert.teacher_ids || []).map(String);
+    const alertData = {
+      id: alert.id,
+      sessionId: alert.session_id,
+      studentId: alert.student_id,
+      studentName: [alert.student_first_name, alert.student_last_name].filter(Boolean).join(' '),
+      alertType: alert.alert_type,
+      alertLevel: alert.alert_level,
+      message: alert.alert_message,
+      priority: alert.priority,
+      createdAt: alert.created_at
+    };
+
+    let sent = 0;
+    recipients.forEach((role, userId) => {
+      if (role === 'admin' || teacherIds.includes(String(userId))) {
+        sent += this.sendToUser(userId, 'session_alert', alertData);
+      }
+    });
+
+    return sent;
+  }
+
+  // ============================================
+  // AUTOMATED NOTIFICATION RULES
+  // ============================================
+
+  /**
+   * Evaluate every domain event against the active rules for it
+   */
+  subscribeToDomainEvents() {
+    domainEvents.on('event', (event) => {
+      this.createAutomatedNotification(event.type, event)
+        .catch(error => console.error(`Error applying notification rules to ${event.type}:`, error.message));
+    });
+  }
+
+  /**
+   * Create automated notifications for an event from the matching active rules
    */
   async createAutomatedNotification(eventType, eventData) {
     try {
-      // Find matching notification rules
       const rules = await pool.query(`
-        SELECT nr.*, nt.type_key
-        FROM notification_rules nr
-        JOIN notification_types nt ON nr.notification_type_id = nt.id
+        ${NOTIFICATION_RULE_SELECT}
         WHERE nr.is_active = true AND nr.trigger_event = $1
+        ORDER BY nr.id
       `, [eventType]);
 
+      const results = [];
       for (const rule of rules.rows) {
-        // Check if conditions are met
-        if (this.evaluateConditions(rule.conditions, eventData)) {
-          // Find target recipients
-          const recipients = await this.findTargetRecipients(rule.target_criteria, eventData);
-          
-          // Create notifications for each recipient
-          for (const recipientId of recipients) {
-            const { title, message } = this.processTemplate(rule, eventData);
-            
-            await this.createNotification({
-              typeKey: rule.type_key,
-              recipientId,
-              title,
-              message,
-              data: eventData,
-              scheduledFor: rule.delay_minutes > 0 ? 
-                new Date(Date.now() + rule.delay_minutes * 60000) : null
-            });
-          }
-
-          // Update rule statistics
-          await pool.query(`
-            UPDATE notification_rules 
-            SET last_triggered = CURRENT_TIMESTAMP, trigger_count = trigger_count + 1
-            WHERE id = $1
-          `, [rule.id]);
-        }
+        results.push(await this.applyNotificationRule(rule, eventData));
       }
+      return results;
     } catch (error) {
       console.error('Error creating automated notification:', error);
       throw error;
     }
   }
 
+  /**
+   * Apply one rule to an event. With dryRun nothing is written; the result shows
+   * who would be notified, who the frequency limit would skip, and the rendered text.
+   */
+  async applyNotificationRule(rule, eventData, { dryRun = false } = {}) {
+    const result = { ruleId: rule.id, ruleName: rule.name, matched: false, recipients: [], notificationIds: [] };
+
+    if (!this.evaluateConditions(rule.conditions, eventData)) {
+      return { ...result, reason: 'conditions_not_met' };
+    }
+
+    // Teacher-authored rules only fire for the teacher's own students
+    if (rule.creator_role === 'teacher' && !(await this.isStudentAssignedToTeacher(rule.created_by, eventData.studentId))) {
+      return { ...result, reason: 'student_not_assigned_to_rule_owner' };
+    }
+
+    const { title, message } = this.processTemplate(rule, eventData);
+    const scheduledFor = rule.delay_minutes > 0 ? new Date(Date.now() + rule.delay_minutes * 60000) : null;
+    const frequencyLimit = parseMaxFrequency(rule.max_frequency);
+    const recipientIds = await this.findTargetRecipients(rule.target_criteria, eventData, rule);
+
+    for (const recipientId of recipientIds) {
+      const recipient = { id: recipientId, suppressed: false };
+
+      if (frequencyLimit && rule.id) {
+        const sent = await pool.query(`
+          SELECT COUNT(*) as count FROM notifications
+          WHERE rule_id = $1 AND recipient_id = $2
+            AND created_at > NOW() - ($3 || ' hours')::INTERVAL
+        `, [rule.id, recipientId, String(rule.frequency_window_hours || 24)]);
+
+        if (parseInt(sent.rows[0].count) >= frequencyLimit) {
+          recipient.suppressed = true;
+          recipient.reason = 'frequency_limit';
+        }
+      }
+
+      if (!recipient.suppressed && !dryRun) {
+        const notificationId = await this.createNotification({
+          typeKey: rule.type_key,
+          recipientId,
+          title,
+          message,
+          data: { ...eventData, ruleId: rule.id },
+          scheduledFor,
+          ruleId: rule.id
+        });
+        result.notificationIds.push(notificationId);
+      }
+
+      result.recipients.push(recipient);
+    }
+
+    // Update rule statistics
+    if (!dryRun && result.notificationIds.length > 0) {
+      await pool.query(`
+        UPDATE notification_rules
+        SET last_triggered = CURRENT_TIMESTAMP, trigger_count = trigger_count + 1
+        WHERE id = $1
+      `, [rule.id]);
+    }
+
+    return { ...result, matched: true, notification: { title, message, scheduledFor } };
+  }
+
+  async isStudentAssignedToTeacher(teacherId, studentId) {
+    if (!studentId) return false;
+
+    const result = await pool.query(`
+      SELECT 1 FROM teacher_student_assignments
+      WHERE teacher_id = $1 AND student_id = $2 AND status = 'active'
+      LIMIT 1
+    `, [teacherId, studentId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * List rules: admins see every rule, teachers their own
+   */
+  async getNotificationRules(user, { triggerEvent = null, isActive = null } = {}) {
+    const result = await pool.query(`
+      ${NOTIFICATION_RULE_SELECT}
+      WHERE ($1::text IS NULL OR nr.created_by::text = $1)
+        AND ($2::text IS NULL OR nr.trigger_event = $2)
+        AND ($3::boolean IS NULL OR nr.is_active = $3)
+      ORDER BY nr.created_at DESC
+    `, [user.role === 'admin' ? null : String(user.id), triggerEvent, isActive]);
+
+    return result.rows.map(row => this.formatNotificationRule(row));
+  }
+
+  async getNotificationRuleRow(ruleId, user) {
+    const result = await pool.query(`${NOTIFICATION_RULE_SELECT} WHERE nr.id = $1`, [ruleId]);
+    const rule = result.rows[0];
+
+    if (!rule) {
+      throw new NotificationRuleError('Notification rule not found', 'NOT_FOUND', { ruleId });
+    }
+    if (user.role !== 'admin' && String(rule.created_by) !== String(user.id)) {
+      throw new NotificationRuleError('Not allowed to manage this rule', 'ACCESS_DENIED', { ruleId });
+    }
+    return rule;
+  }
+
+  async getNotificationRule(ruleId, user) {
+    return this.formatNotificationRule(await this.getNotificationRuleRow(ruleId, user));
+  }
+
+  async createNotificationRule(input, user) {
+    validateRuleInput(input, { role: user.role });
+
+    const result = await pool.query(`
+      INSERT INTO notification_rules (
+        name, description, notification_type_id, trigger_event, conditions, target_criteria,
+        template_id, custom_subject, custom_body, delay_minutes, max_frequency, frequency_window_hours,
+        is_active, created_by
+      )
+      SELECT $1, $2, nt.id, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
+      FROM notification_types nt
+      WHERE nt.type_key = $3
+      RETURNING id
+    `, [
+      input.name.trim(),
+      input.description || null,
+      input.typeKey,
+      input.triggerEvent,
+      JSON.stringify(input.conditions || {}),
+      JSON.stringify(input.targetCriteria),
+      input.templateId || null,
+      input.subject || null,
+      input.body || null,
+      input.delayMinutes || 0,
+      String(input.maxFrequency || 'unlimited'),
+      input.frequencyWindowHours || 24,
+      input.isActive !== false,
+      user.id
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new NotificationRuleError(`Unknown notification type: ${input.typeKey}`, 'VALIDATION_ERROR', {
+        errors: [`typeKey ${input.typeKey} does not exist`]
+      });
+    }
+
+    return this.getNotificationRule(result.rows[0].id, user);
+  }
+
+  async updateNotificationRule(ruleId, input, user) {
+    await this.getNotificationRuleRow(ruleId, user);
+    validateRuleInput(input, { role: user.role, partial: true });
+
+    const columns = {
+      name: ['name', value => value.trim()],
+      description: ['description'],
+      triggerEvent: ['trigger_event'],
+      conditions: ['conditions', value => JSON.stringify(value || {})],
+      targetCriteria: ['target_criteria', value => JSON.stringify(value)],
+      templateId: ['template_id'],
+      subject: ['custom_subject'],
+      body: ['custom_body'],
+      delayMinutes: ['delay_minutes'],
+      maxFrequency: ['max_frequency', value => String(value)],
+      frequencyWindowHours: ['frequency_window_hours'],
+      isActive: ['is_active']
+    };
+
+    const sets = [];
+    const params = [ruleId];
+    for (const [field, [column, transform = value => value]] of Object.entries(columns)) {
+      if (input[field] !== undefined) {
+        params.push(transform(input[field]));
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (input.typeKey !== undefined) {
+      params.push(input.typeKey);
+      sets.push(`notification_type_id = (SELECT id FROM notification_types WHERE type_key = $${params.length})`);
+    }
+
+    if (sets.length === 0) {
+      throw new NotificationRuleError('No valid fields to update', 'VALIDATION_ERROR', { errors: ['No valid fields to update'] });
+    }
+
+    try {
+      await pool.query(`
+        UPDATE notification_rules
+        SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, params);
+    } catch (error) {
+      // notification_type_id is NOT NULL, so an unknown typeKey fails the update
+      if (error.code === '23502') {
+        throw new NotificationRuleError(`Unknown notification type: ${input.typeKey}`, 'VALIDATION_ERROR', {
+          errors: [`typeKey ${input.typeKey} does not exist`]
+        });
+      }
+      throw error;
+    }
+
+    return this.getNotificationRule(ruleId, user);
+  }
+
+  async deleteNotificationRule(ruleId, user) {
+    await this.getNotificationRuleRow(ruleId, user);
+    await pool.query('DELETE FROM notification_rules WHERE id = $1', [ruleId]);
+  }
+
+  /**
+   * Preview a saved rule, or an unsaved definition, against a sample event without sending anything
+   */
+  async dryRunNotificationRule({ ruleId = null, rule: definition = null, event = {} }, user) {
+    let rule;
+
+    if (ruleId) {
+      rule = await this.getNotificationRuleRow(ruleId, user);
+    } else {
+      validateRuleInput(definition || {}, { role: user.role });
+
+      const template = definition.templateId
+        ? (await pool.query('SELECT subject_template, body_template FROM notification_templates WHERE id = $1', [definition.templateId])).rows[0]
+        : null;
+
+      rule = {
+        id: null,
+        name: definition.name,
+        type_key: definition.typeKey,
+        trigger_event: definition.triggerEvent,
+        conditions: definition.conditions || {},
+        target_criteria: definition.targetCriteria,
+        custom_subject: definition.subject,
+        custom_body: definition.body,
+        template_subject: template?.subject_template,
+        template_body: template?.body_template,
+        delay_minutes: definition.delayMinutes || 0,
+        max_frequency: definition.maxFrequency || 'unlimited',
+        frequency_window_hours: definition.frequencyWindowHours || 24,
+        created_by: user.id,
+        creator_role: user.role
+      };
+    }
+
+    const eventData = { ...event, type: rule.trigger_event, occurredAt: event.occurredAt || new Date().toISOString() };
+    const result = await this.applyNotificationRule(rule, eventData, { dryRun: true });
+
+    // Show who the recipients are
+    if (result.recipients.length > 0) {
+      const users = await pool.query(
+        'SELECT id, first_name, last_name, role FROM users WHERE id = ANY($1)',
+        [result.recipients.map(recipient => recipient.id)]
+      );
+      const usersById = new Map(users.rows.map(row => [String(row.id), row]));
+
+      result.recipients = result.recipients.map(recipient => {
+        const row = usersById.get(String(recipient.id));
+        return row ? { ...recipient, name: `${row.first_name} ${row.last_name}`, role: row.role } : recipient;
+      });
+    }
+
+    return { ...result, event: eventData };
+  }
+
+  formatNotificationRule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      typeKey: row.type_key,
+      triggerEvent: row.trigger_event,
+      conditions: row.conditions,
+      targetCriteria: row.target_criteria,
+      templateId: row.template_id,
+      subject: row.custom_subject,
+      body: row.custom_body,
+      delayMinutes: row.delay_minutes,
+      maxFrequency: row.max_frequency,
+      frequencyWindowHours: row.frequency_window_hours,
+      isActive: row.is_active,
+      lastTriggered: row.last_triggered,
+      triggerCount: row.trigger_count,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
   /**
    * Get notification analytics
    */
@@ -737,36 +1542,54 @@ class NotificationService extends EventEmitter {
   }
 
   evaluateConditions(conditions, eventData) {
-    // Simple condition evaluation - can be enhanced with more complex logic
     try {
-      for (const [key, expectedValue] of Object.entries(conditions)) {
-        if (eventData[key] !== expectedValue) {
-          return false;
-        }
-      }
-      return true;
+      return evaluateCondition(conditions, eventData);
     } catch (error) {
       console.error('Error evaluating conditions:', error);
       return false;
     }
   }
 
-  async findTargetRecipients(criteria, eventData) {
-    // Find recipients based on criteria - simplified implementation
+  async findTargetRecipients(criteria = {}, eventData = {}, rule = {}) {
     try {
-      if (criteria.userId) {
-        return [criteria.userId];
+      const recipients = new Set();
+      const { relations = [], userIds = [] } = criteria;
+      const roles = criteria.roles || (criteria.role ? [criteria.role] : []);
+
+      if (criteria.userId) recipients.add(criteria.userId);
+      userIds.forEach(id => recipients.add(id));
+
+      if (roles.length > 0) {
+        const result = await pool.query(
+          'SELECT id FROM users WHERE role = ANY($1) AND status = $2',
+          [roles, 'active']
+        );
+        result.rows.forEach(row => recipients.add(row.id));
       }
-      
-      if (criteria.role) {
+
+      const { studentId } = eventData;
+      if (relations.includes(TARGET_RELATIONS.STUDENT) && studentId) {
+        recipients.add(studentId);
+      }
+      if (relations.includes(TARGET_RELATIONS.PARENTS) && studentId) {
+        const result = await pool.query(
+          "SELECT parent_id FROM parent_child_relationships WHERE child_id = $1 AND status = 'active'",
+          [studentId]
+        );
+        result.rows.forEach(row => recipients.add(row.parent_id));
+      }
+      if (relations.includes(TARGET_RELATIONS.TEACHERS) && studentId) {
         const result = await pool.query(
-          'SELECT id FROM users WHERE role = $1 AND status = $2',
-          [criteria.role, 'active']
+          "SELECT teacher_id FROM teacher_student_assignments WHERE student_id = $1 AND status = 'active'",
+          [studentId]
         );
-        return result.rows.map(row => row.id);
+        result.rows.forEach(row => recipients.add(row.teacher_id));
+      }
+      if (relations.includes(TARGET_RELATIONS.CREATOR) && rule.created_by) {
+        recipients.add(rule.created_by);
       }
 
-      return [];
+      return [...recipients];
     } catch (error) {
       console.error('Error finding target recipients:', error);
       return [];
@@ -774,18 +1597,14 @@ class NotificationService extends EventEmitter {
   }
 
   processTemplate(rule, eventData) {
-    // Simple template processing - replace variables with event data
-    let title = rule.custom_subject || rule.template_subject || 'Notification';
-    let message = rule.custom_body || rule.template_body || 'You have a new notification';
+    // Replace {{variable}} and {{nested.path}} placeholders with event data
+    const title = rule.custom_subject || rule.template_subject || 'Notification';
+    const message = rule.custom_body || rule.template_body || 'You have a new notification';
 
-    // Replace variables like {{variable_name}}
-    for (const [key, value] of Object.entries(eventData)) {
-      const placeholder = `{{${key}}}`;
-      title = title.replace(new RegExp(placeholder, 'g'), value);
-      message = message.replace(new RegExp(placeholder, 'g'), value);
-    }
-
-    return { title, message };
+    return {
+      title: renderTemplate(title, eventData),
+      message: renderTemplate(message, eventData)
+    };
   }
 
   async cleanupOldNotifications() {
@@ -798,8 +1617,15 @@ class NotificationService extends EventEmitter {
   }
 }
 
-// Create singleton instance
-const notificationService = new NotificationService();
+// Singleton, created on first use because the constructor starts the delivery timers
+let notificationService = null;
+
+const getNotificationService = () => {
+  if (!notificationService) {
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+};
 
 // Convenience methods for common notification types
 const NotificationHelpers = {
@@ -807,7 +1633,7 @@ const NotificationHelpers = {
    * Send achievement notification
    */
   async sendAchievementNotification(studentId, achievementData) {
-    await notificationService.createNotification({
+    await getNotificationService().createNotification({
       typeKey: 'achievement_earned',
       recipientId: studentId,
       title: `🏅 Achievement Unlocked: ${achievementData.title}`,
@@ -819,7 +1645,7 @@ const NotificationHelpers = {
     // Also notify parents
     const parents = await this.getParentsOfStudent(studentId);
     for (const parentId of parents) {
-      await notificationService.createNotification({
+      await getNotificationService().createNotification({
         typeKey: 'child_achievement',
         recipientId: parentId,
         title: `🌟 Your child earned an achievement!`,
@@ -834,7 +1660,7 @@ const NotificationHelpers = {
    * Send goal completion notification
    */
   async sendGoalCompletedNotification(studentId, goalData) {
-    await notificationService.createNotification({
+    await getNotificationService().createNotification({
       typeKey: 'goal_achieved',
       recipientId: studentId,
       title: `🎯 Goal Achieved: ${goalData.title}`,
@@ -850,7 +1676,7 @@ const NotificationHelpers = {
    * Send teacher message to parent
    */
   async sendTeacherMessageNotification(parentId, teacherId, message, studentId) {
-    await notificationService.createNotification({
+    await getNotificationService().createNotification({
       typeKey: 'teacher_message',
       recipientId: parentId,
       senderId: teacherId,
@@ -879,7 +1705,7 @@ const NotificationHelpers = {
       title = `⚠️ Assignment Due Soon: ${assignmentData.title}`;
     }
 
-    await notificationService.createNotification({
+    await getNotificationService().createNotification({
       typeKey: 'assignment_due',
       recipientId: studentId,
       title,
@@ -911,6 +1737,9 @@ const NotificationHelpers = {
 };
 
 module.exports = {
-  notificationService,
+  get notificationService() {
+    return getNotificationService();
+  },
+  getNotificationService,
   NotificationHelpers
 }; 
\ No newline at end of file
@@ -0,0 +1,319 @@
+const { Pool } = require('pg');
+const {
+  ROLES,
+  PermissionError,
+  formatRolePermission,
+  formatOverride,
+  evaluatePermission,
+  buildEffectivePermissions,
+  validateRolePermissionInput,
+  validateOverrideInput,
+  validateExplainQuery
+} = require('./permission-rules');
+const { withTransaction } = require('./db-transaction');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const AUDIT_ACTIONS = {
+  ROLE_GRANTED: 'role_permission_granted',
+  ROLE_REVOKED: 'role_permission_revoked',
+  OVERRIDE_GRANTED: 'user_override_granted',
+  OVERRIDE_REVOKED: 'user_override_revoked'
+};
+
+const parseRowId = (value) => (/^\d+$/.test(String(value)) ? parseInt(value, 10) : null);
+
+const revokeReason = (input = {}) => {
+  if (input.reason === undefined || input.reason === null) return null;
+  if (typeof input.reason !== 'string' || input.reason.length > 500) {
+    throw new PermissionError('Invalid revocation', 'VALIDATION_ERROR', { errors: ['reason must be text (500 characters max)'] });
+  }
+  return input.reason.trim() || null;
+};
+
+class PermissionManagementService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+  }
+
+  // Written in the change's transaction: a permission change that cannot be audited is not made
+  async audit(client, { admin, action, reason = null, clientInfo = {}, data }) {
+    await client.query(`
+      INSERT INTO access_control_audit_log (
+        user_id, user_role, resource, action, result, reason, ip_address, user_agent, request_data
+      ) VALUES ($1, $2, 'permissions', $3, 'granted', $4, $5, $6, $7)
+    `, [
+      admin.id,
+      admin.role,
+      action,
+      reason,
+      clientInfo.ipAddress && clientInfo.ipAddress !== 'unknown' ? clientInfo.ipAddress : null,
+      clientInfo.userAgent || null,
+      JSON.stringify(data)
+    ]);
+  }
+
+  requireRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new PermissionError('Role not found', 'NOT_FOUND');
+    }
+  }
+
+  async getTargetUser(userId) {
+    if (typeof userId !== 'string' || !UUID_PATTERN.test(userId)) {
+      throw new PermissionError('User not found', 'NOT_FOUND');
+    }
+
+    const result = await this.pool.query(`
+      SELECT id, email, role, first_name, last_name FROM users WHERE id = $1 AND deleted_at IS NULL
+    `, [userId]);
+    if (result.rows.length === 0) {
+      throw new PermissionError('User not found', 'NOT_FOUND');
+    }
+
+    const user = result.rows[0];
+    return { id: user.id, email: user.email, role: user.role, firstName: user.first_name, lastName: user.last_name };
+  }
+
+  // ============================================
+  // ROLE PERMISSIONS
+  // ============================================
+
+  async listRolePermissions({ role = null } = {}) {
+    if (role) this.requireRole(role);
+
+    const result = await this.pool.query(`
+      SELECT * FROM role_permissions
+      ${role ? 'WHERE role_name = $1' : ''}
+      ORDER BY role_name, resource_type, action, resource_category
+    `, role ? [role] : []);
+
+    const now = new Date();
+    return result.rows.map(row => formatRolePermission(row, now));
+  }
+
+  /**
+   * Grant (or deny) an action to a role. A permission for the same resource type, category
+   * and action is replaced, and the audit entry keeps what it was before.
+   */
+  async grantRolePermission(role, input, admin, clientInfo) {
+    this.requireRole(role);
+    const grant = validateRolePermissionInput(input);
+
+    return withTransaction(this.pool, async (client) => {
+      const before = await client.query(`
+        SELECT * FROM role_permissions
+        WHERE role_name = $1 AND resource_type = $2 AND resource_category = $3 AND action = $4
+        FOR UPDATE
+      `, [role, grant.resourceType, grant.resourceCategory, grant.action]);
+
+      const result = await client.query(`
+        INSERT INTO role_permissions (
+          role_name, resource_type, resource_category, action, permission_level, conditions, reason, expires_at, granted_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (role_name, resource_type, resource_category, action) DO UPDATE
+        SET permission_level = EXCLUDED.permission_level,
+            conditions = EXCLUDED.conditions,
+            reason = EXCLUDED.reason,
+            expires_at = EXCLUDED.expires_at,
+            granted_by = EXCLUDED.granted_by,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [
+        role,
+        grant.resourceType,
+        grant.resourceCategory,
+        grant.action,
+        grant.permissionLevel,
+        grant.conditions ? JSON.stringify(grant.conditions) : null,
+        grant.reason,
+        grant.expiresAt,
+        admin.id
+      ]);
+
+      const permission = formatRolePermission(result.rows[0]);
+      await this.audit(client, {
+        admin,
+        action: AUDIT_ACTIONS.ROLE_GRANTED,
+        reason: grant.reason,
+        clientInfo,
+        data: { role, before: before.rows[0] ? formatRolePermission(before.rows[0]) : null, after: permission }
+      });
+
+      return { permission, created: before.rows.length === 0 };
+    });
+  }
+
+  async revokeRolePermission(role, permissionId, input, admin, clientInfo) {
+    this.requireRole(role);
+    const id = parseRowId(permissionId);
+    const reason = revokeReason(input);
+    if (id === null) {
+      throw new PermissionError('Role permission not found', 'NOT_FOUND');
+    }
+
+    return withTransaction(this.pool, async (client) => {
+      const result = await client.query(
+        'DELETE FROM role_permissions WHERE id = $1 AND role_name = $2 RETURNING *',
+        [id, role]
+      );
+      if (result.rows.length === 0) {
+        throw new PermissionError('Role permission not found', 'NOT_FOUND');
+      }
+
+      const permission = formatRolePermission(result.rows[0]);
+      await this.audit(client, { admin, action: AUDIT_ACTIONS.ROLE_REVOKED, reason, clientInfo, data: { role, before: permission } });
+      return { permission };
+    });
+  }
+
+  // ============================================
+  // USER OVERRIDES
+  // ============================================
+
+  async loadRules(user, { resourceType = null, action = null } = {}) {
+    const filter = resourceType ? 'AND resource_type = $2 AND action = $3' : '';
+    const [overrides, rolePermissions] = await Promise.all([
+      this.pool.query(`
+        SELECT * FROM user_permission_overrides WHERE user_id = $1 ${filter}
+        ORDER BY resource_type, action, resource_id NULLS FIRST
+      `, resourceType ? [user.id, resourceType, action] : [user.id]),
+      this.pool.query(`
+        SELECT * FROM role_permissions WHERE role_name = $1 ${filter}
+        ORDER BY resource_type, action, resource_category
+      `, resourceType ? [user.role, resourceType, action] : [user.role])
+    ]);
+    return { overrides: overrides.rows, rolePermissions: rolePermissions.rows };
+  }
+
+  // A user's overrides and what they can do with every resource type their rules mention
+  async getUserPermissions(userId) {
+    const user = await this.getTargetUser(userId);
+    const { overrides, rolePermissions } = await this.loadRules(user);
+    const now = new Date();
+
+    return {
+      user,
+      overrides: overrides.map(row => formatOverride(row, now)),
+      effectivePermissions: buildEffectivePermissions({ role: user.role, overrides, rolePermissions, now })
+    };
+  }
+
+  /**
+   * Grant or deny one user an action, on every resource of a type or on one resource.
+   * An override for the same target is replaced.
+   */
+  async grantOverride(userId, input, admin, clientInfo) {
+    const user = await this.getTargetUser(userId);
+    const grant = validateOverrideInput(input);
+
+    return withTransaction(this.pool, async (client) => {
+      const before = await client.query(`
+        SELECT * FROM user_permission_overrides
+        WHERE user_id = $1 AND resource_type = $2 AND action = $3 AND COALESCE(resource_id, '') = COALESCE($4, '')
+        FOR UPDATE
+      `, [user.id, grant.resourceType, grant.action, grant.resourceId]);
+
+      const result = await client.query(`
+        INSERT INTO user_permission_overrides (
+          user_id, resource_type, resource_id, action, permission_level, reason, granted_by, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (user_id, resource_type, action, (COALESCE(resource_id, ''))) DO UPDATE
+        SET permission_level = EXCLUDED.permission_level,
+            reason = EXCLUDED.reason,
+            granted_by = EXCLUDED.granted_by,
+            expires_at = EXCLUDED.expires_at,
+            updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [
+        user.id,
+        grant.resourceType,
+        grant.resourceId,
+        grant.action,
+        grant.permissionLevel,
+        grant.reason,
+        admin.id,
+        grant.expiresAt
+      ]);
+
+      const override = formatOverride(result.rows[0]);
+      await this.audit(client, {
+        admin,
+        action: AUDIT_ACTIONS.OVERRIDE_GRANTED,
+        reason: grant.reason,
+        clientInfo,
+        data: { targetUserId: user.id, targetRole: user.role, before: before.rows[0] ? formatOverride(before.rows[0]) : null, after: override }
+      });
+
+      return { override, created: before.rows.length === 0 };
+    });
+  }
+
+  async revokeOverride(userId, overrideId, input, admin, clientInfo) {
+    const user = await this.getTargetUser(userId);
+    const id = parseRowId(overrideId);
+    const reason = revokeReason(input);
+    if (id === null) {
+      throw new PermissionError('Permission override not found', 'NOT_FOUND');
+    }
+
+    return withTransaction(this.pool, async (client) => {
+      const result = await client.query(
+        'DELETE FROM user_permission_overrides WHERE id = $1 AND user_id = $2 RETURNING *',
+        [id, user.id]
+      );
+      if (result.rows.length === 0) {
+        throw new PermissionError('Permission override not found', 'NOT_FOUND');
+      }
+
+      const override = formatOverride(result.rows[0]);
+      await this.audit(client, {
+        admin,
+        action: AUDIT_ACTIONS.OVERRIDE_REVOKED,
+        reason,
+        clientInfo,
+        data: { targetUserId: user.id, targetRole: user.role, before: override }
+      });
+      return { override };
+    });
+  }
+
+  // ============================================
+  // EXPLAIN
+  // ============================================
+
+  // Why a user can or cannot perform an action, with every rule that was considered
+  async explain(userId, query) {
+    const user = await this.getTargetUser(userId);
+    const { resourceType, action, resourceId } = validateExplainQuery(query);
+    const { overrides, rolePermissions } = await this.loadRules(user, { resourceType, action });
+
+    return {
+      user,
+      resourceType,
+      action,
+      resourceId,
+      ...evaluatePermission({ role: user.role, overrides, rolePermissions, resourceType, action, resourceId })
+    };
+  }
+}
+
+// Singleton instance
+let permissionManagementServiceInstance = null;
+
+const getPermissionManagementService = () => {
+  if (!permissionManagementServiceInstance) {
+    permissionManagementServiceInstance = new PermissionManagementService();
+  }
+  return permissionManagementServiceInstance;
+};
+
+module.exports = {
+  PermissionManagementService,
+  getPermissionManagementService,
+  PermissionError,
+  AUDIT_ACTIONS
+};
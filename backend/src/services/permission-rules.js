@@ -0,0 +1,272 @@
+// Permission evaluation and grant validation (no database access)
+
+const ROLES = ['student', 'teacher', 'parent', 'admin'];
+
+const PERMISSION_LEVELS = ['allowed', 'denied', 'restricted'];
+
+// Among equally specific rules the most restrictive level wins
+const LEVEL_PRECEDENCE = { denied: 0, restricted: 1, allowed: 2 };
+
+const DEFAULT_RESOURCE_CATEGORY = 'all';
+
+const DECISION_SOURCES = {
+  USER_OVERRIDE: 'user_override',
+  ROLE: 'role',
+  DEFAULT: 'default'
+};
+
+// Resource types, categories and actions look like the seeded ones: journal, own_data, read
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const MAX_REASON_LENGTH = 500;
+
+class PermissionError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'PermissionError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const isActive = (row, now = new Date()) => !row.expires_at || new Date(row.expires_at) > now;
+
+const formatRolePermission = (row, now = new Date()) => ({
+  id: row.id,
+  role: row.role_name,
+  resourceType: row.resource_type,
+  resourceCategory: row.resource_category,
+  action: row.action,
+  permissionLevel: row.permission_level,
+  conditions: row.conditions || null,
+  reason: row.reason || null,
+  grantedBy: row.granted_by || null,
+  expiresAt: toIso(row.expires_at),
+  active: isActive(row, now),
+  updatedAt: toIso(row.updated_at)
+});
+
+const formatOverride = (row, now = new Date()) => ({
+  id: row.id,
+  userId: row.user_id,
+  resourceType: row.resource_type,
+  resourceId: row.resource_id || null,
+  action: row.action,
+  permissionLevel: row.permission_level,
+  reason: row.reason || null,
+  grantedBy: row.granted_by || null,
+  expiresAt: toIso(row.expires_at),
+  active: isActive(row, now),
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at)
+});
+
+const byPrecedence = (a, b) => LEVEL_PRECEDENCE[a.permission_level] - LEVEL_PRECEDENCE[b.permission_level];
+
+// ============================================
+// EVALUATION
+// ============================================
+
+/**
+ * Decide whether a user may perform an action on a resource type, and explain why. Same
+ * rules as the check_user_permission database function: the most specific unexpired
+ * override wins (a named resource before all resources), then the role's unexpired
+ * permissions. Among equally specific rows denied beats restricted beats allowed, only
+ * 'allowed' grants access, and with no rule access is denied.
+ */
+const evaluatePermission = ({ role, overrides = [], rolePermissions = [], resourceType, action, resourceId = null, now = new Date() }) => {
+  const target = resourceId !== null && resourceId !== undefined ? String(resourceId) : null;
+  const forAction = (row) => row.resource_type === resourceType && row.action === action;
+
+  const candidateOverrides = overrides
+    .filter(forAction)
+    .filter(row => !row.resource_id || (target !== null && String(row.resource_id) === target));
+  const candidateRoles = rolePermissions.filter(row => forAction(row) && row.role_name === role);
+
+  const considered = {
+    overrides: candidateOverrides.map(row => formatOverride(row, now)),
+    rolePermissions: candidateRoles.map(row => formatRolePermission(row, now))
+  };
+
+  const activeOverrides = candidateOverrides.filter(row => isActive(row, now));
+  const specific = activeOverrides.filter(row => row.resource_id).sort(byPrecedence);
+  const general = activeOverrides.filter(row => !row.resource_id).sort(byPrecedence);
+  const override = specific[0] || general[0];
+
+  if (override) {
+    const scope = override.resource_id ? `${resourceType} ${override.resource_id}` : `all ${resourceType}`;
+    return {
+      allowed: override.permission_level === 'allowed',
+      permissionLevel: override.permission_level,
+      source: DECISION_SOURCES.USER_OVERRIDE,
+      rule: formatOverride(override, now),
+      explanation: `A user override sets ${action} on ${scope} to ${override.permission_level}` +
+        (override.reason ? ` (${override.reason})` : '') +
+        (override.expires_at ? ` until ${toIso(override.expires_at)}` : ''),
+      considered
+    };
+  }
+
+  const rolePermission = candidateRoles.filter(row => isActive(row, now)).sort(byPrecedence)[0];
+  if (rolePermission) {
+    return {
+      allowed: rolePermission.permission_level === 'allowed',
+      permissionLevel: rolePermission.permission_level,
+      source: DECISION_SOURCES.ROLE,
+      rule: formatRolePermission(rolePermission, now),
+      explanation: `The ${role} role is ${rolePermission.permission_level} to ${action} ${resourceType}` +
+        (rolePermission.resource_category ? ` (${rolePermission.resource_category})` : '') +
+        (rolePermission.permission_level === 'restricted' ? '; restricted access is limited to summary views and does not pass permission checks' : ''),
+      considered
+    };
+  }
+
+  const expired = considered.overrides.length + considered.rolePermissions.length > 0;
+  return {
+    allowed: false,
+    permissionLevel: null,
+    source: DECISION_SOURCES.DEFAULT,
+    rule: null,
+    explanation: `No ${expired ? 'unexpired ' : ''}rule lets the ${role} role ${action} ${resourceType}; access is denied by default`,
+    considered
+  };
+};
+
+/**
+ * Every resource type and action the role or the user's overrides mention, with the
+ * decision for all resources of that type.
+ */
+const buildEffectivePermissions = ({ role, overrides = [], rolePermissions = [], now = new Date() }) => {
+  const keys = new Map();
+  [...rolePermissions.filter(row => row.role_name === role), ...overrides.filter(row => !row.resource_id)]
+    .forEach(row => keys.set(`${row.resource_type}.${row.action}`, { resourceType: row.resource_type, action: row.action }));
+
+  return [...keys.values()]
+    .sort((a, b) => a.resourceType.localeCompare(b.resourceType) || a.action.localeCompare(b.action))
+    .map(({ resourceType, action }) => {
+      const decision = evaluatePermission({ role, overrides, rolePermissions, resourceType, action, now });
+      return {
+        resourceType,
+        action,
+        allowed: decision.allowed,
+        permissionLevel: decision.permissionLevel,
+        source: decision.source
+      };
+    });
+};
+
+// ============================================
+// INPUT VALIDATION
+// ============================================
+
+const checkName = (errors, value, field, maxLength) => {
+  if (typeof value !== 'string' || !NAME_PATTERN.test(value) || value.length > maxLength) {
+    errors.push(`${field} must be lower-case letters, digits and underscores (${maxLength} characters max)`);
+  }
+};
+
+const checkGrantFields = (errors, input, now) => {
+  checkName(errors, input.resourceType, 'resourceType', 100);
+  checkName(errors, input.action, 'action', 50);
+
+  if (!PERMISSION_LEVELS.includes(input.permissionLevel)) {
+    errors.push(`permissionLevel must be one of: ${PERMISSION_LEVELS.join(', ')}`);
+  }
+  if (input.reason !== undefined && input.reason !== null &&
+      (typeof input.reason !== 'string' || input.reason.length > MAX_REASON_LENGTH)) {
+    errors.push(`reason must be text (${MAX_REASON_LENGTH} characters max)`);
+  }
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    const expiresAt = new Date(input.expiresAt);
+    if (typeof input.expiresAt !== 'string' || Number.isNaN(expiresAt.getTime())) {
+      errors.push('expiresAt must be an ISO 8601 date');
+    } else if (expiresAt <= now) {
+      errors.push('expiresAt must be in the future');
+    }
+  }
+};
+
+const throwIfInvalid = (errors, message) => {
+  if (errors.length > 0) {
+    throw new PermissionError(message, 'VALIDATION_ERROR', { errors });
+  }
+};
+
+const validateRolePermissionInput = (input, now = new Date()) => {
+  const errors = [];
+  checkGrantFields(errors, input, now);
+
+  if (input.resourceCategory !== undefined && input.resourceCategory !== null) {
+    checkName(errors, input.resourceCategory, 'resourceCategory', 100);
+  }
+  if (input.conditions !== undefined && input.conditions !== null &&
+      (typeof input.conditions !== 'object' || Array.isArray(input.conditions))) {
+    errors.push('conditions must be an object');
+  }
+  throwIfInvalid(errors, 'Invalid role permission');
+
+  return {
+    resourceType: input.resourceType,
+    resourceCategory: input.resourceCategory || DEFAULT_RESOURCE_CATEGORY,
+    action: input.action,
+    permissionLevel: input.permissionLevel,
+    conditions: input.conditions || null,
+    reason: input.reason ? input.reason.trim() : null,
+    expiresAt: input.expiresAt ? new Date(input.expiresAt) : null
+  };
+};
+
+// Overrides single out one user, so they always need a reason
+const validateOverrideInput = (input, now = new Date()) => {
+  const errors = [];
+  checkGrantFields(errors, input, now);
+
+  if (typeof input.reason !== 'string' || !input.reason.trim()) {
+    errors.push('reason is required for user overrides');
+  }
+  if (input.resourceId !== undefined && input.resourceId !== null &&
+      (typeof input.resourceId !== 'string' || !input.resourceId.trim() || input.resourceId.length > 255)) {
+    errors.push('resourceId must be text (255 characters max)');
+  }
+  throwIfInvalid(errors, 'Invalid permission override');
+
+  return {
+    resourceType: input.resourceType,
+    resourceId: input.resourceId ? input.resourceId.trim() : null,
+    action: input.action,
+    permissionLevel: input.permissionLevel,
+    reason: input.reason.trim(),
+    expiresAt: input.expiresAt ? new Date(input.expiresAt) : null
+  };
+};
+
+const validateExplainQuery = (query) => {
+  const errors = [];
+  checkName(errors, query.resourceType, 'resourceType', 100);
+  checkName(errors, query.action, 'action', 50);
+  throwIfInvalid(errors, 'Invalid permission query');
+
+  return {
+    resourceType: query.resourceType,
+    action: query.action,
+    resourceId: query.resourceId || null
+  };
+};
+
+module.exports = {
+  ROLES,
+  PERMISSION_LEVELS,
+  DEFAULT_RESOURCE_CATEGORY,
+  DECISION_SOURCES,
+  PermissionError,
+  formatRolePermission,
+  formatOverride,
+  evaluatePermission,
+  buildEffectivePermissions,
+  validateRolePermissionInput,
+  validateOverrideInput,
+  validateExplainQuery
+};
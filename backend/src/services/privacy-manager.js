@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const { activityMonitor } = require('./activity-monitor');
+const { getJournalEncryptionService, decryptLegacyCbc } = require('./journal-encryption-service');
 
 // Privacy-related error classes
 class PrivacyError extends Error {
@@ -14,30 +15,25 @@ class PrivacyError extends Error {
 
 class PrivacyManager {
   constructor() {
-    this.encryptionKey = process.env.ENCRYPTION_KEY || this.generateEncryptionKey();
+    // Only needed to read content encrypted before the move to per-student AES-GCM keys
+    this.legacyEncryptionKey = process.env.ENCRYPTION_KEY || null;
+    this.encryptionService = getJournalEncryptionService();
     this.privacyAuditLog = new Map(); // In production, this would be a database
     this.notificationQueue = [];
     this.bulkOperations = new Map();
   }
 
-  // Generate encryption key if not provided
-  generateEncryptionKey() {
-    const key = crypto.randomBytes(32).toString('hex');
-    console.warn('⚠️  Generated new encryption key. In production, this should be stored securely.');
-    return key;
-  }
-
-  // Encrypt sensitive journal content
-  encryptContent(content, studentId) {
+  // Encrypt sensitive journal content with the student's data key
+  async encryptContent(content, studentId) {
     try {
-      const cipher = crypto.createCipher('aes-256-cbc', this.encryptionKey + studentId);
-      let encrypted = cipher.update(content, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
+      const result = await this.encryptionService.encrypt(content, studentId);
+
       return {
-        encryptedContent: encrypted,
+        encryptedContent: result.ciphertext.toString('base64'),
         isEncrypted: true,
-        encryptionMethod: 'aes-256-cbc',
+        encryptionMethod: result.encryptionMethod,
+        encryptionVersion: result.encryptionVersion,
+        keyId: result.keyId,
         encryptedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -46,18 +42,27 @@ class PrivacyManager {
     }
   }
 
+  // Old createCipher output is hex; GCM envelopes are base64 and always start with "TUo"
+  isLegacyCiphertext(encryptedData) {
+    return encryptedData.encryptionMethod === 'aes-256-cbc' ||
+      /^[0-9a-f]+$/i.test(encryptedData.encryptedContent);
+  }
+
   // Decrypt journal content
-  decryptContent(encryptedData, studentId) {
+  async decryptContent(encryptedData, studentId) {
     try {
       if (!encryptedData.isEncrypted) {
         return encryptedData.encryptedContent; // Return as-is if not encrypted
       }
 
-      const decipher = crypto.createDecipher('aes-256-cbc', this.encryptionKey + studentId);
-      let decrypted = decipher.update(encryptedData.encryptedContent, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
+      if (this.isLegacyCiphertext(encryptedData)) {
+        if (!this.legacyEncryptionKey) {
+          throw new Error('ENCRYPTION_KEY is required to read legacy encrypted content');
+        }
+        return decryptLegacyCbc(encryptedData.encryptedContent, this.legacyEncryptionKey + studentId);
+      }
+
+      return await this.encryptionService.decrypt(Buffer.from(encryptedData.encryptedContent, 'base64'), studentId);
     } catch (error) {
       console.error('Decryption failed:', error);
       throw new PrivacyError('Failed to decrypt content', 'DECRYPTION_ERROR', { error: error.message });
@@ -71,17 +76,19 @@ class PrivacyManager {
     try {
       // Encrypt content if entry is private or force encryption is enabled
       if (entry.isPrivate || forceEncryption) {
-        const encryptionResult = this.encryptContent(entry.content, entry.studentId);
+        const encryptionResult = await this.encryptContent(entry.content, entry.studentId);
         entry.content = encryptionResult.encryptedContent;
         entry.encryptionMetadata = {
           isEncrypted: true,
           encryptionMethod: encryptionResult.encryptionMethod,
+          encryptionVersion: encryptionResult.encryptionVersion,
+          keyId: encryptionResult.keyId,
           encryptedAt: encryptionResult.encryptedAt
         };
 
         // Also encrypt plain text content
         if (entry.plainTextContent) {
-          const plainTextResult = this.encryptContent(entry.plainTextContent, entry.studentId);
+          const plainTextResult = await this.encryptContent(entry.plainTextContent, entry.studentId);
           entry.plainTextContent = plainTextResult.encryptedContent;
         }
       }
@@ -121,15 +128,19 @@ class PrivacyManager {
 
       // Decrypt content if needed
       if (entry.encryptionMetadata?.isEncrypted) {
-        entry.content = this.decryptContent({
+        const { encryptionMethod } = entry.encryptionMetadata;
+
+        entry.content = await this.decryptContent({
           encryptedContent: entry.content,
-          isEncrypted: true
+          isEncrypted: true,
+          encryptionMethod
         }, entry.studentId);
 
         if (entry.plainTextContent) {
-          entry.plainTextContent = this.decryptContent({
+          entry.plainTextContent = await this.decryptContent({
             encryptedContent: entry.plainTextContent,
-            isEncrypted: true
+            isEncrypted: true,
+            encryptionMethod
           }, entry.studentId);
         }
       }
@@ -490,7 +501,8 @@ class PrivacyManager {
         auditTrailEntries: this.privacyAuditLog.size,
         pendingNotifications: this.notificationQueue.filter(n => !n.sent).length,
         bulkOperations: this.bulkOperations.size,
-        encryptionEnabled: !!this.encryptionKey,
+        encryptionEnabled: true,
+        encryption: await this.encryptionService.healthCheck(),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
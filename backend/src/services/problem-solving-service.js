@@ -3,7 +3,10 @@ const { scaffoldingEngine } = require('./scaffolding-engine');
 const { safetyFilter } = require('./safety-filter');
 const { responseValidator } = require('./response-validator');
 const { getMistakeAnalysisService, MISTAKE_TYPES, MISTAKE_SEVERITY } = require('./mistake-analysis-service');
+const { checkAnswer, isMathResponseType, VERDICTS } = require('./math-answer-checker');
 const { activityMonitor } = require('./activity-monitor');
+const { getReviewService } = require('./review-service');
+const { getSkillService } = require('./skill-service');
 
 // Problem-solving error class
 class ProblemSolvingError extends Error {
@@ -45,6 +48,8 @@ class ProblemSolvingService {
     this.safetyFilter = safetyFilter;
     this.responseValidator = responseValidator;
     this.mistakeAnalysisService = getMistakeAnalysisService();
+    this.reviewService = getReviewService();
+    this.skillService = getSkillService();
   }
 
   // ============================================
@@ -61,6 +66,7 @@ class ProblemSolvingService {
       const {
         studentId,
         templateId,
+        assignmentId = null,
         requestInfo = {}
       } = sessionData;
 
@@ -77,8 +83,8 @@ class ProblemSolvingService {
       const sessionResult = await client.query(`
         INSERT INTO problem_sessions (
           student_id, template_id, problem_instance, total_steps,
-          emotional_state, session_notes
-        ) VALUES ($1, $2, $3, $4, $5, $6)
+          emotional_state, session_notes, assignment_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
         RETURNING id, started_at
       `, [
         studentId,
@@ -86,7 +92,8 @@ class ProblemSolvingService {
         JSON.stringify(problemInstance),
         problemInstance.steps.length,
         requestInfo.emotionalState || null,
-        requestInfo.sessionNotes || null
+        requestInfo.sessionNotes || null,
+        assignmentId
       ]);
 
       const sessionId = sessionResult.rows[0].id;
@@ -374,6 +381,22 @@ class ProblemSolvingService {
 
       await client.query('COMMIT');
 
+      await this.skillService.recordStepOutcome(studentId, sessionId, analysisResult.accuracy);
+
+      if (analysisResult.mistakes && analysisResult.mistakes.length > 0) {
+        await this.mistakeAnalysisService.detectMistakePatterns(
+          studentId, sessionId, analysisResult.mistakes.map(mistake => mistake.type)
+        );
+        await this.reviewService.recordMistakes(
+          studentId, sessionId, stepNumber, analysisResult.mistakes.map(mistake => mistake.type)
+        );
+      }
+
+      // Completing a session on a template counts as a review of whatever was due on it
+      if (nextAction === 'completed') {
+        await this.reviewService.recordSessionOutcome(studentId, sessionId);
+      }
+
       // Log activity
       await activityMonitor.logActivity({
         studentId,
@@ -599,6 +622,22 @@ class ProblemSolvingService {
 
       await client.query('COMMIT');
 
+      await this.skillService.recordStepOutcome(studentId, sessionId, analysisResult.accuracy);
+
+      if (analysisResult.mistakes && analysisResult.mistakes.length > 0) {
+        await this.mistakeAnalysisService.detectMistakePatterns(
+          studentId, sessionId, analysisResult.mistakes.map(mistake => mistake.type)
+        );
+        await this.reviewService.recordMistakes(
+          studentId, sessionId, stepNumber, analysisResult.mistakes.map(mistake => mistake.type)
+        );
+      }
+
+      // Completing a session on a template counts as a review of whatever was due on it
+      if (nextAction === 'completed') {
+        await this.reviewService.recordSessionOutcome(studentId, sessionId);
+      }
+
       // Log enhanced activity
       await activityMonitor.logActivity({
         studentId,
@@ -708,8 +747,10 @@ class ProblemSolvingService {
   // ============================================
 
   // Analyze student response to a step
-  async analyzeStepResponse(response, stepInfo, problemInstance, studentId) {
+  async analyzeStepResponse(response, sessionStep, problemInstance, studentId) {
     try {
+      const stepInfo = this.resolveStepDefinition(sessionStep, problemInstance);
+
       // Basic quality assessment
       let quality = 'needs_improvement';
       let accuracy = 0.5;
@@ -721,8 +762,13 @@ class ProblemSolvingService {
       let remediationStrategy = null;
 
       // Safety check first
-      const safetyResult = await this.safetyFilter.checkContent(response);
-      if (!safetyResult.isSafe) {
+      // Not strict: a bare answer such as "x = 0.5" is not judged on educational value
+      const safetyResult = await this.safetyFilter.checkSafety(response, {
+        studentId,
+        contextType: 'problem_solving',
+        strictMode: false
+      });
+      if (!safetyResult.safe) {
         return {
           quality: 'inappropriate',
           accuracy: 0.0,
@@ -746,8 +792,54 @@ class ProblemSolvingService {
         feedback = validationResult.improvedResponse || 'Please try to provide a more detailed response.';
       }
 
-      // Check if we have an expected response to compare against
-      if (stepInfo.expected_response) {
+      // Math steps are checked for equivalence (1/2 = 0.5, 2x + 4 = 4 + 2x) instead of word overlap
+      const answerCheck = isMathResponseType(stepInfo.expected_response_type)
+        ? checkAnswer(response, stepInfo.expected_response, {
+          responseType: stepInfo.expected_response_type,
+          tolerance: stepInfo.answer_tolerance
+        })
+        : null;
+
+      if (answerCheck && answerCheck.checked) {
+        accuracy = answerCheck.score;
+
+        if (answerCheck.correct) {
+          quality = answerCheck.verdict === VERDICTS.CORRECT ? 'excellent' : 'good';
+          understanding = 'confident';
+          feedback = this.generateAnswerCheckFeedback(answerCheck);
+        } else {
+          quality = answerCheck.verdict === VERDICTS.INCORRECT ? 'incorrect' : 'needs_improvement';
+          understanding = answerCheck.verdict === VERDICTS.INCORRECT ? 'confused' : 'partial';
+          feedback = this.generateAnswerCheckFeedback(answerCheck);
+
+          const mistakeAnalysisResult = await this.analyzeMistakeWithGuidedQuestions(
+            response,
+            stepInfo,
+            problemInstance,
+            studentId,
+            answerCheck
+          );
+
+          if (mistakeAnalysisResult) {
+            misconceptions = mistakeAnalysisResult.mistakeClassification.misconceptions;
+            mistakes = [{
+              type: mistakeAnalysisResult.mistakeClassification.primaryType,
+              description: mistakeAnalysisResult.mistakeClassification.rootCauses.join('; '),
+              severity: mistakeAnalysisResult.mistakeClassification.severity,
+              indicators: mistakeAnalysisResult.mistakeClassification.indicators
+            }];
+            guidedQuestions = mistakeAnalysisResult.guidedQuestions;
+            remediationStrategy = mistakeAnalysisResult.remediationStrategy;
+          } else {
+            mistakes = [{
+              type: MISTAKE_TYPES.COMPUTATIONAL,
+              description: `Answer check: ${[answerCheck.verdict, ...answerCheck.indicators].join(', ')}`,
+              severity: MISTAKE_SEVERITY.MEDIUM,
+              indicators: answerCheck.indicators
+            }];
+          }
+        }
+      } else if (stepInfo.expected_response) {
         const similarity = this.calculateResponseSimilarity(response, stepInfo.expected_response);
         
         if (similarity > 0.8) {
@@ -876,7 +968,7 @@ class ProblemSolvingService {
   }
 
   // New method to perform detailed mistake analysis with guided questioning
-  async analyzeMistakeWithGuidedQuestions(response, stepInfo, problemInstance, studentId) {
+  async analyzeMistakeWithGuidedQuestions(response, stepInfo, problemInstance, studentId, answerCheck = null) {
     try {
       const mistakeData = {
         sessionId: 'analysis_session',
@@ -889,7 +981,8 @@ class ProblemSolvingService {
           type: stepInfo.type,
           subject: problemInstance.subject || 'general',
           difficulty: problemInstance.difficulty || 'medium',
-          keywords: this.extractKeywordsFromStep(stepInfo)
+          keywords: this.extractKeywordsFromStep(stepInfo),
+          answerCheck
         },
         studentId,
         problemContext: {
@@ -1041,6 +1134,8 @@ class ProblemSolvingService {
         type: step.type || STEP_TYPES.EXECUTE,
         prompt: step.prompt,
         expected_response: step.expected_response,
+        expected_response_type: step.expected_response_type,
+        answer_tolerance: step.answer_tolerance,
         scaffolding_guidance: step.scaffolding_guidance
       })),
       adaptations: []
@@ -1099,6 +1194,36 @@ class ProblemSolvingService {
     }
   }
 
+  // The session step with what the problem instance defines for it (expected answer and its
+  // type), which the session step row does not keep
+  resolveStepDefinition(sessionStep, problemInstance) {
+    const steps = (problemInstance && problemInstance.steps) || [];
+    const resolved = { ...(steps.find(step => step.number === (sessionStep && sessionStep.step_number)) || {}) };
+    Object.entries(sessionStep || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) resolved[key] = value;
+    });
+    return resolved;
+  }
+
+  // Feedback for a checked math answer
+  generateAnswerCheckFeedback(answerCheck) {
+    const { verdict, indicators } = answerCheck;
+
+    if (verdict === VERDICTS.CORRECT) return 'Correct! Your answer checks out.';
+    if (verdict === VERDICTS.ROUNDED) return 'Correct to the precision you gave. Keep exact values like fractions when you can.';
+    if (verdict === VERDICTS.MISSING_UNITS) return 'Your number is right. Don\'t forget to include the units.';
+    if (indicators.includes('missing_solution')) return 'You found part of the answer, but there are more solutions. Check whether the equation has another one.';
+    if (indicators.includes('incomplete_solution')) return 'Your equation is right, but it isn\'t solved yet. Keep going until the variable is on its own.';
+    if (indicators.includes('extraneous_solution')) return 'At least one of your solutions doesn\'t work. Substitute each one back into the equation to check.';
+    if (indicators.includes('sign_error')) return 'Very close. Check your signs: is the answer positive or negative?';
+    if (indicators.includes('place_value_error')) return 'Very close. Check where the decimal point goes.';
+    if (indicators.includes('reciprocal_error')) return 'Very close. Check which number divides which: your answer looks upside down.';
+    if (indicators.includes('rounding_error')) return 'Close, but not quite. Check your calculation and how you rounded.';
+    if (indicators.includes('unit_conversion_error')) return 'Check your unit conversion: the number doesn\'t match the units you used.';
+    if (indicators.includes('wrong_units')) return 'Check your units: they don\'t measure the right kind of quantity.';
+    return 'That answer doesn\'t match. Let\'s look at how you got there.';
+  }
+
   // Calculate response similarity (simplified)
   calculateResponseSimilarity(response1, response2) {
     if (!response1 || !response2) return 0;
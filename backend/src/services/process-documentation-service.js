@@ -19,9 +19,17 @@ const DOCUMENTATION_TYPES = {
   LEARNING_PATTERN: 'learning_pattern',         // Learning patterns analysis
   INTERVENTION_ANALYSIS: 'intervention_analysis', // Effectiveness of interventions
   MISTAKE_ANALYSIS: 'mistake_analysis',         // Common mistakes and patterns
+  TUTOR_SESSION: 'tutor_session',               // Transcript and overview of an AI tutor conversation
   COMPREHENSIVE_REPORT: 'comprehensive_report'  // Full detailed report
 };
 
+// Session types that can be reviewed
+const REVIEW_SESSION_TYPES = {
+  PROBLEM: 'problem',
+  AI_TUTOR: 'ai_tutor',
+  ALL: 'all'
+};
+
 // Review focus areas
 const REVIEW_FOCUS = {
   PROBLEM_SOLVING_PROCESS: 'problem_solving_process',
@@ -129,6 +137,10 @@ class ProcessDocumentationService {
           case DOCUMENTATION_TYPES.MISTAKE_ANALYSIS:
             documentation = await this.generateMistakeAnalysis(client, studentId, timeWindowDays);
             break;
+
+          case DOCUMENTATION_TYPES.TUTOR_SESSION:
+            documentation = await this.generateTutorSessionSummary(client, sessionId);
+            break;
           
           case DOCUMENTATION_TYPES.COMPREHENSIVE_REPORT:
           default:
@@ -249,6 +261,87 @@ class ProcessDocumentationService {
     }
   }
 
+  // Generate documentation for an AI tutor conversation
+  async generateTutorSessionSummary(client, sessionId) {
+    try {
+      const sessionResult = await client.query(`
+        SELECT ats.*, u.username as student_name, r.username as reviewer_name
+        FROM ai_tutor_sessions ats
+        JOIN users u ON ats.student_id = u.id
+        LEFT JOIN users r ON ats.reviewed_by = r.id
+        WHERE ats.id = $1
+      `, [sessionId]);
+
+      if (sessionResult.rows.length === 0) {
+        throw new ProcessDocumentationError('Tutor session not found', 'NOT_FOUND');
+      }
+
+      const session = sessionResult.rows[0];
+
+      const messagesResult = await client.query(`
+        SELECT id, role, content, metadata, was_retracted, retraction_reasons, created_at
+        FROM ai_tutor_messages
+        WHERE session_id = $1
+        ORDER BY created_at, id
+      `, [sessionId]);
+
+      const messages = messagesResult.rows;
+      const scaffoldingTechniques = messages
+        .filter(m => m.role === 'assistant' && m.metadata?.scaffoldingType)
+        .reduce((acc, m) => {
+          acc[m.metadata.scaffoldingType] = (acc[m.metadata.scaffoldingType] || 0) + 1;
+          return acc;
+        }, {});
+
+      const endedAt = session.ended_at || session.last_activity_at;
+
+      return {
+        documentationType: DOCUMENTATION_TYPES.TUTOR_SESSION,
+        generatedAt: new Date().toISOString(),
+        session: {
+          id: session.id,
+          sessionType: REVIEW_SESSION_TYPES.AI_TUTOR,
+          studentId: session.student_id,
+          studentName: session.student_name,
+          subject: session.subject,
+          topic: session.topic,
+          status: session.status,
+          startedAt: session.started_at,
+          endedAt: session.ended_at,
+          duration: this.roundToPrecision((new Date(endedAt) - new Date(session.started_at)) / 60000, 1),
+          messageCount: session.message_count,
+          questionsAsked: session.student_message_count,
+          feedback: session.feedback
+        },
+        transcript: messages.map(m => ({
+          id: m.id,
+          role: m.role,
+          content: m.content,
+          timestamp: m.created_at,
+          scaffoldingType: m.metadata?.scaffoldingType || null,
+          retracted: m.was_retracted,
+          retractionReasons: m.retraction_reasons || []
+        })),
+        analysis: {
+          conceptsDiscussed: session.concepts_discussed || [],
+          scaffoldingTechniques,
+          retractedReplies: session.retracted_message_count,
+          emotionalState: session.context?.emotionalState || null
+        },
+        review: session.reviewed_at ? {
+          reviewedBy: session.reviewer_name,
+          reviewedAt: session.reviewed_at,
+          notes: session.review_notes,
+          followUpRequired: session.follow_up_required
+        } : null
+      };
+
+    } catch (error) {
+      console.error('Error generating tutor session summary:', error);
+      throw error;
+    }
+  }
+
   // Generate comprehensive student progress documentation
   async generateComprehensiveReport(client, studentId, timeWindowDays, focusAreas, options) {
     try {
@@ -259,6 +352,7 @@ class ProcessDocumentationService {
         studentInfo: await this.getStudentInfo(client, studentId),
         executiveSummary: {},
         sessions: [],
+        tutorSessions: [],
         patterns: {},
         insights: {},
         recommendations: []
@@ -276,6 +370,18 @@ class ProcessDocumentationService {
 
       report.sessions = await this.enrichSessionsWithDetails(client, sessionsResult.rows, options);
 
+      // AI tutor conversations in the same window
+      const tutorSessionsResult = await client.query(`
+        SELECT id, subject, topic, status, started_at, ended_at, message_count,
+               student_message_count, retracted_message_count, concepts_discussed, reviewed_at
+        FROM ai_tutor_sessions
+        WHERE student_id = $1
+          AND started_at >= NOW() - INTERVAL '${timeWindowDays} days'
+        ORDER BY started_at DESC
+      `, [studentId]);
+
+      report.tutorSessions = tutorSessionsResult.rows;
+
       // Generate executive summary
       report.executiveSummary = this.generateExecutiveSummary(report.sessions);
 
@@ -634,6 +740,7 @@ class ProcessDocumentationService {
         subject = null,
         difficulty = null,
         reviewStatus = 'pending', // pending, reviewed, all
+        sessionType = REVIEW_SESSION_TYPES.ALL, // problem, ai_tutor, all
         timeWindowDays = 7,
         limit = 20,
         offset = 0
@@ -642,6 +749,19 @@ class ProcessDocumentationService {
       const client = await this.pool.connect();
       
       try {
+        const tutorSessions = sessionType === REVIEW_SESSION_TYPES.PROBLEM
+          ? null
+          : await this.getTutorSessionsForReview(client, filters);
+
+        if (sessionType === REVIEW_SESSION_TYPES.AI_TUTOR) {
+          return {
+            sessions: [],
+            tutorSessions: tutorSessions.sessions,
+            pagination: tutorSessions.pagination,
+            filters
+          };
+        }
+
         // Build query conditions
         const conditions = [
           `ps.started_at >= NOW() - INTERVAL '${timeWindowDays} days'`,
@@ -705,15 +825,18 @@ class ProcessDocumentationService {
         return {
           sessions: result.rows.map(session => ({
             ...session,
+            sessionType: REVIEW_SESSION_TYPES.PROBLEM,
             reviewStatus: session.review_id ? 'reviewed' : 'pending',
             urgency: this.calculateReviewUrgency(session)
           })),
+          tutorSessions: tutorSessions ? tutorSessions.sessions : [],
           pagination: {
             total,
             limit: parseInt(limit),
             offset: parseInt(offset),
             hasMore: offset + result.rows.length < total
           },
+          tutorPagination: tutorSessions ? tutorSessions.pagination : null,
           filters
         };
 
@@ -731,6 +854,75 @@ class ProcessDocumentationService {
     }
   }
 
+  // Get finished AI tutor conversations awaiting (or past) review, using the same filters as problem sessions
+  async getTutorSessionsForReview(client, filters = {}) {
+    const {
+      studentId = null,
+      subject = null,
+      reviewStatus = 'pending',
+      timeWindowDays = 7,
+      limit = 20,
+      offset = 0
+    } = filters;
+
+    const conditions = [
+      `ats.started_at >= NOW() - INTERVAL '${parseInt(timeWindowDays)} days'`,
+      `ats.status != 'active'`
+    ];
+    const params = [];
+    let paramCount = 0;
+
+    if (studentId) {
+      conditions.push(`ats.student_id = $${++paramCount}`);
+      params.push(studentId);
+    }
+
+    if (subject) {
+      conditions.push(`ats.subject = $${++paramCount}`);
+      params.push(subject);
+    }
+
+    if (reviewStatus === 'pending') {
+      conditions.push(`ats.reviewed_at IS NULL`);
+    } else if (reviewStatus === 'reviewed') {
+      conditions.push(`ats.reviewed_at IS NOT NULL`);
+    }
+
+    const result = await client.query(`
+      SELECT ats.id, ats.student_id, ats.subject, ats.topic, ats.status,
+             ats.started_at, ats.ended_at, ats.message_count, ats.student_message_count,
+             ats.retracted_message_count, ats.concepts_discussed, ats.reviewed_at,
+             ats.follow_up_required, u.username as student_name
+      FROM ai_tutor_sessions ats
+      JOIN users u ON ats.student_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY COALESCE(ats.ended_at, ats.last_activity_at) DESC
+      LIMIT $${++paramCount} OFFSET $${++paramCount}
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    const countResult = await client.query(`
+      SELECT COUNT(*) as total
+      FROM ai_tutor_sessions ats
+      WHERE ${conditions.join(' AND ')}
+    `, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      sessions: result.rows.map(session => ({
+        ...session,
+        sessionType: REVIEW_SESSION_TYPES.AI_TUTOR,
+        reviewStatus: session.reviewed_at ? 'reviewed' : 'pending',
+        urgency: session.retracted_message_count > 0 || session.follow_up_required ? 'high' : 'normal'
+      })),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + result.rows.length < total
+      }
+    };
+  }
+
   // ============================================
   // UTILITY AND HELPER METHODS
   // ============================================
@@ -1026,5 +1218,6 @@ module.exports = {
   getProcessDocumentationService,
   ProcessDocumentationError,
   DOCUMENTATION_TYPES,
-  REVIEW_FOCUS
+  REVIEW_FOCUS,
+  REVIEW_SESSION_TYPES
 }; 
\ No newline at end of file
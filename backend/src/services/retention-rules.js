@@ -0,0 +1,336 @@
+// Data retention policy rules and the tables they can govern (no database access)
+
+const RETENTION_ACTIONS = {
+  DELETE: 'delete',
+  ANONYMISE: 'anonymise',
+  ARCHIVE: 'archive'
+};
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Why a policy was not applied in a run
+const SKIP_REASONS = {
+  UNSUPPORTED: 'unsupported',
+  MANAGED_ELSEWHERE: 'managed_elsewhere'
+};
+
+/**
+ * Tables a policy can target. timestampColumn dates each row; anonymise.set clears what
+ * identifies a person and anonymise.pending finds rows not yet cleared (so reruns count
+ * nothing twice). A null anonymise means the table can only be deleted or archived.
+ */
+const RETENTION_TABLES = {
+  access_control_audit_log: {
+    timestampColumn: 'created_at',
+    anonymise: {
+      set: 'ip_address = NULL, user_agent = NULL, request_data = NULL, session_id = NULL',
+      pending: '(ip_address IS NOT NULL OR user_agent IS NOT NULL OR request_data IS NOT NULL OR session_id IS NOT NULL)'
+    }
+  },
+  user_sessions: {
+    timestampColumn: 'last_activity',
+    anonymise: {
+      set: 'ip_address = NULL, user_agent = NULL, device_fingerprint = NULL, location_data = NULL',
+      pending: '(ip_address IS NOT NULL OR user_agent IS NOT NULL OR device_fingerprint IS NOT NULL OR location_data IS NOT NULL)'
+    }
+  },
+  // ip_address is required, so it is truncated to its /24 (IPv4) or /48 (IPv6) network
+  failed_login_attempts: {
+    timestampColumn: 'attempt_time',
+    anonymise: {
+      set: `username_attempted = NULL, user_agent = NULL,
+        ip_address = network(set_masklen(ip_address, CASE WHEN family(ip_address) = 4 THEN 24 ELSE 48 END))::inet`,
+      pending: '(username_attempted IS NOT NULL OR user_agent IS NOT NULL OR masklen(ip_address) IN (32, 128))'
+    }
+  },
+  journal_access_log: {
+    timestampColumn: 'accessed_at',
+    anonymise: {
+      set: 'ip_address = NULL, user_agent = NULL, request_id = NULL',
+      pending: '(ip_address IS NOT NULL OR user_agent IS NOT NULL OR request_id IS NOT NULL)'
+    }
+  },
+  dashboard_usage_analytics: {
+    timestampColumn: 'timestamp',
+    anonymise: {
+      set: 'user_agent = NULL, screen_resolution = NULL, action_details = NULL',
+      pending: '(user_agent IS NOT NULL OR screen_resolution IS NOT NULL OR action_details IS NOT NULL)'
+    }
+  },
+  session_heartbeats: {
+    timestampColumn: 'recorded_at',
+    anonymise: {
+      set: "interface_events = '[]', typing_speed = NULL, pause_duration = NULL",
+      pending: "(interface_events <> '[]' OR typing_speed IS NOT NULL OR pause_duration IS NOT NULL)"
+    }
+  },
+  notification_delivery_log: {
+    timestampColumn: 'created_at',
+    anonymise: {
+      set: "external_id = NULL, delivery_response = NULL, error_message = NULL, provider_metadata = '{}'",
+      pending: "(external_id IS NOT NULL OR delivery_response IS NOT NULL OR error_message IS NOT NULL OR provider_metadata <> '{}')"
+    }
+  },
+  // The student's own answer is the personal part of a mistake; the classification stays for analytics
+  problem_mistakes: {
+    timestampColumn: 'detected_at',
+    anonymise: {
+      set: 'incorrect_response = NULL',
+      pending: 'incorrect_response IS NOT NULL'
+    }
+  },
+  data_retention_archive: {
+    timestampColumn: 'archived_at',
+    anonymise: null
+  }
+};
+
+// Tables whose policies another service applies (ActivityMonitorStore.purgeExpiredData)
+const EXTERNALLY_MANAGED_TABLES = ['monitored_activities', 'security_alerts'];
+
+const MAX_RETENTION_DAYS = 36500;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+class RetentionError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'RetentionError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const supportedActions = (tableName) => {
+  const table = RETENTION_TABLES[tableName];
+  if (!table) return [];
+  return Object.values(RETENTION_ACTIONS).filter(action => action !== RETENTION_ACTIONS.ANONYMISE || table.anonymise);
+};
+
+// Why a policy cannot be applied, or null when it can
+const skipReason = (policy) => {
+  if (EXTERNALLY_MANAGED_TABLES.includes(policy.table_name)) return SKIP_REASONS.MANAGED_ELSEWHERE;
+  if (!RETENTION_TABLES[policy.table_name]) return SKIP_REASONS.UNSUPPORTED;
+  return null;
+};
+
+/**
+ * The stages a policy runs, each with the cutoff before which rows are affected: an optional
+ * early anonymisation, then the expiry action. Anonymisation is skipped on tables without
+ * an anonymise rule.
+ */
+const policyStages = (policy, now = new Date()) => {
+  const table = RETENTION_TABLES[policy.table_name];
+  const stages = [];
+  const anonymiseDays = policy.anonymization_period_days;
+
+  if (anonymiseDays !== null && anonymiseDays !== undefined && table.anonymise &&
+      anonymiseDays < policy.retention_period_days) {
+    stages.push({ action: RETENTION_ACTIONS.ANONYMISE, cutoff: new Date(now.getTime() - anonymiseDays * DAY_MS) });
+  }
+
+  const expiryAction = policy.expiry_action || RETENTION_ACTIONS.DELETE;
+  if (expiryAction !== RETENTION_ACTIONS.ANONYMISE || table.anonymise) {
+    stages.push({ action: expiryAction, cutoff: new Date(now.getTime() - policy.retention_period_days * DAY_MS) });
+  }
+
+  return stages;
+};
+
+// ============================================
+// SQL
+// ============================================
+
+// Rows of a stage: $1 is the cutoff
+const stageCondition = (tableName, action) => {
+  const table = RETENTION_TABLES[tableName];
+  const condition = `${table.timestampColumn} < $1`;
+  return action === RETENTION_ACTIONS.ANONYMISE ? `${condition} AND ${table.anonymise.pending}` : condition;
+};
+
+const buildCountSql = (tableName, action) => `
+  SELECT COUNT(*) AS count, MIN(${RETENTION_TABLES[tableName].timestampColumn}) AS oldest
+  FROM ${tableName} WHERE ${stageCondition(tableName, action)}
+`;
+
+/**
+ * One batch of a stage ($1 cutoff, $2 batch size, $3 policy id for archives); run it until
+ * it affects fewer rows than the batch size. Batches keep locks and transactions short.
+ */
+const buildBatchSql = (tableName, action) => {
+  const table = RETENTION_TABLES[tableName];
+  const batch = `
+    WITH batch AS (
+      SELECT id FROM ${tableName}
+      WHERE ${stageCondition(tableName, action)}
+      ORDER BY ${table.timestampColumn}
+      LIMIT $2
+    )`;
+
+  if (action === RETENTION_ACTIONS.ANONYMISE) {
+    return `${batch}
+    UPDATE ${tableName} SET ${table.anonymise.set} WHERE id IN (SELECT id FROM batch)`;
+  }
+  if (action === RETENTION_ACTIONS.ARCHIVE) {
+    return `${batch},
+    moved AS (DELETE FROM ${tableName} WHERE id IN (SELECT id FROM batch) RETURNING *)
+    INSERT INTO data_retention_archive (policy_id, table_name, row_id, row_data, recorded_at)
+    SELECT $3, '${tableName}', moved.id::text, to_jsonb(moved), moved.${table.timestampColumn} FROM moved`;
+  }
+  return `${batch}
+    DELETE FROM ${tableName} WHERE id IN (SELECT id FROM batch)`;
+};
+
+// ============================================
+// INPUT VALIDATION
+// ============================================
+
+const isDays = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_RETENTION_DAYS;
+
+/**
+ * Validate a new policy, or the changed fields of an existing one (current is its row).
+ * The result uses column names so it can be written as is.
+ */
+const validatePolicyInput = (input, { current = null } = {}) => {
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  if (!current || has('dataType')) {
+    if (typeof input.dataType !== 'string' || !/^[a-z0-9_]{1,100}$/.test(input.dataType)) {
+      errors.push('dataType must be a lower-case name (letters, digits and underscores)');
+    }
+  }
+  if (!current || has('tableName')) {
+    if (!RETENTION_TABLES[input.tableName]) {
+      errors.push(`tableName must be one of: ${Object.keys(RETENTION_TABLES).join(', ')}`);
+    }
+  }
+  if ((!current || has('retentionPeriodDays')) && !isDays(input.retentionPeriodDays)) {
+    errors.push(`retentionPeriodDays must be a whole number of days (1 to ${MAX_RETENTION_DAYS})`);
+  }
+  if (has('anonymizationPeriodDays') && input.anonymizationPeriodDays !== null && !isDays(input.anonymizationPeriodDays)) {
+    errors.push('anonymizationPeriodDays must be a whole number of days or null');
+  }
+  if (has('expiryAction') && !Object.values(RETENTION_ACTIONS).includes(input.expiryAction)) {
+    errors.push(`expiryAction must be one of: ${Object.values(RETENTION_ACTIONS).join(', ')}`);
+  }
+  if (has('description') && input.description !== null &&
+      (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description must be text (${MAX_DESCRIPTION_LENGTH} characters max)`);
+  }
+  if (has('isActive') && typeof input.isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+
+  if (errors.length > 0) {
+    throw new RetentionError('Invalid retention policy', 'VALIDATION_ERROR', { errors });
+  }
+
+  const pick = (field, column, fallback) => {
+    if (has(field)) return input[field];
+    return current ? current[column] : fallback;
+  };
+  const policy = {
+    data_type: pick('dataType', 'data_type'),
+    table_name: pick('tableName', 'table_name'),
+    retention_period_days: pick('retentionPeriodDays', 'retention_period_days'),
+    anonymization_period_days: pick('anonymizationPeriodDays', 'anonymization_period_days', null),
+    expiry_action: pick('expiryAction', 'expiry_action', RETENTION_ACTIONS.DELETE),
+    policy_description: has('description') ? (input.description ? input.description.trim() || null : null)
+      : (current ? current.policy_description : null),
+    is_active: pick('isActive', 'is_active', true)
+  };
+
+  // Checked on the combined policy so a partial update cannot leave it inconsistent
+  const combined = [];
+  const anonymisable = supportedActions(policy.table_name).includes(RETENTION_ACTIONS.ANONYMISE);
+  if (policy.anonymization_period_days !== null && policy.anonymization_period_days >= policy.retention_period_days) {
+    combined.push('anonymizationPeriodDays must be shorter than retentionPeriodDays');
+  }
+  if (!anonymisable && (policy.expiry_action === RETENTION_ACTIONS.ANONYMISE || policy.anonymization_period_days !== null)) {
+    combined.push(`${policy.table_name} cannot be anonymised, only deleted or archived`);
+  }
+  if (policy.table_name === 'data_retention_archive' && policy.expiry_action === RETENTION_ACTIONS.ARCHIVE) {
+    combined.push('The archive cannot be archived into itself');
+  }
+  if (combined.length > 0) {
+    throw new RetentionError('Invalid retention policy', 'VALIDATION_ERROR', { errors: combined });
+  }
+
+  return policy;
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const formatPolicy = (row) => ({
+  id: row.id,
+  dataType: row.data_type,
+  tableName: row.table_name,
+  retentionPeriodDays: row.retention_period_days,
+  anonymizationPeriodDays: row.anonymization_period_days,
+  expiryAction: row.expiry_action || RETENTION_ACTIONS.DELETE,
+  description: row.policy_description || null,
+  appliesToRoles: row.applies_to_roles || [],
+  isActive: row.is_active,
+  enforcement: skipReason(row) || 'engine',
+  supportedActions: supportedActions(row.table_name),
+  lastCleanupRun: toIso(row.last_cleanup_run),
+  nextCleanupRun: toIso(row.next_cleanup_run),
+  updatedBy: row.updated_by || null,
+  updatedAt: toIso(row.updated_at)
+});
+
+const formatRun = (row) => ({
+  id: row.id,
+  periodKey: row.period_key,
+  trigger: row.trigger,
+  triggeredBy: row.triggered_by || null,
+  status: row.status,
+  policiesRun: row.policies_run,
+  rowsDeleted: row.rows_deleted,
+  rowsAnonymised: row.rows_anonymised,
+  rowsArchived: row.rows_archived,
+  failures: row.failures,
+  lastError: row.last_error || null,
+  startedAt: toIso(row.started_at),
+  completedAt: toIso(row.completed_at)
+});
+
+const formatRunResult = (row) => ({
+  policyId: row.policy_id,
+  dataType: row.data_type,
+  tableName: row.table_name,
+  action: row.action,
+  cutoff: toIso(row.cutoff),
+  rowsAffected: row.rows_affected,
+  durationMs: row.duration_ms,
+  error: row.error || null
+});
+
+module.exports = {
+  RETENTION_ACTIONS,
+  RUN_STATUS,
+  SKIP_REASONS,
+  RETENTION_TABLES,
+  EXTERNALLY_MANAGED_TABLES,
+  RetentionError,
+  supportedActions,
+  skipReason,
+  policyStages,
+  buildCountSql,
+  buildBatchSql,
+  validatePolicyInput,
+  formatPolicy,
+  formatRun,
+  formatRunResult
+};
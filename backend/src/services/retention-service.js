@@ -0,0 +1,442 @@
+const { Pool } = require('pg');
+const { getRetentionConfig } = require('../config/environment');
+const { CronScheduler } = require('./scheduled-job');
+const {
+  RETENTION_ACTIONS,
+  RUN_STATUS,
+  RetentionError,
+  skipReason,
+  policyStages,
+  buildCountSql,
+  buildBatchSql,
+  validatePolicyInput,
+  formatPolicy,
+  formatRun,
+  formatRunResult
+} = require('./retention-rules');
+const { withTransaction } = require('./db-transaction');
+
+const RUN_STALE_HOURS = 6; // A run still marked running after this long was interrupted
+
+// Run totals column for each action
+const TOTAL_COLUMNS = {
+  [RETENTION_ACTIONS.DELETE]: 'rowsDeleted',
+  [RETENTION_ACTIONS.ANONYMISE]: 'rowsAnonymised',
+  [RETENTION_ACTIONS.ARCHIVE]: 'rowsArchived'
+};
+
+class RetentionService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getRetentionConfig();
+    this.scheduler = new CronScheduler({
+      name: 'Retention',
+      timezone: this.config.timezone,
+      runJob: async (jobName, periodKey) => {
+        const run = await this.claimRun({ periodKey, trigger: 'schedule' });
+        return run ? this.executeRun(run) : null;
+      }
+    });
+  }
+
+  // Written in the change's transaction: a policy change that cannot be audited is not made
+  async audit(client, { admin, action, clientInfo = {}, data }) {
+    await client.query(`
+      INSERT INTO access_control_audit_log (
+        user_id, user_role, resource, action, result, reason, ip_address, user_agent, request_data
+      ) VALUES ($1, $2, 'data_retention_policies', $3, 'granted', NULL, $4, $5, $6)
+    `, [
+      admin.id,
+      admin.role,
+      action,
+      clientInfo.ipAddress && clientInfo.ipAddress !== 'unknown' ? clientInfo.ipAddress : null,
+      clientInfo.userAgent || null,
+      JSON.stringify(data)
+    ]);
+  }
+
+  // ============================================
+  // SCHEDULER
+  // ============================================
+
+  start() {
+    if (!this.config.enabled) {
+      return false;
+    }
+    return this.scheduler.start({ data_retention: this.config.schedule });
+  }
+
+  stop() {
+    this.scheduler.stop();
+  }
+
+  tick(now = new Date()) {
+    return this.scheduler.tick(now);
+  }
+
+  // ============================================
+  // POLICIES
+  // ============================================
+
+  async listPolicies() {
+    const result = await this.pool.query(`
+      SELECT * FROM data_retention_policies ORDER BY table_name, data_type
+    `);
+    return result.rows.map(formatPolicy);
+  }
+
+  async getPolicyRow(policyId, client = this.pool, { forUpdate = false } = {}) {
+    const id = parseInt(policyId, 10);
+    if (!Number.isInteger(id) || String(id) !== String(policyId)) {
+      throw new RetentionError('Retention policy not found', 'NOT_FOUND', { policyId });
+    }
+
+    const result = await client.query(`
+      SELECT * FROM data_retention_policies WHERE id = $1 ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [id]);
+    if (result.rows.length === 0) {
+      throw new RetentionError('Retention policy not found', 'NOT_FOUND', { policyId });
+    }
+    return result.rows[0];
+  }
+
+  async createPolicy(input, admin, clientInfo = {}) {
+    const policy = validatePolicyInput(input);
+
+    return withTransaction(this.pool, async (client) => {
+      let created;
+      try {
+        created = await client.query(`
+          INSERT INTO data_retention_policies (
+            data_type, table_name, retention_period_days, anonymization_period_days, expiry_action,
+            policy_description, is_active, updated_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *
+        `, [
+          policy.data_type, policy.table_name, policy.retention_period_days, policy.anonymization_period_days,
+          policy.expiry_action, policy.policy_description, policy.is_active, admin.id
+        ]);
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new RetentionError(`A ${policy.data_type} policy for ${policy.table_name} already exists`, 'CONFLICT');
+        }
+        throw error;
+      }
+
+      const after = formatPolicy(created.rows[0]);
+      await this.audit(client, { admin, action: 'retention_policy_created', clientInfo, data: { before: null, after } });
+      return after;
+    });
+  }
+
+  async updatePolicy(policyId, input, admin, clientInfo = {}) {
+    return withTransaction(this.pool, async (client) => {
+      const current = await this.getPolicyRow(policyId, client, { forUpdate: true });
+      const policy = validatePolicyInput(input, { current });
+
+      let updated;
+      try {
+        updated = await client.query(`
+          UPDATE data_retention_policies
+          SET data_type = $2, table_name = $3, retention_period_days = $4, anonymization_period_days = $5,
+              expiry_action = $6, policy_description = $7, is_active = $8, updated_by = $9,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING *
+        `, [
+          current.id, policy.data_type, policy.table_name, policy.retention_period_days,
+          policy.anonymization_period_days, policy.expiry_action, policy.policy_description, policy.is_active, admin.id
+        ]);
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new RetentionError(`A ${policy.data_type} policy for ${policy.table_name} already exists`, 'CONFLICT');
+        }
+        throw error;
+      }
+
+      const before = formatPolicy(current);
+      const after = formatPolicy(updated.rows[0]);
+      await this.audit(client, { admin, action: 'retention_policy_updated', clientInfo, data: { before, after } });
+      return after;
+    });
+  }
+
+  // ============================================
+  // DRY RUN
+  // ============================================
+
+  /**
+   * What a run would do now: rows each stage of each active policy would affect, and the
+   * oldest of them. Nothing is changed. Pass policyId to report on one policy, active or not.
+   */
+  async getReport({ policyId = null, now = new Date() } = {}) {
+    const policies = policyId !== null
+      ? [await this.getPolicyRow(policyId)]
+      : (await this.pool.query('SELECT * FROM data_retention_policies WHERE is_active = true ORDER BY table_name, data_type')).rows;
+
+    const report = [];
+    for (const policy of policies) {
+      const skipped = skipReason(policy);
+      if (skipped) {
+        report.push({ policy: formatPolicy(policy), skipped, stages: [] });
+        continue;
+      }
+
+      const stages = [];
+      for (const stage of policyStages(policy, now)) {
+        try {
+          const result = await this.pool.query(buildCountSql(policy.table_name, stage.action), [stage.cutoff]);
+          const row = result.rows[0];
+          stages.push({
+            action: stage.action,
+            cutoff: stage.cutoff.toISOString(),
+            rows: parseInt(row.count, 10),
+            oldest: row.oldest ? new Date(row.oldest).toISOString() : null
+          });
+        } catch (error) {
+          stages.push({ action: stage.action, cutoff: stage.cutoff.toISOString(), rows: null, error: error.message });
+        }
+      }
+      report.push({ policy: formatPolicy(policy), skipped: null, stages });
+    }
+
+    return {
+      generatedAt: now.toISOString(),
+      dryRun: true,
+      policies: report,
+      totals: report.reduce((totals, entry) => {
+        entry.stages.forEach(stage => { totals[TOTAL_COLUMNS[stage.action]] += stage.rows || 0; });
+        return totals;
+      }, { rowsDeleted: 0, rowsAnonymised: 0, rowsArchived: 0 })
+    };
+  }
+
+  // ============================================
+  // RUNS
+  // ============================================
+
+  /**
+   * Claim a run. Returns null when this scheduled minute already ran (another instance);
+   * a run already in progress is a conflict.
+   */
+  async claimRun({ periodKey, trigger, triggeredBy = null }) {
+    await this.pool.query(`
+      UPDATE data_retention_runs
+      SET status = 'failed', last_error = 'Interrupted before completion', completed_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND started_at < CURRENT_TIMESTAMP - make_interval(hours => $1)
+    `, [RUN_STALE_HOURS]);
+
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO data_retention_runs (period_key, trigger, triggered_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (period_key) DO NOTHING
+        RETURNING *
+      `, [periodKey, trigger, triggeredBy]);
+      return result.rows[0] || null;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new RetentionError('A retention run is already in progress', 'CONFLICT');
+      }
+      throw error;
+    }
+  }
+
+  // Start a manual run and return it straight away; progress is read from the run log
+  async triggerRun(admin) {
+    const run = await this.claimRun({
+      periodKey: `manual:${new Date().toISOString()}`,
+      trigger: 'manual',
+      triggeredBy: admin.id
+    });
+
+    setImmediate(() => {
+      this.executeRun(run).catch(error => console.error(`❌ Retention run ${run.id} failed:`, error.message));
+    });
+
+    return formatRun(run);
+  }
+
+  async executeRun(run, now = new Date()) {
+    console.log(`🧹 Running data retention (${run.period_key})`);
+    const totals = { policiesRun: 0, rowsDeleted: 0, rowsAnonymised: 0, rowsArchived: 0, failures: 0, lastError: null };
+
+    try {
+      const policies = await this.pool.query(`
+        SELECT * FROM data_retention_policies WHERE is_active = true ORDER BY table_name, data_type
+      `);
+
+      for (const policy of policies.rows) {
+        if (skipReason(policy)) continue;
+
+        for (const stage of policyStages(policy, now)) {
+          const result = await this.runStage(run.id, policy, stage);
+          totals[TOTAL_COLUMNS[stage.action]] += result.rowsAffected;
+          if (result.error) {
+            totals.failures += 1;
+            totals.lastError = `${policy.table_name} ${stage.action}: ${result.error}`;
+          }
+        }
+
+        totals.policiesRun += 1;
+        await this.pool.query(`
+          UPDATE data_retention_policies SET last_cleanup_run = CURRENT_TIMESTAMP WHERE id = $1
+        `, [policy.id]);
+      }
+
+      const completed = await this.pool.query(`
+        UPDATE data_retention_runs
+        SET status = $2, policies_run = $3, rows_deleted = $4, rows_anonymised = $5, rows_archived = $6,
+            failures = $7, last_error = $8, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [run.id, RUN_STATUS.COMPLETED, totals.policiesRun, totals.rowsDeleted, totals.rowsAnonymised,
+        totals.rowsArchived, totals.failures, totals.lastError]);
+
+      console.log(`✅ Data retention: ${totals.rowsDeleted} deleted, ${totals.rowsAnonymised} anonymised, ` +
+        `${totals.rowsArchived} archived, ${totals.failures} failed`);
+      return formatRun(completed.rows[0]);
+    } catch (error) {
+      await this.pool.query(`
+        UPDATE data_retention_runs
+        SET status = $2, last_error = $3, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [run.id, RUN_STATUS.FAILED, error.message]).catch(console.error);
+      throw error;
+    }
+  }
+
+  // Apply one stage in batches; a failing stage is recorded and the run carries on
+  async runStage(runId, policy, stage) {
+    const started = Date.now();
+    const sql = buildBatchSql(policy.table_name, stage.action);
+    const params = stage.action === RETENTION_ACTIONS.ARCHIVE
+      ? [stage.cutoff, this.config.batchSize, policy.id]
+      : [stage.cutoff, this.config.batchSize];
+
+    let rowsAffected = 0;
+    let error = null;
+    try {
+      for (let batch = 0; batch < this.config.maxBatches; batch++) {
+        const result = await this.pool.query(sql, params);
+        rowsAffected += result.rowCount;
+        if (result.rowCount < this.config.batchSize) break;
+      }
+    } catch (stageError) {
+      error = stageError.message;
+      console.error(`❌ Retention ${stage.action} on ${policy.table_name} failed:`, stageError.message);
+    }
+
+    await this.pool.query(`
+      INSERT INTO data_retention_run_results (
+        run_id, policy_id, data_type, table_name, action, cutoff, rows_affected, duration_ms, error
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [runId, policy.id, policy.data_type, policy.table_name, stage.action, stage.cutoff, rowsAffected,
+      Date.now() - started, error]);
+
+    return { rowsAffected, error };
+  }
+
+  async listRuns({ limit = 20, offset = 0 } = {}) {
+    const result = await this.pool.query(`
+      SELECT * FROM data_retention_runs
+      ORDER BY started_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+    return result.rows.map(formatRun);
+  }
+
+  async getRun(runId) {
+    if (typeof runId !== 'string' || !/^[0-9a-f-]{36}$/i.test(runId)) {
+      throw new RetentionError('Retention run not found', 'NOT_FOUND', { runId });
+    }
+
+    const [run, results] = await Promise.all([
+      this.pool.query('SELECT * FROM data_retention_runs WHERE id = $1', [runId]),
+      this.pool.query(`
+        SELECT * FROM data_retention_run_results WHERE run_id = $1 ORDER BY created_at, table_name
+      `, [runId])
+    ]);
+    if (run.rows.length === 0) {
+      throw new RetentionError('Retention run not found', 'NOT_FOUND', { runId });
+    }
+
+    return { ...formatRun(run.rows[0]), results: results.rows.map(formatRunResult) };
+  }
+
+  // Rows affected per policy and action over the last `days` days of runs
+  async getMetrics({ days = 30 } = {}) {
+    const [byPolicy, runs] = await Promise.all([
+      this.pool.query(`
+        SELECT policy_id, data_type, table_name, action,
+          COUNT(DISTINCT run_id) AS runs,
+          COALESCE(SUM(rows_affected), 0) AS rows_affected,
+          COALESCE(SUM(duration_ms), 0) AS duration_ms,
+          COUNT(error) AS failures,
+          MAX(created_at) AS last_run_at
+        FROM data_retention_run_results
+        WHERE created_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+        GROUP BY policy_id, data_type, table_name, action
+        ORDER BY table_name, data_type, action
+      `, [days]),
+      this.pool.query(`
+        SELECT COUNT(*) AS runs,
+          COUNT(*) FILTER (WHERE status = 'failed') AS failed_runs,
+          COALESCE(SUM(rows_deleted), 0) AS rows_deleted,
+          COALESCE(SUM(rows_anonymised), 0) AS rows_anonymised,
+          COALESCE(SUM(rows_archived), 0) AS rows_archived
+        FROM data_retention_runs
+        WHERE started_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+      `, [days])
+    ]);
+
+    const totals = runs.rows[0];
+    return {
+      days,
+      runs: parseInt(totals.runs, 10),
+      failedRuns: parseInt(totals.failed_runs, 10),
+      rowsDeleted: parseInt(totals.rows_deleted, 10),
+      rowsAnonymised: parseInt(totals.rows_anonymised, 10),
+      rowsArchived: parseInt(totals.rows_archived, 10),
+      policies: byPolicy.rows.map(row => ({
+        policyId: row.policy_id,
+        dataType: row.data_type,
+        tableName: row.table_name,
+        action: row.action,
+        runs: parseInt(row.runs, 10),
+        rowsAffected: parseInt(row.rows_affected, 10),
+        durationMs: parseInt(row.duration_ms, 10),
+        failures: parseInt(row.failures, 10),
+        lastRunAt: row.last_run_at ? new Date(row.last_run_at).toISOString() : null
+      }))
+    };
+  }
+
+  getSchedule() {
+    return {
+      enabled: this.config.enabled,
+      running: this.scheduler.running,
+      timezone: this.config.timezone,
+      schedule: this.config.schedule,
+      batchSize: this.config.batchSize,
+      maxBatches: this.config.maxBatches
+    };
+  }
+}
+
+let retentionServiceInstance = null;
+
+const getRetentionService = () => {
+  if (!retentionServiceInstance) {
+    retentionServiceInstance = new RetentionService();
+  }
+  return retentionServiceInstance;
+};
+
+module.exports = {
+  RetentionService,
+  getRetentionService
+};
@@ -0,0 +1,178 @@
+// Spaced review of past mistakes: SM-2 scheduling, review quality and formatting (no database access)
+//
+// A review item is one mistake type a student made on one skill of a template, where a skill is
+// the template step the mistake was made in. Each mistake schedules the item for review; each
+// review grades recall from 0 (blank) to 5 (perfect) and, per SM-2, passing grades (3+) push
+// the next review out by the item's ease factor while failing ones start it over.
+
+const REVIEW_STATUS = {
+  ACTIVE: 'active',
+  MASTERED: 'mastered' // Next review would be beyond the mastery interval; a new mistake reactivates it
+};
+
+const REVIEW_SOURCES = {
+  SESSION: 'session', // A problem session completed on the template while the item was due
+  SELF: 'self' // The student graded their own review
+};
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const PASSING_QUALITY = 3;
+const SECOND_INTERVAL_DAYS = 6;
+const MAX_QUALITY = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReviewError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'ReviewError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * The skill a session step practises: its title, else its type, as a stable key.
+ * Returns { skill, label }.
+ */
+const skillForStep = (step = {}) => {
+  const label = (step.step_title || step.title || step.step_type || step.type || '').trim();
+  const skill = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 100);
+  return skill ? { skill, label: label.slice(0, 200) } : { skill: 'general', label: 'General' };
+};
+
+/**
+ * Grade a review from the accuracy of the steps practising the skill. Making the same mistake
+ * again fails the review whatever the accuracy.
+ */
+const qualityFromAccuracy = (accuracy, { repeatedMistake = false } = {}) => {
+  if (repeatedMistake) return accuracy >= 0.5 ? 2 : 1;
+  if (accuracy === null || accuracy === undefined || Number.isNaN(accuracy)) return 0;
+  if (accuracy >= 0.95) return 5;
+  if (accuracy >= 0.8) return 4;
+  if (accuracy >= 0.6) return 3;
+  if (accuracy >= 0.4) return 2;
+  return accuracy > 0 ? 1 : 0;
+};
+
+/**
+ * SM-2: the item's state after a review graded `quality`.
+ * `item` carries repetitions, intervalDays, easeFactor and lapses.
+ */
+const scheduleReview = (item, quality, config, now = new Date()) => {
+  const easeFactor = Math.max(
+    MIN_EASE,
+    (item.easeFactor || DEFAULT_EASE) + 0.1 - (MAX_QUALITY - quality) * (0.08 + (MAX_QUALITY - quality) * 0.02)
+  );
+
+  let repetitions;
+  let intervalDays;
+  let lapses = item.lapses || 0;
+  if (quality < PASSING_QUALITY) {
+    repetitions = 0;
+    intervalDays = config.firstIntervalDays;
+    lapses += 1;
+  } else {
+    repetitions = (item.repetitions || 0) + 1;
+    if (repetitions === 1) {
+      intervalDays = config.firstIntervalDays;
+    } else if (repetitions === 2) {
+      intervalDays = SECOND_INTERVAL_DAYS;
+    } else {
+      intervalDays = Math.round((item.intervalDays || SECOND_INTERVAL_DAYS) * easeFactor);
+    }
+  }
+  intervalDays = Math.min(intervalDays, config.maxIntervalDays);
+
+  const mastered = quality >= PASSING_QUALITY && intervalDays > config.masteredIntervalDays;
+  return {
+    repetitions,
+    intervalDays,
+    easeFactor: round(easeFactor),
+    lapses,
+    status: mastered ? REVIEW_STATUS.MASTERED : REVIEW_STATUS.ACTIVE,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS)
+  };
+};
+
+// How far a generated variation strays from the original: close after a lapse, further once recalled
+const variationLevelFor = (repetitions) => {
+  if (repetitions === 0) return 'low';
+  return repetitions < 3 ? 'medium' : 'high';
+};
+
+const validateOutcomeInput = (input = {}) => {
+  const quality = input.quality;
+  if (!Number.isInteger(quality) || quality < 0 || quality > MAX_QUALITY) {
+    throw new ReviewError('Invalid review outcome', 'VALIDATION_ERROR', {
+      errors: [`quality must be a whole number from 0 to ${MAX_QUALITY}`]
+    });
+  }
+  return { quality };
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const toState = (row) => ({
+  repetitions: row.repetitions,
+  intervalDays: parseFloat(row.interval_days),
+  easeFactor: parseFloat(row.ease_factor),
+  lapses: row.lapses
+});
+
+const formatReviewItem = (row, now = new Date()) => ({
+  id: row.id,
+  templateId: row.template_id,
+  templateTitle: row.template_title || null,
+  subject: row.subject || null,
+  skill: row.skill,
+  skillLabel: row.skill_label,
+  mistakeType: row.mistake_type,
+  status: row.status,
+  isDue: row.status === REVIEW_STATUS.ACTIVE && new Date(row.due_at) <= now,
+  dueAt: toIso(row.due_at),
+  ...toState(row),
+  mistakeCount: row.mistake_count,
+  reviewCount: row.review_count,
+  lastQuality: row.last_quality,
+  lastMistakeAt: toIso(row.last_mistake_at),
+  lastReviewedAt: toIso(row.last_reviewed_at),
+  createdAt: toIso(row.created_at)
+});
+
+const formatReviewLog = (row) => ({
+  id: row.id,
+  itemId: row.item_id,
+  sessionId: row.session_id,
+  source: row.source,
+  quality: row.quality,
+  previousIntervalDays: parseFloat(row.previous_interval_days),
+  intervalDays: parseFloat(row.interval_days),
+  easeFactor: parseFloat(row.ease_factor),
+  reviewedAt: toIso(row.reviewed_at)
+});
+
+module.exports = {
+  REVIEW_STATUS,
+  REVIEW_SOURCES,
+  DEFAULT_EASE,
+  MIN_EASE,
+  PASSING_QUALITY,
+  ReviewError,
+  skillForStep,
+  qualityFromAccuracy,
+  scheduleReview,
+  variationLevelFor,
+  validateOutcomeInput,
+  toState,
+  formatReviewItem,
+  formatReviewLog
+};
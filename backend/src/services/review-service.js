@@ -0,0 +1,295 @@
+const { Pool } = require('pg');
+const { getReviewConfig } = require('../config/environment');
+const { getProblemTemplateService } = require('./problem-template-service');
+const {
+  REVIEW_STATUS,
+  REVIEW_SOURCES,
+  ReviewError,
+  skillForStep,
+  qualityFromAccuracy,
+  scheduleReview,
+  variationLevelFor,
+  validateOutcomeInput,
+  toState,
+  formatReviewItem,
+  formatReviewLog
+} = require('./review-rules');
+const { withTransaction } = require('./db-transaction');
+
+class ReviewService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getReviewConfig();
+    this.templateService = getProblemTemplateService();
+  }
+
+  // ============================================
+  // RECORDING
+  // ============================================
+
+  /**
+   * Schedule reviews for mistakes logged on a session step. A mistake brings an item's next
+   * review forward to the first interval and reactivates a mastered item; its SM-2 state is
+   * only changed by reviews. Called after the step is committed, so a failure here is logged
+   * rather than failing the step.
+   */
+  async recordMistakes(studentId, sessionId, stepNumber, mistakeTypes) {
+    const types = [...new Set((mistakeTypes || []).filter(Boolean))];
+    if (!this.config.enabled || types.length === 0) {
+      return 0;
+    }
+
+    try {
+      const stepResult = await this.pool.query(`
+        SELECT ps.template_id, pss.step_title, pss.step_type
+        FROM problem_sessions ps
+        LEFT JOIN problem_session_steps pss ON pss.session_id = ps.id AND pss.step_number = $2
+        WHERE ps.id = $1 AND ps.student_id = $3
+      `, [sessionId, stepNumber, studentId]);
+
+      const step = stepResult.rows[0];
+      if (!step || !step.template_id) {
+        return 0; // Ad hoc sessions have no template to review
+      }
+
+      const { skill, label } = skillForStep(step);
+      const result = await this.pool.query(`
+        INSERT INTO review_items (
+          student_id, template_id, skill, skill_label, mistake_type, interval_days,
+          due_at, mistake_count, last_mistake_at, last_mistake_session_id
+        )
+        SELECT $1, $2, $3, $4, types.mistake_type, $6::numeric, NOW() + $6::numeric * INTERVAL '1 day', 1, NOW(), $5
+        FROM unnest($7::text[]) AS types(mistake_type)
+        ON CONFLICT (student_id, template_id, skill, mistake_type) DO UPDATE SET
+          status = '${REVIEW_STATUS.ACTIVE}',
+          repetitions = CASE WHEN review_items.status = '${REVIEW_STATUS.MASTERED}' THEN 0 ELSE review_items.repetitions END,
+          due_at = CASE
+            WHEN review_items.status = '${REVIEW_STATUS.MASTERED}' THEN EXCLUDED.due_at
+            ELSE LEAST(review_items.due_at, EXCLUDED.due_at)
+          END,
+          mistake_count = review_items.mistake_count + 1,
+          last_mistake_at = NOW(),
+          last_mistake_session_id = EXCLUDED.last_mistake_session_id
+      `, [studentId, step.template_id, skill, label, sessionId, this.config.firstIntervalDays, types]);
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error scheduling mistake reviews:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Grade the student's due reviews on a template from a session they just completed on it:
+   * each item is graded by the accuracy of the steps practising its skill, and fails if the
+   * same mistake was made again. Items first made in this session are left for later.
+   * Idempotent per session.
+   */
+  async recordSessionOutcome(studentId, sessionId, now = new Date()) {
+    if (!this.config.enabled) {
+      return [];
+    }
+
+    try {
+      return await withTransaction(this.pool, async (client) => {
+        const itemsResult = await client.query(`
+          SELECT ri.*
+          FROM review_items ri
+          JOIN problem_sessions ps ON ps.template_id = ri.template_id AND ps.student_id = ri.student_id
+          WHERE ps.id = $1 AND ps.student_id = $2
+            AND ri.status = '${REVIEW_STATUS.ACTIVE}' AND ri.due_at <= $3
+            AND ri.created_at < ps.started_at
+            AND NOT EXISTS (SELECT 1 FROM review_log rl WHERE rl.item_id = ri.id AND rl.session_id = ps.id)
+          FOR UPDATE OF ri
+        `, [sessionId, studentId, now]);
+
+        if (itemsResult.rows.length === 0) {
+          return [];
+        }
+
+        const stepsResult = await client.query(`
+          SELECT step_number, step_title, step_type, accuracy_score
+          FROM problem_session_steps
+          WHERE session_id = $1 AND accuracy_score IS NOT NULL
+        `, [sessionId]);
+
+        const accuracyBySkill = new Map();
+        let totalAccuracy = 0;
+        stepsResult.rows.forEach(step => {
+          const { skill } = skillForStep(step);
+          const scores = accuracyBySkill.get(skill) || [];
+          scores.push(parseFloat(step.accuracy_score));
+          accuracyBySkill.set(skill, scores);
+          totalAccuracy += parseFloat(step.accuracy_score);
+        });
+
+        const reviewed = [];
+        for (const row of itemsResult.rows) {
+          // 'general' items came from steps with no title or type, so the whole session grades them
+          const scores = row.skill === 'general' && stepsResult.rows.length > 0
+            ? [totalAccuracy / stepsResult.rows.length]
+            : accuracyBySkill.get(row.skill);
+          if (!scores) {
+            continue; // This session did not practise the skill
+          }
+
+          const accuracy = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+          const quality = qualityFromAccuracy(accuracy, {
+            repeatedMistake: row.last_mistake_session_id === sessionId
+          });
+          reviewed.push(await this.applyReview(client, row, quality, {
+            source: REVIEW_SOURCES.SESSION, sessionId, now
+          }));
+        }
+
+        return reviewed;
+      });
+    } catch (error) {
+      console.error('Error recording review outcomes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * The student grades a review they did outside a session, e.g. on a generated variation
+   */
+  async recordSelfReview(itemId, input, student, now = new Date()) {
+    const { quality } = validateOutcomeInput(input);
+
+    return withTransaction(this.pool, async (client) => {
+      const result = await client.query(`
+        SELECT * FROM review_items WHERE id = $1 AND student_id = $2 FOR UPDATE
+      `, [itemId, student.id]);
+
+      if (result.rows.length === 0) {
+        throw new ReviewError('Review item not found', 'NOT_FOUND', { itemId });
+      }
+
+      return this.applyReview(client, result.rows[0], quality, {
+        source: REVIEW_SOURCES.SELF, reviewedBy: student.id, now
+      });
+    });
+  }
+
+  async applyReview(client, row, quality, { source, sessionId = null, reviewedBy = null, now = new Date() }) {
+    const previous = toState(row);
+    const next = scheduleReview(previous, quality, this.config, now);
+
+    const itemResult = await client.query(`
+      UPDATE review_items
+      SET status = $2, repetitions = $3, interval_days = $4, ease_factor = $5, lapses = $6,
+          due_at = $7, review_count = review_count + 1, last_quality = $8, last_reviewed_at = $9
+      WHERE id = $1
+      RETURNING *
+    `, [row.id, next.status, next.repetitions, next.intervalDays, next.easeFactor, next.lapses,
+      next.dueAt, quality, now]);
+
+    const logResult = await client.query(`
+      INSERT INTO review_log (
+        item_id, session_id, source, quality, previous_interval_days, interval_days,
+        ease_factor, reviewed_by, reviewed_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [row.id, sessionId, source, quality, previous.intervalDays, next.intervalDays,
+      next.easeFactor, reviewedBy, now]);
+
+    return {
+      item: formatReviewItem(itemResult.rows[0], now),
+      review: formatReviewLog(logResult.rows[0])
+    };
+  }
+
+  // ============================================
+  // QUEUE
+  // ============================================
+
+  /**
+   * The student's due reviews, most overdue first, each with a variation of its template to
+   * practise on, and counts across all their items
+   */
+  async getDueQueue(studentId, { limit = this.config.queueLimit, now = new Date() } = {}) {
+    const [dueResult, summaryResult] = await Promise.all([
+      this.pool.query(`
+        SELECT ri.*, pt.title AS template_title, pt.subject, pt.problem_statement,
+               pt.expected_solution, pt.estimated_time_minutes, pt.difficulty_level
+        FROM review_items ri
+        JOIN problem_templates pt ON pt.id = ri.template_id
+        WHERE ri.student_id = $1 AND ri.status = '${REVIEW_STATUS.ACTIVE}' AND ri.due_at <= $2
+        ORDER BY ri.due_at, ri.lapses DESC
+        LIMIT $3
+      `, [studentId, now, limit]),
+      this.pool.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE status = '${REVIEW_STATUS.ACTIVE}' AND due_at <= $2) AS due_now,
+          COUNT(*) FILTER (WHERE status = '${REVIEW_STATUS.ACTIVE}') AS active,
+          COUNT(*) FILTER (WHERE status = '${REVIEW_STATUS.MASTERED}') AS mastered,
+          MIN(due_at) FILTER (WHERE status = '${REVIEW_STATUS.ACTIVE}' AND due_at > $2) AS next_due_at
+        FROM review_items
+        WHERE student_id = $1
+      `, [studentId, now])
+    ]);
+
+    const items = await Promise.all(dueResult.rows.map(async (row, index) => {
+      const template = {
+        title: row.template_title,
+        problem_statement: row.problem_statement,
+        expected_solution: row.expected_solution,
+        estimated_time_minutes: row.estimated_time_minutes,
+        difficulty_level: row.difficulty_level
+      };
+      const variation = await this.templateService.generateProblemVariation(
+        template, variationLevelFor(row.repetitions), index + 1
+      );
+      return { ...formatReviewItem(row, now), variation };
+    }));
+
+    const summary = summaryResult.rows[0];
+    return {
+      items,
+      summary: {
+        dueNow: parseInt(summary.due_now),
+        active: parseInt(summary.active),
+        mastered: parseInt(summary.mastered),
+        nextDueAt: summary.next_due_at ? new Date(summary.next_due_at).toISOString() : null
+      }
+    };
+  }
+
+  async listItems(studentId, { status = null, limit = 50, offset = 0, now = new Date() } = {}) {
+    if (status && !Object.values(REVIEW_STATUS).includes(status)) {
+      throw new ReviewError('Invalid review query', 'VALIDATION_ERROR', {
+        errors: [`status must be one of: ${Object.values(REVIEW_STATUS).join(', ')}`]
+      });
+    }
+
+    const result = await this.pool.query(`
+      SELECT ri.*, pt.title AS template_title, pt.subject
+      FROM review_items ri
+      JOIN problem_templates pt ON pt.id = ri.template_id
+      WHERE ri.student_id = $1 AND ($2::text IS NULL OR ri.status = $2)
+      ORDER BY ri.status, ri.due_at
+      LIMIT $3 OFFSET $4
+    `, [studentId, status, limit, offset]);
+
+    return result.rows.map(row => formatReviewItem(row, now));
+  }
+}
+
+// Singleton instance
+let reviewServiceInstance = null;
+
+const getReviewService = () => {
+  if (!reviewServiceInstance) {
+    reviewServiceInstance = new ReviewService();
+  }
+  return reviewServiceInstance;
+};
+
+module.exports = {
+  ReviewService,
+  getReviewService,
+  ReviewError
+};
@@ -125,6 +125,9 @@ const JAILBREAK_PATTERNS = {
   ]
 };
 
+// Characters of already-streamed text checked with each new chunk of a streamed reply
+const STREAM_CHECK_WINDOW = 500;
+
 // Inappropriate content categories for educational environment - Enhanced
 const INAPPROPRIATE_CONTENT = {
   VIOLENCE: [
@@ -711,6 +714,75 @@ class SafetyFilter {
     return safetyResult;
   }
 
+  // Incremental safety checking for streamed AI responses. Each chunk is checked together with
+  // the tail of the text already streamed (so content split across chunks is still caught)
+  // before it is released, which keeps the work per chunk constant however long the reply
+  // grows. finish() checks the whole reply once at the end. Once a check fails, the guard
+  // latches and the caller should retract the message.
+  createResponseStreamGuard(originalInput, options = {}) {
+    let streamedText = '';
+    let retraction = null;
+
+    const retract = (result) => {
+      retraction = {
+        violations: result.violations,
+        riskLevel: result.riskLevel,
+        replacement: result.sanitizedResponse
+      };
+
+      this.logSafetyEvent({
+        type: 'stream_retraction',
+        studentId: options.studentId || null,
+        contextType: options.contextType || 'general',
+        violations: result.violations,
+        riskLevel: result.riskLevel,
+        streamedLength: streamedText.length
+      });
+
+      return { safe: false, retraction };
+    };
+
+    // Whole words only, so a pattern is never matched against half a word
+    const trailingWindow = () => {
+      if (streamedText.length <= STREAM_CHECK_WINDOW) {
+        return streamedText;
+      }
+      const tail = streamedText.slice(-STREAM_CHECK_WINDOW);
+      const boundary = tail.search(/\s/);
+      return boundary === -1 ? tail : tail.slice(boundary + 1);
+    };
+
+    return {
+      check: async (chunk) => {
+        if (retraction) {
+          return { safe: false, retraction };
+        }
+
+        const result = await this.checkResponseSafety(trailingWindow() + chunk, originalInput, options);
+        if (!result.safe) {
+          // Replace the whole reply, not just the window that failed
+          const full = await this.checkResponseSafety(streamedText + chunk, originalInput, options);
+          return retract(full.safe ? result : full);
+        }
+
+        streamedText += chunk;
+        return { safe: true, chunk };
+      },
+
+      finish: async () => {
+        if (retraction) {
+          return { safe: false, retraction };
+        }
+
+        const result = await this.checkResponseSafety(streamedText, originalInput, options);
+        return result.safe ? { safe: true } : retract(result);
+      },
+
+      isRetracted: () => retraction !== null,
+      getStreamedText: () => streamedText
+    };
+  }
+
   // Check if content maintains educational focus
   isEducationallyFocused(content) {
     const educationalWords = [
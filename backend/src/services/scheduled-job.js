@@ -0,0 +1,186 @@
+const TICK_INTERVAL_MS = 30000; // Twice a minute so no scheduled minute is skipped
+
+class ScheduleError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+// ============================================
+// CRON EXPRESSIONS
+// ============================================
+
+// Five-field cron: minute hour day-of-month month day-of-week (0 or 7 = Sunday)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const parseCronField = (field, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start;
+    let end;
+
+    if (range === '*') {
+      [start, end] = [min, max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      end = stepText === undefined ? start : max; // "5/15" means every 15 starting at 5
+    }
+
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+      throw new ScheduleError(`Invalid cron ${name} field: ${field}`, 'INVALID_SCHEDULE', { field: name, value: field });
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+};
+
+const parseCronExpression = (expression) => {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new ScheduleError(`Cron expression must have 5 fields: "${expression}"`, 'INVALID_SCHEDULE', { expression });
+  }
+
+  const parsed = { expression };
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseCronField(fields[index], field);
+  });
+
+  // Standard cron: when both day fields are restricted, either one matching is enough
+  parsed.eitherDayMatches = fields[2] !== '*' && fields[4] !== '*';
+  return parsed;
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Wall-clock fields of a date in a timezone
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    dayOfMonth: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    dayOfWeek: WEEKDAYS[parts.weekday],
+    minuteKey: `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`
+  };
+};
+
+const cronMatches = (parsed, date, timezone = 'UTC') => {
+  const parts = getZonedParts(date, timezone);
+
+  if (!parsed.minute.has(parts.minute) || !parsed.hour.has(parts.hour) || !parsed.month.has(parts.month)) {
+    return false;
+  }
+
+  const dayOfMonthMatches = parsed.dayOfMonth.has(parts.dayOfMonth);
+  const dayOfWeekMatches = parsed.dayOfWeek.has(parts.dayOfWeek);
+  return parsed.eitherDayMatches ? dayOfMonthMatches || dayOfWeekMatches : dayOfMonthMatches && dayOfWeekMatches;
+};
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+/**
+ * Starts jobs on cron schedules in one timezone. Each due job is started once per
+ * scheduled minute through runJob(jobName, periodKey, now); the period key is the
+ * minute, so services can claim a run once across instances sharing a database.
+ */
+class CronScheduler {
+  constructor({ name, timezone, runJob }) {
+    this.name = name;
+    this.timezone = timezone;
+    this.runJob = runJob;
+    this.schedules = {};
+    this.timer = null;
+    this.lastTickKey = null;
+  }
+
+  get running() {
+    return !!this.timer;
+  }
+
+  // Parse { jobName: expression }; jobs without an expression are not scheduled
+  load(expressions) {
+    this.schedules = {};
+    Object.entries(expressions).forEach(([jobName, expression]) => {
+      if (expression) {
+        this.schedules[jobName] = parseCronExpression(expression);
+      }
+    });
+    return this.schedules;
+  }
+
+  start(expressions) {
+    if (this.timer) {
+      return false;
+    }
+
+    // Fail fast on a bad schedule rather than silently never running
+    this.load(expressions);
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    console.log(`⏰ ${this.name} scheduler started (${this.timezone}): ` +
+      Object.entries(this.schedules).map(([jobName, schedule]) => `${jobName} "${schedule.expression}"`).join(', '));
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Names of the jobs started; failures are logged so one job cannot stop the others
+  async tick(now = new Date()) {
+    const { minuteKey } = getZonedParts(now, this.timezone);
+    if (minuteKey === this.lastTickKey) {
+      return [];
+    }
+    this.lastTickKey = minuteKey;
+
+    const due = Object.keys(this.schedules).filter(jobName => cronMatches(this.schedules[jobName], now, this.timezone));
+    await Promise.all(due.map(jobName => Promise.resolve()
+      .then(() => this.runJob(jobName, minuteKey, now))
+      .catch(error => console.error(`❌ Scheduled ${jobName} failed:`, error.message))));
+    return due;
+  }
+}
+
+module.exports = {
+  CronScheduler,
+  ScheduleError,
+  parseCronExpression,
+  cronMatches,
+  getZonedParts
+};
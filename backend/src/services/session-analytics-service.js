@@ -1,5 +1,7 @@
 const { Pool } = require('pg');
 const { activityMonitor } = require('./activity-monitor');
+const { getAITutorSessionService } = require('./ai-tutor-session-service');
+const { domainEvents, DOMAIN_EVENTS } = require('./domain-events');
 
 // Session analytics error class
 class SessionAnalyticsError extends Error {
@@ -40,6 +42,11 @@ const SESSION_STATUS_CATEGORIES = {
   STUCK: 'stuck'
 };
 
+// Inactive sessions are closed as abandoned; the sweep also resets broken streaks
+const PROBLEM_SESSION_ABANDON_MINUTES = parseInt(process.env.PROBLEM_SESSION_ABANDON_MINUTES) || 60;
+const AI_TUTOR_ABANDON_HOURS = parseInt(process.env.AI_TUTOR_ABANDON_HOURS) || 24;
+const ENGAGEMENT_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
 class SessionAnalyticsService {
   constructor() {
     this.pool = new Pool({
@@ -166,8 +173,9 @@ class SessionAnalyticsService {
     }
   }
 
-  // Track session activity heartbeat
-  async trackSessionHeartbeat(sessionId, studentId, activityData = {}) {
+  // Track session activity heartbeat. Without recordDetails (no analytics consent) only the
+  // session's last activity is updated, so abandonment detection still works.
+  async trackSessionHeartbeat(sessionId, studentId, activityData = {}, { recordDetails = true } = {}) {
     try {
       const client = await this.pool.connect();
       
@@ -187,6 +195,14 @@ class SessionAnalyticsService {
           WHERE id = $1 AND student_id = $2
         `, [sessionId, studentId]);
 
+        if (!recordDetails) {
+          return {
+            success: true,
+            recorded: false,
+            timestamp: new Date().toISOString()
+          };
+        }
+
         // Insert heartbeat record for detailed tracking
         await client.query(`
           INSERT INTO session_heartbeats (
@@ -205,6 +221,7 @@ class SessionAnalyticsService {
 
         return {
           success: true,
+          recorded: true,
           timestamp: new Date().toISOString()
         };
 
@@ -311,6 +328,8 @@ class SessionAnalyticsService {
         const metricsResult = await client.query(metricsQuery, [studentId]);
         const metrics = metricsResult.rows[0];
 
+        const tutorMetrics = await this.getTutorSessionMetrics(client, studentId, timeFilter);
+
         let trendData = null;
         if (includeProgressTrends) {
           trendData = await this.getProgressTrends(client, studentId, timeWindow);
@@ -348,6 +367,7 @@ class SessionAnalyticsService {
           },
           subjectBreakdown: metrics.subject_breakdown || [],
           difficultyBreakdown: metrics.difficulty_breakdown || [],
+          tutorSessions: tutorMetrics,
           progressTrends: trendData,
           performanceComparisons: comparisonData,
           predictions
@@ -512,6 +532,8 @@ class SessionAnalyticsService {
 
         const performanceResult = await client.query(performanceBreakdownQuery, params);
 
+        const tutorActivity = await this.getClassTutorActivity(client, timeFilter, classId);
+
         return {
           teacherId,
           classId,
@@ -530,6 +552,7 @@ class SessionAnalyticsService {
           },
           studentSummaries: classStats.student_summaries || [],
           performanceBreakdown: performanceResult.rows,
+          tutorActivity,
           insights: this.generateTeacherInsights(classStats, performanceResult.rows)
         };
 
@@ -547,6 +570,94 @@ class SessionAnalyticsService {
     }
   }
 
+  // ============================================
+  // AI TUTOR SESSION ANALYTICS
+  // ============================================
+
+  // Summarise a student's AI tutor conversations
+  async getTutorSessionMetrics(client, studentId, timeFilter) {
+    const result = await client.query(`
+      SELECT
+        COUNT(*) as total_sessions,
+        COUNT(*) FILTER (WHERE status = 'completed') as completed_sessions,
+        COUNT(*) FILTER (WHERE status = 'active') as active_sessions,
+        COALESCE(SUM(student_message_count), 0) as questions_asked,
+        AVG(message_count) as avg_messages_per_session,
+        AVG(EXTRACT(EPOCH FROM (COALESCE(ended_at, last_activity_at) - started_at))/60) as avg_duration,
+        COALESCE(SUM(retracted_message_count), 0) as retracted_replies,
+        MAX(last_activity_at) as last_session,
+        (SELECT json_agg(subject_stats) FROM (
+          SELECT subject, COUNT(*) as sessions, SUM(student_message_count) as questions_asked
+          FROM ai_tutor_sessions
+          WHERE student_id = $1 AND started_at >= ${timeFilter}
+          GROUP BY subject
+          ORDER BY COUNT(*) DESC
+        ) subject_stats) as subject_breakdown,
+        (SELECT array_agg(DISTINCT concept) FROM (
+          SELECT unnest(concepts_discussed) as concept
+          FROM ai_tutor_sessions
+          WHERE student_id = $1 AND started_at >= ${timeFilter}
+        ) concepts) as concepts_discussed
+      FROM ai_tutor_sessions
+      WHERE student_id = $1 AND started_at >= ${timeFilter}
+    `, [studentId]);
+
+    const stats = result.rows[0];
+
+    return {
+      totalSessions: parseInt(stats.total_sessions) || 0,
+      completedSessions: parseInt(stats.completed_sessions) || 0,
+      activeSessions: parseInt(stats.active_sessions) || 0,
+      questionsAsked: parseInt(stats.questions_asked) || 0,
+      averageMessagesPerSession: Math.round((parseFloat(stats.avg_messages_per_session) || 0) * 10) / 10,
+      averageDuration: Math.round((parseFloat(stats.avg_duration) || 0) * 10) / 10,
+      retractedReplies: parseInt(stats.retracted_replies) || 0,
+      lastSession: stats.last_session,
+      subjectBreakdown: stats.subject_breakdown || [],
+      conceptsDiscussed: stats.concepts_discussed || []
+    };
+  }
+
+  // Summarise AI tutor usage across a teacher's students
+  async getClassTutorActivity(client, timeFilter, classId = null) {
+    const params = classId ? [classId] : [];
+    const result = await client.query(`
+      SELECT
+        ats.student_id,
+        u.username as student_name,
+        COUNT(*) as sessions,
+        SUM(ats.student_message_count) as questions_asked,
+        SUM(ats.retracted_message_count) as retracted_replies,
+        COUNT(*) FILTER (WHERE ats.reviewed_at IS NULL AND ats.status != 'active') as awaiting_review,
+        MAX(ats.last_activity_at) as last_session
+      FROM ai_tutor_sessions ats
+      JOIN users u ON ats.student_id = u.id
+      WHERE ats.started_at >= ${timeFilter}
+        ${classId ? 'AND ats.student_id IN (SELECT student_id FROM class_enrollments WHERE class_id = $1)' : ''}
+      GROUP BY ats.student_id, u.username
+      ORDER BY MAX(ats.last_activity_at) DESC
+    `, params);
+
+    const students = result.rows.map(row => ({
+      studentId: row.student_id,
+      studentName: row.student_name,
+      sessions: parseInt(row.sessions) || 0,
+      questionsAsked: parseInt(row.questions_asked) || 0,
+      retractedReplies: parseInt(row.retracted_replies) || 0,
+      awaitingReview: parseInt(row.awaiting_review) || 0,
+      lastSession: row.last_session
+    }));
+
+    return {
+      totalSessions: students.reduce((sum, s) => sum + s.sessions, 0),
+      activeStudents: students.length,
+      questionsAsked: students.reduce((sum, s) => sum + s.questionsAsked, 0),
+      retractedReplies: students.reduce((sum, s) => sum + s.retractedReplies, 0),
+      awaitingReview: students.reduce((sum, s) => sum + s.awaitingReview, 0),
+      students
+    };
+  }
+
   // ============================================
   // ADVANCED ANALYTICS HELPER METHODS
   // ============================================
@@ -905,6 +1016,117 @@ class SessionAnalyticsService {
     return insights;
   }
 
+  // ============================================
+  // ENGAGEMENT SWEEPS
+  // ============================================
+
+  // Close active problem sessions with no activity for the given number of minutes
+  async abandonStaleSessions(inactiveMinutes = PROBLEM_SESSION_ABANDON_MINUTES) {
+    try {
+      const result = await this.pool.query(`
+        UPDATE problem_sessions ps
+        SET session_status = 'abandoned', abandoned_at = NOW()
+        WHERE ps.session_status = 'active'
+          AND ps.last_activity_at < NOW() - ($1 || ' minutes')::INTERVAL
+        RETURNING ps.id, ps.student_id, ps.steps_completed, ps.total_steps, ps.last_activity_at,
+                  (SELECT pt.title FROM problem_templates pt WHERE pt.id = ps.template_id) as title
+      `, [String(inactiveMinutes)]);
+
+      for (const session of result.rows) {
+        domainEvents.publish(DOMAIN_EVENTS.SESSION_ABANDONED, {
+          studentId: session.student_id,
+          sessionId: session.id,
+          sessionType: 'problem',
+          title: session.title,
+          stepsCompleted: session.steps_completed,
+          totalSteps: session.total_steps,
+          minutesInactive: Math.round((Date.now() - new Date(session.last_activity_at)) / 60000)
+        });
+      }
+
+      return result.rowCount;
+
+    } catch (error) {
+      console.error('Error abandoning stale problem sessions:', error);
+      throw new SessionAnalyticsError(
+        'Failed to close stale problem sessions',
+        'SWEEP_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  // Reset streaks of students who missed a day; the streak functions only notice on the next activity
+  async resetBrokenStreaks() {
+    try {
+      const result = await this.pool.query(`
+        WITH broken AS (
+          SELECT user_id, current_streak, last_activity_date
+          FROM students
+          WHERE current_streak > 0 AND last_activity_date < CURRENT_DATE - 1
+          FOR UPDATE
+        )
+        UPDATE students s
+        SET current_streak = 0
+        FROM broken b
+        WHERE s.user_id = b.user_id
+        RETURNING s.user_id, b.current_streak as previous_streak, s.best_streak, b.last_activity_date,
+                  CURRENT_DATE - b.last_activity_date as days_inactive
+      `);
+
+      for (const student of result.rows) {
+        domainEvents.publish(DOMAIN_EVENTS.STREAK_BROKEN, {
+          studentId: student.user_id,
+          previousStreak: student.previous_streak,
+          bestStreak: student.best_streak,
+          lastActivityDate: student.last_activity_date,
+          daysInactive: student.days_inactive
+        });
+      }
+
+      return result.rowCount;
+
+    } catch (error) {
+      console.error('Error resetting broken streaks:', error);
+      throw new SessionAnalyticsError(
+        'Failed to reset broken streaks',
+        'SWEEP_ERROR',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  async runEngagementSweeps() {
+    const sweeps = {
+      problemSessionsAbandoned: () => this.abandonStaleSessions(),
+      tutorSessionsAbandoned: () => getAITutorSessionService().abandonStaleSessions(AI_TUTOR_ABANDON_HOURS),
+      streaksBroken: () => this.resetBrokenStreaks()
+    };
+
+    const results = {};
+    for (const [name, sweep] of Object.entries(sweeps)) {
+      try {
+        results[name] = await sweep();
+      } catch (error) {
+        results[name] = null; // Already logged; keep running the other sweeps
+      }
+    }
+    return results;
+  }
+
+  startEngagementSweeps() {
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.runEngagementSweeps(), ENGAGEMENT_SWEEP_INTERVAL_MS);
+    }
+  }
+
+  stopEngagementSweeps() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
   // Health check
   async healthCheck() {
     try {
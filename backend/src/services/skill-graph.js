@@ -0,0 +1,521 @@
+// Skills and curriculum standards: prerequisite graph, knowledge tracing, standards file parsing
+// and template recommendations (no database access)
+//
+// A skill is a curriculum standard (e.g. a Common Core code) or any custom code. Skills have
+// prerequisite skills, templates practise one or more skills, and each student has a mastery
+// probability per skill updated by Bayesian knowledge tracing (BKT) on every step they submit.
+
+const { parseCsv } = require('./classroom-roster');
+
+const MASTERY_STATUS = {
+  MASTERED: 'mastered', // Mastery probability at or above the threshold
+  IN_PROGRESS: 'in_progress', // Practised but not mastered yet
+  READY: 'ready', // Not practised; every prerequisite is mastered
+  LOCKED: 'locked' // Not practised; some prerequisite is not mastered
+};
+
+// problem_type values a skill can belong to
+const SKILL_PROBLEM_TYPES = ['math', 'science', 'writing', 'reading_comprehension', 'critical_thinking', 'mixed'];
+
+const MAX_STANDARDS_ROWS = 2000;
+const MAX_TEMPLATE_SKILLS = 50;
+
+// Header (or JSON key) names accepted for each standards field, compared lower-cased in snake_case
+const STANDARD_FIELDS = {
+  code: ['code', 'standard_code', 'id', 'identifier'],
+  name: ['name', 'title', 'short_name'],
+  description: ['description', 'statement', 'standard', 'full_statement'],
+  framework: ['framework', 'jurisdiction', 'standard_set'],
+  problemType: ['problem_type', 'subject', 'type'],
+  gradeLevel: ['grade_level', 'grade'],
+  domain: ['domain', 'cluster', 'category', 'strand'],
+  prerequisites: ['prerequisites', 'prerequisite_codes', 'prerequisite'],
+  templates: ['templates', 'template_ids', 'template_id'],
+  pInit: ['p_init'],
+  pTransit: ['p_transit'],
+  pSlip: ['p_slip'],
+  pGuess: ['p_guess']
+};
+
+const CODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,99}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SkillError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'SkillError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+
+// ============================================
+// KNOWLEDGE TRACING
+// ============================================
+
+/**
+ * One BKT step: the probability the skill is known given a correct or incorrect answer,
+ * then the chance of learning it from the practice
+ */
+const updateMastery = (pMastery, correct, { pTransit, pSlip, pGuess }) => {
+  const evidence = correct
+    ? (pMastery * (1 - pSlip)) / (pMastery * (1 - pSlip) + (1 - pMastery) * pGuess)
+    : (pMastery * pSlip) / (pMastery * pSlip + (1 - pMastery) * (1 - pGuess));
+  return evidence + (1 - evidence) * pTransit;
+};
+
+// A skill's own BKT parameters where it has them, else the configured defaults
+const bktParams = (skill, defaults) => ({
+  pInit: skill.p_init === null || skill.p_init === undefined ? defaults.pInit : parseFloat(skill.p_init),
+  pTransit: skill.p_transit === null || skill.p_transit === undefined ? defaults.pTransit : parseFloat(skill.p_transit),
+  pSlip: skill.p_slip === null || skill.p_slip === undefined ? defaults.pSlip : parseFloat(skill.p_slip),
+  pGuess: skill.p_guess === null || skill.p_guess === undefined ? defaults.pGuess : parseFloat(skill.p_guess)
+});
+
+// ============================================
+// GRAPH
+// ============================================
+
+/**
+ * A prerequisite cycle in `edges` ([{ skill, prerequisite }] by any key), as the keys around
+ * it starting and ending at the same skill, or null when there is none
+ */
+const findCycle = (edges) => {
+  const prerequisitesOf = new Map();
+  edges.forEach(({ skill, prerequisite }) => {
+    if (!prerequisitesOf.has(skill)) prerequisitesOf.set(skill, []);
+    prerequisitesOf.get(skill).push(prerequisite);
+  });
+
+  const state = new Map(); // 1 on the current path, 2 done
+  const path = [];
+
+  const visit = (skill) => {
+    state.set(skill, 1);
+    path.push(skill);
+    for (const prerequisite of prerequisitesOf.get(skill) || []) {
+      if (state.get(prerequisite) === 1) {
+        return [...path.slice(path.indexOf(prerequisite)), prerequisite];
+      }
+      if (!state.has(prerequisite)) {
+        const cycle = visit(prerequisite);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    state.set(skill, 2);
+    return null;
+  };
+
+  for (const skill of prerequisitesOf.keys()) {
+    if (!state.has(skill)) {
+      const cycle = visit(skill);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+};
+
+const groupPrerequisites = (edges) => {
+  const prerequisitesOf = new Map();
+  const dependentsOf = new Map();
+  edges.forEach(({ skillId, prerequisiteId }) => {
+    if (!prerequisitesOf.has(skillId)) prerequisitesOf.set(skillId, []);
+    prerequisitesOf.get(skillId).push(prerequisiteId);
+    if (!dependentsOf.has(prerequisiteId)) dependentsOf.set(prerequisiteId, []);
+    dependentsOf.get(prerequisiteId).push(skillId);
+  });
+  return { prerequisitesOf, dependentsOf };
+};
+
+/**
+ * Every skill with the student's mastery and its status, and the prerequisite edges.
+ * `mastery` maps skill id to { pMastery, opportunities, ... }; unpractised skills use their prior.
+ * `filter` picks the skills shown; prerequisites are judged across all of them.
+ */
+const buildMasteryMap = ({ skills, edges, mastery, defaults, threshold, filter = null }) => {
+  const { prerequisitesOf } = groupPrerequisites(edges);
+  const skillById = new Map(skills.map(skill => [skill.id, skill]));
+  const known = (skillId) => {
+    const skill = skillById.get(skillId);
+    const record = mastery.get(skillId);
+    const p = record ? record.pMastery : (skill ? bktParams(skill, defaults).pInit : 0);
+    return p >= threshold;
+  };
+  const codeOf = new Map(skills.map(skill => [skill.id, skill.code]));
+
+  const nodes = (filter ? skills.filter(filter) : skills).map(skill => {
+    const record = mastery.get(skill.id);
+    const pMastery = record ? record.pMastery : bktParams(skill, defaults).pInit;
+    const unmet = (prerequisitesOf.get(skill.id) || []).filter(id => !known(id));
+
+    let status;
+    if (pMastery >= threshold) status = MASTERY_STATUS.MASTERED;
+    else if (record && record.opportunities > 0) status = MASTERY_STATUS.IN_PROGRESS;
+    else status = unmet.length > 0 ? MASTERY_STATUS.LOCKED : MASTERY_STATUS.READY;
+
+    return {
+      id: skill.id,
+      code: skill.code,
+      name: skill.name,
+      framework: skill.framework,
+      problemType: skill.problem_type,
+      gradeLevel: skill.grade_level,
+      domain: skill.domain,
+      pMastery: round(pMastery),
+      status,
+      opportunities: record ? record.opportunities : 0,
+      correct: record ? record.correct : 0,
+      lastPracticedAt: record && record.lastPracticedAt ? new Date(record.lastPracticedAt).toISOString() : null,
+      masteredAt: record && record.masteredAt ? new Date(record.masteredAt).toISOString() : null,
+      prerequisites: (prerequisitesOf.get(skill.id) || []).map(id => codeOf.get(id)).filter(Boolean),
+      unmetPrerequisites: unmet.map(id => codeOf.get(id)).filter(Boolean)
+    };
+  });
+
+  const summary = Object.values(MASTERY_STATUS).reduce((counts, status) => {
+    counts[status] = nodes.filter(node => node.status === status).length;
+    return counts;
+  }, { total: nodes.length });
+
+  const shown = new Set(nodes.map(node => node.id));
+  return {
+    skills: nodes,
+    edges: edges
+      .filter(edge => shown.has(edge.skillId) && codeOf.has(edge.prerequisiteId))
+      .map(edge => ({ skill: codeOf.get(edge.skillId), prerequisite: codeOf.get(edge.prerequisiteId) })),
+    summary
+  };
+};
+
+/**
+ * Templates to practise next. The frontier is the unmastered skills whose prerequisites are
+ * all mastered; with a goal skill, only the frontier on the way to it. A template is offered
+ * when it practises a frontier skill and no skill it practises is still locked. Templates
+ * score by how far their frontier skills are from mastery, weighted by how many unmastered
+ * skills each is a prerequisite of, so the skills holding the most back come first.
+ */
+const recommendTemplates = ({ skills, edges, mastery, templateSkills, defaults, threshold, goalSkillId = null, limit = 5 }) => {
+  const { prerequisitesOf, dependentsOf } = groupPrerequisites(edges);
+  const skillById = new Map(skills.map(skill => [skill.id, skill]));
+  const pOf = (skillId) => {
+    const record = mastery.get(skillId);
+    if (record) return record.pMastery;
+    const skill = skillById.get(skillId);
+    return skill ? bktParams(skill, defaults).pInit : 0;
+  };
+  const isMastered = (skillId) => pOf(skillId) >= threshold;
+  const isUnlocked = (skillId) => (prerequisitesOf.get(skillId) || []).every(isMastered);
+
+  let candidates = skills.map(skill => skill.id);
+  let goalPath = null;
+  if (goalSkillId) {
+    // The goal and its unmastered prerequisites, transitively
+    const needed = new Set();
+    const stack = [goalSkillId];
+    while (stack.length > 0) {
+      const skillId = stack.pop();
+      if (needed.has(skillId) || isMastered(skillId)) continue;
+      needed.add(skillId);
+      (prerequisitesOf.get(skillId) || []).forEach(id => stack.push(id));
+    }
+    candidates = [...needed];
+    goalPath = candidates.map(id => skillById.get(id)).filter(Boolean).map(skill => skill.code);
+  }
+
+  const frontier = new Set(candidates.filter(id => !isMastered(id) && isUnlocked(id)));
+  const unlocksOf = (skillId) => (dependentsOf.get(skillId) || []).filter(id => !isMastered(id));
+
+  const byTemplate = new Map();
+  templateSkills.forEach(row => {
+    if (!byTemplate.has(row.template_id)) byTemplate.set(row.template_id, { template: row, skillIds: [] });
+    byTemplate.get(row.template_id).skillIds.push(row.skill_id);
+  });
+
+  const recommendations = [];
+  for (const { template, skillIds } of byTemplate.values()) {
+    const targets = skillIds.filter(id => frontier.has(id));
+    const locked = skillIds.some(id => !isMastered(id) && !isUnlocked(id));
+    if (targets.length === 0 || locked) continue;
+
+    const score = targets.reduce((sum, id) => sum + (1 - pOf(id)) * (1 + unlocksOf(id).length), 0);
+    recommendations.push({
+      templateId: template.template_id,
+      title: template.title,
+      subject: template.subject,
+      problemType: template.problem_type,
+      difficultyLevel: template.difficulty_level,
+      score: round(score, 3),
+      skills: targets.map(id => ({ id, code: skillById.get(id).code, name: skillById.get(id).name, pMastery: round(pOf(id)) })),
+      unlocks: [...new Set(targets.flatMap(id => unlocksOf(id)))].map(id => skillById.get(id).code)
+    });
+  }
+
+  recommendations.sort((a, b) => b.score - a.score || String(a.title).localeCompare(String(b.title)));
+
+  return {
+    recommendations: recommendations.slice(0, limit),
+    frontier: [...frontier].map(id => skillById.get(id).code),
+    goalPath
+  };
+};
+
+// ============================================
+// STANDARDS FILES
+// ============================================
+
+const toSnakeCase = (key) => String(key).trim().replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase().replace(/[\s-]+/g, '_');
+
+// Lists in standards files may be arrays (JSON) or codes separated by ; | , or whitespace
+const splitList = (value) => {
+  if (value === null || value === undefined) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[;|,\s]+/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+const parseGradeLevel = (value) => {
+  if (value === null || value === undefined || value === '') return { value: null };
+  const text = String(value).trim().toUpperCase();
+  if (text === 'K' || text === 'KG') return { value: 0 };
+  const grade = Number(text);
+  return Number.isInteger(grade) && grade >= 0 && grade <= 12 ? { value: grade } : { error: true };
+};
+
+const parseProbability = (value) => {
+  if (value === null || value === undefined || value === '') return { value: null };
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 && number < 1 ? { value: number } : { error: true };
+};
+
+// Read records (objects keyed by file headers) out of a CSV or JSON standards file
+const readStandardsRecords = (content, defaultFramework) => {
+  let data = content;
+  if (typeof content === 'string') {
+    const text = content.trim();
+    if (!text) {
+      throw new SkillError('Invalid standards file', 'VALIDATION_ERROR', { errors: ['File content is required'] });
+    }
+    if (text.startsWith('[') || text.startsWith('{')) {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new SkillError('Invalid standards file', 'VALIDATION_ERROR', { errors: [`JSON could not be parsed: ${error.message}`] });
+      }
+    } else {
+      const [header, ...rows] = parseCsv(text);
+      return {
+        framework: defaultFramework,
+        records: rows.map(cells => ({
+          fields: Object.fromEntries(header.map((name, i) => [name, cells[i] === undefined ? '' : cells[i]])),
+          extraFields: cells.length > header.length ? cells.length - header.length : 0
+        }))
+      };
+    }
+  }
+
+  // JSON: an array of standards, or { framework, standards: [...] }
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.standards) ? data.standards : null;
+  if (!list) {
+    throw new SkillError('Invalid standards file', 'VALIDATION_ERROR', {
+      errors: ['JSON must be an array of standards or an object with a standards array']
+    });
+  }
+  const framework = (!Array.isArray(data) && typeof data.framework === 'string' && data.framework.trim()) || defaultFramework;
+  return {
+    framework,
+    records: list.map(entry => ({ fields: entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : null, extraFields: 0 }))
+  };
+};
+
+/**
+ * Parse a CSV or JSON standards file into rows with their own validation errors. Row numbers
+ * count records from 2 (the CSV header, or the start of the JSON array, is row 1). Throws only
+ * for file-level problems. Prerequisite codes and template ids are checked against the
+ * database by the service.
+ */
+const parseStandards = (content, { framework: defaultFramework = 'custom' } = {}) => {
+  const { framework, records } = readStandardsRecords(content, defaultFramework);
+
+  if (records.length === 0) {
+    throw new SkillError('Invalid standards file', 'VALIDATION_ERROR', { errors: ['File has no standards'] });
+  }
+  if (records.length > MAX_STANDARDS_ROWS) {
+    throw new SkillError('Invalid standards file', 'VALIDATION_ERROR', {
+      errors: [`File has ${records.length} standards; import at most ${MAX_STANDARDS_ROWS} at a time`]
+    });
+  }
+
+  const seenCodes = new Map();
+
+  return records.map(({ fields, extraFields }, index) => {
+    const rowNumber = index + 2;
+    if (!fields) {
+      return { rowNumber, code: null, status: 'error', errors: ['Standard must be an object'] };
+    }
+
+    const byField = {};
+    for (const [key, value] of Object.entries(fields)) {
+      const name = toSnakeCase(key);
+      const field = Object.keys(STANDARD_FIELDS).find(f => STANDARD_FIELDS[f].includes(name));
+      if (field && byField[field] === undefined) byField[field] = value;
+    }
+    const text = (field) => (byField[field] === null || byField[field] === undefined ? '' : String(byField[field]).trim());
+    const errors = [];
+
+    if (extraFields > 0) {
+      errors.push(`Row has ${extraFields} more field${extraFields === 1 ? '' : 's'} than the header`);
+    }
+
+    const code = text('code');
+    if (!CODE_PATTERN.test(code)) {
+      errors.push('code is missing or not a valid code (letters, digits and . _ : -, 100 characters max)');
+    } else if (seenCodes.has(code)) {
+      errors.push(`Code is already listed on row ${seenCodes.get(code)}`);
+    } else {
+      seenCodes.set(code, rowNumber);
+    }
+
+    const description = text('description') || null;
+    const name = (text('name') || (description || '').slice(0, 200)).slice(0, 200);
+    if (!name) {
+      errors.push('name (or description) is required');
+    }
+
+    const problemType = text('problemType').toLowerCase() || null;
+    if (problemType && !SKILL_PROBLEM_TYPES.includes(problemType)) {
+      errors.push(`problem_type must be one of: ${SKILL_PROBLEM_TYPES.join(', ')}`);
+    }
+
+    const grade = parseGradeLevel(byField.gradeLevel);
+    if (grade.error) {
+      errors.push('grade_level must be K or 0 to 12');
+    }
+
+    const prerequisites = splitList(byField.prerequisites);
+    if (prerequisites.includes(code)) {
+      errors.push('A standard cannot be its own prerequisite');
+    }
+    const invalidPrerequisites = prerequisites.filter(prerequisite => !CODE_PATTERN.test(prerequisite));
+    if (invalidPrerequisites.length > 0) {
+      errors.push(`Invalid prerequisite codes: ${invalidPrerequisites.join(', ')}`);
+    }
+
+    const templates = splitList(byField.templates);
+    const invalidTemplates = templates.filter(id => !UUID_PATTERN.test(id));
+    if (invalidTemplates.length > 0) {
+      errors.push(`Template ids must be UUIDs: ${invalidTemplates.join(', ')}`);
+    }
+
+    const bkt = {};
+    for (const field of ['pInit', 'pTransit', 'pSlip', 'pGuess']) {
+      const probability = parseProbability(byField[field]);
+      if (probability.error) {
+        errors.push(`${STANDARD_FIELDS[field][0]} must be a probability between 0 and 1`);
+      }
+      bkt[field] = probability.value === undefined ? null : probability.value;
+    }
+    if ((bkt.pSlip !== null && bkt.pSlip >= 0.5) || (bkt.pGuess !== null && bkt.pGuess >= 0.5)) {
+      errors.push('p_slip and p_guess must be below 0.5');
+    }
+
+    return {
+      rowNumber,
+      code,
+      name,
+      description,
+      framework: (text('framework') || framework).slice(0, 100),
+      problemType,
+      gradeLevel: grade.value === undefined ? null : grade.value,
+      domain: text('domain').slice(0, 200) || null,
+      prerequisites: [...new Set(prerequisites)],
+      templates: [...new Set(templates.map(id => id.toLowerCase()))],
+      bkt,
+      status: errors.length > 0 ? 'error' : 'ready',
+      errors
+    };
+  });
+};
+
+// Skills for a template, as ids or codes: PUT /skills/templates/:templateId
+const validateTemplateSkillsInput = (input = {}) => {
+  const skills = input.skills;
+  if (!Array.isArray(skills) || skills.length > MAX_TEMPLATE_SKILLS ||
+      skills.some(skill => typeof skill !== 'string' || !(UUID_PATTERN.test(skill) || CODE_PATTERN.test(skill)))) {
+    throw new SkillError('Invalid template skills', 'VALIDATION_ERROR', {
+      errors: [`skills must be a list of up to ${MAX_TEMPLATE_SKILLS} skill ids or codes`]
+    });
+  }
+  return [...new Set(skills)];
+};
+
+const validateSkillQuery = (query = {}) => {
+  if (query.problemType && !SKILL_PROBLEM_TYPES.includes(query.problemType)) {
+    throw new SkillError('Invalid skill query', 'VALIDATION_ERROR', {
+      errors: [`problemType must be one of: ${SKILL_PROBLEM_TYPES.join(', ')}`]
+    });
+  }
+};
+
+const summarizeStandards = (rows) => ({
+  total: rows.length,
+  create: rows.filter(row => row.status !== 'error' && row.action === 'create').length,
+  update: rows.filter(row => row.status !== 'error' && row.action === 'update').length,
+  errors: rows.filter(row => row.status === 'error').length
+});
+
+// ============================================
+// FORMATTING
+// ============================================
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+const toProbability = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const formatSkill = (row) => ({
+  id: row.id,
+  code: row.code,
+  name: row.name,
+  description: row.description,
+  framework: row.framework,
+  problemType: row.problem_type,
+  gradeLevel: row.grade_level,
+  domain: row.domain,
+  prerequisites: row.prerequisite_codes || [],
+  templateCount: row.template_count === undefined ? undefined : parseInt(row.template_count),
+  bkt: {
+    pInit: toProbability(row.p_init),
+    pTransit: toProbability(row.p_transit),
+    pSlip: toProbability(row.p_slip),
+    pGuess: toProbability(row.p_guess)
+  },
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at)
+});
+
+const toMasteryRecord = (row) => ({
+  pMastery: parseFloat(row.p_mastery),
+  opportunities: row.opportunities,
+  correct: row.correct,
+  lastPracticedAt: row.last_practiced_at,
+  masteredAt: row.mastered_at
+});
+
+module.exports = {
+  MASTERY_STATUS,
+  SKILL_PROBLEM_TYPES,
+  MAX_STANDARDS_ROWS,
+  SkillError,
+  updateMastery,
+  bktParams,
+  findCycle,
+  buildMasteryMap,
+  recommendTemplates,
+  parseStandards,
+  validateTemplateSkillsInput,
+  validateSkillQuery,
+  summarizeStandards,
+  formatSkill,
+  toMasteryRecord
+};
@@ -0,0 +1,454 @@
+const { Pool } = require('pg');
+const { getSkillConfig } = require('../config/environment');
+const {
+  SkillError,
+  updateMastery,
+  bktParams,
+  findCycle,
+  buildMasteryMap,
+  recommendTemplates,
+  parseStandards,
+  validateTemplateSkillsInput,
+  validateSkillQuery,
+  summarizeStandards,
+  formatSkill,
+  toMasteryRecord
+} = require('./skill-graph');
+const { withTransaction } = require('./db-transaction');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SkillService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getSkillConfig();
+  }
+
+  // ============================================
+  // SKILLS
+  // ============================================
+
+  async listSkills(query = {}, { limit = 100, offset = 0 } = {}) {
+    validateSkillQuery(query);
+
+    const result = await this.pool.query(`
+      SELECT s.*,
+             COALESCE(array_agg(p.code ORDER BY p.code) FILTER (WHERE p.code IS NOT NULL), '{}') AS prerequisite_codes,
+             (SELECT COUNT(*) FROM template_skills ts WHERE ts.skill_id = s.id) AS template_count
+      FROM skills s
+      LEFT JOIN skill_prerequisites sp ON sp.skill_id = s.id
+      LEFT JOIN skills p ON p.id = sp.prerequisite_id
+      WHERE ($1::text IS NULL OR s.problem_type::text = $1)
+        AND ($2::text IS NULL OR s.framework = $2)
+        AND ($3::text IS NULL OR s.code ILIKE '%' || $3 || '%' OR s.name ILIKE '%' || $3 || '%')
+      GROUP BY s.id
+      ORDER BY s.framework, s.grade_level NULLS FIRST, s.code
+      LIMIT $4 OFFSET $5
+    `, [query.problemType || null, query.framework || null, query.search || null, limit, offset]);
+
+    return result.rows.map(formatSkill);
+  }
+
+  async assertTemplateExists(templateId, client = this.pool) {
+    const result = UUID_PATTERN.test(templateId)
+      ? await client.query('SELECT id FROM problem_templates WHERE id = $1', [templateId])
+      : { rows: [] };
+
+    if (result.rows.length === 0) {
+      throw new SkillError('Template not found', 'NOT_FOUND', { templateId });
+    }
+  }
+
+  async getTemplateSkills(templateId, client = this.pool) {
+    await this.assertTemplateExists(templateId, client);
+
+    const result = await client.query(`
+      SELECT s.*
+      FROM template_skills ts
+      JOIN skills s ON s.id = ts.skill_id
+      WHERE ts.template_id = $1
+      ORDER BY s.code
+    `, [templateId]);
+
+    return {
+      templateId,
+      skills: result.rows.map(formatSkill)
+    };
+  }
+
+  /**
+   * Replace the skills a template practises, given as skill ids or codes
+   */
+  async setTemplateSkills(templateId, input) {
+    const requested = validateTemplateSkillsInput(input);
+
+    return withTransaction(this.pool, async (client) => {
+      await this.assertTemplateExists(templateId, client);
+
+      const found = requested.length === 0 ? { rows: [] } : await client.query(`
+        SELECT id, code FROM skills WHERE id::text = ANY($1::text[]) OR code = ANY($1::text[])
+      `, [requested]);
+
+      const unknown = requested.filter(ref => !found.rows.some(row => row.id === ref || row.code === ref));
+      if (unknown.length > 0) {
+        throw new SkillError('Invalid template skills', 'VALIDATION_ERROR', {
+          errors: [`Unknown skills: ${unknown.join(', ')}`]
+        });
+      }
+
+      await client.query('DELETE FROM template_skills WHERE template_id = $1', [templateId]);
+      if (found.rows.length > 0) {
+        await client.query(`
+          INSERT INTO template_skills (template_id, skill_id)
+          SELECT $1, unnest($2::uuid[])
+        `, [templateId, found.rows.map(row => row.id)]);
+      }
+
+      return this.getTemplateSkills(templateId, client);
+    });
+  }
+
+  // ============================================
+  // STANDARDS IMPORT
+  // ============================================
+
+  /**
+   * Check parsed standards against the database: prerequisites must be in the file or
+   * already known, templates must exist, and the resulting graph must have no cycles.
+   * Imported skills replace their prerequisites, so only other skills' edges are kept.
+   * Sets each row's action (create | update) and status (ready | error).
+   */
+  async resolveStandards(rows, client = this.pool) {
+    const fileCodes = rows.filter(row => row.code).map(row => row.code);
+    const referenced = [...new Set([...fileCodes, ...rows.flatMap(row => row.prerequisites || [])])];
+    const templateIds = [...new Set(rows.flatMap(row => row.templates || []))];
+
+    const [skillsResult, templatesResult, edgesResult] = await Promise.all([
+      client.query('SELECT id, code FROM skills WHERE code = ANY($1::text[])', [referenced]),
+      templateIds.length === 0
+        ? Promise.resolve({ rows: [] })
+        : client.query('SELECT id FROM problem_templates WHERE id = ANY($1::uuid[])', [templateIds]),
+      client.query(`
+        SELECT s.code AS skill, p.code AS prerequisite
+        FROM skill_prerequisites sp
+        JOIN skills s ON s.id = sp.skill_id
+        JOIN skills p ON p.id = sp.prerequisite_id
+      `)
+    ]);
+
+    const existingCodes = new Set(skillsResult.rows.map(row => row.code));
+    const existingTemplates = new Set(templatesResult.rows.map(row => row.id.toLowerCase()));
+    const fail = (row, error) => {
+      row.status = 'error';
+      row.errors.push(error);
+    };
+
+    rows.forEach(row => {
+      if (row.status === 'error') return;
+      row.action = existingCodes.has(row.code) ? 'update' : 'create';
+      const missingTemplates = row.templates.filter(id => !existingTemplates.has(id));
+      if (missingTemplates.length > 0) {
+        fail(row, `Templates not found: ${missingTemplates.join(', ')}`);
+      }
+    });
+
+    // Dropping a row can strand rows that need it, or break a cycle, so repeat until stable
+    let changed = true;
+    while (changed) {
+      changed = false;
+      const ready = rows.filter(row => row.status !== 'error');
+      const readyCodes = new Set(ready.map(row => row.code));
+
+      ready.forEach(row => {
+        const missing = row.prerequisites.filter(code => !readyCodes.has(code) && !existingCodes.has(code));
+        if (missing.length > 0) {
+          fail(row, `Prerequisites not found: ${missing.join(', ')}`);
+          changed = true;
+        }
+      });
+      if (changed) continue;
+
+      const cycle = findCycle([
+        ...edgesResult.rows.filter(edge => !readyCodes.has(edge.skill)),
+        ...ready.flatMap(row => row.prerequisites.map(prerequisite => ({ skill: row.code, prerequisite })))
+      ]);
+      const inCycle = cycle ? ready.filter(row => cycle.includes(row.code)) : [];
+      if (inCycle.length > 0) {
+        const message = `Prerequisites form a cycle: ${cycle.join(' → ')}`;
+        inCycle.forEach(row => fail(row, message));
+        changed = true;
+      }
+    }
+
+    return rows;
+  }
+
+  async previewImport(content, options = {}) {
+    const rows = await this.resolveStandards(parseStandards(content, options));
+
+    return {
+      summary: summarizeStandards(rows),
+      rows
+    };
+  }
+
+  /**
+   * Import a CSV or JSON standards file. Rows with errors are skipped and reported; the rest
+   * are created or updated by code in one transaction, with their prerequisites replaced and
+   * their templates mapped.
+   */
+  async importStandards(content, options = {}, user) {
+    const rows = parseStandards(content, options);
+
+    await withTransaction(this.pool, async (client) => {
+      await this.resolveStandards(rows, client);
+      const ready = rows.filter(row => row.status !== 'error');
+      if (ready.length === 0) return;
+
+      const column = (pick) => ready.map(pick);
+      const upserted = await client.query(`
+        INSERT INTO skills (
+          code, name, description, framework, problem_type, grade_level, domain,
+          p_init, p_transit, p_slip, p_guess, created_by
+        )
+        SELECT u.code, u.name, u.description, u.framework, u.problem_type::problem_type, u.grade_level, u.domain,
+               u.p_init, u.p_transit, u.p_slip, u.p_guess, $12
+        FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[], $6::int[], $7::text[],
+                    $8::numeric[], $9::numeric[], $10::numeric[], $11::numeric[])
+          AS u(code, name, description, framework, problem_type, grade_level, domain, p_init, p_transit, p_slip, p_guess)
+        ON CONFLICT (code) DO UPDATE SET
+          name = EXCLUDED.name,
+          description = COALESCE(EXCLUDED.description, skills.description),
+          framework = EXCLUDED.framework,
+          problem_type = COALESCE(EXCLUDED.problem_type, skills.problem_type),
+          grade_level = COALESCE(EXCLUDED.grade_level, skills.grade_level),
+          domain = COALESCE(EXCLUDED.domain, skills.domain),
+          p_init = COALESCE(EXCLUDED.p_init, skills.p_init),
+          p_transit = COALESCE(EXCLUDED.p_transit, skills.p_transit),
+          p_slip = COALESCE(EXCLUDED.p_slip, skills.p_slip),
+          p_guess = COALESCE(EXCLUDED.p_guess, skills.p_guess)
+        RETURNING id, code
+      `, [
+        column(row => row.code), column(row => row.name), column(row => row.description),
+        column(row => row.framework), column(row => row.problemType), column(row => row.gradeLevel),
+        column(row => row.domain), column(row => row.bkt.pInit), column(row => row.bkt.pTransit),
+        column(row => row.bkt.pSlip), column(row => row.bkt.pGuess), user.id
+      ]);
+
+      const idOf = new Map(upserted.rows.map(row => [row.code, row.id]));
+      const prerequisiteCodes = [...new Set(ready.flatMap(row => row.prerequisites))].filter(code => !idOf.has(code));
+      if (prerequisiteCodes.length > 0) {
+        const existing = await client.query('SELECT id, code FROM skills WHERE code = ANY($1::text[])', [prerequisiteCodes]);
+        existing.rows.forEach(row => idOf.set(row.code, row.id));
+      }
+
+      const edges = ready.flatMap(row => row.prerequisites.map(code => [idOf.get(row.code), idOf.get(code)]));
+      await client.query('DELETE FROM skill_prerequisites WHERE skill_id = ANY($1::uuid[])', [upserted.rows.map(row => row.id)]);
+      if (edges.length > 0) {
+        await client.query(`
+          INSERT INTO skill_prerequisites (skill_id, prerequisite_id)
+          SELECT * FROM unnest($1::uuid[], $2::uuid[])
+        `, [edges.map(edge => edge[0]), edges.map(edge => edge[1])]);
+      }
+
+      const mappings = ready.flatMap(row => row.templates.map(templateId => [templateId, idOf.get(row.code)]));
+      if (mappings.length > 0) {
+        await client.query(`
+          INSERT INTO template_skills (template_id, skill_id)
+          SELECT * FROM unnest($1::uuid[], $2::uuid[])
+          ON CONFLICT DO NOTHING
+        `, [mappings.map(mapping => mapping[0]), mappings.map(mapping => mapping[1])]);
+      }
+    });
+
+    const imported = rows.map(row => (row.status === 'error' ? row : { ...row, status: 'imported' }));
+    return {
+      summary: summarizeStandards(imported),
+      rows: imported
+    };
+  }
+
+  // ============================================
+  // MASTERY
+  // ============================================
+
+  /**
+   * Update the student's mastery of every skill the session's template practises from one
+   * submitted step. Called after the step is committed, so a failure here is logged rather
+   * than failing the step. Returns the updates.
+   */
+  async recordStepOutcome(studentId, sessionId, accuracy, now = new Date()) {
+    if (!this.config.enabled || accuracy === null || accuracy === undefined || Number.isNaN(Number(accuracy))) {
+      return [];
+    }
+
+    try {
+      return await withTransaction(this.pool, async (client) => {
+        const skillsResult = await client.query(`
+          SELECT s.*, ps.template_id
+          FROM problem_sessions ps
+          JOIN template_skills ts ON ts.template_id = ps.template_id
+          JOIN skills s ON s.id = ts.skill_id
+          WHERE ps.id = $1 AND ps.student_id = $2
+        `, [sessionId, studentId]);
+
+        if (skillsResult.rows.length === 0) {
+          return [];
+        }
+
+        const masteryResult = await client.query(`
+          SELECT * FROM student_skill_mastery
+          WHERE student_id = $1 AND skill_id = ANY($2::uuid[])
+          FOR UPDATE
+        `, [studentId, skillsResult.rows.map(skill => skill.id)]);
+        const existing = new Map(masteryResult.rows.map(row => [row.skill_id, row]));
+
+        const correct = Number(accuracy) >= this.config.correctAccuracy;
+        const updates = skillsResult.rows.map(skill => {
+          const params = bktParams(skill, this.config.bkt);
+          const record = existing.get(skill.id);
+          const previous = record ? parseFloat(record.p_mastery) : params.pInit;
+          const pMastery = updateMastery(previous, correct, params);
+          const mastered = pMastery >= this.config.masteryThreshold;
+          const wasMastered = previous >= this.config.masteryThreshold;
+
+          return {
+            skillId: skill.id,
+            code: skill.code,
+            previous: Math.round(previous * 10000) / 10000,
+            pMastery: Math.round(pMastery * 10000) / 10000,
+            correct,
+            mastered,
+            newlyMastered: mastered && !wasMastered,
+            masteredAt: mastered ? (wasMastered && record && record.mastered_at) || now : null
+          };
+        });
+
+        await client.query(`
+          INSERT INTO student_skill_mastery (
+            student_id, skill_id, p_mastery, opportunities, correct, last_template_id, last_practiced_at, mastered_at
+          )
+          SELECT $1, u.skill_id, u.p_mastery, 1, CASE WHEN $4 THEN 1 ELSE 0 END, $2, $3, u.mastered_at
+          FROM unnest($5::uuid[], $6::numeric[], $7::timestamp[]) AS u(skill_id, p_mastery, mastered_at)
+          ON CONFLICT (student_id, skill_id) DO UPDATE SET
+            p_mastery = EXCLUDED.p_mastery,
+            opportunities = student_skill_mastery.opportunities + 1,
+            correct = student_skill_mastery.correct + EXCLUDED.correct,
+            last_template_id = EXCLUDED.last_template_id,
+            last_practiced_at = EXCLUDED.last_practiced_at,
+            mastered_at = EXCLUDED.mastered_at
+        `, [
+          studentId, skillsResult.rows[0].template_id, now, correct,
+          updates.map(update => update.skillId), updates.map(update => update.pMastery),
+          updates.map(update => update.masteredAt)
+        ]);
+
+        return updates;
+      });
+    } catch (error) {
+      console.error('Error updating skill mastery:', error);
+      return [];
+    }
+  }
+
+  async loadGraph() {
+    const [skillsResult, edgesResult] = await Promise.all([
+      this.pool.query('SELECT * FROM skills ORDER BY framework, grade_level NULLS FIRST, code'),
+      this.pool.query('SELECT skill_id, prerequisite_id FROM skill_prerequisites')
+    ]);
+
+    return {
+      skills: skillsResult.rows,
+      edges: edgesResult.rows.map(row => ({ skillId: row.skill_id, prerequisiteId: row.prerequisite_id }))
+    };
+  }
+
+  async getMastery(studentId) {
+    const result = await this.pool.query('SELECT * FROM student_skill_mastery WHERE student_id = $1', [studentId]);
+    return new Map(result.rows.map(row => [row.skill_id, toMasteryRecord(row)]));
+  }
+
+  /**
+   * The student's mastery of every skill, with each skill's status and the prerequisite edges
+   * (?problemType=&framework= narrow the skills shown)
+   */
+  async getMasteryMap(studentId, query = {}) {
+    validateSkillQuery(query);
+    const [{ skills, edges }, mastery] = await Promise.all([this.loadGraph(), this.getMastery(studentId)]);
+
+    const filter = query.problemType || query.framework
+      ? (skill => (!query.problemType || skill.problem_type === query.problemType) &&
+          (!query.framework || skill.framework === query.framework))
+      : null;
+
+    return {
+      studentId,
+      masteryThreshold: this.config.masteryThreshold,
+      ...buildMasteryMap({
+        skills, edges, mastery, filter, defaults: this.config.bkt, threshold: this.config.masteryThreshold
+      })
+    };
+  }
+
+  /**
+   * Templates to practise next, targeting the skills whose prerequisites are met, or with a
+   * goal (skill id or code) the unmet prerequisites on the way to it
+   */
+  async getRecommendations(studentId, query = {}, { limit = 5 } = {}) {
+    validateSkillQuery(query);
+    const [{ skills, edges }, mastery, templatesResult] = await Promise.all([
+      this.loadGraph(),
+      this.getMastery(studentId),
+      this.pool.query(`
+        SELECT ts.template_id, ts.skill_id, pt.title, pt.subject, pt.problem_type, pt.difficulty_level
+        FROM template_skills ts
+        JOIN problem_templates pt ON pt.id = ts.template_id
+        WHERE pt.is_active = true AND ($1::text IS NULL OR pt.problem_type::text = $1)
+      `, [query.problemType || null])
+    ]);
+
+    let goal = null;
+    if (query.goal) {
+      goal = skills.find(skill => skill.id === query.goal || skill.code === query.goal);
+      if (!goal) {
+        throw new SkillError('Goal skill not found', 'NOT_FOUND', { goal: query.goal });
+      }
+    }
+
+    const result = recommendTemplates({
+      skills,
+      edges,
+      mastery,
+      templateSkills: templatesResult.rows,
+      defaults: this.config.bkt,
+      threshold: this.config.masteryThreshold,
+      goalSkillId: goal ? goal.id : null,
+      limit
+    });
+
+    return {
+      studentId,
+      goal: goal ? { id: goal.id, code: goal.code, name: goal.name } : null,
+      ...result
+    };
+  }
+}
+
+// Singleton instance
+let skillServiceInstance = null;
+
+const getSkillService = () => {
+  if (!skillServiceInstance) {
+    skillServiceInstance = new SkillService();
+  }
+  return skillServiceInstance;
+};
+
+module.exports = {
+  SkillService,
+  getSkillService,
+  SkillError
+};
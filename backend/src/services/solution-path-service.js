@@ -2,6 +2,8 @@ const { Pool } = require('pg');
 const { scaffoldingEngine } = require('./scaffolding-engine');
 const { getMistakeAnalysisService } = require('./mistake-analysis-service');
 const { activityMonitor } = require('./activity-monitor');
+const { getCalibrationService } = require('./calibration-service');
+const { calibratedPathValue } = require('./irt-calibration');
 
 // Solution path error class
 class SolutionPathError extends Error {
@@ -97,9 +99,10 @@ class SolutionPathService {
         let paths = pathsResult.rows;
 
         // Filter by student level if requested
-        if (filterByStudentLevel && studentId) {
+        if (filterByStudentLevel && studentId && paths.length > 0) {
           const studentProfile = await this.getStudentProfile(client, studentId);
-          paths = this.filterPathsByStudentLevel(paths, studentProfile);
+          const calibration = await this.getCalibratedLevel(client, studentId, templateId, paths[0].subject);
+          paths = this.filterPathsByStudentLevel(paths, { ...studentProfile, calibration });
         }
 
         // Add metadata and personalization
@@ -771,6 +774,47 @@ class SolutionPathService {
     return profileResult.rows[0];
   }
 
+  // The student's calibrated target level and the template's calibrated difficulty; null
+  // when the student has no reliable ability, which leaves paths unfiltered
+  async getCalibratedLevel(client, studentId, templateId, subject) {
+    try {
+      const calibration = getCalibrationService();
+      const target = await calibration.getAdaptationTarget(studentId, subject, client);
+      if (!target) {
+        return null;
+      }
+
+      const template = await calibration.getTemplateEstimate(templateId, client);
+      return { targetValue: target.targetValue, templateValue: template ? template.value : null };
+    } catch (error) {
+      console.error('Error reading calibrated level:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Keep paths within a level of where the student should be working. A path's level is its
+   * label moved by the template's calibration; when none are close, the closest are kept.
+   */
+  filterPathsByStudentLevel(paths, profile) {
+    const calibration = profile && profile.calibration;
+    if (!calibration || paths.length === 0) {
+      return paths;
+    }
+
+    const distances = paths.map(path => Math.abs(
+      calibratedPathValue(path.difficulty_level, path.template_difficulty, calibration.templateValue) -
+        calibration.targetValue
+    ));
+    const within = paths.filter((path, index) => distances[index] <= 1);
+    if (within.length > 0) {
+      return within;
+    }
+
+    const closest = Math.min(...distances);
+    return paths.filter((path, index) => distances[index] === closest);
+  }
+
   // Get summary of student profile for recommendations
   async getStudentProfileSummary(studentId) {
     try {
@@ -933,7 +977,6 @@ class SolutionPathService {
   }
 
   // Additional placeholder methods for full functionality
-  filterPathsByStudentLevel(paths, profile) { return paths; }
   async getPathMetadata(client, pathId) { return {}; }
   async getPathPersonalization(client, pathId, studentId) { return {}; }
   async analyzePathForComparison(path, studentId, criteria) { return path; }
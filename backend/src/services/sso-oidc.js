@@ -0,0 +1,357 @@
+// OpenID Connect client helpers: discovery, PKCE, ID token validation and claim mapping
+// (no database access)
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// Roles an identity provider may assign; administrators are only created locally
+const SSO_ROLES = ['student', 'teacher', 'parent'];
+
+// When a user's claims map to several roles, the first one here wins
+const ROLE_PRECEDENCE = ['teacher', 'parent', 'student'];
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const CLOCK_TOLERANCE_SECONDS = 60;
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+// Slugs appear in URLs next to the fixed /providers and /admin routes
+const RESERVED_SLUGS = ['admin', 'providers'];
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/;
+const DOMAIN_PATTERN = /^[a-z0-9.-]+\.[a-z]{2,}$/;
+const CLAIM_PATTERN = /^[A-Za-z0-9_:\-/.]{1,100}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SsoError extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'SsoError';
+    this.type = type;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+}
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+const hashState = (state) => crypto.createHash('sha256').update(String(state)).digest('hex');
+
+// Kept in a cookie by the browser that started the login, so a callback URL opened in
+// another browser is refused (login CSRF)
+const stateBinding = (state) => hashState(`browser:${state}`);
+
+const stateMatchesBinding = (state, binding) => {
+  if (typeof state !== 'string' || !state || typeof binding !== 'string') return false;
+  const expected = Buffer.from(stateBinding(state));
+  const actual = Buffer.from(binding);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// RFC 7636: S256 challenge of a random verifier
+const createPkcePair = () => {
+  const codeVerifier = randomToken(48);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge, codeChallengeMethod: 'S256' };
+};
+
+const trimIssuer = (issuer) => String(issuer).replace(/\/+$/, '');
+
+// Only same-site paths, so a crafted login link cannot bounce users elsewhere
+const safeRedirectPath = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.includes('\\')) {
+    return '/';
+  }
+  return value.length > 500 ? '/' : value;
+};
+
+// ============================================
+// CLAIMS
+// ============================================
+
+// Claim paths may be dotted, e.g. realm_access.roles
+const getClaim = (claims, path) => {
+  if (!path) return undefined;
+  if (Object.prototype.hasOwnProperty.call(claims, path)) return claims[path];
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), claims);
+};
+
+const claimValues = (claims, path) => {
+  const value = getClaim(claims, path);
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+const splitName = (name) => {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  return { firstName: parts[0] || null, lastName: parts.length > 1 ? parts.slice(1).join(' ') : null };
+};
+
+/**
+ * Map ID token claims onto a Mentra account: email, names, the role from the provider's
+ * role mapping (falling back to its default role) and the classrooms to join
+ */
+const mapClaims = (claims, provider) => {
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+  const domain = email ? email.split('@')[1] : null;
+  const allowedDomains = provider.allowed_domains || [];
+  const fromName = splitName(claims.name);
+
+  const mappedRoles = claimValues(claims, provider.role_claim)
+    .map(value => (provider.role_mapping || {})[value])
+    .filter(role => SSO_ROLES.includes(role));
+  const role = ROLE_PRECEDENCE.find(r => mappedRoles.includes(r)) || provider.default_role || null;
+
+  const classroomIds = [...new Set(claimValues(claims, provider.classroom_claim)
+    .map(value => (provider.classroom_mapping || {})[value])
+    .filter(id => typeof id === 'string' && UUID_PATTERN.test(id)))];
+
+  return {
+    subject: String(claims.sub),
+    email,
+    // Addresses in a district's own domains are trusted; others need the IdP to vouch for them
+    emailTrusted: !!email && (claims.email_verified === true || allowedDomains.includes(domain)),
+    domainAllowed: allowedDomains.length === 0 || (!!domain && allowedDomains.includes(domain)),
+    firstName: claims.given_name || fromName.firstName,
+    lastName: claims.family_name || fromName.lastName,
+    role,
+    classroomIds
+  };
+};
+
+// ============================================
+// PROVIDER VALIDATION
+// ============================================
+
+const validateProviderInput = (input, { partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+  const required = (field) => !partial || has(field);
+  const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+  if (required('slug') && (typeof input.slug !== 'string' || !SLUG_PATTERN.test(input.slug) || RESERVED_SLUGS.includes(input.slug))) {
+    errors.push('slug must be 3-50 lowercase letters, numbers or dashes (not admin or providers)');
+  }
+  if (required('name') && !isText(input.name, 255)) {
+    errors.push('name is required (255 characters max)');
+  }
+  if (required('issuer')) {
+    let url = null;
+    try {
+      url = new URL(input.issuer);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['https:', 'http:'].includes(url.protocol) || url.search || url.hash) {
+      errors.push('issuer must be the provider\'s issuer URL');
+    }
+  }
+  if (required('clientId') && !isText(input.clientId, 255)) {
+    errors.push('clientId is required');
+  }
+  if (has('clientSecret') && input.clientSecret !== null && !isText(input.clientSecret, 2000)) {
+    errors.push('clientSecret must be text');
+  }
+  if (has('scopes') && (typeof input.scopes !== 'string' || !input.scopes.split(/\s+/).includes('openid'))) {
+    errors.push('scopes must include openid');
+  }
+  for (const field of ['enabled', 'autoProvision']) {
+    if (has(field) && typeof input[field] !== 'boolean') {
+      errors.push(`${field} must be true or false`);
+    }
+  }
+  if (has('allowedDomains') && (!Array.isArray(input.allowedDomains) ||
+      !input.allowedDomains.every(d => typeof d === 'string' && DOMAIN_PATTERN.test(d.toLowerCase())))) {
+    errors.push('allowedDomains must be a list of email domains');
+  }
+  for (const field of ['roleClaim', 'classroomClaim']) {
+    if (has(field) && input[field] !== null && (typeof input[field] !== 'string' || !CLAIM_PATTERN.test(input[field]))) {
+      errors.push(`${field} must be a claim name`);
+    }
+  }
+  if (has('roleMapping') && (!input.roleMapping || typeof input.roleMapping !== 'object' || Array.isArray(input.roleMapping) ||
+      !Object.values(input.roleMapping).every(role => SSO_ROLES.includes(role)))) {
+    errors.push(`roleMapping values must be one of: ${SSO_ROLES.join(', ')}`);
+  }
+  if (has('defaultRole') && input.defaultRole !== null && !SSO_ROLES.includes(input.defaultRole)) {
+    errors.push(`defaultRole must be one of: ${SSO_ROLES.join(', ')}`);
+  }
+  if (has('classroomMapping') && (!input.classroomMapping || typeof input.classroomMapping !== 'object' ||
+      Array.isArray(input.classroomMapping) ||
+      !Object.values(input.classroomMapping).every(id => typeof id === 'string' && UUID_PATTERN.test(id)))) {
+    errors.push('classroomMapping values must be classroom ids');
+  }
+
+  if (errors.length > 0) {
+    throw new SsoError('Invalid identity provider', 'VALIDATION_ERROR', { errors });
+  }
+};
+
+// ============================================
+// OIDC CLIENT
+// ============================================
+
+/**
+ * Talks to identity providers over HTTP. Discovery documents and key sets are cached
+ * per issuer; an unknown key id refetches the key set once in case keys were rotated.
+ */
+class OidcClient {
+  constructor({ httpClient = axios, cacheTtlMs = METADATA_CACHE_TTL_MS } = {}) {
+    this.http = httpClient;
+    this.cacheTtlMs = cacheTtlMs;
+    this.metadataCache = new Map();
+    this.keyCache = new Map();
+  }
+
+  async fetchJson(url, description) {
+    try {
+      const response = await this.http.get(url, { timeout: HTTP_TIMEOUT_MS, headers: { Accept: 'application/json' } });
+      return response.data;
+    } catch (error) {
+      throw new SsoError(`Could not load ${description} from the identity provider`, 'PROVIDER_ERROR', {
+        url,
+        reason: error.message
+      });
+    }
+  }
+
+  async discover(issuer) {
+    const key = trimIssuer(issuer);
+    const cached = this.metadataCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+    const metadata = await this.fetchJson(`${key}/.well-known/openid-configuration`, 'discovery document');
+
+    if (!metadata || trimIssuer(metadata.issuer || '') !== key) {
+      throw new SsoError('Discovery document names a different issuer', 'PROVIDER_ERROR', { issuer: key });
+    }
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!metadata[field]) {
+        throw new SsoError(`Discovery document is missing ${field}`, 'PROVIDER_ERROR', { issuer: key });
+      }
+    }
+
+    this.metadataCache.set(key, { metadata, expiresAt: Date.now() + this.cacheTtlMs });
+    return metadata;
+  }
+
+  async getKeys(metadata, refresh = false) {
+    const cached = this.keyCache.get(metadata.jwks_uri);
+    if (!refresh && cached && cached.expiresAt > Date.now()) return cached.keys;
+
+    const jwks = await this.fetchJson(metadata.jwks_uri, 'signing keys');
+    const keys = (jwks && Array.isArray(jwks.keys) ? jwks.keys : []).filter(k => !k.use || k.use === 'sig');
+
+    this.keyCache.set(metadata.jwks_uri, { keys, expiresAt: Date.now() + this.cacheTtlMs });
+    return keys;
+  }
+
+  async getSigningKey(metadata, kid) {
+    const pick = (keys) => (kid ? keys.find(k => k.kid === kid) : keys.length === 1 ? keys[0] : null);
+
+    const jwk = pick(await this.getKeys(metadata)) || pick(await this.getKeys(metadata, true));
+    if (!jwk) {
+      throw new SsoError('ID token was signed with an unknown key', 'INVALID_ID_TOKEN', { kid });
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  buildAuthorizationUrl(metadata, { clientId, redirectUri, scopes, state, nonce, codeChallenge, loginHint = null }) {
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (loginHint) url.searchParams.set('login_hint', loginHint);
+    return url.toString();
+  }
+
+  // Authorization code grant; confidential clients authenticate with client_secret_post
+  async exchangeCode(metadata, { clientId, clientSecret, code, redirectUri, codeVerifier }) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      code_verifier: codeVerifier
+    });
+    if (clientSecret) body.set('client_secret', clientSecret);
+
+    let response;
+    try {
+      response = await this.http.post(metadata.token_endpoint, body.toString(), {
+        timeout: HTTP_TIMEOUT_MS,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' }
+      });
+    } catch (error) {
+      const data = error.response && error.response.data;
+      throw new SsoError('Identity provider rejected the sign-in', 'PROVIDER_ERROR', {
+        reason: (data && (data.error_description || data.error)) || error.message
+      });
+    }
+
+    if (!response.data || typeof response.data.id_token !== 'string') {
+      throw new SsoError('Identity provider did not return an ID token', 'PROVIDER_ERROR');
+    }
+    return response.data;
+  }
+
+  /**
+   * Check the ID token's signature, issuer, audience, expiry and nonce and return its
+   * claims. Symmetric (HS*) and unsigned tokens are never accepted.
+   */
+  async verifyIdToken(idToken, metadata, { clientId, nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new SsoError('ID token is malformed or uses an unsupported algorithm', 'INVALID_ID_TOKEN');
+    }
+
+    const key = await this.getSigningKey(metadata, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: [decoded.header.alg],
+        issuer: metadata.issuer,
+        audience: clientId,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      });
+    } catch (error) {
+      throw new SsoError(`ID token rejected: ${error.message}`, 'INVALID_ID_TOKEN');
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+      throw new SsoError('ID token was issued to another client', 'INVALID_ID_TOKEN');
+    }
+    if (!nonce || claims.nonce !== nonce) {
+      throw new SsoError('ID token nonce does not match this sign-in', 'INVALID_ID_TOKEN');
+    }
+    if (!claims.sub) {
+      throw new SsoError('ID token has no subject', 'INVALID_ID_TOKEN');
+    }
+    return claims;
+  }
+}
+
+module.exports = {
+  SSO_ROLES,
+  ROLE_PRECEDENCE,
+  RESERVED_SLUGS,
+  SsoError,
+  OidcClient,
+  randomToken,
+  hashState,
+  stateBinding,
+  stateMatchesBinding,
+  createPkcePair,
+  safeRedirectPath,
+  getClaim,
+  claimValues,
+  mapClaims,
+  validateProviderInput
+};
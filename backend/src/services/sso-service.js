@@ -0,0 +1,418 @@
+const { Pool } = require('pg');
+const { getSsoConfig } = require('../config/environment');
+const { getUserById, issueSessionTokens } = require('./auth-service');
+const { getClassroomService } = require('./classroom-service');
+const { getMfaService } = require('./mfa-service');
+const {
+  SsoError,
+  OidcClient,
+  randomToken,
+  hashState,
+  stateBinding,
+  stateMatchesBinding,
+  createPkcePair,
+  safeRedirectPath,
+  mapClaims,
+  validateProviderInput
+} = require('./sso-oidc');
+const { withTransaction } = require('./db-transaction');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// API field -> identity_providers column
+const PROVIDER_COLUMNS = {
+  slug: 'slug',
+  name: 'name',
+  issuer: 'issuer',
+  clientId: 'client_id',
+  clientSecret: 'client_secret',
+  scopes: 'scopes',
+  enabled: 'enabled',
+  allowedDomains: 'allowed_domains',
+  autoProvision: 'auto_provision',
+  roleClaim: 'role_claim',
+  roleMapping: 'role_mapping',
+  defaultRole: 'default_role',
+  classroomClaim: 'classroom_claim',
+  classroomMapping: 'classroom_mapping'
+};
+const JSON_COLUMNS = ['role_mapping', 'classroom_mapping'];
+
+// The client secret is write-only
+const formatProvider = (row) => ({
+  id: row.id,
+  slug: row.slug,
+  name: row.name,
+  issuer: row.issuer,
+  clientId: row.client_id,
+  hasClientSecret: !!row.client_secret,
+  scopes: row.scopes,
+  enabled: row.enabled,
+  allowedDomains: row.allowed_domains || [],
+  autoProvision: row.auto_provision,
+  roleClaim: row.role_claim,
+  roleMapping: row.role_mapping || {},
+  defaultRole: row.default_role,
+  classroomClaim: row.classroom_claim,
+  classroomMapping: row.classroom_mapping || {},
+  createdAt: new Date(row.created_at).toISOString(),
+  updatedAt: new Date(row.updated_at).toISOString()
+});
+
+const normalizeProviderInput = (input) => ({
+  ...input,
+  ...(typeof input.issuer === 'string' ? { issuer: input.issuer.replace(/\/+$/, '') } : {}),
+  ...(Array.isArray(input.allowedDomains) ? { allowedDomains: input.allowedDomains.map(d => d.toLowerCase()) } : {})
+});
+
+class SsoService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    this.config = getSsoConfig();
+    this.oidc = new OidcClient();
+    this.loadUser = getUserById;
+    this.issueTokens = issueSessionTokens;
+    this.createMfaChallenge = (user, clientInfo) => getMfaService().createLoginChallenge(user, clientInfo);
+  }
+
+  redirectUri(provider) {
+    return `${this.config.apiUrl}/api/v1/auth/sso/${provider.slug}/callback`;
+  }
+
+  // ============================================
+  // PROVIDERS
+  // ============================================
+
+  // What the login page needs to show a "Sign in with ..." button
+  async listLoginProviders() {
+    const result = await this.pool.query(`
+      SELECT slug, name FROM identity_providers WHERE enabled = true ORDER BY name
+    `);
+    return result.rows.map(row => ({
+      slug: row.slug,
+      name: row.name,
+      loginUrl: `/api/v1/auth/sso/${row.slug}/login`
+    }));
+  }
+
+  async listProviders() {
+    const result = await this.pool.query('SELECT * FROM identity_providers ORDER BY name');
+    return result.rows.map(formatProvider);
+  }
+
+  async getProviderRow(providerId) {
+    if (typeof providerId !== 'string' || !UUID_PATTERN.test(providerId)) {
+      throw new SsoError('Identity provider not found', 'NOT_FOUND');
+    }
+
+    const result = await this.pool.query('SELECT * FROM identity_providers WHERE id = $1', [providerId]);
+    if (result.rows.length === 0) {
+      throw new SsoError('Identity provider not found', 'NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  async getProvider(providerId) {
+    return formatProvider(await this.getProviderRow(providerId));
+  }
+
+  async getEnabledProvider(slug) {
+    const result = await this.pool.query(`
+      SELECT * FROM identity_providers WHERE slug = $1 AND enabled = true
+    `, [String(slug)]);
+    if (result.rows.length === 0) {
+      throw new SsoError('Identity provider not found', 'NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  async saveProvider(sql, params) {
+    try {
+      const result = await this.pool.query(sql, params);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new SsoError('An identity provider with this slug already exists', 'CONFLICT');
+      }
+      throw error;
+    }
+  }
+
+  columnValues(input) {
+    return Object.entries(PROVIDER_COLUMNS)
+      .filter(([field]) => input[field] !== undefined)
+      .map(([field, column]) => [column, JSON_COLUMNS.includes(column) ? JSON.stringify(input[field]) : input[field]]);
+  }
+
+  async createProvider(input, admin) {
+    validateProviderInput(input);
+    const values = this.columnValues(normalizeProviderInput(input));
+    const columns = [...values.map(([column]) => column), 'created_by'];
+    const params = [...values.map(([, value]) => value), admin.id];
+
+    const row = await this.saveProvider(`
+      INSERT INTO identity_providers (${columns.join(', ')})
+      VALUES (${params.map((_, i) => `$${i + 1}`).join(', ')})
+      RETURNING *
+    `, params);
+    return formatProvider(row);
+  }
+
+  async updateProvider(providerId, input) {
+    await this.getProviderRow(providerId);
+    validateProviderInput(input, { partial: true });
+
+    const values = this.columnValues(normalizeProviderInput(input));
+    if (values.length === 0) {
+      return this.getProvider(providerId);
+    }
+
+    const row = await this.saveProvider(`
+      UPDATE identity_providers
+      SET ${values.map(([column], i) => `${column} = $${i + 2}`).join(', ')}
+      WHERE id = $1
+      RETURNING *
+    `, [providerId, ...values.map(([, value]) => value)]);
+    return formatProvider(row);
+  }
+
+  // ============================================
+  // LOGIN
+  // ============================================
+
+  /**
+   * Begin an authorization code login: store the state, nonce and PKCE verifier and
+   * return the identity provider URL to send the browser to, with the binding the browser
+   * must keep and present at the callback
+   */
+  async startLogin(slug, { redirectTo = '/', loginHint = null } = {}) {
+    const provider = await this.getEnabledProvider(slug);
+    const metadata = await this.oidc.discover(provider.issuer);
+
+    const state = randomToken();
+    const nonce = randomToken(24);
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    await this.pool.query('DELETE FROM sso_login_states WHERE expires_at < CURRENT_TIMESTAMP');
+    await this.pool.query(`
+      INSERT INTO sso_login_states (provider_id, state_hash, nonce, code_verifier, redirect_to, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6::bigint * INTERVAL '1 millisecond'))
+    `, [provider.id, hashState(state), nonce, codeVerifier, safeRedirectPath(redirectTo), this.config.loginTtlMs]);
+
+    const authorizationUrl = this.oidc.buildAuthorizationUrl(metadata, {
+      clientId: provider.client_id,
+      redirectUri: this.redirectUri(provider),
+      scopes: provider.scopes,
+      state,
+      nonce,
+      codeChallenge,
+      loginHint
+    });
+    return { authorizationUrl, browserBinding: stateBinding(state) };
+  }
+
+  // Each state is good for one callback, for the provider that issued it
+  async consumeState(state, provider) {
+    if (typeof state !== 'string' || !state) {
+      throw new SsoError('Sign-in session is invalid or has expired', 'INVALID_STATE');
+    }
+
+    const result = await this.pool.query(`
+      UPDATE sso_login_states SET used_at = CURRENT_TIMESTAMP
+      WHERE state_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING *
+    `, [hashState(state)]);
+    const login = result.rows[0];
+
+    if (!login || String(login.provider_id) !== String(provider.id)) {
+      throw new SsoError('Sign-in session is invalid or has expired', 'INVALID_STATE');
+    }
+    return login;
+  }
+
+  /**
+   * Finish a login from the provider's callback: exchange the code, validate the ID token,
+   * find or provision the Mentra account and issue the usual access and refresh tokens.
+   * Users with MFA, or whose role requires it, get an MFA challenge instead of tokens, as
+   * they would from a password login.
+   */
+  async completeLogin(slug, { code, state, browserBinding, error = null }, { ipAddress, userAgent }) {
+    const provider = await this.getEnabledProvider(slug);
+
+    // Checked before the state is used up, so a forged callback cannot spend a real login
+    if (!stateMatchesBinding(state, browserBinding)) {
+      throw new SsoError('Sign-in session is invalid or has expired', 'INVALID_STATE');
+    }
+    const login = await this.consumeState(state, provider);
+
+    if (error) {
+      throw new SsoError(`Identity provider returned ${error}`, 'PROVIDER_ERROR', { redirectTo: login.redirect_to });
+    }
+    if (typeof code !== 'string' || !code) {
+      throw new SsoError('Identity provider did not return an authorization code', 'PROVIDER_ERROR');
+    }
+
+    const metadata = await this.oidc.discover(provider.issuer);
+    const tokenSet = await this.oidc.exchangeCode(metadata, {
+      clientId: provider.client_id,
+      clientSecret: provider.client_secret,
+      code,
+      redirectUri: this.redirectUri(provider),
+      codeVerifier: login.code_verifier
+    });
+    const claims = await this.oidc.verifyIdToken(tokenSet.id_token, metadata, {
+      clientId: provider.client_id,
+      nonce: login.nonce
+    });
+
+    const mapped = mapClaims(claims, provider);
+    const { userId, provisioned } = await withTransaction(this.pool, client => this.resolveUser(client, provider, mapped, claims));
+
+    const user = await this.loadUser(userId);
+    if (!user || user.status !== 'active') {
+      throw new SsoError('Account is not active. Please contact support.', 'ACCESS_DENIED');
+    }
+
+    const challenge = await this.createMfaChallenge(user, { ipAddress, userAgent });
+    if (challenge) {
+      return { user: null, tokens: null, mfaChallenge: challenge, provisioned, redirectTo: login.redirect_to || '/' };
+    }
+
+    const { user: safeUser, tokens } = await this.issueTokens(user, ipAddress, userAgent);
+    return { user: safeUser, tokens, mfaChallenge: null, provisioned, redirectTo: login.redirect_to || '/' };
+  }
+
+  // ============================================
+  // ACCOUNTS
+  // ============================================
+
+  /**
+   * The Mentra user for an IdP identity: the one already linked, else an existing account
+   * with the same trusted email, else a new account when the provider allows provisioning
+   */
+  async resolveUser(client, provider, mapped, claims) {
+    const linked = await client.query(`
+      SELECT user_id FROM user_identities WHERE provider_id = $1 AND subject = $2
+    `, [provider.id, mapped.subject]);
+
+    let userId = linked.rows[0] ? linked.rows[0].user_id : null;
+    let provisioned = false;
+
+    if (!userId) {
+      if (!mapped.domainAllowed) {
+        throw new SsoError('This email domain cannot sign in with this provider', 'ACCESS_DENIED');
+      }
+
+      const existing = mapped.email ? await client.query(`
+        SELECT id, role FROM users WHERE LOWER(email) = $1 AND deleted_at IS NULL
+      `, [mapped.email]) : { rows: [] };
+
+      if (existing.rows[0]) {
+        if (!mapped.emailTrusted) {
+          throw new SsoError('An account with this email exists but the provider has not verified the address', 'CONFLICT');
+        }
+        if (existing.rows[0].role === 'admin') {
+          throw new SsoError('Administrator accounts cannot be linked through single sign-on', 'ACCESS_DENIED');
+        }
+        userId = existing.rows[0].id;
+      } else {
+        userId = await this.provisionUser(client, provider, mapped);
+        provisioned = true;
+      }
+    }
+
+    // Created or refreshed here so the next login finds the user by subject
+    await client.query(`
+      INSERT INTO user_identities (provider_id, subject, user_id, email, claims, last_login_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (provider_id, subject) DO UPDATE
+      SET email = EXCLUDED.email, claims = EXCLUDED.claims, last_login_at = CURRENT_TIMESTAMP
+    `, [provider.id, mapped.subject, userId, mapped.email, JSON.stringify(claims)]);
+
+    if (mapped.classroomIds.length > 0) {
+      const user = await client.query('SELECT role FROM users WHERE id = $1', [userId]);
+      await this.joinClassrooms(client, userId, user.rows[0].role, mapped.classroomIds);
+    }
+
+    return { userId, provisioned };
+  }
+
+  async provisionUser(client, provider, mapped) {
+    if (!provider.auto_provision) {
+      throw new SsoError('No Mentra account is linked to this sign-in', 'ACCESS_DENIED');
+    }
+    if (!mapped.email) {
+      throw new SsoError('Identity provider did not share an email address', 'ACCESS_DENIED');
+    }
+    if (!mapped.role) {
+      throw new SsoError('Your identity provider account has no Mentra role', 'ACCESS_DENIED');
+    }
+
+    const result = await client.query(`
+      INSERT INTO users (email, password_hash, role, status, first_name, last_name, email_verified_at)
+      VALUES ($1, NULL, $2, 'active', $3, $4, CASE WHEN $5::boolean THEN CURRENT_TIMESTAMP END)
+      RETURNING id
+    `, [
+      mapped.email,
+      mapped.role,
+      (mapped.firstName || mapped.email.split('@')[0]).substring(0, 100),
+      (mapped.lastName || '').substring(0, 100),
+      mapped.emailTrusted
+    ]);
+    const userId = result.rows[0].id;
+
+    const profileTables = { student: 'student_profiles', teacher: 'teacher_profiles', parent: 'parent_profiles' };
+    await client.query(`INSERT INTO ${profileTables[mapped.role]} (user_id) VALUES ($1)`, [userId]);
+    await client.query(`
+      INSERT INTO privacy_settings (user_id, consent_date) VALUES ($1, CURRENT_TIMESTAMP)
+    `, [userId]);
+
+    return userId;
+  }
+
+  /**
+   * Add the user to classrooms named by their claims: students are enrolled and teachers
+   * join as co-teachers. Existing memberships are left as they are, and nothing is removed.
+   */
+  async joinClassrooms(client, userId, role, classroomIds) {
+    const active = await client.query(`
+      SELECT id FROM classrooms WHERE id = ANY($1::uuid[]) AND active = true
+    `, [classroomIds]);
+    const classroomService = getClassroomService();
+
+    for (const { id: classroomId } of active.rows) {
+      if (role === 'student') {
+        await classroomService.applyEnrollments(client, classroomId, [userId]);
+      } else if (role === 'teacher') {
+        const joined = await client.query(`
+          INSERT INTO teacher_classrooms (teacher_id, classroom_id, role, status)
+          VALUES ($1, $2, 'co_teacher', 'active')
+          ON CONFLICT (teacher_id, classroom_id) DO NOTHING
+          RETURNING id
+        `, [userId, classroomId]);
+        if (joined.rows.length > 0) {
+          await classroomService.activateAssignments(client, classroomId, { teacherId: userId });
+        }
+      }
+    }
+  }
+}
+
+// Singleton instance
+let ssoServiceInstance = null;
+
+const getSsoService = () => {
+  if (!ssoServiceInstance) {
+    ssoServiceInstance = new SsoService();
+  }
+  return ssoServiceInstance;
+};
+
+module.exports = {
+  SsoService,
+  getSsoService,
+  formatProvider
+};
@@ -0,0 +1,70 @@
+-- Migration 011: AI Tutor Session Persistence
+-- Stores AI tutor conversations so they survive restarts and can be reviewed by teachers
+-- alongside problem-solving sessions
+
+-- AI tutor sessions (one per tutoring conversation)
+CREATE TABLE IF NOT EXISTS ai_tutor_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+  -- Session details
+  subject VARCHAR(50) NOT NULL DEFAULT 'general',
+  topic VARCHAR(255) NOT NULL DEFAULT 'General Help',
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'abandoned')),
+
+  -- Learning context (learningGoals, currentConcepts, difficultyLevel, emotionalState)
+  context JSONB NOT NULL DEFAULT '{}',
+  concepts_discussed TEXT[] DEFAULT ARRAY[]::TEXT[],
+
+  -- Activity counters (kept in sync when messages are appended)
+  message_count INTEGER NOT NULL DEFAULT 0,
+  student_message_count INTEGER NOT NULL DEFAULT 0,
+  retracted_message_count INTEGER NOT NULL DEFAULT 0,
+
+  -- Student feedback given when ending the session
+  feedback JSONB,
+
+  -- Teacher review
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_notes TEXT,
+  follow_up_required BOOLEAN DEFAULT false,
+
+  -- Timing
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  ended_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- AI tutor messages (full transcript, in order)
+CREATE TABLE IF NOT EXISTS ai_tutor_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES ai_tutor_sessions(id) ON DELETE CASCADE,
+
+  role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+  content TEXT NOT NULL,
+
+  -- Scaffolding details (scaffoldingType, emotionalState, provider, concepts)
+  metadata JSONB DEFAULT '{}',
+
+  -- Safety: assistant replies replaced mid-stream by the safety filter
+  was_retracted BOOLEAN DEFAULT false,
+  retraction_reasons TEXT[],
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_ai_tutor_sessions_student ON ai_tutor_sessions(student_id, last_activity_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_tutor_sessions_status ON ai_tutor_sessions(status);
+CREATE INDEX IF NOT EXISTS idx_ai_tutor_sessions_started_at ON ai_tutor_sessions(started_at);
+CREATE INDEX IF NOT EXISTS idx_ai_tutor_sessions_unreviewed ON ai_tutor_sessions(ended_at DESC) WHERE reviewed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_ai_tutor_messages_session ON ai_tutor_messages(session_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_tutor_messages_retracted ON ai_tutor_messages(session_id) WHERE was_retracted = true;
+
+-- Triggers
+CREATE TRIGGER update_ai_tutor_sessions_updated_at BEFORE UPDATE ON ai_tutor_sessions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,57 @@
+-- Migration 012: Journal Key Management
+-- Per-student data keys wrapped under a master key (AES-256-GCM) and
+-- admin-triggered rotation jobs that re-encrypt private journal entries
+
+-- Wrapped data keys live alongside the original key metadata
+ALTER TABLE journal_encryption_keys
+  ADD COLUMN IF NOT EXISTS student_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS wrapped_key BYTEA, -- Data key encrypted under the master key (iv + tag + ciphertext)
+  ADD COLUMN IF NOT EXISTS master_key_id VARCHAR(32), -- Fingerprint of the master key that wrapped this key
+  ADD COLUMN IF NOT EXISTS key_version INTEGER NOT NULL DEFAULT 1;
+
+-- Legacy rows (one per entry, no key material) keep working; only one wrapped key per student is active
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_keys_active_student
+  ON journal_encryption_keys(student_id)
+  WHERE key_status = 'active' AND wrapped_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_journal_keys_student ON journal_encryption_keys(student_id, key_status);
+CREATE INDEX IF NOT EXISTS idx_journal_keys_master ON journal_encryption_keys(master_key_id) WHERE wrapped_key IS NOT NULL;
+
+-- Entries still on legacy ciphertext are found by version during rotation
+CREATE INDEX IF NOT EXISTS idx_journal_entries_encryption
+  ON journal_entries(student_id, encryption_version, encryption_key_id)
+  WHERE deleted_at IS NULL;
+
+-- Key rotation jobs (progress is polled by admins)
+CREATE TABLE IF NOT EXISTS journal_key_rotation_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+  student_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL rotates every student
+  batch_size INTEGER NOT NULL DEFAULT 100,
+  reason TEXT,
+
+  -- Progress
+  students_total INTEGER NOT NULL DEFAULT 0,
+  students_processed INTEGER NOT NULL DEFAULT 0,
+  keys_rotated INTEGER NOT NULL DEFAULT 0,
+  entries_reencrypted INTEGER NOT NULL DEFAULT 0,
+  entries_failed INTEGER NOT NULL DEFAULT 0,
+  failed_entry_ids UUID[] DEFAULT ARRAY[]::UUID[],
+  last_error TEXT,
+
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_key_rotation_jobs_status ON journal_key_rotation_jobs(status, created_at DESC);
+
+-- Only one rotation may run at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_key_rotation_jobs_running
+  ON journal_key_rotation_jobs((true))
+  WHERE status IN ('pending', 'running');
+
+CREATE TRIGGER update_journal_key_rotation_jobs_updated_at BEFORE UPDATE ON journal_key_rotation_jobs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,28 @@
+-- Migration 013: Notification Delivery Channels
+-- Email, SMS and sink delivery for notifications: per-channel templates,
+-- user-registered addresses, and retry/quiet-hours scheduling in the delivery log
+
+-- Templates can target one channel; NULL applies to every channel
+ALTER TABLE notification_templates
+  ADD COLUMN IF NOT EXISTS channel VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_notification_templates_lookup
+  ON notification_templates(notification_type_id, channel, language)
+  WHERE is_active = true;
+
+-- Email and SMS destinations share the channel table with WebSocket connections
+ALTER TABLE notification_channels
+  ADD COLUMN IF NOT EXISTS address VARCHAR(255), -- Email address or E.164 phone number
+  ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_notification_channels_user_type
+  ON notification_channels(user_id, channel_type)
+  WHERE is_active = true;
+
+-- Queued rows are pending attempts: retries after a failure, or deliveries held for quiet hours
+ALTER TABLE notification_delivery_log
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_notification_delivery_log_due
+  ON notification_delivery_log(next_attempt_at)
+  WHERE status = 'queued';
@@ -0,0 +1,50 @@
+-- Migration 014: Scheduled Digests
+-- Notification types for weekly family summaries and teacher class digests,
+-- and a run log the in-process scheduler uses so each period is sent once
+
+INSERT INTO notification_types (
+  type_key, name, description, category, priority, channels, target_roles,
+  icon, color, template_subject, template_body
+) VALUES
+  (
+    'weekly_family_summary',
+    'Weekly Family Summary',
+    'Weekly learning summary for all of a parent''s children',
+    'academic', 'low', ARRAY['in_app', 'email'], ARRAY['parent'],
+    'calendar', 'blue',
+    'Your family''s learning week: {{weekPeriod.start}} to {{weekPeriod.end}}',
+    '{{message}}'
+  ),
+  (
+    'teacher_class_digest',
+    'Class Digest',
+    'Students needing intervention, performance anomalies and sessions waiting for review',
+    'academic', 'medium', ARRAY['in_app', 'email'], ARRAY['teacher'],
+    'clipboard', 'orange',
+    'Class digest: {{summary.studentsNeedingIntervention}} students need attention',
+    '{{message}}'
+  )
+ON CONFLICT (type_key) DO NOTHING;
+
+-- One row per job and period; the unique key stops a period being sent twice
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_name VARCHAR(100) NOT NULL,
+  period_key VARCHAR(100) NOT NULL, -- Scheduled minute (local time) or manual:<timestamp>
+  trigger VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+  triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  recipients_total INTEGER NOT NULL DEFAULT 0,
+  notifications_sent INTEGER NOT NULL DEFAULT 0,
+  recipients_skipped INTEGER NOT NULL DEFAULT 0,
+  failures INTEGER NOT NULL DEFAULT 0,
+  options JSONB DEFAULT '{}',
+  last_error TEXT,
+
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE(job_name, period_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_job_runs_job ON scheduled_job_runs(job_name, started_at DESC);
@@ -0,0 +1,13 @@
+-- Migration 015: Notification Rule Engine
+-- Links automated notifications to the rule that created them, so rules can
+-- limit how often each recipient is notified (max_frequency per frequency_window_hours)
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS rule_id INTEGER REFERENCES notification_rules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_rule_recipient
+  ON notifications(rule_id, recipient_id, created_at DESC)
+  WHERE rule_id IS NOT NULL;
+
+-- Rules are listed per author for teachers
+CREATE INDEX IF NOT EXISTS idx_notification_rules_created_by ON notification_rules(created_by);
@@ -0,0 +1,64 @@
+-- Migration 016: Activity Monitor Storage
+-- Persists ActivityMonitor activities, suspicious activity flags, student risk profile
+-- snapshots and alerts so they survive restarts and can be reviewed by teachers and admins.
+-- Alerts reuse security_alerts alongside the access control alerts.
+
+-- Every activity logged by the monitor
+CREATE TABLE IF NOT EXISTS monitored_activities (
+  id VARCHAR(32) PRIMARY KEY, -- Generated by the monitor
+  student_id VARCHAR(255) NOT NULL,
+  session_id VARCHAR(255),
+
+  activity_type VARCHAR(100) NOT NULL,
+  severity VARCHAR(20) NOT NULL DEFAULT 'low' CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+  details JSONB NOT NULL DEFAULT '{}',
+  context JSONB NOT NULL DEFAULT '{}',
+  risk_score NUMERIC(10, 2) NOT NULL DEFAULT 0,
+
+  -- Suspicious activity (set when pattern detection or a direct alert flags the activity)
+  flagged BOOLEAN NOT NULL DEFAULT false,
+  patterns JSONB NOT NULL DEFAULT '[]',
+  risk_level VARCHAR(20) CHECK (risk_level IN ('low', 'medium', 'high', 'critical')),
+  escalated_at TIMESTAMP WITH TIME ZONE,
+
+  -- Student risk profile after this activity, giving the profile history
+  profile_risk_level VARCHAR(20) NOT NULL CHECK (profile_risk_level IN ('low', 'medium', 'high', 'critical')),
+  profile_total_risk_score NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  profile_activity_count INTEGER NOT NULL DEFAULT 0,
+  profile_violation_count INTEGER NOT NULL DEFAULT 0,
+
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_monitored_activities_student ON monitored_activities(student_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_monitored_activities_occurred_at ON monitored_activities(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_monitored_activities_flagged ON monitored_activities(occurred_at DESC) WHERE flagged = true;
+
+-- Monitor alerts in security_alerts
+ALTER TABLE security_alerts
+  ADD COLUMN IF NOT EXISTS monitor_alert_id VARCHAR(32) UNIQUE,
+  ADD COLUMN IF NOT EXISTS student_id VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS activity_id VARCHAR(32) REFERENCES monitored_activities(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS risk_level VARCHAR(20) CHECK (risk_level IN ('low', 'medium', 'high', 'critical')),
+  ADD COLUMN IF NOT EXISTS message TEXT,
+  ADD COLUMN IF NOT EXISTS acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS acknowledged_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS escalated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS escalation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- Monitor alerts can also be acknowledged or escalated
+ALTER TABLE security_alerts DROP CONSTRAINT IF EXISTS security_alerts_status_check;
+ALTER TABLE security_alerts ADD CONSTRAINT security_alerts_status_check
+  CHECK (status IN ('active', 'acknowledged', 'escalated', 'investigating', 'resolved', 'false_positive'));
+
+CREATE INDEX IF NOT EXISTS idx_security_alerts_student ON security_alerts(student_id, created_at DESC)
+  WHERE monitor_alert_id IS NOT NULL;
+
+-- Retention applied by ActivityMonitor.cleanupOldData (alerts keep the existing security_alerts policy)
+INSERT INTO data_retention_policies (data_type, table_name, retention_period_days, anonymization_period_days, policy_description, applies_to_roles) VALUES
+('monitored_activities', 'monitored_activities', 180, NULL, 'Monitored student activity and risk profile history retained for 6 months', ARRAY['student'])
+
+ON CONFLICT (data_type, table_name) DO NOTHING;
@@ -0,0 +1,29 @@
+-- Migration 017: Classroom and Roster Management
+-- Lets the classroom API record every teacher of a classroom in teacher_classrooms
+-- (the owner as 'primary', plus co-teachers) and tie teacher-student assignments to
+-- the classroom enrolment that created them
+
+-- teacher_classrooms.classroom_id was an INTEGER and could never name a classroom
+ALTER TABLE teacher_classrooms ALTER COLUMN classroom_id DROP NOT NULL;
+ALTER TABLE teacher_classrooms ALTER COLUMN classroom_id TYPE UUID USING NULL;
+DELETE FROM teacher_classrooms WHERE classroom_id IS NULL;
+ALTER TABLE teacher_classrooms ALTER COLUMN classroom_id SET NOT NULL;
+ALTER TABLE teacher_classrooms
+  ADD CONSTRAINT teacher_classrooms_classroom_id_fkey FOREIGN KEY (classroom_id) REFERENCES classrooms(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_teacher_classrooms_classroom ON teacher_classrooms(classroom_id, status);
+
+-- Existing classroom owners become primary teachers
+INSERT INTO teacher_classrooms (teacher_id, classroom_id, role)
+SELECT teacher_id, id, 'primary' FROM classrooms
+ON CONFLICT (teacher_id, classroom_id) DO NOTHING;
+
+-- Assignments created by a classroom enrolment (NULL for hand-made assignments)
+ALTER TABLE teacher_student_assignments
+  ADD COLUMN IF NOT EXISTS classroom_id UUID REFERENCES classrooms(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_teacher_student_assignments_classroom
+  ON teacher_student_assignments(classroom_id, student_id)
+  WHERE classroom_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_classroom_enrollments_student ON classroom_enrollments(student_id, status);
@@ -0,0 +1,33 @@
+-- Migration 018: Account Token Flows
+-- Extends auth_tokens for password resets, email verification and account invitations.
+-- Tokens are single use and stored only as SHA-256 hashes. Invitations have no user yet,
+-- so they carry the invitee email, the role to create and an optional classroom to join.
+
+ALTER TABLE auth_tokens ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE auth_tokens
+  ADD COLUMN IF NOT EXISTS email VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS role user_role,
+  ADD COLUMN IF NOT EXISTS classroom_id UUID REFERENCES classrooms(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+ALTER TABLE auth_tokens
+  ADD CONSTRAINT auth_tokens_token_type_check
+  CHECK (token_type IN ('password_reset', 'email_verification', 'invitation', 'api_access'));
+
+-- Invitations name an email and role; every other token belongs to a user
+ALTER TABLE auth_tokens
+  ADD CONSTRAINT auth_tokens_owner_check
+  CHECK (
+    (token_type = 'invitation' AND email IS NOT NULL AND role IS NOT NULL)
+    OR (token_type <> 'invitation' AND user_id IS NOT NULL)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_tokens_token_hash ON auth_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_invitations
+  ON auth_tokens(LOWER(email), expires_at)
+  WHERE token_type = 'invitation' AND used_at IS NULL AND revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_invited_by ON auth_tokens(invited_by) WHERE invited_by IS NOT NULL;
+
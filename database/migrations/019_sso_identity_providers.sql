@@ -0,0 +1,59 @@
+-- Migration 019: Single Sign-On Through School Identity Providers
+-- OpenID Connect providers configured per district, the IdP accounts linked to Mentra
+-- users, and the short-lived state kept between the authorization redirect and callback.
+
+-- Accounts provisioned through SSO have no local password until one is reset
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS identity_providers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  slug VARCHAR(50) UNIQUE NOT NULL, -- used in login and callback URLs
+  name VARCHAR(255) NOT NULL,
+  issuer VARCHAR(500) NOT NULL,
+  client_id VARCHAR(255) NOT NULL,
+  client_secret TEXT,
+  scopes VARCHAR(255) NOT NULL DEFAULT 'openid email profile',
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  allowed_domains TEXT[] NOT NULL DEFAULT '{}', -- email domains trusted without email_verified
+  auto_provision BOOLEAN NOT NULL DEFAULT TRUE,
+  role_claim VARCHAR(100) NOT NULL DEFAULT 'roles',
+  role_mapping JSONB NOT NULL DEFAULT '{}', -- claim value -> student | teacher | parent
+  default_role user_role,
+  classroom_claim VARCHAR(100),
+  classroom_mapping JSONB NOT NULL DEFAULT '{}', -- claim value -> classroom id
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT identity_providers_default_role_check CHECK (default_role IS NULL OR default_role <> 'admin')
+);
+
+CREATE TABLE IF NOT EXISTS user_identities (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider_id UUID NOT NULL REFERENCES identity_providers(id) ON DELETE CASCADE,
+  subject VARCHAR(255) NOT NULL, -- the IdP's sub claim
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  email VARCHAR(255),
+  claims JSONB NOT NULL DEFAULT '{}',
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(provider_id, subject)
+);
+
+-- One row per login attempt; the state is stored hashed and used once
+CREATE TABLE IF NOT EXISTS sso_login_states (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider_id UUID NOT NULL REFERENCES identity_providers(id) ON DELETE CASCADE,
+  state_hash VARCHAR(64) UNIQUE NOT NULL,
+  nonce VARCHAR(100) NOT NULL,
+  code_verifier VARCHAR(128) NOT NULL,
+  redirect_to VARCHAR(500),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+CREATE INDEX IF NOT EXISTS idx_sso_login_states_expires ON sso_login_states(expires_at);
+
+CREATE TRIGGER update_identity_providers_updated_at BEFORE UPDATE ON identity_providers
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,66 @@
+-- Migration 020: Multi-Factor Authentication
+-- TOTP factors with recovery codes, the short-lived challenges of a two-step login and a
+-- per-role policy saying who must use MFA. MFA events go to access_control_audit_log.
+
+-- access_control_audit_log.user_id was an INTEGER and could never name a user
+ALTER TABLE access_control_audit_log DROP CONSTRAINT IF EXISTS access_control_audit_log_user_id_fkey;
+ALTER TABLE access_control_audit_log ALTER COLUMN user_id TYPE UUID USING NULL;
+ALTER TABLE access_control_audit_log
+  ADD CONSTRAINT access_control_audit_log_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+-- One TOTP factor per user; 'pending' until the first code confirms the authenticator app
+CREATE TABLE IF NOT EXISTS user_mfa_factors (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  factor_type VARCHAR(20) NOT NULL DEFAULT 'totp' CHECK (factor_type IN ('totp')),
+  secret_encrypted TEXT NOT NULL, -- AES-256-GCM under MFA_ENCRYPTION_KEY
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active')),
+  last_used_step BIGINT, -- TOTP time step of the last accepted code, to refuse replays
+  confirmed_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, code_hash)
+);
+
+-- Issued after a correct password; 'enroll' challenges let users who must use MFA set it up
+CREATE TABLE IF NOT EXISTS mfa_challenges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  challenge_hash VARCHAR(64) UNIQUE NOT NULL,
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify', 'enroll')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  ip_address INET,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS mfa_role_policies (
+  role user_role PRIMARY KEY,
+  required BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Staff who can read journals and emotional analyses must use MFA
+INSERT INTO mfa_role_policies (role, required) VALUES
+  ('admin', TRUE),
+  ('teacher', TRUE),
+  ('parent', FALSE),
+  ('student', FALSE)
+ON CONFLICT (role) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id) WHERE used_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_mfa_challenges_expires ON mfa_challenges(expires_at);
+
+CREATE TRIGGER update_user_mfa_factors_updated_at BEFORE UPDATE ON user_mfa_factors
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,53 @@
+-- Migration 021: Login Lockout and Credential Stuffing Detection
+-- Login now consults failed_login_attempts: repeated failures lock the email address or the
+-- IP address with exponential backoff, and failures across many accounts raise a
+-- CREDENTIAL_STUFFING security alert for administrators.
+
+-- Failures are counted until a successful login or an administrator clears them
+ALTER TABLE failed_login_attempts
+  ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS cleared_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS cleared_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- The client address is not always known behind proxies
+ALTER TABLE failed_login_attempts ALTER COLUMN ip_address DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_failed_login_attempts_username
+  ON failed_login_attempts(username_attempted, attempt_time DESC) WHERE cleared_at IS NULL;
+
+-- Current lock per email address ('account') or IP address ('ip'); one row per subject
+CREATE TABLE IF NOT EXISTS login_lockouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('account', 'ip')),
+  subject VARCHAR(255) NOT NULL, -- Lower-cased email or IP address
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  failure_count INTEGER NOT NULL,
+  locked_until TIMESTAMP NOT NULL,
+  released_at TIMESTAMP,
+  released_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(scope, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_lockouts_active ON login_lockouts(locked_until) WHERE released_at IS NULL;
+
+CREATE TRIGGER update_login_lockouts_updated_at BEFORE UPDATE ON login_lockouts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- security_alerts.user_id and handled_by were declared INTEGER and could never name a user.
+-- Databases where they were created with another type keep every value that is a UUID of an
+-- existing user; anything else (integers, ids of deleted users) cannot be mapped and is cleared.
+ALTER TABLE security_alerts DROP CONSTRAINT IF EXISTS security_alerts_user_id_fkey;
+ALTER TABLE security_alerts DROP CONSTRAINT IF EXISTS security_alerts_handled_by_fkey;
+ALTER TABLE security_alerts ALTER COLUMN user_id TYPE UUID
+  USING CASE WHEN user_id::text ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN user_id::text::uuid END;
+ALTER TABLE security_alerts ALTER COLUMN handled_by TYPE UUID
+  USING CASE WHEN handled_by::text ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN handled_by::text::uuid END;
+UPDATE security_alerts a SET user_id = NULL
+  WHERE user_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM users u WHERE u.id = a.user_id);
+UPDATE security_alerts a SET handled_by = NULL
+  WHERE handled_by IS NOT NULL AND NOT EXISTS (SELECT 1 FROM users u WHERE u.id = a.handled_by);
+ALTER TABLE security_alerts
+  ADD CONSTRAINT security_alerts_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+  ADD CONSTRAINT security_alerts_handled_by_fkey FOREIGN KEY (handled_by) REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,83 @@
+-- Migration 022: Permission Management
+-- Lets administrators grant and revoke role permissions and per-user overrides through the
+-- API, with a reason and an optional expiry, and makes check_user_permission work with
+-- UUID user ids. Changes are audited in access_control_audit_log.
+
+-- user_permission_overrides.user_id and granted_by were INTEGERs and could never name a user
+ALTER TABLE user_permission_overrides DROP CONSTRAINT IF EXISTS user_permission_overrides_user_id_fkey;
+ALTER TABLE user_permission_overrides DROP CONSTRAINT IF EXISTS user_permission_overrides_granted_by_fkey;
+ALTER TABLE user_permission_overrides ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE user_permission_overrides ALTER COLUMN user_id TYPE UUID USING NULL;
+ALTER TABLE user_permission_overrides ALTER COLUMN granted_by TYPE UUID USING NULL;
+DELETE FROM user_permission_overrides WHERE user_id IS NULL;
+ALTER TABLE user_permission_overrides ALTER COLUMN user_id SET NOT NULL;
+ALTER TABLE user_permission_overrides
+  ADD CONSTRAINT user_permission_overrides_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  ADD CONSTRAINT user_permission_overrides_granted_by_fkey FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Resources are identified by UUIDs
+ALTER TABLE user_permission_overrides ALTER COLUMN resource_id TYPE VARCHAR(255) USING resource_id::text;
+
+-- One override per user, action and resource (or all resources); a new grant replaces it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_permission_overrides_target
+  ON user_permission_overrides(user_id, resource_type, action, (COALESCE(resource_id, '')));
+
+-- Role permissions can be granted for a limited time and with a reason too
+ALTER TABLE role_permissions
+  ADD COLUMN IF NOT EXISTS reason TEXT,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS granted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Same rules as permission-rules.evaluatePermission: the most specific unexpired override
+-- wins (a named resource before all resources), then the role's unexpired permissions.
+-- Among equally specific rows denied beats restricted beats allowed, and only 'allowed'
+-- grants access. With no rule, access is denied.
+DROP FUNCTION IF EXISTS check_user_permission(INTEGER, VARCHAR, VARCHAR, INTEGER);
+
+CREATE OR REPLACE FUNCTION check_user_permission(
+    p_user_id UUID,
+    p_resource_type VARCHAR,
+    p_action VARCHAR,
+    p_resource_id VARCHAR DEFAULT NULL
+) RETURNS BOOLEAN AS $$
+DECLARE
+    v_role VARCHAR(50);
+    v_level VARCHAR(20);
+BEGIN
+    SELECT role::text INTO v_role FROM users WHERE id = p_user_id;
+
+    IF v_role IS NULL THEN
+        RETURN false;
+    END IF;
+
+    SELECT permission_level INTO v_level
+    FROM user_permission_overrides
+    WHERE user_id = p_user_id
+      AND resource_type = p_resource_type
+      AND action = p_action
+      AND (resource_id IS NULL OR resource_id = p_resource_id)
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    ORDER BY (resource_id IS NOT NULL) DESC,
+             CASE permission_level WHEN 'denied' THEN 0 WHEN 'restricted' THEN 1 ELSE 2 END
+    LIMIT 1;
+
+    IF v_level IS NOT NULL THEN
+        RETURN v_level = 'allowed';
+    END IF;
+
+    SELECT permission_level INTO v_level
+    FROM role_permissions
+    WHERE role_name = v_role
+      AND resource_type = p_resource_type
+      AND action = p_action
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    ORDER BY CASE permission_level WHEN 'denied' THEN 0 WHEN 'restricted' THEN 1 ELSE 2 END
+    LIMIT 1;
+
+    IF v_level IS NOT NULL THEN
+        RETURN v_level = 'allowed';
+    END IF;
+
+    RETURN false;
+END;
+$$ LANGUAGE plpgsql;
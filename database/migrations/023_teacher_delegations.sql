@@ -0,0 +1,44 @@
+-- Migration 023: Teacher Delegations
+-- A teacher of a classroom can give another teacher (typically a substitute) read access
+-- to the classroom for a limited time, limited to some kinds of student data. Access
+-- checks honour a delegation between starts_at and expires_at unless it was revoked.
+
+CREATE TABLE IF NOT EXISTS teacher_delegations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  classroom_id UUID NOT NULL REFERENCES classrooms(id) ON DELETE CASCADE,
+  delegator_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  delegate_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scopes TEXT[] NOT NULL, -- Resource types the delegate may read: problems, goals... (never journals)
+  reason TEXT,
+  starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoke_reason TEXT,
+  use_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP,
+  last_notified_at TIMESTAMP, -- Last "delegation used" notification to the delegator
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CHECK (delegator_id <> delegate_id),
+  CHECK (expires_at > starts_at),
+  CHECK (cardinality(scopes) > 0)
+);
+
+-- Access checks look up a delegate's live delegations
+CREATE INDEX IF NOT EXISTS idx_teacher_delegations_delegate
+  ON teacher_delegations(delegate_id, expires_at)
+  WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_teacher_delegations_delegator ON teacher_delegations(delegator_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_teacher_delegations_classroom ON teacher_delegations(classroom_id, created_at DESC);
+
+INSERT INTO notification_types (
+  type_key, name, description, category, priority, channels, target_roles, icon, color
+) VALUES (
+  'delegation_used',
+  'Delegated Access Used',
+  'A teacher used the classroom access you delegated to them',
+  'system', 'low', ARRAY['in_app'], ARRAY['teacher'],
+  'key', 'blue'
+)
+ON CONFLICT (type_key) DO NOTHING;
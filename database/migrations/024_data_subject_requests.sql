@@ -0,0 +1,64 @@
+-- Migration 024: Data Subject Requests
+-- GDPR/FERPA requests about one student, made by an admin or a linked parent: an export
+-- (JSON archive with journal attachments) or an erasure ('erase' deletes everything,
+-- 'anonymise' keeps learning records against a scrubbed account). Erasure requests made by
+-- parents wait for an admin. Each completed request stores a signed completion certificate.
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  student_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('export', 'erasure')),
+  erasure_mode VARCHAR(20) CHECK (erasure_mode IN ('erase', 'anonymise')),
+  regulation VARCHAR(10) NOT NULL CHECK (regulation IN ('gdpr', 'ferpa')),
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'awaiting_approval', 'pending', 'processing', 'completed', 'failed', 'rejected'
+  )),
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  requested_by_role VARCHAR(20) NOT NULL,
+  approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP,
+  rejection_reason TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  summary JSONB, -- Rows per source, vector contexts, attachments
+
+  -- Export archive (gzipped tar under DATA_EXPORT_DIR)
+  archive_path TEXT,
+  archive_sha256 VARCHAR(64),
+  archive_bytes BIGINT,
+  archive_expires_at TIMESTAMP,
+  archive_deleted_at TIMESTAMP,
+
+  -- Completion certificate, HMAC-SHA256 under DATA_REQUEST_SIGNING_KEY
+  certificate JSONB,
+  certificate_signature VARCHAR(64),
+
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CHECK ((request_type = 'erasure') = (erasure_mode IS NOT NULL))
+);
+
+-- One open request of each type per student
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_subject_requests_open
+  ON data_subject_requests(student_id, request_type)
+  WHERE status IN ('awaiting_approval', 'pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_student ON data_subject_requests(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_requester ON data_subject_requests(requested_by, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_archives
+  ON data_subject_requests(archive_expires_at)
+  WHERE archive_path IS NOT NULL AND archive_deleted_at IS NULL;
+
+INSERT INTO notification_types (
+  type_key, name, description, category, priority, channels, target_roles, icon, color
+) VALUES (
+  'data_request_completed',
+  'Data Request Completed',
+  'A data export or erasure you requested has finished',
+  'system', 'medium', ARRAY['in_app', 'email'], ARRAY['admin', 'parent'],
+  'shield', 'green'
+)
+ON CONFLICT (type_key) DO NOTHING;
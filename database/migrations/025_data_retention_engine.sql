@@ -0,0 +1,76 @@
+-- Migration 025: Data Retention Engine
+-- data_retention_policies (migration 008) become enforceable. Each policy names what happens
+-- to rows older than retention_period_days (expiry_action: delete, anonymise or archive), and
+-- may anonymise earlier, after anonymization_period_days. The tables a policy can target, and
+-- what anonymising them clears, are defined in backend/src/services/retention-rules.js.
+
+ALTER TABLE data_retention_policies
+  ADD COLUMN IF NOT EXISTS expiry_action VARCHAR(20) NOT NULL DEFAULT 'delete'
+    CHECK (expiry_action IN ('delete', 'anonymise', 'archive')),
+  ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Rows removed by 'archive' policies, kept as JSON (a policy on this table can expire them too)
+CREATE TABLE IF NOT EXISTS data_retention_archive (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  policy_id INTEGER REFERENCES data_retention_policies(id) ON DELETE SET NULL,
+  table_name VARCHAR(100) NOT NULL,
+  row_id TEXT NOT NULL,
+  row_data JSONB NOT NULL,
+  recorded_at TIMESTAMP, -- The row's own timestamp
+  archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_retention_archive_table ON data_retention_archive(table_name, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_data_retention_archive_archived ON data_retention_archive(archived_at);
+
+-- One row per run; the unique period key stops two instances running the same scheduled minute
+CREATE TABLE IF NOT EXISTS data_retention_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  period_key VARCHAR(100) NOT NULL UNIQUE, -- Scheduled minute (local time) or manual:<timestamp>
+  trigger VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+  triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  policies_run INTEGER NOT NULL DEFAULT 0,
+  rows_deleted INTEGER NOT NULL DEFAULT 0,
+  rows_anonymised INTEGER NOT NULL DEFAULT 0,
+  rows_archived INTEGER NOT NULL DEFAULT 0,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_retention_runs_started ON data_retention_runs(started_at DESC);
+
+-- Only one run at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_retention_runs_running
+  ON data_retention_runs((true))
+  WHERE status = 'running';
+
+-- Rows affected by each policy stage in a run
+CREATE TABLE IF NOT EXISTS data_retention_run_results (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  run_id UUID NOT NULL REFERENCES data_retention_runs(id) ON DELETE CASCADE,
+  policy_id INTEGER REFERENCES data_retention_policies(id) ON DELETE SET NULL,
+  data_type VARCHAR(100) NOT NULL,
+  table_name VARCHAR(100) NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('delete', 'anonymise', 'archive')),
+  cutoff TIMESTAMP NOT NULL,
+  rows_affected INTEGER NOT NULL DEFAULT 0,
+  duration_ms INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_retention_run_results_run ON data_retention_run_results(run_id);
+CREATE INDEX IF NOT EXISTS idx_data_retention_run_results_policy ON data_retention_run_results(policy_id, created_at DESC);
+
+-- Logs and analytics that so far grew without limit
+INSERT INTO data_retention_policies (data_type, table_name, retention_period_days, anonymization_period_days, expiry_action, policy_description, applies_to_roles) VALUES
+('journal_access_logs', 'journal_access_log', 365, 90, 'delete', 'Journal access log retained for 1 year, network details removed after 90 days', ARRAY['all']),
+('dashboard_usage', 'dashboard_usage_analytics', 365, 90, 'delete', 'Dashboard usage analytics retained for 1 year, device details removed after 90 days', ARRAY['all']),
+('session_heartbeats', 'session_heartbeats', 90, NULL, 'delete', 'Live problem session heartbeats retained for 90 days', ARRAY['student']),
+('notification_deliveries', 'notification_delivery_log', 180, 30, 'delete', 'Notification delivery log retained for 6 months, provider responses removed after 30 days', ARRAY['all']),
+('problem_mistakes', 'problem_mistakes', 2555, 1095, 'archive', 'Mistake history archived after 7 years (educational records), student answers removed after 3 years', ARRAY['student'])
+
+ON CONFLICT (data_type, table_name) DO NOTHING;
@@ -0,0 +1,53 @@
+-- Migration 026: Parental Consent
+-- Parents' decisions on each consent item for students under the consent age (COPPA). The
+-- items and their current versions are defined in backend/src/services/consent-rules.js; a
+-- grant covers the version it was given for, so a new version needs consent again.
+
+-- Every decision, never updated except for the data handling a revocation triggers.
+-- A student's current status for an item is their latest record for it.
+CREATE TABLE IF NOT EXISTS parental_consent_records (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  item_key VARCHAR(50) NOT NULL,
+  item_version INTEGER NOT NULL,
+  decision VARCHAR(20) NOT NULL CHECK (decision IN ('granted', 'declined', 'revoked')),
+  statement TEXT NOT NULL, -- The consent text the parent was shown
+  decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  decided_by_role VARCHAR(20) NOT NULL,
+  ip_address INET,
+  user_agent TEXT,
+
+  -- What a revocation removed or changed
+  handling_status VARCHAR(20) NOT NULL DEFAULT 'not_required'
+    CHECK (handling_status IN ('not_required', 'pending', 'completed', 'failed')),
+  handling JSONB,
+  handling_error TEXT,
+  handled_at TIMESTAMP,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_parental_consent_records_current
+  ON parental_consent_records(student_id, item_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_parental_consent_records_handling
+  ON parental_consent_records(handling_status)
+  WHERE handling_status IN ('pending', 'failed');
+
+-- A student's latest request to their parents, so they cannot be asked over and over
+CREATE TABLE IF NOT EXISTS parental_consent_requests (
+  student_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  item_keys TEXT[] NOT NULL,
+  parents_notified INTEGER NOT NULL DEFAULT 0,
+  requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO notification_types (
+  type_key, name, description, category, priority, channels, target_roles, icon, color
+) VALUES (
+  'consent_requested',
+  'Consent Requested',
+  'Your child needs your consent to use a feature',
+  'system', 'high', ARRAY['in_app', 'email'], ARRAY['parent'],
+  'shield', 'orange'
+)
+ON CONFLICT (type_key) DO NOTHING;
@@ -0,0 +1,68 @@
+-- Migration 027: Assignments
+-- Teachers assign a problem collection to a classroom, or to selected students in it, with an
+-- open and a due date. Each student's status is worked out from their problem_sessions for the
+-- collection's problems (see backend/src/services/assignment-rules.js), so it is never stored.
+
+CREATE TABLE IF NOT EXISTS assignments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  collection_id UUID NOT NULL REFERENCES problem_collections(id) ON DELETE RESTRICT,
+  classroom_id UUID NOT NULL REFERENCES classrooms(id) ON DELETE CASCADE,
+  title VARCHAR(200) NOT NULL,
+  instructions TEXT,
+
+  -- 'classroom': every active student, including those who join later;
+  -- 'students': only the students listed in assignment_students
+  assigned_to VARCHAR(20) NOT NULL DEFAULT 'classroom' CHECK (assigned_to IN ('classroom', 'students')),
+  assigned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  open_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  due_at TIMESTAMP NOT NULL,
+  allow_late BOOLEAN NOT NULL DEFAULT TRUE, -- Whether work finished after the due date counts
+
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+  cancelled_at TIMESTAMP,
+
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  CHECK (due_at > open_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignments_classroom ON assignments(classroom_id, due_at DESC);
+CREATE INDEX IF NOT EXISTS idx_assignments_collection ON assignments(collection_id);
+CREATE INDEX IF NOT EXISTS idx_assignments_reminders ON assignments(due_at) WHERE status = 'active';
+
+CREATE TRIGGER update_assignments_updated_at BEFORE UPDATE ON assignments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The selected students of an assignment made to 'students'
+CREATE TABLE IF NOT EXISTS assignment_students (
+  assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (assignment_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_students_student ON assignment_students(student_id);
+
+-- Notifications already sent, so each one goes out once per student: 'assigned' when the
+-- assignment opens, and 'due_<hours>' for each reminder before the due date
+CREATE TABLE IF NOT EXISTS assignment_reminders (
+  assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reminder_key VARCHAR(20) NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (assignment_id, student_id, reminder_key)
+);
+
+-- Sessions started from an assignment. Sessions started directly on one of the collection's
+-- problems while the assignment is open count towards it too.
+ALTER TABLE problem_sessions
+  ADD COLUMN IF NOT EXISTS assignment_id UUID REFERENCES assignments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_problem_sessions_assignment
+  ON problem_sessions(assignment_id) WHERE assignment_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_problem_sessions_student_template
+  ON problem_sessions(student_id, template_id, started_at);
+
+CREATE INDEX IF NOT EXISTS idx_problem_collections_created_by ON problem_collections(created_by);
@@ -0,0 +1,74 @@
+-- Migration 028: Difficulty Calibration
+-- A scheduled job fits an item response model (Rasch/1PL or 2PL) per subject to step accuracy
+-- in problem_session_steps, giving each template an observed difficulty and each student an
+-- ability on the same scale. Difficulty adaptation and solution path filtering use the
+-- estimates; teachers get a report of templates whose difficulty_level disagrees with them.
+-- The model itself is in backend/src/services/irt-calibration.js.
+
+-- One row per run; the unique period key stops two instances running the same scheduled minute
+CREATE TABLE IF NOT EXISTS irt_calibration_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  period_key VARCHAR(100) NOT NULL UNIQUE, -- Scheduled minute (local time) or manual:<timestamp>
+  trigger VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'manual')),
+  triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  model VARCHAR(10) NOT NULL CHECK (model IN ('1pl', '2pl')),
+  window_days INTEGER NOT NULL,
+  subjects INTEGER NOT NULL DEFAULT 0,
+  templates INTEGER NOT NULL DEFAULT 0,
+  students INTEGER NOT NULL DEFAULT 0,
+  responses INTEGER NOT NULL DEFAULT 0, -- Student/template pairs fitted
+  summary JSONB, -- Per subject: iterations, convergence, log likelihood, label agreement counts
+  last_error TEXT,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_irt_calibration_runs_started ON irt_calibration_runs(started_at DESC);
+
+-- Only one run at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_irt_calibration_runs_running
+  ON irt_calibration_runs((true))
+  WHERE status = 'running';
+
+-- Latest estimate per template, replaced by each run that has data for it
+CREATE TABLE IF NOT EXISTS template_difficulty_estimates (
+  template_id UUID PRIMARY KEY REFERENCES problem_templates(id) ON DELETE CASCADE,
+  run_id UUID REFERENCES irt_calibration_runs(id) ON DELETE SET NULL,
+  subject problem_subject NOT NULL,
+  model VARCHAR(10) NOT NULL,
+  difficulty DECIMAL(6,3) NOT NULL, -- Logits; 0 is medium, one level per logit
+  discrimination DECIMAL(6,3) NOT NULL DEFAULT 1,
+  standard_error DECIMAL(6,3) NOT NULL,
+  students INTEGER NOT NULL,
+  trials INTEGER NOT NULL, -- Scored steps
+  observed_success_rate DECIMAL(4,3),
+  labelled_difficulty difficulty_level, -- The template's difficulty_level when calibrated
+  suggested_difficulty difficulty_level NOT NULL,
+  agreement VARCHAR(20) NOT NULL CHECK (agreement IN ('agrees', 'disagrees', 'uncertain', 'insufficient_data')),
+  direction VARCHAR(10) CHECK (direction IN ('easier', 'harder')),
+  levels INTEGER NOT NULL DEFAULT 0, -- Suggested minus labelled, in levels
+  calibrated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_difficulty_estimates_report
+  ON template_difficulty_estimates(subject, agreement);
+
+-- Latest ability per student and subject
+CREATE TABLE IF NOT EXISTS student_ability_estimates (
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  subject problem_subject NOT NULL,
+  run_id UUID REFERENCES irt_calibration_runs(id) ON DELETE SET NULL,
+  model VARCHAR(10) NOT NULL,
+  ability DECIMAL(6,3) NOT NULL, -- Logits on the template difficulty scale
+  standard_error DECIMAL(6,3) NOT NULL,
+  templates INTEGER NOT NULL,
+  trials INTEGER NOT NULL,
+  calibrated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (student_id, subject)
+);
+
+-- Calibration reads scored steps by session
+CREATE INDEX IF NOT EXISTS idx_problem_session_steps_scored
+  ON problem_session_steps(session_id)
+  WHERE accuracy_score IS NOT NULL;
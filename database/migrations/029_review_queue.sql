@@ -0,0 +1,55 @@
+-- Migration 029: Spaced Review Queue
+-- Each mistake a student makes schedules a review of that mistake type on that skill (the
+-- template step it was made in). Reviews are graded 0-5 when the student completes a session
+-- on the template or grades a generated variation themselves, and SM-2 sets the next review.
+-- The scheduling rules are in backend/src/services/review-rules.js.
+
+CREATE TABLE IF NOT EXISTS review_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  template_id UUID NOT NULL REFERENCES problem_templates(id) ON DELETE CASCADE,
+  skill VARCHAR(100) NOT NULL, -- Step title (or type) as a key
+  skill_label VARCHAR(200) NOT NULL,
+  mistake_type VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'mastered')),
+
+  -- SM-2 state
+  repetitions INTEGER NOT NULL DEFAULT 0, -- Passing reviews in a row
+  interval_days DECIMAL(7,2) NOT NULL DEFAULT 0,
+  ease_factor DECIMAL(4,2) NOT NULL DEFAULT 2.5,
+  lapses INTEGER NOT NULL DEFAULT 0, -- Failed reviews
+  due_at TIMESTAMP NOT NULL,
+
+  mistake_count INTEGER NOT NULL DEFAULT 0,
+  review_count INTEGER NOT NULL DEFAULT 0,
+  last_quality INTEGER CHECK (last_quality BETWEEN 0 AND 5),
+  last_mistake_at TIMESTAMP,
+  last_mistake_session_id UUID REFERENCES problem_sessions(id) ON DELETE SET NULL,
+  last_reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE (student_id, template_id, skill, mistake_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_items_due ON review_items(student_id, due_at) WHERE status = 'active';
+
+CREATE TRIGGER update_review_items_updated_at BEFORE UPDATE ON review_items
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per graded review; a session grades each item at most once
+CREATE TABLE IF NOT EXISTS review_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  item_id UUID NOT NULL REFERENCES review_items(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES problem_sessions(id) ON DELETE SET NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('session', 'self')),
+  quality INTEGER NOT NULL CHECK (quality BETWEEN 0 AND 5),
+  previous_interval_days DECIMAL(7,2) NOT NULL,
+  interval_days DECIMAL(7,2) NOT NULL,
+  ease_factor DECIMAL(4,2) NOT NULL,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (item_id, session_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_log_item ON review_log(item_id, reviewed_at DESC);
@@ -0,0 +1,64 @@
+-- Migration 030: Skills and Standards
+-- Skills are curriculum standards (e.g. Common Core codes) or custom codes, imported from CSV or
+-- JSON standards files, with prerequisite edges between them and mappings to the templates
+-- that practise them. Each step a student submits on a mapped template updates their mastery
+-- of its skills by Bayesian knowledge tracing. The graph and tracing rules are in
+-- backend/src/services/skill-graph.js.
+
+CREATE TABLE IF NOT EXISTS skills (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code VARCHAR(100) NOT NULL UNIQUE, -- e.g. CCSS.MATH.CONTENT.6.EE.A.2
+  name VARCHAR(200) NOT NULL,
+  description TEXT,
+  framework VARCHAR(100) NOT NULL DEFAULT 'custom', -- e.g. CCSS
+  problem_type problem_type,
+  grade_level INTEGER CHECK (grade_level BETWEEN 0 AND 12), -- 0 is kindergarten
+  domain VARCHAR(200),
+
+  -- BKT parameters; null uses the BKT_ defaults
+  p_init DECIMAL(5,4) CHECK (p_init > 0 AND p_init < 1),
+  p_transit DECIMAL(5,4) CHECK (p_transit > 0 AND p_transit < 1),
+  p_slip DECIMAL(5,4) CHECK (p_slip > 0 AND p_slip < 0.5),
+  p_guess DECIMAL(5,4) CHECK (p_guess > 0 AND p_guess < 0.5),
+
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_skills_framework ON skills(framework, problem_type);
+
+CREATE TRIGGER update_skills_updated_at BEFORE UPDATE ON skills
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- skill_id needs prerequisite_id first; imports reject cycles
+CREATE TABLE IF NOT EXISTS skill_prerequisites (
+  skill_id UUID NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+  prerequisite_id UUID NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+  PRIMARY KEY (skill_id, prerequisite_id),
+  CHECK (skill_id <> prerequisite_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_skill_prerequisites_prerequisite ON skill_prerequisites(prerequisite_id);
+
+CREATE TABLE IF NOT EXISTS template_skills (
+  template_id UUID NOT NULL REFERENCES problem_templates(id) ON DELETE CASCADE,
+  skill_id UUID NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (template_id, skill_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_template_skills_skill ON template_skills(skill_id);
+
+-- Latest BKT estimate per student and skill
+CREATE TABLE IF NOT EXISTS student_skill_mastery (
+  student_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  skill_id UUID NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+  p_mastery DECIMAL(5,4) NOT NULL, -- Probability the student knows the skill
+  opportunities INTEGER NOT NULL DEFAULT 0, -- Steps submitted on templates practising it
+  correct INTEGER NOT NULL DEFAULT 0,
+  last_template_id UUID REFERENCES problem_templates(id) ON DELETE SET NULL,
+  last_practiced_at TIMESTAMP,
+  mastered_at TIMESTAMP, -- When p_mastery last reached the mastery threshold
+  PRIMARY KEY (student_id, skill_id)
+);
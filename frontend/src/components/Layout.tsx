@@ -17,7 +17,12 @@ import {
   Send,
   AlertCircle
 } from 'lucide-react';
-import AITutorApiService, { ChatMessage, TutorSession } from '../services/aiTutorApi';
+import AITutorApiService, {
+  ChatMessage,
+  TutorSession,
+  mergeStreamedToken,
+  replaceStreamedMessage
+} from '../services/aiTutorApi';
 import '../styles/brand.css';
 
 interface LayoutProps {
@@ -118,11 +123,6 @@ export const Layout: React.FC<LayoutProps> = ({ children }) => {
       setIsTyping(true);
       setError(null);
 
-      const response = await AITutorApiService.sendMessage(sessionId, message, {
-        subject: selectedSubject || undefined,
-        emotionalState: 'engaged'
-      });
-
       const userMessage: ChatMessage = {
         id: `user-${Date.now()}`,
         role: 'user',
@@ -130,7 +130,23 @@ export const Layout: React.FC<LayoutProps> = ({ children }) => {
         timestamp: new Date().toISOString()
       };
 
-      setMessages(prev => [...prev, userMessage, response.message]);
+      setMessages(prev => [...prev, userMessage]);
+
+      // Render the reply as it streams in; the typing indicator stays until the first token
+      const response = await AITutorApiService.streamMessage(sessionId, message, {
+        subject: selectedSubject || undefined,
+        emotionalState: 'engaged'
+      }, {
+        onToken: (text, messageId) => {
+          setIsTyping(false);
+          setMessages(prev => mergeStreamedToken(prev, messageId, text));
+        },
+        onRetract: ({ messageId, replacement }) => {
+          setMessages(prev => prev.map(m => (m.id === messageId ? { ...m, content: replacement } : m)));
+        }
+      });
+
+      setMessages(prev => replaceStreamedMessage(prev, response.message));
       
     } catch (err: any) {
       setError(err.message);
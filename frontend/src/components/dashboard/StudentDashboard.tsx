@@ -4,6 +4,7 @@ import {
   Goal, 
   CreateGoalRequest, 
   UpdateGoalRequest,
+  ReviewQueueData,
   StudentDashboardProps 
 } from '../../types/dashboard';
 import { dashboardApi } from '../../services/dashboardApi';
@@ -27,6 +28,7 @@ const StudentDashboard: React.FC<StudentDashboardProps> = ({
   const [progress, setProgress] = useState<any>(null);
   const [achievements, setAchievements] = useState<any>(null);
   const [activityFeed, setActivityFeed] = useState<any>(null);
+  const [reviewQueue, setReviewQueue] = useState<ReviewQueueData | null>(null);
   const [timeframe, setTimeframe] = useState(initialTimeframe);
   
   const [loading, setLoading] = useState({
@@ -34,7 +36,8 @@ const StudentDashboard: React.FC<StudentDashboardProps> = ({
     goals: true,
     progress: true,
     achievements: true,
-    activityFeed: true
+    activityFeed: true,
+    reviewQueue: true
   });
   
   const [errors, setErrors] = useState({
@@ -42,7 +45,8 @@ const StudentDashboard: React.FC<StudentDashboardProps> = ({
     goals: null as string | null,
     progress: null as string | null,
     achievements: null as string | null,
-    activityFeed: null as string | null
+    activityFeed: null as string | null,
+    reviewQueue: null as string | null
   });
 
   const [activeTab, setActiveTab] = useState('overview');
@@ -123,6 +127,21 @@ const StudentDashboard: React.FC<StudentDashboardProps> = ({
     }
   }, []);
 
+  const fetchReviewQueue = useCallback(async () => {
+    try {
+      setLoading(prev => ({ ...prev, reviewQueue: true }));
+      setErrors(prev => ({ ...prev, reviewQueue: null }));
+      
+      const data = await dashboardApi.getReviewQueue();
+      setReviewQueue(data);
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+      setErrors(prev => ({ ...prev, reviewQueue: error instanceof Error ? error.message : 'Failed to load review queue' }));
+    } finally {
+      setLoading(prev => ({ ...prev, reviewQueue: false }));
+    }
+  }, []);
+
   // Event handlers
   const handleTimeframeChange = useCallback((newTimeframe: string) => {
     setTimeframe(newTimeframe);
@@ -150,6 +169,16 @@ const StudentDashboard: React.FC<StudentDashboardProps> = ({
     }
   }, [fetchGoals, fetchOverview]);
 
+  const handleReviewOutcome = useCallback(async (itemId: string, quality: number) => {
+    try {
+      await dashboardApi.recordReviewOutcome(itemId, quality);
+      await fetchReviewQueue();
+    } catch (error) {
+      console.error('Error recording review outcome:', error);
+      // You might want to show a toast notification here
+    }
+  }, [fetchReviewQueue]);
+
   const handleLoadMoreActivities = useCallback(async () => {
     if (!activityFeed || loading.activityFeed) return;
     
@@ -172,9 +201,10 @@ const StudentDashboard: React.FC<StudentDashboardProps> = ({
       fetchGoals(),
       fetchProgress(),
       fetchAchievements(),
-      fetchActivityFeed()
+      fetchActivityFeed(),
+      fetchReviewQueue()
     ]);
-  }, [fetchOverview, fetchGoals, fetchProgress, fetchAchievements, fetchActivityFeed]);
+  }, [fetchOverview, fetchGoals, fetchProgress, fetchAchievements, fetchActivityFeed, fetchReviewQueue]);
 
   // Effects
   useEffect(() => {
@@ -186,7 +216,8 @@ const StudentDashboard: React.FC<StudentDashboardProps> = ({
     fetchGoals();
     fetchAchievements();
     fetchActivityFeed();
-  }, [fetchGoals, fetchAchievements, fetchActivityFeed]);
+    fetchReviewQueue();
+  }, [fetchGoals, fetchAchievements, fetchActivityFeed, fetchReviewQueue]);
 
   // Loading state
   const isLoading = Object.values(loading).some(Boolean);
@@ -391,6 +422,42 @@ const StudentDashboard: React.FC<StudentDashboardProps> = ({
                   </div>
                 )}
 
+                {/* Review Queue */}
+                {reviewQueue && (reviewQueue.items.length > 0 || reviewQueue.summary.active > 0) && (
+                  <div className="review-queue">
+                    <h2>🔁 Due for Review</h2>
+                    <p className="review-queue-summary">
+                      {reviewQueue.summary.dueNow > 0
+                        ? `${reviewQueue.summary.dueNow} past mistake${reviewQueue.summary.dueNow === 1 ? '' : 's'} to revisit`
+                        : `All caught up! Next review ${reviewQueue.summary.nextDueAt ? dashboardApi.formatDate(reviewQueue.summary.nextDueAt) : 'soon'}`}
+                      {reviewQueue.summary.mastered > 0 && ` · ${reviewQueue.summary.mastered} mastered`}
+                    </p>
+                    <div className="review-list">
+                      {reviewQueue.items.map(item => (
+                        <div key={item.id} className="review-item">
+                          <div className="review-item-header">
+                            <h4>{item.templateTitle || 'Practice problem'}</h4>
+                            <span className="review-skill">{item.skillLabel} · {item.mistakeType} mistake</span>
+                          </div>
+                          {item.variation && (
+                            <details className="review-variation">
+                              <summary>Try it again</summary>
+                              <p>{item.variation.problem_statement}</p>
+                            </details>
+                          )}
+                          <div className="review-actions">
+                            <span>How did it go?</span>
+                            <button onClick={() => handleReviewOutcome(item.id, 1)}>Still stuck</button>
+                            <button onClick={() => handleReviewOutcome(item.id, 3)}>Hard</button>
+                            <button onClick={() => handleReviewOutcome(item.id, 4)}>Good</button>
+                            <button onClick={() => handleReviewOutcome(item.id, 5)}>Easy</button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Recent Achievements */}
                 {overview.recentAchievements.length > 0 && (
                   <div className="recent-achievements">
@@ -1,13 +1,85 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Bell, BellRing } from 'lucide-react';
-import { NotificationBellProps } from '../../types/notifications';
+import { NotificationBellProps, SessionAlert } from '../../types/notifications';
+import { notificationApi } from '../../services/notificationApi';
+
+const DEFAULT_POLL_INTERVAL = 60000;
 
 export const NotificationBell: React.FC<NotificationBellProps> = ({
-  count,
+  count: countProp,
   onClick,
   variant = 'default',
-  maxCount = 99
+  maxCount = 99,
+  pollInterval = DEFAULT_POLL_INTERVAL,
+  onSessionAlert
 }) => {
+  const [liveCount, setLiveCount] = useState(0);
+  const isControlled = countProp !== undefined;
+  const count = isControlled ? countProp : liveCount;
+
+  // Keep the latest callback without resubscribing on every render
+  const onSessionAlertRef = useRef(onSessionAlert);
+  onSessionAlertRef.current = onSessionAlert;
+  const listensForAlerts = onSessionAlert !== undefined;
+
+  // Session alerts for teachers arrive on the same socket
+  useEffect(() => {
+    if (!listensForAlerts) return;
+
+    const handleSessionAlert = (alert: SessionAlert) => onSessionAlertRef.current?.(alert);
+    notificationApi.on('session_alert', handleSessionAlert);
+    notificationApi.connectWebSocket().catch(() => {});
+
+    return () => notificationApi.off('session_alert', handleSessionAlert);
+  }, [listensForAlerts]);
+
+  // Live unread count: pushed over the socket, polled while it is down
+  useEffect(() => {
+    if (isControlled) return;
+
+    let cancelled = false;
+
+    const refreshCount = async () => {
+      try {
+        const response = await notificationApi.getUnreadCount();
+        if (!cancelled && response.success) {
+          setLiveCount(response.data.count);
+        }
+      } catch (error) {
+        console.error('Failed to load unread notification count:', error);
+      }
+    };
+
+    const connect = () => {
+      notificationApi.connectWebSocket().catch(() => {
+        // Polling covers the gap until the next attempt
+      });
+    };
+
+    const handleUnreadCount = (data: { count: number }) => setLiveCount(data.count);
+    const handleDisconnected = () => refreshCount();
+
+    notificationApi.on('unread_count', handleUnreadCount);
+    notificationApi.on('disconnected', handleDisconnected);
+
+    refreshCount();
+    connect();
+
+    const pollTimer = setInterval(() => {
+      if (!notificationApi.isWebSocketConnected()) {
+        refreshCount();
+        connect();
+      }
+    }, pollInterval);
+
+    return () => {
+      cancelled = true;
+      clearInterval(pollTimer);
+      notificationApi.off('unread_count', handleUnreadCount);
+      notificationApi.off('disconnected', handleDisconnected);
+    };
+  }, [isControlled, pollInterval]);
+
   const displayCount = count > maxCount ? `${maxCount}+` : count.toString();
   const hasNotifications = count > 0;
 
@@ -1,6 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useAuthStore } from '../stores/authStore';
-import AITutorApiService, { ChatMessage, TutorSession } from '../services/aiTutorApi';
+import AITutorApiService, {
+  ChatMessage,
+  TutorSession,
+  mergeStreamedToken,
+  replaceStreamedMessage
+} from '../services/aiTutorApi';
 import { SprigIcon, sprigIcons } from '../components/SprigIcon';
 import { Send, AlertCircle } from 'lucide-react';
 
@@ -79,11 +84,6 @@ export const ProblemsPage: React.FC = () => {
       setIsTyping(true);
       setError(null);
 
-      const response = await AITutorApiService.sendMessage(sessionId, message, {
-        subject: selectedSubject || undefined,
-        emotionalState: 'engaged'
-      });
-
       // Add user message
       const userMessage: ChatMessage = {
         id: `user-${Date.now()}`,
@@ -92,8 +92,23 @@ export const ProblemsPage: React.FC = () => {
         timestamp: new Date().toISOString()
       };
 
-      // Add AI response
-      setMessages(prev => [...prev, userMessage, response.message]);
+      setMessages(prev => [...prev, userMessage]);
+
+      // Stream the AI response, rendering tokens as they arrive
+      const response = await AITutorApiService.streamMessage(sessionId, message, {
+        subject: selectedSubject || undefined,
+        emotionalState: 'engaged'
+      }, {
+        onToken: (text, messageId) => {
+          setIsTyping(false);
+          setMessages(prev => mergeStreamedToken(prev, messageId, text));
+        },
+        onRetract: ({ messageId, replacement }) => {
+          setMessages(prev => prev.map(m => (m.id === messageId ? { ...m, content: replacement } : m)));
+        }
+      });
+
+      setMessages(prev => replaceStreamedMessage(prev, response.message));
       
     } catch (err: any) {
       setError(err.message);
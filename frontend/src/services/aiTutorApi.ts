@@ -1,28 +1,33 @@
 import axios from 'axios';
 
+const API_BASE_URL = (import.meta as any).env?.VITE_API_URL || 'http://localhost:3001/api';
+
 // Create axios instance with base configuration
 const api = axios.create({
-  baseURL: (import.meta as any).env?.VITE_API_URL || 'http://localhost:3001/api',
+  baseURL: API_BASE_URL,
   timeout: 30000, // Longer timeout for AI responses
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-// Add auth token to requests
-api.interceptors.request.use((config) => {
-  // Get token from Zustand persistence
-  let token = null;
+// Get token from Zustand persistence
+const getAuthToken = (): string | null => {
   try {
     const persistedState = localStorage.getItem('mentra-auth-storage');
     if (persistedState) {
       const authState = JSON.parse(persistedState);
-      token = authState.state?.token;
+      return authState.state?.token || null;
     }
   } catch (error) {
     console.warn('Failed to get auth token from persistence:', error);
   }
-  
+  return null;
+};
+
+// Add auth token to requests
+api.interceptors.request.use((config) => {
+  const token = getAuthToken();
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
@@ -87,6 +92,19 @@ export interface TutorResponse {
   }>;
 }
 
+export interface StreamRetraction {
+  messageId: string;
+  reason: string[];
+  replacement: string;
+}
+
+export interface StreamMessageHandlers {
+  onStart?: (messageId: string) => void;
+  onToken?: (text: string, messageId: string) => void;
+  onRetract?: (retraction: StreamRetraction) => void;
+  signal?: AbortSignal;
+}
+
 export interface StartSessionRequest {
   subject?: string;
   topic?: string;
@@ -98,6 +116,22 @@ export interface StartSessionRequest {
   };
 }
 
+// Append a streamed token to the assistant message it belongs to, creating the message on the first token
+export const mergeStreamedToken = (messages: ChatMessage[], messageId: string, text: string): ChatMessage[] => {
+  if (!messages.some(m => m.id === messageId)) {
+    return [...messages, { id: messageId, role: 'assistant', content: text, timestamp: new Date().toISOString() }];
+  }
+  return messages.map(m => (m.id === messageId ? { ...m, content: m.content + text } : m));
+};
+
+// Replace a streamed message with its final (or retracted) version
+export const replaceStreamedMessage = (messages: ChatMessage[], finalMessage: ChatMessage): ChatMessage[] => {
+  if (!messages.some(m => m.id === finalMessage.id)) {
+    return [...messages, finalMessage];
+  }
+  return messages.map(m => (m.id === finalMessage.id ? finalMessage : m));
+};
+
 export class AITutorApiService {
   // Start a new tutoring session
   static async startSession(request: StartSessionRequest = {}): Promise<{ session: TutorSession }> {
@@ -150,6 +184,100 @@ export class AITutorApiService {
     }
   }
 
+  // Send a message and receive the reply token by token over Server-Sent Events.
+  // Resolves with the final response once the server sends its `done` event.
+  static async streamMessage(
+    sessionId: string,
+    message: string,
+    context: {
+      emotionalState?: string;
+      subject?: string;
+      isFollowUp?: boolean;
+    } | undefined,
+    handlers: StreamMessageHandlers = {}
+  ): Promise<TutorResponse> {
+    const token = getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/ai-tutor/sessions/${sessionId}/message/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ message, context }),
+      signal: handlers.signal
+    });
+
+    if (response.status === 401) {
+      window.location.href = '/login';
+    }
+
+    if (!response.ok || !response.body) {
+      let errorMessage = 'Failed to send message';
+      try {
+        const data = await response.json();
+        errorMessage = data.message || data.error || errorMessage;
+      } catch {
+        // Non-JSON error body
+      }
+      throw new Error(errorMessage);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finalResponse: TutorResponse | null = null;
+
+    const handleEvent = (rawEvent: string) => {
+      let eventName = 'message';
+      const dataLines: string[] = [];
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) {
+          eventName = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trim());
+        }
+      }
+      if (dataLines.length === 0) return;
+
+      const data = JSON.parse(dataLines.join('\n'));
+      switch (eventName) {
+        case 'start':
+          handlers.onStart?.(data.messageId);
+          break;
+        case 'token':
+          handlers.onToken?.(data.text, data.messageId);
+          break;
+        case 'retract':
+          handlers.onRetract?.(data);
+          break;
+        case 'done':
+          finalResponse = data;
+          break;
+        case 'error':
+          throw new Error(data.message || data.error || 'Failed to send message');
+      }
+    };
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        handleEvent(rawEvent);
+      }
+    }
+
+    if (!finalResponse) {
+      throw new Error('The tutor response was interrupted. Please try again.');
+    }
+    return finalResponse;
+  }
+
   // Get AI tutoring help for a general question (without session)
   static async getQuickHelp(
     question: string,
@@ -8,6 +8,8 @@ import {
   ProgressData, 
   AchievementsData, 
   ActivityFeedData,
+  ReviewQueueData,
+  ReviewItem,
   DashboardApiClient 
 } from '../types/dashboard';
 
@@ -137,6 +139,22 @@ class DashboardApiService implements DashboardApiClient {
     return this.request<ActivityFeedData>(`/student/activity-feed?${params}`);
   }
 
+  async getReviewQueue(limit: number = 5): Promise<ReviewQueueData> {
+    const params = new URLSearchParams({ limit: limit.toString() });
+
+    return this.request<ReviewQueueData>(`/student/review-queue?${params}`);
+  }
+
+  // Grading a review goes through the reviews API rather than the dashboard one
+  async recordReviewOutcome(itemId: string, quality: number): Promise<ReviewItem> {
+    try {
+      const response = await api.post(`/reviews/${itemId}/outcome`, { quality });
+      return response.data.data.item;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.message || error.message || 'Network error');
+    }
+  }
+
   // Goal milestone management
   async completeGoalMilestone(goalId: number, milestoneId: number): Promise<{ message: string }> {
     return this.request<{ message: string }>(`/student/goals/${goalId}/milestones/${milestoneId}/complete`, 'POST');
@@ -24,6 +24,7 @@ class NotificationApiService {
   private reconnectAttempts = 0;
   private maxReconnectAttempts = 5;
   private reconnectDelay = 1000;
+  private connectPromise: Promise<void> | null = null;
 
   constructor() {
     this.token = localStorage.getItem('authToken');
@@ -41,13 +42,29 @@ class NotificationApiService {
     this.disconnectWebSocket();
   }
 
+  // Falls back to the session token persisted by the auth store
+  private getToken(): string | null {
+    if (this.token) return this.token;
+
+    try {
+      const persistedState = localStorage.getItem('mentra-auth-storage');
+      if (persistedState) {
+        return JSON.parse(persistedState).state?.token || null;
+      }
+    } catch (error) {
+      console.warn('Failed to get auth token from persistence:', error);
+    }
+    return null;
+  }
+
   private getAuthHeaders(): HeadersInit {
     const headers: HeadersInit = {
       'Content-Type': 'application/json',
     };
 
-    if (this.token) {
-      headers.Authorization = `Bearer ${this.token}`;
+    const token = this.getToken();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
     }
 
     return headers;
@@ -213,18 +230,23 @@ class NotificationApiService {
 
   // WebSocket connection management
   connectWebSocket(): Promise<void> {
-    return new Promise((resolve, reject) => {
-      if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
-        resolve();
-        return;
-      }
+    if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
+      return Promise.resolve();
+    }
 
-      if (!this.token) {
+    // Share an in-flight connection attempt instead of opening a second socket
+    if (this.connectPromise) {
+      return this.connectPromise;
+    }
+
+    this.connectPromise = new Promise<void>((resolve, reject) => {
+      const token = this.getToken();
+      if (!token) {
         reject(new Error('No authentication token available'));
         return;
       }
 
-      const wsUrl = `${WS_BASE_URL}/ws/notifications?token=${encodeURIComponent(this.token)}`;
+      const wsUrl = `${WS_BASE_URL}/ws/notifications?token=${encodeURIComponent(token)}`;
       this.websocket = new WebSocket(wsUrl);
 
       this.websocket.onopen = () => {
@@ -258,7 +280,11 @@ class NotificationApiService {
         this.emitEvent('error', error);
         reject(error);
       };
+    }).finally(() => {
+      this.connectPromise = null;
     });
+
+    return this.connectPromise;
   }
 
   private handleWebSocketMessage(message: WebSocketMessage) {
@@ -275,6 +301,9 @@ class NotificationApiService {
       case 'pong':
         this.emitEvent('pong');
         break;
+      case 'session_alert':
+        this.emitEvent('session_alert', message.data);
+        break;
       default:
         console.log('Unknown WebSocket message type:', message.type);
     }
@@ -227,6 +227,51 @@ export interface ActivityFeedData {
   };
 }
 
+// Review Queue Types
+export interface ReviewVariation {
+  sample_number: number;
+  variation_level: 'low' | 'medium' | 'high';
+  title: string;
+  problem_statement: string;
+  expected_solution: string | null;
+  estimated_time: number | null;
+  difficulty_level: string;
+}
+
+export interface ReviewItem {
+  id: string;
+  templateId: string;
+  templateTitle: string | null;
+  subject: string | null;
+  skill: string;
+  skillLabel: string;
+  mistakeType: string;
+  status: 'active' | 'mastered';
+  isDue: boolean;
+  dueAt: string;
+  repetitions: number;
+  intervalDays: number;
+  easeFactor: number;
+  lapses: number;
+  mistakeCount: number;
+  reviewCount: number;
+  lastQuality: number | null;
+  lastMistakeAt: string | null;
+  lastReviewedAt: string | null;
+  createdAt: string;
+  variation?: ReviewVariation;
+}
+
+export interface ReviewQueueData {
+  items: ReviewItem[];
+  summary: {
+    dueNow: number;
+    active: number;
+    mastered: number;
+    nextDueAt: string | null;
+  };
+}
+
 // Dashboard Widget Types
 export interface DashboardWidget {
   id: string;
@@ -270,6 +315,8 @@ export interface DashboardApiClient {
   getProgress: (timeframe?: string, metric?: string) => Promise<ProgressData>;
   getAchievements: (category?: string, limit?: number) => Promise<AchievementsData>;
   getActivityFeed: (limit?: number, offset?: number) => Promise<ActivityFeedData>;
+  getReviewQueue: (limit?: number) => Promise<ReviewQueueData>;
+  recordReviewOutcome: (itemId: string, quality: number) => Promise<ReviewItem>;
 }
 
 // Component Props Types
@@ -93,7 +93,7 @@ export interface NotificationAnalyticsResponse {
 
 // WebSocket message types
 export interface WebSocketMessage {
-  type: 'notification' | 'unread_count' | 'mark_read_response' | 'pong';
+  type: 'notification' | 'unread_count' | 'mark_read_response' | 'pong' | 'session_alert';
   data?: any;
 }
 
@@ -109,6 +109,24 @@ export interface UnreadCountWebSocketMessage extends WebSocketMessage {
   };
 }
 
+// Live learning-session alert pushed to teachers (and admins)
+export interface SessionAlert {
+  id: number;
+  sessionId: string;
+  studentId: string;
+  studentName: string;
+  alertType: string;
+  alertLevel: string;
+  message: string;
+  priority: number;
+  createdAt: string;
+}
+
+export interface SessionAlertWebSocketMessage extends WebSocketMessage {
+  type: 'session_alert';
+  data: SessionAlert;
+}
+
 // Component prop types
 export interface NotificationItemProps {
   notification: Notification;
@@ -132,10 +150,12 @@ export interface NotificationListProps {
 }
 
 export interface NotificationBellProps {
-  count: number;
+  count?: number; // When omitted the bell tracks the unread count itself
   onClick: () => void;
   variant?: 'default' | 'compact';
   maxCount?: number;
+  pollInterval?: number; // Polling fallback while the socket is down (ms)
+  onSessionAlert?: (alert: SessionAlert) => void;
 }
 
 export interface NotificationDropdownProps {